@@ -22,7 +22,7 @@ async function gracefulShutdown(signal) {
     logger.info("HTTP server closed.");
 
     // 2. Stop background services
-    serviceManager.shutdown();
+    await serviceManager.shutdown();
 
     // 3. Close database pool
     try {
@@ -50,19 +50,9 @@ if (require.main === module) {
     logger.info(`🚀 Server running on ${HOST}:${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
 
-    // Restore long-running services
+    // Restore long-running services and start the job queue
     await serviceManager.restore();
 
-    // Start incident email queue processor (runs every 60 seconds)
-    const { processEmailQueue } = require('./routes/incidents');
-    setInterval(async () => {
-      try {
-        await processEmailQueue(pool, logger);
-      } catch (err) {
-        logger.error('Incident email queue processing failed:', err.message);
-      }
-    }, 60000);
-
     // Register shutdown handlers
     process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
     process.on("SIGINT", () => gracefulShutdown("SIGINT"));
@@ -42,6 +42,8 @@ const SHARED_ADMIN_PERMISSIONS = [
   "fundraisers.delete",
   "communications.send",
   "reports.view",
+  "audit.view",
+  "jobs.manage",
   "inventory.view",
   "inventory.manage",
   "inventory.reserve",
@@ -0,0 +1,139 @@
+/**
+ * Audit Trail Middleware
+ *
+ * Writes one `audit_log` row per change to an audited record: who made it,
+ * from where, and the record before and after.
+ *
+ * Route handlers call `recordAudit` right after their own write, on the same
+ * database client. Inside a transaction the audit row commits or rolls back
+ * with the change it describes, so the trail never claims a change that did
+ * not happen, and a change cannot land without its trail. Failures therefore
+ * propagate like any other query error instead of being swallowed.
+ *
+ * Updates keep only the fields that changed; an update that changed nothing
+ * but its own timestamp is not recorded.
+ *
+ * @module middleware/audit
+ */
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Entity types the admin viewer can filter on. Handlers must use one of these
+ * so filters keep matching what is written.
+ */
+const AUDIT_ENTITY_TYPES = [
+  'participant',
+  'guardian',
+  'medication_requirement',
+  'medication_distribution',
+  'medication_reception',
+  'payment',
+  'role',
+  'role_permission',
+  'role_bundle',
+  'user_roles'
+];
+
+/** Bookkeeping columns every update touches; they say nothing about the change. */
+const IGNORED_FIELDS = ['updated_at'];
+
+/**
+ * Turn a row into plain JSON (dates as ISO strings, numerics as pg sent them).
+ *
+ * @param {Object|null} record - Database row or any plain object
+ * @returns {Object|null} JSON-safe copy
+ */
+function toJson(record) {
+  if (record === null || record === undefined) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Reduce a before/after pair to the fields that differ.
+ *
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @returns {{before: Object, after: Object}|null} Changed fields, or null when nothing changed
+ */
+function diffRecords(before, after) {
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] ?? null;
+      changedAfter[key] = after[key] ?? null;
+    }
+  }
+
+  return Object.keys(changedAfter).length ? { before: changedBefore, after: changedAfter } : null;
+}
+
+/**
+ * Record a change in the audit trail.
+ *
+ * @param {Object} db - Database pool or client; use the handler's transaction client when it has one
+ * @param {import('express').Request} req - Request that made the change
+ * @param {Object} entry - What changed
+ * @param {string} entry.action - 'create', 'update' or 'delete'
+ * @param {string} entry.entityType - One of AUDIT_ENTITY_TYPES
+ * @param {string|number} entry.entityId - Identifier of the changed record
+ * @param {Object} [entry.before] - Record before the change (update, delete)
+ * @param {Object} [entry.after] - Record after the change (create, update)
+ * @param {number} [entry.organizationId] - Defaults to the caller's organization
+ * @param {string} [entry.note] - Reason given by the caller for the change
+ * @returns {Promise<boolean>} Whether a row was written
+ */
+async function recordAudit(db, req, { action, entityType, entityId, before = null, after = null, organizationId, note = null }) {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+  if (!AUDIT_ENTITY_TYPES.includes(entityType)) {
+    throw new Error(`Unknown audit entity type: ${entityType}`);
+  }
+
+  let beforeData = toJson(before);
+  let afterData = toJson(after);
+
+  if (action === 'update' && beforeData && afterData) {
+    const changes = diffRecords(beforeData, afterData);
+    if (!changes) {
+      return false;
+    }
+    ({ before: beforeData, after: afterData } = changes);
+  }
+
+  await db.query(
+    `INSERT INTO audit_log
+       (organization_id, user_id, action, entity_type, entity_id,
+        before_data, after_data, ip_address, user_agent, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      organizationId ?? req.user?.organizationId,
+      req.user?.id || null,
+      action,
+      entityType,
+      entityId === null || entityId === undefined ? null : String(entityId),
+      beforeData === null ? null : JSON.stringify(beforeData),
+      afterData === null ? null : JSON.stringify(afterData),
+      req.ip || null,
+      req.headers?.['user-agent'] || null,
+      typeof note === 'string' && note.trim() ? note.trim() : null
+    ]
+  );
+  return true;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  diffRecords,
+  recordAudit
+};
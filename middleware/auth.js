@@ -3,6 +3,7 @@ const winston = require('winston');
 const { OrganizationNotFoundError, respondWithOrganizationFallback } = require('../utils/api-helpers');
 const { requireJWTSecret, verifyJWTToken } = require('../utils/jwt-config');
 const scoutYearService = require('../services/scoutYear');
+const { isSessionActive } = require('../services/authSessions');
 
 // Configure logger for auth middleware
 const logger = winston.createLogger({
@@ -42,22 +43,34 @@ exports.authenticate = async (req, res, next) => {
       roleIds: decoded.roleIds || [], // New: array of role IDs
       roleNames: decoded.roleNames || [], // New: array of role names
       permissions: decoded.permissions || [], // New: array of permission keys
-      organizationId: decoded.organizationId || decoded.organization_id
+      organizationId: decoded.organizationId || decoded.organization_id,
+      sessionId: decoded.sid || null
     };
 
+    const pool = req.app?.locals?.pool;
+    if ((req.user.organizationId || req.user.sessionId) && !pool) {
+      logger.error('Database pool not available in authenticate middleware');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Tokens issued at sign-in name their server-side session. Logging out or
+    // revoking the session from another device ends it here, before expiry.
+    if (req.user.sessionId && !(await isSessionActive(pool, req.user.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'session_revoked',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // JWT authorization claims are a snapshot. Re-check the membership on every
     // protected request so disabling a member takes effect immediately instead
     // of waiting for an otherwise valid token to expire.
     if (req.user.organizationId) {
-      const pool = req.app?.locals?.pool;
-      if (!pool) {
-        logger.error('Database pool not available in authenticate middleware');
-        return res.status(500).json({
-          success: false,
-          message: 'Server configuration error',
-          timestamp: new Date().toISOString()
-        });
-      }
       const membership = await pool.query(
         `SELECT organization_id FROM user_organizations
           WHERE user_id = $1 AND organization_id = $2 AND status = 'active'`,
@@ -113,7 +113,14 @@ module.exports = (app) => {
     }
 
     // Body Parsing
-    app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
+    // Keep the exact bytes as well: signed webhooks (Stripe) verify the
+    // signature against the raw payload, not the re-serialized JSON.
+    app.use(express.json({
+        limit: REQUEST_BODY_LIMIT,
+        verify: (req, _res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
     app.use(express.urlencoded({ limit: REQUEST_BODY_LIMIT, extended: true }));
     app.use(sanitizeServerErrorResponses);
 
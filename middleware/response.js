@@ -39,6 +39,21 @@ exports.error = (res, message = 'An error occurred', statusCode = 400, errors =
   return res.status(statusCode).json(response);
 };
 
+/**
+ * Conflict response for a write based on an outdated row
+ * @param {Object} res - Express response object
+ * @param {*} current - The row as it is now, so the client can show both versions
+ * @param {String} message - Error message
+ */
+exports.conflict = (res, current, message = 'row_version_conflict') => {
+  return res.status(409).json({
+    success: false,
+    message,
+    data: current,
+    timestamp: new Date().toISOString()
+  });
+};
+
 /**
  * Prevent route-local HTTP 500 responses from exposing database, SDK, filesystem, or
  * stack details. This provides a final safety boundary while older handlers are
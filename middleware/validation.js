@@ -169,13 +169,21 @@ const validateNewPasswordForChange = check('newPassword')
 // ============================================
 
 /**
- * Validate numeric ID in URL parameter
+ * Validate numeric ID in URL parameter (within a serial column's range)
  */
 const validateIdParam = (paramName = 'id') =>
   param(paramName)
-    .isInt({ min: 1 })
+    .isInt({ min: 1, max: 2147483647 })
     .withMessage(`${paramName} must be a positive integer`);
 
+/**
+ * Validate UUID in URL parameter
+ */
+const validateUuidParam = (paramName = 'id') =>
+  param(paramName)
+    .isUUID()
+    .withMessage(`${paramName} must be a UUID`);
+
 /**
  * Validate numeric ID in request body
  */
@@ -356,6 +364,7 @@ module.exports = {
 
   // IDs
   validateIdParam,
+  validateUuidParam,
   validateIdBody,
   validateIdBodyOptional,
   validateIdQuery,
@@ -0,0 +1,53 @@
+-- 006_user_sessions.sql
+--
+-- Server-side sessions behind short-lived access tokens.
+--
+-- Until now login handed out a single 7-day JWT and logout only forgot it in
+-- the browser, so a copied token kept working until it expired on its own.
+-- Each sign-in now opens a row here. The access token names the row (its `sid`
+-- claim) and lives for minutes; the client keeps it alive with a refresh token
+-- that is rotated on every use and stored only as a SHA-256 hash.
+--
+-- `previous_token_hash` remembers the token that was just rotated out. Seeing
+-- it again after the grace window means two parties hold the same session, and
+-- the whole session is revoked rather than guessing which one is legitimate.
+--
+-- `trusted_device_id` ties a session to the 2FA-trusted device it started on,
+-- so withdrawing trust from a device also signs that device out.
+
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+    id uuid DEFAULT gen_random_uuid() NOT NULL PRIMARY KEY,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    refresh_token_hash character varying(64) NOT NULL,
+    previous_token_hash character varying(64),
+    trusted_device_id uuid REFERENCES public.trusted_devices(id) ON DELETE SET NULL,
+    device_name text,
+    ip_address character varying(64),
+    user_agent text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_used_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    rotated_at timestamp with time zone,
+    expires_at timestamp with time zone NOT NULL,
+    revoked_at timestamp with time zone,
+    revoked_reason character varying(50)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_refresh_token
+  ON public.user_sessions (refresh_token_hash);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token
+  ON public.user_sessions (previous_token_hash)
+  WHERE previous_token_hash IS NOT NULL;
+
+-- The sessions page and "sign out everywhere" only ever look at live rows.
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active
+  ON public.user_sessions (user_id)
+  WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_trusted_device
+  ON public.user_sessions (trusted_device_id)
+  WHERE trusted_device_id IS NOT NULL;
+
+COMMENT ON TABLE public.user_sessions IS
+  'One row per sign-in. Access tokens carry the row id as sid; refresh tokens are stored hashed and rotated on every use.';
@@ -0,0 +1,95 @@
+-- 007_two_factor_methods.sql
+--
+-- Second factors beyond the emailed code.
+--
+-- Emailed codes fail when mail is slow (camp, poor reception), so a user can
+-- now also enroll an authenticator app (TOTP) and WebAuthn passkeys, and pick
+-- which one the login screen offers first (users.two_factor_preferred_method).
+-- Enrolling the first authenticator or passkey hands out single-use recovery
+-- codes, stored as SHA-256 hashes like the emailed codes.
+--
+-- Factors belong to the person, not to an organization membership: the same
+-- authenticator works in every unit the user belongs to.
+--
+-- two_factor_challenges carries the state between the password step and the
+-- second step. The login response hands out a random token (stored hashed)
+-- proving the password was checked; authenticator codes, recovery codes and
+-- passkey assertions are only accepted with it. It also holds the WebAuthn
+-- challenge for passkey sign-in and registration.
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS two_factor_preferred_method character varying(20) DEFAULT 'email' NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_two_factor_preferred_method_check'
+  ) THEN
+    ALTER TABLE public.users
+      ADD CONSTRAINT users_two_factor_preferred_method_check
+      CHECK (two_factor_preferred_method IN ('email', 'totp', 'passkey'));
+  END IF;
+END $$;
+
+-- One authenticator per user. confirmed_at stays NULL until the user proves
+-- the app is set up by entering a code; unconfirmed secrets never log in.
+-- The secret has to be read back to check codes, so it is stored encrypted
+-- by the application (services/twoFactorMethods.js) rather than hashed.
+CREATE TABLE IF NOT EXISTS public.user_totp_factors (
+    user_id uuid NOT NULL PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    secret text NOT NULL,
+    confirmed_at timestamp with time zone,
+    -- Last accepted 30-second time step; a code is never accepted twice.
+    last_used_step bigint,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.user_recovery_codes (
+    id serial PRIMARY KEY,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    code_hash character varying(64) NOT NULL,
+    used_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE (user_id, code_hash)
+);
+
+CREATE TABLE IF NOT EXISTS public.user_passkeys (
+    id uuid DEFAULT gen_random_uuid() NOT NULL PRIMARY KEY,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- base64url credential ID as returned by the browser
+    credential_id text NOT NULL UNIQUE,
+    public_key bytea NOT NULL,
+    sign_count bigint DEFAULT 0 NOT NULL,
+    transports jsonb DEFAULT '[]'::jsonb NOT NULL,
+    -- Passkeys only work on the domain they were created for
+    rp_id character varying(255) NOT NULL,
+    device_name text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_used_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_passkeys_user ON public.user_passkeys (user_id);
+
+CREATE TABLE IF NOT EXISTS public.two_factor_challenges (
+    id uuid DEFAULT gen_random_uuid() NOT NULL PRIMARY KEY,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    organization_id integer REFERENCES public.organizations(id) ON DELETE CASCADE,
+    purpose character varying(30) NOT NULL
+      CHECK (purpose IN ('login', 'passkey_registration')),
+    -- Login challenges only; registration is tied to the signed-in user
+    token_hash character varying(64) UNIQUE,
+    webauthn_challenge text,
+    rp_id character varying(255),
+    origin text,
+    attempts integer DEFAULT 0 NOT NULL,
+    expires_at timestamp with time zone NOT NULL,
+    consumed_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_challenges_user
+  ON public.two_factor_challenges (user_id, purpose)
+  WHERE consumed_at IS NULL;
+
+COMMENT ON TABLE public.two_factor_challenges IS
+  'Short-lived state between the password step and the second factor, and pending passkey registrations.';
@@ -0,0 +1,54 @@
+-- 008_audit_log.sql
+--
+-- Organization-wide audit trail.
+--
+-- Until now only a few tables kept their own history (form submissions,
+-- erasures, scout year transitions). Every other change to a participant, a
+-- guardian, a medication record, a payment or a role simply overwrote the row.
+-- Route handlers now write one row here per change: who did it, to what, and
+-- the record before and after as JSON.
+--
+-- `entity_id` is text because the audited tables do not share a key type
+-- (integer ids for participants, uuids for users). `user_id` is kept with
+-- ON DELETE SET NULL so removing an account does not erase what it did.
+--
+-- Rows are never updated. Reading them takes the new `audit.view` permission,
+-- granted to unit and district administrators.
+
+CREATE TABLE IF NOT EXISTS public.audit_log (
+    id bigserial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    user_id uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    action character varying(10) NOT NULL
+      CONSTRAINT audit_log_action_check CHECK (action IN ('create', 'update', 'delete')),
+    entity_type character varying(50) NOT NULL,
+    entity_id text,
+    before_data jsonb,
+    after_data jsonb,
+    ip_address character varying(64),
+    user_agent text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_org_created
+  ON public.audit_log (organization_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+  ON public.audit_log (organization_id, entity_type, entity_id);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user
+  ON public.audit_log (organization_id, user_id, created_at DESC);
+
+COMMENT ON TABLE public.audit_log IS
+  'Append-only record of who created, changed or removed what, with the record before and after.';
+
+INSERT INTO public.permissions (permission_key, permission_name, category, description)
+VALUES ('audit.view', 'View audit log', 'audit', 'Search and export the organization audit trail')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+  FROM public.roles r, public.permissions p
+ WHERE r.role_name IN ('district', 'unitadmin')
+   AND p.permission_key = 'audit.view'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,63 @@
+-- 009_stripe_refunds_disputes.sql
+--
+-- Stripe refunds and disputes.
+--
+-- Refunds are stored as negative `payments` rows pointing back at the payment
+-- they reverse, so every existing balance query (SUM(amount) per fee) keeps
+-- working without knowing about refunds. `stripe_refund_id` is unique: a
+-- refund started from the finance screen is recorded immediately and the
+-- later `charge.refunded` webhook must not record it a second time.
+--
+-- Disputes get their own table because their lifecycle (needs_response,
+-- under_review, won, lost) is not a payment. Money only moves in `payments`
+-- when Stripe actually withdraws or reinstates the funds.
+--
+-- `processed_transactions` already existed but was never written to and had
+-- no unique key. Webhook events are now marked there in the same transaction
+-- as their effects, so a redelivered event is acknowledged without being
+-- applied twice.
+
+DELETE FROM public.processed_transactions a
+ USING public.processed_transactions b
+ WHERE a.transaction_id = b.transaction_id
+   AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_processed_transactions_transaction_id
+  ON public.processed_transactions (transaction_id);
+
+ALTER TABLE public.processed_transactions
+  ADD COLUMN IF NOT EXISTS event_type character varying(100);
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS refund_of_payment_id integer REFERENCES public.payments(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS stripe_refund_id character varying(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_refund
+  ON public.payments (stripe_refund_id)
+  WHERE stripe_refund_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_refund_of
+  ON public.payments (refund_of_payment_id)
+  WHERE refund_of_payment_id IS NOT NULL;
+
+COMMENT ON COLUMN public.payments.refund_of_payment_id IS
+  'Payment this negative entry refunds or claws back (refunds and lost disputes)';
+
+CREATE TABLE IF NOT EXISTS public.payment_disputes (
+    id serial PRIMARY KEY,
+    payment_id integer NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    stripe_dispute_id character varying(255) NOT NULL UNIQUE,
+    stripe_charge_id character varying(255),
+    amount numeric(10,2) NOT NULL,
+    reason character varying(100),
+    status character varying(50) NOT NULL,
+    evidence_due_by timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_payment
+  ON public.payment_disputes (payment_id);
+
+COMMENT ON TABLE public.payment_disputes IS
+  'Stripe chargebacks on card payments, kept in sync from charge.dispute.* webhooks.';
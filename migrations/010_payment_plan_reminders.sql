@@ -0,0 +1,34 @@
+-- 010_payment_plan_reminders.sql
+--
+-- Installment reminders for payment plans.
+--
+-- A payment plan (start date, frequency, number and amount of payments) fully
+-- determines its due dates, so installments are computed on read rather than
+-- stored. What has to be stored is which reminders went out: the reminder job
+-- claims one row per (plan, installment, offset) before sending, so a restart
+-- or a second server never sends the same reminder twice.
+--
+-- Offsets are days relative to the due date (-3 = three days before, 7 = a
+-- week late) and are configured per organization in organization_settings
+-- under `payment_reminders`. Reminders are off until an organization turns
+-- them on.
+
+CREATE TABLE IF NOT EXISTS public.payment_plan_reminders (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    payment_plan_id integer NOT NULL REFERENCES public.payment_plans(id) ON DELETE CASCADE,
+    installment_number integer NOT NULL,
+    offset_days integer NOT NULL,
+    due_date date NOT NULL,
+    amount_due numeric(10,2) NOT NULL,
+    email_count integer DEFAULT 0 NOT NULL,
+    push_count integer DEFAULT 0 NOT NULL,
+    sent_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT payment_plan_reminders_unique UNIQUE (payment_plan_id, installment_number, offset_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_plan_reminders_org_sent
+  ON public.payment_plan_reminders (organization_id, sent_at DESC);
+
+COMMENT ON TABLE public.payment_plan_reminders IS
+  'Installment reminders already sent to guardians, one per plan, installment and offset.';
@@ -0,0 +1,46 @@
+-- 011_tax_receipts.sql
+--
+-- Year-end receipts for what families paid an organization: membership fees
+-- and donation campaign contributions.
+--
+-- A receipt is official once issued: its number, recipient and amounts are
+-- kept as issued, so a re-download or a re-sent email shows exactly what the
+-- family already received even if a payment is corrected later. One receipt
+-- is issued per family (primary guardian) and tax year.
+--
+-- Receipt numbers are sequential per organization and never reused.
+-- receipt_sequences holds the last number handed out; issuing bumps it with
+-- an upsert, whose row lock keeps two concurrent runs from taking the same
+-- number.
+
+CREATE TABLE IF NOT EXISTS public.receipt_sequences (
+    organization_id integer PRIMARY KEY REFERENCES public.organizations(id) ON DELETE CASCADE,
+    last_number integer DEFAULT 0 NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.tax_receipts (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    receipt_number integer NOT NULL,
+    tax_year integer NOT NULL,
+    guardian_id integer REFERENCES public.parents_guardians(id) ON DELETE SET NULL,
+    recipient_name text NOT NULL,
+    recipient_email text,
+    participants jsonb DEFAULT '[]'::jsonb NOT NULL,
+    fees_amount numeric(10,2) DEFAULT 0 NOT NULL,
+    donations_amount numeric(10,2) DEFAULT 0 NOT NULL,
+    total_amount numeric(10,2) NOT NULL,
+    issued_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    issued_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    emailed_at timestamp with time zone,
+    CONSTRAINT tax_receipts_number_unique UNIQUE (organization_id, receipt_number),
+    CONSTRAINT tax_receipts_family_year_unique UNIQUE (organization_id, tax_year, guardian_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_receipts_org_year
+  ON public.tax_receipts (organization_id, tax_year);
+
+COMMENT ON TABLE public.tax_receipts IS
+  'Issued year-end receipts, one per family and tax year. Amounts are a snapshot taken at issue time.';
+COMMENT ON COLUMN public.tax_receipts.participants IS
+  'Children covered by the receipt, as [{id, first_name, last_name}] at issue time.';
@@ -0,0 +1,208 @@
+-- 012_sync_changes.sql
+--
+-- Change feed for offline clients.
+--
+-- The web and mobile apps keep a local copy of the roster, attendance, honors,
+-- points, badges, medication and carpools, and until now refreshed it by
+-- downloading every collection again. `sync_log` was meant for this but has no
+-- organization or entity columns and nothing writes to it.
+--
+-- Triggers now append one row to `sync_changes` per insert, update or delete
+-- of a synced table, so GET /api/v1/sync/changes can answer "what changed since
+-- my cursor". A deleted row leaves its id behind as a tombstone.
+--
+-- Rows are ordered by the writing transaction (`xid`) and then by `id`. The
+-- endpoint only hands out rows from transactions older than every transaction
+-- still running. A slow transaction therefore delays the feed but cannot slip
+-- in behind a cursor a client already holds.
+--
+-- `scout_year_id` is set when a change belongs to one year: points carry it,
+-- attendance and honors are placed by their date, and roster changes come from
+-- enrollments. Other rows apply to every year and keep it NULL.
+--
+-- Every synced table also gets a `row_version`, starting at 1 and bumped on
+-- each update. Clients send the version they last saw with a write. When the
+-- row has moved on, the write is refused with 409 and the current row.
+
+CREATE TABLE IF NOT EXISTS public.sync_changes (
+    id bigserial PRIMARY KEY,
+    xid xid8 DEFAULT pg_current_xact_id() NOT NULL,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    scout_year_id integer REFERENCES public.scout_years(id) ON DELETE CASCADE,
+    entity_type character varying(50) NOT NULL,
+    entity_id text NOT NULL,
+    operation character varying(10) NOT NULL
+      CONSTRAINT sync_changes_operation_check CHECK (operation IN ('insert', 'update', 'delete')),
+    row_version bigint,
+    changed_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_changes_org_cursor
+  ON public.sync_changes (organization_id, xid, id);
+
+COMMENT ON TABLE public.sync_changes IS
+  'Append-only change feed for offline clients, written by triggers; read through GET /api/v1/sync/changes.';
+
+-- ---------------------------------------------------------------------------
+-- Row versions
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.sync_bump_row_version()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.row_version := COALESCE(OLD.row_version, 0) + 1;
+  RETURN NEW;
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Tables with their own organization_id.
+-- TG_ARGV[0] is the entity type; TG_ARGV[1], when given, is the date column
+-- that places the row in a scout year.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.sync_record_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  rec jsonb;
+  org_id integer;
+  year_id integer;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    rec := to_jsonb(OLD);
+  ELSE
+    rec := to_jsonb(NEW);
+  END IF;
+
+  org_id := (rec->>'organization_id')::integer;
+  IF org_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF rec ? 'scout_year_id' THEN
+    year_id := (rec->>'scout_year_id')::integer;
+  ELSIF TG_NARGS > 1 AND rec->>TG_ARGV[1] IS NOT NULL THEN
+    SELECT sy.id INTO year_id
+      FROM public.scout_years sy
+     WHERE sy.organization_id = org_id
+       AND (rec->>TG_ARGV[1])::date BETWEEN sy.start_date AND sy.end_date
+     ORDER BY sy.start_date DESC
+     LIMIT 1;
+  END IF;
+
+  INSERT INTO public.sync_changes (organization_id, scout_year_id, entity_type, entity_id, operation, row_version)
+  VALUES (org_id, year_id, TG_ARGV[0], rec->>'id', lower(TG_OP), (rec->>'row_version')::bigint);
+
+  RETURN NULL;
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Participants belong to organizations through yearly enrollments, and their
+-- den comes from the year's group assignment. A change to any of the three
+-- is a change to the participant as that organization and year see it.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.sync_record_participant_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO public.sync_changes (organization_id, scout_year_id, entity_type, entity_id, operation, row_version)
+  SELECT pe.organization_id, pe.scout_year_id, 'participants', NEW.id::text, 'update', NEW.row_version
+    FROM public.participant_enrollments pe
+   WHERE pe.participant_id = NEW.id;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.sync_record_roster_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  rec record;
+  op text := lower(TG_OP);
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    rec := OLD;
+  ELSE
+    rec := NEW;
+  END IF;
+
+  -- Leaving a den is not leaving the unit.
+  IF TG_TABLE_NAME = 'participant_group_assignments' THEN
+    op := 'update';
+  END IF;
+
+  INSERT INTO public.sync_changes (organization_id, scout_year_id, entity_type, entity_id, operation, row_version)
+  SELECT rec.organization_id, rec.scout_year_id, 'participants', rec.participant_id::text, op,
+         (SELECT p.row_version FROM public.participants p WHERE p.id = rec.participant_id);
+
+  RETURN NULL;
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Wire up the synced tables.
+-- ---------------------------------------------------------------------------
+DO $$
+DECLARE
+  synced record;
+BEGIN
+  FOR synced IN
+    SELECT * FROM (VALUES
+      ('participants', NULL, NULL),
+      ('groups', 'groups', NULL),
+      ('attendance', 'attendance', 'date'),
+      ('honors', 'honors', 'date'),
+      ('points', 'points', NULL),
+      ('badge_progress', 'badge_progress', NULL),
+      ('medication_requirements', 'medication_requirements', NULL),
+      ('medication_distributions', 'medication_distributions', NULL),
+      ('carpool_offers', 'carpool_offers', NULL),
+      ('carpool_assignments', 'carpool_assignments', NULL)
+    ) AS t(table_name, entity_type, date_column)
+  LOOP
+    EXECUTE format('ALTER TABLE public.%I ADD COLUMN IF NOT EXISTS row_version bigint DEFAULT 1 NOT NULL', synced.table_name);
+
+    EXECUTE format('DROP TRIGGER IF EXISTS sync_row_version ON public.%I', synced.table_name);
+    EXECUTE format(
+      'CREATE TRIGGER sync_row_version BEFORE UPDATE ON public.%I
+         FOR EACH ROW EXECUTE FUNCTION public.sync_bump_row_version()',
+      synced.table_name
+    );
+
+    EXECUTE format('DROP TRIGGER IF EXISTS sync_record_change ON public.%I', synced.table_name);
+    IF synced.entity_type IS NULL THEN
+      EXECUTE format(
+        'CREATE TRIGGER sync_record_change AFTER UPDATE ON public.%I
+           FOR EACH ROW EXECUTE FUNCTION public.sync_record_participant_change()',
+        synced.table_name
+      );
+    ELSIF synced.date_column IS NULL THEN
+      EXECUTE format(
+        'CREATE TRIGGER sync_record_change AFTER INSERT OR UPDATE OR DELETE ON public.%I
+           FOR EACH ROW EXECUTE FUNCTION public.sync_record_change(%L)',
+        synced.table_name, synced.entity_type
+      );
+    ELSE
+      EXECUTE format(
+        'CREATE TRIGGER sync_record_change AFTER INSERT OR UPDATE OR DELETE ON public.%I
+           FOR EACH ROW EXECUTE FUNCTION public.sync_record_change(%L, %L)',
+        synced.table_name, synced.entity_type, synced.date_column
+      );
+    END IF;
+  END LOOP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_record_change ON public.participant_enrollments;
+CREATE TRIGGER sync_record_change AFTER INSERT OR UPDATE OR DELETE ON public.participant_enrollments
+  FOR EACH ROW EXECUTE FUNCTION public.sync_record_roster_change();
+
+DROP TRIGGER IF EXISTS sync_record_change ON public.participant_group_assignments;
+CREATE TRIGGER sync_record_change AFTER INSERT OR UPDATE OR DELETE ON public.participant_group_assignments
+  FOR EACH ROW EXECUTE FUNCTION public.sync_record_roster_change();
@@ -0,0 +1,42 @@
+-- 013_attendance_checkins.sql
+--
+-- Check-in and check-out scans for camps and outings.
+--
+-- Attendance is one status per participant per date, which says who came but
+-- not who is here right now. At camp and on the bus, leaders scan each
+-- child's QR badge on the way in and on the way out. Each scan is kept as a
+-- timestamped event, and a participant's latest event at a checkpoint tells
+-- whether they are on site (or on the bus) now.
+--
+-- `occurred_at` is the time of the scan on the device, not the time the row
+-- was written: scans made offline arrive later through the outbox.
+-- `client_event_id` is generated by the scanner so that an offline scan
+-- replayed twice is stored once.
+--
+-- `activity_id` ties the scans of a camp together. Scans without an activity
+-- (a regular meeting) are grouped by day.
+
+CREATE TABLE IF NOT EXISTS public.attendance_checkins (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    participant_id integer NOT NULL REFERENCES public.participants(id) ON DELETE CASCADE,
+    activity_id integer REFERENCES public.activities(id) ON DELETE SET NULL,
+    checkpoint character varying(10) DEFAULT 'site' NOT NULL
+      CONSTRAINT attendance_checkins_checkpoint_check CHECK (checkpoint IN ('site', 'bus')),
+    event_type character varying(10) NOT NULL
+      CONSTRAINT attendance_checkins_event_type_check CHECK (event_type IN ('check_in', 'check_out')),
+    occurred_at timestamp with time zone NOT NULL,
+    recorded_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    client_event_id uuid,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_checkins_client_event
+  ON public.attendance_checkins (organization_id, client_event_id)
+  WHERE client_event_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_checkins_roll_call
+  ON public.attendance_checkins (organization_id, activity_id, checkpoint, participant_id, occurred_at DESC);
+
+COMMENT ON TABLE public.attendance_checkins IS
+  'QR badge scans at camps and outings; the latest event per participant and checkpoint gives the live roll call.';
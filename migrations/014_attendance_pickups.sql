@@ -0,0 +1,38 @@
+-- 014_attendance_pickups.sql
+--
+-- Arrival and departure times, and who dropped off and picked up each child.
+--
+-- Attendance is one status per participant per date. For the youngest
+-- sections a leader also has to know when a child arrived, who brought them,
+-- and above all who took them home: only a guardian linked to the child
+-- (participant_guardians) may pick them up, and a child may only leave alone
+-- when the registration form says so (`peut_partir_seul`).
+--
+-- The adult is kept as written on the sign-out sheet (`picked_up_by`), with
+-- the guardian it matched when there is one. `pickup_authorized` is decided
+-- when the departure is recorded: false means a leader knowingly let the child
+-- go with an adult who is not on the list, and is kept for the record.
+--
+-- A child marked present or late whose departure is not recorded is still in
+-- the leaders' care; the end-of-day report lists them.
+
+ALTER TABLE public.attendance
+  ADD COLUMN IF NOT EXISTS arrived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS departed_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS dropped_off_by character varying(255),
+  ADD COLUMN IF NOT EXISTS picked_up_by character varying(255),
+  ADD COLUMN IF NOT EXISTS picked_up_by_guardian_id integer
+    REFERENCES public.parents_guardians(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS left_alone boolean DEFAULT false NOT NULL,
+  ADD COLUMN IF NOT EXISTS pickup_authorized boolean,
+  ADD COLUMN IF NOT EXISTS pickup_recorded_by uuid
+    REFERENCES public.users(id) ON DELETE SET NULL;
+
+ALTER TABLE public.attendance
+  DROP CONSTRAINT IF EXISTS attendance_departure_after_arrival_check;
+ALTER TABLE public.attendance
+  ADD CONSTRAINT attendance_departure_after_arrival_check
+  CHECK (arrived_at IS NULL OR departed_at IS NULL OR departed_at >= arrived_at);
+
+COMMENT ON COLUMN public.attendance.pickup_authorized IS
+  'Whether the departure matched the authorized pickup list; false when a leader confirmed an adult who is not on it.';
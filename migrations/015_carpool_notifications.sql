@@ -0,0 +1,44 @@
+-- 015_carpool_notifications.sql
+--
+-- Carpool reminders the evening before an activity, and drivers confirming
+-- they are still driving.
+--
+-- Families used to hear about carpools only when a ride was cancelled. They
+-- are now told when a child is assigned to or moved between rides, and the
+-- evening before the activity both sides get a reminder: the driver their
+-- passenger list and pickup details, each family the driver and vehicle
+-- their children ride with.
+--
+-- The driver's reminder asks them to confirm they are still driving.
+-- `confirmation_requested_at` records when it was asked, `driver_confirmed_at`
+-- when they answered, so the coordinator can see which cars are not
+-- confirmed the day of the activity. A driver who can no longer drive cancels
+-- the offer, which already notifies the families.
+--
+-- Each reminder is claimed in `carpool_reminders` before it is sent: the
+-- unique (activity, user, role) key means a restart or a second server never
+-- sends it twice.
+
+ALTER TABLE public.carpool_offers
+  ADD COLUMN IF NOT EXISTS confirmation_requested_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS driver_confirmed_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS public.carpool_reminders (
+  id serial PRIMARY KEY,
+  organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  activity_id integer NOT NULL REFERENCES public.activities(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  role character varying(10) NOT NULL,
+  email_sent boolean DEFAULT false NOT NULL,
+  push_count integer DEFAULT 0 NOT NULL,
+  whatsapp_sent boolean DEFAULT false NOT NULL,
+  sent_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  CONSTRAINT carpool_reminders_role_check CHECK (role IN ('driver', 'family')),
+  CONSTRAINT carpool_reminders_unique UNIQUE (activity_id, user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_carpool_reminders_organization
+  ON public.carpool_reminders (organization_id);
+
+COMMENT ON TABLE public.carpool_reminders IS
+  'Carpool reminders sent the evening before an activity, one per activity, user and role (driver or family).';
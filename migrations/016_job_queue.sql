@@ -0,0 +1,108 @@
+-- 016_job_queue.sql
+--
+-- Background job queue.
+--
+-- Background work used to run in ad hoc loops: a setInterval in api.js for
+-- the incident email queue, a LISTEN client plus an hourly fallback for
+-- scheduled announcements, and one polling interval per reminder service.
+-- Each had its own idea of retries, and a failure was only ever visible in
+-- the logs.
+--
+-- Work is now a row in `jobs`, run by services/job-queue:
+--
+-- - `type` names the handler; `payload` is its input;
+-- - a job waits in `pending` until `run_at`, is `running` while a worker
+--   holds it, and ends `completed`, or `dead` once `max_attempts` failed
+--   attempts are used up; each failure in between pushes `run_at` back
+--   exponentially;
+-- - a recurring job (`repeat_every_seconds`) goes back to `pending` for its
+--   next run instead of completing; when it dies, a dead copy is kept for
+--   the record and the recurring row carries on;
+-- - `unique_key` keeps a single pending or running job per key, so
+--   scheduling the same announcement twice moves its job instead of adding
+--   one.
+--
+-- Workers claim jobs with FOR UPDATE SKIP LOCKED, so several servers share
+-- the queue. A NOTIFY on `job_ready` wakes them when a job becomes due
+-- sooner than they planned to look.
+--
+-- Administrators inspect and retry failed jobs with the new `jobs.manage`
+-- permission. Jobs of their own organization and system jobs (no
+-- organization) are visible to them.
+--
+-- The announcement NOTIFY trigger is dropped: scheduled announcements are
+-- jobs now, and those already scheduled get theirs here.
+
+CREATE TABLE IF NOT EXISTS public.jobs (
+    id bigserial PRIMARY KEY,
+    organization_id integer REFERENCES public.organizations(id) ON DELETE CASCADE,
+    type character varying(100) NOT NULL,
+    payload jsonb DEFAULT '{}'::jsonb NOT NULL,
+    status character varying(20) DEFAULT 'pending' NOT NULL
+      CONSTRAINT jobs_status_check CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+    priority integer DEFAULT 0 NOT NULL,
+    attempts integer DEFAULT 0 NOT NULL,
+    max_attempts integer DEFAULT 5 NOT NULL
+      CONSTRAINT jobs_max_attempts_check CHECK (max_attempts >= 1),
+    run_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    repeat_every_seconds integer
+      CONSTRAINT jobs_repeat_check CHECK (repeat_every_seconds IS NULL OR repeat_every_seconds > 0),
+    unique_key character varying(200),
+    locked_by character varying(200),
+    locked_at timestamp with time zone,
+    last_error text,
+    completed_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_unique_key_active
+  ON public.jobs (unique_key)
+  WHERE unique_key IS NOT NULL AND status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due
+  ON public.jobs (run_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_org_status
+  ON public.jobs (organization_id, status, updated_at DESC);
+
+COMMENT ON TABLE public.jobs IS
+  'Background jobs: pending until run_at, retried with backoff, dead once max_attempts failed attempts are used up.';
+
+CREATE OR REPLACE FUNCTION public.notify_job_ready() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  PERFORM pg_notify('job_ready', json_build_object('id', NEW.id, 'type', NEW.type, 'run_at', NEW.run_at)::text);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS jobs_notify_ready ON public.jobs;
+CREATE TRIGGER jobs_notify_ready
+  AFTER INSERT OR UPDATE OF status, run_at ON public.jobs
+  FOR EACH ROW WHEN (NEW.status = 'pending')
+  EXECUTE FUNCTION public.notify_job_ready();
+
+DROP TRIGGER IF EXISTS announcement_scheduled_insert ON public.announcements;
+DROP FUNCTION IF EXISTS public.notify_announcement_scheduled();
+
+-- Announcements scheduled before this migration get their job
+INSERT INTO public.jobs (organization_id, type, payload, run_at, unique_key)
+SELECT a.organization_id, 'announcements.send_scheduled', jsonb_build_object('announcement_id', a.id),
+       COALESCE(a.scheduled_at, CURRENT_TIMESTAMP), 'announcement:' || a.id
+  FROM public.announcements a
+ WHERE a.status = 'scheduled'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.permissions (permission_key, permission_name, category, description)
+VALUES ('jobs.manage', 'Manage background jobs', 'admin', 'Inspect background jobs and retry failed ones')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+  FROM public.roles r, public.permissions p
+ WHERE r.role_name IN ('district', 'unitadmin')
+   AND p.permission_key = 'jobs.manage'
+ON CONFLICT DO NOTHING;
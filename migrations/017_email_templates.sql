@@ -0,0 +1,30 @@
+-- 017_email_templates.sql
+--
+-- Per-organization wording of outgoing emails.
+--
+-- Emails (announcements, permission slips, carpool notices, reminders,
+-- verification codes, ...) are built from a registry of bilingual templates
+-- in services/email-templates and share one layout carrying the unit's logo
+-- (organization_info.logo) and colour (organization_settings `branding`).
+--
+-- A unit may reword the subject and body of any template, per language. The
+-- override holds plain text with the same {placeholders} as the default; a
+-- template without an override keeps following the translation files, so
+-- wording fixes there still reach it. Deleting the override goes back to
+-- the default.
+
+CREATE TABLE IF NOT EXISTS public.email_template_overrides (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    template_key character varying(100) NOT NULL,
+    language character varying(5) NOT NULL,
+    subject text NOT NULL,
+    body text NOT NULL,
+    updated_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT email_template_overrides_unique UNIQUE (organization_id, template_key, language)
+);
+
+COMMENT ON TABLE public.email_template_overrides IS
+  'Subject and body a unit chose for an email template in one language, in place of the translated default.';
@@ -0,0 +1,52 @@
+-- 018_email_delivery_events.sql
+--
+-- What happened to an email after it left.
+--
+-- sendEmail only knows whether the provider accepted a message. The provider
+-- later reports, per message, whether it was delivered, bounced, reported as
+-- spam or opened: Brevo through its transactional webhook, other SMTP relays
+-- through delivery status notifications posted to the generic endpoint. Each
+-- report lands in email_delivery_events (services/email-delivery).
+--
+-- An announcement's log line keeps the provider's message id so the report
+-- can be matched to it; delivery_status holds the most telling outcome seen
+-- so far (a late "delivered" does not hide a complaint).
+--
+-- A hard bounce flags every guardian with that address. The flag clears when
+-- the address is edited or a later message to it is delivered.
+
+CREATE TABLE IF NOT EXISTS public.email_delivery_events (
+    id bigserial PRIMARY KEY,
+    provider character varying(20) NOT NULL,
+    message_id text,
+    recipient_email text NOT NULL,
+    event character varying(20) NOT NULL,
+    reason text,
+    occurred_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    payload jsonb,
+    received_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT email_delivery_events_event_check
+        CHECK (event IN ('deferred', 'delivered', 'opened', 'bounced', 'complained'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_delivery_events_message
+    ON public.email_delivery_events (message_id);
+CREATE INDEX IF NOT EXISTS idx_email_delivery_events_recipient
+    ON public.email_delivery_events (lower(recipient_email), occurred_at DESC);
+
+COMMENT ON TABLE public.email_delivery_events IS
+  'Delivery reports (delivered, bounced, complained, opened, deferred) received from the email provider per message.';
+
+ALTER TABLE public.announcement_logs
+    ADD COLUMN IF NOT EXISTS message_id text,
+    ADD COLUMN IF NOT EXISTS delivery_status character varying(20),
+    ADD COLUMN IF NOT EXISTS delivery_reason text,
+    ADD COLUMN IF NOT EXISTS delivery_updated_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS idx_announcement_logs_message
+    ON public.announcement_logs (message_id)
+    WHERE message_id IS NOT NULL;
+
+ALTER TABLE public.parents_guardians
+    ADD COLUMN IF NOT EXISTS email_invalid_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS email_invalid_reason text;
@@ -0,0 +1,33 @@
+-- 019_role_bundles.sql
+--
+-- Role bundles and role-assignment notes.
+--
+-- A bundle is a named set of roles a unit hands out together ("Trésorier":
+-- leader + finance). Giving someone a bundle grants its roles; the user keeps
+-- plain role ids in user_organizations.role_ids, so permissions are resolved
+-- exactly as before and editing a bundle later does not change anyone's access.
+--
+-- Role changes were already written to audit_log (entity type `user_roles`)
+-- with the role ids before and after. The district screen asks the person
+-- making the change why; that reason is now kept with the audit row.
+
+CREATE TABLE IF NOT EXISTS public.role_bundles (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    name character varying(100) NOT NULL,
+    description text,
+    role_ids jsonb DEFAULT '[]'::jsonb NOT NULL,
+    created_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT role_bundles_name_unique UNIQUE (organization_id, name)
+);
+
+COMMENT ON TABLE public.role_bundles IS
+  'Named sets of roles a unit assigns together. Assigning a bundle copies its role ids onto the membership.';
+
+ALTER TABLE public.audit_log
+    ADD COLUMN IF NOT EXISTS note text;
+
+COMMENT ON COLUMN public.audit_log.note IS
+  'Reason given by the person making the change, when the screen asks for one.';
@@ -0,0 +1,50 @@
+-- 020_whatsapp_inbox.sql
+--
+-- Inbound WhatsApp messages and the replies sent from the inbox.
+--
+-- Until now the connected WhatsApp number only sent announcements; whatever
+-- parents answered stayed on the leader's phone. Messages received by the
+-- organization's connection are now kept here, one conversation per phone
+-- number, matched to the user whose users.whatsapp_phone_number it is.
+-- Replies sent from the inbox are kept in the same conversation.
+--
+-- A registered Google Chat space can receive a copy of every inbound message
+-- (google_chat_spaces.receives_whatsapp, at most one per organization).
+
+CREATE TABLE IF NOT EXISTS public.whatsapp_messages (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    direction character varying(10) NOT NULL,
+    phone_number character varying(20) NOT NULL,
+    user_id uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    sender_name character varying(255),
+    message_type character varying(20) DEFAULT 'text'::character varying NOT NULL,
+    body text,
+    wa_message_id character varying(128),
+    sent_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    read_at timestamp with time zone,
+    forwarded_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT whatsapp_messages_direction_check CHECK (direction IN ('inbound', 'outbound')),
+    CONSTRAINT whatsapp_messages_wa_message_unique UNIQUE (organization_id, wa_message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_conversation
+    ON public.whatsapp_messages (organization_id, phone_number, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_unread
+    ON public.whatsapp_messages (organization_id, phone_number)
+    WHERE direction = 'inbound' AND read_at IS NULL;
+
+COMMENT ON TABLE public.whatsapp_messages IS
+  'WhatsApp inbox: messages received by the organization''s connection and replies sent from the inbox.';
+COMMENT ON COLUMN public.whatsapp_messages.phone_number IS
+  'The other party, in E.164 format; one conversation per number.';
+COMMENT ON COLUMN public.whatsapp_messages.user_id IS
+  'Member whose whatsapp_phone_number matched when the message arrived.';
+
+ALTER TABLE public.google_chat_spaces
+    ADD COLUMN IF NOT EXISTS receives_whatsapp boolean DEFAULT false NOT NULL;
+
+COMMENT ON COLUMN public.google_chat_spaces.receives_whatsapp IS
+  'Inbound WhatsApp messages are copied to this space.';
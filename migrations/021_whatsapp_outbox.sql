@@ -0,0 +1,74 @@
+-- 021_whatsapp_outbox.sql
+--
+-- Paced WhatsApp sending, with consent.
+--
+-- Announcements used to send every WhatsApp message at once, which is what
+-- gets an unofficial (Baileys) connection banned. Broadcast messages are now
+-- written to whatsapp_outbox and sent one at a time by the process holding
+-- the organization's connection: a random 2-5 second pause between messages,
+-- at most ~1000 per connected number in any 24 hours. The outbox survives a
+-- restart; sending picks up when the connection reopens.
+--
+-- Delivery and read receipts reported by WhatsApp are kept on the outbox row
+-- and on the announcement log it belongs to.
+--
+-- Consent:
+-- - parents_guardians.whatsapp_opt_in: a guardian's cell phone receives
+--   announcements only once they agreed (TRUE). FALSE is a refusal, and keeps
+--   the number out even when a member account carries it. NULL: never asked.
+-- - whatsapp_opt_outs: numbers that answered STOP. Nothing is queued for
+--   them until they answer START.
+
+ALTER TABLE public.parents_guardians
+    ADD COLUMN IF NOT EXISTS whatsapp_opt_in boolean,
+    ADD COLUMN IF NOT EXISTS whatsapp_consent_at timestamp with time zone;
+
+COMMENT ON COLUMN public.parents_guardians.whatsapp_opt_in IS
+  'TRUE: agreed to WhatsApp announcements on telephone_cellulaire; FALSE: refused; NULL: not asked.';
+
+CREATE TABLE IF NOT EXISTS public.whatsapp_opt_outs (
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    phone_number character varying(20) NOT NULL,
+    source character varying(20) DEFAULT 'reply'::character varying NOT NULL,
+    opted_out_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    PRIMARY KEY (organization_id, phone_number)
+);
+
+COMMENT ON TABLE public.whatsapp_opt_outs IS
+  'Numbers that asked the organization''s WhatsApp connection to stop sending them messages.';
+
+CREATE TABLE IF NOT EXISTS public.whatsapp_outbox (
+    id serial PRIMARY KEY,
+    organization_id integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    phone_number character varying(20) NOT NULL,
+    user_id uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    body text NOT NULL,
+    announcement_id integer REFERENCES public.announcements(id) ON DELETE CASCADE,
+    announcement_log_id integer REFERENCES public.announcement_logs(id) ON DELETE SET NULL,
+    status character varying(10) DEFAULT 'queued'::character varying NOT NULL,
+    error text,
+    sender_phone_number character varying(20),
+    wa_message_id character varying(128),
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    sent_at timestamp with time zone,
+    delivered_at timestamp with time zone,
+    read_at timestamp with time zone,
+    CONSTRAINT whatsapp_outbox_status_check CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'skipped'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_outbox_queued
+    ON public.whatsapp_outbox (organization_id, id)
+    WHERE status IN ('queued', 'sending');
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_outbox_sent
+    ON public.whatsapp_outbox (organization_id, sender_phone_number, sent_at)
+    WHERE sent_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_outbox_message
+    ON public.whatsapp_outbox (organization_id, wa_message_id)
+    WHERE wa_message_id IS NOT NULL;
+
+COMMENT ON TABLE public.whatsapp_outbox IS
+  'WhatsApp messages waiting to be sent by the organization''s connection, and what became of them.';
+COMMENT ON COLUMN public.whatsapp_outbox.sender_phone_number IS
+  'Connected number that sent the message; the daily limit is counted per number.';
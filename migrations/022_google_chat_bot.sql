@@ -0,0 +1,15 @@
+-- 022_google_chat_bot.sql
+--
+-- Google Chat commands for leaders.
+--
+-- The Chat app can now be called from a registered space ("/attendance today",
+-- "/medication due", "/next meeting", "/badges") and its card buttons mark a
+-- dose given or approve a badge. Chat signs each call with a token whose
+-- audience is the Cloud project number of the app; it is kept next to the
+-- service account so the call can be checked and tied to the organization.
+
+ALTER TABLE public.google_chat_config
+    ADD COLUMN IF NOT EXISTS project_number character varying(32);
+
+COMMENT ON COLUMN public.google_chat_config.project_number IS
+  'Cloud project number of the Chat app: audience of the tokens Chat signs its interaction events with.';
@@ -11,6 +11,7 @@ import { initI18n } from './src/i18n';
 import { RootNavigator } from './src/navigation';
 import { LoadingSpinner } from './src/components';
 import { logConfigValues } from './src/utils/DebugConfig';
+import { syncEngine } from './src/sync/SyncEngine';
 import { debugLog, debugError } from './src/utils/DebugUtils';
 
 // Error Boundary Component
@@ -75,6 +76,10 @@ export default function App() {
       // Initialize i18n system (loads translations and sets locale)
       await initI18n();
       debugLog('[App] i18n initialized successfully');
+
+      // Replay changes queued offline; not awaited so a slow network does
+      // not hold the splash screen
+      syncEngine.init().catch((error) => debugError('[App] Sync init failed:', error));
     } catch (error) {
       debugError('[App] Error initializing app:', error);
       debugError('[App] Error stack:', error.stack);
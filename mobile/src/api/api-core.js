@@ -7,13 +7,15 @@
  * - Automatic JWT token attachment
  * - Error handling and response normalization
  * - Request retry logic
- * - 401 handling (auto-logout on invalid session)
+ * - 401 handling (one refresh-token retry, then auto-logout)
+ * - Offline writes queued in the sync outbox (see src/sync)
  */
 
 import axios from 'axios';
 import CONFIG, { getApiUrl, getDynamicApiUrl } from '../config';
 import StorageUtils from '../utils/StorageUtils';
 import CacheManager from '../utils/CacheManager';
+import { outboxManager } from '../sync/OutboxManager';
 import { debugLog, debugError } from '../utils/DebugUtils.js';
 
 // Create axios instance with default config
@@ -83,6 +85,42 @@ const buildHeaders = async (customHeaders = {}) => {
   };
 };
 
+let refreshInFlight = null;
+
+/**
+ * Trade the stored refresh token for a new access token.
+ * Mirrors spa/api/api-session.js: concurrent callers share one request,
+ * since each refresh retires the token it presented.
+ *
+ * @returns {Promise<boolean>} True when a new access token was stored
+ */
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = await StorageUtils.getItem(CONFIG.STORAGE_KEYS.REFRESH_TOKEN);
+      if (!refreshToken) {
+        return false;
+      }
+      const url = await getDynamicApiUrl(CONFIG.ENDPOINTS.REFRESH_TOKEN);
+      const response = await axiosInstance.post(url, { refresh_token: refreshToken });
+      if (!response.data?.token || !response.data?.refresh_token) {
+        return false;
+      }
+      await StorageUtils.setJWT(response.data.token);
+      await StorageUtils.setItem(CONFIG.STORAGE_KEYS.REFRESH_TOKEN, response.data.refresh_token);
+      return true;
+    })()
+      .catch((error) => {
+        debugError('[API] Session refresh failed:', error.response?.status || error.message);
+        return false;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
 /**
  * Handle API errors
  * Mirrors spa/api/api-core.js error handling
@@ -130,6 +168,9 @@ const makeRequest = async (method, endpoint, data = null, options = {}) => {
     forceRefresh = false, // Skip cache and fetch fresh data
     cacheDuration, // Optional custom cache duration
     cacheKey, // Optional custom cache key (useful for endpoints with query params)
+    sessionRefreshed = false, // Set on the retry that follows a token refresh
+    queueOffline = true, // Queue mutations in the sync outbox when offline
+    offline = {}, // Outbox metadata: { entityType, operation, entityId, tempId }
     ...axiosOptions
   } = options;
 
@@ -151,20 +192,28 @@ const makeRequest = async (method, endpoint, data = null, options = {}) => {
   const isOnline = await CacheManager.getNetworkState();
   const isMutation = ['POST', 'PUT', 'DELETE', 'PATCH'].includes(method);
 
-  // If offline and it's a mutation, queue it
+  // If offline and it's a mutation, queue it in the outbox. Auth headers
+  // are added when it is replayed, so an expired token is not stored.
   if (!isOnline && isMutation) {
+    if (!queueOffline) {
+      throw {
+        success: false,
+        message: 'Device is offline',
+        offline: true,
+      };
+    }
+
     if (CONFIG.FEATURES.DEBUG_LOGGING) {
       debugLog(`[API] Offline - queuing mutation: ${method} ${endpoint}`);
     }
 
-    const url = await getDynamicApiUrl(endpoint);
-    const headers = await buildHeaders(customHeaders);
-
-    await CacheManager.queueMutation({
+    const entry = await outboxManager.enqueue({
       method,
-      url,
-      data,
-      headers,
+      endpoint,
+      payload: data,
+      ...offline,
+      userId: await StorageUtils.getItem(CONFIG.STORAGE_KEYS.USER_ID),
+      organizationId: await StorageUtils.getItem(CONFIG.STORAGE_KEYS.ORGANIZATION_ID),
     });
 
     // Return optimistic response
@@ -172,7 +221,8 @@ const makeRequest = async (method, endpoint, data = null, options = {}) => {
       success: true,
       message: 'Request queued for sync when online',
       queued: true,
-      data: data,
+      localId: entry.localId,
+      data: offline.tempId && data && !Array.isArray(data) ? { ...data, id: offline.tempId } : data,
     };
   }
 
@@ -244,6 +294,19 @@ const makeRequest = async (method, endpoint, data = null, options = {}) => {
       }
     }
 
+    // An expired access token gets one refresh and one retry before logout
+    if (
+      error.response?.status === 401 &&
+      !sessionRefreshed &&
+      endpoint !== CONFIG.ENDPOINTS.REFRESH_TOKEN &&
+      (await refreshSession())
+    ) {
+      return makeRequest(method, endpoint, data, {
+        ...options,
+        sessionRefreshed: true,
+      });
+    }
+
     // Check if we should retry
     if (
       currentAttempt < retries &&
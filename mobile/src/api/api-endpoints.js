@@ -10,7 +10,17 @@
 
 import API from './api-core';
 import CONFIG from '../config';
+import StorageUtils from '../utils/StorageUtils';
 import { debugLog, debugError } from '../utils/DebugUtils.js';
+import { generateTempId } from '../sync/IdMapper';
+
+/**
+ * Outbox metadata for a create queued offline. The temp ID stands in for
+ * the record until the server assigns one: it is returned in the optimistic
+ * response, and later queued changes that use it are rewritten once the
+ * create is replayed.
+ */
+const offlineCreate = (entityType) => ({ entityType, operation: 'create', tempId: generateTempId() });
 
 /**
  * ============================================================================
@@ -31,12 +41,23 @@ export const login = async (email, password, organizationId) => {
 
 /**
  * Verify 2FA code
+ * @param {Object} [factor] - `method` and `two_factor_token` from the login step
  */
-export const verify2FA = async (email, code, trustDevice = false) => {
+export const verify2FA = async (email, code, trustDevice = false, factor = {}) => {
   return API.public(CONFIG.ENDPOINTS.VERIFY_2FA, {
     email,
     code,
     trustDevice,
+    ...factor,
+  }, 'POST');
+};
+
+/**
+ * Email a 2FA code for a login waiting on its second factor
+ */
+export const requestEmail2FACode = async (twoFactorToken) => {
+  return API.public(CONFIG.ENDPOINTS.EMAIL_2FA_CODE, {
+    two_factor_token: twoFactorToken,
   }, 'POST');
 };
 
@@ -44,7 +65,8 @@ export const verify2FA = async (email, code, trustDevice = false) => {
  * Logout
  */
 export const logout = async () => {
-  return API.post(CONFIG.ENDPOINTS.LOGOUT);
+  const refreshToken = await StorageUtils.getItem(CONFIG.STORAGE_KEYS.REFRESH_TOKEN);
+  return API.post(CONFIG.ENDPOINTS.LOGOUT, refreshToken ? { refresh_token: refreshToken } : null);
 };
 
 /**
@@ -79,10 +101,11 @@ export const verifySession = async () => {
 };
 
 /**
- * Refresh token
+ * Trade the stored refresh token for a new access/refresh token pair
  */
 export const refreshToken = async () => {
-  return API.post(CONFIG.ENDPOINTS.REFRESH_TOKEN);
+  const storedToken = await StorageUtils.getItem(CONFIG.STORAGE_KEYS.REFRESH_TOKEN);
+  return API.post(CONFIG.ENDPOINTS.REFRESH_TOKEN, { refresh_token: storedToken });
 };
 
 /**
@@ -235,17 +258,21 @@ export const getActivity = async (id) => {
 };
 
 /**
- * Create activity
+ * Create activity (queued for sync when offline)
  */
 export const createActivity = async (activityData) => {
-  return API.post(CONFIG.ENDPOINTS.ACTIVITIES, activityData);
+  return API.post(CONFIG.ENDPOINTS.ACTIVITIES, activityData, {
+    offline: offlineCreate('activities'),
+  });
 };
 
 /**
- * Update activity
+ * Update activity (queued for sync when offline)
  */
 export const updateActivity = async (id, activityData) => {
-  return API.put(`${CONFIG.ENDPOINTS.ACTIVITIES}/${id}`, activityData);
+  return API.put(`${CONFIG.ENDPOINTS.ACTIVITIES}/${id}`, activityData, {
+    offline: { entityType: 'activities', operation: 'update', entityId: id },
+  });
 };
 
 /**
@@ -283,17 +310,21 @@ export const getParticipant = async (id) => {
 };
 
 /**
- * Create participant
+ * Create participant (queued for sync when offline)
  */
 export const createParticipant = async (participantData) => {
-  return API.post(CONFIG.ENDPOINTS.PARTICIPANTS, participantData);
+  return API.post(CONFIG.ENDPOINTS.PARTICIPANTS, participantData, {
+    offline: offlineCreate('participants'),
+  });
 };
 
 /**
- * Update participant
+ * Update participant (queued for sync when offline)
  */
 export const updateParticipant = async (id, participantData) => {
-  return API.put(`${CONFIG.ENDPOINTS.PARTICIPANTS}/${id}`, participantData);
+  return API.put(`${CONFIG.ENDPOINTS.PARTICIPANTS}/${id}`, participantData, {
+    offline: { entityType: 'participants', operation: 'update', entityId: id },
+  });
 };
 
 /**
@@ -593,17 +624,21 @@ export const getAttendance = async (date = null) => {
 };
 
 /**
- * Create attendance record
+ * Create attendance record (queued for sync when offline)
  */
 export const createAttendance = async (attendanceData) => {
-  return API.post(CONFIG.ENDPOINTS.ATTENDANCE, attendanceData);
+  return API.post(CONFIG.ENDPOINTS.ATTENDANCE, attendanceData, {
+    offline: offlineCreate('attendance'),
+  });
 };
 
 /**
- * Update attendance record
+ * Update attendance record (queued for sync when offline)
  */
 export const updateAttendance = async (id, attendanceData) => {
-  return API.put(`${CONFIG.ENDPOINTS.ATTENDANCE}/${id}`, attendanceData);
+  return API.put(`${CONFIG.ENDPOINTS.ATTENDANCE}/${id}`, attendanceData, {
+    offline: { entityType: 'attendance', operation: 'update', entityId: id },
+  });
 };
 
 /**
@@ -641,17 +676,21 @@ export const getGroups = async () => {
 };
 
 /**
- * Create group
+ * Create group (queued for sync when offline)
  */
 export const createGroup = async (groupData) => {
-  return API.post(CONFIG.ENDPOINTS.GROUPS, groupData);
+  return API.post(CONFIG.ENDPOINTS.GROUPS, groupData, {
+    offline: offlineCreate('groups'),
+  });
 };
 
 /**
- * Update group
+ * Update group (queued for sync when offline)
  */
 export const updateGroup = async (id, groupData) => {
-  return API.put(`${CONFIG.ENDPOINTS.GROUPS}/${id}`, groupData);
+  return API.put(`${CONFIG.ENDPOINTS.GROUPS}/${id}`, groupData, {
+    offline: { entityType: 'groups', operation: 'update', entityId: id },
+  });
 };
 
 /**
@@ -836,10 +875,12 @@ export const getStripePaymentStatus = async (paymentIntentId) => {
  */
 
 /**
- * Update points for participants or groups
+ * Update points for participants or groups (queued for sync when offline)
  */
 export const updatePoints = async (updates) => {
-  return API.post(CONFIG.ENDPOINTS.UPDATE_POINTS, updates);
+  return API.post(CONFIG.ENDPOINTS.UPDATE_POINTS, updates, {
+    offline: offlineCreate('points'),
+  });
 };
 
 /**
@@ -1071,17 +1112,22 @@ export const deleteMedicationRequirement = async (requirementId) => {
 };
 
 /**
- * Record medication distributions
+ * Record medication distributions (queued for sync when offline)
  */
 export const recordMedicationDistribution = async (payload) => {
-  return API.post(`${CONFIG.ENDPOINTS.MEDICATION}/distributions`, payload);
+  return API.post(`${CONFIG.ENDPOINTS.MEDICATION}/distributions`, payload, {
+    offline: offlineCreate('medication_distributions'),
+  });
 };
 
 /**
- * Mark medication distribution as given
+ * Mark medication distribution as given (queued for sync when offline; a
+ * dose another leader already gave comes back as a conflict)
  */
 export const markMedicationDistributionAsGiven = async (distributionId, payload) => {
-  return API.patch(`${CONFIG.ENDPOINTS.MEDICATION}/distributions/${distributionId}`, payload);
+  return API.patch(`${CONFIG.ENDPOINTS.MEDICATION}/distributions/${distributionId}`, payload, {
+    offline: { entityType: 'medication_distributions', operation: 'update', entityId: distributionId },
+  });
 };
 
 /**
@@ -1659,6 +1705,39 @@ export const saveFormSubmission = async (formType, participantId, formData) => {
   return submitDynamicForm(formType, participantId, formData);
 };
 
+/**
+ * Upload a file picked for a form's file field. The file is kept in storage
+ * and only its metadata ({ key, name, type, size }) goes in the submission.
+ * Not queued offline: the picked file would not survive in the outbox.
+ * @param {Object} file - Picked file ({ uri, name, type })
+ * @param {number} participantId - Participant the form is about
+ * @param {string} formType - Form type
+ */
+export const uploadFormAttachment = async (file, participantId, formType) => {
+  const body = new FormData();
+  body.append('file', file);
+  body.append('participant_id', String(participantId));
+  body.append('form_type', formType);
+
+  return API.post(`${CONFIG.ENDPOINTS.FORMS}/attachments`, body, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    queueOffline: false,
+    retries: 0,
+  });
+};
+
+/**
+ * Get a short-lived link to a file attached to a form
+ * @param {string} key - Storage key from the submission
+ * @param {number} participantId - Participant the form is about
+ */
+export const getFormAttachmentUrl = async (key, participantId) => {
+  return API.get(`${CONFIG.ENDPOINTS.FORMS}/attachments/url`, {
+    participant_id: participantId,
+    key,
+  }, { useCache: false });
+};
+
 /**
  * Get risk acceptance data for a participant
  * @param {number} participantId - Participant ID
@@ -1852,6 +1931,7 @@ export default {
   // Auth
   login,
   verify2FA,
+  requestEmail2FACode,
   logout,
   register,
   requestPasswordReset,
@@ -3,18 +3,29 @@
  *
  * Mirrors spa/JSONFormRenderer.js functionality for React Native
  * Renders dynamic forms based on JSON form structure from backend
- * Supports all field types: text, textarea, select, checkbox, radio, date, email, tel
- * Handles field dependencies (dependsOn) and conditional display
+ * Supports all field types: text, textarea, select, checkbox, radio, date, email, tel,
+ * number, computed, signature, file and repeat (rows of sub-fields)
+ * Handles field dependencies (dependsOn), showIf / requiredIf conditions and
+ * computed values through utils/FormLogicUtils
  *
  * @module components/DynamicFormRenderer
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
 import { translate as t } from '../i18n';
 import FormField, { Checkbox, RadioGroup, Select } from './FormField';
 import theme from '../theme';
 import { debugLog, debugWarn, debugError } from '../utils/DebugUtils';
+import {
+  applyComputedValues,
+  evaluateCondition,
+  isFieldRequired,
+  isFieldVisible as isShownByCondition,
+} from '../utils/FormLogicUtils';
+
+const isChecked = (value) => value === true || value === '1' || value === 'true' || value === 'on';
 
 /**
  * DynamicFormRenderer Component
@@ -24,10 +35,20 @@ import { debugLog, debugWarn, debugError } from '../utils/DebugUtils';
  * @param {Object} props.formData - Current form data (controlled)
  * @param {Function} props.onFieldChange - Callback when field value changes (fieldName, value)
  * @param {boolean} props.disabled - Disable all fields
+ * @param {Object} props.context - What the form is about: `birthDate` of the
+ *   participant (for age conditions and computed ages) and `uploadFile(asset)`,
+ *   which stores a picked file and resolves to its metadata
  * @returns {JSX.Element}
  */
-const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disabled = false }) => {
+const DynamicFormRenderer = ({
+  formStructure,
+  formData = {},
+  onFieldChange,
+  disabled = false,
+  context = {},
+}) => {
   const [dependencyMap, setDependencyMap] = useState({});
+  const [uploadingField, setUploadingField] = useState(null);
 
   // Parse form structure if it's a string
   const parsedStructure = useMemo(() => {
@@ -62,18 +83,30 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
     setDependencyMap(depMap);
   }, [parsedStructure]);
 
-  // Check if a field should be visible based on dependencies
-  const isFieldVisible = (field) => {
-    if (!field.dependsOn) return true;
+  // Computed fields are worked out from the answers and handed back, so they
+  // are saved with the rest of the form
+  const computedValues = useMemo(
+    () => applyComputedValues(parsedStructure?.fields, formData, context),
+    [parsedStructure, formData, context.birthDate]
+  );
 
-    const { field: parentField, value: requiredValue } = field.dependsOn;
-    const parentValue = formData[parentField];
+  useEffect(() => {
+    if (!parsedStructure?.fields || !onFieldChange) return;
 
-    // Support both string and array of values
-    if (Array.isArray(requiredValue)) {
-      return requiredValue.includes(parentValue);
-    }
-    return parentValue === requiredValue;
+    parsedStructure.fields.forEach((field) => {
+      if (field.type !== 'computed' || !field.name) return;
+      const value = computedValues[field.name];
+      if (String(value ?? '') !== String(formData[field.name] ?? '')) {
+        onFieldChange(field.name, value);
+      }
+    });
+  }, [computedValues]);
+
+  // Check if a field should be visible: its showIf holds and, as the app has
+  // always done, its dependsOn is met (read as tolerantly as on the web)
+  const isFieldVisible = (field) => {
+    if (!isShownByCondition(field, formData, context)) return false;
+    return !field.dependsOn || evaluateCondition(field.dependsOn, formData, context);
   };
 
   // Handle field value change
@@ -82,6 +115,21 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
       onFieldChange(fieldName, value);
     }
 
+    // Clear answers whose showIf no longer holds, so a hidden field is not saved
+    const nextData = { ...formData, [fieldName]: value };
+    parsedStructure.fields.forEach((field) => {
+      if (
+        field.showIf &&
+        field.name !== fieldName &&
+        formData[field.name] !== undefined &&
+        formData[field.name] !== '' &&
+        !isShownByCondition(field, nextData, context) &&
+        onFieldChange
+      ) {
+        onFieldChange(field.name, '');
+      }
+    });
+
     // Check if this field controls other fields (dependencies)
     if (dependencyMap[fieldName]) {
       dependencyMap[fieldName].forEach(({ fieldName: dependentField }) => {
@@ -119,12 +167,10 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
       type = 'text',
       name,
       label,
-      required = false,
       placeholder,
       options = [],
       help_text,
       infoText,
-      dependsOn,
     } = field;
 
     // Check if field should be visible
@@ -132,7 +178,8 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
     if (!visible) return null;
 
     const value = formData[name] || '';
-    const isDisabled = disabled || (dependsOn && !isFieldVisible(field));
+    const isDisabled = disabled;
+    const required = isFieldRequired(field, formData, context);
     const helpText = help_text || infoText;
 
     // Info text only (not a field)
@@ -228,11 +275,8 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
           <Checkbox
             key={name}
             label={t(label || name)}
-            checked={value === true || value === '1' || value === 'true' || value === 'on'}
-            onPress={() => {
-              const newValue = !(value === true || value === '1' || value === 'true' || value === 'on');
-              handleChange(name, newValue);
-            }}
+            checked={isChecked(value)}
+            onPress={() => handleChange(name, !isChecked(value))}
             disabled={isDisabled}
             style={styles.checkbox}
           />
@@ -256,6 +300,24 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
           />
         );
 
+      case 'computed':
+        return (
+          <View key={name} style={styles.computed}>
+            <Text style={styles.fieldLabel}>{t(label || name)}</Text>
+            <Text style={styles.computedValue}>{String(computedValues[name] ?? '')}</Text>
+            {helpText ? <Text style={styles.helpText}>{t(helpText)}</Text> : null}
+          </View>
+        );
+
+      case 'signature':
+        return renderSignature(field, value, required, isDisabled);
+
+      case 'file':
+        return renderFile(field, value, required, isDisabled);
+
+      case 'repeat':
+        return renderRepeat(field, required, isDisabled);
+
       default:
         debugWarn(`Unknown field type: ${type} for field ${name}`);
         return (
@@ -273,6 +335,193 @@ const DynamicFormRenderer = ({ formStructure, formData = {}, onFieldChange, disa
     }
   };
 
+  // Typed signature: the name, stamped with the time it was typed
+  const renderSignature = (field, value, required, isDisabled) => {
+    const { name, label } = field;
+    const signedBy = typeof value === 'object' ? value.signed_by || '' : '';
+
+    return (
+      <View key={name}>
+        <FormField
+          label={t(label || name)}
+          value={signedBy}
+          onChangeText={(val) =>
+            handleChange(
+              name,
+              val.trim() ? { signed_by: val, signed_at: new Date().toISOString() } : ''
+            )
+          }
+          placeholder={t('form_signature_placeholder')}
+          autoCapitalize="words"
+          required={required}
+          disabled={isDisabled}
+          helpText={
+            value?.signed_at
+              ? t('form_signature_signed_on', { date: String(value.signed_at).slice(0, 10) })
+              : ''
+          }
+        />
+      </View>
+    );
+  };
+
+  // Pick a photo and store it through context.uploadFile; the answer is the
+  // stored file's metadata
+  const pickFile = async (name) => {
+    try {
+      const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== 'granted') {
+        return;
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.8,
+      });
+      if (result.canceled || !result.assets?.[0]) {
+        return;
+      }
+
+      const asset = result.assets[0];
+      setUploadingField(name);
+      const stored = await context.uploadFile({
+        uri: asset.uri,
+        name: asset.fileName || asset.uri.split('/').pop(),
+        type: asset.mimeType || 'image/jpeg',
+      });
+      handleChange(name, stored);
+    } catch (err) {
+      debugError('Error uploading form file:', err);
+    } finally {
+      setUploadingField(null);
+    }
+  };
+
+  const renderFile = (field, value, required, isDisabled) => {
+    const { name, label } = field;
+    const canUpload = Boolean(context.uploadFile) && !isDisabled;
+    const status = uploadingField === name
+      ? t('form_file_uploading')
+      : value?.name || '';
+
+    return (
+      <View key={name} style={styles.fieldBlock}>
+        <Text style={styles.fieldLabel}>
+          {t(label || name)}
+          {required && <Text style={styles.required}> *</Text>}
+        </Text>
+        <TouchableOpacity
+          style={[styles.actionButton, !canUpload && styles.actionButtonDisabled]}
+          onPress={() => pickFile(name)}
+          disabled={!canUpload || uploadingField === name}
+        >
+          <Text style={styles.actionButtonText}>{t('form_file_choose')}</Text>
+        </TouchableOpacity>
+        {status ? <Text style={styles.helpText}>{status}</Text> : null}
+        {value?.key && context.openFile ? (
+          <TouchableOpacity onPress={() => context.openFile(value)}>
+            <Text style={styles.linkText}>{t('form_file_view')}</Text>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    );
+  };
+
+  // Repeating group: one block of sub-fields per row
+  const renderRepeat = (field, required, isDisabled) => {
+    const { name, label, fields: subFields = [] } = field;
+    const rows = Array.isArray(formData[name]) ? formData[name] : [];
+
+    const updateRow = (rowIndex, subName, subValue) => {
+      handleChange(
+        name,
+        rows.map((row, index) => (index === rowIndex ? { ...row, [subName]: subValue } : row))
+      );
+    };
+
+    const renderSubField = (subField, row, rowIndex) => {
+      const subLabel = t(subField.label || subField.name);
+      const subValue = row[subField.name] ?? '';
+      const subRequired = isFieldRequired(subField, row, context);
+      const key = `${name}-${rowIndex}-${subField.name}`;
+
+      if (subField.type === 'checkbox') {
+        return (
+          <Checkbox
+            key={key}
+            label={subLabel}
+            checked={isChecked(subValue)}
+            onPress={() => updateRow(rowIndex, subField.name, !isChecked(subValue))}
+            style={styles.checkbox}
+          />
+        );
+      }
+      if (subField.type === 'select') {
+        return (
+          <Select
+            key={key}
+            label={subLabel}
+            value={subValue}
+            options={(subField.options || []).map((opt) => ({
+              value: opt.value,
+              label: t(opt.label || opt.value),
+            }))}
+            onChange={(val) => updateRow(rowIndex, subField.name, val)}
+          />
+        );
+      }
+      return (
+        <FormField
+          key={key}
+          label={subLabel}
+          value={String(subValue)}
+          onChangeText={(val) => updateRow(rowIndex, subField.name, val)}
+          placeholder={subField.type === 'date' ? 'YYYY-MM-DD' : ''}
+          keyboardType={
+            subField.type === 'email'
+              ? 'email-address'
+              : subField.type === 'tel'
+              ? 'phone-pad'
+              : subField.type === 'number'
+              ? 'numeric'
+              : 'default'
+          }
+          multiline={subField.type === 'textarea'}
+          required={subRequired}
+        />
+      );
+    };
+
+    return (
+      <View key={name} style={styles.fieldBlock}>
+        <Text style={styles.fieldLabel}>
+          {t(label || name)}
+          {required && <Text style={styles.required}> *</Text>}
+        </Text>
+        {rows.map((row, rowIndex) => (
+          <View key={`${name}-${rowIndex}`} style={styles.repeatRow}>
+            {subFields.map((subField) => renderSubField(subField, row || {}, rowIndex))}
+            {!isDisabled && (
+              <TouchableOpacity
+                onPress={() => handleChange(name, rows.filter((_, index) => index !== rowIndex))}
+              >
+                <Text style={styles.removeText}>{t('form_repeat_remove_row')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+        {!isDisabled && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleChange(name, [...rows, {}])}
+          >
+            <Text style={styles.actionButtonText}>{t('form_repeat_add_row')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
   // Validate form structure
   if (!parsedStructure) {
     return (
@@ -317,6 +566,62 @@ const styles = StyleSheet.create({
   checkbox: {
     marginBottom: theme.spacing.md,
   },
+  fieldBlock: {
+    marginBottom: theme.spacing.md,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  required: {
+    color: theme.colors.error,
+  },
+  helpText: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.xs,
+  },
+  computed: {
+    marginBottom: theme.spacing.md,
+  },
+  computedValue: {
+    fontSize: 16,
+    color: theme.colors.text.primary,
+    paddingVertical: theme.spacing.sm,
+  },
+  actionButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionButtonText: {
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+  linkText: {
+    color: theme.colors.primary,
+    textDecorationLine: 'underline',
+    marginTop: theme.spacing.xs,
+  },
+  repeatRow: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  removeText: {
+    color: theme.colors.error,
+    textAlign: 'right',
+  },
   error: {
     padding: theme.spacing.lg,
     alignItems: 'center',
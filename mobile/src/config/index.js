@@ -66,12 +66,13 @@ const CONFIG = {
     // Auth endpoints (non-versioned)
     LOGIN: '/public/login',
     VERIFY_2FA: '/public/verify-2fa',
+    EMAIL_2FA_CODE: '/public/2fa/email-code',
     LOGOUT: '/api/auth/logout',
     REGISTER: '/public/register',
     RESET_PASSWORD: '/api/auth/reset-password',
     REQUEST_RESET: '/api/auth/request-reset',
     VERIFY_SESSION: '/api/auth/verify-session',
-    REFRESH_TOKEN: '/refresh-token',
+    REFRESH_TOKEN: '/api/v1/auth/refresh',
 
     // Organization
     GET_ORGANIZATION_ID: '/public/get_organization_id',
@@ -127,6 +128,7 @@ const CONFIG = {
   // Storage keys (mirrors spa CONFIG.STORAGE_KEYS)
   STORAGE_KEYS: {
     JWT_TOKEN: 'jwtToken',
+    REFRESH_TOKEN: 'refreshToken',
     USER_ID: 'userId',
     USER_ROLE: 'userRole',
     USER_ROLES: 'userRoles',
@@ -140,6 +142,9 @@ const CONFIG = {
     WAMPUMS_LANG: 'wampums-lang',
     OFFLINE_QUEUE: 'offlineQueue',
     LAST_SYNC: 'lastSync',
+    SYNC_OUTBOX: 'syncOutbox',
+    SYNC_CONFLICTS: 'syncConflicts',
+    SYNC_ID_MAP: 'syncIdMap',
   },
 
   // Cache configuration
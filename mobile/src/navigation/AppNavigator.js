@@ -43,6 +43,7 @@ import {
   CalendarScreen,
   FundraisersScreen,
   MailingListScreen,
+  OfflineChangesScreen,
   // Auth & Organization
   RegisterScreen,
   ResetPasswordScreen,
@@ -542,6 +543,15 @@ const AppNavigator = ({ userPermissions, onLogout }) => {
         }}
       />
 
+      <Stack.Screen
+        name="OfflineChanges"
+        component={OfflineChangesScreen}
+        options={{
+          headerShown: true,
+          title: t('offline_changes'),
+        }}
+      />
+
       {/* Auth & Organization Screens */}
       <Stack.Screen
         name="Register"
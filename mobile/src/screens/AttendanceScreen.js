@@ -326,8 +326,11 @@ const AttendanceScreen = () => {
         throw new Error(response.message || t('error_loading_attendance'));
       }
 
-      // Clear attendance cache to ensure fresh data on next load
-      await CacheManager.clearAttendanceRelatedCaches();
+      // Clear attendance cache to ensure fresh data on next load. A change
+      // queued offline keeps the cache; the sync engine clears it once sent.
+      if (!response.queued) {
+        await CacheManager.clearAttendanceRelatedCaches();
+      }
 
       setAttendanceMap((prev) => ({ ...prev, [participantId]: status }));
     } catch (err) {
@@ -382,7 +385,9 @@ const AttendanceScreen = () => {
       }
 
       // Clear attendance cache to ensure fresh data on next load
-      await CacheManager.clearAttendanceRelatedCaches();
+      if (!results.some((result) => result.queued)) {
+        await CacheManager.clearAttendanceRelatedCaches();
+      }
     } catch (err) {
       debugError('Error updating group attendance:', err);
       Alert.alert(t('error'), err.message || t('error_updating_group_attendance'));
@@ -22,6 +22,8 @@ import {
   getOrganizationFormFormats,
   submitDynamicForm,
   getFormSubmission,
+  uploadFormAttachment,
+  getFormAttachmentUrl,
 } from '../api/api-endpoints';
 import { translate as t } from '../i18n';
 import theme, { commonStyles } from '../theme';
@@ -36,6 +38,7 @@ import {
 } from '../components';
 import DateUtils from '../utils/DateUtils';
 import { formatPhoneNumber, getCleanedPhoneNumber } from '../utils/PhoneUtils';
+import { findMissingFields } from '../utils/FormLogicUtils';
 
 const HealthFormScreen = ({ route, navigation }) => {
   const { participantId } = route.params;
@@ -132,7 +135,42 @@ const HealthFormScreen = ({ route, navigation }) => {
     });
   };
 
+  // What the form is about, for age conditions, computed ages and file fields
+  const formContext = {
+    birthDate: participant?.birthdate,
+    uploadFile: async (file) => {
+      try {
+        const result = await uploadFormAttachment(file, participantId, 'fiche_sante');
+        if (!result.success) {
+          throw new Error(result.message);
+        }
+        return result.data;
+      } catch (err) {
+        toast.show(err.message || t('form_file_upload_failed'), 'error');
+        throw err;
+      }
+    },
+    openFile: async (attachment) => {
+      try {
+        const result = await getFormAttachmentUrl(attachment.key, participantId);
+        await Linking.openURL(result.data.url);
+      } catch (err) {
+        toast.show(t('form_file_unavailable'), 'error');
+      }
+    },
+  };
+
   const handleSubmit = async () => {
+    const missing = findMissingFields(formStructure?.fields, formData, formContext);
+    if (missing.length > 0) {
+      const labels = missing.map((name) => {
+        const field = formStructure.fields.find((candidate) => candidate.name === name);
+        return t(field?.label || name);
+      });
+      toast.show(`${t('form_missing_required_fields')}: ${labels.join(', ')}`, 'warning');
+      return;
+    }
+
     try {
       setLoading(true);
 
@@ -217,6 +255,7 @@ const HealthFormScreen = ({ route, navigation }) => {
               formData={formData}
               onFieldChange={handleFieldChange}
               disabled={loading}
+              context={formContext}
             />
           </View>
         )}
@@ -21,7 +21,7 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
-import { login, verify2FA, getOrganizationLanguage } from '../api/api-endpoints';
+import { login, verify2FA, requestEmail2FACode, getOrganizationLanguage } from '../api/api-endpoints';
 import StorageUtils from '../utils/StorageUtils';
 import { translate as t, changeLanguage } from '../i18n';
 import CONFIG from '../config';
@@ -39,6 +39,10 @@ const LoginScreen = ({ navigation, onLogin }) => {
   const [loading, setLoading] = useSafeState(false);
   const [error, setError] = useSafeState('');
   const [requires2FA, setRequires2FA] = useSafeState(false);
+  // Login step state: token, enrolled methods, and whether a code was emailed.
+  // Passkeys are web-only; the app offers the authenticator or the email code.
+  const [twoFactorChallenge, setTwoFactorChallenge] = useSafeState(null);
+  const [twoFactorMethod, setTwoFactorMethod] = useSafeState('email');
 
   useEffect(() => {
     debugLog('🟠 [LoginScreen] useEffect - loading organization language and ID');
@@ -102,6 +106,22 @@ const LoginScreen = ({ navigation, onLogin }) => {
       if (response.success) {
         // Check for 2FA requirement (backend uses snake_case)
         if (response.requires_2fa || response.data?.requires_2fa) {
+          const methods = response.two_factor_methods || ['email'];
+          const emailSent = response.message !== '2fa_required';
+          setTwoFactorChallenge({
+            token: response.two_factor_token || null,
+            methods,
+            emailSent,
+          });
+          if (methods.includes('totp') && (response.preferred_method === 'totp' || !emailSent)) {
+            setTwoFactorMethod('totp');
+          } else {
+            setTwoFactorMethod('email');
+            if (!emailSent) {
+              await requestEmail2FACode(response.two_factor_token);
+              setTwoFactorChallenge({ token: response.two_factor_token, methods, emailSent: true });
+            }
+          }
           setRequires2FA(true);
         } else {
           // Login successful, store session data
@@ -131,7 +151,11 @@ const LoginScreen = ({ navigation, onLogin }) => {
     setLoading(true);
 
     try {
-      const response = await verify2FA(email, twoFactorCode, trustDevice);
+      const factor = { method: twoFactorMethod };
+      if (twoFactorChallenge?.token) {
+        factor.two_factor_token = twoFactorChallenge.token;
+      }
+      const response = await verify2FA(email, twoFactorCode, trustDevice, factor);
 
       if (response.success) {
         // 2FA successful, store session data (response at top level)
@@ -159,6 +183,25 @@ const LoginScreen = ({ navigation, onLogin }) => {
     }
   };
 
+  const switchTwoFactorMethod = async () => {
+    setError('');
+    setTwoFactorCode('');
+    if (twoFactorMethod === 'totp') {
+      if (!twoFactorChallenge?.emailSent) {
+        try {
+          await requestEmail2FACode(twoFactorChallenge?.token);
+          setTwoFactorChallenge({ ...twoFactorChallenge, emailSent: true });
+        } catch (err) {
+          setError(err.message || t('Verification failed'));
+          return;
+        }
+      }
+      setTwoFactorMethod('email');
+    } else {
+      setTwoFactorMethod('totp');
+    }
+  };
+
   const storeSessionData = async (data) => {
     // Store session data similar to spa/login.js
     // Backend returns snake_case (user_id, user_role, etc.)
@@ -183,6 +226,11 @@ const LoginScreen = ({ navigation, onLogin }) => {
       [CONFIG.STORAGE_KEYS.CURRENT_ORGANIZATION_ID]: data.organization_id || organizationId,
     });
     
+    // Keeps the short-lived access token alive (see api/api-core.js refreshSession)
+    if (data.refresh_token) {
+      await StorageUtils.setItem(CONFIG.STORAGE_KEYS.REFRESH_TOKEN, data.refresh_token);
+    }
+
     debugLog('🟠 [LoginScreen] Stored permissions:', await StorageUtils.getItem(CONFIG.STORAGE_KEYS.USER_PERMISSIONS));
 
     // Backend uses snake_case
@@ -213,7 +261,9 @@ const LoginScreen = ({ navigation, onLogin }) => {
       >
         <View style={styles.form}>
           <Text style={styles.title}>{t('two_factor_email_heading')}</Text>
-          <Text style={styles.subtitle}>{t('two_factor_message')}</Text>
+          <Text style={styles.subtitle}>
+            {t(twoFactorMethod === 'totp' ? 'two_factor_totp_message' : 'two_factor_message')}
+          </Text>
 
           {error ? <Text style={styles.error}>{error}</Text> : null}
 
@@ -249,6 +299,14 @@ const LoginScreen = ({ navigation, onLogin }) => {
             )}
           </TouchableOpacity>
 
+          {twoFactorChallenge?.methods?.includes('totp') ? (
+            <TouchableOpacity onPress={switchTwoFactorMethod}>
+              <Text style={styles.link}>
+                {t(twoFactorMethod === 'totp' ? 'two_factor_use_email' : 'two_factor_use_totp')}
+              </Text>
+            </TouchableOpacity>
+          ) : null}
+
           <TouchableOpacity onPress={() => setRequires2FA(false)}>
             <Text style={styles.link}>{t('back_to_login')}</Text>
           </TouchableOpacity>
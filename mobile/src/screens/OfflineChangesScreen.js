@@ -0,0 +1,345 @@
+/**
+ * Offline Changes Screen
+ *
+ * Changes taken without signal (attendance, points, medication) waiting to
+ * be sent, and the ones the server refused because someone changed the same
+ * record first. For each conflict the leader keeps their change (it is sent
+ * again) or the server's (their change is dropped).
+ */
+
+import React, { useEffect } from 'react';
+import { useSafeState } from '../hooks/useSafeState';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  RefreshControl,
+} from 'react-native';
+import { translate as t } from '../i18n';
+import theme, { commonStyles } from '../theme';
+import { Card, Button, EmptyState, Toast, useToast } from '../components';
+import { outboxManager } from '../sync/OutboxManager';
+import { syncEngine } from '../sync/SyncEngine';
+import { debugError } from '../utils/DebugUtils';
+
+const MAX_FIELDS = 8;
+
+/**
+ * Label/value pairs for the scalar fields of a record version.
+ */
+const describeVersion = (version) => {
+  if (Array.isArray(version)) {
+    return version.length === 1 ? describeVersion(version[0]) : [];
+  }
+  if (!version || typeof version !== 'object') {
+    return [];
+  }
+  return Object.entries(version)
+    .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+    .slice(0, MAX_FIELDS)
+    .map(([key, value]) => [key, String(value)]);
+};
+
+const entityLabel = (entityType) => {
+  const key = `sync_entity_${entityType || 'other'}`;
+  const label = t(key);
+  return label && label !== key ? label : entityType || t('sync_entity_other');
+};
+
+const OfflineChangesScreen = () => {
+  const [refreshing, setRefreshing] = useSafeState(false);
+  const [status, setStatus] = useSafeState(null);
+  const [entries, setEntries] = useSafeState([]);
+  const [conflicts, setConflicts] = useSafeState([]);
+  const [busyId, setBusyId] = useSafeState(null);
+  const toast = useToast();
+
+  useEffect(() => {
+    loadData();
+    return syncEngine.addListener((nextStatus) => {
+      setStatus(nextStatus);
+      loadData();
+    });
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const [nextEntries, nextConflicts, nextStatus] = await Promise.all([
+        outboxManager.getAll(),
+        outboxManager.getConflicts(),
+        syncEngine.getStatus(),
+      ]);
+      setEntries(nextEntries);
+      setConflicts(nextConflicts);
+      setStatus(nextStatus);
+    } catch (err) {
+      debugError('Error loading offline changes:', err);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadData();
+    setRefreshing(false);
+  };
+
+  const handleSyncNow = async () => {
+    const result = await syncEngine.sync();
+    if (result.reason === 'offline') {
+      toast.show(t('sync_still_offline'), 'warning');
+    } else if (result.conflicts > 0) {
+      toast.show(t('sync_conflicts_found'), 'warning');
+    } else if (result.success) {
+      toast.show(t('sync_complete'), 'success');
+    }
+    await loadData();
+  };
+
+  const handleResolve = async (conflictId, resolution) => {
+    setBusyId(conflictId);
+    try {
+      await outboxManager.resolveConflict(conflictId, resolution);
+      if (resolution === 'keep_mine') {
+        await syncEngine.sync();
+      }
+      await loadData();
+    } catch (err) {
+      debugError('Error resolving sync conflict:', err);
+      toast.show(t('error'), 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleFailedEntry = async (localId, action) => {
+    setBusyId(localId);
+    try {
+      if (action === 'retry') {
+        await outboxManager.retryFailed(localId);
+        await syncEngine.sync();
+      } else {
+        await outboxManager.discard(localId);
+      }
+      await loadData();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderFields = (fields) => (
+    fields.length === 0 ? (
+      <Text style={styles.muted}>—</Text>
+    ) : (
+      fields.map(([key, value]) => (
+        <Text key={key} style={styles.field}>
+          <Text style={styles.fieldKey}>{t(key) !== key ? t(key) : key}: </Text>
+          {value}
+        </Text>
+      ))
+    )
+  );
+
+  const summary = status?.summary || { pending: 0, failed: 0, conflicts: 0 };
+  const failedEntries = entries.filter((entry) => entry.status === 'failed');
+  const waitingEntries = entries.filter((entry) => entry.status !== 'failed');
+
+  return (
+    <View style={commonStyles.container}>
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        <Card style={styles.headerCard}>
+          <Text style={styles.title}>{t('offline_changes')}</Text>
+          <Text style={styles.count}>
+            {t('sync_pending_count').replace('{count}', summary.pending)}
+          </Text>
+          {status?.lastResult?.finishedAt && (
+            <Text style={styles.muted}>
+              {t('sync_last_attempt')}: {new Date(status.lastResult.finishedAt).toLocaleString()}
+            </Text>
+          )}
+          <Button
+            title={t('sync_now')}
+            onPress={handleSyncNow}
+            loading={status?.isSyncing}
+            disabled={status?.isSyncing}
+            style={styles.syncButton}
+          />
+        </Card>
+
+        {conflicts.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('sync_conflicts')}</Text>
+            <Text style={styles.muted}>{t('sync_conflicts_help')}</Text>
+            {conflicts.map((conflict) => (
+              <Card key={conflict.id} style={styles.itemCard}>
+                <Text style={styles.itemTitle}>{entityLabel(conflict.entityType)}</Text>
+                {!!conflict.message && <Text style={styles.errorText}>{conflict.message}</Text>}
+                <View style={styles.versions}>
+                  <View style={styles.version}>
+                    <Text style={styles.versionTitle}>{t('sync_my_version')}</Text>
+                    {renderFields(describeVersion(conflict.localVersion))}
+                  </View>
+                  <View style={styles.version}>
+                    <Text style={styles.versionTitle}>{t('sync_server_version')}</Text>
+                    {renderFields(describeVersion(conflict.serverVersion))}
+                  </View>
+                </View>
+                <View style={styles.actions}>
+                  <Button
+                    title={t('sync_keep_mine')}
+                    onPress={() => handleResolve(conflict.id, 'keep_mine')}
+                    disabled={busyId === conflict.id}
+                    size="small"
+                  />
+                  <Button
+                    title={t('sync_keep_theirs')}
+                    variant="secondary"
+                    onPress={() => handleResolve(conflict.id, 'keep_theirs')}
+                    disabled={busyId === conflict.id}
+                    size="small"
+                  />
+                </View>
+              </Card>
+            ))}
+          </View>
+        )}
+
+        {failedEntries.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('sync_failed_changes')}</Text>
+            {failedEntries.map((entry) => (
+              <Card key={entry.localId} style={styles.itemCard}>
+                <Text style={styles.itemTitle}>{entityLabel(entry.entityType)}</Text>
+                {!!entry.lastError && <Text style={styles.errorText}>{entry.lastError}</Text>}
+                {renderFields(describeVersion(entry.payload))}
+                <View style={styles.actions}>
+                  <Button
+                    title={t('retry')}
+                    onPress={() => handleFailedEntry(entry.localId, 'retry')}
+                    disabled={busyId === entry.localId}
+                    size="small"
+                  />
+                  <Button
+                    title={t('sync_discard_change')}
+                    variant="danger"
+                    onPress={() => handleFailedEntry(entry.localId, 'discard')}
+                    disabled={busyId === entry.localId}
+                    size="small"
+                  />
+                </View>
+              </Card>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('sync_waiting_changes')}</Text>
+          {waitingEntries.length === 0 ? (
+            <EmptyState message={t('sync_nothing_pending')} icon="✅" />
+          ) : (
+            waitingEntries.map((entry) => (
+              <Card key={entry.localId} style={styles.itemCard}>
+                <Text style={styles.itemTitle}>{entityLabel(entry.entityType)}</Text>
+                <Text style={styles.muted}>{new Date(entry.timestamp).toLocaleString()}</Text>
+                {!!entry.lastError && <Text style={styles.errorText}>{entry.lastError}</Text>}
+              </Card>
+            ))
+          )}
+        </View>
+      </ScrollView>
+      <Toast
+        visible={toast.toastState.visible}
+        message={toast.toastState.message}
+        type={toast.toastState.type}
+        duration={toast.toastState.duration}
+        onDismiss={toast.hide}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    padding: theme.spacing.md,
+  },
+  headerCard: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  title: {
+    fontSize: theme.fontSize.xxl,
+    fontWeight: theme.fontWeight.bold,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.sm,
+    textAlign: 'center',
+  },
+  count: {
+    fontSize: theme.fontSize.lg,
+    fontWeight: theme.fontWeight.semibold,
+    color: theme.colors.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  syncButton: {
+    marginTop: theme.spacing.md,
+    alignSelf: 'stretch',
+  },
+  section: {
+    marginBottom: theme.spacing.lg,
+  },
+  sectionTitle: {
+    fontSize: theme.fontSize.lg,
+    fontWeight: theme.fontWeight.bold,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.sm,
+  },
+  itemCard: {
+    marginTop: theme.spacing.sm,
+  },
+  itemTitle: {
+    fontSize: theme.fontSize.base,
+    fontWeight: theme.fontWeight.semibold,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.xs,
+  },
+  muted: {
+    fontSize: theme.fontSize.sm,
+    color: theme.colors.textMuted,
+  },
+  errorText: {
+    fontSize: theme.fontSize.sm,
+    color: theme.colors.error,
+    marginBottom: theme.spacing.xs,
+  },
+  versions: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.xs,
+  },
+  version: {
+    flex: 1,
+    paddingRight: theme.spacing.sm,
+  },
+  versionTitle: {
+    fontSize: theme.fontSize.sm,
+    fontWeight: theme.fontWeight.bold,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.xs,
+  },
+  field: {
+    fontSize: theme.fontSize.sm,
+    color: theme.colors.text,
+  },
+  fieldKey: {
+    color: theme.colors.textMuted,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.sm,
+  },
+});
+
+export default OfflineChangesScreen;
@@ -40,6 +40,7 @@ import {
 } from '../api/api-endpoints';
 import { debugLog, debugError } from '../utils/DebugUtils';
 import { isParent } from '../utils/PermissionUtils';
+import { findMissingFields } from '../utils/FormLogicUtils';
 import StorageUtils from '../utils/StorageUtils';
 import CONFIG from '../config';
 
@@ -953,25 +954,13 @@ const ReportViewerScreen = ({ route, navigation }) => {
     const { submissions, structure, formType } = data.data;
 
     const getMissingFields = (submissionData, formStructure) => {
-      const missingFields = [];
       const formTypeStructure = formStructure[formType];
 
       if (!formTypeStructure?.form_structure?.fields) return [];
 
-      formTypeStructure.form_structure.fields.forEach((field) => {
-        if (field.required && !submissionData[field.name]) {
-          if (field.dependsOn) {
-            const dependencyField = submissionData[field.dependsOn.field];
-            if (dependencyField === field.dependsOn.value) {
-              missingFields.push(field.name);
-            }
-          } else {
-            missingFields.push(field.name);
-          }
-        }
+      return findMissingFields(formTypeStructure.form_structure.fields, submissionData, {
+        birthDate: submissionData?.date_naissance,
       });
-
-      return missingFields;
     };
 
     return (
@@ -7,6 +7,7 @@
  * - WhatsApp notifications
  * - Organization switching
  * - App preferences
+ * - Offline changes waiting to sync
  * - Logout
  */
 
@@ -33,6 +34,7 @@ import {
   changePassword
 } from '../api/api-endpoints';
 import CacheManager from '../utils/CacheManager';
+import { syncEngine } from '../sync/SyncEngine';
 import CONFIG from '../config';
 import {
   Card,
@@ -59,6 +61,7 @@ const SettingsScreen = ({ navigation, route }) => {
   const [currentLanguage, setCurrentLanguage] = useSafeState('fr');
   const [pushEnabled, setPushEnabled] = useSafeState(false);
   const [switchingOrg, setSwitchingOrg] = useSafeState(false);
+  const [syncSummary, setSyncSummary] = useSafeState(null);
 
   // Editable profile fields
   const [fullName, setFullName] = useSafeState('');
@@ -77,6 +80,11 @@ const SettingsScreen = ({ navigation, route }) => {
     loadSettings();
   }, []);
 
+  useEffect(() => {
+    syncEngine.getStatus().then((status) => setSyncSummary(status.summary));
+    return syncEngine.addListener((status) => setSyncSummary(status.summary));
+  }, []);
+
   const loadSettings = async () => {
     try {
       setLoading(true);
@@ -506,6 +514,27 @@ const SettingsScreen = ({ navigation, route }) => {
           </Text>
         </View>
 
+        {/* Offline Changes Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('offline_changes').toUpperCase()}</Text>
+          <Card>
+            <TouchableOpacity
+              style={styles.settingRow}
+              onPress={() => navigation.navigate('OfflineChanges')}
+            >
+              <Text style={styles.settingLabel}>
+                {t('sync_pending_count').replace('{count}', syncSummary?.pending || 0)}
+              </Text>
+              {syncSummary?.conflicts > 0 && (
+                <Text style={styles.settingValue}>
+                  {t('sync_conflicts')}: {syncSummary.conflicts}
+                </Text>
+              )}
+              <Text style={styles.chevron}>›</Text>
+            </TouchableOpacity>
+          </Card>
+        </View>
+
         {/* App Info Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>{t('app_info').toUpperCase()}</Text>
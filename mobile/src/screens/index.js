@@ -75,6 +75,7 @@ export { default as GroupParticipantReportScreen } from './GroupParticipantRepor
 export { default as CalendarScreen } from './CalendarScreen';
 export { default as FundraisersScreen } from './FundraisersScreen';
 export { default as MailingListScreen } from './MailingListScreen';
+export { default as OfflineChangesScreen } from './OfflineChangesScreen';
 
 // Future screens
 // export { default as ActivityDetailScreen } from './ActivityDetailScreen';
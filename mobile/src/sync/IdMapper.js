@@ -0,0 +1,109 @@
+/**
+ * IdMapper.js
+ *
+ * Temporary-to-server ID mappings for entities created offline.
+ * Mirrors spa/sync/IdMapper.js over AsyncStorage: a change queued offline
+ * gets a temp ID (temp_*); once the server assigns the real one, later
+ * queued changes that point at the temp ID are rewritten before sending.
+ *
+ * @module sync/IdMapper
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CONFIG from '../config';
+import { debugLog, debugError } from '../utils/DebugUtils.js';
+
+const MAPPING_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Generate a temporary ID for an entity created offline.
+ * Same format as the web app: temp_{timestamp}_{random6chars}
+ * @returns {string}
+ */
+export function generateTempId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).slice(2, 8);
+  return `temp_${timestamp}_${random}`;
+}
+
+/**
+ * Check if an ID is a temporary (offline-created) ID.
+ * @param {*} id
+ * @returns {boolean}
+ */
+export function isTempId(id) {
+  return typeof id === 'string' && id.startsWith('temp_');
+}
+
+const mappingKey = (entityType, tempId) => `${entityType}:${tempId}`;
+
+export class IdMapper {
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(CONFIG.STORAGE_KEYS.SYNC_ID_MAP);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      debugError('[IdMapper] Error reading mappings:', error);
+      return {};
+    }
+  }
+
+  async save(mappings) {
+    await AsyncStorage.setItem(CONFIG.STORAGE_KEYS.SYNC_ID_MAP, JSON.stringify(mappings));
+  }
+
+  /**
+   * Record a temp-to-server ID mapping.
+   * @param {string} entityType - e.g. 'medication_distributions'
+   * @param {string} tempId
+   * @param {number|string} serverId
+   */
+  async addMapping(entityType, tempId, serverId) {
+    const mappings = await this.load();
+    mappings[mappingKey(entityType, tempId)] = { serverId, syncedAt: Date.now() };
+    await this.save(mappings);
+    debugLog(`[IdMapper] Added mapping ${entityType}:${tempId} -> ${serverId}`);
+  }
+
+  /**
+   * @param {string} entityType
+   * @param {string} tempId
+   * @returns {Promise<number|string|null>}
+   */
+  async getServerId(entityType, tempId) {
+    const mappings = await this.load();
+    return mappings[mappingKey(entityType, tempId)]?.serverId ?? null;
+  }
+
+  /**
+   * Resolve an ID: a mapped temp ID becomes the server ID; anything else is
+   * returned as-is.
+   */
+  async resolveId(entityType, id) {
+    if (!isTempId(id)) return id;
+    const serverId = await this.getServerId(entityType, id);
+    return serverId !== null ? serverId : id;
+  }
+
+  /**
+   * Drop mappings older than maxAgeMs; by then nothing queued refers to them.
+   * @returns {Promise<number>} Number purged
+   */
+  async purgeOldMappings(maxAgeMs = MAPPING_MAX_AGE) {
+    const cutoff = Date.now() - maxAgeMs;
+    const mappings = await this.load();
+    const stale = Object.keys(mappings).filter((key) => mappings[key].syncedAt < cutoff);
+
+    if (stale.length > 0) {
+      stale.forEach((key) => delete mappings[key]);
+      await this.save(mappings);
+      debugLog(`[IdMapper] Purged ${stale.length} old mappings`);
+    }
+
+    return stale.length;
+  }
+}
+
+export const idMapper = new IdMapper();
+
+export default idMapper;
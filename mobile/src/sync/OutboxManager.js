@@ -0,0 +1,454 @@
+/**
+ * OutboxManager.js
+ *
+ * Outbox of changes made while offline, kept in AsyncStorage.
+ * Mirrors spa/sync/OutboxManager.js: entries are replayed in entity
+ * dependency order, retried a bounded number of times, and set aside as
+ * conflicts when the server answers 409 so the user can decide.
+ *
+ * Each entry records who made the change and for which organization, so a
+ * change queued before a logout or an organization switch is still sent as
+ * its author, to the right unit.
+ *
+ * @module sync/OutboxManager
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CONFIG from '../config';
+import { isTempId } from './IdMapper';
+import { debugLog, debugWarn, debugError } from '../utils/DebugUtils.js';
+
+/**
+ * Topological sync push order, as in spa/sync/OutboxManager.js.
+ * The web app keeps points read-only offline; on a phone they are taken at
+ * camp, so they are queued too, after the participants and honors they
+ * reference.
+ */
+export const SYNC_ORDER = [
+  'groups',
+  'participants',
+  'activities',
+  'attendance',
+  'honors',
+  'points',
+  'badge_progress',
+  'medication_requirements',
+  'medication_distributions',
+  'carpool_offers',
+  'carpool_assignments',
+];
+
+/**
+ * Maximum retry count before marking an entry as permanently failed.
+ */
+export const MAX_RETRIES = 5;
+
+/**
+ * Payload fields that reference another entity, by entity type.
+ */
+const FK_FIELDS = {
+  participant_id: 'participants',
+  group_id: 'groups',
+  activity_id: 'activities',
+  badge_template_id: 'badge_templates',
+  medication_requirement_id: 'medication_requirements',
+  carpool_offer_id: 'carpool_offers',
+  honor_id: 'honors',
+};
+
+const syncPosition = (entityType) => {
+  const index = SYNC_ORDER.indexOf(entityType);
+  return index === -1 ? SYNC_ORDER.length : index;
+};
+
+const generateLocalId = () => `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Temp IDs an entry waits on: its own entity when it updates something
+ * created offline, and any foreign key still pointing at a temp ID.
+ */
+const collectDependencies = ({ entityType, operation, entityId, payload }) => {
+  const dependencies = [];
+  if (operation !== 'create' && isTempId(entityId)) {
+    dependencies.push({ entityType, tempId: entityId });
+  }
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    Object.entries(FK_FIELDS).forEach(([field, fkEntityType]) => {
+      if (isTempId(payload[field])) {
+        dependencies.push({ entityType: fkEntityType, tempId: payload[field] });
+      }
+    });
+  }
+  return dependencies;
+};
+
+export class OutboxManager {
+  constructor() {
+    // AsyncStorage has no transactions; serialize read-modify-write cycles.
+    this.lock = Promise.resolve();
+  }
+
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async readList(key) {
+    try {
+      const stored = await AsyncStorage.getItem(key);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      debugError(`[Outbox] Error reading ${key}:`, error);
+      return [];
+    }
+  }
+
+  async writeList(key, list) {
+    await AsyncStorage.setItem(key, JSON.stringify(list));
+  }
+
+  /** Apply `change` to the stored outbox and save the result. */
+  updateOutbox(change) {
+    return this.withLock(async () => {
+      const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+      const result = await change(entries);
+      await this.writeList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX, entries);
+      return result;
+    });
+  }
+
+  /**
+   * Queue a change for replay.
+   *
+   * @param {Object} change
+   * @param {string} change.method - HTTP method (POST/PUT/PATCH/DELETE)
+   * @param {string} change.endpoint - API endpoint relative to the API root
+   * @param {Object|Array} [change.payload] - Request body
+   * @param {string} [change.entityType] - Store name, for ordering (see SYNC_ORDER)
+   * @param {string} [change.operation] - create, update or delete
+   * @param {number|string} [change.entityId] - Entity the change applies to
+   * @param {string} [change.tempId] - Temp ID given to an entity created offline
+   * @param {string} [change.userId] - Author of the change
+   * @param {string} [change.organizationId] - Organization the change belongs to
+   * @returns {Promise<Object>} The stored entry
+   */
+  async enqueue(change) {
+    const entry = {
+      localId: generateLocalId(),
+      correlationId: generateLocalId(),
+      entityType: change.entityType || null,
+      operation: change.operation || 'create',
+      method: change.method,
+      endpoint: change.endpoint,
+      payload: change.payload ?? null,
+      entityId: change.entityId ?? null,
+      tempId: change.tempId || null,
+      userId: change.userId || null,
+      organizationId: change.organizationId || null,
+      timestamp: Date.now(),
+      status: 'pending',
+      retryCount: 0,
+      lastError: null,
+    };
+    entry.dependencies = collectDependencies(entry);
+
+    await this.updateOutbox((entries) => {
+      entries.push(entry);
+    });
+
+    debugLog(`[Outbox] Queued ${entry.method} ${entry.endpoint} (${entry.entityType || 'other'})`);
+    return entry;
+  }
+
+  /**
+   * Move writes left in the queue of earlier app versions (CacheManager's
+   * offline_mutation_queue) into the outbox. Those were stored with a full
+   * URL and the headers of the time; the URL becomes an endpoint again and
+   * only the organization header is kept, so they are sent with the current
+   * session.
+   *
+   * @param {Array<Object>} mutations - Legacy entries ({ method, url, data, headers, timestamp })
+   * @returns {Promise<number>} Number of entries moved
+   */
+  async importLegacyQueue(mutations) {
+    const imported = (mutations || [])
+      .filter((mutation) => mutation?.method && mutation?.url)
+      .map((mutation) => {
+        const method = mutation.method.toUpperCase();
+        const entry = {
+          localId: generateLocalId(),
+          correlationId: generateLocalId(),
+          entityType: null,
+          operation: method === 'POST' ? 'create' : method === 'DELETE' ? 'delete' : 'update',
+          method,
+          endpoint: String(mutation.url).replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/^\/api(?=\/)/, ''),
+          payload: mutation.data ?? null,
+          entityId: null,
+          tempId: null,
+          userId: null,
+          organizationId: mutation.headers?.['x-organization-id'] || null,
+          timestamp: mutation.timestamp || Date.now(),
+          status: 'pending',
+          retryCount: 0,
+          lastError: null,
+        };
+        entry.dependencies = collectDependencies(entry);
+        return entry;
+      });
+
+    if (imported.length > 0) {
+      await this.updateOutbox((entries) => {
+        entries.push(...imported);
+      });
+      debugLog(`[Outbox] Moved ${imported.length} entries from the legacy offline queue`);
+    }
+    return imported.length;
+  }
+
+  /**
+   * Pending entries in sync order, oldest first within an entity type.
+   * @returns {Promise<Array>}
+   */
+  async getPendingOrdered() {
+    const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+    return entries
+      .filter((entry) => entry.status === 'pending')
+      .sort((a, b) => {
+        const positionDelta = syncPosition(a.entityType) - syncPosition(b.entityType);
+        return positionDelta !== 0 ? positionDelta : a.timestamp - b.timestamp;
+      });
+  }
+
+  /** @returns {Promise<number>} */
+  async getPendingCount() {
+    const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+    return entries.filter((entry) => entry.status === 'pending').length;
+  }
+
+  /** All entries, any status, oldest first. */
+  async getAll() {
+    const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async markInProgress(localId) {
+    await this.updateOutbox((entries) => {
+      const entry = entries.find((item) => item.localId === localId);
+      if (entry) entry.status = 'in_progress';
+    });
+  }
+
+  /**
+   * A sent entry leaves the outbox; the server now holds the change.
+   */
+  async markSynced(localId) {
+    await this.updateOutbox((entries) => {
+      const index = entries.findIndex((item) => item.localId === localId);
+      if (index !== -1) entries.splice(index, 1);
+    });
+  }
+
+  /**
+   * Count a failed attempt; after MAX_RETRIES the entry stops being retried
+   * and stays visible as failed. A permanent failure (the server refused the
+   * request itself) stops at once: sending it again would be refused again.
+   *
+   * @param {string} localId
+   * @param {string} errorMessage
+   * @param {Object} [options]
+   * @param {boolean} [options.permanent=false]
+   */
+  async markFailed(localId, errorMessage, { permanent = false } = {}) {
+    await this.updateOutbox((entries) => {
+      const entry = entries.find((item) => item.localId === localId);
+      if (!entry) return;
+
+      entry.retryCount = (entry.retryCount || 0) + 1;
+      entry.status = permanent || entry.retryCount >= MAX_RETRIES ? 'failed' : 'pending';
+      entry.lastError = errorMessage;
+
+      if (entry.status === 'failed') {
+        debugWarn(permanent
+          ? `[Outbox] Entry ${localId} refused by the server: ${errorMessage}`
+          : `[Outbox] Entry ${localId} permanently failed after ${MAX_RETRIES} retries`);
+      }
+    });
+  }
+
+  /**
+   * Move an entry the server refused with 409 into the conflict list.
+   *
+   * @param {string} localId
+   * @param {Object} serverVersion - What the server returned with the 409
+   * @param {string} [message] - Server message, shown to the user
+   */
+  async markConflict(localId, serverVersion, message = '') {
+    await this.withLock(async () => {
+      const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+      const index = entries.findIndex((item) => item.localId === localId);
+      if (index === -1) return;
+
+      const [entry] = entries.splice(index, 1);
+      const conflicts = await this.readList(CONFIG.STORAGE_KEYS.SYNC_CONFLICTS);
+      conflicts.push({
+        id: entry.localId,
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        localVersion: entry.payload,
+        serverVersion: serverVersion ?? null,
+        message,
+        entry: { ...entry, status: 'conflict' },
+        detectedAt: Date.now(),
+      });
+
+      await this.writeList(CONFIG.STORAGE_KEYS.SYNC_CONFLICTS, conflicts);
+      await this.writeList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX, entries);
+    });
+  }
+
+  /** @returns {Promise<Array>} Unresolved conflicts, oldest first */
+  async getConflicts() {
+    const conflicts = await this.readList(CONFIG.STORAGE_KEYS.SYNC_CONFLICTS);
+    return conflicts.sort((a, b) => a.detectedAt - b.detectedAt);
+  }
+
+  /**
+   * Settle a conflict.
+   * - 'keep_mine' queues the local change again, to be sent on the next sync;
+   * - 'keep_theirs' drops it, leaving the server's version in place.
+   *
+   * @param {string} conflictId
+   * @param {'keep_mine'|'keep_theirs'} resolution
+   * @returns {Promise<boolean>} False when the conflict no longer exists
+   */
+  async resolveConflict(conflictId, resolution) {
+    return this.withLock(async () => {
+      const conflicts = await this.readList(CONFIG.STORAGE_KEYS.SYNC_CONFLICTS);
+      const index = conflicts.findIndex((conflict) => conflict.id === conflictId);
+      if (index === -1) return false;
+
+      const [conflict] = conflicts.splice(index, 1);
+      if (resolution === 'keep_mine') {
+        const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+        entries.push({
+          ...conflict.entry,
+          status: 'pending',
+          retryCount: 0,
+          lastError: null,
+          timestamp: Date.now(),
+        });
+        await this.writeList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX, entries);
+      }
+
+      await this.writeList(CONFIG.STORAGE_KEYS.SYNC_CONFLICTS, conflicts);
+      debugLog(`[Outbox] Conflict ${conflictId} resolved: ${resolution}`);
+      return true;
+    });
+  }
+
+  /**
+   * Put entries left in progress by an interrupted sync back in the queue.
+   * @returns {Promise<number>} Number of entries reset
+   */
+  async resetInProgress() {
+    return this.updateOutbox((entries) => {
+      const interrupted = entries.filter((entry) => entry.status === 'in_progress');
+      interrupted.forEach((entry) => {
+        entry.status = 'pending';
+      });
+      if (interrupted.length > 0) {
+        debugLog(`[Outbox] Reset ${interrupted.length} in-progress entries to pending`);
+      }
+      return interrupted.length;
+    });
+  }
+
+  /**
+   * Dependencies are satisfied once every temp ID the entry waits on has
+   * a server ID.
+   *
+   * @param {Object} entry
+   * @param {import('./IdMapper').IdMapper} mapper
+   * @returns {Promise<boolean>}
+   */
+  async areDependenciesSatisfied(entry, mapper) {
+    for (const dependency of entry.dependencies || []) {
+      if ((await mapper.getServerId(dependency.entityType, dependency.tempId)) === null) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Replace mapped temp IDs in the entry's endpoint and payload.
+   *
+   * @param {Object} entry
+   * @param {import('./IdMapper').IdMapper} mapper
+   * @returns {Promise<Object>} A resolved copy of the entry
+   */
+  async resolvePayloadIds(entry, mapper) {
+    const resolved = { ...entry };
+    if (entry.payload && typeof entry.payload === 'object' && !Array.isArray(entry.payload)) {
+      resolved.payload = { ...entry.payload };
+    }
+
+    if (entry.operation !== 'create' && isTempId(entry.entityId)) {
+      const serverId = await mapper.resolveId(entry.entityType, entry.entityId);
+      resolved.entityId = serverId;
+      resolved.endpoint = entry.endpoint.split(entry.entityId).join(String(serverId));
+      if (resolved.payload && !Array.isArray(resolved.payload) && resolved.payload.id === entry.entityId) {
+        resolved.payload.id = serverId;
+      }
+    }
+
+    if (resolved.payload && !Array.isArray(resolved.payload)) {
+      for (const [field, fkEntityType] of Object.entries(FK_FIELDS)) {
+        if (isTempId(resolved.payload[field])) {
+          resolved.payload[field] = await mapper.resolveId(fkEntityType, resolved.payload[field]);
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Counts by status, for the offline changes screen.
+   * @returns {Promise<{pending: number, failed: number, conflicts: number}>}
+   */
+  async getStatusSummary() {
+    const entries = await this.readList(CONFIG.STORAGE_KEYS.SYNC_OUTBOX);
+    const conflicts = await this.readList(CONFIG.STORAGE_KEYS.SYNC_CONFLICTS);
+    return {
+      pending: entries.filter((entry) => entry.status !== 'failed').length,
+      failed: entries.filter((entry) => entry.status === 'failed').length,
+      conflicts: conflicts.length,
+    };
+  }
+
+  /**
+   * Give a permanently failed entry a fresh set of retries.
+   */
+  async retryFailed(localId) {
+    await this.updateOutbox((entries) => {
+      const entry = entries.find((item) => item.localId === localId);
+      if (entry) {
+        entry.status = 'pending';
+        entry.retryCount = 0;
+      }
+    });
+  }
+
+  /**
+   * Remove a permanently failed entry the user gave up on.
+   */
+  async discard(localId) {
+    await this.markSynced(localId);
+  }
+}
+
+export const outboxManager = new OutboxManager();
+
+export default outboxManager;
@@ -0,0 +1,254 @@
+/**
+ * SyncEngine.js
+ *
+ * Replays the offline outbox when the phone is back online.
+ * Follows the push phase of spa/sync/SyncEngine.js: entries go out in
+ * SYNC_ORDER, wait until the temp IDs they reference are mapped, record the
+ * server ID of what they create, and turn a 409 into a conflict for the user
+ * instead of a retry. Reads stay with CacheManager's response cache.
+ *
+ * @module sync/SyncEngine
+ */
+
+import API from '../api/api-core';
+import CONFIG from '../config';
+import CacheManager from '../utils/CacheManager';
+import StorageUtils from '../utils/StorageUtils';
+import { outboxManager } from './OutboxManager';
+import { idMapper } from './IdMapper';
+import { debugLog, debugError } from '../utils/DebugUtils.js';
+
+/**
+ * Cached reads to refresh once queued changes of a type reach the server.
+ */
+const CACHE_INVALIDATION = {
+  attendance: () => CacheManager.clearAttendanceRelatedCaches(),
+  points: async () => {
+    await CacheManager.deleteCachedDataByPattern('points');
+    await CacheManager.clearGroupRelatedCaches();
+  },
+  honors: () => CacheManager.clearBadgeRelatedCaches(),
+  badge_progress: () => CacheManager.clearBadgeRelatedCaches(),
+  medication_requirements: () => CacheManager.clearMedicationRelatedCaches(),
+  medication_distributions: () => CacheManager.clearMedicationRelatedCaches(),
+  carpool_offers: () => CacheManager.clearCarpoolRelatedCaches(),
+  carpool_assignments: () => CacheManager.clearCarpoolRelatedCaches(),
+};
+
+/**
+ * The server ID of an entity created by a replayed request: routes answer
+ * with the row, or with the list of rows they inserted.
+ */
+const createdServerId = (data) => {
+  const row = Array.isArray(data) ? data[0] : data;
+  return row && typeof row === 'object' ? row.id ?? null : null;
+};
+
+/**
+ * Whether the server refused the request itself (validation, permission,
+ * missing record). Sending it again cannot succeed. 408 and 429 are about
+ * timing and are retried.
+ */
+const isPermanentFailure = (status) => status >= 400 && status < 500 && ![408, 429].includes(status);
+
+export class SyncEngine {
+  constructor() {
+    this.isSyncing = false;
+    this.initialized = false;
+    this.listeners = new Set();
+    this.lastResult = null;
+    this.wasOnline = true;
+    this.handleNetworkChange = (isOnline) => {
+      const reconnected = isOnline && !this.wasOnline;
+      this.wasOnline = isOnline;
+      if (reconnected) {
+        this.sync();
+      }
+    };
+  }
+
+  /**
+   * Recover from an interrupted sync and replay whenever the connection
+   * comes back. Safe to call more than once.
+   */
+  async init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    const reset = await outboxManager.resetInProgress();
+    if (reset > 0) {
+      debugLog(`[Sync] Recovered ${reset} interrupted outbox entries`);
+    }
+
+    await this.migrateLegacyQueue();
+
+    CacheManager.addNetworkListener(this.handleNetworkChange);
+    await this.sync();
+  }
+
+  /**
+   * Move writes queued offline by earlier app versions into the outbox, once.
+   * The legacy queue is cleared only after the move is stored.
+   */
+  async migrateLegacyQueue() {
+    try {
+      const legacy = await CacheManager.getMutationQueue();
+      if (legacy.length === 0) return;
+
+      await outboxManager.importLegacyQueue(legacy);
+      await CacheManager.clearMutationQueue();
+    } catch (error) {
+      debugError('[Sync] Could not move the legacy offline queue:', error);
+    }
+  }
+
+  /**
+   * Subscribe to sync status changes.
+   * @param {Function} listener - Receives { isSyncing, summary, lastResult }
+   * @returns {Function} Unsubscribe
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  async notify() {
+    const status = await this.getStatus();
+    this.listeners.forEach((listener) => listener(status));
+  }
+
+  /** @returns {Promise<{isSyncing: boolean, summary: Object, lastResult: Object|null}>} */
+  async getStatus() {
+    return {
+      isSyncing: this.isSyncing,
+      summary: await outboxManager.getStatusSummary(),
+      lastResult: this.lastResult,
+    };
+  }
+
+  /**
+   * Send every pending change the current user made.
+   * Skips when a sync is running or the phone is offline.
+   *
+   * @returns {Promise<{success: boolean, pushed?: number, failed?: number, conflicts?: number, skipped?: number, reason?: string}>}
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return { success: false, reason: 'already_syncing' };
+    }
+    if (!(await CacheManager.getNetworkState())) {
+      return { success: false, reason: 'offline' };
+    }
+
+    this.isSyncing = true;
+    await this.notify();
+
+    const result = { success: true, pushed: 0, failed: 0, conflicts: 0, skipped: 0 };
+    const touched = new Set();
+
+    try {
+      const userId = await StorageUtils.getItem(CONFIG.STORAGE_KEYS.USER_ID);
+      const entries = await outboxManager.getPendingOrdered();
+
+      for (const entry of entries) {
+        // Someone else's changes wait for them to sign back in.
+        if (entry.userId && String(entry.userId) !== String(userId)) {
+          result.skipped++;
+          continue;
+        }
+
+        if (!(await outboxManager.areDependenciesSatisfied(entry, idMapper))) {
+          debugLog(`[Sync] Waiting on dependencies for ${entry.entityType}:${entry.entityId}`);
+          result.skipped++;
+          continue;
+        }
+
+        const outcome = await this.pushEntry(entry);
+        if (outcome === 'synced') {
+          result.pushed++;
+          touched.add(entry.entityType);
+        } else if (outcome === 'conflict') {
+          result.conflicts++;
+        } else if (outcome === 'failed') {
+          result.failed++;
+        } else {
+          // Connection or session lost: stop and keep the rest queued.
+          result.success = false;
+          result.reason = outcome;
+          break;
+        }
+      }
+
+      for (const entityType of touched) {
+        await CACHE_INVALIDATION[entityType]?.();
+      }
+      await idMapper.purgeOldMappings();
+
+      debugLog('[Sync] Outbox replay finished', result);
+    } catch (error) {
+      debugError('[Sync] Outbox replay failed:', error);
+      result.success = false;
+      result.reason = error.message;
+    } finally {
+      this.isSyncing = false;
+      this.lastResult = { ...result, finishedAt: Date.now() };
+      await this.notify();
+    }
+
+    return result;
+  }
+
+  /**
+   * Send one entry.
+   * @returns {Promise<'synced'|'conflict'|'failed'|'offline'|'login_required'>}
+   */
+  async pushEntry(entry) {
+    const resolved = await outboxManager.resolvePayloadIds(entry, idMapper);
+    const headers = { 'X-Correlation-Id': entry.correlationId };
+    if (entry.organizationId) {
+      headers['x-organization-id'] = entry.organizationId;
+    }
+
+    await outboxManager.markInProgress(entry.localId);
+
+    try {
+      const request = API[entry.method.toLowerCase()];
+      const response = await request(resolved.endpoint, resolved.payload, {
+        headers,
+        retries: 0,
+        queueOffline: false,
+      });
+
+      await outboxManager.markSynced(entry.localId);
+
+      if (entry.operation === 'create' && entry.tempId) {
+        const serverId = createdServerId(response?.data);
+        if (serverId !== null) {
+          await idMapper.addMapping(entry.entityType, entry.tempId, serverId);
+        }
+      }
+
+      return 'synced';
+    } catch (error) {
+      if (error.status === 409) {
+        await outboxManager.markConflict(entry.localId, error.data?.data ?? error.data, error.message);
+        return 'conflict';
+      }
+
+      if (error.requiresLogin || error.offline || !error.status) {
+        await outboxManager.resetInProgress();
+        return error.requiresLogin ? 'login_required' : 'offline';
+      }
+
+      await outboxManager.markFailed(entry.localId, error.message || `HTTP ${error.status}`, {
+        permanent: isPermanentFailure(error.status),
+      });
+      debugError(`[Sync] Push failed for ${entry.method} ${entry.endpoint}:`, error.message);
+      return 'failed';
+    }
+  }
+}
+
+export const syncEngine = new SyncEngine();
+
+export default syncEngine;
@@ -0,0 +1,176 @@
+/**
+ * OutboxManager Unit Tests
+ *
+ * Tests for queued offline writes: replay order, temp ID dependencies,
+ * retries and conflicts
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { OutboxManager, MAX_RETRIES } from '../OutboxManager';
+import { IdMapper } from '../IdMapper';
+
+// AsyncStorage is mocked in jest.setup.js
+
+describe('OutboxManager', () => {
+  let outbox;
+  let mapper;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    outbox = new OutboxManager();
+    mapper = new IdMapper();
+  });
+
+  describe('getPendingOrdered', () => {
+    it('should replay entries in sync order, then oldest first', async () => {
+      await outbox.enqueue({ method: 'POST', endpoint: 'v1/medication/distributions', entityType: 'medication_distributions' });
+      await outbox.enqueue({ method: 'POST', endpoint: 'v1/points', entityType: 'points' });
+      await outbox.enqueue({ method: 'POST', endpoint: 'v1/attendance', entityType: 'attendance', payload: { n: 1 } });
+      await outbox.enqueue({ method: 'POST', endpoint: 'v1/attendance', entityType: 'attendance', payload: { n: 2 } });
+
+      const pending = await outbox.getPendingOrdered();
+
+      expect(pending.map((entry) => entry.entityType)).toEqual([
+        'attendance',
+        'attendance',
+        'points',
+        'medication_distributions',
+      ]);
+      expect(pending[0].payload).toEqual({ n: 1 });
+    });
+  });
+
+  describe('temp ID dependencies', () => {
+    it('should wait for a temp ID to be mapped, then rewrite it', async () => {
+      const tempId = 'temp_1700000000000_abc123';
+      const entry = await outbox.enqueue({
+        method: 'PATCH',
+        endpoint: `v1/medication/distributions/${tempId}`,
+        entityType: 'medication_distributions',
+        operation: 'update',
+        entityId: tempId,
+        payload: { status: 'given' },
+      });
+
+      expect(await outbox.areDependenciesSatisfied(entry, mapper)).toBe(false);
+
+      await mapper.addMapping('medication_distributions', tempId, 42);
+
+      expect(await outbox.areDependenciesSatisfied(entry, mapper)).toBe(true);
+      const resolved = await outbox.resolvePayloadIds(entry, mapper);
+      expect(resolved.endpoint).toBe('v1/medication/distributions/42');
+      expect(entry.endpoint).toContain(tempId);
+    });
+
+    it('should resolve foreign keys that point at temp IDs', async () => {
+      const tempId = 'temp_1700000000000_def456';
+      const entry = await outbox.enqueue({
+        method: 'POST',
+        endpoint: 'v1/medication/distributions',
+        entityType: 'medication_distributions',
+        payload: { medication_requirement_id: tempId, participant_id: 7 },
+      });
+      await mapper.addMapping('medication_requirements', tempId, 9);
+
+      const resolved = await outbox.resolvePayloadIds(entry, mapper);
+
+      expect(resolved.payload).toEqual({ medication_requirement_id: 9, participant_id: 7 });
+    });
+  });
+
+  describe('markFailed', () => {
+    it('should retry until MAX_RETRIES, then keep the entry as failed', async () => {
+      const entry = await outbox.enqueue({ method: 'POST', endpoint: 'v1/points', entityType: 'points' });
+
+      for (let attempt = 1; attempt < MAX_RETRIES; attempt++) {
+        await outbox.markFailed(entry.localId, 'Server error');
+      }
+      expect(await outbox.getPendingCount()).toBe(1);
+
+      await outbox.markFailed(entry.localId, 'Server error');
+
+      expect(await outbox.getPendingOrdered()).toEqual([]);
+      expect(await outbox.getStatusSummary()).toEqual({ pending: 0, failed: 1, conflicts: 0 });
+
+      await outbox.retryFailed(entry.localId);
+      expect(await outbox.getPendingCount()).toBe(1);
+    });
+
+    it('should stop at once when the server refused the request itself', async () => {
+      const entry = await outbox.enqueue({ method: 'POST', endpoint: 'v1/points', entityType: 'points' });
+
+      await outbox.markFailed(entry.localId, 'Participant not found', { permanent: true });
+
+      expect(await outbox.getPendingOrdered()).toEqual([]);
+      expect(await outbox.getStatusSummary()).toEqual({ pending: 0, failed: 1, conflicts: 0 });
+    });
+  });
+
+  describe('importLegacyQueue', () => {
+    it('should move writes from the old offline queue, as endpoints without the old token', async () => {
+      const moved = await outbox.importLegacyQueue([
+        {
+          method: 'post',
+          url: 'https://wampums.app/api/v1/attendance',
+          data: { participant_id: 3, status: 'present' },
+          headers: { Authorization: 'Bearer expired', 'x-organization-id': '7' },
+          timestamp: 1700000000000,
+        },
+        { method: 'DELETE', url: 'https://wampums.app/api/v1/groups/4' },
+      ]);
+
+      expect(moved).toBe(2);
+      const [create, remove] = await outbox.getAll();
+      expect(create).toEqual(expect.objectContaining({
+        method: 'POST',
+        endpoint: '/v1/attendance',
+        operation: 'create',
+        payload: { participant_id: 3, status: 'present' },
+        organizationId: '7',
+        status: 'pending',
+      }));
+      expect(JSON.stringify(create)).not.toContain('expired');
+      expect(remove).toEqual(expect.objectContaining({ endpoint: '/v1/groups/4', operation: 'delete' }));
+    });
+  });
+
+  describe('conflicts', () => {
+    it('should move a conflicting entry out of the outbox', async () => {
+      const entry = await outbox.enqueue({
+        method: 'PUT',
+        endpoint: 'v1/attendance',
+        entityType: 'attendance',
+        payload: { participant_id: 3, status: 'present' },
+      });
+
+      await outbox.markConflict(entry.localId, { participant_id: 3, status: 'absent' }, 'Changed on server');
+
+      const conflicts = await outbox.getConflicts();
+      expect(await outbox.getAll()).toEqual([]);
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].localVersion).toEqual({ participant_id: 3, status: 'present' });
+      expect(conflicts[0].serverVersion).toEqual({ participant_id: 3, status: 'absent' });
+    });
+
+    it('should queue the change again when keeping mine', async () => {
+      const entry = await outbox.enqueue({ method: 'PUT', endpoint: 'v1/attendance', entityType: 'attendance' });
+      await outbox.markConflict(entry.localId, null);
+
+      await outbox.resolveConflict(entry.localId, 'keep_mine');
+
+      expect(await outbox.getConflicts()).toEqual([]);
+      expect(await outbox.getPendingCount()).toBe(1);
+    });
+
+    it('should drop the change when keeping theirs', async () => {
+      const entry = await outbox.enqueue({ method: 'PUT', endpoint: 'v1/attendance', entityType: 'attendance' });
+      await outbox.markConflict(entry.localId, null);
+
+      await outbox.resolveConflict(entry.localId, 'keep_theirs');
+
+      expect(await outbox.getConflicts()).toEqual([]);
+      expect(await outbox.getAll()).toEqual([]);
+    });
+  });
+});
@@ -6,8 +6,9 @@
  *
  * Features:
  * - Cache GET requests with expiration
- * - Queue POST/PUT/DELETE mutations when offline
- * - Background sync when connection restored
+ * - Legacy mutation queue (offline writes now go to the sync outbox,
+ *   replayed by src/sync/SyncEngine.js when the connection comes back; what
+ *   older versions left here is moved into the outbox at startup)
  * - Cache invalidation following web app patterns
  * - Network state detection
  *
@@ -39,21 +40,16 @@ class CacheManager {
 
   /**
    * Initialize network state listener
-   * Monitors connection and triggers sync when online
+   * Monitors connection and notifies listeners (the sync engine replays the
+   * outbox from there)
    */
   initializeNetworkListener() {
     // Store unsubscribe function to prevent memory leak
     this.netInfoUnsubscribe = NetInfo.addEventListener(state => {
-      const wasOffline = !this.isOnline;
       this.isOnline = state.isConnected && state.isInternetReachable;
 
       // Notify listeners of network state change
       this.listeners.forEach(listener => listener(this.isOnline));
-
-      // If coming back online, sync queued mutations
-      if (wasOffline && this.isOnline) {
-        this.syncQueuedMutations();
-      }
     });
   }
 
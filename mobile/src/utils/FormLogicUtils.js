@@ -0,0 +1,411 @@
+/**
+ * Form Logic Utilities for React Native App
+ *
+ * The rules a form format can carry on top of its fields: `showIf`,
+ * `requiredIf` and `compute`. DynamicFormRenderer and the report viewer read
+ * them from here.
+ * Mirrors spa/utils/FormLogicUtils.js functionality (the app keeps signatures,
+ * files and rows as objects, so the web's hidden-input parsing is left out).
+ * test/spa/FormLogicUtils.test.js runs the same cases against both copies.
+ *
+ * A condition is either a rule, `{ field, op, value }`, or a group of them,
+ * `{ all: [...] }` (AND) or `{ any: [...] }` (OR); groups nest. The legacy
+ * `dependsOn: { field, value }` is a rule with the default `equals` operator.
+ *
+ * @module utils/FormLogicUtils
+ */
+
+/** Operators a rule may use, in the order the form builder offers them. */
+export const CONDITION_OPERATORS = Object.freeze([
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'empty',
+  'not_empty',
+  'age_gte',
+  'age_lt'
+]);
+
+/** Operators that do not compare against a value. */
+export const VALUELESS_OPERATORS = Object.freeze(['empty', 'not_empty']);
+
+/** Operations a computed field may use. No formula is ever evaluated. */
+export const COMPUTED_OPERATIONS = Object.freeze(['age', 'sum', 'count', 'concat', 'days_between']);
+
+/** Field types whose answer is an object or a list rather than a string. */
+export const STRUCTURED_FIELD_TYPES = Object.freeze(['signature', 'file', 'repeat']);
+
+/** Field types a repeating group may contain. */
+export const REPEAT_SUBFIELD_TYPES = Object.freeze(['text', 'email', 'tel', 'number', 'date', 'select', 'checkbox', 'textarea']);
+
+// Answers saved as "yes" by a radio, true / "on" / "1" by a checkbox or "oui"
+// by a French form all mean the same thing.
+const AFFIRMATIVE = new Set(['yes', 'oui', 'true', 'on', '1', 'y']);
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (input) => String(input).trim().toLowerCase();
+
+/**
+ * Whether an answer is blank. An unticked checkbox is blank; a signature
+ * counts once it carries a name, a file once it has been uploaded, a
+ * repeating group once it has a row.
+ *
+ * @param {*} value - Saved answer
+ * @returns {boolean}
+ */
+export function isEmptyValue(value) {
+  if (value === undefined || value === null || value === false) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (typeof value === 'object') {
+    return Object.values(value).every(isEmptyValue);
+  }
+  return String(value).trim() === '';
+}
+
+/**
+ * Tolerant equality between a saved answer and the value a rule expects.
+ *
+ * @param {*} actual - Saved answer
+ * @param {*} expected - Value from the form format
+ * @returns {boolean}
+ */
+export function valuesMatch(actual, expected) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return expected.some((option) => valuesMatch(actual, option));
+  }
+  const actualValue = actual === true ? 'true' : normalize(actual);
+  const expectedValue = normalize(expected);
+  if (actualValue === expectedValue) {
+    return true;
+  }
+  return AFFIRMATIVE.has(actualValue) && AFFIRMATIVE.has(expectedValue);
+}
+
+/**
+ * Read a date answer. Plain `YYYY-MM-DD` is read in local time, like the
+ * date inputs that produce it.
+ *
+ * @param {*} value - Date string or Date
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  const match = ISO_DATE.exec(String(value).trim());
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whole years between a birth date and a day.
+ *
+ * @param {*} birthDate - Date of birth
+ * @param {Date} [onDate=new Date()] - Day the age is worked out for
+ * @returns {number|null} Age, or null when the birth date is unreadable
+ */
+export function ageOn(birthDate, onDate = new Date()) {
+  const birth = parseDate(birthDate);
+  if (!birth) {
+    return null;
+  }
+  let age = onDate.getFullYear() - birth.getFullYear();
+  const monthDiff = onDate.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && onDate.getDate() < birth.getDate())) {
+    age -= 1;
+  }
+  return age;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Plain text of an answer, for `contains` and `concat`.
+ *
+ * @param {*} value - Saved answer
+ * @returns {string}
+ */
+function textOf(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(textOf).join(', ');
+  }
+  if (typeof value === 'object') {
+    return Object.values(value).map(textOf).filter(Boolean).join(' ');
+  }
+  return String(value);
+}
+
+/**
+ * Evaluate a condition against the answers.
+ *
+ * @param {Object|null|undefined} condition - Rule or `all` / `any` group
+ * @param {Object} [data={}] - Answers keyed by field name
+ * @param {Object} [context={}] - `birthDate` of the participant the form is
+ *   about (for age rules without a field) and `today`
+ * @returns {boolean} True when there is no condition
+ */
+export function evaluateCondition(condition, data = {}, context = {}) {
+  if (!condition) {
+    return true;
+  }
+  if (Array.isArray(condition.all)) {
+    return condition.all.every((rule) => evaluateCondition(rule, data, context));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some((rule) => evaluateCondition(rule, data, context));
+  }
+
+  const { field, op = 'equals', value } = condition;
+  const actual = field ? data[field] : undefined;
+
+  switch (op) {
+    case 'equals':
+      return valuesMatch(actual, value);
+    case 'not_equals':
+      return !valuesMatch(actual, value);
+    case 'contains':
+      return normalize(textOf(actual)).includes(normalize(value ?? ''));
+    case 'not_contains':
+      return !normalize(textOf(actual)).includes(normalize(value ?? ''));
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const left = toNumber(actual);
+      const right = toNumber(value);
+      if (left === null || right === null) {
+        return false;
+      }
+      if (op === 'gt') return left > right;
+      if (op === 'gte') return left >= right;
+      if (op === 'lt') return left < right;
+      return left <= right;
+    }
+    case 'empty':
+      return isEmptyValue(actual);
+    case 'not_empty':
+      return !isEmptyValue(actual);
+    case 'age_gte':
+    case 'age_lt': {
+      const age = ageOn(field ? actual : context.birthDate, context.today || new Date());
+      const years = toNumber(value);
+      if (age === null || years === null) {
+        return false;
+      }
+      return op === 'age_gte' ? age >= years : age < years;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a field is shown. Only `showIf` hides a field; the legacy
+ * `dependsOn` leaves it on screen, disabled, as it always has on the web.
+ *
+ * @param {Object} field - Field from the form format
+ * @param {Object} [data={}] - Answers
+ * @param {Object} [context={}] - See evaluateCondition
+ * @returns {boolean}
+ */
+export function isFieldVisible(field, data = {}, context = {}) {
+  return evaluateCondition(field.showIf, data, context);
+}
+
+/**
+ * Whether a field must be answered: it is shown, its `dependsOn` (if any) is
+ * met, and it is either always required or its `requiredIf` holds.
+ *
+ * @param {Object} field - Field from the form format
+ * @param {Object} [data={}] - Answers
+ * @param {Object} [context={}] - See evaluateCondition
+ * @returns {boolean}
+ */
+export function isFieldRequired(field, data = {}, context = {}) {
+  if (!isFieldVisible(field, data, context)) {
+    return false;
+  }
+  if (field.dependsOn && !evaluateCondition(field.dependsOn, data, context)) {
+    return false;
+  }
+  if (field.required) {
+    return true;
+  }
+  return Boolean(field.requiredIf) && evaluateCondition(field.requiredIf, data, context);
+}
+
+/**
+ * Values a computed field reads from one source. `group.field` reads that
+ * field from every row of a repeating group; a repeating group on its own
+ * gives its rows.
+ *
+ * @param {string} source - Field name, or `group.field`
+ * @param {Object} data - Answers
+ * @returns {Array<*>}
+ */
+function readSource(source, data) {
+  const [name, subField] = String(source).split('.');
+  const value = data[name];
+  if (subField) {
+    return Array.isArray(value) ? value.map((row) => row?.[subField]) : [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Work out a computed field's value from its `compute` settings:
+ * - `age`: age in years from the first source date (or the participant's
+ *   birth date when there is no source);
+ * - `sum`: total of the numeric sources;
+ * - `count`: number of answered sources (rows, for a repeating group);
+ * - `concat`: answered sources joined by `separator` (a space by default);
+ * - `days_between`: days from the first source date to the second.
+ *
+ * @param {Object} field - Computed field
+ * @param {Object} [data={}] - Answers
+ * @param {Object} [context={}] - See evaluateCondition
+ * @returns {string|number} Empty string when there is nothing to compute
+ */
+export function computeValue(field, data = {}, context = {}) {
+  const { operation, fields: sources = [], separator = ' ' } = field.compute || {};
+  const values = sources.flatMap((source) => readSource(source, data));
+
+  switch (operation) {
+    case 'age': {
+      const age = ageOn(sources.length ? values[0] : context.birthDate, context.today || new Date());
+      return age === null ? '' : age;
+    }
+    case 'sum': {
+      const numbers = values.map(toNumber).filter((number) => number !== null);
+      return numbers.length ? numbers.reduce((total, number) => total + number, 0) : '';
+    }
+    case 'count':
+      return values.filter((value) => !isEmptyValue(value)).length;
+    case 'concat':
+      return values.filter((value) => !isEmptyValue(value)).map(textOf).join(separator);
+    case 'days_between': {
+      const from = parseDate(values[0]);
+      const to = parseDate(values[1]);
+      return from && to ? Math.round((to - from) / DAY_MS) : '';
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Fill in every computed field, in form order so one computed field can read
+ * another.
+ *
+ * @param {Array<Object>} fields - Form format fields
+ * @param {Object} [data={}] - Answers
+ * @param {Object} [context={}] - See evaluateCondition
+ * @returns {Object} Answers with computed values
+ */
+export function applyComputedValues(fields, data = {}, context = {}) {
+  const result = { ...data };
+  (fields || []).forEach((field) => {
+    if (field.type === 'computed' && field.name) {
+      result[field.name] = computeValue(field, result, context);
+    }
+  });
+  return result;
+}
+
+/**
+ * Names of required fields left blank. Hidden fields are never missing, and a
+ * repeating group is missing when it has no row or a row lacks a required
+ * answer.
+ *
+ * @param {Array<Object>} fields - Form format fields
+ * @param {Object} [data={}] - Answers
+ * @param {Object} [context={}] - See evaluateCondition
+ * @returns {Array<string>}
+ */
+export function findMissingFields(fields, data = {}, context = {}) {
+  const answers = data || {};
+  return (fields || [])
+    .filter((field) => field.name && field.type !== 'infoText' && field.type !== 'computed')
+    .filter((field) => {
+      const value = answers[field.name];
+      if (field.type === 'repeat' && Array.isArray(value) && value.length > 0 && isFieldVisible(field, answers, context)) {
+        const subFields = field.fields || [];
+        return value.some((row) => subFields.some((subField) => isFieldRequired(subField, row || {}, context) && isEmptyValue(row?.[subField.name])));
+      }
+      return isFieldRequired(field, answers, context) && isEmptyValue(value);
+    })
+    .map((field) => field.name);
+}
+
+/**
+ * Plain-text rendering of a saved answer, for reports and read-only views.
+ *
+ * @param {Object} field - Field from the form format
+ * @param {*} value - Saved answer
+ * @returns {string}
+ */
+export function formatFieldValue(field, value) {
+  if (isEmptyValue(value)) {
+    return '';
+  }
+  switch (field?.type) {
+    case 'signature':
+      return value.signed_at ? `${value.signed_by} (${String(value.signed_at).slice(0, 10)})` : String(value.signed_by || '');
+    case 'file':
+      return String(value.name || value.key || '');
+    case 'repeat': {
+      const subFields = field.fields || [];
+      return (Array.isArray(value) ? value : [])
+        .map((row) => subFields.map((subField) => textOf(row?.[subField.name])).filter(Boolean).join(' - '))
+        .filter(Boolean)
+        .join('; ');
+    }
+    default:
+      return textOf(value);
+  }
+}
+
+export default {
+  CONDITION_OPERATORS,
+  VALUELESS_OPERATORS,
+  COMPUTED_OPERATIONS,
+  STRUCTURED_FIELD_TYPES,
+  REPEAT_SUBFIELD_TYPES,
+  isEmptyValue,
+  valuesMatch,
+  ageOn,
+  evaluateCondition,
+  isFieldVisible,
+  isFieldRequired,
+  computeValue,
+  applyComputedValues,
+  findMissingFields,
+  formatFieldValue,
+};
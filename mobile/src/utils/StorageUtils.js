@@ -15,9 +15,10 @@ import { debugError } from './DebugUtils.js';
 
 // Keys that should be stored securely (on native platforms only)
 // Note: JWT tokens are excluded because they often exceed SecureStore's 2048-byte limit
-// and are already cryptographically signed (tamper-proof). Device tokens are small enough.
+// and are already cryptographically signed (tamper-proof). Device and refresh tokens are small enough.
 const SECURE_KEYS = [
   CONFIG.STORAGE_KEYS.DEVICE_TOKEN,
+  CONFIG.STORAGE_KEYS.REFRESH_TOKEN,
 ];
 
 // Check if we should use SecureStore (only on native platforms)
@@ -128,11 +129,15 @@ export const getStorageMultiple = async (keys) => {
  */
 export const clearUserData = async () => {
   try {
-    // Keys to preserve during logout
+    // Keys to preserve during logout. Offline changes survive so they can
+    // be sent once their author signs back in (see src/sync/SyncEngine.js).
     const preserveKeys = [
       CONFIG.STORAGE_KEYS.DEVICE_TOKEN,
       CONFIG.STORAGE_KEYS.LANGUAGE,
       CONFIG.STORAGE_KEYS.WAMPUMS_LANG,
+      CONFIG.STORAGE_KEYS.SYNC_OUTBOX,
+      CONFIG.STORAGE_KEYS.SYNC_CONFLICTS,
+      CONFIG.STORAGE_KEYS.SYNC_ID_MAP,
     ];
 
     // Get all keys
@@ -144,8 +149,9 @@ export const clearUserData = async () => {
     // Remove keys from AsyncStorage
     await AsyncStorage.multiRemove(keysToRemove);
 
-    // Remove JWT token from storage (but preserve device_token)
+    // Remove JWT and refresh tokens from storage (but preserve device_token)
     await removeItem(CONFIG.STORAGE_KEYS.JWT_TOKEN);
+    await removeItem(CONFIG.STORAGE_KEYS.REFRESH_TOKEN);
 
     return true;
   } catch (error) {
@@ -15,18 +15,19 @@ const {
   handleOrganizationResolutionError,
   escapeHtml,
 } = require('../utils/api-helpers');
-const { sanitizeInput, sendEmail, sendWhatsApp, getUserEmailLanguage } = require('../utils');
+const { sanitizeInput, deliverEmail, getUserEmailLanguage } = require('../utils');
 const { checkValidation } = require('../middleware/validation');
-const { isTestEnvironment } = require('../test/test-helpers');
 const {
   listAlumni,
   issueAlumniToken,
   buildUnsubscribeFooter,
-  getOrganizationName,
   UNSUBSCRIBE_PURPOSE
 } = require('../services/alumni');
 const { resolveOrganizationBaseUrl } = require('../utils/public-url');
-const { resolveDatabaseConnectionString } = require('../config/database-url');
+const { loadEmailContext, renderTemplate } = require('../services/email-templates');
+const { normalizeMessageId } = require('../services/email-delivery');
+const { JOB_TYPES, enqueueJob } = require('../services/job-queue');
+const { toWhatsAppNumber, queueAnnouncement } = require('../services/whatsapp-outbox');
 
 const ALLOWED_ROLES = ['admin', 'animation', 'parent'];
 /** Who an announcement can address. The two are mutually exclusive by design. */
@@ -36,8 +37,6 @@ const ALLOWED_AUDIENCES = [MEMBERS_AUDIENCE, ALUMNI_AUDIENCE];
 const MAX_ANNOUNCEMENT_SUBJECT_LENGTH = 255;
 const MAX_ANNOUNCEMENT_MESSAGE_LENGTH = 10000;
 const MAX_ANNOUNCEMENT_GROUPS = 200;
-const pg = require('pg');
-const { Client } = pg;
 
 /**
  * Normalize and sanitize announcement payload
@@ -139,6 +138,10 @@ async function buildAlumniRecipients(pool, organizationId) {
 /**
  * Build email, push, and WhatsApp recipients based on roles and group filters
  *
+ * WhatsApp goes to the numbers members entered on their own account and, when
+ * parents are addressed, to the cell phone of guardians who agreed to it.
+ * A guardian who refused keeps their number out, whoever else carries it.
+ *
  * @param {Object} pool - Database pool
  * @param {number} organizationId - Organization ID
  * @param {Array<string>} roles - Recipient roles
@@ -217,6 +220,37 @@ async function buildRecipients(pool, organizationId, roles, groupIds, audience =
     .filter((row) => row.whatsapp_phone_number)
     .map((row) => ({ phone: row.whatsapp_phone_number, user_id: row.user_id }));
 
+  if (includeParents) {
+    const guardianWhatsAppQuery = `
+      SELECT DISTINCT pg.telephone_cellulaire, pg.user_uuid AS user_id
+      FROM parents_guardians pg
+      JOIN participant_guardians pg_rel ON pg_rel.guardian_id = pg.id
+      JOIN participant_organizations po ON po.participant_id = pg_rel.participant_id
+      ${groupIds.length ? 'JOIN participant_groups pgroups ON pgroups.participant_id = pg_rel.participant_id' : ''}
+      WHERE po.organization_id = $1
+        ${groupFilterClause}
+        AND pg.whatsapp_opt_in = TRUE
+        AND pg.telephone_cellulaire IS NOT NULL
+    `;
+    const guardianWhatsAppResult = await pool.query(guardianWhatsAppQuery, groupParams);
+    guardianWhatsAppResult.rows.forEach((row) => {
+      const phone = toWhatsAppNumber(row.telephone_cellulaire);
+      if (phone) whatsappNumbers.push({ phone, user_id: row.user_id });
+    });
+  }
+
+  const refusedResult = await pool.query(
+    `SELECT DISTINCT pg.telephone_cellulaire
+     FROM parents_guardians pg
+     JOIN participant_guardians pg_rel ON pg_rel.guardian_id = pg.id
+     JOIN participant_organizations po ON po.participant_id = pg_rel.participant_id
+     WHERE po.organization_id = $1
+       AND pg.whatsapp_opt_in = FALSE
+       AND pg.telephone_cellulaire IS NOT NULL`,
+    [organizationId]
+  );
+  const refusedNumbers = new Set(refusedResult.rows.map((row) => toWhatsAppNumber(row.telephone_cellulaire)));
+
   const allEmails = [...roleEmails, ...guardianEmails, ...participantEmails].filter(Boolean);
   const uniqueEmails = [...new Set(allEmails)];
 
@@ -236,7 +270,7 @@ async function buildRecipients(pool, organizationId, roles, groupIds, audience =
   return {
     emails: uniqueEmails,
     subscribers: subscribersResult.rows,
-    whatsappNumbers: whatsappNumbers,
+    whatsappNumbers: whatsappNumbers.filter(({ phone }) => !refusedNumbers.has(toWhatsAppNumber(phone))),
   };
 }
 
@@ -254,9 +288,7 @@ async function dispatchAnnouncement(pool, logger, announcement, whatsappService
   );
 
   const isAlumniSend = audience === ALUMNI_AUDIENCE;
-  const organizationName = isAlumniSend
-    ? await getOrganizationName(pool, announcement.organization_id)
-    : null;
+  const context = await loadEmailContext(pool, announcement.organization_id);
   // Scheduled sends run without a request, so the unsubscribe link cannot be
   // derived from the caller's host the way the invitation's is.
   const baseUrl = isAlumniSend
@@ -265,30 +297,33 @@ async function dispatchAnnouncement(pool, logger, announcement, whatsappService
 
   const emailLogs = await Promise.allSettled(
     emails.map(async (email) => {
-      let body = announcement.message;
-      let html = null;
-      let fromName = null;
+      const language = await getUserEmailLanguage(pool, email, announcement.organization_id);
+      let footer = null;
 
       // An alumni mailing carries its own way out. Building the footer per
       // recipient is what makes the link personal — a shared one could only
       // unsubscribe everybody or nobody.
       if (isAlumniSend) {
         const membership = alumniByEmail.get(email);
-        const language = await getUserEmailLanguage(pool, email, announcement.organization_id);
         const unsubscribeLink = `${baseUrl}/alumni-unsubscribe?token=${issueAlumniToken(membership, UNSUBSCRIBE_PURPOSE)}`;
-        const footer = buildUnsubscribeFooter({ language, unsubscribeLink });
-        body = `${announcement.message}${footer.text}`;
-        html = `<div>${escapeHtml(announcement.message).replace(/\n/g, '<br />')}</div>${footer.html}`;
-        fromName = organizationName;
+        const unsubscribe = buildUnsubscribeFooter({ language, unsubscribeLink });
+        footer = { text: unsubscribe.text.trim(), html: unsubscribe.html };
       }
 
-      const success = await sendEmail(email, announcement.subject, body, html, fromName);
+      const { subject, text, html } = renderTemplate('announcement', language, {
+        subject: announcement.subject,
+        message: announcement.message,
+      }, { context, footer });
+
+      // The message id is what the provider's delivery webhook reports back
+      // on (routes/email-events), so keep it on the log line.
+      const { sent, messageId } = await deliverEmail(email, subject, text, html, context.organizationName);
       await pool.query(
-        `INSERT INTO announcement_logs (announcement_id, channel, recipient_email, status, error_message)
-         VALUES ($1, 'email', $2, $3, $4)`,
-        [announcement.id, email, success ? 'sent' : 'failed', success ? null : 'Email send failed'],
+        `INSERT INTO announcement_logs (announcement_id, channel, recipient_email, status, error_message, message_id)
+         VALUES ($1, 'email', $2, $3, $4, $5)`,
+        [announcement.id, email, sent ? 'sent' : 'failed', sent ? null : 'Email send failed', normalizeMessageId(messageId)],
       );
-      return success;
+      return sent;
     }),
   );
 
@@ -369,40 +404,31 @@ async function dispatchAnnouncement(pool, logger, announcement, whatsappService
     }
   }
 
-  // Send WhatsApp messages
+  // Queue WhatsApp messages: the connection sends them one at a time, and
+  // each log moves from 'queued' to 'sent' (then delivered, read) as it goes.
   let whatsappOutcome = { successes: 0, failures: 0 };
   if (whatsappNumbers && whatsappNumbers.length > 0) {
     const whatsappMessage = `*${announcement.subject}*\n\n${announcement.message}`;
+    const connected = whatsappService ? await whatsappService.isConnected(announcement.organization_id) : false;
 
-    const whatsappResults = await Promise.allSettled(
-      whatsappNumbers.map(async ({ phone, user_id }) => {
-        const success = await sendWhatsApp(phone, whatsappMessage, announcement.organization_id, whatsappService);
-        await pool.query(
-          `INSERT INTO announcement_logs (announcement_id, channel, recipient_user_id, status, error_message, metadata)
-           VALUES ($1, 'whatsapp', $2, $3, $4, $5)`,
-          [
-            announcement.id,
-            user_id,
-            success ? 'sent' : 'failed',
-            success ? null : 'WhatsApp send failed',
-            JSON.stringify({ phone_number: phone })
-          ],
-        );
-        return success;
-      }),
-    );
-
-    whatsappOutcome = whatsappResults.reduce(
-      (acc, result) => {
-        if (result.status === 'fulfilled' && result.value) {
-          acc.successes += 1;
-        } else {
-          acc.failures += 1;
-        }
-        return acc;
-      },
-      { successes: 0, failures: 0 },
-    );
+    if (connected) {
+      const { queued } = await queueAnnouncement(pool, announcement, whatsappNumbers, whatsappMessage);
+      whatsappService.kickOutbox(announcement.organization_id);
+      whatsappOutcome.successes = queued;
+    } else {
+      await pool.query(
+        `INSERT INTO announcement_logs (announcement_id, channel, recipient_user_id, status, error_message, metadata)
+         SELECT $1, 'whatsapp', r.user_id, 'failed', $4, jsonb_build_object('phone_number', r.phone_number)
+           FROM unnest($2::text[], $3::uuid[]) AS r(phone_number, user_id)`,
+        [
+          announcement.id,
+          whatsappNumbers.map(({ phone }) => phone),
+          whatsappNumbers.map(({ user_id: userId }) => userId || null),
+          whatsappService ? 'WhatsApp is not connected' : 'WhatsApp service not available'
+        ],
+      );
+      whatsappOutcome.failures = whatsappNumbers.length;
+    }
   }
 
   // Send Google Chat broadcast.
@@ -480,218 +506,53 @@ async function dispatchAnnouncement(pool, logger, announcement, whatsappService
 }
 
 /**
- * Claim and send due scheduled announcements
+ * Claim and send due scheduled announcements. Runs as the
+ * `announcements.send_scheduled` job, queued for each announcement's
+ * scheduled time.
+ *
+ * An announcement that could not be sent goes back to `scheduled` and the
+ * error fails the job, so the queue retries it with backoff. It is marked
+ * `failed` only on the job's last attempt; an administrator retrying the dead
+ * job sends it again.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} logger - Logger
+ * @param {Object|null} [whatsappService] - WhatsApp service
+ * @param {Object|null} [googleChatService] - Google Chat service
+ * @param {Object|null} [job] - Job row running this, with its payload and attempts
  */
-async function processScheduledAnnouncements(pool, logger, whatsappService = null, googleChatService = null) {
+async function processScheduledAnnouncements(pool, logger, whatsappService = null, googleChatService = null, job = null) {
   const dueQuery = `
     UPDATE announcements
     SET status = 'sending', updated_at = NOW()
-    WHERE status = 'scheduled'
-      AND scheduled_at <= NOW()
+    WHERE scheduled_at <= NOW()
+      AND (status = 'scheduled' OR (status = 'failed' AND id = $1))
     RETURNING *
   `;
+  const lastAttempt = !job || job.attempts >= job.max_attempts;
 
-  const { rows } = await pool.query(dueQuery);
+  const { rows } = await pool.query(dueQuery, [job?.payload?.announcement_id ?? null]);
+  let failure = null;
   for (const announcement of rows) {
     try {
       await dispatchAnnouncement(pool, logger, announcement, whatsappService, googleChatService);
     } catch (error) {
       logger.error('Error sending scheduled announcement:', error);
+      failure = failure || error;
       await pool.query(
         `UPDATE announcements
-         SET status = 'failed', updated_at = NOW()
+         SET status = $2, updated_at = NOW()
          WHERE id = $1`,
-        [announcement.id],
+        [announcement.id, lastAttempt ? 'failed' : 'scheduled'],
       );
     }
   }
+  if (failure) {
+    throw failure;
+  }
 }
 
 module.exports = (pool, logger, whatsappService = null, googleChatService = null) => {
-  // ==============================================
-  // PostgreSQL LISTEN/NOTIFY for Scheduled Announcements
-  // ==============================================
-  // Replaces inefficient polling (43,200 queries/month) with event-driven processing
-  // Expected compute reduction: 95-98%
-
-  let listenClient = null;
-  let reconnectTimeout = null;
-  let isProcessing = false;
-  let reconnectAttempts = 0;
-  let fallbackInterval = null;
-
-  /**
-   * Setup PostgreSQL LISTEN connection for announcement notifications
-   * Uses a dedicated client to avoid blocking the connection pool
-   *
-   * @returns {Promise<void>}
-   */
-  async function setupAnnouncementListener() {
-    // Skip listener in test environment
-    if (isTestEnvironment()) {
-      logger.info('Skipping announcement listener in test environment');
-      return;
-    }
-
-    try {
-      // Create dedicated client for LISTEN (cannot use pooled connection)
-      listenClient = new Client({
-        connectionString: resolveDatabaseConnectionString(),
-      });
-
-      await listenClient.connect();
-      logger.info('✓ Announcement listener client connected');
-
-      // Reset reconnect attempts on successful connection
-      reconnectAttempts = 0;
-
-      // Listen for announcement_scheduled notifications
-      await listenClient.query('LISTEN announcement_scheduled');
-      logger.info('✓ Listening for announcement_scheduled notifications');
-
-      // Handle notifications from database triggers
-      listenClient.on('notification', async (msg) => {
-        if (msg.channel === 'announcement_scheduled') {
-          // Parse and validate notification payload
-          let payload = null;
-          try {
-            payload = msg.payload ? JSON.parse(msg.payload) : null;
-            logger.info('📢 Received announcement notification:', {
-              id: payload?.id,
-              organization_id: payload?.organization_id,
-              scheduled_at: payload?.scheduled_at,
-            });
-          } catch (parseError) {
-            logger.warn('Failed to parse announcement notification payload:', msg.payload, parseError);
-          }
-
-          // Prevent concurrent processing
-          if (!isProcessing) {
-            isProcessing = true;
-            try {
-              await processScheduledAnnouncements(pool, logger, whatsappService, googleChatService);
-            } catch (error) {
-              logger.error('Error processing scheduled announcements:', error);
-            } finally {
-              isProcessing = false;
-            }
-          }
-        }
-      });
-
-      // Handle client errors
-      listenClient.on('error', (err) => {
-        logger.error('PostgreSQL LISTEN client error:', err);
-        reconnectListener();
-      });
-
-      // Handle unexpected disconnection
-      listenClient.on('end', () => {
-        logger.warn('PostgreSQL LISTEN client disconnected');
-        reconnectListener();
-      });
-
-      // Check for any overdue announcements on startup (in case server was down)
-      logger.info('Checking for overdue announcements on startup...');
-      await processScheduledAnnouncements(pool, logger, whatsappService, googleChatService);
-
-    } catch (error) {
-      logger.error('Failed to setup announcement listener:', error);
-      reconnectListener();
-    }
-  }
-
-  /**
-   * Reconnect listener with exponential backoff
-   * Uses progressive delay: 5s, 10s, 20s, 40s, up to max 60s
-   *
-   * @returns {void}
-   */
-  function reconnectListener() {
-    if (reconnectTimeout) {
-      return; // Already reconnecting
-    }
-
-    // Clean up existing client
-    if (listenClient) {
-      listenClient.removeAllListeners();
-
-      // Properly await end() to ensure connection closes
-      listenClient.end().catch((err) => {
-        logger.error('Error closing LISTEN client:', err);
-      });
-
-      listenClient = null;
-    }
-
-    // True exponential backoff: 5s * 2^attempts, capped at 60s
-    reconnectAttempts++;
-    const delay = Math.min(5000 * Math.pow(2, reconnectAttempts - 1), 60000);
-    logger.info(`Reconnecting announcement listener in ${delay}ms (attempt ${reconnectAttempts})...`);
-
-    reconnectTimeout = setTimeout(() => {
-      reconnectTimeout = null;
-      setupAnnouncementListener();
-    }, delay);
-  }
-
-  /**
-   * Graceful shutdown handler for announcement listener
-   * Cleans up database connection and clears timers
-   *
-   * @returns {Promise<void>}
-   */
-  async function shutdownListener() {
-    logger.info('Shutting down announcement listener...');
-
-    // Clear fallback interval
-    if (fallbackInterval) {
-      clearInterval(fallbackInterval);
-      fallbackInterval = null;
-    }
-
-    // Clear reconnect timeout
-    if (reconnectTimeout) {
-      clearTimeout(reconnectTimeout);
-      reconnectTimeout = null;
-    }
-
-    // Close LISTEN client
-    if (listenClient) {
-      listenClient.removeAllListeners();
-
-      try {
-        await listenClient.end();
-        logger.info('✓ Announcement listener client closed');
-      } catch (err) {
-        logger.error('Error during listener shutdown:', err);
-      }
-
-      listenClient = null;
-    }
-  }
-
-  // Make shutdown function available for tests
-  global.__announcementListenerShutdown = shutdownListener;
-
-  // Initialize the listener
-  setupAnnouncementListener();
-
-  // SAFETY NET: Periodic fallback check (once per hour) in case notifications are missed
-  // This provides defense-in-depth while still reducing queries by 99.8% vs 1-minute polling
-  fallbackInterval = setInterval(() => {
-    if (!isProcessing) {
-      logger.info('Running hourly fallback check for scheduled announcements...');
-      processScheduledAnnouncements(pool, logger, whatsappService, googleChatService).catch((error) =>
-        logger.error('Fallback announcement check failed:', error),
-      );
-    }
-  }, 60 * 60 * 1000).unref(); // 1 hour
-
-  // Cleanup on process termination (use once to avoid duplicate listeners)
-  process.once('SIGTERM', shutdownListener);
-  process.once('SIGINT', shutdownListener);
-
   /**
    * Create a new announcement
    * Permission: communications.send
@@ -771,6 +632,12 @@ module.exports = (pool, logger, whatsappService = null, googleChatService = null
 
         if (initialStatus === 'sending') {
           await dispatchAnnouncement(pool, logger, announcement, whatsappService, googleChatService);
+        } else if (initialStatus === 'scheduled') {
+          await enqueueJob(pool, JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, { announcement_id: announcement.id }, {
+            organizationId,
+            runAt: announcement.scheduled_at,
+            uniqueKey: `announcement:${announcement.id}`,
+          });
         }
 
         res.json({ success: true, data: { ...announcement, status: initialStatus } });
@@ -816,7 +683,8 @@ module.exports = (pool, logger, whatsappService = null, googleChatService = null
       let logsByAnnouncement = {};
       if (announcementIds.length) {
         const logsResult = await pool.query(
-          `SELECT announcement_id, channel, recipient_email, recipient_user_id, status, error_message, sent_at
+          `SELECT announcement_id, channel, recipient_email, recipient_user_id, status, error_message, sent_at,
+                  delivery_status, delivery_reason, delivery_updated_at
            FROM announcement_logs
            WHERE announcement_id = ANY($1::int[])
            ORDER BY sent_at DESC`,
@@ -862,14 +730,6 @@ module.exports = (pool, logger, whatsappService = null, googleChatService = null
  */
 module.exports.buildRecipientsForTests = buildRecipients;
 
-/**
- * Export shutdown function for tests to clean up resources
- * @private Used only in test environments
- */
-module.exports.shutdownListenerForTests = async function() {
-  // This will be set by the route initialization
-  if (typeof global.__announcementListenerShutdown === 'function') {
-    await global.__announcementListenerShutdown();
-  }
-};
+/** Run by the job queue (services/manager). */
+module.exports.processScheduledAnnouncements = processScheduledAnnouncements;
 module.exports.normalizeAnnouncementPayloadForTests = normalizeAnnouncementPayload;
@@ -2,14 +2,34 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, authorize, getOrganizationId, requirePermission, blockDemoRoles, withScoutYear } = require('../middleware/auth');
-const { success, error, asyncHandler } = require('../middleware/response');
+const { success, error, conflict, asyncHandler } = require('../middleware/response');
 const { validateIdBody, validateDate, validateAttendanceStatus, checkValidation, validateIdQuery, validateDateOptional } = require('../middleware/validation');
 const { getPointSystemRules } = require('../utils');
 const { verifyJWT, calculateAttendancePoints, getCurrentOrganizationId, handleOrganizationResolutionError } = require('../utils/api-helpers');
+const { getAuthorizedPickups, checkPickup } = require('../services/pickups');
+const { isStaleRowVersion } = require('../services/syncChanges');
 
 // Longest activity date range (in days) expanded into selectable attendance dates
 const MAX_ACTIVITY_SPAN_DAYS = 31;
 
+/**
+ * Arrival or departure time from a request body.
+ * @returns {Date|null|undefined} The time, null to clear it, undefined when unreadable
+ */
+function parseTimestamp(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? undefined : time;
+}
+
+/** Adult's name as written on the sign-in/out sheet, or null. */
+function trimmedName(value) {
+  const name = typeof value === 'string' ? value.trim().slice(0, 255) : '';
+  return name || null;
+}
+
 module.exports = (pool, logger) => {
   /**
    * @swagger
@@ -177,11 +197,15 @@ module.exports = (pool, logger) => {
         // Client-supplied previous_status is ignored: the individual and group UI
         // paths used to send different guesses, producing phantom point deltas.
         const existingResult = await client.query(
-          `SELECT status FROM attendance
+          `SELECT * FROM attendance
          WHERE participant_id = $1 AND date = $2 AND organization_id = $3
          FOR UPDATE`,
           [participant_id, date, organizationId]
         );
+        if (isStaleRowVersion(req, existingResult.rows[0])) {
+          await client.query('ROLLBACK');
+          return conflict(res, existingResult.rows[0]);
+        }
         const previousStatus = existingResult.rows[0]?.status || null;
 
         // Upsert attendance
@@ -384,6 +408,290 @@ module.exports = (pool, logger) => {
       }
     }));
 
+  /**
+   * @swagger
+   * /api/v1/attendance/authorized-pickups:
+   *   get:
+   *     summary: Authorized pickup list of a participant
+   *     description: >
+   *       The guardians who may take the child home, and whether the
+   *       registration form allows the child to leave alone.
+   *     tags: [Attendance]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: participant_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: "`{ participant_id, can_leave_alone, guardians: [{ id, first_name, last_name, relationship, phone }] }`"
+   *       404:
+   *         description: Participant not found
+   */
+  router.get('/authorized-pickups',
+    authenticate,
+    requirePermission('attendance.view'),
+    validateIdQuery('participant_id'),
+    checkValidation,
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const participantId = Number.parseInt(req.query.participant_id, 10);
+      if (!participantId) {
+        return error(res, 'participant_id is required', 400);
+      }
+
+      const participant = await pool.query(
+        `SELECT 1 FROM participant_enrollments
+         WHERE participant_id = $1 AND organization_id = $2
+         LIMIT 1`,
+        [participantId, organizationId]
+      );
+      if (participant.rows.length === 0) {
+        return error(res, 'participant_not_found', 404);
+      }
+
+      const lists = await getAuthorizedPickups(pool, organizationId, [participantId], req.scoutYear);
+      return success(res, { participant_id: participantId, ...lists.get(participantId) });
+    }));
+
+  /**
+   * @swagger
+   * /api/v1/attendance/times:
+   *   put:
+   *     summary: Record arrival and departure
+   *     description: >
+   *       Sets the arrival and departure of a participant already marked on
+   *       that date. Only the fields sent are changed; send null to clear one.
+   *       A departure with an adult who is not on the authorized pickup list
+   *       (or alone, without the leave-alone permission) is refused with 409
+   *       `unauthorized_pickup` unless `acknowledge_unauthorized` is true; it
+   *       is then recorded with `pickup_authorized` false.
+   *     tags: [Attendance]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [participant_id, date]
+   *             properties:
+   *               participant_id:
+   *                 type: integer
+   *               date:
+   *                 type: string
+   *                 format: date
+   *               arrived_at:
+   *                 type: string
+   *                 format: date-time
+   *                 nullable: true
+   *               departed_at:
+   *                 type: string
+   *                 format: date-time
+   *                 nullable: true
+   *               dropped_off_by:
+   *                 type: string
+   *                 nullable: true
+   *               picked_up_by:
+   *                 type: string
+   *                 nullable: true
+   *               picked_up_by_guardian_id:
+   *                 type: integer
+   *                 nullable: true
+   *               left_alone:
+   *                 type: boolean
+   *               acknowledge_unauthorized:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Attendance row with its times
+   *       400:
+   *         description: Invalid times
+   *       404:
+   *         description: No attendance recorded for the participant on that date
+   *       409:
+   *         description: The adult is not on the authorized pickup list
+   */
+  router.put('/times',
+    authenticate,
+    blockDemoRoles,
+    requirePermission('attendance.manage'),
+    validateIdBody('participant_id'),
+    validateDate('date'),
+    checkValidation,
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const body = req.body;
+      const participantId = Number(body.participant_id);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+          `SELECT * FROM attendance
+         WHERE participant_id = $1 AND date = $2::date AND organization_id = $3
+         FOR UPDATE`,
+          [participantId, body.date, organizationId]
+        );
+        if (existing.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return error(res, 'attendance_not_recorded', 404);
+        }
+        if (isStaleRowVersion(req, existing.rows[0])) {
+          await client.query('ROLLBACK');
+          return conflict(res, existing.rows[0]);
+        }
+
+        const row = { ...existing.rows[0] };
+        for (const field of ['arrived_at', 'departed_at']) {
+          if (body[field] !== undefined) {
+            const time = parseTimestamp(body[field]);
+            if (time === undefined) {
+              await client.query('ROLLBACK');
+              return error(res, 'invalid_attendance_times', 400);
+            }
+            row[field] = time;
+          }
+        }
+        if (row.arrived_at && row.departed_at && new Date(row.departed_at) < new Date(row.arrived_at)) {
+          await client.query('ROLLBACK');
+          return error(res, 'invalid_attendance_times', 400);
+        }
+        if (body.dropped_off_by !== undefined) {
+          row.dropped_off_by = trimmedName(body.dropped_off_by);
+        }
+
+        const departureChanged = ['picked_up_by', 'picked_up_by_guardian_id', 'left_alone']
+          .some((field) => body[field] !== undefined);
+        if (departureChanged) {
+          row.picked_up_by = body.picked_up_by !== undefined ? trimmedName(body.picked_up_by) : row.picked_up_by;
+          row.picked_up_by_guardian_id = body.picked_up_by_guardian_id !== undefined
+            ? (Number.parseInt(body.picked_up_by_guardian_id, 10) || null)
+            : row.picked_up_by_guardian_id;
+          row.left_alone = body.left_alone !== undefined ? body.left_alone === true : row.left_alone;
+          row.pickup_authorized = null;
+
+          if (row.left_alone || row.picked_up_by || row.picked_up_by_guardian_id) {
+            const lists = await getAuthorizedPickups(client, organizationId, [participantId], req.scoutYear);
+            const list = lists.get(participantId);
+            const pickup = checkPickup(list, {
+              guardianId: row.picked_up_by_guardian_id,
+              name: row.picked_up_by,
+              leftAlone: row.left_alone
+            });
+
+            if (!pickup.authorized && body.acknowledge_unauthorized !== true) {
+              await client.query('ROLLBACK');
+              return error(res, 'unauthorized_pickup', 409);
+            }
+
+            const guardian = list.guardians.find((g) => g.id === pickup.guardianId);
+            row.picked_up_by_guardian_id = pickup.guardianId;
+            row.picked_up_by = row.left_alone
+              ? null
+              : (row.picked_up_by || (guardian ? `${guardian.first_name} ${guardian.last_name}` : null));
+            row.pickup_authorized = pickup.authorized;
+            if (!pickup.authorized) {
+              logger.warn(`[attendance] Unauthorized pickup recorded for participant ${participantId} on ${body.date} by user ${req.user.id}`);
+            }
+          }
+          row.pickup_recorded_by = req.user.id;
+        }
+
+        const result = await client.query(
+          `UPDATE attendance
+           SET arrived_at = $1, departed_at = $2, dropped_off_by = $3, picked_up_by = $4,
+               picked_up_by_guardian_id = $5, left_alone = $6, pickup_authorized = $7,
+               pickup_recorded_by = $8
+         WHERE id = $9
+         RETURNING *`,
+          [
+            row.arrived_at, row.departed_at, row.dropped_off_by, row.picked_up_by,
+            row.picked_up_by_guardian_id, row.left_alone, row.pickup_authorized,
+            row.pickup_recorded_by, row.id
+          ]
+        );
+
+        await client.query('COMMIT');
+        return success(res, result.rows[0], 'attendance_times_saved');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    }));
+
+  /**
+   * @swagger
+   * /api/v1/attendance/not-picked-up:
+   *   get:
+   *     summary: Children not yet picked up
+   *     description: >
+   *       End-of-day report: participants marked present or late on the date
+   *       whose departure is not recorded, with the guardians to call.
+   *     tags: [Attendance]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Defaults to today
+   *     responses:
+   *       200:
+   *         description: "`[{ participant_id, first_name, last_name, group_name, arrived_at, can_leave_alone, guardians }]`"
+   */
+  router.get('/not-picked-up',
+    authenticate,
+    requirePermission('attendance.view'),
+    validateDateOptional('date'),
+    checkValidation,
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const date = req.query.date || new Date().toISOString().split('T')[0];
+
+      const result = await pool.query(
+        `SELECT a.participant_id, p.first_name, p.last_name, g.name AS group_name,
+                a.status, a.arrived_at, a.dropped_off_by
+         FROM attendance a
+         JOIN participants p ON p.id = a.participant_id
+         LEFT JOIN participant_group_assignments pg ON pg.participant_id = p.id
+           AND pg.organization_id = $1 AND pg.scout_year_id = $3
+         LEFT JOIN groups g ON g.id = pg.group_id
+         WHERE a.organization_id = $1
+           AND a.date = $2::date
+           AND a.status IN ('present', 'late')
+           AND a.departed_at IS NULL
+           AND a.picked_up_by IS NULL
+           AND a.picked_up_by_guardian_id IS NULL
+           AND a.left_alone = FALSE
+         ORDER BY g.name NULLS LAST, p.first_name, p.last_name`,
+        [organizationId, date, req.scoutYear.id]
+      );
+
+      const lists = await getAuthorizedPickups(
+        pool,
+        organizationId,
+        result.rows.map((row) => row.participant_id),
+        req.scoutYear
+      );
+      return success(res, result.rows.map((row) => ({
+        ...row,
+        ...lists.get(row.participant_id)
+      })));
+    }));
+
   // ============================================
   // NON-VERSIONED ENDPOINTS (Legacy support)
   // ============================================
@@ -0,0 +1,228 @@
+/**
+ * Audit Log Routes
+ *
+ * Read-only access to the organization audit trail written by
+ * middleware/audit. Searching and exporting both go through the same
+ * endpoint; an export simply asks for a larger page. The role history of one
+ * member, read by the district management screen, has its own endpoint.
+ * All endpoints in this module are prefixed with /api/v1/audit
+ *
+ * @module routes/audit
+ */
+
+const express = require('express');
+
+const { authenticate, getOrganizationId, requirePermission } = require('../middleware/auth');
+const { success, error: errorResponse, paginated, asyncHandler } = require('../middleware/response');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../middleware/audit');
+
+const DEFAULT_PAGE_SIZE = 50;
+/** Large enough for an export of a busy month, small enough to stay one query. */
+const MAX_PAGE_SIZE = 5000;
+/** The district screen shows the last few changes, not the whole history. */
+const MAX_ROLE_HISTORY = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/v1/audit:
+   *   get:
+   *     summary: Search the audit trail
+   *     description: Newest first. Dates are inclusive calendar days.
+   *     tags: [Audit]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: user_id
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *         description: Who made the change
+   *       - in: query
+   *         name: entity_type
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: entity_id
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *           enum: [create, update, delete]
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           maximum: 5000
+   *     responses:
+   *       200:
+   *         description: Matching entries with the actor's name
+   *       400:
+   *         description: Invalid filter
+   *       403:
+   *         description: Missing audit.view permission
+   */
+  router.get('/', authenticate, requirePermission('audit.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { user_id: userId, entity_type: entityType, entity_id: entityId, action, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+      return errorResponse(res, 'invalid_entity_type', 400);
+    }
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return errorResponse(res, 'invalid_action', 400);
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return errorResponse(res, 'invalid_date_range', 400);
+    }
+
+    const params = [organizationId];
+    const conditions = ['a.organization_id = $1'];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (userId) addCondition('a.user_id::text = ?', String(userId));
+    if (entityType) addCondition('a.entity_type = ?', entityType);
+    if (entityId) addCondition('a.entity_id = ?', String(entityId));
+    if (action) addCondition('a.action = ?', action);
+    if (from) addCondition('a.created_at >= ?::date', from);
+    if (to) addCondition("a.created_at < ?::date + INTERVAL '1 day'", to);
+
+    const where = conditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM audit_log a WHERE ${where}`,
+      params
+    );
+    const total = Number.parseInt(countResult.rows[0]?.total ?? 0, 10) || 0;
+
+    const result = await pool.query(
+      `SELECT a.id, a.created_at, a.user_id, u.full_name AS user_name, u.email AS user_email,
+              a.action, a.entity_type, a.entity_id, a.before_data, a.after_data, a.ip_address, a.note
+         FROM audit_log a
+         LEFT JOIN users u ON u.id = a.user_id
+        WHERE ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return paginated(res, result.rows, page, limit, total);
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/audit/roles:
+   *   get:
+   *     summary: Role history of a member
+   *     description: |
+   *       Role changes made to one member, newest first, with who made them,
+   *       the note they gave and the roles before and after.
+   *     tags: [Audit]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: user_id
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *         description: Member whose roles changed
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           maximum: 100
+   *     responses:
+   *       200:
+   *         description: Role changes
+   *       400:
+   *         description: Missing user_id
+   *       403:
+   *         description: Missing audit.view permission
+   */
+  router.get('/roles', authenticate, requirePermission('audit.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const userId = req.query.user_id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_ROLE_HISTORY);
+
+    if (!userId) {
+      return errorResponse(res, 'user_id is required', 400);
+    }
+
+    const result = await pool.query(
+      `SELECT a.id, a.created_at, a.user_id AS actor_id, u.full_name AS actor_name,
+              a.before_data, a.after_data, a.note
+         FROM audit_log a
+         LEFT JOIN users u ON u.id = a.user_id
+        WHERE a.organization_id = $1
+          AND a.entity_type = 'user_roles'
+          AND a.entity_id = $2
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $3`,
+      [organizationId, String(userId), limit]
+    );
+
+    const roleIds = [...new Set(result.rows.flatMap((row) => [
+      ...(row.before_data?.role_ids || []),
+      ...(row.after_data?.role_ids || [])
+    ]))];
+    const rolesById = new Map();
+    if (roleIds.length > 0) {
+      const rolesResult = await pool.query(
+        'SELECT id, role_name, display_name FROM roles WHERE id = ANY($1::int[])',
+        [roleIds]
+      );
+      rolesResult.rows.forEach((role) => rolesById.set(role.id, role));
+    }
+
+    // A role deleted since keeps its id so the entry still reads
+    const describe = (ids = []) => ids.map((id) => rolesById.get(id) || { id, role_name: String(id), display_name: null });
+    const label = (roles) => roles.map((role) => role.display_name || role.role_name).join(', ') || '—';
+
+    const entries = result.rows.map((row) => {
+      const beforeRoles = describe(row.before_data?.role_ids);
+      const afterRoles = describe(row.after_data?.role_ids);
+      return {
+        id: row.id,
+        created_at: row.created_at,
+        actor_id: row.actor_id,
+        actor_name: row.actor_name,
+        note: row.note,
+        before_roles: beforeRoles,
+        after_roles: afterRoles,
+        summary: `${label(beforeRoles)} → ${label(afterRoles)}`
+      };
+    });
+
+    return success(res, entries);
+  }));
+
+  return router;
+};
@@ -2,13 +2,13 @@
  * Authentication Routes
  *
  * Handles user authentication, registration, password reset, and session management
- * All endpoints in this module are prefixed with /api/auth or /public
+ * All endpoints in this module are prefixed with /api/auth, /api/v1/auth or /public
  *
  * @module routes/auth
  */
 
 const express = require('express');
-const { asyncHandler, error: errorResponse } = require('../middleware/response');
+const { asyncHandler, success, error: errorResponse } = require('../middleware/response');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
@@ -17,8 +17,7 @@ const { validationResult } = require('express-validator');
 
 // Import middleware
 const { authenticate } = require('../middleware/auth');
-const { ROLE_PRIORITY } = require('../config/role-constants');
-const { requireJWTSecret, signJWTToken } = require('../utils/jwt-config');
+const { requireJWTSecret, verifyJWTToken } = require('../utils/jwt-config');
 const {
   validateEmail,
   validatePassword,
@@ -26,6 +25,7 @@ const {
   validateNewPassword,
   validateToken,
   validateFullName,
+  validateUuidParam,
   checkValidation,
   normalizeEmailInput,
   normalizeEmailValue
@@ -35,28 +35,38 @@ const {
 const { getCurrentOrganizationId, verifyJWT, handleOrganizationResolutionError } = require('../utils/api-helpers');
 const { findMembershipStanding, classifyStanding } = require('../services/reactivation');
 const { resolveOrganizationBaseUrl } = require('../utils/public-url');
+const { renderEmail } = require('../services/email-templates');
 const { sendEmail, sendAdminVerificationEmail, getTranslationsByCode, getUserEmailLanguage } = require('../utils/index');
 const {
   generate2FACode,
   store2FACode,
-  verify2FACode,
   createTrustedDevice,
   verifyTrustedDevice,
   send2FAEmail
 } = require('../utils/twoFactor');
-
-const emailTranslations = {
-  en: require('../lang/en.json'),
-  fr: require('../lang/fr.json'),
-  uk: require('../lang/uk.json'),
-  it: require('../lang/it.json'),
-  id: require('../lang/id.json')
-};
-
-function getEmailTranslations(req) {
-  const preferredLanguage = (req.headers['accept-language'] || '').split(',')[0]?.slice(0, 2);
-  return emailTranslations[preferredLanguage] || emailTranslations.en;
-}
+const {
+  ACCESS_TOKEN_TTL,
+  loadAccessClaims,
+  signAccessToken,
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  listSessions,
+  listTrustedDevices,
+  revokeTrustedDevice
+} = require('../services/authSessions');
+const { disconnectSessions } = require('../services/socket');
+const {
+  LOGIN_METHODS,
+  isTwoFactorRequiredFor,
+  resolvePasskeyRelyingParty,
+  getLoginMethods,
+  createLoginChallenge,
+  findLoginChallenge,
+  verifyLoginFactor
+} = require('../services/twoFactorMethods');
 
 /**
  * Decide whether an address may register, and say why when it may not.
@@ -112,6 +122,36 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Clients refresh every few minutes per open tab, so this only stops guessing.
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: isProduction ? 60 : 500,
+  message: { success: false, message: 'too_many_refresh_attempts' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * HTTP status for refresh refusals. A superseded token means another tab
+ * refreshed first; the client should pick up the stored token, not sign out.
+ */
+const REFRESH_BLOCKED_STATUS = {
+  invalid_refresh_token: 401,
+  session_revoked: 401,
+  session_expired: 401,
+  membership_inactive: 403,
+  refresh_token_superseded: 409
+};
+
+/** HTTP status for each verifyLoginFactor refusal. */
+const VERIFY_2FA_BLOCKED_STATUS = {
+  invalid_2fa_method: 400,
+  two_factor_session_expired: 401,
+  invalid_or_expired_2fa_code: 401,
+  invalid_passkey_response: 401,
+  too_many_attempts: 429
+};
+
 const passwordResetLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: isProduction ? 5 : 100, // 5 attempts per hour in production, 100 in development
@@ -275,6 +315,7 @@ module.exports = (pool, logger) => {
 
         // Check if the organization has disabled 2FA entirely
         let orgTwoFactorDisabled = false;
+        let security = null;
         try {
           const securitySettingResult = await pool.query(
             `SELECT setting_value FROM organization_settings WHERE organization_id = $1 AND setting_key = 'security'`,
@@ -284,13 +325,26 @@ module.exports = (pool, logger) => {
             // setting_value is a jsonb column, so the pg driver already returns a
             // parsed object. Only JSON.parse when it is stored/returned as a string.
             const rawSecurity = securitySettingResult.rows[0].setting_value;
-            const security = typeof rawSecurity === 'string' ? JSON.parse(rawSecurity) : rawSecurity;
+            security = typeof rawSecurity === 'string' ? JSON.parse(rawSecurity) : rawSecurity;
             orgTwoFactorDisabled = security?.two_factor_disabled === true;
           }
         } catch (err) {
           logger.warn('Failed to read org security setting, defaulting 2FA to enabled', { organizationId, err: err.message });
         }
 
+        // Roles holding sensitive permissions are always held to 2FA: even
+        // when the organization has turned it off for everyone else, and even
+        // from a device remembered at an earlier login.
+        let sensitiveTwoFactorRequired = false;
+        if (!isDemoUser && security?.two_factor_required_permissions?.length) {
+          const { permissions } = await loadAccessClaims(pool, user.id, organizationId);
+          sensitiveTwoFactorRequired = isTwoFactorRequiredFor(security, permissions);
+          if (sensitiveTwoFactorRequired) {
+            orgTwoFactorDisabled = false;
+            logger.info('2FA required by organization for sensitive permissions', { userId: user.id, organizationId });
+          }
+        }
+
         if (orgTwoFactorDisabled) {
           logger.info('2FA bypassed: disabled by organization setting', { userId: user.id, organizationId });
         }
@@ -298,75 +352,70 @@ module.exports = (pool, logger) => {
         // Check if device is trusted (2FA) - skip for demo users or orgs with 2FA disabled
         if (!isDemoUser && !orgTwoFactorDisabled) {
           const deviceToken = req.headers['x-device-token'];
-          const isTrustedDevice = await verifyTrustedDevice(pool, user.id, organizationId, deviceToken);
+          const isTrustedDevice = !sensitiveTwoFactorRequired
+            && await verifyTrustedDevice(pool, user.id, organizationId, deviceToken);
 
-          // If device is not trusted, send 2FA code
+          // If device is not trusted, ask for a second factor
           if (!isTrustedDevice) {
-            const code = generate2FACode();
-            const ipAddress = req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-            const userAgent = req.headers['user-agent'] || '';
-
-            // Store the code in database
-            await store2FACode(pool, user.id, organizationId, code, ipAddress, userAgent);
+            const enrolled = await getLoginMethods(pool, user.id);
+            const relyingParty = enrolled.passkeyCount > 0
+              ? await resolvePasskeyRelyingParty(pool, organizationId, req.headers.origin)
+              : null;
+            const { twoFactorToken, passkeyOptions } = await createLoginChallenge(pool, {
+              userId: user.id,
+              organizationId,
+              relyingParty
+            });
 
-            // Send email with code
-            await send2FAEmail(normalizedEmail, code, user.full_name, organizationId, pool);
+            // Passkeys registered on another domain cannot be used from here
+            const methods = passkeyOptions
+              ? enrolled.methods
+              : enrolled.methods.filter((method) => method !== 'passkey');
+            const preferredMethod = methods.includes(enrolled.preferred)
+              ? enrolled.preferred
+              : methods.find((method) => method !== 'recovery_code');
+
+            // Only email a code when that is what the user will be asked for;
+            // otherwise POST /public/2fa/email-code sends one on request.
+            const emailSent = preferredMethod === 'email';
+            if (emailSent) {
+              const code = generate2FACode();
+              const ipAddress = req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+              const userAgent = req.headers['user-agent'] || '';
+
+              // Store the code in database
+              await store2FACode(pool, user.id, organizationId, code, ipAddress, userAgent);
+
+              // Send email with code
+              await send2FAEmail(normalizedEmail, code, user.full_name, organizationId, pool);
+            }
 
             // Return response indicating 2FA is required
             return res.status(200).json({
               success: true,
               requires_2fa: true,
-              message: '2fa_code_sent',
+              message: emailSent ? '2fa_code_sent' : '2fa_required',
               user_id: user.id,
-              email: normalizedEmail
+              email: normalizedEmail,
+              two_factor_token: twoFactorToken,
+              two_factor_methods: methods,
+              preferred_method: preferredMethod,
+              passkey_options: passkeyOptions
             });
           }
         }
 
         // Demo users bypass 2FA, trusted devices skip 2FA - proceed with normal login
-        // Fetch user's roles and permissions for this organization
-        const rolesResult = await pool.query(
-          `SELECT DISTINCT r.id as role_id, r.role_name
-           FROM user_organizations uo
-           CROSS JOIN LATERAL jsonb_array_elements_text(uo.role_ids) AS role_id_text
-           JOIN roles r ON r.id = role_id_text::integer
-           WHERE uo.user_id = $1 AND uo.organization_id = $2
-             AND uo.status = 'active'`,
-          [user.id, organizationId]
-        );
-
-        const permissionsResult = await pool.query(
-          `SELECT DISTINCT p.permission_key
-           FROM user_organizations uo
-           CROSS JOIN LATERAL jsonb_array_elements_text(uo.role_ids) AS role_id_text
-           JOIN role_permissions rp ON rp.role_id = role_id_text::integer
-           JOIN permissions p ON p.id = rp.permission_id
-           WHERE uo.user_id = $1 AND uo.organization_id = $2
-             AND uo.status = 'active'`,
-          [user.id, organizationId]
-        );
-
-        const roleIds = rolesResult.rows.map(r => r.role_id);
-        const roleNames = rolesResult.rows.map(r => r.role_name);
-        const permissions = permissionsResult.rows.map(p => p.permission_key);
-
-        // Determine primary role for backward compatibility
-        // Priority: district > unitadmin > leader > finance > equipment > administration > parent
-        // Use centralized role priority from config
-        const rolePriority = ROLE_PRIORITY;
-        const primaryRole = rolePriority.find(role => roleNames.includes(role)) || roleNames[0] || 'parent';
-
-        const token = signJWTToken(
-          {
-            user_id: user.id,
-            user_role: primaryRole, // Legacy: primary role for backward compatibility
-            roleIds: roleIds,
-            roleNames: roleNames,
-            permissions: permissions,
-            organizationId: organizationId
-          },
-          { expiresIn: '7d' }
-        );
+        const claims = await loadAccessClaims(pool, user.id, organizationId);
+        const { roleNames, permissions, primaryRole } = claims;
+        const session = await startSession(pool, {
+          userId: user.id,
+          organizationId,
+          userAgent: req.headers['user-agent'] || '',
+          ipAddress: req.ip,
+          deviceToken: req.headers['x-device-token'] || null
+        });
+        const token = signAccessToken({ userId: user.id, organizationId, sessionId: session.sessionId, claims });
 
         // Check for guardian participants
         const guardianResult = await pool.query(
@@ -383,6 +432,8 @@ module.exports = (pool, logger) => {
           success: true,
           message: 'login_successful',
           token: token,
+          refresh_token: session.refreshToken,
+          expires_in: ACCESS_TOKEN_TTL,
           user_role: primaryRole, // Primary role for backward compatibility
           user_roles: roleNames, // All user roles
           user_permissions: permissions, // All user permissions
@@ -408,12 +459,55 @@ module.exports = (pool, logger) => {
       }
     }));
 
+  /**
+   * @swagger
+   * /public/2fa/email-code:
+   *   post:
+   *     summary: Email a 2FA code for a pending login (public endpoint)
+   *     description: |
+   *       Fallback for users whose preferred factor is an authenticator or a
+   *       passkey. Needs the `two_factor_token` returned by the login step.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - two_factor_token
+   *             properties:
+   *               two_factor_token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Code sent
+   *       401:
+   *         description: Login step expired; sign in again
+   */
+  router.post('/public/2fa/email-code',
+    authLimiter,
+    asyncHandler(async (req, res) => {
+      const challenge = await findLoginChallenge(pool, req.body?.two_factor_token);
+      if (!challenge) {
+        return errorResponse(res, 'two_factor_session_expired', 401);
+      }
+
+      const code = generate2FACode();
+      await store2FACode(pool, challenge.user_id, challenge.organization_id, code, req.ip, req.headers['user-agent'] || '');
+      await send2FAEmail(challenge.email, code, challenge.full_name, challenge.organization_id, pool);
+      return success(res, null, '2fa_code_sent');
+    }));
+
   /**
    * @swagger
    * /public/verify-2fa:
    *   post:
-   *     summary: Verify 2FA code (public endpoint)
-   *     description: Verify the 2FA code sent via email and complete login
+   *     summary: Verify a second factor (public endpoint)
+   *     description: |
+   *       Completes a login that answered `requires_2fa`. Every factor, the
+   *       emailed code included, must come with the `two_factor_token` of
+   *       that login.
    *     tags: [Authentication]
    *     requestBody:
    *       required: true
@@ -423,19 +517,30 @@ module.exports = (pool, logger) => {
    *             type: object
    *             required:
    *               - email
-   *               - code
+   *               - two_factor_token
    *             properties:
    *               email:
    *                 type: string
    *                 format: email
+   *               method:
+   *                 type: string
+   *                 enum: [email, totp, recovery_code, passkey]
+   *                 default: email
    *               code:
    *                 type: string
-   *                 description: 6-digit verification code
+   *                 description: Emailed or authenticator code (6 digits), or a recovery code
+   *               two_factor_token:
+   *                 type: string
+   *               passkey_response:
+   *                 type: object
+   *                 description: Assertion from navigator.credentials.get()
    *     responses:
    *       200:
    *         description: 2FA verified successfully, returns JWT token
    *       401:
-   *         description: Invalid or expired code
+   *         description: Invalid or expired code, or login step expired
+   *       429:
+   *         description: Too many attempts for this login step
    */
   router.post('/public/verify-2fa',
     authLimiter,
@@ -444,10 +549,19 @@ module.exports = (pool, logger) => {
     asyncHandler(async (req, res) => {
       try {
         const organizationId = await getCurrentOrganizationId(req, pool, logger);
-        const { email, code } = req.body;
+        const { email, code, method = 'email', two_factor_token: twoFactorToken, passkey_response: passkeyResponse } = req.body;
         const normalizedEmail = normalizeEmailValue(email);
 
-        if (!code || code.length !== 6) {
+        if (!LOGIN_METHODS.includes(method)) {
+          return res.status(400).json({
+            success: false,
+            message: 'invalid_2fa_method'
+          });
+        }
+        const codeMissing = method === 'recovery_code'
+          ? !code
+          : method !== 'passkey' && (!code || code.length !== 6);
+        if (codeMissing || (method === 'passkey' && !passkeyResponse)) {
           return res.status(400).json({
             success: false,
             message: 'invalid_2fa_code'
@@ -485,13 +599,32 @@ module.exports = (pool, logger) => {
           });
         }
 
-        // Verify the 2FA code
-        const isValid = await verify2FACode(pool, user.id, organizationId, code);
+        // Verify the second factor. Failed attempts count against the login
+        // step, so they are committed too.
+        const client = await pool.connect();
+        let outcome;
+        try {
+          await client.query('BEGIN');
+          outcome = await verifyLoginFactor(client, {
+            userId: user.id,
+            organizationId,
+            method,
+            twoFactorToken,
+            code,
+            passkeyResponse
+          });
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
 
-        if (!isValid) {
-          return res.status(401).json({
+        if (outcome.blocked) {
+          return res.status(VERIFY_2FA_BLOCKED_STATUS[outcome.blocked] || 401).json({
             success: false,
-            message: 'invalid_or_expired_2fa_code'
+            message: outcome.blocked
           });
         }
 
@@ -499,48 +632,16 @@ module.exports = (pool, logger) => {
         const userAgent = req.headers['user-agent'] || '';
         const newDeviceToken = await createTrustedDevice(pool, user.id, organizationId, userAgent);
 
-        // Fetch user's roles and permissions for this organization
-        const rolesResult = await pool.query(
-          `SELECT DISTINCT r.id as role_id, r.role_name
-           FROM user_organizations uo
-           CROSS JOIN LATERAL jsonb_array_elements_text(uo.role_ids) AS role_id_text
-           JOIN roles r ON r.id = role_id_text::integer
-           WHERE uo.user_id = $1 AND uo.organization_id = $2
-             AND uo.status = 'active'`,
-          [user.id, organizationId]
-        );
-
-        const permissionsResult = await pool.query(
-          `SELECT DISTINCT p.permission_key
-           FROM user_organizations uo
-           CROSS JOIN LATERAL jsonb_array_elements_text(uo.role_ids) AS role_id_text
-           JOIN role_permissions rp ON rp.role_id = role_id_text::integer
-           JOIN permissions p ON p.id = rp.permission_id
-           WHERE uo.user_id = $1 AND uo.organization_id = $2
-             AND uo.status = 'active'`,
-          [user.id, organizationId]
-        );
-
-        const roleIds = rolesResult.rows.map(r => r.role_id);
-        const roleNames = rolesResult.rows.map(r => r.role_name);
-        const permissions = permissionsResult.rows.map(p => p.permission_key);
-
-        // Determine primary role for backward compatibility
-        // Use centralized role priority from config
-        const rolePriority = ROLE_PRIORITY;
-        const primaryRole = rolePriority.find(role => roleNames.includes(role)) || roleNames[0] || 'parent';
-
-        const token = signJWTToken(
-          {
-            user_id: user.id,
-            user_role: primaryRole,
-            roleIds: roleIds,
-            roleNames: roleNames,
-            permissions: permissions,
-            organizationId: organizationId
-          },
-          { expiresIn: '7d' }
-        );
+        const claims = await loadAccessClaims(pool, user.id, organizationId);
+        const { roleNames, permissions, primaryRole } = claims;
+        const session = await startSession(pool, {
+          userId: user.id,
+          organizationId,
+          userAgent,
+          ipAddress: req.ip,
+          deviceToken: newDeviceToken
+        });
+        const token = signAccessToken({ userId: user.id, organizationId, sessionId: session.sessionId, claims });
 
         // Check for guardian participants
         const guardianResult = await pool.query(
@@ -557,6 +658,8 @@ module.exports = (pool, logger) => {
           success: true,
           message: 'login_successful',
           token: token,
+          refresh_token: session.refreshToken,
+          expires_in: ACCESS_TOKEN_TTL,
           device_token: newDeviceToken,  // Return device token for client to store
           user_role: primaryRole,
           user_roles: roleNames,
@@ -708,8 +811,7 @@ module.exports = (pool, logger) => {
             pool,
             organizationId,
             full_name,
-            normalizedEmail,
-            getEmailTranslations(req)
+            normalizedEmail
           );
         }
 
@@ -820,8 +922,7 @@ module.exports = (pool, logger) => {
             pool,
             organizationId,
             full_name,
-            normalizedEmail,
-            getEmailTranslations(req)
+            normalizedEmail
           );
         }
 
@@ -959,47 +1060,18 @@ module.exports = (pool, logger) => {
         const preferredLanguage = await getUserEmailLanguage(pool, normalizedEmail, organizationId);
         const translations = getTranslationsByCode(preferredLanguage);
         const fallbackTranslations = getTranslationsByCode('en');
-
-        const subject = translations.password_reset_email_subject || fallbackTranslations.password_reset_email_subject || 'Wampums - Password Reset Request';
-        const heading = translations.password_reset_email_heading || fallbackTranslations.password_reset_email_heading || 'Password Reset Request';
-        const greeting = translations.password_reset_email_greeting || fallbackTranslations.password_reset_email_greeting || 'Hello,';
-        const intro = translations.password_reset_email_intro || fallbackTranslations.password_reset_email_intro || 'You have requested to reset your password.';
         const buttonLabel = translations.password_reset_email_button || fallbackTranslations.password_reset_email_button || 'Reset Password';
-        const copyHint = translations.password_reset_email_copy_hint || fallbackTranslations.password_reset_email_copy_hint || 'Or copy this link:';
-        const expiry = translations.password_reset_email_expiry || fallbackTranslations.password_reset_email_expiry || 'This link will expire in 1 hour.';
-        const ignore = translations.password_reset_email_ignore || fallbackTranslations.password_reset_email_ignore || "If you did not request this reset, please ignore this email.";
-
-        const message = [
-          greeting,
-          "",
-          intro,
-          "",
-          resetLink,
-          "",
-          expiry,
-          "",
-          ignore
-        ].join('\n');
-
-        const html = `
-          <h2>${heading}</h2>
-          <p>${intro}</p>
-          <p><a href="${resetLink}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${buttonLabel}</a></p>
-          <p>${copyHint} <a href="${resetLink}">${resetLink}</a></p>
-          <p><em>${expiry}</em></p>
-          <p>${ignore}</p>
-        `;
-
-        // Fetch organization name for the email sender profile
-        const orgResult = await pool.query(
-          `SELECT setting_value->>'name' as org_name
-           FROM organization_settings
-           WHERE organization_id = $1 AND setting_key = 'organization_info'`,
-          [organizationId]
+
+        const { subject, text, html, organizationName } = await renderEmail(
+          pool,
+          organizationId,
+          'password_reset',
+          preferredLanguage,
+          {},
+          { action: { label: buttonLabel, url: resetLink } }
         );
-        const orgName = orgResult.rows[0]?.org_name || 'Wampums';
 
-        const emailSent = await sendEmail(normalizedEmail, subject, message, html, orgName);
+        const emailSent = await sendEmail(normalizedEmail, subject, text, html, organizationName);
 
         if (!emailSent) {
           logger.error('Failed to send password reset email', { email: normalizedEmail });
@@ -1080,7 +1152,11 @@ module.exports = (pool, logger) => {
           [hashedPassword, userId]
         );
 
-        logger.info('Password reset completed successfully', { userId, email: userEmail });
+        // Whoever prompted the reset may be holding a session; end them all.
+        const revokedSessions = await revokeUserSessions(pool, { userId, reason: 'password_reset' });
+        disconnectSessions(revokedSessions);
+
+        logger.info('Password reset completed successfully', { userId, email: userEmail, revokedSessions: revokedSessions.length });
 
         res.json({
           success: true,
@@ -1132,25 +1208,254 @@ module.exports = (pool, logger) => {
   }));
 
   /**
-   * Stateless logout response handler used by legacy and v1 routes.
+   * @swagger
+   * /api/v1/auth/refresh:
+   *   post:
+   *     summary: Trade a refresh token for a new access token
+   *     description: |
+   *       Rotates the refresh token: the one presented stops working and a new
+   *       one is returned with the access token. Roles and permissions are
+   *       re-read, so the new access token reflects current membership.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - refresh_token
+   *             properties:
+   *               refresh_token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New access and refresh tokens
+   *       401:
+   *         description: Refresh token unknown, expired or revoked
+   *       409:
+   *         description: Token was already rotated by a concurrent request
+   */
+  router.post('/api/v1/auth/refresh',
+    refreshLimiter,
+    asyncHandler(async (req, res) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const outcome = await rotateRefreshToken(client, {
+          refreshToken: req.body?.refresh_token,
+          ipAddress: req.ip
+        });
+        if (outcome.blocked) {
+          // Reuse and membership refusals revoke the session; keep that.
+          await client.query('COMMIT');
+          return res.status(REFRESH_BLOCKED_STATUS[outcome.blocked] || 401).json({
+            success: false,
+            message: outcome.blocked
+          });
+        }
+
+        const { session } = outcome;
+        const claims = await loadAccessClaims(client, session.user_id, session.organization_id);
+        await client.query('COMMIT');
+
+        res.json({
+          success: true,
+          token: signAccessToken({
+            userId: session.user_id,
+            organizationId: session.organization_id,
+            sessionId: session.id,
+            claims
+          }),
+          refresh_token: outcome.refreshToken,
+          expires_in: ACCESS_TOKEN_TTL,
+          user_role: claims.primaryRole,
+          user_roles: claims.roleNames,
+          user_permissions: claims.permissions,
+          organization_id: session.organization_id
+        });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error refreshing session:', error);
+        return errorResponse(res, 'internal_server_error', 500);
+      } finally {
+        client.release();
+      }
+    }));
+
+  /**
+   * @swagger
+   * /api/v1/auth/sessions:
+   *   get:
+   *     summary: List the caller's active sessions and trusted devices
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions (the caller's own flagged `current`) and 2FA-trusted devices
+   */
+  router.get('/api/v1/auth/sessions', authenticate, asyncHandler(async (req, res) => {
+    const [sessions, trustedDevices] = await Promise.all([
+      listSessions(pool, req.user.id),
+      listTrustedDevices(pool, req.user.id)
+    ]);
+    return success(res, {
+      sessions: sessions.map((session) => ({ ...session, current: session.id === req.user.sessionId })),
+      trusted_devices: trustedDevices
+    });
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/auth/sessions:
+   *   delete:
+   *     summary: Sign out every other session
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Other sessions revoked
+   */
+  router.delete('/api/v1/auth/sessions', authenticate, asyncHandler(async (req, res) => {
+    const revoked = await revokeUserSessions(pool, {
+      userId: req.user.id,
+      exceptSessionId: req.user.sessionId,
+      reason: 'user_revoked_all'
+    });
+    disconnectSessions(revoked);
+    return success(res, { revoked: revoked.length }, 'sessions_revoked');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/auth/sessions/{id}:
+   *   delete:
+   *     summary: Sign out one session
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Session revoked
+   *       400:
+   *         description: The ID is not a UUID
+   *       404:
+   *         description: No live session with this ID belongs to the caller
+   */
+  router.delete('/api/v1/auth/sessions/:id', authenticate, validateUuidParam('id'), checkValidation, asyncHandler(async (req, res) => {
+    const revoked = await revokeSession(pool, {
+      sessionId: req.params.id,
+      userId: req.user.id,
+      reason: 'user_revoked'
+    });
+    if (!revoked) {
+      return errorResponse(res, 'session_not_found', 404);
+    }
+    disconnectSessions([revoked.id]);
+    return success(res, revoked, 'session_revoked');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/auth/trusted-devices/{id}:
+   *   delete:
+   *     summary: Stop trusting a device for 2FA and sign it out
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Device no longer trusted; its sessions are revoked
+   *       400:
+   *         description: The ID is not a UUID
+   *       404:
+   *         description: No trusted device with this ID belongs to the caller
+   */
+  router.delete('/api/v1/auth/trusted-devices/:id', authenticate, validateUuidParam('id'), checkValidation, asyncHandler(async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await revokeTrustedDevice(client, { userId: req.user.id, deviceId: req.params.id });
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+      if (outcome.blocked) {
+        return errorResponse(res, outcome.blocked, 404);
+      }
+      disconnectSessions(outcome.revokedSessions);
+      return success(res, { id: outcome.id, revoked_sessions: outcome.revokedSessions.length }, 'trusted_device_revoked');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }));
+
+  /**
+   * Logout handler used by legacy and v1 routes.
+   *
+   * Revokes the session named by the refresh token in the body, or failing
+   * that by the bearer token's `sid` (accepted even when expired, so a client
+   * returning after a while can still end its session). Always answers
+   * success: the client discards its tokens either way.
+   *
    * @param {import('express').Request} req - Express request object
    * @param {import('express').Response} res - Express response object
    */
-  const respondLogoutSuccess = (req, res) => {
-    // JWT is stateless, so logout is handled client-side
-    // This endpoint exists for consistency and potential future server-side session handling
+  const respondLogoutSuccess = asyncHandler(async (req, res) => {
+    try {
+      let revoked = null;
+      if (req.body?.refresh_token) {
+        revoked = await revokeSessionByRefreshToken(pool, req.body.refresh_token, 'logout');
+      }
+
+      const bearer = req.headers.authorization?.split(' ')[1];
+      if (!revoked && bearer) {
+        let decoded = null;
+        try {
+          decoded = verifyJWTToken(bearer, { ignoreExpiration: true });
+        } catch {
+          decoded = null;
+        }
+        if (decoded?.sid) {
+          revoked = await revokeSession(pool, { sessionId: decoded.sid, userId: decoded.user_id, reason: 'logout' });
+        }
+      }
+
+      if (revoked) {
+        disconnectSessions([revoked.id]);
+      }
+    } catch (error) {
+      logger.error('Error revoking session on logout:', error);
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
     });
-  };
+  });
 
   /**
    * @swagger
    * /api/auth/logout:
    *   post:
    *     summary: Logout user
-   *     description: Clear user session (client-side token should be removed)
+   *     description: Revoke the current session (by refresh_token in the body, or the bearer token's session)
    *     tags: [Authentication]
    *     responses:
    *       200:
@@ -1163,7 +1468,7 @@ module.exports = (pool, logger) => {
    * /api/v1/auth/logout:
    *   post:
    *     summary: Logout user (v1)
-   *     description: Clear user session (client-side token should be removed)
+   *     description: Revoke the current session (by refresh_token in the body, or the bearer token's session)
    *     tags: [Authentication]
    *     responses:
    *       200:
@@ -13,7 +13,9 @@ const router = express.Router();
 // Import utilities
 const { getPointSystemRules } = require('../utils/api-helpers');
 const { authenticate, getOrganizationId, requirePermission, blockDemoRoles } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/response');
+const { conflict, asyncHandler } = require('../middleware/response');
+const { isStaleRowVersion } = require('../services/syncChanges');
+const { approveBadge } = require('../services/badge-approval');
 
 const DEFAULT_LEVELS = [
   { level: 1, label_key: 'badge_level_1' },
@@ -434,59 +436,13 @@ module.exports = (pool, logger) => {
       return res.status(400).json({ success: false, message: 'Badge ID is required' });
     }
 
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
-      // Get the badge details
-      const badgeResult = await client.query(
-        `SELECT * FROM badge_progress WHERE id = $1 AND organization_id = $2`,
-        [badge_id, organizationId]
-      );
-
-      if (badgeResult.rows.length === 0) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ success: false, message: 'Badge not found' });
-      }
-
-      const badge = badgeResult.rows[0];
-
-      // Update badge status to approved
-      await client.query(
-        `UPDATE badge_progress
-           SET status = 'approved', approval_date = NOW()
-           WHERE id = $1`,
-        [badge_id]
-      );
-
-      // Get point system rules for badge earn points
-      const pointRules = await getPointSystemRules(client, organizationId);
-      const badgeEarnPoints = pointRules.badges?.earn || 5;
-
-      // Get participant's group for proper point tracking
-      const groupResult = await client.query(
-        `SELECT group_id FROM participant_groups
-           WHERE participant_id = $1 AND organization_id = $2`,
-        [badge.participant_id, organizationId]
-      );
-      const groupId = groupResult.rows.length > 0 ? groupResult.rows[0].group_id : null;
-
-      // Award points for earning the badge
-      await client.query(
-        `INSERT INTO points (participant_id, group_id, organization_id, value, created_at)
-           VALUES ($1, $2, $3, $4, NOW())`,
-        [badge.participant_id, groupId, organizationId, badgeEarnPoints]
-      );
-
-      await client.query('COMMIT');
-      logger.info(`[badge] Badge ${badge_id} approved for participant ${badge.participant_id}, points: +${badgeEarnPoints}`);
-      res.json({ success: true, message: 'Badge approved', points: badgeEarnPoints });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+    const approval = await approveBadge(pool, organizationId, badge_id);
+    if (!approval) {
+      return res.status(404).json({ success: false, message: 'Badge not found' });
     }
+
+    logger.info(`[badge] Badge ${badge_id} approved for participant ${approval.badge.participant_id}, points: +${approval.points}`);
+    res.json({ success: true, message: 'Badge approved', points: approval.points });
   }));
 
   /**
@@ -876,7 +832,8 @@ module.exports = (pool, logger) => {
         `SELECT bp.*, bt.level_count, COALESCE(bt.levels, '[]'::jsonb) AS template_levels
            FROM badge_progress bp
            JOIN badge_templates bt ON bp.badge_template_id = bt.id
-           WHERE bp.id = $1 AND bp.organization_id = $2`,
+           WHERE bp.id = $1 AND bp.organization_id = $2
+           FOR UPDATE OF bp`,
         [badgeId, organizationId]
       );
 
@@ -886,6 +843,13 @@ module.exports = (pool, logger) => {
       }
 
       const existingBadge = existingResult.rows[0];
+
+      if (isStaleRowVersion(req, existingBadge)) {
+        await client.query('ROLLBACK');
+        const { level_count: _levelCount, template_levels: _templateLevels, ...current } = existingBadge;
+        return conflict(res, current);
+      }
+
       const templateLevels = normalizeLevels(existingBadge.template_levels, existingBadge.level_count);
       const templateLevelCount = getLevelCount(templateLevels, existingBadge.level_count);
 
@@ -2,10 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, requirePermission, blockDemoRoles, getOrganizationId } = require('../middleware/auth');
-const { success, error, asyncHandler } = require('../middleware/response');
+const { success, error, conflict, asyncHandler } = require('../middleware/response');
+const { validateIdParam, checkValidation } = require('../middleware/validation');
+const { isStaleRowVersion, expectedRowVersion } = require('../services/syncChanges');
 const { ROLE_GROUPS } = require('../config/role-constants');
+const { LEGS, proposeAssignments, loadMatchingInput } = require('../services/carpoolMatching');
+const {
+  sendRideCancellationNotifications,
+  sendAssignmentNotifications
+} = require('../utils/carpool-notifications');
+
+module.exports = (pool, logger) => {
+  /**
+   * Tell families and drivers about new or moved assignments without
+   * holding up the response.
+   */
+  const notifyAssignments = (organizationId, assignmentIds, options) => {
+    sendAssignmentNotifications(pool, organizationId, assignmentIds, options)
+      .catch((err) => logger.error('[carpools] Failed to send assignment notifications:', err));
+  };
 
-module.exports = (pool) => {
   /**
    * Get all carpool offers for an activity
    * Accessible by: animation, admin, parent
@@ -164,7 +180,7 @@ module.exports = (pool) => {
 
     // Check if offer exists and user has permission
     const offerCheck = await pool.query(
-      'SELECT user_id FROM carpool_offers WHERE id = $1 AND organization_id = $2 AND is_active = TRUE',
+      'SELECT * FROM carpool_offers WHERE id = $1 AND organization_id = $2 AND is_active = TRUE',
       [id, organizationId]
     );
 
@@ -180,6 +196,10 @@ module.exports = (pool) => {
       return error(res, 'You do not have permission to update this carpool offer', 403);
     }
 
+    if (isStaleRowVersion(req, offerCheck.rows[0])) {
+      return conflict(res, offerCheck.rows[0]);
+    }
+
     // Validate trip direction if provided
     if (trip_direction) {
       const validDirections = ['both', 'to_activity', 'from_activity'];
@@ -212,11 +232,21 @@ module.exports = (pool) => {
         trip_direction = COALESCE($4, trip_direction),
         notes = COALESCE($5, notes),
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $6 AND organization_id = $7
+      WHERE id = $6 AND organization_id = $7 AND is_active = TRUE
+        AND ($8::bigint IS NULL OR row_version = $8)
       RETURNING *`,
-      [vehicle_make, vehicle_color, total_seats_available, trip_direction, notes, id, organizationId]
+      [vehicle_make, vehicle_color, total_seats_available, trip_direction, notes, id, organizationId, expectedRowVersion(req)]
     );
 
+    // Another write landed after the read above
+    if (result.rows.length === 0) {
+      const current = await pool.query(
+        'SELECT * FROM carpool_offers WHERE id = $1 AND organization_id = $2 AND is_active = TRUE',
+        [id, organizationId]
+      );
+      return current.rows.length ? conflict(res, current.rows[0]) : error(res, 'Carpool offer not found', 404);
+    }
+
     return success(res, result.rows[0], 'Carpool offer updated successfully');
   }));
 
@@ -256,8 +286,11 @@ module.exports = (pool) => {
       `SELECT DISTINCT
         p.id as participant_id,
         p.first_name || ' ' || p.last_name as participant_name,
+        u.id as guardian_user_id,
         u.email as guardian_email,
         u.full_name as guardian_name,
+        u.whatsapp_phone_number as guardian_whatsapp,
+        a.id as activity_id,
         a.name as activity_name,
         a.activity_date
        FROM carpool_assignments ca
@@ -287,10 +320,9 @@ module.exports = (pool) => {
       [id]
     );
 
-    // Send email notifications to affected guardians
+    // Notify affected guardians
     if (affectedResult.rows.length > 0) {
-      const { sendRideCancellationNotifications } = require('../utils/carpool-notifications');
-      await sendRideCancellationNotifications(pool, affectedResult.rows);
+      await sendRideCancellationNotifications(pool, organizationId, affectedResult.rows);
     }
 
     return success(res, {
@@ -298,6 +330,30 @@ module.exports = (pool) => {
     }, 'Carpool offer cancelled and notifications sent');
   }));
 
+  /**
+   * Driver confirms they are still driving (asked by the reminder the evening
+   * before the activity)
+   * Accessible by: owner of offer
+   */
+  router.post('/offers/:id/confirm', authenticate, blockDemoRoles, requirePermission('carpools.view'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const organizationId = await getOrganizationId(req, pool);
+
+    const result = await pool.query(
+      `UPDATE carpool_offers
+       SET driver_confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND organization_id = $2 AND user_id = $3 AND is_active = TRUE
+       RETURNING *`,
+      [id, organizationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return error(res, 'Carpool offer not found', 404);
+    }
+
+    return success(res, result.rows[0], 'Thank you for confirming your ride');
+  }));
+
   /**
    * Assign a participant to a carpool
    * Accessible by: parent (own children), animation/admin (any child)
@@ -396,6 +452,8 @@ module.exports = (pool) => {
         [carpool_offer_id, participant_id, userId, organizationId, trip_direction, notes]
       );
 
+      notifyAssignments(organizationId, [result.rows[0].id], { actorUserId: userId });
+
       return success(res, {
         ...result.rows[0],
         driver_name: offer.driver_name
@@ -459,6 +517,95 @@ module.exports = (pool) => {
     return success(res, null, 'Participant removed from carpool');
   }));
 
+  /**
+   * Move an assignment to another ride of the same activity
+   * Body: { carpool_offer_id }
+   * Accessible by: parent (own children), animation/admin (any child)
+   */
+  router.put('/assignments/:id', authenticate, blockDemoRoles, requirePermission('carpools.view'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const organizationId = await getOrganizationId(req, pool);
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { carpool_offer_id } = req.body;
+
+    if (!carpool_offer_id) {
+      return error(res, 'Missing required field: carpool_offer_id', 400);
+    }
+
+    const assignmentCheck = await pool.query(
+      `SELECT ca.*, co.activity_id, co.user_id AS driver_user_id,
+              u.full_name AS driver_name, u.email AS driver_email, u.whatsapp_phone_number AS driver_whatsapp
+       FROM carpool_assignments ca
+       JOIN carpool_offers co ON co.id = ca.carpool_offer_id
+       JOIN users u ON u.id = co.user_id
+       WHERE ca.id = $1 AND ca.organization_id = $2`,
+      [id, organizationId]
+    );
+
+    if (assignmentCheck.rows.length === 0) {
+      return error(res, 'Assignment not found', 404);
+    }
+
+    const assignment = assignmentCheck.rows[0];
+
+    const userRoles = req.userRoles || (userRole ? [userRole] : []);
+    const isStaff = userRoles.some(role => ROLE_GROUPS.CARPOOL_MANAGEMENT.includes(role));
+    if (!isStaff) {
+      const guardianCheck = await pool.query(
+        'SELECT 1 FROM user_participants WHERE user_id = $1 AND participant_id = $2',
+        [userId, assignment.participant_id]
+      );
+
+      if (guardianCheck.rows.length === 0) {
+        return error(res, 'You can only move your own children between carpools', 403);
+      }
+    }
+
+    if (Number(carpool_offer_id) === assignment.carpool_offer_id) {
+      return success(res, assignment, 'Participant is already in this carpool');
+    }
+
+    const offerCheck = await pool.query(
+      `SELECT id FROM carpool_offers
+       WHERE id = $1 AND organization_id = $2 AND activity_id = $3 AND is_active = TRUE`,
+      [carpool_offer_id, organizationId, assignment.activity_id]
+    );
+
+    if (offerCheck.rows.length === 0) {
+      return error(res, 'Carpool offer not found or is not active', 404);
+    }
+
+    // The database trigger checks seats and direction on the new ride
+    let result;
+    try {
+      result = await pool.query(
+        `UPDATE carpool_assignments
+         SET carpool_offer_id = $1, assigned_by = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [carpool_offer_id, userId, id]
+      );
+    } catch (err) {
+      if (err.message.includes('No available seats') || err.message.includes('Cannot assign')) {
+        return error(res, err.message, 400);
+      }
+      throw err;
+    }
+
+    notifyAssignments(organizationId, [result.rows[0].id], {
+      actorUserId: userId,
+      movedFrom: {
+        user_id: assignment.driver_user_id,
+        driver_name: assignment.driver_name,
+        email: assignment.driver_email,
+        whatsapp_phone_number: assignment.driver_whatsapp
+      }
+    });
+
+    return success(res, result.rows[0], 'Participant moved to another carpool');
+  }));
+
   /**
    * Get carpool assignments for current user's children
    * Accessible by: parent
@@ -583,5 +730,169 @@ module.exports = (pool) => {
     return success(res, result.rows);
   }));
 
+  /**
+   * Propose carpool assignments for the participants still needing a ride.
+   * Nothing is saved: the coordinator reviews the proposal, may change it,
+   * and accepts it with POST /activity/:activityId/auto-assign.
+   * Body: { group_by_postal_code?, participant_ids?, trip_directions? }
+   * Accessible by: animation, admin
+   */
+  router.post('/activity/:activityId/auto-assign/preview', authenticate, requirePermission('carpools.manage'), validateIdParam('activityId'), checkValidation, asyncHandler(async (req, res) => {
+    const activityId = parseInt(req.params.activityId, 10);
+    const organizationId = await getOrganizationId(req, pool);
+    const { group_by_postal_code, participant_ids, trip_directions } = req.body || {};
+
+    const activityCheck = await pool.query(
+      'SELECT id FROM activities WHERE id = $1 AND organization_id = $2 AND is_active = TRUE',
+      [activityId, organizationId]
+    );
+    if (activityCheck.rows.length === 0) {
+      return error(res, 'Activity not found', 404);
+    }
+
+    const legs = trip_directions === undefined ? LEGS : trip_directions;
+    if (!Array.isArray(legs) || legs.length === 0 || !legs.every((leg) => LEGS.includes(leg))) {
+      return error(res, 'Invalid trip_directions. Must be a list of: to_activity, from_activity', 400);
+    }
+    if (participant_ids !== undefined && (!Array.isArray(participant_ids)
+      || !participant_ids.every((id) => Number.isInteger(id) && id > 0))) {
+      return error(res, 'participant_ids must be a list of participant IDs', 400);
+    }
+
+    const { offers, participants } = await loadMatchingInput(pool, organizationId, activityId, {
+      participantIds: participant_ids || null,
+      legs
+    });
+    const proposal = proposeAssignments({
+      offers,
+      participants,
+      groupByPostalCode: group_by_postal_code === true
+    });
+
+    const names = new Map(participants.map((p) => [p.id, `${p.first_name} ${p.last_name}`]));
+    const drivers = new Map(offers.map((offer) => [offer.id, offer.driver_name]));
+
+    return success(res, {
+      assignments: proposal.assignments.map((assignment) => ({
+        ...assignment,
+        participant_name: names.get(assignment.participant_id),
+        driver_name: drivers.get(assignment.carpool_offer_id)
+      })),
+      unplaced: proposal.unplaced.map((row) => ({
+        ...row,
+        participant_name: names.get(row.participant_id)
+      })),
+      split_families: proposal.split_families,
+      offers: offers.map(({ assignments, ...offer }) => ({
+        ...offer,
+        assigned_count: new Set(assignments.map((assignment) => assignment.participant_id)).size
+      }))
+    });
+  }));
+
+  /**
+   * Save an accepted (possibly edited) auto-assign proposal.
+   * All assignments are saved or none are; the seat trigger has the last word
+   * when offers changed since the preview.
+   * Body: { assignments: [{ carpool_offer_id, participant_id, trip_direction }] }
+   * Accessible by: animation, admin
+   */
+  router.post('/activity/:activityId/auto-assign', authenticate, blockDemoRoles, requirePermission('carpools.manage'), validateIdParam('activityId'), checkValidation, asyncHandler(async (req, res) => {
+    const activityId = parseInt(req.params.activityId, 10);
+    const organizationId = await getOrganizationId(req, pool);
+    const userId = req.user.id;
+    const { assignments } = req.body || {};
+
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+      return error(res, 'Missing required field: assignments', 400);
+    }
+    const validDirections = ['both', 'to_activity', 'from_activity'];
+    const invalid = assignments.find((assignment) => !Number.isInteger(assignment?.carpool_offer_id)
+      || !Number.isInteger(assignment?.participant_id)
+      || !validDirections.includes(assignment?.trip_direction));
+    if (invalid) {
+      return error(res, 'Each assignment needs carpool_offer_id, participant_id and a valid trip_direction', 400, [invalid]);
+    }
+
+    // `both` rows first, as in the proposal: the seat trigger counts every rider for them
+    const ordered = [...assignments].sort((a, b) => Number(b.trip_direction === 'both') - Number(a.trip_direction === 'both'));
+    const offerIds = [...new Set(ordered.map((assignment) => assignment.carpool_offer_id))];
+    const participantIds = [...new Set(ordered.map((assignment) => assignment.participant_id))];
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const offerCheck = await client.query(
+        `SELECT id FROM carpool_offers
+         WHERE id = ANY($1::int[]) AND activity_id = $2 AND organization_id = $3 AND is_active = TRUE`,
+        [offerIds, activityId, organizationId]
+      );
+      if (offerCheck.rows.length !== offerIds.length) {
+        await client.query('ROLLBACK');
+        return error(res, 'Carpool offer not found or is not active', 404);
+      }
+
+      const participantCheck = await client.query(
+        'SELECT participant_id FROM participant_organizations WHERE participant_id = ANY($1::int[]) AND organization_id = $2',
+        [participantIds, organizationId]
+      );
+      if (participantCheck.rows.length !== participantIds.length) {
+        await client.query('ROLLBACK');
+        return error(res, 'Participant not found in this organization', 404);
+      }
+
+      const created = [];
+      for (const assignment of ordered) {
+        const { carpool_offer_id, participant_id, trip_direction } = assignment;
+
+        const existingAssignment = await client.query(
+          `SELECT ca.id
+           FROM carpool_assignments ca
+           JOIN carpool_offers co ON ca.carpool_offer_id = co.id
+           WHERE ca.participant_id = $1
+             AND co.activity_id = $2
+             AND co.is_active = TRUE
+             AND (
+               (ca.trip_direction = 'both' OR $3 = 'both')
+               OR ca.trip_direction = $3
+             )`,
+          [participant_id, activityId, trip_direction]
+        );
+        if (existingAssignment.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return error(res, 'Participant is already assigned to a carpool for this trip direction', 400, [assignment]);
+        }
+
+        try {
+          const result = await client.query(
+            `INSERT INTO carpool_assignments (
+              carpool_offer_id, participant_id, assigned_by,
+              organization_id, trip_direction
+            ) VALUES ($1, $2, $3, $4, $5)
+            RETURNING *`,
+            [carpool_offer_id, participant_id, userId, organizationId, trip_direction]
+          );
+          created.push(result.rows[0]);
+        } catch (err) {
+          if (!err.message.includes('No available seats') && !err.message.includes('Cannot assign')) {
+            throw err;
+          }
+          await client.query('ROLLBACK');
+          return error(res, err.message, 400, [assignment]);
+        }
+      }
+
+      await client.query('COMMIT');
+      notifyAssignments(organizationId, created.map((row) => row.id), { actorUserId: userId });
+      return success(res, created, 'Carpool assignments saved successfully', 201);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }));
+
   return router;
 };
@@ -0,0 +1,346 @@
+/**
+ * Check-in Routes
+ *
+ * QR badge check-in and check-out for camps and outings, and the live roll
+ * call of who is on site or on the bus. Scanners work offline: their scans
+ * reach POST / later, through the outbox, with the time they were made.
+ * All endpoints in this module are prefixed with /api/v1/checkins
+ *
+ * @module routes/checkins
+ */
+
+const express = require('express');
+
+const { authenticate, blockDemoRoles, getOrganizationId, requirePermission, withScoutYear } = require('../middleware/auth');
+const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const { validateDateOptional, validateIdQuery, checkValidation } = require('../middleware/validation');
+const { getOrganizationName } = require('../services/alumni');
+const {
+  CHECKPOINTS,
+  EVENT_TYPES,
+  badgeCode,
+  verifyBadgeCode,
+  parseOccurredAt,
+  loadRoster,
+  recordCheckin,
+  getRollCall,
+  renderBadgesPdf
+} = require('../services/checkins');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Language for a downloaded document: ?lang=, then the browser's. */
+function documentLanguage(req) {
+  if (typeof req.query.lang === 'string' && req.query.lang) {
+    return req.query.lang.slice(0, 2).toLowerCase();
+  }
+  return req.acceptsLanguages('fr', 'en') || 'fr';
+}
+
+function optionalId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * Whether an activity belongs to the organization.
+   */
+  async function activityExists(organizationId, activityId) {
+    const result = await pool.query(
+      'SELECT 1 FROM activities WHERE id = $1 AND organization_id = $2',
+      [activityId, organizationId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * @swagger
+   * /api/v1/checkins/badges:
+   *   get:
+   *     summary: Printable QR badges
+   *     description: PDF of one QR badge per participant on the year's roster, eight to a page.
+   *     tags: [Check-in]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: group_id
+   *         schema:
+   *           type: integer
+   *         description: Only this den
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: PDF document
+   *         content:
+   *           application/pdf: {}
+   */
+  router.get('/badges',
+    authenticate,
+    requirePermission('attendance.manage'),
+    validateIdQuery('group_id'),
+    checkValidation,
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const [roster, organizationName] = await Promise.all([
+        loadRoster(pool, {
+          organizationId,
+          scoutYear: req.scoutYear,
+          rosterStatuses: req.rosterStatuses,
+          groupId: optionalId(req.query.group_id)
+        }),
+        getOrganizationName(pool, organizationId)
+      ]);
+
+      const pdf = await renderBadgesPdf({
+        organizationName,
+        participants: roster.map((participant) => ({
+          ...participant,
+          code: badgeCode(organizationId, participant.participant_id)
+        })),
+        language: documentLanguage(req)
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'attachment; filename="checkin-badges.pdf"');
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.send(pdf);
+    })
+  );
+
+  /**
+   * @swagger
+   * /api/v1/checkins/roster:
+   *   get:
+   *     summary: Roster with badge codes
+   *     description: >
+   *       The year's roster with each participant's badge code, so a scanner
+   *       can name a scanned child while offline.
+   *     tags: [Check-in]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: "`[{ participant_id, first_name, last_name, group_id, group_name, code }]`"
+   */
+  router.get('/roster',
+    authenticate,
+    requirePermission('attendance.manage'),
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const roster = await loadRoster(pool, {
+        organizationId,
+        scoutYear: req.scoutYear,
+        rosterStatuses: req.rosterStatuses
+      });
+
+      return success(res, roster.map((participant) => ({
+        ...participant,
+        code: badgeCode(organizationId, participant.participant_id)
+      })));
+    })
+  );
+
+  /**
+   * @swagger
+   * /api/v1/checkins:
+   *   post:
+   *     summary: Record a check-in or check-out
+   *     description: >
+   *       Identify the participant by the scanned badge `code` or, when
+   *       checking someone in by hand, by `participant_id`. Send the time of
+   *       the scan as `occurred_at` and a `client_event_id` (UUID): a scan
+   *       sent again with the same id is not recorded twice.
+   *     tags: [Check-in]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [event_type]
+   *             properties:
+   *               code:
+   *                 type: string
+   *               participant_id:
+   *                 type: integer
+   *               event_type:
+   *                 type: string
+   *                 enum: [check_in, check_out]
+   *               checkpoint:
+   *                 type: string
+   *                 enum: [site, bus]
+   *                 default: site
+   *               activity_id:
+   *                 type: integer
+   *               occurred_at:
+   *                 type: string
+   *                 format: date-time
+   *               client_event_id:
+   *                 type: string
+   *                 format: uuid
+   *     responses:
+   *       201:
+   *         description: Scan recorded
+   *       200:
+   *         description: Scan already recorded
+   *       400:
+   *         description: Invalid badge or scan
+   *       404:
+   *         description: Participant or activity not found
+   */
+  router.post('/',
+    authenticate,
+    blockDemoRoles,
+    requirePermission('attendance.manage'),
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const {
+        code,
+        participant_id: rawParticipantId,
+        event_type: eventType,
+        checkpoint = 'site',
+        activity_id: rawActivityId,
+        occurred_at: rawOccurredAt,
+        client_event_id: clientEventId = null
+      } = req.body || {};
+
+      const occurredAt = parseOccurredAt(rawOccurredAt);
+      const activityId = optionalId(rawActivityId);
+      if (
+        !EVENT_TYPES.includes(eventType)
+        || !CHECKPOINTS.includes(checkpoint)
+        || !occurredAt
+        || Number.isNaN(activityId)
+        || (clientEventId !== null && !UUID_PATTERN.test(String(clientEventId)))
+      ) {
+        return errorResponse(res, 'invalid_checkin_event', 400);
+      }
+
+      let participantId;
+      if (code) {
+        participantId = verifyBadgeCode(code, organizationId);
+        if (!participantId) {
+          return errorResponse(res, 'invalid_badge_code', 400);
+        }
+      } else {
+        participantId = optionalId(rawParticipantId);
+        if (!participantId) {
+          return errorResponse(res, 'invalid_checkin_event', 400);
+        }
+      }
+
+      const [participant] = await loadRoster(pool, {
+        organizationId,
+        scoutYear: req.scoutYear,
+        rosterStatuses: req.rosterStatuses,
+        participantIds: [participantId]
+      });
+      if (!participant) {
+        return errorResponse(res, 'participant_not_found', 404);
+      }
+      if (activityId && !(await activityExists(organizationId, activityId))) {
+        return errorResponse(res, 'activity_not_found', 404);
+      }
+
+      const { event, duplicate } = await recordCheckin(pool, {
+        organizationId,
+        participantId,
+        activityId,
+        checkpoint,
+        eventType,
+        occurredAt,
+        recordedBy: req.user.id,
+        clientEventId
+      });
+
+      return success(res, { ...event, participant }, 'checkin_recorded', duplicate ? 200 : 201);
+    })
+  );
+
+  /**
+   * @swagger
+   * /api/v1/checkins/roll-call:
+   *   get:
+   *     summary: Who is checked in right now
+   *     description: >
+   *       Every participant on the roster with their status at the
+   *       checkpoint: `in`, `out` or `not_seen`. Scans of an activity are
+   *       counted together; without `activity_id`, the scans of `date`
+   *       (today by default) that have no activity.
+   *     tags: [Check-in]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: activity_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: checkpoint
+   *         schema:
+   *           type: string
+   *           enum: [site, bus]
+   *       - in: query
+   *         name: group_id
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: "`{ checkpoint, activity_id, date, counts: { in, out, not_seen, total }, participants }`"
+   */
+  router.get('/roll-call',
+    authenticate,
+    requirePermission('attendance.view'),
+    validateIdQuery('activity_id'),
+    validateIdQuery('group_id'),
+    validateDateOptional('date'),
+    checkValidation,
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const checkpoint = req.query.checkpoint || 'site';
+      if (!CHECKPOINTS.includes(checkpoint)) {
+        return errorResponse(res, 'invalid_checkin_event', 400);
+      }
+
+      const activityId = optionalId(req.query.activity_id);
+      if (activityId && !(await activityExists(organizationId, activityId))) {
+        return errorResponse(res, 'activity_not_found', 404);
+      }
+
+      const rollCall = await getRollCall(pool, {
+        organizationId,
+        scoutYear: req.scoutYear,
+        rosterStatuses: req.rosterStatuses,
+        checkpoint,
+        activityId,
+        date: req.query.date || new Date().toISOString().split('T')[0],
+        groupId: optionalId(req.query.group_id)
+      });
+
+      return success(res, rollCall);
+    })
+  );
+
+  return router;
+};
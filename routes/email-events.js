@@ -0,0 +1,114 @@
+/**
+ * Email Delivery Webhook Routes
+ *
+ * Where the email provider reports what became of each message: Brevo's
+ * transactional webhook, and a generic endpoint for delivery status
+ * notifications from any other SMTP relay. Both are public and authenticated
+ * by the shared secret in EMAIL_WEBHOOK_SECRET (see services/email-delivery).
+ * All endpoints in this module are prefixed with /api/v1/email-events
+ *
+ * @module routes/email-events
+ */
+
+const express = require('express');
+
+const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const {
+  isValidWebhookToken,
+  normalizeBrevoEvent,
+  normalizeDsnReport,
+  recordDeliveryReports
+} = require('../services/email-delivery');
+
+module.exports = (pool, logger) => {
+  const router = express.Router();
+
+  /** Refuse calls that do not carry the shared secret. */
+  function requireWebhookToken(req, res, next) {
+    if (!process.env.EMAIL_WEBHOOK_SECRET) {
+      logger.warn('Email delivery webhook called but EMAIL_WEBHOOK_SECRET is not set');
+      return errorResponse(res, 'Email webhook not configured', 503);
+    }
+    if (!isValidWebhookToken(req.get('x-webhook-token') || req.query.token)) {
+      return errorResponse(res, 'Unauthorized', 401);
+    }
+    return next();
+  }
+
+  /**
+   * @swagger
+   * /api/v1/email-events/brevo:
+   *   post:
+   *     summary: Brevo transactional webhook
+   *     description: |
+   *       Records delivered, opened, bounced, spam and deferred events. Other
+   *       event types are acknowledged and ignored. Accepts one event or an
+   *       array of events.
+   *     tags: [Email Delivery]
+   *     parameters:
+   *       - in: query
+   *         name: token
+   *         schema:
+   *           type: string
+   *         description: Shared secret, when it cannot be sent as X-Webhook-Token
+   *     responses:
+   *       200:
+   *         description: Events recorded
+   *       401:
+   *         description: Missing or wrong token
+   */
+  router.post('/brevo', requireWebhookToken, asyncHandler(async (req, res) => {
+    const outcome = await recordDeliveryReports(pool, req.body, normalizeBrevoEvent);
+    logger.info('Brevo delivery events received', outcome);
+    return success(res, outcome);
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/email-events/dsn:
+   *   post:
+   *     summary: Generic delivery status notification
+   *     description: |
+   *       For SMTP relays other than Brevo. Post the parsed DSN fields
+   *       (original_message_id, final_recipient, action, status,
+   *       diagnostic_code), an abuse report (feedback_type), or an event
+   *       already reduced to delivered, opened, bounced, complained or deferred.
+   *     tags: [Email Delivery]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               original_message_id:
+   *                 type: string
+   *               final_recipient:
+   *                 type: string
+   *               action:
+   *                 type: string
+   *                 enum: [failed, delayed, delivered, relayed, expanded]
+   *               status:
+   *                 type: string
+   *                 example: 5.1.1
+   *               diagnostic_code:
+   *                 type: string
+   *               feedback_type:
+   *                 type: string
+   *               event:
+   *                 type: string
+   *                 enum: [delivered, opened, bounced, complained, deferred]
+   *     responses:
+   *       200:
+   *         description: Reports recorded
+   *       401:
+   *         description: Missing or wrong token
+   */
+  router.post('/dsn', requireWebhookToken, asyncHandler(async (req, res) => {
+    const outcome = await recordDeliveryReports(pool, req.body, normalizeDsnReport);
+    logger.info('Delivery status notifications received', outcome);
+    return success(res, outcome);
+  }));
+
+  return router;
+};
@@ -0,0 +1,260 @@
+/**
+ * Email Template Routes
+ *
+ * Lets a unit see the emails the application sends on its behalf, reword
+ * them per language and preview the result with its branding. The templates
+ * themselves live in services/email-templates; the colour is set through
+ * PATCH /api/v1/organizations/settings/branding.
+ * All endpoints in this module are prefixed with /api/v1/email-templates
+ *
+ * @module routes/email-templates
+ */
+
+const express = require('express');
+
+const { authenticate, getOrganizationId, requirePermission, blockDemoRoles } = require('../middleware/auth');
+const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const {
+  EMAIL_TEMPLATES,
+  TEMPLATE_LANGUAGES,
+  getTemplateDefaults,
+  isUnitTemplate,
+  loadEmailContext,
+  renderPreview,
+  validateTemplateOverride
+} = require('../services/email-templates');
+
+/** Whether the path names a unit template in an editable language. */
+function isEditable(key, language) {
+  return isUnitTemplate(key) && TEMPLATE_LANGUAGES.includes(language);
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/v1/email-templates:
+   *   get:
+   *     summary: List email templates
+   *     description: |
+   *       Every template with its placeholders and, per language, the default
+   *       wording and the unit's override if any. Also returns the branding
+   *       the emails are laid out with.
+   *     tags: [Email Templates]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Templates and branding
+   */
+  router.get('/', authenticate, requirePermission('org.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const context = await loadEmailContext(pool, organizationId);
+    const updatedResult = await pool.query(
+      `SELECT template_key, language, updated_at
+         FROM email_template_overrides
+        WHERE organization_id = $1`,
+      [organizationId]
+    );
+    const updatedAt = new Map(updatedResult.rows.map((row) => [`${row.template_key}:${row.language}`, row.updated_at]));
+
+    const templates = Object.entries(EMAIL_TEMPLATES).filter(([key]) => isUnitTemplate(key)).map(([key, template]) => ({
+      key,
+      variables: template.variables,
+      required: template.required,
+      languages: Object.fromEntries(TEMPLATE_LANGUAGES.map((language) => {
+        const override = context.overrides[key]?.[language];
+        return [language, {
+          default: getTemplateDefaults(key, language),
+          override: override ? { ...override, updated_at: updatedAt.get(`${key}:${language}`) || null } : null
+        }];
+      }))
+    }));
+
+    return success(res, {
+      templates,
+      branding: {
+        organization_name: context.organizationName,
+        logo_url: context.logoUrl,
+        primary_color: context.primaryColor
+      }
+    });
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/email-templates/{key}/{language}:
+   *   put:
+   *     summary: Reword a template
+   *     description: |
+   *       Saves the unit's subject and body for one language. Only the
+   *       template's placeholders may be used, and the required ones (its
+   *       link, its code) must stay in the body.
+   *     tags: [Email Templates]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: key
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: language
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [en, fr]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [subject, body]
+   *             properties:
+   *               subject:
+   *                 type: string
+   *               body:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Override saved
+   *       400:
+   *         description: Invalid wording
+   *       404:
+   *         description: Unknown template or language
+   */
+  router.put('/:key/:language', authenticate, blockDemoRoles, requirePermission('org.edit'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { key, language } = req.params;
+    if (!isEditable(key, language)) {
+      return errorResponse(res, 'email_template_not_found', 404);
+    }
+
+    const validation = validateTemplateOverride(key, req.body);
+    if (validation.errors.length > 0) {
+      return errorResponse(res, 'Invalid email template', 400, validation.errors);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO email_template_overrides (organization_id, template_key, language, subject, body, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (organization_id, template_key, language)
+       DO UPDATE SET subject = EXCLUDED.subject, body = EXCLUDED.body,
+                     updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING template_key, language, subject, body, updated_at`,
+      [organizationId, key, language, validation.value.subject, validation.value.body, req.user.id]
+    );
+
+    return success(res, result.rows[0], 'Email template saved');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/email-templates/{key}/{language}:
+   *   delete:
+   *     summary: Go back to the default wording
+   *     tags: [Email Templates]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: key
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: language
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Override removed
+   *       404:
+   *         description: The template has no override in this language
+   */
+  router.delete('/:key/:language', authenticate, blockDemoRoles, requirePermission('org.edit'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { key, language } = req.params;
+    if (!isEditable(key, language)) {
+      return errorResponse(res, 'email_template_not_found', 404);
+    }
+
+    const result = await pool.query(
+      `DELETE FROM email_template_overrides
+        WHERE organization_id = $1 AND template_key = $2 AND language = $3
+        RETURNING id`,
+      [organizationId, key, language]
+    );
+    if (result.rows.length === 0) {
+      return errorResponse(res, 'email_template_not_found', 404);
+    }
+
+    return success(res, { template_key: key, language }, 'Email template reset');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/email-templates/{key}/preview:
+   *   post:
+   *     summary: Preview a template
+   *     description: |
+   *       Renders the template with sample values and the unit's branding.
+   *       Pass a subject and body to preview wording before saving it;
+   *       without them the saved wording (or the default) is shown.
+   *     tags: [Email Templates]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: key
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               language:
+   *                 type: string
+   *                 enum: [en, fr]
+   *               subject:
+   *                 type: string
+   *               body:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Rendered subject, text and HTML
+   *       400:
+   *         description: Invalid wording
+   *       404:
+   *         description: Unknown template or language
+   */
+  router.post('/:key/preview', authenticate, requirePermission('org.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { key } = req.params;
+    const { language = 'en', subject, body } = req.body || {};
+    if (!isEditable(key, language)) {
+      return errorResponse(res, 'email_template_not_found', 404);
+    }
+
+    let draft = null;
+    if (subject !== undefined || body !== undefined) {
+      const validation = validateTemplateOverride(key, { subject, body });
+      if (validation.errors.length > 0) {
+        return errorResponse(res, 'Invalid email template', 400, validation.errors);
+      }
+      draft = validation.value;
+    }
+
+    const context = await loadEmailContext(pool, organizationId);
+    return success(res, renderPreview(key, language, context, draft));
+  }));
+
+  return router;
+};
@@ -2,6 +2,30 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, getOrganizationId, requirePermission, blockDemoRoles } = require('../middleware/auth');
 const { success, error, asyncHandler } = require('../middleware/response');
+const { recordAudit } = require('../middleware/audit');
+const { refundPayment } = require('../services/stripePayments');
+const {
+  getReminderSettings,
+  listOpenInstallments,
+  normalizeReminderSettings,
+  saveReminderSettings,
+  summarizeOverdue
+} = require('../services/paymentPlans');
+const {
+  emailTaxReceipts,
+  findFamilyParticipantIds,
+  findGuardianParticipantIds,
+  getDocumentIssuer,
+  getReceiptSettings,
+  getTaxReceipt,
+  issueTaxReceipts,
+  listTaxReceipts,
+  listTaxYearContributions,
+  loadFamilyStatement,
+  normalizeReceiptSettings,
+  saveReceiptSettings
+} = require('../services/financeDocuments');
+const { renderFamilyStatementPdf, renderTaxReceiptPdf } = require('../services/financePdf');
 const { ROLE_GROUPS } = require('../config/role-constants');
 
 function toNumeric(value) {
@@ -9,6 +33,14 @@ function toNumeric(value) {
   return Number.isFinite(numeric) ? numeric : 0;
 }
 
+const REFUND_BLOCK_STATUS = {
+  payment_not_found: 404,
+  not_refundable: 400,
+  invalid_amount: 400,
+  amount_exceeds_refundable: 400,
+  processor_error: 502
+};
+
 function validateMoney(value, fieldName) {
   const numeric = Number.parseFloat(value);
   if (!Number.isFinite(numeric) || numeric < 0) {
@@ -37,6 +69,42 @@ function validatePositiveInteger(value, fieldName) {
   return { valid: true, value: numeric };
 }
 
+function validateTaxYear(value) {
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 2000 || year > new Date().getFullYear() + 1) {
+    return { valid: false, message: 'invalid_tax_year' };
+  }
+
+  return { valid: true, value: year };
+}
+
+/**
+ * Staff claims and organization scope come from the same signed JWT;
+ * getOrganizationId ignores client-side organization overrides for
+ * authenticated requests.
+ */
+function isFinanceStaff(req) {
+  const roleNames = req.user.roleNames || [];
+  const permissions = req.user.permissions || [];
+  return permissions.includes('finance.view')
+    || ROLE_GROUPS.FINANCE_ACCESS.some((role) => roleNames.includes(role));
+}
+
+/** Language for a downloaded document: ?lang=, then the browser's. */
+function documentLanguage(req) {
+  if (typeof req.query.lang === 'string' && req.query.lang) {
+    return req.query.lang.slice(0, 2).toLowerCase();
+  }
+  return req.acceptsLanguages('fr', 'en') || 'fr';
+}
+
+function sendPdf(res, buffer, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.send(buffer);
+}
+
 function formatFeeRow(row) {
   const totalAmount = toNumeric(row.total_amount);
   const totalPaid = toNumeric(row.total_paid);
@@ -346,7 +414,9 @@ module.exports = (pool, logger) => {
     }
 
     const payments = await pool.query(
-      `SELECT id, participant_fee_id, payment_plan_id, amount, payment_date, method, reference_number, created_at
+      `SELECT id, participant_fee_id, payment_plan_id, amount, payment_date, method, reference_number, created_at,
+              payment_processor, refund_of_payment_id,
+              COALESCE((SELECT -SUM(r.amount) FROM payments r WHERE r.refund_of_payment_id = payments.id), 0) AS refunded_amount
        FROM payments
        WHERE participant_fee_id = $1
        ORDER BY payment_date DESC, created_at DESC`,
@@ -402,6 +472,14 @@ module.exports = (pool, logger) => {
         [id]
       );
 
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'create',
+        entityType: 'payment',
+        entityId: insertResult.rows[0].id,
+        after: insertResult.rows[0]
+      });
+
       await client.query('COMMIT');
       return success(res, insertResult.rows[0], 'Payment recorded', 201);
     } catch (err) {
@@ -426,7 +504,8 @@ module.exports = (pool, logger) => {
     }
 
     const paymentRow = await pool.query(
-      `SELECT pay.id, pf.organization_id
+      `SELECT pay.id, pay.participant_fee_id, pay.payment_plan_id, pay.amount, pay.payment_date,
+              pay.method, pay.reference_number, pay.created_at, pf.organization_id
        FROM payments pay
        JOIN participant_fees pf ON pf.id = pay.participant_fee_id
        WHERE pay.id = $1`,
@@ -470,6 +549,16 @@ module.exports = (pool, logger) => {
         [feeId]
       );
 
+      const { organization_id: _organizationId, ...previous } = paymentRow.rows[0];
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'update',
+        entityType: 'payment',
+        entityId: paymentId,
+        before: previous,
+        after: updated.rows[0]
+      });
+
       await client.query('COMMIT');
       return success(res, updated.rows[0], 'Payment updated');
     } catch (err) {
@@ -480,6 +569,41 @@ module.exports = (pool, logger) => {
     }
   }));
 
+  /**
+   * Refund all or part of a payment. Card payments are refunded through
+   * Stripe; manual ones only record the money given back. Either way the
+   * refund is a negative payment linked to the original.
+   */
+  router.post('/v1/finance/payments/:paymentId/refund', authenticate, blockDemoRoles, requirePermission('finance.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { amount, reference_number } = req.body;
+
+    let refundAmount = null;
+    if (amount !== undefined && amount !== null && amount !== '') {
+      const amountValidation = validateMoney(amount, 'amount');
+      if (!amountValidation.valid) {
+        return error(res, amountValidation.message, 400);
+      }
+      refundAmount = amountValidation.value;
+    }
+
+    const result = await refundPayment(pool, req, {
+      organizationId,
+      paymentId: req.params.paymentId,
+      amount: refundAmount,
+      referenceNumber: reference_number || null
+    });
+
+    if (result.blocked) {
+      if (result.message) {
+        logger.error(`Stripe refund failed for payment ${req.params.paymentId}: ${result.message}`);
+      }
+      return error(res, result.blocked, REFUND_BLOCK_STATUS[result.blocked] || 400);
+    }
+
+    return success(res, result.refund, 'Refund recorded', 201);
+  }));
+
   router.get('/v1/finance/participant-fees/:id/payment-plans', authenticate, requirePermission('finance.view'), asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
@@ -680,6 +804,8 @@ module.exports = (pool, logger) => {
       [organizationId]
     );
 
+    const overdue = summarizeOverdue(await listOpenInstallments(pool, { organizationId }));
+
     const totalsRow = totalsResult.rows[0];
     const totalBilled = toNumeric(totalsRow.total_billed);
     const totalPaid = toNumeric(totalsRow.total_paid);
@@ -706,12 +832,31 @@ module.exports = (pool, logger) => {
       payment_methods: paymentMethods.rows.map((row) => ({
         method: row.method,
         total_paid: toNumeric(row.total_paid)
-      }))
+      })),
+      overdue
     };
 
     return success(res, payload, 'Financial summary ready');
   }));
 
+  router.get('/v1/finance/reminder-settings', authenticate, requirePermission('finance.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const settings = await getReminderSettings(pool, organizationId);
+    return success(res, settings, 'Reminder settings loaded');
+  }));
+
+  router.put('/v1/finance/reminder-settings', authenticate, blockDemoRoles, requirePermission('finance.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const normalized = normalizeReminderSettings(req.body || {});
+
+    if (normalized.error) {
+      return error(res, normalized.error, 400);
+    }
+
+    await saveReminderSettings(pool, organizationId, normalized.value);
+    return success(res, normalized.value, 'Reminder settings saved');
+  }));
+
   // No requirePermission here: guardians without finance.view may view their own
   // children's statements. Staff/guardian access is enforced inside the handler.
   router.get('/v1/finance/participants/:participantId/statement', authenticate, asyncHandler(async (req, res) => {
@@ -731,15 +876,7 @@ module.exports = (pool, logger) => {
       return error(res, 'Participant not found in this organization', 404);
     }
 
-    // Staff claims and organization scope come from the same signed JWT.
-    // getOrganizationId ignores client-side organization overrides for
-    // authenticated requests.
-    const roleNames = req.user.roleNames || [];
-    const permissions = req.user.permissions || [];
-    const isStaff = permissions.includes('finance.view')
-      || ROLE_GROUPS.FINANCE_ACCESS.some((role) => roleNames.includes(role));
-
-    if (!isStaff) {
+    if (!isFinanceStaff(req)) {
       const guardianLink = await pool.query(
         `SELECT 1
          FROM user_participants up
@@ -761,10 +898,18 @@ module.exports = (pool, logger) => {
        )
        SELECT pf.id, pf.participant_id, pf.fee_definition_id, pf.total_registration_fee, pf.total_membership_fee,
               pf.total_amount, pf.status, pf.notes, pf.created_at,
-              fd.year_start, fd.year_end, COALESCE(p.total_paid, 0) AS total_paid
+              fd.year_start, fd.year_end, COALESCE(p.total_paid, 0) AS total_paid,
+              plan.id AS payment_plan_id, plan.amount_per_payment, plan.number_of_payments, plan.frequency
        FROM participant_fees pf
        JOIN fee_definitions fd ON fd.id = pf.fee_definition_id
        LEFT JOIN payments p ON p.participant_fee_id = pf.id
+       LEFT JOIN LATERAL (
+         SELECT id, amount_per_payment, number_of_payments, frequency
+         FROM payment_plans
+         WHERE participant_fee_id = pf.id
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) plan ON TRUE
        WHERE pf.participant_id = $1 AND pf.organization_id = $2
        ORDER BY pf.created_at DESC`,
       [participantId, organizationId]
@@ -792,5 +937,149 @@ module.exports = (pool, logger) => {
     );
   }));
 
+  // Same access rule as the JSON statement. A guardian gets the children on
+  // their own account; staff get every child sharing a guardian with this one.
+  router.get('/v1/finance/participants/:participantId/family-statement', authenticate, asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const participantId = Number.parseInt(req.params.participantId, 10);
+    if (!Number.isInteger(participantId)) {
+      return error(res, 'Participant not found in this organization', 404);
+    }
+
+    let participantIds;
+    if (isFinanceStaff(req)) {
+      participantIds = await findFamilyParticipantIds(pool, organizationId, participantId);
+    } else {
+      participantIds = await findGuardianParticipantIds(pool, organizationId, req.user.id);
+      if (!participantIds.includes(participantId)) {
+        return error(res, 'Insufficient permissions to view this statement', 403);
+      }
+    }
+
+    if (participantIds.length === 0) {
+      return error(res, 'Participant not found in this organization', 404);
+    }
+
+    const [issuer, statement] = await Promise.all([
+      getDocumentIssuer(pool, organizationId),
+      loadFamilyStatement(pool, organizationId, participantIds)
+    ]);
+    const pdf = await renderFamilyStatementPdf({ issuer, statement, language: documentLanguage(req) });
+
+    return sendPdf(res, pdf, `family-statement-${participantId}.pdf`);
+  }));
+
+  router.get('/v1/finance/receipt-settings', authenticate, requirePermission('finance.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const settings = await getReceiptSettings(pool, organizationId);
+    return success(res, settings, 'Receipt settings loaded');
+  }));
+
+  router.put('/v1/finance/receipt-settings', authenticate, blockDemoRoles, requirePermission('finance.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const normalized = normalizeReceiptSettings(req.body || {});
+
+    if (normalized.error) {
+      return error(res, normalized.error, 400);
+    }
+
+    await saveReceiptSettings(pool, organizationId, normalized.value);
+    return success(res, normalized.value, 'Receipt settings saved');
+  }));
+
+  // Staff see every receipt; a guardian sees the receipts addressed to them.
+  router.get('/v1/finance/tax-receipts', authenticate, asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+
+    let taxYear = null;
+    if (req.query.year !== undefined) {
+      const yearValidation = validateTaxYear(req.query.year);
+      if (!yearValidation.valid) {
+        return error(res, yearValidation.message, 400);
+      }
+      taxYear = yearValidation.value;
+    }
+
+    const receipts = await listTaxReceipts(pool, organizationId, {
+      taxYear,
+      guardianUserId: isFinanceStaff(req) ? null : req.user.id
+    });
+    return success(res, receipts, 'Tax receipts loaded');
+  }));
+
+  router.get('/v1/finance/tax-receipts/preview', authenticate, requirePermission('finance.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const yearValidation = validateTaxYear(req.query.year);
+    if (!yearValidation.valid) {
+      return error(res, yearValidation.message, 400);
+    }
+
+    const [contributions, issued] = await Promise.all([
+      listTaxYearContributions(pool, organizationId, yearValidation.value),
+      listTaxReceipts(pool, organizationId, { taxYear: yearValidation.value })
+    ]);
+    const receiptedGuardians = new Set(issued.map((receipt) => receipt.guardian_id));
+
+    return success(res, {
+      tax_year: yearValidation.value,
+      families: contributions.families.map((family) => ({
+        ...family,
+        issued: receiptedGuardians.has(family.guardian_id)
+      })),
+      unassigned: contributions.unassigned
+    }, 'Tax receipt preview ready');
+  }));
+
+  router.post('/v1/finance/tax-receipts/issue', authenticate, blockDemoRoles, requirePermission('finance.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const yearValidation = validateTaxYear(req.body?.tax_year);
+    if (!yearValidation.valid) {
+      return error(res, yearValidation.message, 400);
+    }
+
+    const result = await issueTaxReceipts(pool, organizationId, yearValidation.value, { issuedBy: req.user.id });
+    logger.info(`[finance] Issued ${result.issued.length} tax receipt(s) for ${yearValidation.value} in org ${organizationId}`);
+    return success(res, result, 'Tax receipts issued', 201);
+  }));
+
+  router.post('/v1/finance/tax-receipts/email', authenticate, blockDemoRoles, requirePermission('finance.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const yearValidation = validateTaxYear(req.body?.tax_year);
+    if (!yearValidation.valid) {
+      return error(res, yearValidation.message, 400);
+    }
+
+    let receiptIds = null;
+    if (req.body.receipt_ids !== undefined) {
+      if (!Array.isArray(req.body.receipt_ids) || !req.body.receipt_ids.every((id) => Number.isInteger(id) && id > 0)) {
+        return error(res, 'receipt_ids must be an array of receipt ids', 400);
+      }
+      receiptIds = req.body.receipt_ids;
+    }
+
+    const counts = await emailTaxReceipts(pool, organizationId, yearValidation.value, {
+      receiptIds,
+      resend: req.body.resend === true
+    });
+    return success(res, counts, 'Tax receipts emailed');
+  }));
+
+  router.get('/v1/finance/tax-receipts/:receiptId/pdf', authenticate, asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const receipt = await getTaxReceipt(pool, organizationId, Number.parseInt(req.params.receiptId, 10) || 0);
+
+    if (!receipt) {
+      return error(res, 'Receipt not found', 404);
+    }
+    if (!isFinanceStaff(req) && receipt.guardian_user_id !== req.user.id) {
+      return error(res, 'Insufficient permissions to view this receipt', 403);
+    }
+
+    const issuer = await getDocumentIssuer(pool, organizationId);
+    const pdf = await renderTaxReceiptPdf({ issuer, receipt, language: documentLanguage(req) });
+
+    return sendPdf(res, pdf, `receipt-${receipt.tax_year}-${receipt.receipt_number}.pdf`);
+  }));
+
   return router;
 };
@@ -8,12 +8,38 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const { authenticate, blockDemoRoles, getOrganizationId, getUserDataScope, requireAnyPermission } = require('../middleware/auth');
 const { success, error, asyncHandler } = require('../middleware/response');
 
 // Import utilities
 const { getCurrentOrganizationId, verifyJWT, handleOrganizationResolutionError, verifyOrganizationMembership, getFormPermissionsForRoles, checkFormPermission } = require('../utils/api-helpers');
 const { hasStaffRole } = require('../config/role-constants');
+const {
+  MAX_FILE_SIZE,
+  OUTPUT_MIME_TYPE,
+  convertImageToWebP,
+  generateFormAttachmentPath,
+  getSignedFormAttachmentUrl,
+  isAllowedEvidenceType,
+  isEvidenceDocument,
+  isStorageConfigured,
+  uploadFile
+} = require('../utils/railway-storage');
+
+// A file field takes one photo or PDF, held in memory until it is resized
+// (photos) and pushed to the bucket.
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedEvidenceType(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('invalid_file_type'), false);
+    }
+  }
+});
 
 /**
  * Export route factory function
@@ -1690,6 +1716,119 @@ module.exports = (pool, logger) => {
     }
   }));
 
+  // ==========================================================================
+  // FILE FIELD ATTACHMENTS
+  // ==========================================================================
+
+  /**
+   * Accept one `file` field, answering multer's refusals (size, type) with a
+   * 400 instead of letting them surface as a 500.
+   */
+  function acceptAttachmentFile(req, res, next) {
+    attachmentUpload.single('file')(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return error(res, 'file_too_large', 400);
+      }
+      return error(res, 'invalid_file_type', 400);
+    });
+  }
+
+  /**
+   * POST /api/v1/forms/attachments (multipart/form-data)
+   *
+   * Fields: participant_id, form_type and file (photo or PDF). Stores the file
+   * for a file field as soon as it is picked; the submission then only keeps
+   * the `{ key, name, type, size }` this returns.
+   */
+  router.post('/attachments', authenticate, blockDemoRoles, acceptAttachmentFile, asyncHandler(async (req, res) => {
+    const participantId = Number.parseInt(req.body?.participant_id, 10);
+    const formType = String(req.body?.form_type || '').trim();
+    if (!Number.isInteger(participantId) || participantId <= 0 || !formType) {
+      return error(res, 'participant_id and form_type are required', 400);
+    }
+    if (!req.file) {
+      return error(res, 'file_required', 400);
+    }
+    if (!isStorageConfigured()) {
+      return error(res, 'Attachment storage is not configured', 503);
+    }
+
+    const access = await resolveParticipantFormAccess(req, participantId);
+    if (!access) {
+      return error(res, 'Participant not found', 404);
+    }
+
+    const authCheck = await verifyOrganizationMembership(pool, req.user.id, access.organizationId);
+    if (!authCheck.authorized) {
+      return error(res, authCheck.message, 403);
+    }
+    const userRoles = authCheck.roles || [];
+    const canSubmit = await checkFormPermission(pool, access.organizationId, userRoles, formType, 'submit')
+      || await checkFormPermission(pool, access.organizationId, userRoles, formType, 'edit');
+    if (!canSubmit) {
+      return error(res, 'You do not have permission to submit or edit this form type', 403);
+    }
+
+    let buffer = req.file.buffer;
+    let extension = 'pdf';
+    let contentType = 'application/pdf';
+    if (!isEvidenceDocument(req.file)) {
+      try {
+        buffer = await convertImageToWebP(req.file.buffer, {
+          mimeType: req.file.mimetype,
+          originalFilename: req.file.originalname
+        });
+      } catch (processingError) {
+        return error(res, 'Unable to process image upload', 400);
+      }
+      extension = OUTPUT_MIME_TYPE.split('/')[1];
+      contentType = OUTPUT_MIME_TYPE;
+    }
+
+    const upload = await uploadFile(
+      buffer,
+      generateFormAttachmentPath(access.organizationId, participantId, extension),
+      contentType
+    );
+    if (!upload.success) {
+      return error(res, upload.error || 'Failed to upload attachment', 500);
+    }
+
+    return success(res, {
+      key: upload.path,
+      name: req.file.originalname,
+      type: contentType,
+      size: buffer.length
+    }, 'Attachment uploaded', 201);
+  }));
+
+  /**
+   * GET /api/v1/forms/attachments/url?participant_id=&key=
+   *
+   * A short-lived link to a file field's attachment, for whoever may open the
+   * participant's forms.
+   */
+  router.get('/attachments/url', authenticate, asyncHandler(async (req, res) => {
+    const participantId = Number.parseInt(req.query.participant_id, 10);
+    if (!Number.isInteger(participantId) || participantId <= 0 || !req.query.key) {
+      return error(res, 'participant_id and key are required', 400);
+    }
+
+    const access = await resolveParticipantFormAccess(req, participantId);
+    if (!access) {
+      return error(res, 'Participant not found', 404);
+    }
+
+    const url = await getSignedFormAttachmentUrl(String(req.query.key), access.organizationId, participantId);
+    if (!url) {
+      return error(res, 'Attachment not found', 404);
+    }
+    return success(res, { url });
+  }));
+
   // ---- Parameterized /:id routes MUST be last to avoid shadowing literal paths ----
 
   router.get('/:id', authenticate, asyncHandler(async (req, res) => {
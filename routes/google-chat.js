@@ -11,6 +11,10 @@
  * 4. Configure your Google Chat bot in the Chat API configuration
  * 5. Create a Google Chat Space and add your bot to it
  * 6. Optionally: Create a Google Group for all members and add it to the Space
+ * 7. For leaders' commands and card buttons: in the Chat API configuration, set
+ *    the HTTP endpoint to /api/v1/google-chat/events with "Project number" as
+ *    authentication audience, add the slash commands /attendance, /medication,
+ *    /next and /badges, and save the project number with the credentials
  *
  * @module routes/google-chat
  */
@@ -27,6 +31,7 @@ const {
 } = require('../middleware/auth');
 const { checkValidation } = require('../middleware/validation');
 const GoogleChatService = require('../services/google-chat');
+const { verifyChatRequest, handleChatEvent } = require('../services/google-chat-bot');
 
 /**
  * Export route factory function
@@ -63,6 +68,9 @@ module.exports = (pool, logger) => {
    *               credentials:
    *                 type: object
    *                 description: Service account JSON credentials
+   *               projectNumber:
+   *                 type: string
+   *                 description: Cloud project number of the Chat app, needed for commands and card buttons
    *     responses:
    *       200:
    *         description: Configuration saved successfully
@@ -80,12 +88,13 @@ module.exports = (pool, logger) => {
     check('credentials.project_id').notEmpty().withMessage('Project ID is required'),
     check('credentials.private_key').notEmpty().withMessage('Private key is required'),
     check('credentials.client_email').isEmail().withMessage('Valid service account email is required'),
+    check('projectNumber').optional({ values: 'falsy' }).matches(/^\d{6,20}$/).withMessage('Project number must be digits only'),
     checkValidation,
     asyncHandler(async (req, res) => {
       try {
         const organizationId = await getOrganizationId(req, pool);
 
-        const { credentials } = req.body;
+        const { credentials, projectNumber } = req.body;
 
         // Deactivate any existing configurations
         await pool.query(
@@ -96,10 +105,10 @@ module.exports = (pool, logger) => {
         // Insert new configuration
         const result = await pool.query(
           `INSERT INTO google_chat_config
-           (organization_id, service_account_email, credentials_json, project_id, is_active)
-           VALUES ($1, $2, $3, $4, TRUE)
-           RETURNING id, service_account_email, project_id`,
-          [organizationId, credentials.client_email, credentials, credentials.project_id]
+           (organization_id, service_account_email, credentials_json, project_id, project_number, is_active)
+           VALUES ($1, $2, $3, $4, $5, TRUE)
+           RETURNING id, service_account_email, project_id, project_number`,
+          [organizationId, credentials.client_email, credentials, credentials.project_id, projectNumber || null]
         );
 
         // Clear cached client to force re-authentication with new credentials
@@ -135,7 +144,7 @@ module.exports = (pool, logger) => {
       const organizationId = await getOrganizationId(req, pool);
 
       const result = await pool.query(
-        `SELECT id, service_account_email, project_id, is_active, created_at, updated_at
+        `SELECT id, service_account_email, project_id, project_number, is_active, created_at, updated_at
          FROM google_chat_config
          WHERE organization_id = $1 AND is_active = TRUE`,
         [organizationId]
@@ -156,6 +165,32 @@ module.exports = (pool, logger) => {
     }
   }));
 
+  /**
+   * @swagger
+   * /api/v1/google-chat/events:
+   *   post:
+   *     summary: Google Chat interaction events
+   *     description: |
+   *       Called by Google Chat when a leader uses a command or taps a card
+   *       button in a registered space. Public; authenticated by the token Chat
+   *       signs for the project number saved with the credentials. Answers with
+   *       a Chat message (text or cards), not the usual envelope.
+   *     tags: [GoogleChat]
+   *     responses:
+   *       200:
+   *         description: Chat message to show
+   *       401:
+   *         description: Missing or invalid Chat token
+   */
+  router.post('/events', asyncHandler(async (req, res) => {
+    const projectNumber = await verifyChatRequest(pool, req.get('authorization'));
+    if (!projectNumber) {
+      return errorResponse(res, 'Unauthorized', 401);
+    }
+
+    return res.json(await handleChatEvent(pool, req.body, { projectNumber }));
+  }));
+
   /**
    * @swagger
    * /api/v1/google-chat/spaces:
@@ -182,6 +217,9 @@ module.exports = (pool, logger) => {
    *                 type: string
    *               isBroadcastSpace:
    *                 type: boolean
+   *               receivesWhatsApp:
+   *                 type: boolean
+   *                 description: Copy inbound WhatsApp messages to this space
    *               description:
    *                 type: string
    *     responses:
@@ -197,13 +235,14 @@ module.exports = (pool, logger) => {
     check('spaceId').notEmpty().withMessage('Space ID is required').matches(/^spaces\//).withMessage('Space ID must start with "spaces/"'),
     check('spaceName').optional().isString(),
     check('isBroadcastSpace').optional().isBoolean(),
+    check('receivesWhatsApp').optional().isBoolean(),
     check('description').optional().isString(),
     checkValidation,
     asyncHandler(async (req, res) => {
       try {
         const organizationId = await getOrganizationId(req, pool);
 
-        const { spaceId, spaceName, isBroadcastSpace, description } = req.body;
+        const { spaceId, spaceName, isBroadcastSpace, receivesWhatsApp, description } = req.body;
 
         // If this is being set as broadcast space, unset any existing broadcast space
         if (isBroadcastSpace) {
@@ -215,6 +254,16 @@ module.exports = (pool, logger) => {
           );
         }
 
+        // Inbound WhatsApp messages go to a single space as well
+        if (receivesWhatsApp) {
+          await pool.query(
+            `UPDATE google_chat_spaces
+             SET receives_whatsapp = FALSE
+             WHERE organization_id = $1 AND receives_whatsapp = TRUE`,
+            [organizationId]
+          );
+        }
+
         // Fetch space details from Google Chat API to verify it exists
         let spaceDetails = null;
         try {
@@ -226,23 +275,25 @@ module.exports = (pool, logger) => {
         // Insert or update space
         const result = await pool.query(
           `INSERT INTO google_chat_spaces
-           (organization_id, space_id, space_name, is_broadcast_space, description, space_type)
-           VALUES ($1, $2, $3, $4, $5, $6)
+           (organization_id, space_id, space_name, is_broadcast_space, description, space_type, receives_whatsapp)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
            ON CONFLICT (space_id)
            DO UPDATE SET
              space_name = EXCLUDED.space_name,
              is_broadcast_space = EXCLUDED.is_broadcast_space,
+             receives_whatsapp = EXCLUDED.receives_whatsapp,
              description = EXCLUDED.description,
              is_active = TRUE,
              updated_at = NOW()
-           RETURNING id, space_id, space_name, is_broadcast_space`,
+           RETURNING id, space_id, space_name, is_broadcast_space, receives_whatsapp`,
           [
             organizationId,
             spaceId,
             spaceName || spaceDetails?.displayName || spaceId,
             isBroadcastSpace || false,
             description || null,
-            spaceDetails?.spaceType || 'SPACE'
+            spaceDetails?.spaceType || 'SPACE',
+            receivesWhatsApp || false
           ]
         );
 
@@ -274,7 +325,7 @@ module.exports = (pool, logger) => {
       const organizationId = await getOrganizationId(req, pool);
 
       const result = await pool.query(
-        `SELECT id, space_id, space_name, space_type, is_broadcast_space, is_active,
+        `SELECT id, space_id, space_name, space_type, is_broadcast_space, receives_whatsapp, is_active,
                 member_count, description, created_at, updated_at
          FROM google_chat_spaces
          WHERE organization_id = $1 AND is_active = TRUE
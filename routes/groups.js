@@ -3,7 +3,8 @@ const express = require('express');
 const router = express.Router();
 const winston = require('winston');
 const { authenticate, authorize, getOrganizationId, requirePermission, blockDemoRoles, withScoutYear } = require('../middleware/auth');
-const { success, error, asyncHandler } = require('../middleware/response');
+const { success, error, conflict, asyncHandler } = require('../middleware/response');
+const { isStaleRowVersion, expectedRowVersion } = require('../services/syncChanges');
 const { requireJWTSecret, verifyJWTToken } = require('../utils/jwt-config');
 // Configure logger for non-v1 endpoints
 const logger = winston.createLogger({
@@ -221,16 +222,35 @@ module.exports = (pool) => {
       return error(res, 'Group name is required', 400);
     }
 
+    const existing = await pool.query(
+      'SELECT * FROM groups WHERE id = $1 AND organization_id = $2',
+      [id, organizationId]
+    );
+
+    if (existing.rows.length === 0) {
+      return error(res, 'Group not found', 404);
+    }
+
+    if (isStaleRowVersion(req, existing.rows[0])) {
+      return conflict(res, existing.rows[0]);
+    }
+
     const result = await pool.query(
       `UPDATE groups
        SET name = $1
        WHERE id = $2 AND organization_id = $3
+         AND ($4::bigint IS NULL OR row_version = $4)
        RETURNING *`,
-      [normalizedName, id, organizationId]
+      [normalizedName, id, organizationId, expectedRowVersion(req)]
     );
 
+    // Another write landed after the read above
     if (result.rows.length === 0) {
-      return error(res, 'Group not found', 404);
+      const current = await pool.query(
+        'SELECT * FROM groups WHERE id = $1 AND organization_id = $2',
+        [id, organizationId]
+      );
+      return current.rows.length ? conflict(res, current.rows[0]) : error(res, 'Group not found', 404);
     }
 
     return success(res, result.rows[0], 'Group updated successfully');
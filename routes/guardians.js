@@ -19,6 +19,7 @@ const router = express.Router();
 // Import middleware and utilities
 const { authenticate, blockDemoRoles, getOrganizationId, requirePermission } = require('../middleware/auth');
 const { success, error, asyncHandler } = require('../middleware/response');
+const { recordAudit } = require('../middleware/audit');
 
 /**
  * Export route factory function
@@ -78,7 +79,8 @@ module.exports = (pool) => {
       `SELECT pg.guardian_id, pg.participant_id, pg.lien, pg.lien as relationship,
               g.id, g.nom, g.prenom, g.courriel,
               g.telephone_residence, g.telephone_travail, g.telephone_cellulaire,
-              g.is_primary, g.is_emergency_contact
+              g.is_primary, g.is_emergency_contact, g.email_invalid_at, g.email_invalid_reason,
+              g.whatsapp_opt_in, g.whatsapp_consent_at
        FROM participant_guardians pg
        JOIN parents_guardians g ON pg.guardian_id = g.id
        JOIN participants p ON pg.participant_id = p.id
@@ -135,6 +137,12 @@ module.exports = (pool) => {
    *                 type: boolean
    *               is_emergency_contact:
    *                 type: boolean
+   *               whatsapp_opt_in:
+   *                 type: boolean
+   *                 nullable: true
+   *                 description: |
+   *                   Whether the guardian agreed to WhatsApp announcements on
+   *                   their cell phone. Omitted or null leaves the answer unchanged.
    *     responses:
    *       200:
    *         description: Guardian saved successfully
@@ -149,11 +157,15 @@ module.exports = (pool) => {
     const organizationId = await getOrganizationId(req, pool);
     const { participant_id, guardian_id, nom, prenom, lien, courriel,
       telephone_residence, telephone_travail, telephone_cellulaire,
-      is_primary, is_emergency_contact } = req.body;
+      is_primary, is_emergency_contact, whatsapp_opt_in } = req.body;
 
     if (!participant_id || !nom || !prenom) {
       return error(res, 'Participant ID, nom, and prenom are required', 400);
     }
+    if (whatsapp_opt_in !== undefined && whatsapp_opt_in !== null && typeof whatsapp_opt_in !== 'boolean') {
+      return error(res, 'whatsapp_opt_in must be true, false or null', 400);
+    }
+    const whatsappOptIn = typeof whatsapp_opt_in === 'boolean' ? whatsapp_opt_in : null;
 
     const client = await pool.connect();
     try {
@@ -189,18 +201,39 @@ module.exports = (pool) => {
           return error(res, 'Guardian not found in this organization', 403);
         }
 
+        const previous = await client.query(
+          'SELECT * FROM parents_guardians WHERE id = $1',
+          [guardian_id]
+        );
+
         // Update existing guardian
-        await client.query(
+        const updated = await client.query(
           `UPDATE parents_guardians
            SET nom = $1, prenom = $2, courriel = $3,
                telephone_residence = $4, telephone_travail = $5, telephone_cellulaire = $6,
-               is_primary = $7, is_emergency_contact = $8
-           WHERE id = $9`,
+               is_primary = $7, is_emergency_contact = $8,
+               -- A bounce flagged the old address; a new one starts clean.
+               email_invalid_at = CASE WHEN courriel IS DISTINCT FROM $3 THEN NULL ELSE email_invalid_at END,
+               email_invalid_reason = CASE WHEN courriel IS DISTINCT FROM $3 THEN NULL ELSE email_invalid_reason END,
+               whatsapp_consent_at = CASE WHEN $10::boolean IS NOT NULL AND whatsapp_opt_in IS DISTINCT FROM $10
+                                          THEN CURRENT_TIMESTAMP ELSE whatsapp_consent_at END,
+               whatsapp_opt_in = COALESCE($10::boolean, whatsapp_opt_in)
+           WHERE id = $9
+           RETURNING *`,
           [nom, prenom, courriel, telephone_residence, telephone_travail, telephone_cellulaire,
-            is_primary || false, is_emergency_contact || false, guardian_id]
+            is_primary || false, is_emergency_contact || false, guardian_id, whatsappOptIn]
         );
         guardianIdToLink = guardian_id;
 
+        await recordAudit(client, req, {
+          organizationId,
+          action: 'update',
+          entityType: 'guardian',
+          entityId: guardian_id,
+          before: previous.rows[0],
+          after: updated.rows[0]
+        });
+
         // Update the relationship if provided
         if (lien) {
           await client.query(
@@ -213,11 +246,11 @@ module.exports = (pool) => {
         const result = await client.query(
           `INSERT INTO parents_guardians
            (nom, prenom, courriel, telephone_residence, telephone_travail, telephone_cellulaire,
-            is_primary, is_emergency_contact)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-           RETURNING id`,
+            is_primary, is_emergency_contact, whatsapp_opt_in, whatsapp_consent_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $9::boolean IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+           RETURNING *`,
           [nom, prenom, courriel, telephone_residence, telephone_travail, telephone_cellulaire,
-            is_primary || false, is_emergency_contact || false]
+            is_primary || false, is_emergency_contact || false, whatsappOptIn]
         );
         guardianIdToLink = result.rows[0].id;
 
@@ -228,6 +261,14 @@ module.exports = (pool) => {
            ON CONFLICT (guardian_id, participant_id) DO UPDATE SET lien = $3`,
           [guardianIdToLink, participant_id, lien || null]
         );
+
+        await recordAudit(client, req, {
+          organizationId,
+          action: 'create',
+          entityType: 'guardian',
+          entityId: guardianIdToLink,
+          after: { ...result.rows[0], participant_id, lien: lien || null }
+        });
       }
 
       await client.query('COMMIT');
@@ -291,11 +332,20 @@ module.exports = (pool) => {
       return error(res, 'Guardian link not found in this organization', 404);
     }
 
-    await pool.query(
-      `DELETE FROM participant_guardians WHERE guardian_id = $1 AND participant_id = $2`,
+    const removed = await pool.query(
+      `DELETE FROM participant_guardians WHERE guardian_id = $1 AND participant_id = $2
+       RETURNING *`,
       [guardian_id, participant_id]
     );
 
+    await recordAudit(pool, req, {
+      organizationId,
+      action: 'delete',
+      entityType: 'guardian',
+      entityId: guardian_id,
+      before: removed.rows[0] || { guardian_id, participant_id }
+    });
+
     return success(res, null, 'Guardian removed successfully');
   }));
 
@@ -14,7 +14,8 @@ const router = express.Router();
 // Import utilities and middleware
 const { getCurrentOrganizationId, verifyJWT, handleOrganizationResolutionError, verifyOrganizationMembership, getPointSystemRules } = require('../utils/api-helpers');
 const { authenticate, requirePermission, blockDemoRoles, getOrganizationId, withScoutYear } = require('../middleware/auth');
-const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const { success, error: errorResponse, conflict, asyncHandler } = require('../middleware/response');
+const { isStaleRowVersion } = require('../services/syncChanges');
 
 /**
  * Export route factory function
@@ -359,11 +360,12 @@ module.exports = (pool, logger) => {
 
         // Verify honor exists and belongs to organization
         const checkResult = await client.query(
-          `SELECT h.id, h.date, h.participant_id
+          `SELECT h.*
            FROM honors h
            JOIN participants p ON h.participant_id = p.id
            JOIN participant_organizations po ON p.id = po.participant_id
-           WHERE h.id = $1 AND po.organization_id = $2`,
+           WHERE h.id = $1 AND po.organization_id = $2
+           FOR UPDATE OF h`,
           [honorId, organizationId]
         );
 
@@ -374,6 +376,11 @@ module.exports = (pool, logger) => {
 
         const currentHonor = checkResult.rows[0];
 
+        if (isStaleRowVersion(req, currentHonor)) {
+          await client.query('ROLLBACK');
+          return conflict(res, currentHonor);
+        }
+
         // Update honor
         const updateFields = [];
         const updateParams = [honorId, organizationId, req.user.id];
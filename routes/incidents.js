@@ -25,113 +25,55 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, requirePermission, blockDemoRoles, getOrganizationId } = require('../middleware/auth');
 const { success, error, asyncHandler } = require('../middleware/response');
-const { sendEmail } = require('../utils/index');
-const { escapeHtml } = require('../utils/api-helpers');
+const { sendEmail, getTranslationsByCode, getUserEmailLanguage } = require('../utils/index');
+const { loadEmailContext, renderTemplate } = require('../services/email-templates');
 
 // ============================================================
 // Email helpers
 // ============================================================
 
 /**
- * Build escalation email content from incident form data
+ * Escalation email for one contact (`incident_escalation` template), in
+ * their language.
  * @param {Object} formData - The form submission data JSONB
  * @param {Object} submitter - The user who submitted { full_name, email }
- * @param {string} orgName - Organization name (optional)
+ * @param {string} language - Contact's language code
+ * @param {Object} context - Unit branding and wording, from loadEmailContext()
  * @returns {{ subject: string, text: string, html: string }}
  */
-function buildIncidentEscalationEmail(formData, submitter, orgName) {
-  const victimName = `${formData.victim_first_name || ''} ${formData.victim_last_name || ''}`.trim() || 'Unknown';
-  const date = formData.incident_date || 'N/A';
-  const time = formData.incident_time || '';
-  const location = formData.activity_location || 'N/A';
-  const exactLocation = formData.exact_incident_location || '';
-  const description = formData.incident_description || 'N/A';
-  const activityNature = formData.activity_nature || 'N/A';
-  const injuryNature = formData.injury_nature || '';
-  const bodyRegions = formData.body_regions || '';
-  const firstAid = formData.first_aid_nature || '';
-  const submitterName = submitter.full_name || submitter.email || 'Unknown';
-
-  const subject = `[INCIDENT REPORT] ${victimName} - ${date}`;
-
-  const text = [
-    'INCIDENT / ACCIDENT REPORT',
-    '==========================',
-    '',
-    `Victim: ${victimName}`,
-    `Date: ${date} ${time}`,
-    `Activity: ${activityNature}`,
-    `Location: ${location}${exactLocation ? ' - ' + exactLocation : ''}`,
-    '',
-    `Description: ${description}`,
-    '',
-    injuryNature ? `Injury Type: ${injuryNature}` : '',
-    bodyRegions ? `Body Regions: ${bodyRegions}` : '',
-    firstAid ? `First Aid: ${firstAid}` : '',
-    '',
-    `Submitted by: ${submitterName}`,
-    orgName ? `Organization: ${orgName}` : '',
-    '',
-    'This is an automated notification. Please review the full report in Wampums.'
-  ].filter(Boolean).join('\n');
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
-      <div style="background-color: #d9534f; color: white; padding: 16px 24px;">
-        <h2 style="margin: 0;">Incident / Accident Report</h2>
-        ${orgName ? `<p style="margin: 4px 0 0; opacity: 0.9; font-size: 14px;">${escapeHtml(orgName)}</p>` : ''}
-      </div>
-      <div style="padding: 24px;">
-        <table style="width: 100%; border-collapse: collapse; margin-bottom: 16px;">
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; width: 160px; color: #555;">Victim</td>
-            <td style="padding: 10px 8px;">${escapeHtml(victimName)}</td>
-          </tr>
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555;">Date / Time</td>
-            <td style="padding: 10px 8px;">${escapeHtml(date)}${time ? ' at ' + escapeHtml(time) : ''}</td>
-          </tr>
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555;">Activity</td>
-            <td style="padding: 10px 8px;">${escapeHtml(activityNature)}</td>
-          </tr>
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555;">Location</td>
-            <td style="padding: 10px 8px;">${escapeHtml(location)}${exactLocation ? ' &mdash; ' + escapeHtml(exactLocation) : ''}</td>
-          </tr>
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555; vertical-align: top;">Description</td>
-            <td style="padding: 10px 8px; white-space: pre-wrap;">${escapeHtml(description)}</td>
-          </tr>
-          ${injuryNature ? `
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555;">Injury Type</td>
-            <td style="padding: 10px 8px;">${escapeHtml(injuryNature)}</td>
-          </tr>` : ''}
-          ${bodyRegions ? `
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555;">Body Regions</td>
-            <td style="padding: 10px 8px;">${escapeHtml(bodyRegions)}</td>
-          </tr>` : ''}
-          ${firstAid ? `
-          <tr style="border-bottom: 1px solid #eee;">
-            <td style="padding: 10px 8px; font-weight: bold; color: #555;">First Aid</td>
-            <td style="padding: 10px 8px; white-space: pre-wrap;">${escapeHtml(firstAid)}</td>
-          </tr>` : ''}
-        </table>
-        <p style="color: #888; font-size: 13px; margin-top: 20px; border-top: 1px solid #eee; padding-top: 12px;">
-          Submitted by <strong>${escapeHtml(submitterName)}</strong><br/>
-          <em>This is an automated notification. Please review the full report in Wampums.</em>
-        </p>
-      </div>
-    </div>`;
-
-  return { subject, text, html };
+function buildIncidentEscalationEmail(formData, submitter, language, context) {
+  const t = getTranslationsByCode(language);
+  const fallback = getTranslationsByCode('en');
+  const pick = (key) => t[key] || fallback[key] || key;
+  const unknown = pick('unknown');
+
+  const victimName = `${formData.victim_first_name || ''} ${formData.victim_last_name || ''}`.trim() || unknown;
+  const date = formData.incident_date || '';
+  const location = [formData.activity_location, formData.exact_incident_location].filter(Boolean).join(' - ');
+
+  const lines = [
+    [pick('incident_event_date'), date],
+    [pick('incident_event_time'), formData.incident_time],
+    [pick('incident_activity_nature'), formData.activity_nature],
+    [pick('incident_activity_location'), location],
+    [pick('incident_injury_nature'), formData.injury_nature],
+    [pick('incident_body_regions'), formData.body_regions],
+    [pick('incident_first_aid_nature'), formData.first_aid_nature]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`);
+
+  return renderTemplate('incident_escalation', language, {
+    victim: victimName,
+    date,
+    description: formData.incident_description || '',
+    submitter: submitter.full_name || submitter.email || unknown
+  }, { context, lines });
 }
 
 /**
  * Process pending incident escalation emails from the queue
- * Called both on submit (immediate attempt) and periodically (retry)
+ * Called both on submit (immediate attempt) and by a recurring job (retry)
  * @param {Object} pool - Database pool
  * @param {Object} logger - Logger instance
  * @param {number|null} organizationId - Scope to specific org (optional)
@@ -874,12 +816,7 @@ module.exports = (pool, logger) => {
         let escalationSentTo = [];
 
         if (contacts.rows.length > 0) {
-          // Get org name for email
-          const org = await client.query(
-            'SELECT name FROM organizations WHERE id = $1',
-            [organizationId]
-          );
-          const orgName = org.rows[0]?.name || '';
+          const context = await loadEmailContext(client, organizationId);
 
           // Get submitter info
           const submitter = await client.query(
@@ -888,9 +825,9 @@ module.exports = (pool, logger) => {
           );
           const submitterInfo = submitter.rows[0] || { full_name: 'Unknown', email: '' };
 
-          const emailContent = buildIncidentEscalationEmail(formData, submitterInfo, orgName);
-
           for (const contact of contacts.rows) {
+            const language = await getUserEmailLanguage(client, contact.email, organizationId);
+            const emailContent = buildIncidentEscalationEmail(formData, submitterInfo, language, context);
             await client.query(
               `INSERT INTO incident_email_queue
                (organization_id, incident_report_id, recipient_email, recipient_name,
@@ -942,5 +879,5 @@ module.exports = (pool, logger) => {
   return router;
 };
 
-// Export processEmailQueue for use in api.js background interval
+// Export processEmailQueue for the recurring incidents.send_emails job (services/manager)
 module.exports.processEmailQueue = processEmailQueue;
@@ -53,7 +53,12 @@ module.exports = (app, pool) => {
     const organizationsRoutes = require("./organizations")(pool, logger);
     const usersRoutes = require("./users")(pool, logger);
     const userProfileRoutes = require("./userProfile")(pool, logger);
+    const twoFactorRoutes = require("./twoFactor")(pool, logger);
     const rolesRoutes = require("./roles")(pool, logger);
+    const auditRoutes = require("./audit")(pool);
+    const jobsRoutes = require("./jobs")(pool);
+    const emailTemplatesRoutes = require("./email-templates")(pool);
+    const emailEventsRoutes = require("./email-events")(pool, logger);
     const meetingsRoutes = require("./meetings")(pool, logger);
     const participantsRoutes = require("./participants")(pool);
     const attendanceRoutes = require("./attendance")(pool, logger);
@@ -71,6 +76,7 @@ module.exports = (app, pool) => {
     const notificationsRoutes = require("./notifications")(pool, logger);
     const announcementsRoutes = require("./announcements")(pool, logger, whatsappService, googleChatService);
     const whatsappBaileysRoutes = require("./whatsapp-baileys")(pool, logger, whatsappService);
+    const whatsappInboxRoutes = require("./whatsapp-inbox")(pool, logger, whatsappService);
     const googleChatRoutes = require("./google-chat")(pool, logger);
     const honorsRoutes = require("./honors")(pool, logger);
     const pointsRoutes = require("./points")(pool, logger);
@@ -84,7 +90,9 @@ module.exports = (app, pool) => {
     const medicationRoutes = require("./medication")(pool, logger);
     const activitiesRoutes = require("./activities")(pool);
     const offlineRoutes = require("./offline")(pool, logger);
-    const carpoolsRoutes = require("./carpools")(pool);
+    const syncRoutes = require("./sync")(pool);
+    const checkinsRoutes = require("./checkins")(pool);
+    const carpoolsRoutes = require("./carpools")(pool, logger);
     const programProgressRoutes = require("./programProgress")(pool, logger);
     const incidentsRoutes = require("./incidents")(pool, logger);
     const yearlyPlannerRoutes = require("./yearlyPlanner")(pool, logger);
@@ -107,10 +115,15 @@ module.exports = (app, pool) => {
     app.use("/public/organizations", organizationsRoutes);
 
     // User Management
+    app.use("/api/v1/users/me/two-factor", twoFactorRoutes);
     app.use("/api/v1/users/me", userProfileRoutes);
     app.use("/api/v1/users", usersRoutes);
     // rolesRoutes defines absolute /api/v1/* paths internally (same pattern as authRoutes)
     app.use("/", rolesRoutes);
+    app.use("/api/v1/audit", auditRoutes);
+    app.use("/api/v1/jobs", jobsRoutes);
+    app.use("/api/v1/email-templates", emailTemplatesRoutes);
+    app.use("/api/v1/email-events", emailEventsRoutes);
 
     // Features
     app.use("/api/v1/meetings", meetingsRoutes);
@@ -166,6 +179,8 @@ module.exports = (app, pool) => {
 
     app.use("/api/v1/activities", activitiesRoutes);
     app.use("/api/v1/offline", offlineRoutes);
+    app.use("/api/v1/sync", syncRoutes);
+    app.use("/api/v1/checkins", checkinsRoutes);
     app.use("/api/v1/carpools", carpoolsRoutes);
     app.use("/api/v1/program-progress", programProgressRoutes);
     app.use("/api/v1/incidents", incidentsRoutes);
@@ -174,6 +189,7 @@ module.exports = (app, pool) => {
     app.use("/api/v1/alumni", alumniRoutes);
     app.use("/api/v1/transfers", transfersRoutes);
 
+    app.use("/api/v1/whatsapp/inbox", whatsappInboxRoutes);
     // WhatsApp routes already include /v1/* internally.
     app.use("/api", whatsappBaileysRoutes);
 
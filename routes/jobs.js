@@ -0,0 +1,168 @@
+/**
+ * Background Job Routes
+ *
+ * Lets administrators see what the job queue (services/job-queue) is doing
+ * and retry jobs that failed for good. Jobs of the organization are visible;
+ * system jobs (no organization, e.g. the recurring reminder runs) span every
+ * unit, so only district administrators see and retry them.
+ * All endpoints in this module are prefixed with /api/v1/jobs
+ *
+ * @module routes/jobs
+ */
+
+const express = require('express');
+
+const { authenticate, getOrganizationId, requirePermission, blockDemoRoles } = require('../middleware/auth');
+const { success, error: errorResponse, paginated, asyncHandler } = require('../middleware/response');
+const { JOB_TYPES, JOB_STATUSES } = require('../services/job-queue');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/** Whether the caller may see system jobs and their errors. */
+function seesSystemJobs(req) {
+  return Boolean(req.userRoles?.includes('district'));
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/v1/jobs:
+   *   get:
+   *     summary: List background jobs
+   *     description: Most recently updated first.
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, running, completed, dead]
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           maximum: 200
+   *     responses:
+   *       200:
+   *         description: Matching jobs
+   *       400:
+   *         description: Invalid filter
+   *       403:
+   *         description: Missing jobs.manage permission
+   */
+  router.get('/', authenticate, requirePermission('jobs.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { status, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return errorResponse(res, 'invalid_status', 400);
+    }
+    if (type && !Object.values(JOB_TYPES).includes(type)) {
+      return errorResponse(res, 'invalid_job_type', 400);
+    }
+
+    const params = [organizationId, seesSystemJobs(req)];
+    const conditions = ['(j.organization_id = $1 OR ($2::boolean AND j.organization_id IS NULL))'];
+    if (status) {
+      params.push(status);
+      conditions.push(`j.status = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`j.type = $${params.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM jobs j WHERE ${where}`,
+      params
+    );
+    const total = Number.parseInt(countResult.rows[0]?.total ?? 0, 10) || 0;
+
+    const result = await pool.query(
+      `SELECT j.id, j.organization_id, j.type, j.payload, j.status, j.attempts, j.max_attempts,
+              j.run_at, j.repeat_every_seconds, j.last_error, j.completed_at, j.created_at, j.updated_at
+         FROM jobs j
+        WHERE ${where}
+        ORDER BY j.updated_at DESC, j.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return paginated(res, result.rows, page, limit, total);
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/jobs/{id}/retry:
+   *   post:
+   *     summary: Retry a job now
+   *     description: |
+   *       Puts a dead job back in the queue with fresh attempts, or runs a
+   *       pending one (e.g. waiting out a backoff) right away. The last error
+   *       is kept until the next attempt.
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Job queued
+   *       404:
+   *         description: No dead or pending job with this id
+   *       409:
+   *         description: Another job with the same key is already queued
+   */
+  router.post('/:id/retry', authenticate, blockDemoRoles, requirePermission('jobs.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    if (!/^\d+$/.test(req.params.id)) {
+      return errorResponse(res, 'job_not_found', 404);
+    }
+
+    let result;
+    try {
+      result = await pool.query(
+        `UPDATE jobs
+         SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('dead', 'pending')
+           AND (organization_id = $2 OR ($3::boolean AND organization_id IS NULL))
+         RETURNING id, type, status, attempts, max_attempts, run_at, last_error`,
+        [req.params.id, organizationId, seesSystemJobs(req)]
+      );
+    } catch (err) {
+      // A dead job whose key already has a pending or running successor
+      // (idx_jobs_unique_key_active): that one will do the work.
+      if (err.code === '23505') {
+        return errorResponse(res, 'job_already_queued', 409);
+      }
+      throw err;
+    }
+    if (result.rows.length === 0) {
+      return errorResponse(res, 'job_not_found', 404);
+    }
+
+    return success(res, result.rows[0], 'Job queued');
+  }));
+
+  return router;
+};
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, blockDemoRoles, getOrganizationId, getUserDataScope } = require('../middleware/auth');
-const { success, error, asyncHandler } = require('../middleware/response');
+const { success, error, conflict, asyncHandler } = require('../middleware/response');
+const { isStaleRowVersion, expectedRowVersion } = require('../services/syncChanges');
 const { verifyOrganizationMembership } = require('../utils/api-helpers');
+const { recordAudit } = require('../middleware/audit');
 
 const MEDICATION_READ_PERMISSIONS = ['medication.view'];
 const MEDICATION_MANAGE_PERMISSIONS = ['medication.manage'];
@@ -205,6 +207,14 @@ module.exports = (pool, logger) => {
         );
       }
 
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'create',
+        entityType: 'medication_requirement',
+        entityId: requirement.id,
+        after: { ...requirement, participant_ids: participants }
+      });
+
       await client.query('COMMIT');
       return success(res, requirement, 'Medication requirement saved', 201);
     } catch (err) {
@@ -278,7 +288,7 @@ module.exports = (pool, logger) => {
       await client.query('BEGIN');
 
       const existing = await client.query(
-        'SELECT id FROM medication_requirements WHERE id = $1 AND organization_id = $2',
+        'SELECT * FROM medication_requirements WHERE id = $1 AND organization_id = $2 FOR UPDATE',
         [requirementId, organizationId]
       );
 
@@ -287,6 +297,11 @@ module.exports = (pool, logger) => {
         return error(res, 'Medication requirement not found', 404);
       }
 
+      if (isStaleRowVersion(req, existing.rows[0])) {
+        await client.query('ROLLBACK');
+        return conflict(res, existing.rows[0]);
+      }
+
       const updatedRequirement = await client.query(
         `UPDATE medication_requirements
          SET medication_name = $1,
@@ -350,6 +365,15 @@ module.exports = (pool, logger) => {
         [organizationId, requirementId, participants]
       );
 
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'update',
+        entityType: 'medication_requirement',
+        entityId: requirementId,
+        before: existing.rows[0],
+        after: updatedRequirement.rows[0]
+      });
+
       await client.query('COMMIT');
       return success(res, updatedRequirement.rows[0], 'Medication requirement updated');
     } catch (err) {
@@ -547,7 +571,7 @@ module.exports = (pool, logger) => {
             status = EXCLUDED.status,
             updated_at = NOW()
           WHERE medication_distributions.status <> 'given'
-          RETURNING id`,
+          RETURNING *`,
           [
             organizationId,
             requirementId,
@@ -567,6 +591,15 @@ module.exports = (pool, logger) => {
           await client.query('ROLLBACK');
           return error(res, 'This dose has already been given and cannot be given again', 409);
         }
+
+        await recordAudit(client, req, {
+          organizationId,
+          action: existingDist.rows.length > 0 ? 'update' : 'create',
+          entityType: 'medication_distribution',
+          entityId: distributionUpsert.rows[0].id,
+          before: existingDist.rows[0] || null,
+          after: distributionUpsert.rows[0]
+        });
       }
 
       await client.query('COMMIT');
@@ -612,20 +645,22 @@ module.exports = (pool, logger) => {
       return error(res, 'administered_at must be a valid date', 400);
     }
 
-    // Prevent duplicate dose: if this distribution is already marked as given, reject the update
-    if (normalizedStatus === 'given') {
-      const existing = await pool.query(
-        'SELECT id, status FROM medication_distributions WHERE id = $1 AND organization_id = $2',
-        [distributionId, organizationId]
-      );
+    const existing = await pool.query(
+      'SELECT * FROM medication_distributions WHERE id = $1 AND organization_id = $2',
+      [distributionId, organizationId]
+    );
 
-      if (existing.rows.length === 0) {
-        return error(res, 'Distribution not found', 404);
-      }
+    if (existing.rows.length === 0) {
+      return error(res, 'Distribution not found', 404);
+    }
 
-      if (existing.rows[0].status === 'given') {
-        return error(res, 'This dose has already been given and cannot be given again', 409);
-      }
+    if (isStaleRowVersion(req, existing.rows[0])) {
+      return conflict(res, existing.rows[0]);
+    }
+
+    // Prevent duplicate dose: if this distribution is already marked as given, reject the update
+    if (normalizedStatus === 'given' && existing.rows[0].status === 'given') {
+      return error(res, 'This dose has already been given and cannot be given again', 409);
     }
 
     const result = await pool.query(
@@ -636,6 +671,8 @@ module.exports = (pool, logger) => {
            witness_name = COALESCE($4, witness_name),
            updated_at = NOW()
        WHERE id = $5 AND organization_id = $6
+         AND ($7::bigint IS NULL OR row_version = $7)
+         AND NOT ($1 = 'given' AND status = 'given')
        RETURNING *`,
       [
         normalizedStatus,
@@ -643,14 +680,35 @@ module.exports = (pool, logger) => {
         req.user.id,
         normalizeText(witness_name, 150),
         distributionId,
-        organizationId
+        organizationId,
+        expectedRowVersion(req)
       ]
     );
 
+    // Another write landed after the read above
     if (result.rows.length === 0) {
-      return error(res, 'Distribution not found', 404);
+      const current = await pool.query(
+        'SELECT * FROM medication_distributions WHERE id = $1 AND organization_id = $2',
+        [distributionId, organizationId]
+      );
+      if (current.rows.length === 0) {
+        return error(res, 'Distribution not found', 404);
+      }
+      if (normalizedStatus === 'given' && current.rows[0].status === 'given') {
+        return error(res, 'This dose has already been given and cannot be given again', 409);
+      }
+      return conflict(res, current.rows[0]);
     }
 
+    await recordAudit(pool, req, {
+      organizationId,
+      action: 'update',
+      entityType: 'medication_distribution',
+      entityId: distributionId,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+
     return success(res, result.rows[0], 'Distribution updated');
   }));
 
@@ -743,7 +801,7 @@ module.exports = (pool, logger) => {
 
     // Check if reception already exists for this combination
     const existingCheck = await pool.query(
-      `SELECT id FROM medication_receptions
+      `SELECT * FROM medication_receptions
        WHERE organization_id = $1
          AND medication_requirement_id = $2
          AND participant_id = $3
@@ -812,6 +870,15 @@ module.exports = (pool, logger) => {
       );
     }
 
+    await recordAudit(pool, req, {
+      organizationId,
+      action: existingCheck.rows.length > 0 ? 'update' : 'create',
+      entityType: 'medication_reception',
+      entityId: result.rows[0]?.id,
+      before: existingCheck.rows[0] || null,
+      after: result.rows[0]
+    });
+
     return success(res, result.rows[0], 'Medication reception recorded', 201);
   }));
 
@@ -849,6 +916,11 @@ module.exports = (pool, logger) => {
 
     const receivedAt = status === 'received' || status === 'partial' ? new Date() : null;
 
+    const existing = await pool.query(
+      'SELECT * FROM medication_receptions WHERE id = $1 AND organization_id = $2',
+      [receptionId, organizationId]
+    );
+
     const result = await pool.query(
       `UPDATE medication_receptions
        SET status = COALESCE($1, status),
@@ -874,6 +946,15 @@ module.exports = (pool, logger) => {
       return error(res, 'Reception record not found', 404);
     }
 
+    await recordAudit(pool, req, {
+      organizationId,
+      action: 'update',
+      entityType: 'medication_reception',
+      entityId: receptionId,
+      before: existing.rows[0] || null,
+      after: result.rows[0]
+    });
+
     return success(res, result.rows[0], 'Medication reception updated');
   }));
 
@@ -898,7 +979,7 @@ module.exports = (pool, logger) => {
     }
 
     const result = await pool.query(
-      'DELETE FROM medication_receptions WHERE id = $1 AND organization_id = $2 RETURNING id',
+      'DELETE FROM medication_receptions WHERE id = $1 AND organization_id = $2 RETURNING *',
       [receptionId, organizationId]
     );
 
@@ -906,6 +987,14 @@ module.exports = (pool, logger) => {
       return error(res, 'Reception record not found', 404);
     }
 
+    await recordAudit(pool, req, {
+      organizationId,
+      action: 'delete',
+      entityType: 'medication_reception',
+      entityId: receptionId,
+      before: result.rows[0]
+    });
+
     return success(res, null, 'Medication reception deleted');
   }));
 
@@ -26,6 +26,8 @@ const {
 const { getCurrentOrganizationId, verifyJWT, verifyOrganizationMembership, handleOrganizationResolutionError } = require('../utils/api-helpers');
 const { ensureProgramSectionsSeeded, getProgramSections } = require('../utils/programSections');
 const { installDefaultFormFormats } = require('../services/defaultFormFormats');
+const { validateEmailBranding } = require('../services/email-templates');
+const { ACCESS_TOKEN_TTL, moveSessionToOrganization } = require('../services/authSessions');
 
 // Validate JWT secret at startup
 requireJWTSecret();
@@ -616,6 +618,34 @@ module.exports = (pool, logger) => {
     );
   }));
 
+  /**
+   * Update the unit's branding. The colour frames every email the unit
+   * sends (services/email-templates); the logo comes from organization_info.
+   */
+  router.patch('/settings/branding', authenticate, blockDemoRoles, requirePermission('org.edit'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const validation = validateEmailBranding(req.body);
+
+    if (validation.errors.length > 0) {
+      return errorResponse(res, 'Invalid branding', 400, validation.errors);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO organization_settings
+         (organization_id, setting_key, setting_value, created_at, updated_at)
+       VALUES ($1, 'branding', $2::jsonb, NOW(), NOW())
+       ON CONFLICT (organization_id, setting_key)
+       DO UPDATE SET
+         setting_value = COALESCE(organization_settings.setting_value, '{}'::jsonb) || EXCLUDED.setting_value,
+         updated_at = NOW()
+       RETURNING setting_value`,
+      [organizationId, JSON.stringify(validation.value)]
+    );
+
+    orgSettingsCache.delete(`org_${organizationId}`);
+    return success(res, { branding: result.rows[0].setting_value }, 'Branding updated');
+  }));
+
   router.put('/settings', authenticate, blockDemoRoles, requirePermission('organization.manage'), asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
     const { setting_key, setting_value } = req.body || {};
@@ -988,6 +1018,13 @@ module.exports = (pool, logger) => {
     const roleNames = rolesResult.rows.map((row) => row.role_name);
     const permissions = permissionsResult.rows.map((row) => row.permission_key);
 
+    // A signed-in session follows the switch, so its refresh token keeps
+    // issuing tokens for the new organization and the token stays short-lived.
+    const sessionId = req.user.sessionId || null;
+    if (sessionId) {
+      await moveSessionToOrganization(pool, sessionId, organizationId);
+    }
+
     // Generate new JWT with updated organization
     const newToken = signJWTToken(
       {
@@ -997,9 +1034,10 @@ module.exports = (pool, logger) => {
         role: membershipCheck.rows[0].role,
         roleIds,
         roleNames,
-        permissions
+        permissions,
+        ...(sessionId ? { sid: sessionId } : {})
       },
-      { expiresIn: '24h' }
+      { expiresIn: sessionId ? ACCESS_TOKEN_TTL : '24h' }
     );
 
     res.json({
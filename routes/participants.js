@@ -2,10 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, getOrganizationId, requirePermission, blockDemoRoles, getUserDataScope, withScoutYear } = require('../middleware/auth');
-const { success, error, paginated, asyncHandler } = require('../middleware/response');
+const { success, error, conflict, paginated, asyncHandler } = require('../middleware/response');
 const { verifyOrganizationMembership } = require('../utils/api-helpers');
 const { ensureActiveScoutYear } = require('../services/scoutYear');
 const { eraseParticipant } = require('../services/erasure');
+const { recordAudit } = require('../middleware/audit');
+const { isStaleRowVersion } = require('../services/syncChanges');
 
 /**
  * The scout year a den assignment written now belongs to.
@@ -329,6 +331,14 @@ module.exports = (pool) => {
         );
       }
 
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'create',
+        entityType: 'participant',
+        entityId: participantId,
+        after: { ...participantResult.rows[0], group_id: groupContext?.id ?? null }
+      });
+
       await client.query('COMMIT');
 
       return success(res, participantResult.rows[0], 'Participant created successfully', 201);
@@ -1419,6 +1429,27 @@ module.exports = (pool) => {
     try {
       await client.query('BEGIN');
 
+      const previous = await client.query(
+        `SELECT p.* FROM participants p
+          WHERE p.id = $1
+            AND EXISTS (
+              SELECT 1 FROM participant_organizations po
+              WHERE po.participant_id = p.id AND po.organization_id = $2
+            )
+          FOR UPDATE OF p`,
+        [id, organizationId]
+      );
+
+      if (previous.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return error(res, 'Participant not found', 404);
+      }
+
+      if (isStaleRowVersion(req, previous.rows[0])) {
+        await client.query('ROLLBACK');
+        return conflict(res, previous.rows[0]);
+      }
+
       // Update participant
       const result = await client.query(
         `UPDATE participants
@@ -1458,6 +1489,15 @@ module.exports = (pool) => {
         }
       }
 
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'update',
+        entityType: 'participant',
+        entityId: id,
+        before: previous.rows[0],
+        after: result.rows[0]
+      });
+
       await client.query('COMMIT');
 
       return success(res, result.rows[0], 'Participant updated successfully');
@@ -1497,24 +1537,55 @@ module.exports = (pool) => {
     const organizationId = await getOrganizationId(req, pool);
     const scoutYear = await ensureActiveScoutYear(pool, organizationId);
 
-    const result = await pool.query(
-      `UPDATE participant_enrollments
-          SET status = 'left',
-              ended_on = CURRENT_DATE,
-              exit_reason = COALESCE($4, exit_reason)
-        WHERE participant_id = $1
-          AND organization_id = $2
-          AND scout_year_id = $3
-          AND status = 'active'
-        RETURNING participant_id, organization_id, scout_year_id, status, ended_on`,
-      [id, organizationId, scoutYear.id, exitReason || null]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    if (result.rows.length === 0) {
-      return error(res, 'Participant not found', 404);
-    }
+      const previous = await client.query(
+        `SELECT * FROM participant_enrollments
+          WHERE participant_id = $1
+            AND organization_id = $2
+            AND scout_year_id = $3
+            AND status = 'active'
+          FOR UPDATE`,
+        [id, organizationId, scoutYear.id]
+      );
+
+      if (previous.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return error(res, 'Participant not found', 404);
+      }
 
-    return success(res, result.rows[0], 'Participant removed from the current scout year');
+      const result = await client.query(
+        `UPDATE participant_enrollments
+            SET status = 'left',
+                ended_on = CURRENT_DATE,
+                exit_reason = COALESCE($4, exit_reason)
+          WHERE participant_id = $1
+            AND organization_id = $2
+            AND scout_year_id = $3
+            AND status = 'active'
+          RETURNING participant_id, organization_id, scout_year_id, status, ended_on`,
+        [id, organizationId, scoutYear.id, exitReason || null]
+      );
+
+      await recordAudit(client, req, {
+        organizationId,
+        action: 'delete',
+        entityType: 'participant',
+        entityId: id,
+        before: previous.rows[0]
+      });
+
+      await client.query('COMMIT');
+
+      return success(res, result.rows[0], 'Participant removed from the current scout year');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
   }));
 
   return router;
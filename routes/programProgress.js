@@ -6,6 +6,7 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 const {
@@ -13,10 +14,64 @@ const {
   blockDemoRoles,
   requirePermission,
   getOrganizationId,
-  getUserDataScope
+  getUserDataScope,
+  hasAnyPermission
 } = require('../middleware/auth');
 const { asyncHandler, success, error: errorResponse } = require('../middleware/response');
 const { recordProgression, PROGRAM_TABLE_CONFIG } = require('../services/programProgress');
+const journeys = require('../services/programJourneys');
+const evidenceService = require('../services/progressEvidence');
+const { evaluateParticipantStages } = require('../services/oasProgressionRules');
+const {
+  MAX_FILE_SIZE,
+  OUTPUT_MIME_TYPE,
+  WEBP_EXTENSION,
+  convertImageToWebP,
+  deleteFile,
+  generateEvidenceFilePath,
+  getSignedEvidenceUrl,
+  isAllowedEvidenceType,
+  isAllowedImageType,
+  isEvidenceDocument,
+  isStorageConfigured,
+  uploadFile
+} = require('../utils/railway-storage');
+
+// Evidence arrives as multipart: one photo or PDF, held in memory until it is
+// resized (photos) and pushed to the bucket.
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedEvidenceType(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('invalid_file_type'), false);
+    }
+  }
+});
+
+/** Why a plan or journey write was refused, and the status that says so. */
+const BLOCKED_STATUS = {
+  participant_not_found: 404,
+  plan_not_found: 404,
+  item_not_found: 404,
+  journey_not_found: 404,
+  award_not_found: 404,
+  theme_not_found: 404,
+  service_log_not_found: 404,
+  project_not_found: 404,
+  journey_already_open: 409,
+  approval_not_permitted: 403,
+  source_not_found: 404,
+  evidence_not_found: 404,
+  approval_not_found: 404,
+  participant_not_linked: 403,
+  evidence_not_owned: 403,
+  already_awarded: 409,
+  already_decided: 409,
+  competency_revoked: 409
+};
 
 const STREAM_SOURCES = [
   { key: 'badge_presentation', table: 'badge_progress', sourceType: 'badge_progress' },
@@ -260,5 +315,725 @@ module.exports = (pool, logger) => {
     }
   }));
 
+  /**
+   * Parse a positive integer route or body value.
+   *
+   * @param {*} value - Raw value
+   * @returns {number|null} Parsed ID, or null when unusable
+   */
+  function readId(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+  }
+
+  /**
+   * Send a service outcome: the row on success, a mapped status when blocked.
+   *
+   * @param {Object} res - Express response
+   * @param {Object} outcome - Service result
+   * @param {string} message - Success message
+   * @param {number} [statusCode] - Success status
+   * @returns {Object} Express response
+   */
+  function respondWithOutcome(res, outcome, message, statusCode = 200) {
+    if (outcome?.blocked) {
+      return errorResponse(res, outcome.blocked, BLOCKED_STATUS[outcome.blocked] || 400);
+    }
+    return success(res, outcome, message, statusCode);
+  }
+
+  /**
+   * Resolve the list filters shared by the plan and journey readers.
+   * Parents (linked scope) only ever see their own children.
+   */
+  async function readListScope(req) {
+    const organizationId = await getOrganizationId(req, pool);
+    const dataScope = await getUserDataScope(req, pool);
+    return {
+      organizationId,
+      participantId: readId(req.query.participant_id),
+      linkedUserId: dataScope === 'linked' ? req.user.id : null
+    };
+  }
+
+  // ==========================================================================
+  // PAB PLANS
+  // ==========================================================================
+
+  /**
+   * GET /api/v1/program-progress/pab-themes
+   */
+  router.get('/pab-themes', authenticate, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    return success(res, await journeys.listPabThemes(pool, organizationId));
+  }));
+
+  /**
+   * GET /api/v1/program-progress/pab-plans?participant_id=
+   *
+   * Plans with their items and reviews.
+   */
+  router.get('/pab-plans', authenticate, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    if (req.query.participant_id && !readId(req.query.participant_id)) {
+      return errorResponse(res, 'participant_id must be a positive integer', 400);
+    }
+    return success(res, await journeys.listPabPlans(pool, await readListScope(req)));
+  }));
+
+  /**
+   * POST /api/v1/program-progress/pab-plans
+   *
+   * Body: participant_id, title, and optionally pab_theme_id, objective,
+   * status, planned_start_date, planned_end_date.
+   */
+  router.post('/pab-plans', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const participantId = readId(req.body?.participant_id);
+    if (!participantId) {
+      return errorResponse(res, 'participant_id must be a valid integer', 400);
+    }
+    const outcome = await journeys.createPabPlan(pool, {
+      organizationId,
+      participantId,
+      data: req.body,
+      userId: req.user.id
+    });
+    return respondWithOutcome(res, outcome, 'PAB plan created', 201);
+  }));
+
+  /**
+   * PUT /api/v1/program-progress/pab-plans/:id
+   */
+  router.put('/pab-plans/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const planId = readId(req.params.id);
+    if (!planId) {
+      return errorResponse(res, 'Invalid plan id', 400);
+    }
+    const outcome = await journeys.updatePabPlan(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      planId,
+      data: req.body || {}
+    });
+    return respondWithOutcome(res, outcome, 'PAB plan updated');
+  }));
+
+  /**
+   * DELETE /api/v1/program-progress/pab-plans/:id
+   *
+   * Removes the plan with its items and reviews.
+   */
+  router.delete('/pab-plans/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const planId = readId(req.params.id);
+    if (!planId) {
+      return errorResponse(res, 'Invalid plan id', 400);
+    }
+    const organizationId = await getOrganizationId(req, pool);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await journeys.deletePabPlan(client, { organizationId, planId });
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+      return respondWithOutcome(res, outcome, 'PAB plan deleted');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }));
+
+  /**
+   * POST /api/v1/program-progress/pab-plans/:id/items
+   */
+  router.post('/pab-plans/:id/items', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const planId = readId(req.params.id);
+    if (!planId) {
+      return errorResponse(res, 'Invalid plan id', 400);
+    }
+    const outcome = await journeys.addPabPlanItem(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      planId,
+      data: req.body || {}
+    });
+    return respondWithOutcome(res, outcome, 'PAB plan item added', 201);
+  }));
+
+  /**
+   * PUT /api/v1/program-progress/pab-plan-items/:id
+   */
+  router.put('/pab-plan-items/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const itemId = readId(req.params.id);
+    if (!itemId) {
+      return errorResponse(res, 'Invalid item id', 400);
+    }
+    const outcome = await journeys.updatePabPlanItem(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      itemId,
+      data: req.body || {}
+    });
+    return respondWithOutcome(res, outcome, 'PAB plan item updated');
+  }));
+
+  /**
+   * DELETE /api/v1/program-progress/pab-plan-items/:id
+   */
+  router.delete('/pab-plan-items/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const itemId = readId(req.params.id);
+    if (!itemId) {
+      return errorResponse(res, 'Invalid item id', 400);
+    }
+    const outcome = await journeys.deletePabPlanItem(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      itemId
+    });
+    return respondWithOutcome(res, outcome, 'PAB plan item deleted');
+  }));
+
+  /**
+   * POST /api/v1/program-progress/pab-plans/:id/reviews
+   *
+   * Body: review_date, rating (1-5), notes, next_steps.
+   */
+  router.post('/pab-plans/:id/reviews', authenticate, blockDemoRoles, requirePermission('badges.approve'), asyncHandler(async (req, res) => {
+    const planId = readId(req.params.id);
+    if (!planId) {
+      return errorResponse(res, 'Invalid plan id', 400);
+    }
+    const outcome = await journeys.addPabReview(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      planId,
+      data: req.body || {},
+      userId: req.user.id
+    });
+    return respondWithOutcome(res, outcome, 'PAB review recorded', 201);
+  }));
+
+  // ==========================================================================
+  // TOP AWARD JOURNEYS
+  // ==========================================================================
+
+  /**
+   * GET /api/v1/program-progress/top-awards
+   */
+  router.get('/top-awards', authenticate, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    return success(res, await journeys.listTopAwards(pool, organizationId));
+  }));
+
+  /**
+   * GET /api/v1/program-progress/top-award-journeys?participant_id=
+   *
+   * Journeys with service logs, projects, reviews and hour totals.
+   */
+  router.get('/top-award-journeys', authenticate, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    if (req.query.participant_id && !readId(req.query.participant_id)) {
+      return errorResponse(res, 'participant_id must be a positive integer', 400);
+    }
+    return success(res, await journeys.listTopAwardJourneys(pool, await readListScope(req)));
+  }));
+
+  /**
+   * POST /api/v1/program-progress/top-award-journeys
+   *
+   * Body: participant_id, top_award_id, and optionally target_date, notes.
+   */
+  router.post('/top-award-journeys', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const participantId = readId(req.body?.participant_id);
+    const topAwardId = readId(req.body?.top_award_id);
+    if (!participantId || !topAwardId) {
+      return errorResponse(res, 'participant_id and top_award_id are required', 400);
+    }
+    const outcome = await journeys.startTopAwardJourney(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      participantId,
+      topAwardId,
+      data: req.body
+    });
+    return respondWithOutcome(res, outcome, 'Top award journey started', 201);
+  }));
+
+  /**
+   * PUT /api/v1/program-progress/top-award-journeys/:id
+   */
+  router.put('/top-award-journeys/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const journeyId = readId(req.params.id);
+    if (!journeyId) {
+      return errorResponse(res, 'Invalid journey id', 400);
+    }
+    const outcome = await journeys.updateTopAwardJourney(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      journeyId,
+      data: req.body || {}
+    });
+    return respondWithOutcome(res, outcome, 'Top award journey updated');
+  }));
+
+  /**
+   * DELETE /api/v1/program-progress/top-award-journeys/:id
+   *
+   * Removes the journey with its service logs, projects and reviews.
+   */
+  router.delete('/top-award-journeys/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const journeyId = readId(req.params.id);
+    if (!journeyId) {
+      return errorResponse(res, 'Invalid journey id', 400);
+    }
+    const organizationId = await getOrganizationId(req, pool);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await journeys.deleteTopAwardJourney(client, { organizationId, journeyId });
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+      return respondWithOutcome(res, outcome, 'Top award journey deleted');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }));
+
+  /**
+   * POST /api/v1/program-progress/top-award-journeys/:id/service-logs
+   *
+   * Body: service_date, hours, description.
+   */
+  router.post('/top-award-journeys/:id/service-logs', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const journeyId = readId(req.params.id);
+    if (!journeyId) {
+      return errorResponse(res, 'Invalid journey id', 400);
+    }
+    const outcome = await journeys.logServiceHours(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      journeyId,
+      data: req.body || {}
+    });
+    return respondWithOutcome(res, outcome, 'Service hours logged', 201);
+  }));
+
+  /**
+   * PATCH /api/v1/program-progress/top-award-service-logs/:id/status
+   *
+   * Body: status (logged, submitted, approved, rejected).
+   */
+  router.patch('/top-award-service-logs/:id/status', authenticate, blockDemoRoles, requirePermission('badges.approve'), asyncHandler(async (req, res) => {
+    const logId = readId(req.params.id);
+    if (!logId) {
+      return errorResponse(res, 'Invalid service log id', 400);
+    }
+    const outcome = await journeys.setServiceLogStatus(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      logId,
+      status: req.body?.status,
+      userId: req.user.id
+    });
+    return respondWithOutcome(res, outcome, 'Service log updated');
+  }));
+
+  /**
+   * DELETE /api/v1/program-progress/top-award-service-logs/:id
+   */
+  router.delete('/top-award-service-logs/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const logId = readId(req.params.id);
+    if (!logId) {
+      return errorResponse(res, 'Invalid service log id', 400);
+    }
+    const outcome = await journeys.deleteServiceLog(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      logId
+    });
+    return respondWithOutcome(res, outcome, 'Service log deleted');
+  }));
+
+  /**
+   * POST /api/v1/program-progress/top-award-journeys/:id/projects
+   */
+  router.post('/top-award-journeys/:id/projects', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const journeyId = readId(req.params.id);
+    if (!journeyId) {
+      return errorResponse(res, 'Invalid journey id', 400);
+    }
+    const outcome = await journeys.addTopAwardProject(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      journeyId,
+      data: req.body || {}
+    });
+    return respondWithOutcome(res, outcome, 'Project attached', 201);
+  }));
+
+  /**
+   * PUT /api/v1/program-progress/top-award-projects/:id
+   *
+   * Approving or rejecting a project additionally requires badges.approve.
+   */
+  router.put('/top-award-projects/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const projectId = readId(req.params.id);
+    if (!projectId) {
+      return errorResponse(res, 'Invalid project id', 400);
+    }
+    const outcome = await journeys.updateTopAwardProject(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      projectId,
+      data: req.body || {},
+      userId: req.user.id,
+      canApprove: hasAnyPermission(req, 'badges.approve')
+    });
+    return respondWithOutcome(res, outcome, 'Project updated');
+  }));
+
+  /**
+   * DELETE /api/v1/program-progress/top-award-projects/:id
+   */
+  router.delete('/top-award-projects/:id', authenticate, blockDemoRoles, requirePermission('badges.manage'), asyncHandler(async (req, res) => {
+    const projectId = readId(req.params.id);
+    if (!projectId) {
+      return errorResponse(res, 'Invalid project id', 400);
+    }
+    const outcome = await journeys.deleteTopAwardProject(pool, {
+      organizationId: await getOrganizationId(req, pool),
+      projectId
+    });
+    return respondWithOutcome(res, outcome, 'Project deleted');
+  }));
+
+  /**
+   * POST /api/v1/program-progress/top-award-journeys/:id/reviews
+   *
+   * Body: outcome (pending, approved, rejected, revisions_required), review_date, notes.
+   * A final outcome moves the journey to the matching status.
+   */
+  router.post('/top-award-journeys/:id/reviews', authenticate, blockDemoRoles, requirePermission('badges.approve'), asyncHandler(async (req, res) => {
+    const journeyId = readId(req.params.id);
+    if (!journeyId) {
+      return errorResponse(res, 'Invalid journey id', 400);
+    }
+    const organizationId = await getOrganizationId(req, pool);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await journeys.recordTopAwardReview(client, {
+        organizationId,
+        journeyId,
+        data: req.body || {},
+        userId: req.user.id
+      });
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+      return respondWithOutcome(res, outcome, 'Review recorded', 201);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }));
+
+  // ==========================================================================
+  // PROGRESS EVIDENCE
+  // ==========================================================================
+
+  /**
+   * Accept one optional `file` field, answering multer's refusals (size,
+   * type) with a 400 instead of letting them surface as a 500.
+   */
+  function acceptEvidenceFile(req, res, next) {
+    evidenceUpload.single('file')(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return errorResponse(res, 'file_too_large', 400);
+      }
+      return errorResponse(res, 'invalid_file_type', 400);
+    });
+  }
+
+  /**
+   * Replace stored object keys with short-lived URLs the browser can open.
+   *
+   * @param {Array<Object>} rows - progress_evidence rows
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array<Object>>} Rows with `file_url`
+   */
+  async function withEvidenceUrls(rows, organizationId) {
+    return Promise.all((rows || []).map(async (row) => ({
+      ...row,
+      file_url: row.evidence_url ? await getSignedEvidenceUrl(row.evidence_url, organizationId) : null
+    })));
+  }
+
+  /**
+   * Work out what kind of evidence a request carries and check the file fits.
+   *
+   * @param {Object} req - Express request (after multer)
+   * @returns {{evidenceType?: string, blocked?: string}} Evidence type or refusal
+   */
+  function readEvidenceType(req) {
+    const file = req.file;
+    const requested = req.body?.evidence_type;
+    const evidenceType = requested || (file ? (isEvidenceDocument(file) ? 'document' : 'photo') : 'note');
+
+    if (!evidenceService.EVIDENCE_TYPES.includes(evidenceType)) {
+      return { blocked: 'invalid_evidence_type' };
+    }
+    if (evidenceType === 'note') {
+      return String(req.body?.notes || '').trim() ? { evidenceType } : { blocked: 'notes_required' };
+    }
+    if (!file) {
+      return { blocked: 'file_required' };
+    }
+    const fits = evidenceType === 'photo' ? isAllowedImageType(file) : isEvidenceDocument(file);
+    return fits ? { evidenceType } : { blocked: 'invalid_file_type' };
+  }
+
+  /**
+   * GET /api/v1/program-progress/evidence?source_type=&source_id=&participant_id=
+   *
+   * Evidence filed against one record. Parents only see their own children's.
+   */
+  router.get('/evidence', authenticate, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    const sourceId = readId(req.query.source_id);
+    if (!evidenceService.EVIDENCE_SOURCES[req.query.source_type] || !sourceId) {
+      return errorResponse(res, 'source_type and source_id are required', 400);
+    }
+    const scope = await readListScope(req);
+    const rows = await evidenceService.listEvidence(pool, {
+      ...scope,
+      sourceType: req.query.source_type,
+      sourceId
+    });
+    return success(res, await withEvidenceUrls(rows, scope.organizationId));
+  }));
+
+  /**
+   * POST /api/v1/program-progress/evidence (multipart/form-data)
+   *
+   * Fields: source_type, source_id, participant_id (catalog claims only),
+   * evidence_type (photo, document, note), notes, and file for photos and PDFs.
+   * Opens a pending claim in the leader queue unless one is already waiting.
+   */
+  router.post('/evidence', authenticate, blockDemoRoles, requirePermission('participants.view'), acceptEvidenceFile, asyncHandler(async (req, res) => {
+    const sourceId = readId(req.body?.source_id);
+    if (!req.body?.source_type || !sourceId) {
+      return errorResponse(res, 'source_type and source_id are required', 400);
+    }
+
+    const { evidenceType, blocked } = readEvidenceType(req);
+    if (blocked) {
+      return errorResponse(res, blocked, 400);
+    }
+    if (req.file && !isStorageConfigured()) {
+      return errorResponse(res, 'Evidence storage is not configured', 503);
+    }
+
+    const scope = await readListScope(req);
+    const target = await evidenceService.resolveEvidenceTarget(pool, {
+      organizationId: scope.organizationId,
+      sourceType: req.body.source_type,
+      sourceId,
+      participantId: readId(req.body.participant_id),
+      linkedUserId: scope.linkedUserId
+    });
+    if (target.blocked) {
+      return respondWithOutcome(res, target);
+    }
+
+    let storedPath = null;
+    if (req.file) {
+      let buffer = req.file.buffer;
+      let extension = 'pdf';
+      let contentType = 'application/pdf';
+      if (evidenceType === 'photo') {
+        try {
+          buffer = await convertImageToWebP(req.file.buffer, {
+            mimeType: req.file.mimetype,
+            originalFilename: req.file.originalname
+          });
+        } catch (processingError) {
+          return errorResponse(res, 'Unable to process image upload', 400);
+        }
+        extension = WEBP_EXTENSION;
+        contentType = OUTPUT_MIME_TYPE;
+      }
+
+      const upload = await uploadFile(
+        buffer,
+        generateEvidenceFilePath(scope.organizationId, target.participantId, extension),
+        contentType
+      );
+      if (!upload.success) {
+        return errorResponse(res, upload.error || 'Failed to upload evidence', 500);
+      }
+      storedPath = upload.path;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const saved = await evidenceService.saveEvidence(client, {
+        organizationId: scope.organizationId,
+        target,
+        evidenceType,
+        evidenceUrl: storedPath,
+        notes: String(req.body.notes || '').trim() || null,
+        userId: req.user.id
+      });
+      await client.query('COMMIT');
+      const [evidence] = await withEvidenceUrls([saved.evidence], scope.organizationId);
+      return success(res, { evidence, approval: saved.approval }, 'Evidence submitted', 201);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (storedPath) {
+        await deleteFile(storedPath);
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+  }));
+
+  /**
+   * DELETE /api/v1/program-progress/evidence/:id
+   *
+   * The uploader may withdraw their own evidence; others need badges.manage.
+   */
+  router.delete('/evidence/:id', authenticate, blockDemoRoles, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    const evidenceId = readId(req.params.id);
+    if (!evidenceId) {
+      return errorResponse(res, 'Invalid evidence id', 400);
+    }
+    const organizationId = await getOrganizationId(req, pool);
+    const client = await pool.connect();
+    let outcome;
+    try {
+      await client.query('BEGIN');
+      outcome = await evidenceService.deleteEvidence(client, {
+        organizationId,
+        evidenceId,
+        userId: req.user.id,
+        canManage: hasAnyPermission(req, 'badges.manage')
+      });
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (!outcome.blocked && outcome.evidence_url && isStorageConfigured()) {
+      await deleteFile(outcome.evidence_url);
+    }
+    return respondWithOutcome(res, outcome.blocked ? outcome : { id: outcome.id }, 'Evidence deleted');
+  }));
+
+  /**
+   * GET /api/v1/program-progress/evidence-approvals?status=pending
+   *
+   * The leader queue: claims with their evidence.
+   */
+  router.get('/evidence-approvals', authenticate, requirePermission('badges.approve'), asyncHandler(async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!evidenceService.APPROVAL_STATUSES.includes(status)) {
+      return errorResponse(res, 'invalid_status', 400);
+    }
+    const organizationId = await getOrganizationId(req, pool);
+    const claims = await evidenceService.listApprovalQueue(pool, { organizationId, status });
+    const withUrls = await Promise.all(claims.map(async (claim) => ({
+      ...claim,
+      evidence: await withEvidenceUrls(claim.evidence, organizationId)
+    })));
+    return success(res, withUrls);
+  }));
+
+  /**
+   * POST /api/v1/program-progress/evidence-approvals/:id/decision
+   *
+   * Body: decision (approved, rejected), notes.
+   * Approving a competency claim records the progression, and approving an
+   * `oas_stage` claim records the stage award, in the same transaction.
+   */
+  router.post('/evidence-approvals/:id/decision', authenticate, blockDemoRoles, requirePermission('badges.approve'), asyncHandler(async (req, res) => {
+    const approvalId = readId(req.params.id);
+    if (!approvalId) {
+      return errorResponse(res, 'Invalid approval id', 400);
+    }
+    const organizationId = await getOrganizationId(req, pool);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await evidenceService.decideApproval(client, {
+        organizationId,
+        approvalId,
+        decision: req.body?.decision,
+        notes: String(req.body?.notes || '').trim() || null,
+        user: req.user
+      });
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+      return respondWithOutcome(res, outcome, 'Decision recorded');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }));
+
+  // ==========================================================================
+  // NEXT STEPS
+  // ==========================================================================
+
+  /**
+   * GET /api/v1/program-progress/next-steps?participant_id=
+   *
+   * Per OAS skill, where each youth stands against the catalog stage rules and
+   * which competencies the next stage still needs. Parents may omit
+   * participant_id to get every linked child; staff name one youth.
+   */
+  router.get('/next-steps', authenticate, requirePermission('participants.view'), asyncHandler(async (req, res) => {
+    const scope = await readListScope(req);
+    if (req.query.participant_id && !scope.participantId) {
+      return errorResponse(res, 'participant_id must be a positive integer', 400);
+    }
+    if (!scope.participantId && !scope.linkedUserId) {
+      return errorResponse(res, 'participant_id is required', 400);
+    }
+
+    const params = [scope.organizationId];
+    let where = 'po.organization_id = $1';
+    if (scope.participantId) {
+      params.push(scope.participantId);
+      where += ` AND p.id = $${params.length}`;
+    }
+    if (scope.linkedUserId) {
+      params.push(scope.linkedUserId);
+      where += ` AND EXISTS (SELECT 1 FROM user_participants up WHERE up.participant_id = p.id AND up.user_id = $${params.length})`;
+    }
+    const participantRows = await pool.query(
+      `SELECT p.id, p.first_name, p.last_name
+         FROM participants p
+         JOIN participant_organizations po ON po.participant_id = p.id
+        WHERE ${where}
+        ORDER BY p.first_name, p.last_name`,
+      params
+    );
+
+    if (scope.participantId && participantRows.rows.length === 0) {
+      return errorResponse(res, 'participant_not_found', 404);
+    }
+
+    const participants = [];
+    for (const participant of participantRows.rows) {
+      participants.push({
+        participant_id: participant.id,
+        participant_name: `${participant.first_name} ${participant.last_name}`,
+        skills: await evaluateParticipantStages(pool, {
+          organizationId: scope.organizationId,
+          participantId: participant.id
+        })
+      });
+    }
+    return success(res, participants);
+  }));
+
   return router;
 };
@@ -17,7 +17,8 @@ const rateLimit = require('express-rate-limit');
 
 // Import utilities
 const { getCurrentOrganizationId, handleOrganizationResolutionError } = require('../utils/api-helpers');
-const { sendEmail, sanitizeInput } = require('../utils/index');
+const { sendEmail, sanitizeInput, getTranslationsByCode } = require('../utils/index');
+const { renderEmail } = require('../services/email-templates');
 const {
   describeConsentInvitation,
   recordConsent,
@@ -339,77 +340,28 @@ module.exports = (pool, logger) => {
         const phone = sanitizeInput(req.body.phone || 'Not provided');
         const message = sanitizeInput(req.body.message);
 
-        // Construct email content
-        const subject = `Demo Request from ${name}`;
-        const emailBody = `
-Demo Request Submission
-=======================
-
-Name: ${name}
-Email: ${email}
-Organization: ${organization}
-Phone: ${phone}
-
-Message:
-${message}
-
----
-Submitted from: ${req.ip}
-User Agent: ${req.headers['user-agent'] || 'Unknown'}
-`;
-
-        const htmlBody = `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background: #4c65ae; color: white; padding: 20px; border-radius: 5px 5px 0 0; }
-    .content { background: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-    .field { margin-bottom: 15px; }
-    .label { font-weight: bold; color: #4c65ae; }
-    .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 0.9em; color: #666; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h2>Demo Request Submission</h2>
-    </div>
-    <div class="content">
-      <div class="field">
-        <span class="label">Name:</span> ${escapeHtml(name)}
-      </div>
-      <div class="field">
-        <span class="label">Email:</span> <a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a>
-      </div>
-      <div class="field">
-        <span class="label">Organization:</span> ${escapeHtml(organization)}
-      </div>
-      <div class="field">
-        <span class="label">Phone:</span> ${escapeHtml(phone)}
-      </div>
-      <div class="field">
-        <span class="label">Message:</span>
-        <p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>
-      </div>
-      <div class="footer">
-        <p>Submitted from: ${escapeHtml(req.ip)}<br>
-        User Agent: ${escapeHtml(req.headers['user-agent'] || 'Unknown')}</p>
-      </div>
-    </div>
-  </div>
-</body>
-</html>
-`;
+        // Wampums' own mail, so no unit context and always in English
+        const labels = getTranslationsByCode('en');
+        const { subject, text, html } = await renderEmail(null, null, 'demo_request', 'en', {
+          name,
+          message,
+          ip: req.ip,
+          user_agent: req.headers['user-agent'] || 'Unknown'
+        }, {
+          lines: [
+            `${labels.name}: ${name}`,
+            `${labels.email}: ${email}`,
+            `${labels.organization}: ${organization}`,
+            `${labels.phone_number}: ${phone}`
+          ]
+        });
 
         // Send email to rama@meute6a.app
         const emailSent = await sendEmail(
           'rama@meute6a.app',
           subject,
-          emailBody,
-          htmlBody
+          text,
+          html
         );
 
         if (!emailSent) {
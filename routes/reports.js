@@ -23,96 +23,173 @@ const {
   declaresAllergy,
   declaresMedication
 } = require('../utils/health-form');
+const {
+  readExportFormat,
+  exportLanguage,
+  loadExportContext,
+  sendReportExport
+} = require('../utils/report-export');
+const { getEmailIssues } = require('../services/email-delivery');
+const { OPEN_ENDED_DATE, formWindowFor, formAsOfYearJoin } = require('../services/scoutYear');
 
 /*
- * Reading a form submission "as of" a scout year.
- *
- * These reports scope the roster and the den to the selected year, but a form
- * submission is not a per-year row: the year transition deliberately keeps last
- * year's content and only asks for a re-read (§10), so a returning child has one
- * health form stamped with the year it was first filled in. Two consequences,
- * both of which these fragments exist to handle:
- *
- *   * joining on `fs.scout_year_id = <selected year>` would empty the report for
- *     every returning participant, since their form belongs to an earlier year;
- *   * joining without any year condition lets a closed year's report display a
- *     form filled in two seasons later, and lets a participant with submissions
- *     from several years appear once per submission.
- *
- * What a historical report should show is the submission that was in force
- * during the selected year: the most recent one that existed by then. Hence a
- * lateral picking a single row, ordered by the year it belongs to.
- *
- * The residual limit is stated plainly: a submission edited in a later season is
- * a mutable row, so its *content* is today's. Scoping fixes which record is
- * shown, not the absence of version history — see §9 of
- * devdocs/GESTION_ANNEE_SCOUTE.md.
- *
- * Both fragments expect `$1` = organization id, `$4`/`$5` = the window bounds
- * from `formWindowFor()`, and attach to a participant table aliased `p`.
- */
-
-/**
- * A date no submission can be later than, used to open the window's far end.
- * Postgres accepts dates well past it, so it is a bound, not a sentinel value
- * anything is compared against for equality.
+ * Forms are read "as of" the selected scout year (see formAsOfYearJoin() in
+ * services/scoutYear). The fragments expect `$1` = organization id and
+ * `$4`/`$5` = the window bounds from `formWindowFor()`.
  */
-const OPEN_ENDED_DATE = '9999-12-31';
+const HEALTH_FORM_AS_OF_YEAR = formAsOfYearJoin('fiche_sante');
+const REGISTRATION_FORM_AS_OF_YEAR = formAsOfYearJoin('participant_registration');
 
-/**
- * The `$4`/`$5` bounds of the "as of" window for a scout year.
- *
- * A *closed* year is bounded by its own dates: that is what makes an archived
- * report show the form that was in force back then rather than today's.
- *
- * The year *in progress* has no upper bound, and clipping it at `end_date` was
- * hiding live records. An organisation runs its year transition when it gets
- * round to it, so the open year routinely outlives its nominal end date; every
- * health form filled in during that overrun — new registrations, a family
- * updating an allergy over the summer — fell outside the window and the child
- * dropped out of every health report while their fiche santé still displayed
- * perfectly. Same for a submission stamped with a year that starts later than
- * the open one. On the open year the answer is simply the participant's current
- * form, so the bounds are opened rather than the condition removed, which keeps
- * one SQL fragment and one parameter layout for both cases.
- *
- * @param {Object} scoutYear - Row from `req.scoutYear`
- * @returns {Array<string>} `[startBound, endBound]` for `$4` and `$5`
+/*
+ * File exports (?format=csv|xlsx|pdf) of the reports below, one definition
+ * per report. `label` is a translation key and `term` a vocabulary term that
+ * wins over it when the organization has one; `value` reads a cell the row
+ * does not hold as-is. See utils/report-export.js.
  */
-function formWindowFor(scoutYear) {
-  if (!scoutYear || scoutYear.status === 'active') {
-    return [OPEN_ENDED_DATE, OPEN_ENDED_DATE];
+const FIRST_NAME = { key: 'first_name', label: 'first_name' };
+const LAST_NAME = { key: 'last_name', label: 'last_name' };
+const GROUP = { key: 'group_name', label: 'group', term: 'subgroup_singular' };
+const answered = (field) => (row) => isAffirmative(row[field]);
+
+const REPORT_EXPORTS = {
+  health: {
+    title: 'health_report_title',
+    filename: 'health_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'date_naissance', label: 'date_naissance', type: 'date' },
+      { key: 'allergies', label: 'allergies', width: 2 },
+      { key: 'epipen', label: 'epipen', type: 'boolean' },
+      { key: 'medications', label: 'medication', width: 2 },
+      { key: 'probleme_sante', label: 'health_issues', width: 2 },
+      { key: 'limitations', label: 'limitations', width: 2 },
+      { key: 'blessures_operations', label: 'injuries', width: 2 },
+      { key: 'niveau_natation', label: 'swimming_level' },
+      { key: 'doit_porter_vfi', label: 'doit_porter_vfi', type: 'boolean' },
+      { key: 'vaccins_a_jour', label: 'vaccines_up_to_date', type: 'boolean' },
+      { key: 'nom_medecin', label: 'nom_medecin_label' },
+      {
+        key: 'emergency_contacts',
+        label: 'emergency_contacts',
+        type: 'list',
+        width: 3,
+        value: (row) => row.emergency_contacts.map((contact) => [
+          contact.name,
+          contact.relationship,
+          contact.phone_mobile || contact.phone_home || contact.phone_work
+        ].filter(Boolean).join(' '))
+      }
+    ]
+  },
+  allergies: {
+    title: 'allergies_report_title',
+    filename: 'allergies_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'allergies', label: 'allergies', width: 2 },
+      { key: 'allergy_severity', label: 'allergy_severity' },
+      { key: 'allergy_reaction', label: 'allergy_reaction', width: 2 },
+      { key: 'allergy_action', label: 'allergy_action', width: 2 },
+      { key: 'epipen', label: 'epipen', type: 'boolean' },
+      { key: 'emergency_medication', label: 'emergency_medication', width: 2 },
+      { key: 'notes', label: 'notes', width: 2 }
+    ]
+  },
+  medication: {
+    title: 'medication_report_title',
+    filename: 'medication_report',
+    columns: [FIRST_NAME, LAST_NAME, GROUP, { key: 'medication', label: 'medication', width: 3 }]
+  },
+  vaccines: {
+    title: 'vaccine_report_title',
+    filename: 'vaccine_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'vaccines_up_to_date', label: 'vaccines_up_to_date', type: 'boolean', value: answered('vaccines_up_to_date') }
+    ]
+  },
+  'leave-alone': {
+    title: 'leave_alone_report_title',
+    filename: 'leave_alone_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'can_leave_alone', label: 'can_leave_alone', type: 'boolean', value: answered('can_leave_alone') }
+    ]
+  },
+  'media-authorization': {
+    title: 'media_authorization_report_title',
+    filename: 'media_authorization_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'media_authorized', label: 'media_authorized', type: 'boolean', value: answered('media_authorized') }
+    ]
+  },
+  'missing-documents': {
+    title: 'missing_documents_report_title',
+    filename: 'missing_documents_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      {
+        key: 'missing_forms',
+        label: 'missing_documents',
+        type: 'list',
+        width: 3,
+        value: (row, label) => row.missing_forms.map((formType) => label(formType))
+      }
+    ]
+  },
+  attendance: {
+    title: 'attendance_report_title',
+    filename: 'attendance_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'present', label: 'present', type: 'number', value: (row) => row.summary.present },
+      { key: 'absent', label: 'absent', type: 'number', value: (row) => row.summary.absent },
+      { key: 'late', label: 'late', type: 'number', value: (row) => row.summary.late },
+      { key: 'excused', label: 'excused', type: 'number', value: (row) => row.summary.excused }
+    ]
+  },
+  honors: {
+    title: 'honors_report_title',
+    term: 'honor_plural',
+    filename: 'honors_report',
+    columns: [
+      { key: 'honor_name', label: 'honor_name', term: 'honor_singular', width: 2 },
+      { key: 'category', label: 'category' },
+      { key: 'count', label: 'count', type: 'number' },
+      { key: 'recipients', label: 'recipients', type: 'list', width: 4 }
+    ]
+  },
+  points: {
+    title: 'points_report_title',
+    filename: 'points_report',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      { key: 'total_points', label: 'total_points', type: 'number' },
+      { key: 'honors_count', label: 'honors_count', type: 'number' }
+    ]
+  },
+  'parent-contact-list': {
+    title: 'parent_contact_list',
+    filename: 'parent_contact_list',
+    columns: [
+      FIRST_NAME, LAST_NAME, GROUP,
+      {
+        key: 'guardian',
+        label: 'parent_guardian',
+        width: 2,
+        value: (row) => [row.prenom, row.nom].filter(Boolean).join(' ')
+      },
+      { key: 'lien', label: 'guardian_relationship' },
+      { key: 'courriel', label: 'email', width: 2 },
+      { key: 'telephone_cellulaire', label: 'guardian_phone_mobile' },
+      { key: 'telephone_residence', label: 'guardian_phone_home' },
+      { key: 'telephone_travail', label: 'guardian_phone_work' },
+      { key: 'is_primary', label: 'guardian_primary_contact', type: 'boolean' },
+      { key: 'is_emergency_contact', label: 'guardian_emergency_contact', type: 'boolean' }
+    ]
   }
-  return [scoutYear.start_date, scoutYear.end_date];
-}
-
-const HEALTH_FORM_AS_OF_YEAR = `
-  LEFT JOIN LATERAL (
-    SELECT sub.submission_data
-      FROM form_submissions sub
-      LEFT JOIN scout_years sub_year ON sub_year.id = sub.scout_year_id
-     WHERE sub.participant_id = p.id
-       AND sub.organization_id = $1
-       AND sub.form_type = 'fiche_sante'
-       AND ((sub.scout_year_id IS NOT NULL AND sub_year.start_date <= $4::date)
-         OR (sub.scout_year_id IS NULL AND sub.created_at < ($5::date + INTERVAL '1 day')))
-     ORDER BY sub_year.start_date DESC NULLS LAST, sub.updated_at DESC NULLS LAST, sub.id DESC
-     LIMIT 1
-  ) fs ON TRUE`;
-
-const REGISTRATION_FORM_AS_OF_YEAR = `
-  LEFT JOIN LATERAL (
-    SELECT sub.submission_data
-      FROM form_submissions sub
-      LEFT JOIN scout_years sub_year ON sub_year.id = sub.scout_year_id
-     WHERE sub.participant_id = p.id
-       AND sub.organization_id = $1
-       AND sub.form_type = 'participant_registration'
-       AND ((sub.scout_year_id IS NOT NULL AND sub_year.start_date <= $4::date)
-         OR (sub.scout_year_id IS NULL AND sub.created_at < ($5::date + INTERVAL '1 day')))
-     ORDER BY sub_year.start_date DESC NULLS LAST, sub.updated_at DESC NULLS LAST, sub.id DESC
-     LIMIT 1
-  ) fs ON TRUE`;
+};
 
 /**
  * Export route factory function
@@ -123,6 +200,20 @@ const REGISTRATION_FORM_AS_OF_YEAR = `
  * @returns {Router} Express router with report routes
  */
 module.exports = (pool, logger) => {
+  /** Send a report's rows as the file `?format=` asked for. */
+  async function sendExport(req, res, organizationId, reportKey, rows) {
+    const context = await loadExportContext(pool, organizationId, {
+      language: exportLanguage(req),
+      scoutYear: req.scoutYear
+    });
+    return sendReportExport(res, {
+      format: req.exportFormat,
+      definition: REPORT_EXPORTS[reportKey],
+      rows,
+      context
+    });
+  }
+
   /**
    * GET /api/v1/reports/mailing-list
    * Get mailing list
@@ -202,6 +293,8 @@ module.exports = (pool, logger) => {
       emails_by_role: emailsByRole,
       participant_emails: participantEmails,
       unique_emails: uniqueEmails,
+      // Addresses whose last delivery report was a bounce or a complaint
+      email_issues: await getEmailIssues(pool, uniqueEmails),
     });
   }));
 
@@ -220,6 +313,17 @@ module.exports = (pool, logger) => {
    *         schema:
    *           type: integer
    *         description: Filter by group ID
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Health report retrieved successfully
@@ -232,7 +336,7 @@ module.exports = (pool, logger) => {
    * GET /api/v1/reports/health
    * Get health report
    */
-  router.get('/health', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/health', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     const groupId = req.query.group_id;
@@ -334,6 +438,10 @@ module.exports = (pool, logger) => {
       };
     });
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'health', healthReport);
+    }
+
     res.json({ success: true, data: healthReport });
   }));
 
@@ -365,7 +473,11 @@ module.exports = (pool, logger) => {
    *         name: format
    *         schema:
    *           type: string
-   *           enum: [json, csv]
+   *           enum: [json, csv, xlsx, pdf]
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
    *     responses:
    *       200:
    *         description: Attendance report retrieved successfully
@@ -378,10 +490,10 @@ module.exports = (pool, logger) => {
    * GET /api/v1/reports/attendance
    * Get attendance report
    */
-  router.get('/attendance', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/attendance', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
-    const { start_date, end_date, group_id, format } = req.query;
+    const { start_date, end_date, group_id } = req.query;
 
     let query = `
         SELECT p.id, p.first_name, p.last_name,
@@ -450,15 +562,8 @@ module.exports = (pool, logger) => {
 
     const attendanceReport = Array.from(participantMap.values());
 
-    // If CSV format requested
-    if (format === 'csv') {
-      let csv = 'First Name,Last Name,Group,Present,Absent,Late,Excused\n';
-      for (const p of attendanceReport) {
-        csv += `"${p.first_name}","${p.last_name}","${p.group_name || ''}",${p.summary.present},${p.summary.absent},${p.summary.late},${p.summary.excused}\n`;
-      }
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename="attendance_report.csv"');
-      return res.send(csv);
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'attendance', attendanceReport);
     }
 
     res.json({ success: true, data: attendanceReport });
@@ -473,6 +578,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Missing documents report retrieved successfully
@@ -485,7 +602,7 @@ module.exports = (pool, logger) => {
    * GET /api/v1/reports/missing-documents
    * Get missing documents report
    */
-  router.get('/missing-documents', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/missing-documents', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     // Get required form types from organization settings
@@ -549,6 +666,10 @@ module.exports = (pool, logger) => {
       };
     });
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'missing-documents', missingDocsReport);
+    }
+
     res.json({
       success: true,
       data: missingDocsReport,
@@ -608,6 +729,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Allergies report retrieved successfully
@@ -616,7 +749,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/allergies', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/allergies', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     // Everything a leader needs to act on an allergy, and nothing else: general
@@ -678,6 +811,10 @@ module.exports = (pool, logger) => {
         };
       });
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'allergies', allergiesReport);
+    }
+
     res.json({ success: true, data: allergiesReport });
   }));
 
@@ -690,6 +827,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Medication report retrieved successfully
@@ -698,7 +847,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/medication', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/medication', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     // Same reading as the allergy report, for the same reason: a medication a
@@ -731,6 +880,10 @@ module.exports = (pool, logger) => {
         medication: medicationText(row.health_data)
       }));
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'medication', medicationReport);
+    }
+
     res.json({ success: true, data: medicationReport });
   }));
 
@@ -743,6 +896,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Vaccine report retrieved successfully
@@ -751,7 +916,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/vaccines', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/vaccines', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     const result = await pool.query(
@@ -769,6 +934,10 @@ module.exports = (pool, logger) => {
         ...formWindowFor(req.scoutYear)]
     );
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'vaccines', result.rows);
+    }
+
     res.json({ success: true, data: result.rows });
   }));
 
@@ -781,6 +950,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Leave alone report retrieved successfully
@@ -789,7 +970,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/leave-alone', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/leave-alone', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     const result = await pool.query(
@@ -807,6 +988,10 @@ module.exports = (pool, logger) => {
         ...formWindowFor(req.scoutYear)]
     );
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'leave-alone', result.rows);
+    }
+
     res.json({ success: true, data: result.rows });
   }));
 
@@ -819,6 +1004,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Media authorization report retrieved successfully
@@ -827,7 +1024,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/media-authorization', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/media-authorization', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     const result = await pool.query(
@@ -845,6 +1042,10 @@ module.exports = (pool, logger) => {
         ...formWindowFor(req.scoutYear)]
     );
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'media-authorization', result.rows);
+    }
+
     res.json({ success: true, data: result.rows });
   }));
 
@@ -857,6 +1058,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Honors report retrieved successfully
@@ -865,7 +1078,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/honors', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/honors', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     const result = await pool.query(
@@ -882,6 +1095,10 @@ module.exports = (pool, logger) => {
       [organizationId, req.scoutYear.id, req.scoutYear.start_date, req.scoutYear.end_date, req.rosterStatuses]
     );
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'honors', result.rows);
+    }
+
     res.json({ success: true, data: result.rows });
   }));
 
@@ -894,6 +1111,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Points report retrieved successfully
@@ -902,7 +1131,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/points', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/points', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     const result = await pool.query(
@@ -932,6 +1161,10 @@ module.exports = (pool, logger) => {
       [organizationId, req.scoutYear.id, req.scoutYear.start_date, req.scoutYear.end_date, req.rosterStatuses]
     );
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'points', result.rows);
+    }
+
     res.json({ success: true, data: result.rows });
   }));
 
@@ -1129,6 +1362,18 @@ module.exports = (pool, logger) => {
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, xlsx, pdf]
+   *         description: Answer with a file instead of JSON
+   *       - in: query
+   *         name: lang
+   *         schema:
+   *           type: string
+   *         description: Language of an exported file (defaults to the browser's)
    *     responses:
    *       200:
    *         description: Parent contact list retrieved successfully
@@ -1137,7 +1382,7 @@ module.exports = (pool, logger) => {
    *       403:
    *         description: Insufficient permissions
    */
-  router.get('/parent-contact-list', authenticate, requirePermission('reports.view'), withScoutYear(pool), asyncHandler(async (req, res) => {
+  router.get('/parent-contact-list', authenticate, requirePermission('reports.view'), withScoutYear(pool), readExportFormat, asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
 
     // Get all participants with their guardians
@@ -1169,6 +1414,10 @@ module.exports = (pool, logger) => {
       [organizationId, req.scoutYear.id, req.rosterStatuses]
     );
 
+    if (req.exportFormat) {
+      return sendExport(req, res, organizationId, 'parent-contact-list', result.rows);
+    }
+
     res.json({
       success: true,
       contacts: result.rows
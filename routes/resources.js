@@ -17,6 +17,7 @@ const { checkValidation } = require("../middleware/validation");
 const { handleOrganizationResolutionError } = require("../utils/api-helpers");
 const { sendEmail, getUserEmailLanguage } = require("../utils/index");
 const { buildPermissionSlipEmailContent } = require("../utils/permission-slip-email");
+const { loadEmailContext } = require("../services/email-templates");
 const { resolveOrganizationBaseUrl } = require("../utils/public-url");
 const {
   MAX_FILE_SIZE,
@@ -1909,6 +1910,7 @@ module.exports = (pool) => {
         let emailsSentCount = 0;
         const failedEmails = [];
         const emailDetails = [];
+        const emailContext = await loadEmailContext(pool, organizationId);
 
         for (const slip of slipsResult.rows) {
           // Get ALL guardians linked to this participant
@@ -1996,12 +1998,14 @@ module.exports = (pool) => {
                 signLink,
                 languageCode: recipientLanguage,
                 isReminder: false,
+                context: emailContext,
               });
             const emailSent = await sendEmail(
               recipient.email,
               subject,
               textBody,
               htmlBody,
+              emailContext.organizationName,
             );
 
             if (emailSent) {
@@ -2169,6 +2173,7 @@ module.exports = (pool) => {
         let sentCount = 0;
         const failedEmails = [];
         const emailDetails = [];
+        const emailContext = await loadEmailContext(pool, organizationId);
 
         for (const slip of slipsResult.rows) {
           // Get ALL guardians linked to this participant
@@ -2254,12 +2259,14 @@ module.exports = (pool) => {
                 signLink,
                 languageCode: recipientLanguage,
                 isReminder: true,
+                context: emailContext,
               });
             const emailSent = await sendEmail(
               recipient.email,
               subject,
               textBody,
               htmlBody,
+              emailContext.organizationName,
             );
 
             if (emailSent) {
@@ -9,8 +9,36 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate, requirePermission, blockDemoRoles } = require('../middleware/auth');
+const { authenticate, requirePermission, blockDemoRoles, getOrganizationId } = require('../middleware/auth');
 const { success, error, asyncHandler } = require('../middleware/response');
+const { recordAudit } = require('../middleware/audit');
+const { validateIdParam, checkValidation } = require('../middleware/validation');
+
+const MAX_BUNDLE_NAME_LENGTH = 100;
+
+/**
+ * Check a role bundle payload.
+ *
+ * @param {Object} body - Request body: name, description, role_ids
+ * @returns {{value: {name: string, description: string|null, role_ids: Array<number>}, errors: Array<{field: string, msg: string}>}}
+ */
+function validateRoleBundle(body = {}) {
+  const errors = [];
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+  const roleIds = Array.isArray(body.role_ids) ? [...new Set(body.role_ids.map(Number))] : null;
+
+  if (!name) {
+    errors.push({ field: 'name', msg: 'Name is required' });
+  } else if (name.length > MAX_BUNDLE_NAME_LENGTH) {
+    errors.push({ field: 'name', msg: `Name must be at most ${MAX_BUNDLE_NAME_LENGTH} characters` });
+  }
+  if (!roleIds || roleIds.length === 0 || !roleIds.every(Number.isInteger)) {
+    errors.push({ field: 'role_ids', msg: 'Select at least one role' });
+  }
+
+  return { value: { name, description, role_ids: roleIds || [] }, errors };
+}
 
 /**
  * Export route factory function
@@ -76,6 +104,203 @@ module.exports = (pool, logger) => {
     })
   );
 
+  /**
+   * Roles a bundle may hold: they must exist, and only callers who can hand
+   * out the district role may put it in a bundle.
+   *
+   * @returns {Promise<{error?: string, status?: number}>} An error to answer with, or nothing
+   */
+  async function checkBundleRoles(req, roleIds) {
+    const rolesResult = await pool.query(
+      'SELECT id, role_name FROM roles WHERE id = ANY($1::int[])',
+      [roleIds]
+    );
+    if (rolesResult.rows.length !== roleIds.length) {
+      return { error: 'One or more invalid role IDs', status: 400 };
+    }
+    if (rolesResult.rows.some((role) => role.role_name === 'district')
+      && !req.userPermissions?.includes('users.assign_district')) {
+      return { error: 'You do not have permission to assign the district administrator role', status: 403 };
+    }
+    return {};
+  }
+
+  /**
+   * GET /api/v1/roles/bundles
+   * Roles that can be assigned, with the organization's role bundles
+   * Available to: district, unitadmin
+   */
+  router.get('/api/v1/roles/bundles',
+    authenticate,
+    requirePermission('roles.view'),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const excludeDistrict = req.userRoles && !req.userRoles.includes('district');
+
+      const rolesResult = await pool.query(
+        `SELECT id, role_name, display_name, description, is_system_role
+           FROM roles
+          WHERE ($1::boolean IS NOT TRUE OR role_name != 'district')
+          ORDER BY display_name`,
+        [Boolean(excludeDistrict)]
+      );
+      const bundlesResult = await pool.query(
+        `SELECT id, name, description, role_ids, updated_at
+           FROM role_bundles
+          WHERE organization_id = $1
+          ORDER BY name`,
+        [organizationId]
+      );
+
+      const visibleRoleIds = new Set(rolesResult.rows.map((role) => role.id));
+      const bundles = bundlesResult.rows
+        // A unit admin cannot hand out a bundle holding a role they cannot see
+        .filter((bundle) => (bundle.role_ids || []).every((id) => visibleRoleIds.has(id)));
+
+      return success(res, { roles: rolesResult.rows, bundles }, 'Role bundles retrieved successfully');
+    })
+  );
+
+  /**
+   * POST /api/v1/roles/bundles
+   * Create a role bundle for the organization
+   * Available to: district, unitadmin
+   */
+  router.post('/api/v1/roles/bundles',
+    authenticate,
+    blockDemoRoles,
+    requirePermission('roles.manage'),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const { value, errors } = validateRoleBundle(req.body);
+      if (errors.length > 0) {
+        return error(res, 'Invalid role bundle', 400, errors);
+      }
+      const roleCheck = await checkBundleRoles(req, value.role_ids);
+      if (roleCheck.error) {
+        return error(res, roleCheck.error, roleCheck.status);
+      }
+
+      const result = await pool.query(
+        `INSERT INTO role_bundles (organization_id, name, description, role_ids, created_by)
+         VALUES ($1, $2, $3, $4::jsonb, $5)
+         ON CONFLICT (organization_id, name) DO NOTHING
+         RETURNING id, name, description, role_ids, updated_at`,
+        [organizationId, value.name, value.description, JSON.stringify(value.role_ids), req.user.id]
+      );
+      if (result.rows.length === 0) {
+        return error(res, 'A role bundle with this name already exists', 409);
+      }
+
+      await recordAudit(pool, req, {
+        organizationId,
+        action: 'create',
+        entityType: 'role_bundle',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      });
+
+      return success(res, result.rows[0], 'Role bundle created', 201);
+    })
+  );
+
+  /**
+   * PUT /api/v1/roles/bundles/:bundleId
+   * Rename a bundle or change its roles. Members who already received the
+   * bundle keep the roles they were given.
+   * Available to: district, unitadmin
+   */
+  router.put('/api/v1/roles/bundles/:bundleId',
+    authenticate,
+    blockDemoRoles,
+    requirePermission('roles.manage'),
+    validateIdParam('bundleId'),
+    checkValidation,
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const bundleId = Number(req.params.bundleId);
+      const { value, errors } = validateRoleBundle(req.body);
+      if (errors.length > 0) {
+        return error(res, 'Invalid role bundle', 400, errors);
+      }
+      const roleCheck = await checkBundleRoles(req, value.role_ids);
+      if (roleCheck.error) {
+        return error(res, roleCheck.error, roleCheck.status);
+      }
+
+      const previous = await pool.query(
+        `SELECT id, name, description, role_ids, updated_at
+           FROM role_bundles WHERE id = $1 AND organization_id = $2`,
+        [bundleId, organizationId]
+      );
+      if (previous.rows.length === 0) {
+        return error(res, 'Role bundle not found', 404);
+      }
+
+      let result;
+      try {
+        result = await pool.query(
+          `UPDATE role_bundles
+              SET name = $1, description = $2, role_ids = $3::jsonb, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4 AND organization_id = $5
+            RETURNING id, name, description, role_ids, updated_at`,
+          [value.name, value.description, JSON.stringify(value.role_ids), bundleId, organizationId]
+        );
+      } catch (err) {
+        if (err.code === '23505') {
+          return error(res, 'A role bundle with this name already exists', 409);
+        }
+        throw err;
+      }
+
+      await recordAudit(pool, req, {
+        organizationId,
+        action: 'update',
+        entityType: 'role_bundle',
+        entityId: bundleId,
+        before: previous.rows[0],
+        after: result.rows[0]
+      });
+
+      return success(res, result.rows[0], 'Role bundle updated');
+    })
+  );
+
+  /**
+   * DELETE /api/v1/roles/bundles/:bundleId
+   * Remove a bundle. Members keep the roles it gave them.
+   * Available to: district, unitadmin
+   */
+  router.delete('/api/v1/roles/bundles/:bundleId',
+    authenticate,
+    blockDemoRoles,
+    requirePermission('roles.manage'),
+    validateIdParam('bundleId'),
+    checkValidation,
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const bundleId = Number(req.params.bundleId);
+      const deleted = await pool.query(
+        `DELETE FROM role_bundles WHERE id = $1 AND organization_id = $2
+         RETURNING id, name, description, role_ids`,
+        [bundleId, organizationId]
+      );
+      if (deleted.rows.length === 0) {
+        return error(res, 'Role bundle not found', 404);
+      }
+
+      await recordAudit(pool, req, {
+        organizationId,
+        action: 'delete',
+        entityType: 'role_bundle',
+        entityId: bundleId,
+        before: deleted.rows[0]
+      });
+
+      return success(res, null, 'Role bundle deleted');
+    })
+  );
+
   /**
    * GET /api/v1/roles/:roleId/permissions
    * Get permissions for a specific role
@@ -176,13 +401,23 @@ module.exports = (pool, logger) => {
         }
 
         // Add permission to role
-        await pool.query(
+        const granted = await pool.query(
           `INSERT INTO role_permissions (role_id, permission_id)
            VALUES ($1, $2)
-           ON CONFLICT DO NOTHING`,
+           ON CONFLICT DO NOTHING
+           RETURNING role_id, permission_id`,
           [roleId, permissionId]
         );
 
+        if (granted.rows.length > 0) {
+          await recordAudit(pool, req, {
+            action: 'create',
+            entityType: 'role_permission',
+            entityId: roleId,
+            after: granted.rows[0]
+          });
+        }
+
         return success(res, null, 'Permission added to role');
       } catch (error) {
         logger.error('Error adding permission to role:', error);
@@ -219,11 +454,21 @@ module.exports = (pool, logger) => {
         }
 
         // Remove permission from role
-        await pool.query(
-          'DELETE FROM role_permissions WHERE role_id = $1 AND permission_id = $2',
+        const revoked = await pool.query(
+          `DELETE FROM role_permissions WHERE role_id = $1 AND permission_id = $2
+           RETURNING role_id, permission_id`,
           [roleId, permissionId]
         );
 
+        if (revoked.rows.length > 0) {
+          await recordAudit(pool, req, {
+            action: 'delete',
+            entityType: 'role_permission',
+            entityId: roleId,
+            before: revoked.rows[0]
+          });
+        }
+
         return success(res, null, 'Permission removed from role');
       } catch (error) {
         logger.error('Error removing permission from role:', error);
@@ -258,6 +503,13 @@ module.exports = (pool, logger) => {
 
         logger.info(`User ${req.user.id} created new role: ${role_name}`);
 
+        await recordAudit(pool, req, {
+          action: 'create',
+          entityType: 'role',
+          entityId: result.rows[0].id,
+          after: result.rows[0]
+        });
+
         return success(res, result.rows[0], 'Role created successfully', 201);
       } catch (error) {
         if (error.code === '23505') { // Unique constraint violation
@@ -298,10 +550,17 @@ module.exports = (pool, logger) => {
         }
 
         // Delete role (cascade will handle role_permissions)
-        await pool.query('DELETE FROM roles WHERE id = $1', [roleId]);
+        const deleted = await pool.query('DELETE FROM roles WHERE id = $1 RETURNING *', [roleId]);
 
         logger.info(`User ${req.user.id} deleted role: ${roleCheck.rows[0].role_name}`);
 
+        await recordAudit(pool, req, {
+          action: 'delete',
+          entityType: 'role',
+          entityId: roleId,
+          before: deleted.rows[0] || roleCheck.rows[0]
+        });
+
         return success(res, null, 'Role deleted successfully');
       } catch (error) {
         logger.error('Error deleting role:', error);
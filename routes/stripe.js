@@ -2,9 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, getOrganizationId, blockDemoRoles, hasAnyRole } = require('../middleware/auth');
 const { success, error, asyncHandler } = require('../middleware/response');
+const { stripe, STRIPE_CURRENCY, createFeeCheckoutSession, processStripeEvent } = require('../services/stripePayments');
 
-// Initialize Stripe with secret key
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const STAFF_PAYER_ROLES = ['district', 'unitadmin', 'leader', 'finance', 'administration', 'demoadmin'];
+
+const CHECKOUT_BLOCK_STATUS = {
+  fee_not_found: 404,
+  plan_not_found: 404,
+  nothing_outstanding: 400,
+  processor_error: 502
+};
 
 module.exports = (pool, logger) => {
   /**
@@ -28,7 +35,7 @@ module.exports = (pool, logger) => {
 
     // Verify the user has permission to pay this fee
     // Parents can only pay for their own children, staff can pay for anyone
-    const isStaff = hasAnyRole(req.user, ['district', 'unitadmin', 'leader', 'finance', 'administration', 'demoadmin']);
+    const isStaff = hasAnyRole(req.user, STAFF_PAYER_ROLES);
 
     let feeQuery;
     let feeParams;
@@ -92,7 +99,7 @@ module.exports = (pool, logger) => {
       // Create a PaymentIntent with Stripe
       const paymentIntent = await stripe.paymentIntents.create({
         amount: Math.round(amount * 100), // Convert to cents
-        currency: 'cad',
+        currency: STRIPE_CURRENCY,
         automatic_payment_methods: {
           enabled: true,
         },
@@ -121,9 +128,43 @@ module.exports = (pool, logger) => {
     }
   }));
 
+  /**
+   * @route POST /v1/stripe/checkout-session
+   * @desc Open a Stripe Checkout page for a fee balance, or for one installment
+   *       when payment_plan_id is given
+   * @access Parents (their own children's fees) and staff
+   */
+  router.post('/v1/stripe/checkout-session', authenticate, blockDemoRoles, asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const { participant_fee_id, payment_plan_id } = req.body;
+
+    if (!participant_fee_id) {
+      return error(res, 'participant_fee_id is required', 400);
+    }
+
+    const result = await createFeeCheckoutSession(pool, {
+      organizationId,
+      user: req.user,
+      canPayAnyFee: hasAnyRole(req.user, STAFF_PAYER_ROLES),
+      participantFeeId: participant_fee_id,
+      paymentPlanId: payment_plan_id || null
+    });
+
+    if (result.blocked) {
+      if (result.message) {
+        logger.error(`Stripe Checkout session creation failed: ${result.message}`);
+      }
+      return error(res, result.blocked, CHECKOUT_BLOCK_STATUS[result.blocked] || 400);
+    }
+
+    logger.info(`Created Stripe Checkout session ${result.session.id} for participant_fee_id: ${participant_fee_id}, amount: $${result.session.amount}`);
+    return success(res, result.session, 'Checkout session created', 201);
+  }));
+
   /**
    * @route POST /v1/stripe/webhook
-   * @desc Stripe webhook handler for payment events
+   * @desc Stripe webhook handler for payment, refund and dispute events.
+   *       Each event is applied once; redeliveries are acknowledged.
    * @access Public (verified by Stripe signature)
    */
   router.post('/v1/stripe/webhook', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
@@ -133,7 +174,8 @@ module.exports = (pool, logger) => {
     let event;
 
     try {
-      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+      // The global JSON parser runs first and keeps the signed bytes in rawBody.
+      event = stripe.webhooks.constructEvent(req.rawBody || req.body, sig, webhookSecret);
     } catch (err) {
       logger.error(`Webhook signature verification failed: ${err.message}`);
       return res.status(400).send(`Webhook Error: ${err.message}`);
@@ -141,26 +183,10 @@ module.exports = (pool, logger) => {
 
     logger.info(`Stripe webhook received: ${event.type}, ID: ${event.id}`);
 
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object, pool, logger);
-        break;
-
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailure(event.data.object, pool, logger);
-        break;
-
-      case 'payment_intent.canceled':
-        await handlePaymentCanceled(event.data.object, pool, logger);
-        break;
-
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
-    }
+    const { status } = await processStripeEvent(pool, event, logger);
 
     // Return a 200 response to acknowledge receipt of the event
-    res.json({ received: true });
+    res.json({ received: true, duplicate: status === 'duplicate' });
   }));
 
   /**
@@ -189,142 +215,3 @@ module.exports = (pool, logger) => {
 
   return router;
 };
-
-/**
- * Handle successful payment
- */
-async function handlePaymentSuccess(paymentIntent, pool, logger) {
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    const {
-      id: paymentIntentId,
-      amount,
-      currency,
-      payment_method,
-      metadata
-    } = paymentIntent;
-
-    const participant_fee_id = metadata.participant_fee_id;
-    const participant_id = metadata.participant_id;
-    const organization_id = metadata.organization_id;
-
-    if (!participant_fee_id) {
-      throw new Error('Missing participant_fee_id in PaymentIntent metadata');
-    }
-
-    // Check if payment already recorded
-    const existingPayment = await client.query(
-      'SELECT id FROM payments WHERE stripe_payment_intent_id = $1',
-      [paymentIntentId]
-    );
-
-    if (existingPayment.rows.length > 0) {
-      logger.info(`Payment already recorded for PaymentIntent: ${paymentIntentId}`);
-      await client.query('COMMIT');
-      return;
-    }
-
-    // Create payment record
-    const paymentAmount = amount / 100; // Convert from cents to dollars
-
-    const insertResult = await client.query(
-      `INSERT INTO payments (
-        participant_fee_id,
-        amount,
-        payment_date,
-        method,
-        reference_number,
-        payment_processor,
-        stripe_payment_intent_id,
-        stripe_payment_method_id,
-        stripe_payment_status,
-        stripe_metadata
-      ) VALUES ($1, $2, NOW(), $3, $4, $5, $6, $7, $8, $9)
-      RETURNING id`,
-      [
-        participant_fee_id,
-        paymentAmount,
-        'credit_card',
-        paymentIntentId,
-        'stripe',
-        paymentIntentId,
-        payment_method,
-        'succeeded',
-        JSON.stringify(metadata)
-      ]
-    );
-
-    const paymentId = insertResult.rows[0].id;
-
-    // Update participant_fee status
-    const feeResult = await client.query(
-      `SELECT
-        total_amount,
-        COALESCE(SUM(p.amount), 0) as total_paid
-      FROM participant_fees pf
-      LEFT JOIN payments p ON pf.id = p.participant_fee_id
-      WHERE pf.id = $1
-      GROUP BY pf.id, pf.total_amount`,
-      [participant_fee_id]
-    );
-
-    if (feeResult.rows.length > 0) {
-      const fee = feeResult.rows[0];
-      const totalAmount = parseFloat(fee.total_amount);
-      const totalPaid = parseFloat(fee.total_paid);
-
-      let newStatus = 'unpaid';
-      if (totalPaid >= totalAmount) {
-        newStatus = 'paid';
-      } else if (totalPaid > 0) {
-        newStatus = 'partial';
-      }
-
-      await client.query(
-        'UPDATE participant_fees SET status = $1 WHERE id = $2',
-        [newStatus, participant_fee_id]
-      );
-
-      logger.info(`Updated participant_fee ${participant_fee_id} status to: ${newStatus}`);
-    }
-
-    await client.query('COMMIT');
-
-    logger.info(`Payment recorded successfully: payment_id=${paymentId}, amount=$${paymentAmount}, participant_fee_id=${participant_fee_id}`);
-
-  } catch (err) {
-    await client.query('ROLLBACK');
-    logger.error('Error handling payment success:', err);
-    throw err;
-  } finally {
-    client.release();
-  }
-}
-
-/**
- * Handle failed payment
- */
-async function handlePaymentFailure(paymentIntent, pool, logger) {
-  const { id: paymentIntentId, last_payment_error } = paymentIntent;
-
-  logger.warn(`Payment failed for PaymentIntent: ${paymentIntentId}`, {
-    error: last_payment_error?.message,
-    code: last_payment_error?.code,
-  });
-
-  // Could add logic here to notify the user, update status, etc.
-}
-
-/**
- * Handle canceled payment
- */
-async function handlePaymentCanceled(paymentIntent, pool, logger) {
-  const { id: paymentIntentId } = paymentIntent;
-
-  logger.info(`Payment canceled for PaymentIntent: ${paymentIntentId}`);
-
-  // Could add logic here to clean up any pending records
-}
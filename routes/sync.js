@@ -0,0 +1,115 @@
+/**
+ * Sync Routes
+ *
+ * Delta pull for offline clients. Instead of downloading every collection
+ * again, a client keeps the cursor from its last pull and asks for what
+ * changed since, for its organization and scout year.
+ * All endpoints in this module are prefixed with /api/v1/sync
+ *
+ * @module routes/sync
+ */
+
+const express = require('express');
+
+const { authenticate, getOrganizationId, requirePermission, withScoutYear } = require('../middleware/auth');
+const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const {
+  SYNC_ENTITY_TYPES,
+  parseCursor,
+  readableEntityTypes,
+  getStartCursor,
+  listChanges
+} = require('../services/syncChanges');
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/v1/sync/changes:
+   *   get:
+   *     summary: Changes since a cursor
+   *     description: >
+   *       Created and updated rows, and tombstones for deleted ones, grouped by
+   *       entity type. Rows carry `row_version`; send it back with a write
+   *       (`If-Match` or `row_version`) to have it refused with 409 when the row
+   *       changed in between. Without `since`, nothing is returned but a
+   *       starting cursor: download the collections, then pull from it. Keep
+   *       pulling with the returned cursor while `has_more` is true.
+   *     tags: [Sync]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: since
+   *         schema:
+   *           type: string
+   *         description: Cursor from the previous response
+   *       - in: query
+   *         name: entity_types
+   *         schema:
+   *           type: string
+   *         description: Comma-separated subset of participants, groups, attendance, honors, points, badge_progress, medication_requirements, medication_distributions, carpool_offers, carpool_assignments
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           maximum: 2000
+   *       - in: query
+   *         name: scout_year_id
+   *         schema:
+   *           type: integer
+   *         description: Defaults to the active scout year
+   *     responses:
+   *       200:
+   *         description: "`{ cursor, has_more, reset, changes: { <entity_type>: { created, updated, deleted } } }`"
+   *       400:
+   *         description: Invalid cursor or entity type
+   *       403:
+   *         description: Missing participants.view permission
+   */
+  router.get('/changes',
+    authenticate,
+    requirePermission('participants.view'),
+    withScoutYear(pool),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+
+      const requested = req.query.entity_types
+        ? String(req.query.entity_types).split(',').map((type) => type.trim()).filter(Boolean)
+        : null;
+      if (requested && requested.some((type) => !SYNC_ENTITY_TYPES.includes(type))) {
+        return errorResponse(res, 'invalid_entity_type', 400);
+      }
+
+      const entityTypes = readableEntityTypes(req.userPermissions, requested);
+
+      if (req.query.since === undefined || req.query.since === '') {
+        return success(res, {
+          cursor: await getStartCursor(pool),
+          has_more: false,
+          reset: true,
+          changes: {}
+        });
+      }
+
+      const since = parseCursor(req.query.since);
+      if (!since) {
+        return errorResponse(res, 'invalid_sync_cursor', 400);
+      }
+
+      const result = await listChanges(pool, {
+        organizationId,
+        scoutYear: req.scoutYear,
+        rosterStatuses: req.rosterStatuses,
+        since,
+        entityTypes,
+        limit: req.query.limit
+      });
+
+      return success(res, { ...result, reset: false });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,448 @@
+/**
+ * Two-Factor Enrollment Routes
+ *
+ * Lets a signed-in user enroll an authenticator app or passkeys, manage
+ * recovery codes and choose the factor offered first at login. Removing a
+ * factor, replacing recovery codes and changing the preferred factor also
+ * need the current password.
+ * All endpoints in this module are prefixed with /api/v1/users/me/two-factor
+ *
+ * @module routes/twoFactor
+ */
+
+const express = require('express');
+const qrcode = require('qrcode');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+
+const { authenticate, blockDemoRoles } = require('../middleware/auth');
+const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const { validateUuidParam, checkValidation } = require('../middleware/validation');
+const { RATE_LIMITS } = require('../config/constants');
+const {
+  getTwoFactorStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  regenerateRecoveryCodes,
+  setPreferredMethod,
+  resolvePasskeyRelyingParty,
+  createPasskeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  removePasskey
+} = require('../services/twoFactorMethods');
+
+// Rate limiter for password-confirmed changes - prevent guessing the password
+const isProduction = process.env.NODE_ENV === 'production';
+const passwordConfirmLimiter = rateLimit({
+  windowMs: RATE_LIMITS.PROFILE_UPDATE_WINDOW_MS,
+  max: isProduction ? RATE_LIMITS.PROFILE_UPDATE_MAX_PROD : RATE_LIMITS.PROFILE_UPDATE_MAX_DEV,
+  message: { success: false, message: 'Too many attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/** HTTP status for each enrollment refusal. */
+const BLOCKED_STATUS = {
+  totp_already_enabled: 409,
+  totp_not_started: 409,
+  totp_not_enabled: 404,
+  invalid_totp_code: 400,
+  no_strong_factor: 409,
+  invalid_2fa_method: 400,
+  method_not_enrolled: 409,
+  passkey_challenge_expired: 409,
+  invalid_passkey_response: 400,
+  passkey_already_registered: 409,
+  passkey_not_found: 404
+};
+
+module.exports = (pool, logger) => {
+  const router = express.Router();
+
+  /**
+   * Run a service call in a transaction and answer its refusal, if any.
+   *
+   * @param {import('express').Response} res - Express response
+   * @param {Function} work - Receives the client, returns the service outcome
+   * @returns {Promise<Object|null>} Outcome, or null once a refusal was sent
+   */
+  async function inTransaction(res, work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await work(client);
+      await client.query(outcome.blocked ? 'ROLLBACK' : 'COMMIT');
+      if (outcome.blocked) {
+        errorResponse(res, outcome.blocked, BLOCKED_STATUS[outcome.blocked] || 400);
+        return null;
+      }
+      return outcome;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Ask for the account password again before a second factor is removed or
+   * replaced, so a bearer token alone cannot weaken the account.
+   */
+  const confirmPassword = asyncHandler(async (req, res, next) => {
+    const currentPassword = req.body?.currentPassword;
+    if (typeof currentPassword !== 'string' || currentPassword === '') {
+      return errorResponse(res, 'current_password_required', 400);
+    }
+
+    const result = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const passwordHash = result.rows[0]?.password;
+    if (!passwordHash || !(await bcrypt.compare(currentPassword, passwordHash))) {
+      logger.warn('Second factor change refused: wrong current password', { userId: req.user.id });
+      return errorResponse(res, 'current_password_incorrect', 403);
+    }
+    return next();
+  });
+
+  async function loadAccount(userId, organizationId) {
+    const result = await pool.query(
+      `SELECT u.email, u.full_name, o.name AS organization_name
+         FROM users u
+         JOIN organizations o ON o.id = $2
+        WHERE u.id = $1`,
+      [userId, organizationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor:
+   *   get:
+   *     summary: Second factors enrolled by the current user
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Preferred method, authenticator state, passkeys and recovery codes left
+   */
+  router.get('/', authenticate, asyncHandler(async (req, res) => {
+    return success(res, await getTwoFactorStatus(pool, req.user.id));
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/totp:
+   *   post:
+   *     summary: Start authenticator app enrollment
+   *     description: Returns a new secret and its QR code. It only counts once confirmed with a code.
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Secret, otpauth URI and QR code (data URL)
+   *       409:
+   *         description: An authenticator is already enabled
+   */
+  router.post('/totp', authenticate, blockDemoRoles, asyncHandler(async (req, res) => {
+    const account = await loadAccount(req.user.id, req.user.organizationId);
+    if (!account) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const outcome = await beginTotpEnrollment(pool, {
+      userId: req.user.id,
+      accountName: account.email,
+      issuer: account.organization_name || 'Wampums'
+    });
+    if (outcome.blocked) {
+      return errorResponse(res, outcome.blocked, BLOCKED_STATUS[outcome.blocked]);
+    }
+
+    return success(res, {
+      secret: outcome.secret,
+      otpauth_url: outcome.otpauthUrl,
+      qr_code: await qrcode.toDataURL(outcome.otpauthUrl)
+    });
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/totp/confirm:
+   *   post:
+   *     summary: Confirm authenticator app enrollment
+   *     description: The first authenticator or passkey also returns recovery codes, shown only once.
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Authenticator enabled
+   *       400:
+   *         description: Wrong code
+   */
+  router.post('/totp/confirm', authenticate, blockDemoRoles, asyncHandler(async (req, res) => {
+    const outcome = await inTransaction(res, (client) => confirmTotpEnrollment(client, {
+      userId: req.user.id,
+      code: req.body?.code
+    }));
+    if (!outcome) return;
+
+    logger.info('Authenticator app enrolled', { userId: req.user.id });
+    return success(res, { recovery_codes: outcome.recoveryCodes }, 'totp_enabled');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/totp:
+   *   delete:
+   *     summary: Remove the authenticator app
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Authenticator removed
+   *       400:
+   *         description: Current password missing
+   *       403:
+   *         description: Current password is incorrect
+   *       404:
+   *         description: No authenticator enrolled
+   */
+  router.delete('/totp', authenticate, blockDemoRoles, passwordConfirmLimiter, confirmPassword, asyncHandler(async (req, res) => {
+    const outcome = await inTransaction(res, (client) => disableTotp(client, req.user.id));
+    if (!outcome) return;
+
+    logger.info('Authenticator app removed', { userId: req.user.id });
+    return success(res, null, 'totp_disabled');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/recovery-codes:
+   *   post:
+   *     summary: Replace recovery codes
+   *     description: The previous codes stop working.
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New recovery codes, shown only once
+   *       400:
+   *         description: Current password missing
+   *       403:
+   *         description: Current password is incorrect
+   *       409:
+   *         description: No authenticator or passkey enrolled
+   */
+  router.post('/recovery-codes', authenticate, blockDemoRoles, passwordConfirmLimiter, confirmPassword, asyncHandler(async (req, res) => {
+    const outcome = await inTransaction(res, (client) => regenerateRecoveryCodes(client, req.user.id));
+    if (!outcome) return;
+
+    return success(res, { recovery_codes: outcome.recoveryCodes }, 'recovery_codes_regenerated');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/passkeys/options:
+   *   post:
+   *     summary: Start passkey registration
+   *     description: Passkeys are bound to the domain the request comes from.
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Options for navigator.credentials.create()
+   *       400:
+   *         description: Passkeys cannot be registered from this origin
+   */
+  router.post('/passkeys/options', authenticate, blockDemoRoles, asyncHandler(async (req, res) => {
+    const relyingParty = await resolvePasskeyRelyingParty(pool, req.user.organizationId, req.headers.origin);
+    if (!relyingParty) {
+      return errorResponse(res, 'passkey_origin_not_allowed', 400);
+    }
+    const account = await loadAccount(req.user.id, req.user.organizationId);
+    if (!account) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const options = await createPasskeyRegistrationOptions(pool, {
+      userId: req.user.id,
+      userName: account.email,
+      displayName: account.full_name,
+      rpName: account.organization_name || 'Wampums',
+      relyingParty
+    });
+    return success(res, options);
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/passkeys:
+   *   post:
+   *     summary: Finish passkey registration
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - response
+   *             properties:
+   *               response:
+   *                 type: object
+   *                 description: Result of navigator.credentials.create()
+   *     responses:
+   *       201:
+   *         description: Passkey registered (recovery codes when it is the first strong factor)
+   *       400:
+   *         description: Response did not verify
+   */
+  router.post('/passkeys', authenticate, blockDemoRoles, asyncHandler(async (req, res) => {
+    if (!req.body?.response) {
+      return errorResponse(res, 'invalid_passkey_response', 400);
+    }
+    const outcome = await inTransaction(res, (client) => verifyPasskeyRegistration(client, {
+      userId: req.user.id,
+      response: req.body.response,
+      userAgent: req.headers['user-agent'] || ''
+    }));
+    if (!outcome) return;
+
+    logger.info('Passkey registered', { userId: req.user.id, passkeyId: outcome.passkey.id });
+    return success(res, { passkey: outcome.passkey, recovery_codes: outcome.recoveryCodes }, 'passkey_registered', 201);
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/passkeys/{id}:
+   *   delete:
+   *     summary: Remove a passkey
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Passkey removed
+   *       400:
+   *         description: The ID is not a UUID, or the current password is missing
+   *       403:
+   *         description: Current password is incorrect
+   *       404:
+   *         description: No passkey with this ID belongs to the caller
+   */
+  router.delete('/passkeys/:id', authenticate, blockDemoRoles, validateUuidParam('id'), checkValidation, passwordConfirmLimiter, confirmPassword, asyncHandler(async (req, res) => {
+    const outcome = await inTransaction(res, (client) => removePasskey(client, {
+      userId: req.user.id,
+      passkeyId: req.params.id
+    }));
+    if (!outcome) return;
+
+    logger.info('Passkey removed', { userId: req.user.id, passkeyId: outcome.id });
+    return success(res, { id: outcome.id }, 'passkey_removed');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/me/two-factor/preferred:
+   *   patch:
+   *     summary: Choose the factor offered first at login
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - method
+   *               - currentPassword
+   *             properties:
+   *               method:
+   *                 type: string
+   *                 enum: [email, totp, passkey]
+   *               currentPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Preference saved
+   *       400:
+   *         description: Current password missing
+   *       403:
+   *         description: Current password is incorrect
+   *       409:
+   *         description: That factor is not enrolled
+   */
+  router.patch('/preferred', authenticate, blockDemoRoles, passwordConfirmLimiter, confirmPassword, asyncHandler(async (req, res) => {
+    const outcome = await setPreferredMethod(pool, req.user.id, req.body?.method);
+    if (outcome.blocked) {
+      return errorResponse(res, outcome.blocked, BLOCKED_STATUS[outcome.blocked]);
+    }
+    return success(res, outcome, 'preferred_2fa_method_saved');
+  }));
+
+  return router;
+};
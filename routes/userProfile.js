@@ -25,6 +25,8 @@ const {
   validateNewPasswordForChange
 } = require('../middleware/validation');
 const { RATE_LIMITS } = require('../config/constants');
+const { revokeUserSessions } = require('../services/authSessions');
+const { disconnectSessions } = require('../services/socket');
 
 // Rate limiter for password change - prevent brute force
 const isProduction = process.env.NODE_ENV === 'production';
@@ -852,6 +854,14 @@ module.exports = (pool, logger) => {
         [newPasswordHash, userId]
       );
 
+      // Keep this session; sign out every other one the old password opened.
+      const revokedSessions = await revokeUserSessions(pool, {
+        userId,
+        exceptSessionId: req.user.sessionId,
+        reason: 'password_changed'
+      });
+      disconnectSessions(revokedSessions);
+
       logger.info(`User ${userId} changed their password`);
 
       return success(res, null, 'Password changed successfully');
@@ -12,6 +12,7 @@ const express = require('express');
 // Import auth middleware
 const { authenticate, requirePermission, blockDemoRoles, getOrganizationId } = require('../middleware/auth');
 const { asyncHandler, success, error } = require('../middleware/response');
+const { recordAudit } = require('../middleware/audit');
 
 // Import utilities
 const { getCurrentOrganizationId, verifyJWT, handleOrganizationResolutionError, verifyOrganizationMembership } = require('../utils/api-helpers');
@@ -370,7 +371,7 @@ module.exports = (pool, logger) => {
 
     // Verify target user belongs to this organization
     const userCheck = await pool.query(
-      `SELECT id FROM user_organizations WHERE user_id = $1 AND organization_id = $2`,
+      `SELECT id, role_ids FROM user_organizations WHERE user_id = $1 AND organization_id = $2`,
       [user_id, organizationId]
     );
 
@@ -399,6 +400,15 @@ module.exports = (pool, logger) => {
     );
 
     logger.info(`User ${user_id} role updated to ${mappedRole} (ID: ${roleId}) by user ${req.user.id}`);
+
+    await recordAudit(pool, req, {
+      organizationId,
+      action: 'update',
+      entityType: 'user_roles',
+      entityId: user_id,
+      before: { role_ids: userCheck.rows[0].role_ids || [] },
+      after: { role_ids: [roleId] }
+    });
     return success(res, null, 'User role updated successfully');
   }));
 
@@ -486,6 +496,9 @@ module.exports = (pool, logger) => {
    *                 items:
    *                   type: integer
    *                 description: Array of role IDs to assign
+   *               audit_note:
+   *                 type: string
+   *                 description: Why the roles changed, kept in the role history
    *     responses:
    *       200:
    *         description: Roles updated successfully
@@ -497,15 +510,121 @@ module.exports = (pool, logger) => {
   router.put('/:userId/roles', authenticate, blockDemoRoles, requirePermission('users.assign_roles'), asyncHandler(async (req, res) => {
     const organizationId = await getOrganizationId(req, pool);
     const userId = req.params.userId; // UUID, not integer
-    const { roleIds } = req.body;
+    const { roleIds, audit_note: auditNote } = req.body;
 
     if (!Array.isArray(roleIds) || roleIds.length === 0) {
       return error(res, 'roleIds must be a non-empty array', 400);
     }
 
+    const outcome = await assignRoles(req, organizationId, userId, roleIds, auditNote);
+    if (outcome.error) {
+      return error(res, outcome.error, outcome.status);
+    }
+    return success(res, null, 'User roles updated successfully');
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/users/{userId}/role-bundles:
+   *   put:
+   *     summary: Assign role bundles to a user
+   *     description: |
+   *       Replaces the user's roles with the roles of the given bundles plus
+   *       any extra role ids. The bundles' roles are copied onto the
+   *       membership, so editing a bundle later does not change this user.
+   *     tags: [Users, Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               bundleIds:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *               roleIds:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *               audit_note:
+   *                 type: string
+   *                 description: Why the roles changed, kept in the role history
+   *     responses:
+   *       200:
+   *         description: Roles updated; returns the resulting role ids
+   *       400:
+   *         description: Unknown bundle or role, no role left, or own roles
+   *       403:
+   *         description: Insufficient permissions
+   */
+  router.put('/:userId/role-bundles', authenticate, blockDemoRoles, requirePermission('users.assign_roles'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const userId = req.params.userId;
+    const { bundleIds = [], roleIds = [], audit_note: auditNote } = req.body;
+
+    if (!Array.isArray(bundleIds) || !Array.isArray(roleIds)
+      || ![...bundleIds, ...roleIds].every((id) => Number.isInteger(Number(id)))) {
+      return error(res, 'bundleIds and roleIds must be arrays of IDs', 400);
+    }
+
+    const requestedBundles = [...new Set(bundleIds.map(Number))];
+    let bundleRoleIds = [];
+    if (requestedBundles.length > 0) {
+      const bundlesResult = await pool.query(
+        `SELECT id, role_ids FROM role_bundles
+          WHERE organization_id = $1 AND id = ANY($2::int[])`,
+        [organizationId, requestedBundles]
+      );
+      if (bundlesResult.rows.length !== requestedBundles.length) {
+        return error(res, 'One or more invalid bundle IDs', 400);
+      }
+      bundleRoleIds = bundlesResult.rows.flatMap((bundle) => bundle.role_ids || []);
+    }
+
+    const finalRoleIds = [...new Set([...bundleRoleIds, ...roleIds].map(Number))];
+    if (finalRoleIds.length === 0) {
+      return error(res, 'Select at least one bundle or role', 400);
+    }
+
+    const outcome = await assignRoles(req, organizationId, userId, finalRoleIds, auditNote);
+    if (outcome.error) {
+      return error(res, outcome.error, outcome.status);
+    }
+    return success(res, { role_ids: finalRoleIds }, 'User roles updated successfully');
+  }));
+
+  /**
+   * Replace a member's roles. Both role endpoints go through here so the
+   * same rules hold whichever screen made the change: nobody edits their own
+   * roles, only holders of users.assign_district hand out the district role,
+   * and the change lands in the audit trail with the caller's note.
+   *
+   * @param {import('express').Request} req - Request making the change
+   * @param {number} organizationId - Organization of the membership
+   * @param {string} userId - Member whose roles change
+   * @param {Array<number>} roleIds - Complete new set of role ids
+   * @param {string} [auditNote] - Reason given by the caller
+   * @returns {Promise<{error?: string, status?: number}>} An error to answer with, or nothing
+   */
+  async function assignRoles(req, organizationId, userId, roleIds, auditNote) {
+    if (auditNote !== undefined && auditNote !== null && (typeof auditNote !== 'string' || auditNote.length > 500)) {
+      return { error: 'audit_note must be text of at most 500 characters', status: 400 };
+    }
+
     // Prevent users from changing their own roles (compare as strings since both are UUIDs)
     if (userId === String(req.user.id)) {
-      return error(res, 'Cannot change your own roles', 400);
+      return { error: 'Cannot change your own roles', status: 400 };
     }
 
     // Verify all role IDs are valid
@@ -515,23 +634,23 @@ module.exports = (pool, logger) => {
     );
 
     if (rolesResult.rows.length !== roleIds.length) {
-      return error(res, 'One or more invalid role IDs', 400);
+      return { error: 'One or more invalid role IDs', status: 400 };
     }
 
     // Check if user is trying to assign district role
     const hasDistrictRole = rolesResult.rows.some(r => r.role_name === 'district');
     if (hasDistrictRole && !req.userPermissions.includes('users.assign_district')) {
-      return error(res, 'You do not have permission to assign the district administrator role', 403);
+      return { error: 'You do not have permission to assign the district administrator role', status: 403 };
     }
 
     // Verify target user belongs to this organization
     const userCheck = await pool.query(
-      `SELECT id FROM user_organizations WHERE user_id = $1 AND organization_id = $2`,
+      `SELECT id, role_ids FROM user_organizations WHERE user_id = $1 AND organization_id = $2`,
       [userId, organizationId]
     );
 
     if (userCheck.rows.length === 0) {
-      return error(res, 'User not found in this organization', 404);
+      return { error: 'User not found in this organization', status: 404 };
     }
 
     // Update user roles
@@ -543,8 +662,18 @@ module.exports = (pool, logger) => {
     );
 
     logger.info(`User ${userId} roles updated to [${roleIds.join(', ')}] by user ${req.user.id}`);
-    return success(res, null, 'User roles updated successfully');
-  }));
+
+    await recordAudit(pool, req, {
+      organizationId,
+      action: 'update',
+      entityType: 'user_roles',
+      entityId: userId,
+      before: { role_ids: userCheck.rows[0].role_ids || [] },
+      after: { role_ids: roleIds.map(Number) },
+      note: auditNote
+    });
+    return {};
+  }
 
   /**
    * @swagger
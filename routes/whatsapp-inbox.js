@@ -0,0 +1,197 @@
+/**
+ * WhatsApp Inbox Routes
+ *
+ * What parents send to the organization's connected WhatsApp number, one
+ * conversation per phone number, and replies to them through the same
+ * connection (see services/whatsapp-inbox). Conversations are addressed by
+ * the phone number in E.164 format, with or without its "+".
+ * All endpoints in this module are prefixed with /api/v1/whatsapp/inbox
+ *
+ * @module routes/whatsapp-inbox
+ */
+
+const express = require('express');
+
+const { authenticate, getOrganizationId, requirePermission, blockDemoRoles } = require('../middleware/auth');
+const { success, error: errorResponse, asyncHandler } = require('../middleware/response');
+const {
+  normalizePhoneNumber,
+  listConversations,
+  getConversation,
+  hasInboundConversation,
+  markConversationRead,
+  recordOutboundMessage
+} = require('../services/whatsapp-inbox');
+
+/** WhatsApp refuses longer text messages. */
+const MAX_REPLY_LENGTH = 4096;
+
+/**
+ * @param {Object} pool - Database connection pool
+ * @param {Object} logger - Winston logger instance
+ * @param {WhatsAppBaileysService|null} whatsappService - Sends the replies
+ * @returns {Router} Express router with the inbox routes
+ */
+module.exports = (pool, logger, whatsappService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/v1/whatsapp/inbox:
+   *   get:
+   *     summary: List WhatsApp conversations
+   *     description: |
+   *       The last message of each conversation, most recent first, with the
+   *       matched member or the sender's WhatsApp name and the unread count.
+   *     tags: [WhatsApp]
+   *     x-permission: communications.send
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Conversations and the total of unread messages
+   */
+  router.get('/', authenticate, requirePermission('communications.send'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const conversations = await listConversations(pool, organizationId);
+    const unreadTotal = conversations.reduce((total, conversation) => total + conversation.unread_count, 0);
+
+    return success(res, { conversations, unread_total: unreadTotal });
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/whatsapp/inbox/{phoneNumber}:
+   *   get:
+   *     summary: Messages of a WhatsApp conversation
+   *     tags: [WhatsApp]
+   *     x-permission: communications.send
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: phoneNumber
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: "15145551234"
+   *     responses:
+   *       200:
+   *         description: Messages, oldest first
+   *       400:
+   *         description: Not a phone number
+   */
+  router.get('/:phoneNumber', authenticate, requirePermission('communications.send'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+    if (!phoneNumber) {
+      return errorResponse(res, 'Invalid phone number', 400);
+    }
+
+    const messages = await getConversation(pool, organizationId, phoneNumber);
+    return success(res, { phone_number: phoneNumber, messages });
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/whatsapp/inbox/{phoneNumber}/read:
+   *   put:
+   *     summary: Mark a WhatsApp conversation as read
+   *     tags: [WhatsApp]
+   *     x-permission: communications.send
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Number of messages marked as read
+   */
+  router.put('/:phoneNumber/read', authenticate, requirePermission('communications.send'), asyncHandler(async (req, res) => {
+    const organizationId = await getOrganizationId(req, pool);
+    const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+    if (!phoneNumber) {
+      return errorResponse(res, 'Invalid phone number', 400);
+    }
+
+    const marked = await markConversationRead(pool, organizationId, phoneNumber);
+    return success(res, { marked });
+  }));
+
+  /**
+   * @swagger
+   * /api/v1/whatsapp/inbox/{phoneNumber}/reply:
+   *   post:
+   *     summary: Reply in a WhatsApp conversation
+   *     description: |
+   *       Sends the message through the organization's WhatsApp connection.
+   *       Only numbers that wrote to the organization can be answered.
+   *     tags: [WhatsApp]
+   *     x-permission: communications.send
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [message]
+   *             properties:
+   *               message:
+   *                 type: string
+   *                 maxLength: 4096
+   *     responses:
+   *       201:
+   *         description: Reply sent and added to the conversation
+   *       400:
+   *         description: Empty or too long message, or not a phone number
+   *       404:
+   *         description: No conversation with this number
+   *       502:
+   *         description: WhatsApp refused the message
+   *       503:
+   *         description: WhatsApp is not available on this server
+   */
+  router.post('/:phoneNumber/reply',
+    authenticate,
+    blockDemoRoles,
+    requirePermission('communications.send'),
+    asyncHandler(async (req, res) => {
+      const organizationId = await getOrganizationId(req, pool);
+      const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+      if (!phoneNumber) {
+        return errorResponse(res, 'Invalid phone number', 400);
+      }
+
+      const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+      if (!message || message.length > MAX_REPLY_LENGTH) {
+        return errorResponse(res, 'Invalid reply', 400, [
+          { field: 'message', msg: `Message is required and must not exceed ${MAX_REPLY_LENGTH} characters` }
+        ]);
+      }
+
+      if (!(await hasInboundConversation(pool, organizationId, phoneNumber))) {
+        return errorResponse(res, 'Conversation not found', 404);
+      }
+
+      if (!whatsappService) {
+        return errorResponse(res, 'WhatsApp is not available', 503);
+      }
+
+      const result = await whatsappService.sendMessage(organizationId, phoneNumber, message);
+      if (!result.success) {
+        logger.warn(`WhatsApp reply to ${phoneNumber} failed for org ${organizationId}: ${result.error}`);
+        return errorResponse(res, result.error || 'Failed to send WhatsApp message', 502);
+      }
+
+      const stored = await recordOutboundMessage(pool, organizationId, {
+        phoneNumber,
+        body: message,
+        sentBy: req.user.id,
+        waMessageId: result.messageId
+      });
+
+      return success(res, stored, 'Reply sent', 201);
+    }));
+
+  return router;
+};
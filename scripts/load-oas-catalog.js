@@ -189,6 +189,7 @@ function validateCatalogShape(catalog, expectedProgram, expectedVersion) {
   if (!catalog.programRules.rules || typeof catalog.programRules.rules !== 'object') {
     throw new Error('program-rules.rules must be an object');
   }
+  validateStageAwardRules(catalog.programRules.rules.stageAwards);
 
   if (catalog.programRules.program !== expectedProgram) {
     throw new Error(
@@ -202,6 +203,37 @@ function validateCatalogShape(catalog, expectedProgram, expectedVersion) {
   }
 }
 
+/**
+ * Validate the optional stage-award rules read by services/oasProgressionRules.js.
+ * @param {object|undefined} stageAwards - rules.stageAwards
+ */
+function validateStageAwardRules(stageAwards) {
+  if (stageAwards === undefined) {
+    return;
+  }
+  if (!stageAwards || typeof stageAwards !== 'object' || Array.isArray(stageAwards)) {
+    throw new Error('program-rules.rules.stageAwards must be an object');
+  }
+  if (stageAwards.requirePreviousStage !== undefined && typeof stageAwards.requirePreviousStage !== 'boolean') {
+    throw new Error('program-rules.rules.stageAwards.requirePreviousStage must be a boolean');
+  }
+  const isMinimum = (value) => value === null || (Number.isInteger(value) && value >= 0);
+  if (stageAwards.minimumCompetencies !== undefined && !isMinimum(stageAwards.minimumCompetencies)) {
+    throw new Error('program-rules.rules.stageAwards.minimumCompetencies must be a non-negative integer or null');
+  }
+  const byStage = stageAwards.minimumByStage;
+  if (byStage !== undefined) {
+    if (!byStage || typeof byStage !== 'object' || Array.isArray(byStage)) {
+      throw new Error('program-rules.rules.stageAwards.minimumByStage must be an object');
+    }
+    for (const [stageNo, minimum] of Object.entries(byStage)) {
+      if (!/^\d+$/.test(stageNo) || !isMinimum(minimum)) {
+        throw new Error(`program-rules.rules.stageAwards.minimumByStage["${stageNo}"] must map a stage number to a non-negative integer`);
+      }
+    }
+  }
+}
+
 function calculateChecksum(files) {
   const hash = crypto.createHash('sha256');
   for (const filePath of files.sort()) {
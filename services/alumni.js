@@ -23,6 +23,7 @@
 
 const { signJWTToken, verifyJWTToken } = require('../utils/jwt-config');
 const { sendEmail, getTranslationsByCode, getUserEmailLanguage } = require('../utils/index');
+const { loadEmailContext, renderTemplate } = require('./email-templates');
 
 /** Roles that make an account "a parent and nothing more". */
 const PARENT_ONLY_ROLES = ['parent', 'guardian', 'demoparent'];
@@ -176,42 +177,18 @@ async function listAlumni(pool, organizationId) {
  * @param {string} params.language - Language code for this recipient
  * @param {string} params.organizationName - Unit name, shown to the reader
  * @param {string} params.consentLink - One-click opt-in URL
+ * @param {Object} [params.context] - Unit branding and wording, from loadEmailContext()
  * @returns {{subject: string, text: string, html: string}} Message parts
  */
-function buildInvitationMessage({ language, organizationName, consentLink }) {
+function buildInvitationMessage({ language, organizationName, consentLink, context }) {
   const t = getTranslationsByCode(language);
   const fallback = getTranslationsByCode('en');
-  const pick = (key, literal) => t[key] || fallback[key] || literal;
-
-  const subject = pick('alumni_invite_subject', 'Would you like to hear from us?')
-    .replace('{organization}', organizationName);
-  const heading = pick('alumni_invite_heading', 'Staying in touch is up to you');
-  const intro = pick(
-    'alumni_invite_intro',
-    'Your child is no longer registered with {organization}, so your access has been closed.'
-  ).replace('{organization}', organizationName);
-  const offer = pick(
-    'alumni_invite_offer',
-    'If you would like to keep hearing from us once in a while — anniversaries, reunions, calls for volunteers — you can say so with a single click. We will not write to you otherwise.'
-  );
-  const button = pick('alumni_invite_button', 'Keep me informed');
-  const copyHint = pick('alumni_invite_copy_hint', 'Or copy this link:');
-  const silence = pick(
-    'alumni_invite_silence',
-    'If you do nothing, you will not hear from us again. That is a perfectly good answer and no reply is needed.'
-  );
+  const button = t.alumni_invite_button || fallback.alumni_invite_button || 'Keep me informed';
 
-  const text = [heading, '', intro, '', offer, '', consentLink, '', silence].join('\n');
-  const html = `
-    <h2>${heading}</h2>
-    <p>${intro}</p>
-    <p>${offer}</p>
-    <p><a href="${consentLink}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${button}</a></p>
-    <p>${copyHint} <a href="${consentLink}">${consentLink}</a></p>
-    <p><em>${silence}</em></p>
-  `;
-
-  return { subject, text, html };
+  return renderTemplate('alumni_invitation', language, { organization: organizationName }, {
+    ...(context ? { context } : {}),
+    action: { label: button, url: consentLink },
+  });
 }
 
 /**
@@ -283,7 +260,8 @@ async function sendAlumniInvitations(pool, logger, { organizationId, membershipI
     : candidates;
 
   const skipped = requested ? requested.size - targets.length : 0;
-  const organizationName = await getOrganizationName(pool, organizationId);
+  const context = await loadEmailContext(pool, organizationId);
+  const { organizationName } = context;
 
   const outcomes = await Promise.all(
     targets.map(async (candidate) => {
@@ -293,6 +271,7 @@ async function sendAlumniInvitations(pool, logger, { organizationId, membershipI
         language,
         organizationName,
         consentLink,
+        context,
       });
 
       const sent = await sendEmail(candidate.email, subject, text, html, organizationName);
@@ -0,0 +1,411 @@
+/**
+ * Auth Sessions Service
+ *
+ * Short-lived access tokens backed by server-side sessions (user_sessions).
+ *
+ * Signing in opens a session and returns two tokens: a JWT access token that
+ * names the session in its `sid` claim and expires within minutes, and an
+ * opaque refresh token the client trades for a new pair when the access token
+ * runs out. Refresh tokens rotate on every use and are stored only as hashes.
+ *
+ * Revoking a session (logout, the sessions page, a password reset, or
+ * withdrawing trust from a device) takes effect on the next request:
+ * middleware/auth.js and the Socket.IO handshake both refuse a `sid` whose
+ * session is no longer live, and the refresh token can no longer be traded.
+ *
+ * Access claims (roles and permissions) are re-read from the database on
+ * every refresh, so a role change reaches the client within one token
+ * lifetime instead of at the next sign-in.
+ *
+ * @module services/authSessions
+ */
+
+const crypto = require('crypto');
+const { ROLE_PRIORITY } = require('../config/role-constants');
+const { signJWTToken } = require('../utils/jwt-config');
+const { parseDeviceName } = require('../utils/twoFactor');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * How long the refresh token just rotated out is still answered without
+ * alarm. Two tabs refreshing at the same moment both present it; the slower
+ * one is told to pick up the new token rather than having the session killed.
+ */
+const ROTATION_GRACE_SECONDS = 30;
+
+/**
+ * Hash a refresh token for storage and lookup.
+ *
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * @returns {string} New random refresh token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Roles and permissions of an active membership, as carried in access tokens.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {string} userId - User ID
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<{roleIds: Array<number>, roleNames: Array<string>, permissions: Array<string>, primaryRole: string}>}
+ */
+async function loadAccessClaims(client, userId, organizationId) {
+  const rolesResult = await client.query(
+    `SELECT DISTINCT r.id as role_id, r.role_name
+     FROM user_organizations uo
+     CROSS JOIN LATERAL jsonb_array_elements_text(uo.role_ids) AS role_id_text
+     JOIN roles r ON r.id = role_id_text::integer
+     WHERE uo.user_id = $1 AND uo.organization_id = $2
+       AND uo.status = 'active'`,
+    [userId, organizationId]
+  );
+
+  const permissionsResult = await client.query(
+    `SELECT DISTINCT p.permission_key
+     FROM user_organizations uo
+     CROSS JOIN LATERAL jsonb_array_elements_text(uo.role_ids) AS role_id_text
+     JOIN role_permissions rp ON rp.role_id = role_id_text::integer
+     JOIN permissions p ON p.id = rp.permission_id
+     WHERE uo.user_id = $1 AND uo.organization_id = $2
+       AND uo.status = 'active'`,
+    [userId, organizationId]
+  );
+
+  const roleIds = rolesResult.rows.map((row) => row.role_id);
+  const roleNames = rolesResult.rows.map((row) => row.role_name);
+  const permissions = permissionsResult.rows.map((row) => row.permission_key);
+  const primaryRole = ROLE_PRIORITY.find((role) => roleNames.includes(role)) || roleNames[0] || 'parent';
+
+  return { roleIds, roleNames, permissions, primaryRole };
+}
+
+/**
+ * Sign an access token for a session.
+ *
+ * @param {Object} options - Token contents
+ * @param {string} options.userId - User ID
+ * @param {number} options.organizationId - Organization ID
+ * @param {string|null} options.sessionId - user_sessions ID
+ * @param {Object} options.claims - Result of loadAccessClaims
+ * @returns {string} Signed JWT
+ */
+function signAccessToken({ userId, organizationId, sessionId, claims }) {
+  return signJWTToken(
+    {
+      user_id: userId,
+      user_role: claims.primaryRole, // Legacy: primary role for backward compatibility
+      roleIds: claims.roleIds,
+      roleNames: claims.roleNames,
+      permissions: claims.permissions,
+      organizationId,
+      sid: sessionId
+    },
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Open a session at sign-in.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Sign-in context
+ * @param {string} options.userId - User ID
+ * @param {number} options.organizationId - Organization ID
+ * @param {string} [options.userAgent] - Browser user agent
+ * @param {string} [options.ipAddress] - Client address
+ * @param {string|null} [options.deviceToken] - 2FA trusted-device token, if any
+ * @returns {Promise<{sessionId: string, refreshToken: string}>}
+ */
+async function startSession(pool, { userId, organizationId, userAgent = '', ipAddress = null, deviceToken = null }) {
+  const refreshToken = generateRefreshToken();
+  const result = await pool.query(
+    `INSERT INTO user_sessions
+       (user_id, organization_id, refresh_token_hash, trusted_device_id,
+        device_name, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3,
+             (SELECT id FROM trusted_devices
+               WHERE user_id = $1 AND organization_id = $2 AND device_token = $4 AND is_active = true
+               LIMIT 1),
+             $5, $6, $7, NOW() + make_interval(days => $8))
+     RETURNING id`,
+    [
+      userId,
+      organizationId,
+      hashRefreshToken(refreshToken),
+      deviceToken || null,
+      parseDeviceName(userAgent),
+      ipAddress ? String(ipAddress).slice(0, 64) : null,
+      userAgent || null,
+      REFRESH_TOKEN_TTL_DAYS
+    ]
+  );
+  return { sessionId: result.rows[0].id, refreshToken };
+}
+
+/**
+ * Trade a refresh token for a new one.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Refresh request
+ * @param {string} options.refreshToken - Token presented by the client
+ * @param {string} [options.ipAddress] - Client address
+ * @returns {Promise<Object>} `{ session, refreshToken }`, or `{ blocked }`
+ */
+async function rotateRefreshToken(client, { refreshToken, ipAddress = null }) {
+  if (!refreshToken) {
+    return { blocked: 'invalid_refresh_token' };
+  }
+
+  const tokenHash = hashRefreshToken(refreshToken);
+  const existing = await client.query(
+    `SELECT s.*,
+            s.rotated_at > NOW() - make_interval(secs => $2) AS within_grace
+       FROM user_sessions s
+      WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+      FOR UPDATE`,
+    [tokenHash, ROTATION_GRACE_SECONDS]
+  );
+  const session = existing.rows[0];
+  if (!session) {
+    return { blocked: 'invalid_refresh_token' };
+  }
+  if (session.revoked_at) {
+    return { blocked: 'session_revoked' };
+  }
+  if (new Date(session.expires_at) <= new Date()) {
+    return { blocked: 'session_expired' };
+  }
+
+  if (session.refresh_token_hash !== tokenHash) {
+    if (session.within_grace) {
+      return { blocked: 'refresh_token_superseded' };
+    }
+    await revokeSession(client, { sessionId: session.id, reason: 'refresh_token_reuse' });
+    return { blocked: 'session_revoked' };
+  }
+
+  const membership = await client.query(
+    `SELECT 1 FROM user_organizations
+      WHERE user_id = $1 AND organization_id = $2 AND status = 'active'`,
+    [session.user_id, session.organization_id]
+  );
+  if (membership.rows.length === 0) {
+    await revokeSession(client, { sessionId: session.id, reason: 'membership_inactive' });
+    return { blocked: 'membership_inactive' };
+  }
+
+  const nextToken = generateRefreshToken();
+  const updated = await client.query(
+    `UPDATE user_sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = $2,
+            rotated_at = NOW(),
+            last_used_at = NOW(),
+            ip_address = COALESCE($3, ip_address)
+      WHERE id = $1
+      RETURNING *`,
+    [session.id, hashRefreshToken(nextToken), ipAddress ? String(ipAddress).slice(0, 64) : null]
+  );
+
+  return { session: updated.rows[0], refreshToken: nextToken };
+}
+
+/**
+ * Whether the session behind an access token is still live.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} sessionId - user_sessions ID
+ * @returns {Promise<boolean>} True when neither revoked nor expired
+ */
+async function isSessionActive(pool, sessionId) {
+  const result = await pool.query(
+    `SELECT 1 FROM user_sessions
+      WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke one session.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {Object} options - Target
+ * @param {string} options.sessionId - user_sessions ID
+ * @param {string|null} [options.userId] - Only revoke when the session belongs to this user
+ * @param {string} options.reason - Short machine-readable reason
+ * @returns {Promise<Object|null>} Revoked session `{ id }`, or null when none was live
+ */
+async function revokeSession(client, { sessionId, userId = null, reason }) {
+  const params = [sessionId, reason];
+  let ownerFilter = '';
+  if (userId) {
+    params.push(userId);
+    ownerFilter = 'AND user_id = $3';
+  }
+  const result = await client.query(
+    `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL ${ownerFilter}
+      RETURNING id`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout without a valid
+ * access token).
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} refreshToken - Refresh token
+ * @param {string} reason - Short machine-readable reason
+ * @returns {Promise<Object|null>} Revoked session `{ id }`, or null
+ */
+async function revokeSessionByRefreshToken(pool, refreshToken, reason) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+      WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+      RETURNING id`,
+    [hashRefreshToken(refreshToken), reason]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke every live session of a user, optionally sparing one.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Target
+ * @param {string} options.userId - User ID
+ * @param {string|null} [options.exceptSessionId] - Session to keep (the caller's own)
+ * @param {string} options.reason - Short machine-readable reason
+ * @returns {Promise<Array<string>>} IDs of the sessions revoked
+ */
+async function revokeUserSessions(pool, { userId, exceptSessionId = null, reason }) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND ($3::uuid IS NULL OR id <> $3::uuid)
+      RETURNING id`,
+    [userId, reason, exceptSessionId]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Live sessions of a user, newest activity first.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Sessions with organization name (no token hashes)
+ */
+async function listSessions(pool, userId) {
+  const result = await pool.query(
+    `SELECT s.id, s.organization_id, o.name AS organization_name, s.device_name,
+            s.ip_address, s.created_at, s.last_used_at, s.expires_at, s.trusted_device_id
+       FROM user_sessions s
+       LEFT JOIN organizations o ON o.id = s.organization_id
+      WHERE s.user_id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+      ORDER BY s.last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Devices that skip the 2FA code for this user.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Trusted devices (no device tokens)
+ */
+async function listTrustedDevices(pool, userId) {
+  const result = await pool.query(
+    `SELECT d.id, d.organization_id, o.name AS organization_name, d.device_name,
+            d.created_at, d.last_used_at, d.expires_at
+       FROM trusted_devices d
+       LEFT JOIN organizations o ON o.id = d.organization_id
+      WHERE d.user_id = $1 AND d.is_active = true AND d.expires_at > NOW()
+      ORDER BY d.last_used_at DESC NULLS LAST`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Withdraw trust from a device and sign it out.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Target
+ * @param {string} options.userId - Owner
+ * @param {string} options.deviceId - trusted_devices ID
+ * @returns {Promise<Object>} `{ id, revokedSessions }` (session IDs), or `{ blocked }`
+ */
+async function revokeTrustedDevice(client, { userId, deviceId }) {
+  const device = await client.query(
+    `UPDATE trusted_devices
+        SET is_active = false
+      WHERE id = $1 AND user_id = $2 AND is_active = true
+      RETURNING id`,
+    [deviceId, userId]
+  );
+  if (device.rows.length === 0) {
+    return { blocked: 'device_not_found' };
+  }
+
+  const sessions = await client.query(
+    `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = 'device_revoked'
+      WHERE trusted_device_id = $1 AND revoked_at IS NULL
+      RETURNING id`,
+    [deviceId]
+  );
+  return { id: device.rows[0].id, revokedSessions: sessions.rows.map((row) => row.id) };
+}
+
+/**
+ * Point a session at another organization after a switch.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} sessionId - user_sessions ID
+ * @param {number} organizationId - Organization switched to
+ * @returns {Promise<void>}
+ */
+async function moveSessionToOrganization(pool, sessionId, organizationId) {
+  await pool.query(
+    'UPDATE user_sessions SET organization_id = $2, last_used_at = NOW() WHERE id = $1',
+    [sessionId, organizationId]
+  );
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  hashRefreshToken,
+  loadAccessClaims,
+  signAccessToken,
+  startSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  listSessions,
+  listTrustedDevices,
+  revokeTrustedDevice,
+  moveSessionToOrganization
+};
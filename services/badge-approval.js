@@ -0,0 +1,80 @@
+/**
+ * Badge Approval Service
+ *
+ * Approving a badge marks the progress row approved and awards the
+ * organization's badge points to the participant's group, in one transaction.
+ * Shared by the approve route and the Google Chat bot's Approve button.
+ *
+ * @module services/badge-approval
+ */
+
+const { getPointSystemRules } = require('../utils/api-helpers');
+
+/**
+ * Approve a badge and award its points.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization owning the badge
+ * @param {number|string} badgeId - badge_progress id
+ * @param {Object} [options]
+ * @param {boolean} [options.pendingOnly=false] - Leave badges that are no
+ *   longer pending alone (a button tapped twice must not award points twice)
+ * @returns {Promise<{badge: Object, points: number}|null>} Null when there is
+ *   no such badge (or it is not pending, with pendingOnly)
+ */
+async function approveBadge(pool, organizationId, badgeId, { pendingOnly = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const badgeResult = await client.query(
+      `SELECT * FROM badge_progress
+       WHERE id = $1 AND organization_id = $2 ${pendingOnly ? "AND status = 'pending'" : ''}
+       FOR UPDATE`,
+      [badgeId, organizationId]
+    );
+
+    if (badgeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const badge = badgeResult.rows[0];
+
+    await client.query(
+      `UPDATE badge_progress
+         SET status = 'approved', approval_date = NOW()
+         WHERE id = $1`,
+      [badge.id]
+    );
+
+    const pointRules = await getPointSystemRules(client, organizationId);
+    const points = pointRules.badges?.earn || 5;
+
+    // Points go to the participant's group as well, for the group standings
+    const groupResult = await client.query(
+      `SELECT group_id FROM participant_groups
+         WHERE participant_id = $1 AND organization_id = $2`,
+      [badge.participant_id, organizationId]
+    );
+    const groupId = groupResult.rows.length > 0 ? groupResult.rows[0].group_id : null;
+
+    await client.query(
+      `INSERT INTO points (participant_id, group_id, organization_id, value, created_at)
+         VALUES ($1, $2, $3, $4, NOW())`,
+      [badge.participant_id, groupId, organizationId, points]
+    );
+
+    await client.query('COMMIT');
+    return { badge, points };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  approveBadge
+};
@@ -0,0 +1,284 @@
+/**
+ * Carpool Reminder Service
+ *
+ * Runs as a recurring job (services/job-queue) that reminds drivers and
+ * families of their carpools the evening before an activity, by email and,
+ * where they can receive them, push and WhatsApp:
+ *
+ * - each driver gets their passenger list per leg and the meeting details,
+ *   and is asked to confirm they are still driving;
+ * - each guardian gets, per child, the driver and vehicle they ride with.
+ *
+ * Reminders go out from REMINDER_HOUR (server time) the day before the
+ * activity starts. Each one is claimed in `carpool_reminders` before it is
+ * sent, so a restart or a second server never sends it twice.
+ */
+
+'use strict';
+
+const { getTranslationsByCode, getUserEmailLanguage, sanitizeInput } = require('../utils/index');
+const { resolveOrganizationBaseUrl } = require('../utils/public-url');
+const {
+  formatEmailDate,
+  buildCarpoolMessage,
+  directionLabel,
+  meetingLines,
+  deliverNotifications
+} = require('../utils/carpool-notifications');
+const { loadEmailContext } = require('./email-templates');
+const { LEGS } = require('./carpoolMatching');
+
+const RUN_EVERY_SECONDS = 60 * 60;    // check every hour
+const REMINDER_HOUR = 18;             // evening reminders start at 18:00
+
+/**
+ * Local calendar date of the day after `now`, as YYYY-MM-DD.
+ *
+ * @param {Date} now
+ * @returns {string}
+ */
+function tomorrowOf(now) {
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}`;
+}
+
+/**
+ * Legs a ride covers.
+ *
+ * @param {string} direction - both, to_activity or from_activity
+ * @returns {string[]}
+ */
+function legsOf(direction) {
+  return direction === 'both' ? LEGS : [direction];
+}
+
+class CarpoolReminderService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('winston').Logger} logger
+   */
+  constructor(pool, logger) {
+    this.pool = pool;
+    this.logger = logger;
+  }
+
+  /**
+   * Send the reminders for tomorrow's activities, once the evening has come.
+   *
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    if (now.getHours() < REMINDER_HOUR) return 0;
+
+    const activityResult = await this.pool.query(
+      `SELECT a.* FROM activities a
+       WHERE a.is_active = TRUE AND a.activity_start_date = $1::date
+         AND EXISTS (
+           SELECT 1 FROM carpool_offers co
+           WHERE co.activity_id = a.id AND co.is_active = TRUE
+         )
+       ORDER BY a.organization_id, a.id`,
+      [tomorrowOf(now)]
+    );
+
+    let sent = 0;
+    for (const activity of activityResult.rows) {
+      try {
+        sent += await this._sendForActivity(activity);
+      } catch (err) {
+        this.logger.error(`[CarpoolReminders] Failed for activity ${activity.id}:`, err);
+      }
+    }
+    return sent;
+  }
+
+  async _sendForActivity(activity) {
+    const organizationId = activity.organization_id;
+
+    const [offerResult, assignmentResult] = await Promise.all([
+      this.pool.query(
+        `SELECT co.id, co.user_id, co.trip_direction, co.vehicle_make, co.vehicle_color,
+                u.full_name, u.email, u.whatsapp_phone_number
+         FROM carpool_offers co
+         JOIN users u ON u.id = co.user_id
+         WHERE co.activity_id = $1 AND co.organization_id = $2 AND co.is_active = TRUE
+         ORDER BY co.id`,
+        [activity.id, organizationId]
+      ),
+      this.pool.query(
+        `SELECT ca.carpool_offer_id, ca.participant_id, ca.trip_direction,
+                p.first_name || ' ' || p.last_name AS participant_name
+         FROM carpool_assignments ca
+         JOIN carpool_offers co ON co.id = ca.carpool_offer_id
+         JOIN participants p ON p.id = ca.participant_id
+         WHERE co.activity_id = $1 AND co.organization_id = $2 AND co.is_active = TRUE
+         ORDER BY p.first_name, p.last_name`,
+        [activity.id, organizationId]
+      )
+    ]);
+
+    const offers = offerResult.rows;
+    const assignments = assignmentResult.rows;
+    const participantIds = [...new Set(assignments.map((row) => row.participant_id))];
+    const guardianResult = participantIds.length === 0
+      ? { rows: [] }
+      : await this.pool.query(
+        `SELECT up.participant_id, u.id, u.email, u.full_name, u.whatsapp_phone_number
+         FROM user_participants up
+         JOIN users u ON u.id = up.user_id
+         JOIN user_organizations uo
+           ON uo.user_id = u.id AND uo.organization_id = $2 AND uo.status = 'active'
+         WHERE up.participant_id = ANY($1::int[])`,
+        [participantIds, organizationId]
+      );
+
+    const emailContext = await loadEmailContext(this.pool, organizationId);
+    const baseUrl = await resolveOrganizationBaseUrl(this.pool, organizationId);
+    const context = { activity, organizationName: emailContext.organizationName, baseUrl, emailContext };
+    let sent = 0;
+
+    // A driver with several offers for the activity gets a single reminder
+    const drivers = new Map();
+    for (const offer of offers) {
+      if (!drivers.has(offer.user_id)) {
+        drivers.set(offer.user_id, { user: offer, offers: [] });
+      }
+      drivers.get(offer.user_id).offers.push(offer);
+    }
+    for (const { user, offers: driverOffers } of drivers.values()) {
+      const rides = driverOffers.map((offer) => ({
+        offer,
+        passengers: assignments.filter((row) => row.carpool_offer_id === offer.id)
+      }));
+      if (await this._remind(context, user.user_id, user, 'driver', (language) => this._driverMessage(context, user, rides, language))) {
+        await this.pool.query(
+          `UPDATE carpool_offers SET confirmation_requested_at = CURRENT_TIMESTAMP
+           WHERE activity_id = $1 AND user_id = $2 AND is_active = TRUE`,
+          [activity.id, user.user_id]
+        );
+        sent += 1;
+      }
+    }
+
+    const families = new Map();
+    for (const guardian of guardianResult.rows) {
+      if (!families.has(guardian.id)) {
+        families.set(guardian.id, { user: guardian, rides: [] });
+      }
+      for (const row of assignments.filter((assignment) => assignment.participant_id === guardian.participant_id)) {
+        families.get(guardian.id).rides.push({ ...row, offer: offers.find((offer) => offer.id === row.carpool_offer_id) });
+      }
+    }
+    for (const { user, rides } of families.values()) {
+      if (await this._remind(context, user.id, user, 'family', (language) => this._familyMessage(context, user, rides, language))) {
+        sent += 1;
+      }
+    }
+
+    if (sent > 0) {
+      this.logger.info(`[CarpoolReminders] ${sent} reminder(s) sent for activity ${activity.id}`);
+    }
+    return sent;
+  }
+
+  /**
+   * Claim one reminder, send it, and record how it went out.
+   *
+   * @returns {Promise<boolean>} Whether this server sent it
+   */
+  async _remind({ activity, organizationName }, userId, user, role, buildMessage) {
+    const claim = await this.pool.query(
+      `INSERT INTO carpool_reminders (organization_id, activity_id, user_id, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (activity_id, user_id, role) DO NOTHING
+       RETURNING id`,
+      [activity.organization_id, activity.id, userId, role]
+    );
+    if (claim.rows.length === 0) return false;
+
+    const language = await getUserEmailLanguage(this.pool, user.email || '', activity.organization_id);
+    const outcomes = await deliverNotifications(this.pool, activity.organization_id, [{
+      user_id: userId,
+      email: user.email,
+      whatsapp_phone_number: user.whatsapp_phone_number,
+      message: buildMessage(language)
+    }], {
+      organizationName,
+      tag: `carpool-reminder-${activity.id}`,
+      url: `/carpool/${activity.id}`
+    });
+
+    const outcome = outcomes.get(userId) || { email: false, pushes: 0, whatsapp: false };
+    await this.pool.query(
+      'UPDATE carpool_reminders SET email_sent = $1, push_count = $2, whatsapp_sent = $3 WHERE id = $4',
+      [outcome.email, outcome.pushes, outcome.whatsapp, claim.rows[0].id]
+    );
+    return true;
+  }
+
+  _vars({ activity, organizationName }, user, language) {
+    return {
+      name: sanitizeInput(user.full_name) || getTranslationsByCode(language).activity_update_email_generic_name || '',
+      activity: activity.name,
+      date: formatEmailDate(activity.activity_start_date, language),
+      organization: organizationName
+    };
+  }
+
+  _driverMessage(context, user, rides, language) {
+    const t = getTranslationsByCode(language);
+    const fallback = getTranslationsByCode('en');
+    const pick = (key, literal) => t[key] || fallback[key] || literal;
+    const legs = [...new Set(rides.flatMap(({ offer }) => legsOf(offer.trip_direction)))];
+
+    const lines = [];
+    for (const leg of LEGS.filter((value) => legs.includes(value))) {
+      const passengers = rides.flatMap(({ passengers: rows }) => rows
+        .filter((row) => row.trip_direction === 'both' || row.trip_direction === leg));
+      lines.push(
+        `${directionLabel(leg, language)}:`,
+        ...(passengers.length
+          ? passengers.map((row) => `- ${row.participant_name}`)
+          : [`- ${pick('carpool_reminder_no_passengers', 'No passengers yet')}`]),
+        ''
+      );
+    }
+    lines.push(...meetingLines(context.activity, language, legs));
+
+    return buildCarpoolMessage('reminder_driver', language, this._vars(context, user, language), {
+      lines,
+      action: {
+        label: pick('carpool_confirm_driving', "I'm still driving"),
+        url: `${context.baseUrl}/carpool/${context.activity.id}`
+      },
+      context: context.emailContext
+    });
+  }
+
+  _familyMessage(context, user, rides, language) {
+    const t = getTranslationsByCode(language);
+    const fallback = getTranslationsByCode('en');
+    const template = t.carpool_reminder_family_ride || fallback.carpool_reminder_family_ride
+      || '{participant}: {driver}, {vehicle} ({direction})';
+    const legs = [...new Set(rides.flatMap((ride) => legsOf(ride.trip_direction)))];
+
+    const lines = rides.map((ride) => `- ${template
+      .replace('{participant}', ride.participant_name)
+      .replace('{driver}', ride.offer.full_name)
+      .replace('{vehicle}', `${ride.offer.vehicle_color} ${ride.offer.vehicle_make}`)
+      .replace('{direction}', directionLabel(ride.trip_direction, language))}`);
+    lines.push('', ...meetingLines(context.activity, language, legs));
+
+    return buildCarpoolMessage('reminder_family', language, this._vars(context, user, language), {
+      lines,
+      context: context.emailContext
+    });
+  }
+}
+
+module.exports = CarpoolReminderService;
+module.exports.RUN_EVERY_SECONDS = RUN_EVERY_SECONDS;
+module.exports.tomorrowOf = tomorrowOf;
+module.exports.REMINDER_HOUR = REMINDER_HOUR;
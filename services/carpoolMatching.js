@@ -0,0 +1,323 @@
+/**
+ * Carpool Matching Service
+ *
+ * Proposes carpool assignments for an activity, for the coordinator to review
+ * before anything is saved (routes/carpools.js).
+ *
+ * Participants without a ride are seated in the active offers of the
+ * activity, one trip direction (leg) at a time:
+ *
+ * - a family (children sharing a guardian account or guardian record) rides
+ *   together, and in their own parent's car when that parent drives;
+ * - a family that needs both legs goes in a single `both` assignment when one
+ *   car has room for all of them;
+ * - a family is only split across cars when no single car has room, and the
+ *   proposal says so;
+ * - optionally, families are seated with drivers and riders from the same
+ *   postal area (first three characters of the postal code on the
+ *   registration form, i.e. the forward sortation area).
+ *
+ * Seat counts follow the database trigger on carpool_assignments: a leg
+ * assignment counts against the riders of that leg, a `both` assignment
+ * against every rider of the offer.
+ *
+ * @module services/carpoolMatching
+ */
+
+const LEGS = ['to_activity', 'from_activity'];
+
+/** Offer directions that cover each leg. */
+const LEG_OFFER_DIRECTIONS = {
+  to_activity: ['both', 'to_activity'],
+  from_activity: ['both', 'from_activity']
+};
+
+/** Preference given to the car of the family's own parent. */
+const OWN_DRIVER_SCORE = 100;
+/** Preference given to a car from the same postal area. */
+const SAME_AREA_SCORE = 10;
+
+/**
+ * Postal area of a postal code: its first three letters and digits.
+ *
+ * @param {string|null} code - Postal code as entered
+ * @returns {string|null}
+ */
+function postalArea(code) {
+  const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.length >= 3 ? compact.slice(0, 3) : null;
+}
+
+/**
+ * Group participants into families: children who share a guardian.
+ *
+ * @param {Array<{id: number, guardian_keys: string[]}>} participants
+ * @returns {Array<Array<Object>>} Families, each a list of participants
+ */
+function groupFamilies(participants) {
+  const parent = new Map(participants.map((participant) => [participant.id, participant.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const firstByKey = new Map();
+  for (const participant of participants) {
+    for (const key of participant.guardian_keys || []) {
+      if (firstByKey.has(key)) {
+        parent.set(find(participant.id), find(firstByKey.get(key)));
+      } else {
+        firstByKey.set(key, participant.id);
+      }
+    }
+  }
+
+  const families = new Map();
+  for (const participant of participants) {
+    const root = find(participant.id);
+    if (!families.has(root)) {
+      families.set(root, []);
+    }
+    families.get(root).push(participant);
+  }
+  return [...families.values()];
+}
+
+/**
+ * Propose assignments for the participants still needing a ride.
+ *
+ * @param {Object} input
+ * @param {Array<Object>} input.offers - Active offers: `id`, `user_id`, `trip_direction`,
+ *   `total_seats_available`, `postal_area`, and the riders already assigned
+ *   (`assignments`: [{participant_id, trip_direction}])
+ * @param {Array<Object>} input.participants - Candidates: `id`, `guardian_keys`,
+ *   `guardian_user_ids`, `postal_area`, `needs` (legs still without a ride)
+ * @param {boolean} [input.groupByPostalCode=false] - Prefer cars from the same postal area
+ * @returns {{assignments: Array<Object>, unplaced: Array<Object>, split_families: number[][]}}
+ */
+function proposeAssignments({ offers, participants, groupByPostalCode = false }) {
+  const cars = offers.map((offer) => {
+    const riders = { to_activity: new Set(), from_activity: new Set() };
+    for (const assignment of offer.assignments || []) {
+      for (const leg of LEGS) {
+        if (assignment.trip_direction === 'both' || assignment.trip_direction === leg) {
+          riders[leg].add(assignment.participant_id);
+        }
+      }
+    }
+    return { offer, riders, area: offer.postal_area || null };
+  });
+
+  const allRiders = (car) => new Set([...car.riders.to_activity, ...car.riders.from_activity]);
+  const covers = (car, leg) => LEG_OFFER_DIRECTIONS[leg].includes(car.offer.trip_direction);
+  const freeSeats = (car, leg) => car.offer.total_seats_available - car.riders[leg].size;
+  const freeSeatsBoth = (car) => car.offer.total_seats_available - allRiders(car).size;
+
+  const assignments = [];
+  const unplaced = [];
+  const splitFamilies = [];
+
+  const seat = (car, members, tripDirection) => {
+    const legs = tripDirection === 'both' ? LEGS : [tripDirection];
+    for (const member of members) {
+      legs.forEach((leg) => car.riders[leg].add(member.id));
+      assignments.push({ carpool_offer_id: car.offer.id, participant_id: member.id, trip_direction: tripDirection });
+    }
+    if (!car.area && groupByPostalCode) {
+      car.area = members.find((member) => member.postal_area)?.postal_area || null;
+    }
+  };
+
+  // Highest score wins; ties go to the tightest fit, then to the oldest offer
+  const bestCar = (candidates, family, remaining) => {
+    let best = null;
+    for (const car of candidates) {
+      let score = 0;
+      if (car.offer.user_id && family.userIds.has(car.offer.user_id)) {
+        score += OWN_DRIVER_SCORE;
+      }
+      if (groupByPostalCode && family.area && car.area === family.area) {
+        score += SAME_AREA_SCORE;
+      }
+      const left = remaining(car);
+      if (!best || score > best.score || (score === best.score && left < best.left)) {
+        best = { car, score, left };
+      }
+    }
+    return best?.car || null;
+  };
+
+  const families = groupFamilies(participants)
+    .map((members) => {
+      const userIds = new Set(members.flatMap((member) => member.guardian_user_ids || []));
+      return {
+        members: members.filter((member) => (member.needs || []).length > 0),
+        userIds,
+        area: members.find((member) => member.postal_area)?.postal_area || null,
+        drives: cars.some((car) => userIds.has(car.offer.user_id))
+      };
+    })
+    .filter((family) => family.members.length > 0)
+    .sort((a, b) => (Number(b.drives) - Number(a.drives))
+      || (b.members.length - a.members.length)
+      || String(a.area || '~').localeCompare(String(b.area || '~'))
+      || (a.members[0].id - b.members[0].id));
+
+  for (const family of families) {
+    const pending = {
+      to_activity: family.members.filter((member) => member.needs.includes('to_activity')),
+      from_activity: family.members.filter((member) => member.needs.includes('from_activity'))
+    };
+
+    // Whole family, both legs, one car
+    const bothWays = family.members.filter((member) => LEGS.every((leg) => member.needs.includes(leg)));
+    if (bothWays.length > 0 && bothWays.length === pending.to_activity.length
+      && bothWays.length === pending.from_activity.length) {
+      const car = bestCar(
+        cars.filter((candidate) => candidate.offer.trip_direction === 'both'
+          && freeSeatsBoth(candidate) >= bothWays.length),
+        family,
+        (candidate) => freeSeatsBoth(candidate) - bothWays.length
+      );
+      if (car) {
+        seat(car, bothWays, 'both');
+        continue;
+      }
+    }
+
+    let split = false;
+    for (const leg of LEGS) {
+      let waiting = pending[leg];
+      const car = bestCar(
+        cars.filter((candidate) => covers(candidate, leg) && freeSeats(candidate, leg) >= waiting.length),
+        family,
+        (candidate) => freeSeats(candidate, leg) - waiting.length
+      );
+      if (car) {
+        seat(car, waiting, leg);
+        continue;
+      }
+
+      // No car has room for the whole family on this leg: fill the roomiest first
+      while (waiting.length > 0) {
+        const roomiest = cars
+          .filter((candidate) => covers(candidate, leg) && freeSeats(candidate, leg) > 0)
+          .sort((a, b) => freeSeats(b, leg) - freeSeats(a, leg))[0];
+        if (!roomiest) break;
+        const fits = waiting.slice(0, freeSeats(roomiest, leg));
+        seat(roomiest, fits, leg);
+        waiting = waiting.slice(fits.length);
+        split = true;
+      }
+      waiting.forEach((member) => unplaced.push({ participant_id: member.id, trip_direction: leg }));
+    }
+    if (split && family.members.length > 1) {
+      splitFamilies.push(family.members.map((member) => member.id));
+    }
+  }
+
+  // `both` rows first: the seat trigger counts every rider of the offer for them
+  assignments.sort((a, b) => Number(b.trip_direction === 'both') - Number(a.trip_direction === 'both'));
+
+  return { assignments, unplaced, split_families: splitFamilies };
+}
+
+/**
+ * Load the offers and candidates of an activity for proposeAssignments.
+ *
+ * @param {Object} db - Pool or client
+ * @param {number} organizationId - Organization
+ * @param {number} activityId - Activity
+ * @param {Object} [options]
+ * @param {number[]|null} [options.participantIds] - Only propose rides for these participants
+ * @param {string[]} [options.legs] - Legs to fill (default both)
+ * @returns {Promise<{offers: Array<Object>, participants: Array<Object>}>}
+ */
+async function loadMatchingInput(db, organizationId, activityId, { participantIds = null, legs = LEGS } = {}) {
+  const [offerResult, assignmentResult, participantResult] = await Promise.all([
+    db.query(
+      `SELECT co.id, co.user_id, co.trip_direction, co.total_seats_available,
+              co.vehicle_make, co.vehicle_color, u.full_name AS driver_name
+         FROM carpool_offers co
+         JOIN users u ON u.id = co.user_id
+        WHERE co.activity_id = $1 AND co.organization_id = $2 AND co.is_active = TRUE
+        ORDER BY co.created_at, co.id`,
+      [activityId, organizationId]
+    ),
+    db.query(
+      `SELECT ca.carpool_offer_id, ca.participant_id, ca.trip_direction
+         FROM carpool_assignments ca
+         JOIN carpool_offers co ON co.id = ca.carpool_offer_id
+        WHERE co.activity_id = $1 AND co.organization_id = $2 AND co.is_active = TRUE`,
+      [activityId, organizationId]
+    ),
+    db.query(
+      `SELECT p.id, p.first_name, p.last_name,
+              COALESCE(array_agg(DISTINCT up.user_id) FILTER (WHERE up.user_id IS NOT NULL), '{}') AS guardian_user_ids,
+              COALESCE(array_agg(DISTINCT pg.guardian_id) FILTER (WHERE pg.guardian_id IS NOT NULL), '{}') AS guardian_ids,
+              reg.postal_code
+         FROM participants p
+         JOIN participant_organizations po ON po.participant_id = p.id
+         LEFT JOIN user_participants up ON up.participant_id = p.id
+         LEFT JOIN participant_guardians pg ON pg.participant_id = p.id
+         LEFT JOIN LATERAL (
+           SELECT fs.submission_data->>'code_postal' AS postal_code
+             FROM form_submissions fs
+            WHERE fs.participant_id = p.id
+              AND fs.organization_id = po.organization_id
+              AND fs.form_type = 'participant_registration'
+            ORDER BY fs.updated_at DESC NULLS LAST, fs.id DESC
+            LIMIT 1
+         ) reg ON TRUE
+        WHERE po.organization_id = $1
+        GROUP BY p.id, reg.postal_code
+        ORDER BY p.last_name, p.first_name`,
+      [organizationId]
+    )
+  ]);
+
+  const assignments = assignmentResult.rows;
+  const hasRide = (participantId, leg) => assignments.some((assignment) => assignment.participant_id === participantId
+    && (assignment.trip_direction === 'both' || assignment.trip_direction === leg));
+
+  const everyone = participantResult.rows.map((row) => ({
+    id: row.id,
+    first_name: row.first_name,
+    last_name: row.last_name,
+    guardian_user_ids: row.guardian_user_ids,
+    guardian_keys: [
+      ...row.guardian_user_ids.map((id) => `user:${id}`),
+      ...row.guardian_ids.map((id) => `guardian:${id}`)
+    ],
+    postal_area: postalArea(row.postal_code)
+  }));
+
+  // A driver's postal area is the one of their own children
+  const offers = offerResult.rows.map((offer) => ({
+    ...offer,
+    postal_area: everyone.find((participant) => participant.guardian_user_ids.includes(offer.user_id)
+      && participant.postal_area)?.postal_area || null,
+    assignments: assignments.filter((assignment) => assignment.carpool_offer_id === offer.id)
+  }));
+
+  const wanted = participantIds ? new Set(participantIds) : null;
+  const participants = everyone.map((participant) => ({
+    ...participant,
+    needs: wanted && !wanted.has(participant.id)
+      ? []
+      : legs.filter((leg) => !hasRide(participant.id, leg))
+  }));
+
+  return { offers, participants };
+}
+
+module.exports = {
+  LEGS,
+  postalArea,
+  groupFamilies,
+  proposeAssignments,
+  loadMatchingInput
+};
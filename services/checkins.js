@@ -0,0 +1,292 @@
+/**
+ * Check-in Service
+ *
+ * QR badges and check-in/check-out scans for camps and outings (see
+ * migrations/013_attendance_checkins.sql).
+ *
+ * A badge carries `WMP1-<organization>-<participant>-<signature>`. The
+ * signature is an HMAC of the first two parts, so a badge cannot be made up
+ * for another child or carried over to another unit. Scanners read the
+ * participant id from the code to show a name right away, offline included;
+ * the server checks the signature when the scan arrives.
+ *
+ * The roll call is the latest scan of each participant at one checkpoint:
+ * checked in means on site (or on the bus) now.
+ *
+ * @module services/checkins
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { requireJWTSecret } = require('../utils/jwt-config');
+const { getTranslationsByCode } = require('../utils/index');
+
+const CHECKPOINTS = ['site', 'bus'];
+const EVENT_TYPES = ['check_in', 'check_out'];
+
+const BADGE_PREFIX = 'WMP1';
+const BADGE_PATTERN = /^WMP1-(\d+)-(\d+)-([0-9A-F]{12})$/;
+
+/** Scans dated further ahead than this are refused: the device clock is wrong. */
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function badgeSignature(organizationId, participantId) {
+  return crypto
+    .createHmac('sha256', requireJWTSecret())
+    .update(`participant-badge:${organizationId}:${participantId}`)
+    .digest('hex')
+    .slice(0, 12)
+    .toUpperCase();
+}
+
+/**
+ * Code printed in a participant's QR badge. Upper case letters, digits and
+ * dashes keep the QR code small.
+ *
+ * @param {number} organizationId - Organization
+ * @param {number} participantId - Participant
+ * @returns {string} Badge code
+ */
+function badgeCode(organizationId, participantId) {
+  return `${BADGE_PREFIX}-${organizationId}-${participantId}-${badgeSignature(organizationId, participantId)}`;
+}
+
+/**
+ * Participant a scanned badge belongs to.
+ *
+ * @param {string} code - Scanned text
+ * @param {number} organizationId - Organization of the scanning leader
+ * @returns {number|null} Participant id, or null for a foreign or forged badge
+ */
+function verifyBadgeCode(code, organizationId) {
+  const match = BADGE_PATTERN.exec(String(code || '').trim().toUpperCase());
+  if (!match || Number(match[1]) !== Number(organizationId)) {
+    return null;
+  }
+
+  const participantId = Number(match[2]);
+  const expected = Buffer.from(badgeSignature(organizationId, participantId));
+  const given = Buffer.from(match[3]);
+  return crypto.timingSafeEqual(expected, given) ? participantId : null;
+}
+
+/**
+ * When a scan happened, from the time the device sent.
+ *
+ * @param {string} [value] - ISO timestamp; now when missing
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Scan time, or null when unreadable or in the future
+ */
+function parseOccurredAt(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return now;
+  }
+  const occurredAt = new Date(value);
+  if (Number.isNaN(occurredAt.getTime()) || occurredAt.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+    return null;
+  }
+  return occurredAt;
+}
+
+/**
+ * Participants on the scout year's roster, with their den.
+ *
+ * @param {Object} db - Pool or client
+ * @param {Object} options
+ * @param {number} options.organizationId - Organization
+ * @param {Object} options.scoutYear - Scout year row (`req.scoutYear`)
+ * @param {string[]} options.rosterStatuses - Enrollment statuses on the roster
+ * @param {number|null} [options.groupId] - Only this den
+ * @param {number[]|null} [options.participantIds] - Only these participants
+ * @returns {Promise<Array>} Roster rows
+ */
+async function loadRoster(db, { organizationId, scoutYear, rosterStatuses, groupId = null, participantIds = null }) {
+  const result = await db.query(
+    `SELECT p.id AS participant_id, p.first_name, p.last_name, pg.group_id, g.name AS group_name
+       FROM participants p
+       JOIN participant_enrollments pe ON pe.participant_id = p.id
+        AND pe.organization_id = $1 AND pe.scout_year_id = $2 AND pe.status = ANY($3::text[])
+       LEFT JOIN participant_group_assignments pg ON pg.participant_id = p.id
+        AND pg.organization_id = $1 AND pg.scout_year_id = $2
+       LEFT JOIN groups g ON g.id = pg.group_id
+      WHERE ($4::int IS NULL OR pg.group_id = $4)
+        AND ($5::int[] IS NULL OR p.id = ANY($5::int[]))
+      ORDER BY g.name NULLS LAST, p.first_name, p.last_name`,
+    [organizationId, scoutYear.id, rosterStatuses, groupId, participantIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Store a scan. A scan whose `clientEventId` was already stored (an offline
+ * scan sent twice) is not stored again; the first one is returned.
+ *
+ * @param {Object} db - Pool or client
+ * @param {Object} scan
+ * @param {number} scan.organizationId - Organization
+ * @param {number} scan.participantId - Participant
+ * @param {number|null} scan.activityId - Camp or outing, if any
+ * @param {string} scan.checkpoint - 'site' or 'bus'
+ * @param {string} scan.eventType - 'check_in' or 'check_out'
+ * @param {Date} scan.occurredAt - Time of the scan on the device
+ * @param {string|null} scan.recordedBy - Scanning user
+ * @param {string|null} scan.clientEventId - UUID generated by the scanner
+ * @returns {Promise<{event: Object, duplicate: boolean}>}
+ */
+async function recordCheckin(db, scan) {
+  const inserted = await db.query(
+    `INSERT INTO attendance_checkins
+       (organization_id, participant_id, activity_id, checkpoint, event_type, occurred_at, recorded_by, client_event_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (organization_id, client_event_id) WHERE client_event_id IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [
+      scan.organizationId,
+      scan.participantId,
+      scan.activityId,
+      scan.checkpoint,
+      scan.eventType,
+      scan.occurredAt,
+      scan.recordedBy,
+      scan.clientEventId
+    ]
+  );
+  if (inserted.rows.length > 0) {
+    return { event: inserted.rows[0], duplicate: false };
+  }
+
+  const existing = await db.query(
+    'SELECT * FROM attendance_checkins WHERE organization_id = $1 AND client_event_id = $2',
+    [scan.organizationId, scan.clientEventId]
+  );
+  return { event: existing.rows[0], duplicate: true };
+}
+
+/**
+ * Who is checked in at a checkpoint right now. Scans of a camp are grouped by
+ * its activity; scans without an activity by day.
+ *
+ * @param {Object} db - Pool or client
+ * @param {Object} options
+ * @param {number} options.organizationId - Organization
+ * @param {Object} options.scoutYear - Scout year row (`req.scoutYear`)
+ * @param {string[]} options.rosterStatuses - Enrollment statuses on the roster
+ * @param {string} options.checkpoint - 'site' or 'bus'
+ * @param {number|null} [options.activityId] - Camp or outing
+ * @param {string} [options.date] - YYYY-MM-DD, when there is no activity
+ * @param {number|null} [options.groupId] - Only this den
+ * @returns {Promise<Object>} `{ checkpoint, activity_id, date, counts, participants }`
+ */
+async function getRollCall(db, { organizationId, scoutYear, rosterStatuses, checkpoint, activityId = null, date = null, groupId = null }) {
+  const roster = await loadRoster(db, { organizationId, scoutYear, rosterStatuses, groupId });
+
+  const scope = activityId
+    ? { clause: 'activity_id = $3', value: activityId }
+    : { clause: 'activity_id IS NULL AND occurred_at >= $3::date AND occurred_at < $3::date + 1', value: date };
+
+  const latest = await db.query(
+    `SELECT DISTINCT ON (participant_id) participant_id, event_type, occurred_at
+       FROM attendance_checkins
+      WHERE organization_id = $1 AND checkpoint = $2 AND ${scope.clause}
+      ORDER BY participant_id, occurred_at DESC, id DESC`,
+    [organizationId, checkpoint, scope.value]
+  );
+  const lastScan = new Map(latest.rows.map((row) => [row.participant_id, row]));
+
+  const counts = { in: 0, out: 0, not_seen: 0, total: roster.length };
+  const participants = roster.map((participant) => {
+    const scan = lastScan.get(participant.participant_id);
+    let status = 'not_seen';
+    if (scan) {
+      status = scan.event_type === 'check_in' ? 'in' : 'out';
+    }
+    counts[status] += 1;
+    return { ...participant, status, last_scan_at: scan ? scan.occurred_at : null };
+  });
+
+  return {
+    checkpoint,
+    activity_id: activityId,
+    date: activityId ? null : date,
+    counts,
+    participants
+  };
+}
+
+const BADGES_PER_ROW = 2;
+const BADGE_ROWS = 4;
+const QR_SIZE = 108;
+
+/**
+ * Printable sheet of badges, eight to a letter page, with cut lines.
+ *
+ * @param {Object} params
+ * @param {string} params.organizationName - Printed on every badge
+ * @param {Array<Object>} params.participants - Roster rows with `code`
+ * @param {string} params.language - Reader's language code
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderBadgesPdf({ organizationName, participants, language }) {
+  const t = getTranslationsByCode(language);
+  const fallback = getTranslationsByCode('en');
+  const title = t.checkin_badges_title || fallback.checkin_badges_title || 'Check-in badges';
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: 36, info: { Title: title, Author: organizationName } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const cellWidth = (doc.page.width - left - doc.page.margins.right) / BADGES_PER_ROW;
+  const cellHeight = (doc.page.height - top - doc.page.margins.bottom) / BADGE_ROWS;
+  const perPage = BADGES_PER_ROW * BADGE_ROWS;
+
+  for (let index = 0; index < participants.length; index += 1) {
+    const participant = participants[index];
+    if (index > 0 && index % perPage === 0) {
+      doc.addPage();
+    }
+
+    const slot = index % perPage;
+    const x = left + (slot % BADGES_PER_ROW) * cellWidth;
+    const y = top + Math.floor(slot / BADGES_PER_ROW) * cellHeight;
+
+    doc.save().dash(3, { space: 3 }).strokeColor('#999999')
+      .rect(x, y, cellWidth, cellHeight).stroke().restore();
+
+    const qr = await QRCode.toBuffer(participant.code, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 300 });
+    doc.image(qr, x + 12, y + 12, { width: QR_SIZE, height: QR_SIZE });
+    doc.font('Helvetica').fontSize(6).fillColor('#555555')
+      .text(participant.code, x + 12, y + 14 + QR_SIZE, { width: QR_SIZE, align: 'center' });
+
+    const textX = x + QR_SIZE + 24;
+    const textWidth = cellWidth - QR_SIZE - 36;
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('black')
+      .text(`${participant.first_name || ''} ${participant.last_name || ''}`.trim(), textX, y + 20, { width: textWidth });
+    if (participant.group_name) {
+      doc.font('Helvetica').fontSize(11).text(participant.group_name, textX, doc.y + 4, { width: textWidth });
+    }
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+      .text(organizationName, textX, y + cellHeight - 28, { width: textWidth });
+  }
+
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  CHECKPOINTS,
+  EVENT_TYPES,
+  badgeCode,
+  verifyBadgeCode,
+  parseOccurredAt,
+  loadRoster,
+  recordCheckin,
+  getRollCall,
+  renderBadgesPdf
+};
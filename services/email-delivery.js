@@ -0,0 +1,303 @@
+/**
+ * Email Delivery Tracking Service
+ *
+ * sendEmail can only say whether the provider accepted a message. Whether it
+ * reached anyone is reported later, by the provider, one event at a time:
+ * Brevo posts its transactional webhook, other SMTP relays post delivery
+ * status notifications (RFC 3464) to the generic endpoint. Both are reduced
+ * here to the same five outcomes and recorded once.
+ *
+ * Three things follow from a recorded event:
+ *
+ * 1. **The event is kept.** Every report goes to `email_delivery_events`,
+ *    whatever sent the message, so an address's history can be read back
+ *    (the mailing list does).
+ * 2. **The announcement log line learns the outcome.** Announcements keep the
+ *    provider's message id on each email log line. Its `delivery_status` only
+ *    moves towards the more telling outcome: reports arrive out of order, and
+ *    a late "delivered" must not hide the complaint that followed it.
+ * 3. **A hard bounce flags the guardian.** Every guardian with that address is
+ *    marked invalid, so leaders see which family to call for a new one. A
+ *    later message delivered to the address clears the flag again.
+ *
+ * @module services/email-delivery
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Outcomes, from least to most telling. A log line's status is only replaced
+ * by an outcome further along this list.
+ */
+const DELIVERY_EVENTS = ['deferred', 'delivered', 'opened', 'bounced', 'complained'];
+
+/** Brevo transactional webhook event names, reduced to our outcomes. */
+const BREVO_EVENTS = {
+  delivered: 'delivered',
+  opened: 'opened',
+  unique_opened: 'opened',
+  proxy_open: 'opened',
+  unique_proxy_open: 'opened',
+  click: 'opened',
+  hard_bounce: 'bounced',
+  invalid_email: 'bounced',
+  blocked: 'bounced',
+  soft_bounce: 'deferred',
+  deferred: 'deferred',
+  spam: 'complained',
+  complaint: 'complained'
+};
+
+/** DSN actions (RFC 3464 section 2.3.3) that mean the message arrived. */
+const DSN_DELIVERED_ACTIONS = new Set(['delivered', 'relayed', 'expanded']);
+
+/**
+ * Message ids come back with or without their angle brackets depending on the
+ * transport and the report; compare them bare.
+ * @param {string|null|undefined} messageId
+ * @returns {string|null}
+ */
+function normalizeMessageId(messageId) {
+  if (typeof messageId !== 'string') {
+    return null;
+  }
+  const bare = messageId.trim().replace(/^<|>$/g, '');
+  return bare || null;
+}
+
+/**
+ * A DSN names the recipient as "rfc822; someone@example.com".
+ * @param {string|null|undefined} recipient
+ * @returns {string|null}
+ */
+function normalizeRecipient(recipient) {
+  if (typeof recipient !== 'string') {
+    return null;
+  }
+  const address = recipient.includes(';') ? recipient.split(';').pop() : recipient;
+  const trimmed = address.trim().replace(/^<|>$/g, '').toLowerCase();
+  return trimmed.includes('@') ? trimmed : null;
+}
+
+/** A timestamp the report gave, or now when it gave none we can read. */
+function readTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return new Date(value * 1000);
+  }
+  if (typeof value === 'string' && value.trim()) {
+    const parsed = new Date(value);
+    if (!Number.isNaN(parsed.getTime())) {
+      return parsed;
+    }
+  }
+  return new Date();
+}
+
+/**
+ * Reduce one Brevo webhook event.
+ * @param {Object} payload - One event as Brevo posts it
+ * @returns {{provider: string, messageId: string|null, email: string, event: string, reason: string|null, occurredAt: Date, payload: Object}|null}
+ *   null for events that say nothing about delivery (request, unsubscribed, ...)
+ */
+function normalizeBrevoEvent(payload) {
+  const event = BREVO_EVENTS[String(payload?.event || '').toLowerCase()];
+  const email = normalizeRecipient(payload?.email);
+  if (!event || !email) {
+    return null;
+  }
+
+  return {
+    provider: 'brevo',
+    messageId: normalizeMessageId(payload['message-id'] || payload.message_id),
+    email,
+    event,
+    reason: payload.reason || null,
+    occurredAt: readTimestamp(payload.ts_event ?? payload.date),
+    payload
+  };
+}
+
+/**
+ * Reduce one delivery status notification, as parsed and posted by the relay
+ * or a mail hook in front of the bounce mailbox. Accepts the DSN fields
+ * (action, status, diagnostic_code), an abuse report (feedback_type), or an
+ * already reduced `event`.
+ * @param {Object} payload
+ * @returns {{provider: string, messageId: string|null, email: string, event: string, reason: string|null, occurredAt: Date, payload: Object}|null}
+ */
+function normalizeDsnReport(payload) {
+  const email = normalizeRecipient(payload?.final_recipient || payload?.recipient || payload?.email);
+  if (!email) {
+    return null;
+  }
+
+  let event = null;
+  const action = String(payload.action || '').toLowerCase();
+  const status = String(payload.status || '');
+  if (payload.feedback_type) {
+    event = 'complained';
+  } else if (DELIVERY_EVENTS.includes(payload.event)) {
+    event = payload.event;
+  } else if (DSN_DELIVERED_ACTIONS.has(action)) {
+    event = 'delivered';
+  } else if (action === 'failed') {
+    // 4.x.x is transient: the relay gave up for now, the address may be fine.
+    event = status.startsWith('4') ? 'deferred' : 'bounced';
+  } else if (action === 'delayed') {
+    event = 'deferred';
+  }
+  if (!event) {
+    return null;
+  }
+
+  const reason = [status, payload.diagnostic_code || payload.reason || payload.feedback_type]
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+
+  return {
+    provider: 'smtp',
+    messageId: normalizeMessageId(payload.original_message_id || payload.message_id),
+    email,
+    event,
+    reason: reason || null,
+    occurredAt: readTimestamp(payload.arrival_date || payload.occurred_at),
+    payload
+  };
+}
+
+/**
+ * Record a reduced event and apply what follows from it.
+ * @param {Object} pool - Database pool
+ * @param {Object} report - As returned by normalizeBrevoEvent / normalizeDsnReport
+ * @returns {Promise<{announcementLogs: number, guardiansFlagged: number, guardiansCleared: number}>}
+ */
+async function recordDeliveryEvent(pool, report) {
+  const { provider, messageId, email, event, reason, occurredAt, payload } = report;
+
+  await pool.query(
+    `INSERT INTO email_delivery_events (provider, message_id, recipient_email, event, reason, occurred_at, payload)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [provider, messageId, email, event, reason, occurredAt, JSON.stringify(payload || {})]
+  );
+
+  let announcementLogs = 0;
+  if (messageId) {
+    const updated = await pool.query(
+      `UPDATE announcement_logs
+          SET delivery_status = $2, delivery_reason = $3, delivery_updated_at = $4
+        WHERE message_id = $1
+          AND channel = 'email'
+          AND COALESCE(array_position($5::text[], delivery_status::text), 0) < array_position($5::text[], $2::text)`,
+      [messageId, event, reason, occurredAt, DELIVERY_EVENTS]
+    );
+    announcementLogs = updated.rowCount || 0;
+  }
+
+  let guardiansFlagged = 0;
+  let guardiansCleared = 0;
+  if (event === 'bounced') {
+    const flagged = await pool.query(
+      `UPDATE parents_guardians
+          SET email_invalid_at = $2, email_invalid_reason = $3
+        WHERE LOWER(courriel) = $1
+          AND email_invalid_at IS NULL`,
+      [email, occurredAt, reason]
+    );
+    guardiansFlagged = flagged.rowCount || 0;
+  } else if (event === 'delivered' || event === 'opened') {
+    const cleared = await pool.query(
+      `UPDATE parents_guardians
+          SET email_invalid_at = NULL, email_invalid_reason = NULL
+        WHERE LOWER(courriel) = $1
+          AND email_invalid_at < $2`,
+      [email, occurredAt]
+    );
+    guardiansCleared = cleared.rowCount || 0;
+  }
+
+  return { announcementLogs, guardiansFlagged, guardiansCleared };
+}
+
+/**
+ * Record every event of a webhook call. Brevo posts one event per call, or an
+ * array when batching is enabled; the generic endpoint accepts the same.
+ * @param {Object} pool - Database pool
+ * @param {Object|Object[]} body - Request body
+ * @param {Function} normalize - normalizeBrevoEvent or normalizeDsnReport
+ * @returns {Promise<{recorded: number, ignored: number}>}
+ */
+async function recordDeliveryReports(pool, body, normalize) {
+  const items = Array.isArray(body) ? body : [body];
+  let recorded = 0;
+  let ignored = 0;
+
+  for (const item of items) {
+    const report = normalize(item);
+    if (!report) {
+      ignored += 1;
+      continue;
+    }
+    await recordDeliveryEvent(pool, report);
+    recorded += 1;
+  }
+
+  return { recorded, ignored };
+}
+
+/**
+ * Webhooks carry no user; they prove themselves with the shared secret set
+ * in EMAIL_WEBHOOK_SECRET, passed as the X-Webhook-Token header or, for
+ * providers that only let you configure a URL, the `token` query parameter.
+ * @param {string|undefined} given
+ * @param {string|undefined} [secret]
+ * @returns {boolean}
+ */
+function isValidWebhookToken(given, secret = process.env.EMAIL_WEBHOOK_SECRET) {
+  if (!secret || typeof given !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const candidate = crypto.createHash('sha256').update(given).digest();
+  return crypto.timingSafeEqual(expected, candidate);
+}
+
+/**
+ * Latest telling outcome per address, for showing deliverability next to a
+ * list of recipients. Only addresses whose last bounce or complaint has not
+ * been followed by a delivery are returned.
+ * @param {Object} pool - Database pool
+ * @param {string[]} emails
+ * @returns {Promise<Object<string, {status: string, reason: string|null, at: string}>>}
+ */
+async function getEmailIssues(pool, emails) {
+  const addresses = [...new Set(emails.filter(Boolean).map((email) => email.toLowerCase()))];
+  if (addresses.length === 0) {
+    return {};
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT ON (LOWER(recipient_email))
+            LOWER(recipient_email) AS email, event, reason, occurred_at
+       FROM email_delivery_events
+      WHERE LOWER(recipient_email) = ANY($1::text[])
+        AND event IN ('delivered', 'opened', 'bounced', 'complained')
+      ORDER BY LOWER(recipient_email), occurred_at DESC`,
+    [addresses]
+  );
+
+  return Object.fromEntries(result.rows
+    .filter((row) => row.event === 'bounced' || row.event === 'complained')
+    .map((row) => [row.email, { status: row.event, reason: row.reason, at: row.occurred_at }]));
+}
+
+module.exports = {
+  DELIVERY_EVENTS,
+  normalizeMessageId,
+  normalizeBrevoEvent,
+  normalizeDsnReport,
+  recordDeliveryEvent,
+  recordDeliveryReports,
+  isValidWebhookToken,
+  getEmailIssues
+};
@@ -0,0 +1,662 @@
+/**
+ * Email Templates Service
+ *
+ * Registry of the emails the application sends, and the one layout they
+ * share. A template names the translations its subject and body default to,
+ * the {placeholders} it fills and a sample of each for previews.
+ *
+ * Bodies are plain text; blank lines separate paragraphs. Two placeholders
+ * stand for a whole paragraph and are laid out rather than filled in:
+ *
+ * - `{details}`: lines the sender computes (passenger list, meeting details,
+ *   a verification code), shown in a highlighted box;
+ * - `{button}`: the email's link, shown as a button with a copyable URL.
+ *
+ * A unit may reword the subject and body per language
+ * (`email_template_overrides`, migration 017); placeholders a template cannot
+ * do without (its link, its code) must stay. The layout carries the unit's
+ * logo (organization_info.logo) and colour (`branding` setting).
+ *
+ * Senders load the unit's context once with loadEmailContext() and render
+ * each recipient's copy with renderTemplate().
+ *
+ * Templates marked `platform` are sent by Wampums itself rather than for a
+ * unit (a demo request), so units do not see or reword them.
+ */
+
+'use strict';
+
+const { getTranslationsByCode } = require('../utils/index');
+const { escapeHtml } = require('../utils/api-helpers');
+const { resolveOrganizationBaseUrl } = require('../utils/public-url');
+
+/** Languages a unit can reword templates in. Others use the translated defaults. */
+const TEMPLATE_LANGUAGES = ['en', 'fr'];
+
+const DEFAULT_PRIMARY_COLOR = '#0275d8';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const SUBJECT_MAX_LENGTH = 200;
+const BODY_MAX_LENGTH = 10000;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/** Context used when no organization is known (e.g. a login before one is picked). */
+const DEFAULT_CONTEXT = Object.freeze({
+  organizationName: 'Wampums',
+  logoUrl: null,
+  primaryColor: DEFAULT_PRIMARY_COLOR,
+  overrides: {}
+});
+
+const paragraphs = (...parts) => parts.filter(Boolean).join('\n\n');
+
+const CARPOOL_VARIABLES = ['name', 'participant', 'driver', 'previous_driver', 'vehicle', 'direction', 'activity', 'date', 'organization', 'details', 'button'];
+const CARPOOL_SAMPLE = {
+  name: 'Hélène Gagnon',
+  participant: 'Léa Gagnon',
+  driver: 'Anne Roy',
+  previous_driver: 'Marc Côté',
+  vehicle: 'Red Civic',
+  direction: '→',
+  activity: 'Camp',
+  date: '2026-10-24'
+};
+
+/**
+ * Carpool notice: greeting, intro, the sender's lines, then the footer.
+ *
+ * @param {string} kind - Suffix of the carpool_<kind>_* translations
+ * @param {string[]} [required] - Placeholders the notice cannot do without
+ */
+function carpoolTemplate(kind, required = []) {
+  return {
+    variables: CARPOOL_VARIABLES,
+    required,
+    defaults: (pick) => ({
+      subject: pick(`carpool_${kind}_subject`),
+      body: paragraphs(
+        pick('carpool_email_greeting'),
+        pick(`carpool_${kind}_intro`),
+        '{details}',
+        '{button}',
+        pick(`carpool_${kind}_footer`),
+        pick('carpool_email_signature')
+      )
+    }),
+    sample: CARPOOL_SAMPLE
+  };
+}
+
+/**
+ * Every email template. `defaults(pick, own)` builds the default subject and
+ * body from the recipient's translations: `pick` falls back to English, `own`
+ * does not.
+ */
+const EMAIL_TEMPLATES = Object.freeze({
+  announcement: {
+    variables: ['subject', 'message', 'organization'],
+    required: ['message'],
+    defaults: () => ({ subject: '{subject}', body: '{message}' }),
+    sample: { subject: 'Camp', message: 'Lorem ipsum dolor sit amet.\n\nConsectetur adipiscing elit.' }
+  },
+  permission_slip: {
+    variables: ['activityTitle', 'activityDate', 'activityDescription', 'participantName', 'deadlineText', 'organization', 'button'],
+    required: ['button'],
+    heading: 'permission_slip_email_heading',
+    defaults: (pick, own) => ({
+      subject: own('permission_slip_email_subject_with_participant')
+        || own('permission_slip_email_subject')
+        || pick('permission_slip_email_subject_with_participant'),
+      body: paragraphs(
+        pick('permission_slip_email_greeting'),
+        pick('permission_slip_email_intro'),
+        `${pick('permission_slip_email_date_label')} {activityDate}`,
+        '{activityDescription}',
+        '{button}',
+        '{deadlineText}',
+        pick('permission_slip_email_thanks')
+      )
+    }),
+    sample: { activityTitle: 'Camp', activityDate: '2026-10-24', activityDescription: '', participantName: 'Léa Gagnon', deadlineText: '' }
+  },
+  permission_slip_reminder: {
+    variables: ['activityTitle', 'activityDate', 'participantName', 'deadlineText', 'organization', 'button'],
+    required: ['button'],
+    heading: 'permission_slip_reminder_heading',
+    defaults: (pick, own) => ({
+      subject: own('permission_slip_reminder_subject_with_participant')
+        || own('permission_slip_reminder_subject')
+        || pick('permission_slip_reminder_subject_with_participant'),
+      body: paragraphs(
+        pick('permission_slip_email_greeting'),
+        pick('permission_slip_reminder_intro'),
+        `${pick('permission_slip_email_date_label')} {activityDate}`,
+        pick('permission_slip_reminder_missing_signature'),
+        '{button}',
+        '{deadlineText}',
+        pick('permission_slip_email_thanks')
+      )
+    }),
+    sample: { activityTitle: 'Camp', activityDate: '2026-10-24', participantName: 'Léa Gagnon', deadlineText: '' }
+  },
+  two_factor_code: {
+    variables: ['name', 'organization', 'details'],
+    required: ['details'],
+    heading: 'two_factor_email_heading',
+    defaults: (pick) => ({
+      subject: pick('two_factor_email_subject'),
+      body: paragraphs(
+        pick('two_factor_email_greeting'),
+        pick('two_factor_email_intro'),
+        '{details}',
+        pick('two_factor_email_expiry'),
+        pick('two_factor_email_ignore'),
+        pick('two_factor_email_footer')
+      )
+    }),
+    sample: { name: 'Hélène Gagnon' }
+  },
+  password_reset: {
+    variables: ['organization', 'button'],
+    required: ['button'],
+    heading: 'password_reset_email_heading',
+    defaults: (pick) => ({
+      subject: pick('password_reset_email_subject'),
+      body: paragraphs(
+        pick('password_reset_email_greeting'),
+        pick('password_reset_email_intro'),
+        '{button}',
+        pick('password_reset_email_expiry'),
+        pick('password_reset_email_ignore')
+      )
+    }),
+    sample: {}
+  },
+  alumni_invitation: {
+    variables: ['organization', 'button'],
+    required: ['button'],
+    heading: 'alumni_invite_heading',
+    defaults: (pick) => ({
+      subject: pick('alumni_invite_subject'),
+      body: paragraphs(
+        pick('alumni_invite_intro'),
+        pick('alumni_invite_offer'),
+        '{button}',
+        pick('alumni_invite_silence')
+      )
+    }),
+    sample: {}
+  },
+  reactivation_return: {
+    variables: ['organization', 'button'],
+    required: ['button'],
+    heading: 'reactivation_email_heading',
+    defaults: (pick) => ({
+      subject: pick('reactivation_email_subject'),
+      body: paragraphs(
+        pick('reactivation_email_intro_return'),
+        '{button}',
+        pick('reactivation_email_expiry'),
+        pick('reactivation_email_ignore')
+      )
+    }),
+    sample: {}
+  },
+  reactivation_join: {
+    variables: ['organization', 'button'],
+    required: ['button'],
+    heading: 'reactivation_email_heading',
+    defaults: (pick) => ({
+      subject: pick('reactivation_email_subject'),
+      body: paragraphs(
+        pick('reactivation_email_intro_join'),
+        '{button}',
+        pick('reactivation_email_expiry'),
+        pick('reactivation_email_ignore')
+      )
+    }),
+    sample: {}
+  },
+  reactivation_admin: {
+    variables: ['organization', 'name', 'email'],
+    required: [],
+    defaults: (pick) => ({
+      subject: pick('reactivation_admin_subject'),
+      body: pick('reactivation_admin_body')
+    }),
+    sample: { name: 'Hélène Gagnon', email: 'helene@example.org' }
+  },
+  payment_reminder: {
+    variables: ['participant', 'amount', 'date', 'organization', 'button'],
+    required: ['button'],
+    defaults: (pick) => ({
+      subject: pick('payment_reminder_email_subject'),
+      body: paragraphs(
+        pick('payment_reminder_email_intro'),
+        '{button}',
+        pick('payment_reminder_email_ignore'),
+        pick('payment_reminder_email_signature')
+      )
+    }),
+    sample: { participant: 'Léa Gagnon', amount: '40,00 $', date: '2026-10-24' }
+  },
+  payment_reminder_overdue: {
+    variables: ['participant', 'amount', 'date', 'organization', 'button'],
+    required: ['button'],
+    defaults: (pick) => ({
+      subject: pick('payment_reminder_email_subject_overdue'),
+      body: paragraphs(
+        pick('payment_reminder_email_intro_overdue'),
+        '{button}',
+        pick('payment_reminder_email_ignore'),
+        pick('payment_reminder_email_signature')
+      )
+    }),
+    sample: { participant: 'Léa Gagnon', amount: '40,00 $', date: '2026-10-24' }
+  },
+  carpool_assigned: carpoolTemplate('assigned'),
+  carpool_moved: carpoolTemplate('moved'),
+  carpool_driver_added: carpoolTemplate('driver_added', ['details']),
+  carpool_driver_removed: carpoolTemplate('driver_removed'),
+  carpool_ride_cancelled: carpoolTemplate('ride_cancelled'),
+  carpool_reminder_family: carpoolTemplate('reminder_family', ['details']),
+  carpool_reminder_driver: carpoolTemplate('reminder_driver', ['details', 'button']),
+  activity_updated: {
+    variables: ['name', 'activity', 'date', 'organization', 'details'],
+    required: ['details'],
+    heading: 'activity_update_email_heading',
+    defaults: (pick) => ({
+      subject: pick('activity_update_email_subject'),
+      body: paragraphs(
+        pick('activity_update_email_greeting'),
+        pick('activity_update_email_intro'),
+        '{details}',
+        pick('activity_update_email_footer'),
+        pick('carpool_email_signature')
+      )
+    }),
+    sample: { name: 'Hélène Gagnon', activity: 'Camp', date: '2026-10-24' }
+  },
+  tax_receipt: {
+    variables: ['name', 'year', 'organization'],
+    required: [],
+    defaults: (pick) => ({
+      subject: pick('tax_receipt_email_subject'),
+      body: paragraphs(
+        pick('tax_receipt_email_greeting'),
+        pick('tax_receipt_email_body'),
+        pick('payment_reminder_email_signature')
+      )
+    }),
+    sample: { name: 'Hélène Gagnon', year: '2025' }
+  },
+  incident_escalation: {
+    variables: ['victim', 'date', 'description', 'submitter', 'organization', 'details'],
+    required: ['details'],
+    heading: 'incident_escalation_email_heading',
+    defaults: (pick) => ({
+      subject: pick('incident_escalation_email_subject'),
+      body: paragraphs(
+        pick('incident_escalation_email_intro'),
+        '{details}',
+        `${pick('incident_description')}: {description}`,
+        pick('incident_escalation_email_submitted_by'),
+        pick('incident_escalation_email_footer')
+      )
+    }),
+    sample: { victim: 'Léa Gagnon', date: '2026-10-24', description: 'Lorem ipsum dolor sit amet.', submitter: 'Anne Roy' }
+  },
+  leader_registration: {
+    variables: ['name', 'email', 'organization'],
+    required: ['email'],
+    heading: 'leader_registration_email_heading',
+    defaults: (pick) => ({
+      subject: pick('leader_registration_email_subject'),
+      body: paragraphs(
+        pick('leader_registration_email_intro'),
+        pick('leader_registration_email_outro')
+      )
+    }),
+    sample: { name: 'Anne Roy', email: 'anne@example.org' }
+  },
+  demo_request: {
+    platform: true,
+    variables: ['name', 'message', 'ip', 'user_agent', 'details'],
+    required: ['details'],
+    heading: 'demo_request_email_heading',
+    defaults: (pick) => ({
+      subject: pick('demo_request_email_subject'),
+      body: paragraphs('{details}', '{message}', pick('demo_request_email_origin'))
+    }),
+    sample: { name: 'Anne Roy', message: 'Lorem ipsum dolor sit amet.', ip: '203.0.113.7', user_agent: 'Mozilla/5.0' }
+  },
+  activity_cancelled: {
+    variables: ['name', 'activity', 'date', 'organization'],
+    required: [],
+    heading: 'activity_cancelled_email_heading',
+    defaults: (pick) => ({
+      subject: pick('activity_cancelled_email_subject'),
+      body: paragraphs(
+        pick('activity_update_email_greeting'),
+        pick('activity_cancelled_email_intro'),
+        pick('activity_cancelled_email_carpools'),
+        pick('activity_cancelled_email_apology'),
+        pick('carpool_email_signature')
+      )
+    }),
+    sample: { name: 'Hélène Gagnon', activity: 'Camp', date: '2026-10-24' }
+  }
+});
+
+/** Sample lines and link shown in previews of templates that use them. */
+const SAMPLE_LINES = ['- Léa Gagnon', '- Noah Gagnon'];
+const SAMPLE_ACTION_URL = 'https://wampums.app/';
+
+/**
+ * Language a template is rendered in: the two-letter code, English when the
+ * translations do not know it.
+ *
+ * @param {string} language
+ * @returns {string}
+ */
+function normalizeLanguage(language) {
+  const code = String(language || 'en').slice(0, 2).toLowerCase();
+  return getTranslationsByCode(code) === getTranslationsByCode('en') ? 'en' : code;
+}
+
+/**
+ * Default subject and body of a template in a language.
+ *
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @param {string} language - Language code
+ * @returns {{subject: string, body: string}}
+ */
+function getTemplateDefaults(templateKey, language) {
+  const template = EMAIL_TEMPLATES[templateKey];
+  const translations = getTranslationsByCode(language);
+  const fallback = getTranslationsByCode('en');
+  const own = (key) => translations[key] || '';
+  const pick = (key) => translations[key] || fallback[key] || '';
+  return template.defaults(pick, own);
+}
+
+function parseSetting(value) {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Branding and template overrides of an organization, loaded once per send.
+ *
+ * @param {Object} pool - Database pool or client
+ * @param {number|null} organizationId - Organization ID
+ * @returns {Promise<{organizationName: string, logoUrl: ?string, primaryColor: string, overrides: Object}>}
+ */
+async function loadEmailContext(pool, organizationId) {
+  if (!pool || !organizationId) {
+    return { ...DEFAULT_CONTEXT, overrides: {} };
+  }
+
+  const [settingsResult, overridesResult] = await Promise.all([
+    pool.query(
+      `SELECT o.name, info.setting_value AS organization_info, brand.setting_value AS branding
+         FROM organizations o
+         LEFT JOIN organization_settings info
+           ON info.organization_id = o.id AND info.setting_key = 'organization_info'
+         LEFT JOIN organization_settings brand
+           ON brand.organization_id = o.id AND brand.setting_key = 'branding'
+        WHERE o.id = $1`,
+      [organizationId]
+    ),
+    pool.query(
+      `SELECT template_key, language, subject, body
+         FROM email_template_overrides
+        WHERE organization_id = $1`,
+      [organizationId]
+    )
+  ]);
+
+  const row = settingsResult.rows[0] || {};
+  const info = parseSetting(row.organization_info);
+  const branding = parseSetting(row.branding);
+
+  // A logo stored as a site path needs the unit's origin to show in a mail client
+  let logoUrl = typeof info.logo === 'string' && info.logo ? info.logo : null;
+  if (logoUrl && logoUrl.startsWith('/')) {
+    logoUrl = `${await resolveOrganizationBaseUrl(pool, organizationId)}${logoUrl}`;
+  }
+
+  const overrides = {};
+  for (const override of overridesResult.rows) {
+    overrides[override.template_key] = overrides[override.template_key] || {};
+    overrides[override.template_key][override.language] = { subject: override.subject, body: override.body };
+  }
+
+  return {
+    organizationName: info.name || row.name || DEFAULT_CONTEXT.organizationName,
+    logoUrl,
+    primaryColor: COLOR_PATTERN.test(branding.primary_color || '') ? branding.primary_color : DEFAULT_PRIMARY_COLOR,
+    overrides
+  };
+}
+
+/**
+ * Render a template for one recipient.
+ *
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @param {string} language - Recipient's language code
+ * @param {Object} vars - Placeholder values; `organization` defaults to the unit's name
+ * @param {Object} [options]
+ * @param {Object} [options.context] - From loadEmailContext()
+ * @param {string[]} [options.lines] - Lines for {details}, already translated
+ * @param {{label: string, url: string}} [options.action] - Link for {button}
+ * @param {{text: string, html: string}} [options.footer] - Appended under the layout's footer
+ * @param {{subject: string, body: string}} [options.draft] - Unsaved wording to preview
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderTemplate(templateKey, language, vars = {}, {
+  context = DEFAULT_CONTEXT,
+  lines = [],
+  action = null,
+  footer = null,
+  draft = null
+} = {}) {
+  const template = EMAIL_TEMPLATES[templateKey];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateKey}`);
+  }
+
+  const code = normalizeLanguage(language);
+  const translations = getTranslationsByCode(code);
+  const fallback = getTranslationsByCode('en');
+  const pick = (key) => translations[key] || fallback[key] || '';
+  const wording = draft || context.overrides?.[templateKey]?.[code] || getTemplateDefaults(templateKey, code);
+
+  const values = { organization: context.organizationName, ...vars };
+  const fill = (text) => String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (name === 'details') return lines.join('\n');
+    if (name === 'button') return action ? `${action.label}: ${action.url}` : '';
+    if (!template.variables.includes(name)) return match;
+    return values[name] === undefined || values[name] === null ? '' : String(values[name]);
+  });
+
+  const subject = fill(wording.subject).replace(/\s+/g, ' ').trim();
+  const heading = template.heading ? fill(pick(template.heading)) : subject;
+  const color = context.primaryColor || DEFAULT_PRIMARY_COLOR;
+
+  const blocks = String(wording.body || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .map((paragraph) => {
+      if (paragraph === '{details}') {
+        return lines.length ? { type: 'details', text: lines.join('\n') } : null;
+      }
+      if (paragraph === '{button}') {
+        return action ? { type: 'button', text: `${action.label}: ${action.url}` } : null;
+      }
+      const text = fill(paragraph).trim();
+      return text ? { type: 'text', text } : null;
+    })
+    .filter(Boolean);
+
+  const text = [
+    ...blocks.map((block) => block.text),
+    ...(footer?.text ? [footer.text] : [])
+  ].join('\n\n');
+
+  const htmlBlocks = blocks.map((block) => {
+    if (block.type === 'details') {
+      return `<div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid ${color}; margin: 20px 0;">
+    ${lines.map((line) => (line ? `<p style="margin: 4px 0;">${escapeHtml(line)}</p>` : '<br>')).join('\n    ')}
+  </div>`;
+    }
+    if (block.type === 'button') {
+      const url = escapeHtml(action.url);
+      return `<p><a href="${url}" style="background-color: ${color}; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">${escapeHtml(action.label)}</a></p>
+  <p style="color: #6c757d; font-size: 12px;">${escapeHtml(pick('email_copy_link_hint'))} <a href="${url}">${url}</a></p>`;
+    }
+    return `<p>${escapeHtml(block.text).replace(/\n/g, '<br>')}</p>`;
+  });
+
+  const organizationName = escapeHtml(context.organizationName);
+  const banner = context.logoUrl
+    ? `<img src="${escapeHtml(context.logoUrl)}" alt="${organizationName}" style="max-height: 60px; max-width: 240px;">`
+    : `<strong style="font-size: 20px; color: ${color};">${organizationName}</strong>`;
+
+  const html = `
+<div lang="${code}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+  <div style="padding: 16px 0; border-bottom: 3px solid ${color}; margin-bottom: 20px;">${banner}</div>
+  <h2 style="color: ${color};">${escapeHtml(heading)}</h2>
+  ${htmlBlocks.join('\n  ')}
+  <hr style="border: none; border-top: 1px solid #dee2e6; margin: 30px 0;">
+  <p style="color: #6c757d; font-size: 12px;">${organizationName}</p>
+  ${footer?.html || ''}
+</div>
+  `.trim();
+
+  return { subject, text, html };
+}
+
+/**
+ * Load the organization's context and render one email.
+ *
+ * @param {Object} pool - Database pool or client
+ * @param {number|null} organizationId - Organization ID
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @param {string} language - Recipient's language code
+ * @param {Object} vars - Placeholder values
+ * @param {Object} [options] - As for renderTemplate()
+ * @returns {Promise<{subject: string, text: string, html: string, organizationName: string}>}
+ */
+async function renderEmail(pool, organizationId, templateKey, language, vars = {}, options = {}) {
+  const context = await loadEmailContext(pool, organizationId);
+  return {
+    ...renderTemplate(templateKey, language, vars, { ...options, context }),
+    organizationName: context.organizationName
+  };
+}
+
+/**
+ * Render a template with its sample values, for the settings preview.
+ *
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @param {string} language - Language code
+ * @param {Object} context - From loadEmailContext()
+ * @param {{subject: string, body: string}|null} [draft] - Unsaved wording
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderPreview(templateKey, language, context, draft = null) {
+  const template = EMAIL_TEMPLATES[templateKey];
+  const pick = (key) => getTranslationsByCode(language)[key] || getTranslationsByCode('en')[key] || '';
+  return renderTemplate(templateKey, language, template.sample, {
+    context,
+    draft,
+    lines: template.variables.includes('details') ? SAMPLE_LINES : [],
+    action: template.variables.includes('button')
+      ? { label: pick('email_template_sample_button'), url: SAMPLE_ACTION_URL }
+      : null
+  });
+}
+
+/**
+ * Check a unit's wording for a template before it is saved.
+ *
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @param {Object} input - { subject, body }
+ * @returns {{value: {subject: string, body: string}, errors: Array<{field: string, msg: string}>}}
+ */
+function validateTemplateOverride(templateKey, input) {
+  const template = EMAIL_TEMPLATES[templateKey];
+  const errors = [];
+  const value = {
+    subject: typeof input?.subject === 'string' ? input.subject.trim() : '',
+    body: typeof input?.body === 'string' ? input.body.replace(/\r\n/g, '\n').trim() : ''
+  };
+
+  if (!value.subject) {
+    errors.push({ field: 'subject', msg: 'Subject is required' });
+  } else if (value.subject.length > SUBJECT_MAX_LENGTH || value.subject.includes('\n')) {
+    errors.push({ field: 'subject', msg: `Subject must be one line of ${SUBJECT_MAX_LENGTH} characters or fewer` });
+  }
+  if (!value.body) {
+    errors.push({ field: 'body', msg: 'Body is required' });
+  } else if (value.body.length > BODY_MAX_LENGTH) {
+    errors.push({ field: 'body', msg: `Body must be ${BODY_MAX_LENGTH} characters or fewer` });
+  }
+
+  for (const field of ['subject', 'body']) {
+    const unknown = [...value[field].matchAll(PLACEHOLDER_PATTERN)]
+      .map(([, name]) => name)
+      .filter((name) => !template.variables.includes(name) || (field === 'subject' && ['details', 'button'].includes(name)));
+    if (unknown.length) {
+      errors.push({ field, msg: `Unknown placeholders: ${[...new Set(unknown)].map((name) => `{${name}}`).join(', ')}` });
+    }
+  }
+
+  const missing = template.required.filter((name) => !value.body.includes(`{${name}}`));
+  if (missing.length) {
+    errors.push({ field: 'body', msg: `Required placeholders missing: ${missing.map((name) => `{${name}}`).join(', ')}` });
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Check the colour submitted for the email layout.
+ *
+ * @param {Object} input - { primary_color }
+ * @returns {{value: {primary_color: string}, errors: Array<{field: string, msg: string}>}}
+ */
+function validateEmailBranding(input) {
+  const color = typeof input?.primary_color === 'string' ? input.primary_color.trim() : '';
+  return COLOR_PATTERN.test(color)
+    ? { value: { primary_color: color.toLowerCase() }, errors: [] }
+    : { value: {}, errors: [{ field: 'primary_color', msg: 'Colour must be a #rrggbb value' }] };
+}
+
+/**
+ * Whether units may see and reword a template.
+ *
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @returns {boolean}
+ */
+function isUnitTemplate(templateKey) {
+  return Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, templateKey) && !EMAIL_TEMPLATES[templateKey].platform;
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  TEMPLATE_LANGUAGES,
+  DEFAULT_PRIMARY_COLOR,
+  getTemplateDefaults,
+  isUnitTemplate,
+  loadEmailContext,
+  renderTemplate,
+  renderEmail,
+  renderPreview,
+  validateTemplateOverride,
+  validateEmailBranding
+};
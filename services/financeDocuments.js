@@ -0,0 +1,578 @@
+/**
+ * Family Statements and Year-End Receipts
+ *
+ * A family is the set of children who share a guardian: a family statement
+ * shows every sibling's fees and payments on one document, and a year-end
+ * receipt adds up what the family paid during a calendar year.
+ *
+ * Receipts go to each child's primary guardian contact (parents_guardians,
+ * `is_primary` first), so two parents never both receive a receipt for the
+ * same money. They cover fee payments dated in the tax year (net of refunds)
+ * and contributions to donation campaigns held that year. Once issued, a
+ * receipt keeps its number and amounts; issuing again for the same year only
+ * adds families that did not have one yet.
+ *
+ * Issuer details printed on receipts (registration number, address,
+ * signatory) live in organization_settings under `tax_receipts`.
+ *
+ * @module services/financeDocuments
+ */
+
+const { sendEmail, getUserEmailLanguage } = require('../utils/index');
+const { loadEmailContext, renderTemplate } = require('./email-templates');
+const { getOrganizationName } = require('./alumni');
+const { renderTaxReceiptPdf } = require('./financePdf');
+
+const RECEIPT_SETTINGS_KEY = 'tax_receipts';
+
+/** Issuer fields and their maximum length. */
+const RECEIPT_SETTING_FIELDS = {
+  registration_number: 50,
+  address: 500,
+  signatory_name: 255,
+  signatory_title: 255
+};
+
+function toAmount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.round(numeric * 100) / 100 : 0;
+}
+
+/**
+ * Children in the same family as a participant: those sharing one of its
+ * guardian contacts or guardian accounts, within the organization.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {number} participantId - Any child of the family
+ * @returns {Promise<number[]>} Participant ids, including participantId
+ */
+async function findFamilyParticipantIds(db, organizationId, participantId) {
+  const result = await db.query(
+    `SELECT DISTINCT p.id
+     FROM participants p
+     JOIN participant_organizations po ON po.participant_id = p.id AND po.organization_id = $2
+     WHERE p.id = $1
+        OR p.id IN (
+          SELECT sibling.participant_id
+          FROM participant_guardians own
+          JOIN participant_guardians sibling ON sibling.guardian_id = own.guardian_id
+          WHERE own.participant_id = $1
+        )
+        OR p.id IN (
+          SELECT sibling.participant_id
+          FROM user_participants own
+          JOIN user_participants sibling ON sibling.user_id = own.user_id
+          WHERE own.participant_id = $1
+        )
+     ORDER BY p.id`,
+    [participantId, organizationId]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Children linked to a guardian account within the organization.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {string} userId - Guardian user id
+ * @returns {Promise<number[]>} Participant ids
+ */
+async function findGuardianParticipantIds(db, organizationId, userId) {
+  const result = await db.query(
+    `SELECT up.participant_id
+     FROM user_participants up
+     JOIN participant_organizations po ON po.participant_id = up.participant_id AND po.organization_id = $2
+     WHERE up.user_id = $1
+     ORDER BY up.participant_id`,
+    [userId, organizationId]
+  );
+  return result.rows.map((row) => row.participant_id);
+}
+
+/**
+ * Fees and payments of several children, grouped per child.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {number[]} participantIds - Children of the family
+ * @returns {Promise<{participants: Array<Object>, totals: Object}>}
+ */
+async function loadFamilyStatement(db, organizationId, participantIds) {
+  const participantsResult = await db.query(
+    `SELECT p.id, p.first_name, p.last_name
+     FROM participants p
+     JOIN participant_organizations po ON po.participant_id = p.id AND po.organization_id = $2
+     WHERE p.id = ANY($1::int[])
+     ORDER BY p.first_name, p.last_name`,
+    [participantIds, organizationId]
+  );
+
+  const feesResult = await db.query(
+    `WITH paid AS (
+       SELECT participant_fee_id, COALESCE(SUM(amount), 0) AS total_paid
+       FROM payments
+       GROUP BY participant_fee_id
+     )
+     SELECT pf.id, pf.participant_id, pf.total_amount, fd.year_start, fd.year_end,
+            COALESCE(paid.total_paid, 0) AS total_paid
+     FROM participant_fees pf
+     JOIN fee_definitions fd ON fd.id = pf.fee_definition_id
+     LEFT JOIN paid ON paid.participant_fee_id = pf.id
+     WHERE pf.participant_id = ANY($1::int[]) AND pf.organization_id = $2
+     ORDER BY fd.year_start DESC, pf.id`,
+    [participantIds, organizationId]
+  );
+
+  const paymentsResult = await db.query(
+    `SELECT pay.participant_fee_id, pay.amount, pay.payment_date::text AS payment_date, pay.method
+     FROM payments pay
+     JOIN participant_fees pf ON pf.id = pay.participant_fee_id
+     WHERE pf.participant_id = ANY($1::int[]) AND pf.organization_id = $2
+     ORDER BY pay.payment_date, pay.id`,
+    [participantIds, organizationId]
+  );
+
+  const paymentsByFee = new Map();
+  for (const payment of paymentsResult.rows) {
+    const list = paymentsByFee.get(payment.participant_fee_id) || [];
+    list.push({ ...payment, amount: toAmount(payment.amount) });
+    paymentsByFee.set(payment.participant_fee_id, list);
+  }
+
+  const totals = { total_billed: 0, total_paid: 0, total_outstanding: 0 };
+  const participants = participantsResult.rows.map((participant) => {
+    const fees = feesResult.rows
+      .filter((fee) => fee.participant_id === participant.id)
+      .map((fee) => {
+        const totalAmount = toAmount(fee.total_amount);
+        const totalPaid = toAmount(fee.total_paid);
+        return {
+          ...fee,
+          total_amount: totalAmount,
+          total_paid: totalPaid,
+          outstanding: toAmount(totalAmount - totalPaid),
+          payments: paymentsByFee.get(fee.id) || []
+        };
+      });
+
+    for (const fee of fees) {
+      totals.total_billed += fee.total_amount;
+      totals.total_paid += fee.total_paid;
+      totals.total_outstanding += fee.outstanding;
+    }
+
+    return { ...participant, fees };
+  });
+
+  return {
+    participants,
+    totals: {
+      total_billed: toAmount(totals.total_billed),
+      total_paid: toAmount(totals.total_paid),
+      total_outstanding: toAmount(totals.total_outstanding)
+    }
+  };
+}
+
+/**
+ * Group per-child contributions into one line per primary guardian.
+ *
+ * @param {Array<Object>} rows - Rows of the tax year contribution query
+ * @returns {{families: Array<Object>, unassigned: Array<Object>}} Families to
+ *   receipt, and children with contributions but no guardian contact
+ */
+function groupContributionsByFamily(rows) {
+  const families = new Map();
+  const unassigned = [];
+
+  for (const row of rows) {
+    const child = { id: row.participant_id, first_name: row.first_name, last_name: row.last_name };
+    if (row.guardian_id === null || row.guardian_id === undefined) {
+      unassigned.push(child);
+      continue;
+    }
+
+    const family = families.get(row.guardian_id) || {
+      guardian_id: row.guardian_id,
+      recipient_name: `${row.guardian_first_name || ''} ${row.guardian_last_name || ''}`.trim(),
+      recipient_email: row.guardian_email || null,
+      participants: [],
+      fees_amount: 0,
+      donations_amount: 0,
+      total_amount: 0
+    };
+    family.participants.push(child);
+    family.fees_amount = toAmount(family.fees_amount + toAmount(row.fees_amount));
+    family.donations_amount = toAmount(family.donations_amount + toAmount(row.donations_amount));
+    family.total_amount = toAmount(family.fees_amount + family.donations_amount);
+    families.set(row.guardian_id, family);
+  }
+
+  return {
+    families: [...families.values()].filter((family) => family.total_amount > 0),
+    unassigned
+  };
+}
+
+/**
+ * What each family paid during a calendar year.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {number} taxYear - Calendar year
+ * @returns {Promise<{families: Array<Object>, unassigned: Array<Object>}>}
+ */
+async function listTaxYearContributions(db, organizationId, taxYear) {
+  const result = await db.query(
+    `WITH primary_guardian AS (
+       SELECT DISTINCT ON (pgu.participant_id)
+              pgu.participant_id, g.id AS guardian_id, g.prenom, g.nom, g.courriel
+       FROM participant_guardians pgu
+       JOIN parents_guardians g ON g.id = pgu.guardian_id
+       ORDER BY pgu.participant_id, g.is_primary DESC NULLS LAST, g.id
+     ),
+     fees_paid AS (
+       SELECT pf.participant_id, SUM(pay.amount) AS amount
+       FROM payments pay
+       JOIN participant_fees pf ON pf.id = pay.participant_fee_id
+       WHERE pf.organization_id = $1
+         AND pay.payment_date >= make_date($2::int, 1, 1)
+         AND pay.payment_date < make_date($2::int + 1, 1, 1)
+       GROUP BY pf.participant_id
+     ),
+     donations AS (
+       SELECT fe.participant_id, SUM(fe.amount_paid) AS amount
+       FROM fundraiser_entries fe
+       JOIN fundraisers f ON f.id = fe.fundraiser
+       WHERE f.organization = $1
+         AND f.campaign_type = 'donation'
+         AND EXTRACT(YEAR FROM COALESCE(f.end_date, f.start_date, fe.updated_at)) = $2::int
+       GROUP BY fe.participant_id
+     )
+     SELECT p.id AS participant_id, p.first_name, p.last_name,
+            pg.guardian_id, pg.prenom AS guardian_first_name, pg.nom AS guardian_last_name,
+            pg.courriel AS guardian_email,
+            COALESCE(fp.amount, 0) AS fees_amount, COALESCE(d.amount, 0) AS donations_amount
+     FROM participants p
+     JOIN participant_organizations po ON po.participant_id = p.id AND po.organization_id = $1
+     LEFT JOIN primary_guardian pg ON pg.participant_id = p.id
+     LEFT JOIN fees_paid fp ON fp.participant_id = p.id
+     LEFT JOIN donations d ON d.participant_id = p.id
+     WHERE COALESCE(fp.amount, 0) + COALESCE(d.amount, 0) > 0
+     ORDER BY pg.nom, pg.prenom, pg.guardian_id, p.first_name`,
+    [organizationId, taxYear]
+  );
+
+  return groupContributionsByFamily(result.rows);
+}
+
+/**
+ * Issue receipts for every family that paid something in the tax year and
+ * does not have a receipt for it yet. Numbers continue the organization's
+ * sequence without gaps.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization
+ * @param {number} taxYear - Calendar year
+ * @param {Object} [options]
+ * @param {string|null} [options.issuedBy] - User issuing the receipts
+ * @returns {Promise<{issued: Array<Object>, already_issued: number, unassigned: Array<Object>}>}
+ */
+async function issueTaxReceipts(pool, organizationId, taxYear, { issuedBy = null } = {}) {
+  const { families, unassigned } = await listTaxYearContributions(pool, organizationId, taxYear);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locks the organization's sequence row until COMMIT, so a concurrent
+    // run waits here and then sees the receipts this one issued.
+    const sequence = await client.query(
+      `INSERT INTO receipt_sequences (organization_id, last_number)
+       VALUES ($1, 0)
+       ON CONFLICT (organization_id) DO UPDATE SET last_number = receipt_sequences.last_number
+       RETURNING last_number`,
+      [organizationId]
+    );
+    let lastNumber = Number(sequence.rows[0].last_number) || 0;
+
+    const existing = await client.query(
+      'SELECT guardian_id FROM tax_receipts WHERE organization_id = $1 AND tax_year = $2',
+      [organizationId, taxYear]
+    );
+    const receipted = new Set(existing.rows.map((row) => row.guardian_id));
+
+    const issued = [];
+    for (const family of families) {
+      if (receipted.has(family.guardian_id)) {
+        continue;
+      }
+      lastNumber += 1;
+      const inserted = await client.query(
+        `INSERT INTO tax_receipts
+           (organization_id, receipt_number, tax_year, guardian_id, recipient_name, recipient_email,
+            participants, fees_amount, donations_amount, total_amount, issued_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          organizationId,
+          lastNumber,
+          taxYear,
+          family.guardian_id,
+          family.recipient_name,
+          family.recipient_email,
+          JSON.stringify(family.participants),
+          family.fees_amount,
+          family.donations_amount,
+          family.total_amount,
+          issuedBy
+        ]
+      );
+      issued.push(formatReceiptRow(inserted.rows[0]));
+    }
+
+    await client.query(
+      'UPDATE receipt_sequences SET last_number = $2 WHERE organization_id = $1',
+      [organizationId, lastNumber]
+    );
+    await client.query('COMMIT');
+
+    return { issued, already_issued: receipted.size, unassigned };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Issued receipts, newest number first.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {Object} [filters]
+ * @param {number} [filters.taxYear] - Only this year
+ * @param {string} [filters.guardianUserId] - Only receipts addressed to this guardian account
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTaxReceipts(db, organizationId, { taxYear = null, guardianUserId = null } = {}) {
+  const result = await db.query(
+    `SELECT tr.id, tr.receipt_number, tr.tax_year, tr.guardian_id, tr.recipient_name, tr.recipient_email,
+            tr.participants, tr.fees_amount, tr.donations_amount, tr.total_amount, tr.issued_at, tr.emailed_at
+     FROM tax_receipts tr
+     LEFT JOIN parents_guardians g ON g.id = tr.guardian_id
+     WHERE tr.organization_id = $1
+       AND ($2::integer IS NULL OR tr.tax_year = $2)
+       AND ($3::uuid IS NULL OR g.user_uuid = $3)
+     ORDER BY tr.tax_year DESC, tr.receipt_number DESC`,
+    [organizationId, taxYear, guardianUserId]
+  );
+  return result.rows.map(formatReceiptRow);
+}
+
+/**
+ * One issued receipt, with the guardian account it is addressed to.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {number} receiptId - Receipt id
+ * @returns {Promise<Object|null>}
+ */
+async function getTaxReceipt(db, organizationId, receiptId) {
+  const result = await db.query(
+    `SELECT tr.*, g.user_uuid AS guardian_user_id
+     FROM tax_receipts tr
+     LEFT JOIN parents_guardians g ON g.id = tr.guardian_id
+     WHERE tr.organization_id = $1 AND tr.id = $2`,
+    [organizationId, receiptId]
+  );
+  return result.rows[0] ? formatReceiptRow(result.rows[0]) : null;
+}
+
+function formatReceiptRow(row) {
+  return {
+    ...row,
+    fees_amount: toAmount(row.fees_amount),
+    donations_amount: toAmount(row.donations_amount),
+    total_amount: toAmount(row.total_amount)
+  };
+}
+
+/**
+ * Validate issuer details sent by the finance screen.
+ *
+ * @param {Object} input - Issuer fields
+ * @returns {{value: Object}|{error: string}} Normalized settings or an error code
+ */
+function normalizeReceiptSettings(input = {}) {
+  const value = {};
+  for (const [field, maxLength] of Object.entries(RECEIPT_SETTING_FIELDS)) {
+    const raw = input[field];
+    if (raw === undefined || raw === null) {
+      value[field] = '';
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      return { error: 'invalid_receipt_settings' };
+    }
+    const trimmed = raw.trim();
+    if (trimmed.length > maxLength) {
+      return { error: 'invalid_receipt_settings' };
+    }
+    value[field] = trimmed;
+  }
+  return { value };
+}
+
+/**
+ * Read an organization's issuer details, with empty defaults.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @returns {Promise<Object>}
+ */
+async function getReceiptSettings(db, organizationId) {
+  const result = await db.query(
+    `SELECT setting_value FROM organization_settings
+     WHERE organization_id = $1 AND setting_key = $2`,
+    [organizationId, RECEIPT_SETTINGS_KEY]
+  );
+  const stored = result.rows[0]?.setting_value;
+  const normalized = normalizeReceiptSettings(stored && typeof stored === 'object' ? stored : {});
+  return normalized.value || normalizeReceiptSettings({}).value;
+}
+
+/**
+ * Save already-normalized issuer details.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {Object} settings - From normalizeReceiptSettings
+ * @returns {Promise<void>}
+ */
+async function saveReceiptSettings(db, organizationId, settings) {
+  await db.query(
+    `INSERT INTO organization_settings (organization_id, setting_key, setting_value, created_at, updated_at)
+     VALUES ($1, $2, $3::jsonb, NOW(), NOW())
+     ON CONFLICT (organization_id, setting_key)
+     DO UPDATE SET setting_value = EXCLUDED.setting_value, updated_at = NOW()`,
+    [organizationId, RECEIPT_SETTINGS_KEY, JSON.stringify(settings)]
+  );
+}
+
+/**
+ * Organization header printed on statements and receipts.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @returns {Promise<Object>} `{name, registration_number, address, signatory_name, signatory_title}`
+ */
+async function getDocumentIssuer(db, organizationId) {
+  const [name, settings] = await Promise.all([
+    getOrganizationName(db, organizationId),
+    getReceiptSettings(db, organizationId)
+  ]);
+  return { name, ...settings };
+}
+
+/**
+ * Email receipts to their recipients as PDF attachments. Receipts already
+ * emailed are skipped unless `resend` is set; receipts without an address
+ * are counted as skipped.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization
+ * @param {number} taxYear - Calendar year
+ * @param {Object} [options]
+ * @param {number[]} [options.receiptIds] - Only these receipts
+ * @param {boolean} [options.resend] - Include receipts already emailed
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+async function emailTaxReceipts(pool, organizationId, taxYear, { receiptIds = null, resend = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM tax_receipts
+     WHERE organization_id = $1 AND tax_year = $2
+       AND ($3::int[] IS NULL OR id = ANY($3::int[]))
+       AND ($4::boolean OR emailed_at IS NULL)
+     ORDER BY receipt_number`,
+    [organizationId, taxYear, receiptIds, resend]
+  );
+
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  if (result.rows.length === 0) {
+    return counts;
+  }
+
+  const issuer = await getDocumentIssuer(pool, organizationId);
+  const context = await loadEmailContext(pool, organizationId);
+
+  for (const row of result.rows) {
+    const receipt = formatReceiptRow(row);
+    if (!receipt.recipient_email) {
+      counts.skipped += 1;
+      continue;
+    }
+
+    const language = await getUserEmailLanguage(pool, receipt.recipient_email, organizationId);
+    const message = buildReceiptEmail({ language, organizationName: issuer.name, receipt, context });
+    const pdf = await renderTaxReceiptPdf({ issuer, receipt, language });
+
+    const sent = await sendEmail(
+      receipt.recipient_email,
+      message.subject,
+      message.text,
+      message.html,
+      issuer.name,
+      [{ filename: `receipt-${receipt.tax_year}-${receipt.receipt_number}.pdf`, content: pdf, contentType: 'application/pdf' }]
+    );
+
+    if (sent) {
+      await pool.query('UPDATE tax_receipts SET emailed_at = NOW() WHERE id = $1', [receipt.id]);
+      counts.sent += 1;
+    } else {
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Cover email for a receipt (`tax_receipt` template). The unit is named as
+ * on the receipt itself.
+ *
+ * @param {Object} params
+ * @param {string} params.language - Recipient's language code
+ * @param {string} params.organizationName - Issuing unit
+ * @param {Object} params.receipt - Issued receipt
+ * @param {Object} [params.context] - From loadEmailContext()
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildReceiptEmail({ language, organizationName, receipt, context }) {
+  return renderTemplate('tax_receipt', language, {
+    name: receipt.recipient_name,
+    year: receipt.tax_year,
+    organization: organizationName
+  }, { context });
+}
+
+module.exports = {
+  RECEIPT_SETTINGS_KEY,
+  buildReceiptEmail,
+  emailTaxReceipts,
+  findFamilyParticipantIds,
+  findGuardianParticipantIds,
+  getDocumentIssuer,
+  getReceiptSettings,
+  getTaxReceipt,
+  groupContributionsByFamily,
+  issueTaxReceipts,
+  listTaxReceipts,
+  listTaxYearContributions,
+  loadFamilyStatement,
+  normalizeReceiptSettings,
+  saveReceiptSettings
+};
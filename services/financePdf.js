@@ -0,0 +1,264 @@
+/**
+ * PDF rendering for family statements and year-end receipts.
+ *
+ * Documents use PDFKit's built-in Helvetica, so no font file ships with the
+ * server; its WinAnsi encoding covers French and English. Labels come from
+ * lang/*.json in the reader's language, with English literals as fallback.
+ *
+ * @module services/financePdf
+ */
+
+const PDFDocument = require('pdfkit');
+const { getTranslationsByCode } = require('../utils/index');
+
+const PAGE_OPTIONS = { size: 'LETTER', margin: 50 };
+const MUTED = '#555555';
+
+function labelsFor(language) {
+  const t = getTranslationsByCode(language);
+  const fallback = getTranslationsByCode('en');
+  return (key, literal) => t[key] || fallback[key] || literal;
+}
+
+function localeFor(language) {
+  return `${String(language || 'en').slice(0, 2)}-CA`;
+}
+
+/**
+ * Intl separates French thousands with a narrow no-break space, which
+ * Helvetica's WinAnsi encoding lacks; print a regular no-break space instead.
+ */
+function formatMoney(amount, language) {
+  return new Intl.NumberFormat(localeFor(language), { style: 'currency', currency: 'CAD' })
+    .format(Number(amount) || 0)
+    .replace(/[\u202f\u2009]/g, '\u00a0');
+}
+
+function formatDate(value, language) {
+  if (!value) {
+    return '';
+  }
+  // pg returns DATE columns as local midnight; strings are calendar dates.
+  const options = value instanceof Date ? { dateStyle: 'long' } : { dateStyle: 'long', timeZone: 'UTC' };
+  const date = value instanceof Date ? value : new Date(`${String(value).slice(0, 10)}T12:00:00Z`);
+  return new Intl.DateTimeFormat(localeFor(language), options).format(date);
+}
+
+function yearOf(value) {
+  if (!value) {
+    return '';
+  }
+  return value instanceof Date ? String(value.getFullYear()) : String(value).slice(0, 4);
+}
+
+function fullName(person) {
+  return `${person.first_name || ''} ${person.last_name || ''}`.trim();
+}
+
+/** Collect a finished document into a Buffer. */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/** Start a new page when fewer than `needed` points remain. */
+function ensureRoom(doc, needed) {
+  if (doc.y + needed > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+/** One line of label/value columns at the current position. */
+function columnsRow(doc, columns, { bold = false, size = 10 } = {}) {
+  ensureRoom(doc, size * 2);
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+  let lowest = y;
+  for (const column of columns) {
+    doc.text(column.text, column.x, y, { width: column.width, align: column.align || 'left' });
+    lowest = Math.max(lowest, doc.y);
+  }
+  doc.x = doc.page.margins.left;
+  doc.y = lowest + 2;
+}
+
+function issuerHeader(doc, issuer) {
+  doc.font('Helvetica-Bold').fontSize(16).text(issuer.name);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED);
+  if (issuer.address) {
+    doc.text(issuer.address);
+  }
+  doc.fillColor('black').moveDown();
+}
+
+/**
+ * Fees and payments of every child of a family on one document.
+ *
+ * @param {Object} params
+ * @param {Object} params.issuer - From financeDocuments.getDocumentIssuer
+ * @param {Object} params.statement - From financeDocuments.loadFamilyStatement
+ * @param {string} params.language - Reader's language code
+ * @param {Date} [params.generatedAt] - Printed generation date
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderFamilyStatementPdf({ issuer, statement, language, generatedAt = new Date() }) {
+  const label = labelsFor(language);
+  const money = (amount) => formatMoney(amount, language);
+  const doc = new PDFDocument({
+    ...PAGE_OPTIONS,
+    info: { Title: label('family_statement_title', 'Family financial statement'), Author: issuer.name }
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const amountColumns = (values, offset = 0) => [
+    { text: values[0], x: left + offset, width: width * 0.4 - offset },
+    { text: values[1], x: left + width * 0.4, width: width * 0.2, align: 'right' },
+    { text: values[2], x: left + width * 0.6, width: width * 0.2, align: 'right' },
+    { text: values[3], x: left + width * 0.8, width: width * 0.2, align: 'right' }
+  ];
+
+  issuerHeader(doc, issuer);
+  doc.font('Helvetica-Bold').fontSize(14).text(label('family_statement_title', 'Family financial statement'));
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text(label('document_generated_on', 'Generated on {date}').replace('{date}', formatDate(generatedAt, language)))
+    .fillColor('black')
+    .moveDown();
+
+  for (const participant of statement.participants) {
+    ensureRoom(doc, 60);
+    doc.font('Helvetica-Bold').fontSize(12).text(fullName(participant));
+    doc.moveDown(0.3);
+
+    if (participant.fees.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED)
+        .text(label('no_participant_fees', 'No fees'))
+        .fillColor('black')
+        .moveDown();
+      continue;
+    }
+
+    columnsRow(doc, amountColumns([
+      label('fee_period', 'Period'),
+      label('total_billed', 'Total billed'),
+      label('total_paid', 'Total paid'),
+      label('outstanding_balance', 'Outstanding')
+    ]), { bold: true, size: 9 });
+
+    for (const fee of participant.fees) {
+      const period = [yearOf(fee.year_start), yearOf(fee.year_end)].filter(Boolean);
+      columnsRow(doc, amountColumns([
+        [...new Set(period)].join('-'),
+        money(fee.total_amount),
+        money(fee.total_paid),
+        money(fee.outstanding)
+      ]));
+
+      for (const payment of fee.payments) {
+        const method = payment.method ? label(payment.method, payment.method) : '';
+        columnsRow(doc, amountColumns([
+          [formatDate(payment.payment_date, language), method].filter(Boolean).join(' - '),
+          '',
+          money(payment.amount),
+          ''
+        ], 12), { size: 8 });
+      }
+    }
+    doc.moveDown();
+  }
+
+  ensureRoom(doc, 40);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.3);
+  columnsRow(doc, amountColumns([
+    label('family_total', 'Family total'),
+    money(statement.totals.total_billed),
+    money(statement.totals.total_paid),
+    money(statement.totals.total_outstanding)
+  ]), { bold: true });
+
+  return toBuffer(doc);
+}
+
+/**
+ * An issued year-end receipt.
+ *
+ * @param {Object} params
+ * @param {Object} params.issuer - From financeDocuments.getDocumentIssuer
+ * @param {Object} params.receipt - Issued tax_receipts row
+ * @param {string} params.language - Reader's language code
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderTaxReceiptPdf({ issuer, receipt, language }) {
+  const label = labelsFor(language);
+  const money = (amount) => formatMoney(amount, language);
+  const doc = new PDFDocument({
+    ...PAGE_OPTIONS,
+    info: {
+      Title: `${label('tax_receipt_title', 'Official receipt')} ${receipt.tax_year}-${receipt.receipt_number}`,
+      Author: issuer.name
+    }
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const detail = (name, value) => columnsRow(doc, [
+    { text: name, x: left, width: width * 0.4 },
+    { text: value, x: left + width * 0.4, width: width * 0.6 }
+  ]);
+  const amount = (name, value, bold = false) => columnsRow(doc, [
+    { text: name, x: left, width: width * 0.6 },
+    { text: money(value), x: left + width * 0.6, width: width * 0.4, align: 'right' }
+  ], { bold });
+
+  issuerHeader(doc, issuer);
+  doc.font('Helvetica-Bold').fontSize(14).text(label('tax_receipt_title', 'Official receipt'));
+  doc.moveDown();
+
+  detail(label('receipt_number', 'Receipt number'), String(receipt.receipt_number));
+  detail(label('tax_year', 'Tax year'), String(receipt.tax_year));
+  detail(label('receipt_issued_on', 'Date issued'), formatDate(receipt.issued_at, language));
+  if (issuer.registration_number) {
+    detail(label('charity_registration_number', 'Registration number'), issuer.registration_number);
+  }
+  doc.moveDown();
+
+  detail(label('receipt_issued_to', 'Issued to'), receipt.recipient_name);
+  const children = (receipt.participants || []).map(fullName).filter(Boolean).join(', ');
+  if (children) {
+    detail(label('receipt_for_participants', 'For'), children);
+  }
+  doc.moveDown();
+
+  if (receipt.fees_amount) {
+    amount(label('receipt_fees_paid', 'Fees paid'), receipt.fees_amount);
+  }
+  if (receipt.donations_amount) {
+    amount(label('receipt_donations', 'Donations'), receipt.donations_amount);
+  }
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.3);
+  amount(label('receipt_total', 'Total received'), receipt.total_amount, true);
+
+  doc.moveDown(3);
+  ensureRoom(doc, 60);
+  const signatureY = doc.y;
+  doc.moveTo(left, signatureY).lineTo(left + width * 0.45, signatureY).stroke();
+  doc.font('Helvetica').fontSize(9).text(label('authorized_signature', 'Authorized signature'), left, signatureY + 4);
+  if (issuer.signatory_name) {
+    doc.text([issuer.signatory_name, issuer.signatory_title].filter(Boolean).join(', '));
+  }
+
+  return toBuffer(doc);
+}
+
+module.exports = {
+  formatMoney,
+  renderFamilyStatementPdf,
+  renderTaxReceiptPdf
+};
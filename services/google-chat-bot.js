@@ -0,0 +1,645 @@
+/**
+ * Google Chat Bot
+ *
+ * Answers leaders who talk to the Chat app from a registered space:
+ *
+ *   /attendance [today|YYYY-MM-DD]  counts per status, and who was not there
+ *   /medication due                 doses overdue or due within the hour
+ *   /next meeting                   date, time, place and activities
+ *   /badges                         badges awaiting approval
+ *
+ * Answers are cards built from the same tables as the reports and meeting
+ * pages. Their buttons mark a dose given or approve a badge; the card is then
+ * replaced by a fresh one.
+ *
+ * Chat signs every request with a token issued by
+ * chat@system.gserviceaccount.com for the Cloud project number of the app,
+ * stored in google_chat_config.project_number. The space tells the
+ * organization, the sender's Google account email tells the member, whose
+ * permissions apply as in the app. Demo accounts can look, not act.
+ *
+ * @see https://developers.google.com/workspace/chat/authenticate-authorize-chat-app
+ * @module services/google-chat-bot
+ */
+
+const { OAuth2Client } = require('google-auth-library');
+const { getTranslationsByCode, getUserEmailLanguage } = require('../utils/index');
+const { formatLocalDate } = require('../utils/meeting-defaults');
+const { recordAudit } = require('../middleware/audit');
+const { approveBadge } = require('./badge-approval');
+
+const CHAT_ISSUER = 'chat@system.gserviceaccount.com';
+const CHAT_CERTS_URL = `https://www.googleapis.com/service_accounts/v1/metadata/x509/${CHAT_ISSUER}`;
+const CERTS_CACHE_MS = 60 * 60 * 1000;
+
+/** Doses listed by /medication due: this far ahead, and overdue up to this far back. */
+const MEDICATION_DUE_AHEAD_MINUTES = 60;
+const MEDICATION_OVERDUE_HOURS = 12;
+
+/** Rows shown on one card; Chat cards stop rendering past ~100 widgets. */
+const MAX_ROWS = 20;
+
+/** French command names, as leaders type them. */
+const COMMAND_ALIASES = {
+  attendance: 'attendance',
+  presence: 'attendance',
+  presences: 'attendance',
+  medication: 'medication',
+  medications: 'medication',
+  medicament: 'medication',
+  medicaments: 'medication',
+  next: 'next',
+  prochaine: 'next',
+  prochain: 'next',
+  badges: 'badges',
+  badge: 'badges',
+  help: 'help',
+  aide: 'help'
+};
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+const DEMO_ROLES = ['demoadmin', 'demoparent'];
+
+const verifier = new OAuth2Client();
+let certsCache = { certs: null, expiresAt: 0 };
+
+/**
+ * Google's current signing certificates for Chat tokens, kept for an hour.
+ *
+ * @returns {Promise<Object>} Key id -> PEM certificate
+ */
+async function fetchChatCerts() {
+  if (certsCache.certs && certsCache.expiresAt > Date.now()) {
+    return certsCache.certs;
+  }
+  const response = await fetch(CHAT_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Google Chat certificates unavailable (${response.status})`);
+  }
+  certsCache = { certs: await response.json(), expiresAt: Date.now() + CERTS_CACHE_MS };
+  return certsCache.certs;
+}
+
+/**
+ * Check the bearer token Chat sent with an event.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string|undefined} authorization - Authorization header
+ * @param {Object} [options]
+ * @param {Object} [options.certs] - Signing certificates (tests)
+ * @returns {Promise<string|null>} Project number the token was issued for,
+ *   null when it is missing, forged, expired or for an unknown project
+ */
+async function verifyChatRequest(pool, authorization, { certs } = {}) {
+  const token = /^Bearer\s+(\S+)$/i.exec(authorization || '')?.[1];
+  if (!token) return null;
+
+  const projects = await pool.query(
+    `SELECT DISTINCT project_number FROM google_chat_config
+     WHERE is_active = TRUE AND project_number IS NOT NULL`
+  );
+  const audiences = projects.rows.map((row) => row.project_number);
+  if (audiences.length === 0) return null;
+
+  try {
+    const ticket = await verifier.verifySignedJwtWithCertsAsync(
+      token, certs || await fetchChatCerts(), audiences, [CHAT_ISSUER]
+    );
+    return String(ticket.getPayload().aud);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} text - Text shown on a card
+ * @returns {string} Text safe in Chat's limited card HTML
+ */
+function escapeCardText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Read the command out of a message: the slash command Chat recognised, or
+ * the words after the app's mention, with or without a leading slash.
+ *
+ * @param {Object} message - Chat message from the event
+ * @returns {{name: string, args: string[]}} Command ('help' when unknown)
+ */
+function parseCommand(message = {}) {
+  const slash = (message.annotations || []).find((annotation) => annotation.type === 'SLASH_COMMAND');
+  const words = String(message.argumentText ?? message.text ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  let rawName = slash?.slashCommand?.commandName;
+  if (!rawName) {
+    rawName = words.shift() || '';
+  } else if (words[0]?.toLowerCase() === rawName.toLowerCase()) {
+    words.shift();
+  }
+
+  const key = rawName
+    .replace(/^\//, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+  return { name: COMMAND_ALIASES[key] || 'help', args: words.map((word) => word.toLowerCase()) };
+}
+
+/**
+ * Organization the space belongs to, for the project that signed the event.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} spaceName - spaces/AAAA...
+ * @param {string} projectNumber - Verified token audience
+ * @returns {Promise<number|null>} Organization id
+ */
+async function findSpaceOrganization(pool, spaceName, projectNumber) {
+  if (!spaceName) return null;
+  const result = await pool.query(
+    `SELECT s.organization_id
+     FROM google_chat_spaces s
+     JOIN google_chat_config c ON c.organization_id = s.organization_id
+       AND c.is_active = TRUE AND c.project_number = $2
+     WHERE s.space_id = $1 AND s.is_active = TRUE
+     LIMIT 1`,
+    [spaceName, projectNumber]
+  );
+  return result.rows[0]?.organization_id ?? null;
+}
+
+/**
+ * Active member of the organization with this Google account email, with the
+ * permissions of their roles.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization id
+ * @param {string} email - Sender's email from the event
+ * @returns {Promise<Object|null>} { id, full_name, email, permissions, is_demo }
+ */
+async function findMember(pool, organizationId, email) {
+  if (!email) return null;
+  const result = await pool.query(
+    `SELECT u.id, u.full_name, u.email,
+            ARRAY(
+              SELECT DISTINCT p.permission_key
+              FROM jsonb_array_elements_text(uo.role_ids) AS role_id_text
+              JOIN role_permissions rp ON rp.role_id = role_id_text::integer
+              JOIN permissions p ON p.id = rp.permission_id
+            ) AS permissions,
+            EXISTS (
+              SELECT 1
+              FROM jsonb_array_elements_text(uo.role_ids) AS role_id_text
+              JOIN roles r ON r.id = role_id_text::integer
+              WHERE r.role_name = ANY($3)
+            ) AS is_demo
+     FROM users u
+     JOIN user_organizations uo ON uo.user_id = u.id
+     WHERE LOWER(u.email) = LOWER($1) AND uo.organization_id = $2 AND uo.status = 'active'
+     LIMIT 1`,
+    [email, organizationId, DEMO_ROLES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {Object} translations - Bundle for the member's language
+ * @returns {Function} (key, values) -> text with {placeholders} filled
+ */
+function translator(translations) {
+  const fallback = getTranslationsByCode('en');
+  return (key, values = {}) => Object.entries(values).reduce(
+    (text, [name, value]) => text.replaceAll(`{${name}}`, value ?? ''),
+    translations[key] || fallback[key] || key
+  );
+}
+
+/**
+ * @param {string} cardId - Card identifier
+ * @param {Object} header - { title, subtitle }
+ * @param {Object[]} sections - Card sections
+ * @param {string} [notice] - Outcome of the button just tapped, shown first
+ * @returns {Object} Message with one card
+ */
+function cardMessage(cardId, header, sections, notice) {
+  const allSections = notice
+    ? [{ widgets: [{ textParagraph: { text: `<b>${escapeCardText(notice)}</b>` } }] }, ...sections]
+    : sections;
+  return {
+    cardsV2: [{
+      cardId,
+      card: {
+        header: {
+          title: escapeCardText(header.title),
+          ...(header.subtitle ? { subtitle: escapeCardText(header.subtitle) } : {})
+        },
+        sections: allSections
+      }
+    }]
+  };
+}
+
+/**
+ * @param {string} text - Plain text
+ * @returns {Object} Section with one paragraph
+ */
+function textSection(text) {
+  return { widgets: [{ textParagraph: { text: escapeCardText(text) } }] };
+}
+
+/**
+ * @param {string} label - Button label
+ * @param {string} action - Function name sent back on CARD_CLICKED
+ * @param {Object} parameters - Sent back with the action
+ * @returns {Object} Button
+ */
+function actionButton(label, action, parameters) {
+  return {
+    text: label,
+    onClick: {
+      action: {
+        function: action,
+        parameters: Object.entries(parameters).map(([key, value]) => ({ key, value: String(value) }))
+      }
+    }
+  };
+}
+
+/**
+ * @param {string} lang - Language code
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Long date in the member's language
+ */
+function formatDate(lang, date) {
+  return new Intl.DateTimeFormat(lang, { dateStyle: 'full' }).format(new Date(`${date}T12:00:00`));
+}
+
+/**
+ * @param {string} lang - Language code
+ * @param {Date|string} value - Timestamp
+ * @returns {string} Time of day in the member's language
+ */
+function formatTime(lang, value) {
+  return new Intl.DateTimeFormat(lang, { timeStyle: 'short' }).format(new Date(value));
+}
+
+/**
+ * @param {Object} context - { pool, organizationId, member, lang, t, now }
+ * @param {string[]} args - today, or a YYYY-MM-DD date
+ * @returns {Promise<Object>} Attendance card
+ */
+async function attendanceCard({ pool, organizationId, lang, t, now }, args) {
+  const requested = args[0];
+  if (requested && requested !== 'today' && requested !== 'aujourdhui' && !/^\d{4}-\d{2}-\d{2}$/.test(requested)) {
+    return { text: t('google_chat_bot_invalid_date') };
+  }
+  const date = requested && /^\d/.test(requested) ? requested : formatLocalDate(now);
+
+  const result = await pool.query(
+    `SELECT a.status, p.first_name, p.last_name
+     FROM attendance a
+     JOIN participants p ON p.id = a.participant_id
+     WHERE a.organization_id = $1 AND a.date = $2::date
+     ORDER BY p.first_name, p.last_name`,
+    [organizationId, date]
+  );
+
+  const header = { title: t('google_chat_bot_attendance_title'), subtitle: formatDate(lang, date) };
+  if (result.rows.length === 0) {
+    return cardMessage('attendance', header, [textSection(t('google_chat_bot_attendance_empty'))]);
+  }
+
+  const counts = ATTENDANCE_STATUSES.map((status) => ({
+    decoratedText: {
+      topLabel: escapeCardText(t(status)),
+      text: String(result.rows.filter((row) => row.status === status).length)
+    }
+  }));
+  const missing = result.rows
+    .filter((row) => row.status === 'absent' || row.status === 'excused')
+    .map((row) => `${escapeCardText(`${row.first_name} ${row.last_name}`.trim())} (${escapeCardText(t(row.status))})`);
+
+  const sections = [{ widgets: counts }];
+  if (missing.length > 0) {
+    sections.push({
+      header: escapeCardText(t('google_chat_bot_attendance_missing')),
+      widgets: [{ textParagraph: { text: missing.join('<br>') } }]
+    });
+  }
+  return cardMessage('attendance', header, sections);
+}
+
+/**
+ * @param {Object} context - { pool, organizationId, member, lang, t, now }
+ * @param {string} [notice] - Outcome of a Mark given button
+ * @returns {Promise<Object>} Card of doses overdue or due soon
+ */
+async function medicationCard({ pool, organizationId, member, lang, t, now }, notice) {
+  const result = await pool.query(
+    `SELECT md.id, md.scheduled_for, md.activity_name, mr.medication_name,
+            p.first_name, p.last_name
+     FROM medication_distributions md
+     JOIN medication_requirements mr ON mr.id = md.medication_requirement_id
+     JOIN participants p ON p.id = md.participant_id
+     WHERE md.organization_id = $1
+       AND md.status = 'scheduled'
+       AND md.scheduled_for >= $2::timestamptz - ($3 || ' hours')::INTERVAL
+       AND md.scheduled_for <= $2::timestamptz + ($4 || ' minutes')::INTERVAL
+     ORDER BY md.scheduled_for, p.first_name, p.last_name
+     LIMIT ${MAX_ROWS}`,
+    [organizationId, now.toISOString(), MEDICATION_OVERDUE_HOURS, MEDICATION_DUE_AHEAD_MINUTES]
+  );
+
+  const header = { title: t('google_chat_bot_medication_title'), subtitle: t('google_chat_bot_medication_subtitle') };
+  if (result.rows.length === 0) {
+    return cardMessage('medication', header, [textSection(t('google_chat_bot_medication_empty'))], notice);
+  }
+
+  const canGive = member.permissions.includes('medication.manage') && !member.is_demo;
+  const widgets = result.rows.map((dose) => {
+    const overdue = new Date(dose.scheduled_for) < now;
+    return {
+      decoratedText: {
+        topLabel: escapeCardText(`${formatTime(lang, dose.scheduled_for)}${overdue ? ` · ${t('google_chat_bot_medication_overdue')}` : ''}`),
+        text: `<b>${escapeCardText(`${dose.first_name} ${dose.last_name}`.trim())}</b> — ${escapeCardText(dose.medication_name)}`,
+        ...(dose.activity_name ? { bottomLabel: escapeCardText(dose.activity_name) } : {}),
+        wrapText: true,
+        ...(canGive ? { button: actionButton(t('google_chat_bot_mark_given'), 'give_medication', { distributionId: dose.id }) } : {})
+      }
+    };
+  });
+  return cardMessage('medication', header, [{ widgets }], notice);
+}
+
+/**
+ * @param {Object} context - { pool, organizationId, member, lang, t, now }
+ * @returns {Promise<Object>} Card of the next meeting that is not cancelled
+ */
+async function nextMeetingCard({ pool, organizationId, lang, t, now }) {
+  const meetingResult = await pool.query(
+    `SELECT m.id, m.meeting_date::text AS meeting_date, m.start_time, m.end_time,
+            m.location, m.theme, u.full_name AS leader_name
+     FROM year_plan_meetings m
+     LEFT JOIN users u ON u.id = m.animateur_responsable
+     WHERE m.organization_id = $1 AND m.meeting_date >= $2 AND NOT m.is_cancelled
+     ORDER BY m.meeting_date ASC
+     LIMIT 1`,
+    [organizationId, formatLocalDate(now)]
+  );
+
+  const meeting = meetingResult.rows[0];
+  if (!meeting) {
+    return cardMessage('next-meeting', { title: t('google_chat_bot_meeting_title') }, [textSection(t('google_chat_bot_meeting_empty'))]);
+  }
+
+  const activitiesResult = await pool.query(
+    `SELECT name, start_time, duration_minutes, responsable
+     FROM year_plan_meeting_activities
+     WHERE meeting_id = $1 AND organization_id = $2
+     ORDER BY sort_order, id
+     LIMIT ${MAX_ROWS}`,
+    [meeting.id, organizationId]
+  );
+
+  const hours = [meeting.start_time, meeting.end_time].filter(Boolean).map((time) => String(time).slice(0, 5));
+  const details = [
+    [t('time'), hours.join(' – ')],
+    [t('location'), meeting.location],
+    [t('google_chat_bot_meeting_theme'), meeting.theme],
+    [t('google_chat_bot_meeting_leader'), meeting.leader_name]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => ({ decoratedText: { topLabel: escapeCardText(label), text: escapeCardText(value), wrapText: true } }));
+
+  const sections = details.length > 0 ? [{ widgets: details }] : [];
+  if (activitiesResult.rows.length > 0) {
+    sections.push({
+      header: escapeCardText(t('google_chat_bot_meeting_activities')),
+      widgets: activitiesResult.rows.map((activity) => ({
+        decoratedText: {
+          topLabel: escapeCardText([
+            activity.start_time ? String(activity.start_time).slice(0, 5) : null,
+            activity.duration_minutes ? `${activity.duration_minutes} min` : null
+          ].filter(Boolean).join(' · ')),
+          text: escapeCardText(activity.name),
+          ...(activity.responsable ? { bottomLabel: escapeCardText(activity.responsable) } : {}),
+          wrapText: true
+        }
+      }))
+    });
+  }
+  if (sections.length === 0) {
+    sections.push(textSection(t('google_chat_bot_meeting_no_details')));
+  }
+
+  return cardMessage('next-meeting', { title: t('google_chat_bot_meeting_title'), subtitle: formatDate(lang, meeting.meeting_date) }, sections);
+}
+
+/**
+ * @param {Object} context - { pool, organizationId, member, lang, t, now }
+ * @param {string} [notice] - Outcome of an Approve button
+ * @returns {Promise<Object>} Card of badges awaiting approval
+ */
+async function pendingBadgesCard({ pool, organizationId, member, t }, notice) {
+  const result = await pool.query(
+    `SELECT bp.id, bp.etoiles, p.first_name, p.last_name, bt.name AS badge_name
+     FROM badge_progress bp
+     JOIN participants p ON bp.participant_id = p.id
+     JOIN badge_templates bt ON bp.badge_template_id = bt.id
+     WHERE bp.organization_id = $1 AND bp.status = 'pending'
+     ORDER BY bp.created_at ASC
+     LIMIT ${MAX_ROWS}`,
+    [organizationId]
+  );
+
+  const header = { title: t('google_chat_bot_badges_title') };
+  if (result.rows.length === 0) {
+    return cardMessage('badges', header, [textSection(t('google_chat_bot_badges_empty'))], notice);
+  }
+
+  const canApprove = member.permissions.includes('badges.approve') && !member.is_demo;
+  const widgets = result.rows.map((badge) => ({
+    decoratedText: {
+      text: `<b>${escapeCardText(`${badge.first_name} ${badge.last_name}`.trim())}</b> — ${escapeCardText(badge.badge_name)}`,
+      ...(badge.etoiles ? { bottomLabel: escapeCardText(t('google_chat_bot_badge_level', { level: badge.etoiles })) } : {}),
+      wrapText: true,
+      ...(canApprove ? { button: actionButton(t('google_chat_bot_approve'), 'approve_badge', { badgeId: badge.id }) } : {})
+    }
+  }));
+  return cardMessage('badges', header, [{ widgets }], notice);
+}
+
+/** Command -> { permission needed to read, card builder } */
+const COMMANDS = {
+  attendance: { permission: 'attendance.view', build: attendanceCard },
+  medication: { permission: 'medication.view', build: (context) => medicationCard(context) },
+  next: { permission: null, build: (context) => nextMeetingCard(context) },
+  badges: { permission: 'badges.view', build: (context) => pendingBadgesCard(context) }
+};
+
+/**
+ * Record the dose as given now by the member, as the medication page does.
+ *
+ * @param {Object} context - { pool, organizationId, member, t }
+ * @param {number} distributionId - medication_distributions id
+ * @returns {Promise<string>} Notice for the refreshed card
+ */
+async function giveMedication({ pool, organizationId, member, t }, distributionId) {
+  const existing = await pool.query(
+    `SELECT md.*, mr.medication_name, p.first_name, p.last_name
+     FROM medication_distributions md
+     JOIN medication_requirements mr ON mr.id = md.medication_requirement_id
+     JOIN participants p ON p.id = md.participant_id
+     WHERE md.id = $1 AND md.organization_id = $2`,
+    [distributionId, organizationId]
+  );
+  const dose = existing.rows[0];
+  if (!dose) return t('google_chat_bot_medication_not_found');
+  if (dose.status === 'given') return t('google_chat_bot_medication_already_given');
+
+  // Only a dose still scheduled: a second tap, or a change made meanwhile, leaves it alone
+  const result = await pool.query(
+    `UPDATE medication_distributions
+     SET status = 'given',
+         administered_at = NOW(),
+         administered_by = $3,
+         updated_at = NOW()
+     WHERE id = $1 AND organization_id = $2 AND status = 'scheduled'
+     RETURNING *`,
+    [distributionId, organizationId, member.id]
+  );
+  if (result.rows.length === 0) return t('google_chat_bot_medication_not_found');
+
+  const { medication_name: medication, first_name: firstName, last_name: lastName, ...before } = dose;
+  await recordAudit(pool, {
+    user: { id: member.id, organizationId },
+    headers: { 'user-agent': 'Google Chat' }
+  }, {
+    organizationId,
+    action: 'update',
+    entityType: 'medication_distribution',
+    entityId: distributionId,
+    before,
+    after: result.rows[0],
+    note: 'Google Chat'
+  });
+
+  return t('google_chat_bot_medication_given', { medication, participant: `${firstName} ${lastName}`.trim() });
+}
+
+/**
+ * @param {Object} context - { pool, organizationId, t }
+ * @param {number} badgeId - badge_progress id
+ * @returns {Promise<string>} Notice for the refreshed card
+ */
+async function approvePendingBadge({ pool, organizationId, t }, badgeId) {
+  const approval = await approveBadge(pool, organizationId, badgeId, { pendingOnly: true });
+  if (!approval) return t('google_chat_bot_badge_not_pending');
+
+  const details = await pool.query(
+    `SELECT p.first_name, p.last_name, bt.name AS badge_name
+     FROM badge_progress bp
+     JOIN participants p ON p.id = bp.participant_id
+     JOIN badge_templates bt ON bt.id = bp.badge_template_id
+     WHERE bp.id = $1`,
+    [approval.badge.id]
+  );
+  const row = details.rows[0] || {};
+  return t('google_chat_bot_badge_approved', {
+    badge: row.badge_name,
+    participant: `${row.first_name || ''} ${row.last_name || ''}`.trim(),
+    points: approval.points
+  });
+}
+
+/** Button -> { permission needed, what it does, card to show after } */
+const ACTIONS = {
+  give_medication: {
+    permission: 'medication.manage',
+    parameter: 'distributionId',
+    run: giveMedication,
+    card: medicationCard
+  },
+  approve_badge: {
+    permission: 'badges.approve',
+    parameter: 'badgeId',
+    run: approvePendingBadge,
+    card: pendingBadgesCard
+  }
+};
+
+/**
+ * Function name and parameters of a tapped button, from either event format.
+ *
+ * @param {Object} event - CARD_CLICKED event
+ * @returns {{name: string|undefined, parameters: Object}} Action
+ */
+function readAction(event) {
+  if (event.common?.invokedFunction) {
+    return { name: event.common.invokedFunction, parameters: event.common.parameters || {} };
+  }
+  const parameters = Object.fromEntries((event.action?.parameters || []).map(({ key, value }) => [key, value]));
+  return { name: event.action?.actionMethodName, parameters };
+}
+
+/**
+ * Answer one Chat event.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} event - Interaction event posted by Chat
+ * @param {Object} options
+ * @param {string} options.projectNumber - Verified token audience
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Object>} Message to show, {} for nothing
+ */
+async function handleChatEvent(pool, event = {}, { projectNumber, now = new Date() }) {
+  if (event.type === 'REMOVED_FROM_SPACE') return {};
+
+  const organizationId = await findSpaceOrganization(pool, event.space?.name, projectNumber);
+  if (!organizationId) {
+    return { text: translator(getTranslationsByCode('fr'))('google_chat_bot_unknown_space') };
+  }
+
+  const email = event.user?.email;
+  const member = await findMember(pool, organizationId, email);
+  const lang = (await getUserEmailLanguage(pool, email || '', organizationId) || 'fr').slice(0, 2);
+  const t = translator(getTranslationsByCode(lang));
+
+  if (event.type === 'ADDED_TO_SPACE') return { text: t('google_chat_bot_help') };
+  if (!member) return { text: t('google_chat_bot_unknown_member', { email: email || '?' }) };
+
+  const context = { pool, organizationId, member, lang, t, now };
+  const allowed = (permission) => !permission || member.permissions.includes(permission);
+
+  if (event.type === 'CARD_CLICKED') {
+    const { name, parameters } = readAction(event);
+    const action = ACTIONS[name];
+    const id = Number.parseInt(parameters[action?.parameter], 10);
+    if (!action || !Number.isInteger(id)) return { text: t('google_chat_bot_help') };
+    if (member.is_demo) return { text: t('google_chat_bot_demo') };
+    if (!allowed(action.permission)) return { text: t('google_chat_bot_not_allowed') };
+
+    const notice = await action.run(context, id);
+    return { actionResponse: { type: 'UPDATE_MESSAGE' }, ...(await action.card(context, notice)) };
+  }
+
+  const { name, args } = parseCommand(event.message);
+  const command = COMMANDS[name];
+  if (!command) return { text: t('google_chat_bot_help') };
+  if (!allowed(command.permission)) return { text: t('google_chat_bot_not_allowed') };
+  return command.build(context, args);
+}
+
+module.exports = {
+  CHAT_ISSUER,
+  verifyChatRequest,
+  parseCommand,
+  escapeCardText,
+  handleChatEvent
+};
@@ -0,0 +1,451 @@
+/**
+ * Job Queue Service
+ *
+ * Postgres-backed background jobs (table `jobs`, migration 016). Anything
+ * that should run later, on a schedule, or be retried when it fails is a job:
+ * a row naming its `type` and carrying a JSON `payload`.
+ *
+ * - enqueueJob() writes a job from anywhere that has a pool; the process
+ *   running the queue picks it up when it is due.
+ * - JobQueue runs the handlers registered for each type. It claims due jobs
+ *   with FOR UPDATE SKIP LOCKED, so several servers share the work.
+ * - A failed attempt is retried after an exponential backoff; once
+ *   `max_attempts` attempts failed the job is `dead` (dead letter) until an
+ *   administrator retries it.
+ * - A recurring job goes back to `pending` for its next run once done.
+ *
+ * The queue sleeps until the next job is due rather than polling. A
+ * `job_ready` NOTIFY (trigger on `jobs`) wakes it when a job is added or
+ * rescheduled sooner; a slow safety poll covers missed notifications.
+ */
+
+'use strict';
+
+const os = require('os');
+const { Client } = require('pg');
+const { resolveDatabaseConnectionString } = require('../config/database-url');
+
+/** Every job type the application runs. Enqueuing any other type is refused. */
+const JOB_TYPES = Object.freeze({
+  INCIDENT_EMAILS: 'incidents.send_emails',
+  SCHEDULED_ANNOUNCEMENTS: 'announcements.send_scheduled',
+  MEDICATION_REMINDERS: 'reminders.medication',
+  PAYMENT_REMINDERS: 'reminders.payment',
+  CARPOOL_REMINDERS: 'reminders.carpool',
+  PRUNE_JOBS: 'jobs.prune'
+});
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;   // never wait more than 6 hours between attempts
+const BATCH_SIZE = 10;
+const SAFETY_POLL_MS = 5 * 60_000;         // look for due jobs at least every 5 minutes
+const MIN_WAKE_DELAY_MS = 1_000;
+const STALE_LOCK_MINUTES = 15;             // a running job older than this lost its worker
+const COMPLETED_RETENTION_DAYS = 14;
+const DEAD_RETENTION_DAYS = 90;
+
+/**
+ * Delay before the next attempt after `attempts` failed ones.
+ *
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} [baseSeconds] - Delay after the first failure
+ * @returns {number} Seconds
+ */
+function backoffSeconds(attempts, baseSeconds = DEFAULT_BACKOFF_SECONDS) {
+  return Math.min(baseSeconds * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Add a job to the queue.
+ *
+ * With a `uniqueKey`, a pending job with the same key is moved to the new
+ * `runAt` and payload instead of adding a second one; a running one is left
+ * alone and nothing is added.
+ *
+ * @param {Object} db - Pool or client
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} [payload] - Handler input, stored as JSON
+ * @param {Object} [options]
+ * @param {number|null} [options.organizationId] - Organization the job belongs to (null for system jobs)
+ * @param {Date|string|null} [options.runAt] - Earliest run time (default now)
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead
+ * @param {number} [options.priority] - Higher runs first among due jobs
+ * @param {string|null} [options.uniqueKey] - At most one pending or running job per key
+ * @returns {Promise<Object|null>} Job row, or null when a running job holds the key
+ */
+async function enqueueJob(db, type, payload = {}, {
+  organizationId = null,
+  runAt = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  priority = 0,
+  uniqueKey = null
+} = {}) {
+  if (!Object.values(JOB_TYPES).includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const result = await db.query(
+    `INSERT INTO jobs (organization_id, type, payload, run_at, max_attempts, priority, unique_key)
+     VALUES ($1, $2, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP), $5, $6, $7)
+     ON CONFLICT (unique_key) WHERE unique_key IS NOT NULL AND status IN ('pending', 'running')
+     DO UPDATE SET payload = EXCLUDED.payload, run_at = EXCLUDED.run_at, updated_at = CURRENT_TIMESTAMP
+       WHERE jobs.status = 'pending'
+     RETURNING *`,
+    [organizationId, type, JSON.stringify(payload), runAt, maxAttempts, priority, uniqueKey]
+  );
+  return result.rows[0] || null;
+}
+
+class JobQueue {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('winston').Logger} logger
+   */
+  constructor(pool, logger) {
+    this.pool = pool;
+    this.logger = logger;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this._handlers = new Map();
+    this._recurring = [];
+    this._started = false;
+    this._running = false;
+    this._wakeAgain = false;
+    this._timer = null;
+    this._timerAt = null;
+    this._listenClient = null;
+    this._reconnectTimeout = null;
+    this._reconnectAttempts = 0;
+  }
+
+  /**
+   * Register the handler of a job type. The handler gets the payload and the
+   * job row; throwing fails the attempt.
+   *
+   * @param {string} type - One of JOB_TYPES
+   * @param {Function} handler - async (payload, job) => void
+   * @param {Object} [options]
+   * @param {number} [options.backoffSeconds] - Delay after the first failure, doubled each time
+   */
+  register(type, handler, { backoffSeconds: baseSeconds = DEFAULT_BACKOFF_SECONDS } = {}) {
+    if (!Object.values(JOB_TYPES).includes(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    this._handlers.set(type, { handler, backoffSeconds: baseSeconds });
+  }
+
+  /**
+   * Run a registered job type every `everySeconds`. The recurring job is
+   * created on start, once across all servers.
+   *
+   * @param {string} type - Registered job type
+   * @param {number} everySeconds - Interval between runs
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts per run before a dead copy is kept
+   */
+  every(type, everySeconds, { maxAttempts = 3 } = {}) {
+    this._recurring.push({ type, everySeconds, maxAttempts });
+  }
+
+  /** Create the recurring jobs, start listening and run what is due. Safe to call multiple times. */
+  async start() {
+    if (this._started) return;
+    this._started = true;
+
+    for (const { type, everySeconds, maxAttempts } of this._recurring) {
+      await this.pool.query(
+        `INSERT INTO jobs (type, payload, max_attempts, repeat_every_seconds, unique_key)
+         VALUES ($1, '{}'::jsonb, $2, $3, $4)
+         ON CONFLICT (unique_key) WHERE unique_key IS NOT NULL AND status IN ('pending', 'running')
+         DO UPDATE SET repeat_every_seconds = EXCLUDED.repeat_every_seconds, max_attempts = EXCLUDED.max_attempts`,
+        [type, maxAttempts, everySeconds, `recurring:${type}`]
+      );
+    }
+
+    this.logger.info(`[JobQueue] Started (${this._handlers.size} job types, worker ${this.workerId})`);
+    await this._listen();
+    this._tick();
+  }
+
+  /** Stop running jobs and close the listener on graceful shutdown. */
+  async stop() {
+    if (!this._started) return;
+    this._started = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
+    if (this._listenClient) {
+      const client = this._listenClient;
+      this._listenClient = null;
+      client.removeAllListeners();
+      await client.end().catch((err) => this.logger.error('[JobQueue] Error closing listener:', err));
+    }
+    this.logger.info('[JobQueue] Stopped');
+  }
+
+  /** Run due jobs, then sleep until the next one – wrapped so errors never stop the queue. */
+  async _tick() {
+    if (this._running) {
+      this._wakeAgain = true;
+      return;
+    }
+    this._running = true;
+    try {
+      do {
+        this._wakeAgain = false;
+        await this.runDueJobs();
+      } while (this._wakeAgain);
+    } catch (err) {
+      this.logger.error('[JobQueue] Unhandled error in tick:', err);
+    } finally {
+      this._running = false;
+    }
+    if (this._started) {
+      await this._armTimer().catch((err) => {
+        this.logger.error('[JobQueue] Could not plan the next run:', err);
+        this._setTimer(SAFETY_POLL_MS);
+      });
+    }
+  }
+
+  /**
+   * Claim and run every job that is due, batch after batch.
+   *
+   * @returns {Promise<number>} Jobs run
+   */
+  async runDueJobs() {
+    await this._releaseStaleJobs();
+
+    let ran = 0;
+    for (;;) {
+      const claimed = await this.pool.query(
+        `UPDATE jobs
+         SET status = 'running', locked_by = $1, locked_at = CURRENT_TIMESTAMP,
+             attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (
+           SELECT id FROM jobs
+           WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP AND type = ANY($2::text[])
+           ORDER BY priority DESC, run_at, id
+           LIMIT $3
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [this.workerId, [...this._handlers.keys()], BATCH_SIZE]
+      );
+      if (claimed.rows.length === 0) break;
+
+      for (const job of claimed.rows) {
+        await this._run(job);
+        ran += 1;
+      }
+      if (claimed.rows.length < BATCH_SIZE) break;
+    }
+    return ran;
+  }
+
+  async _run(job) {
+    const { handler, backoffSeconds: baseSeconds } = this._handlers.get(job.type);
+    try {
+      await handler(job.payload || {}, job);
+    } catch (err) {
+      await this._fail(job, err, baseSeconds);
+      return;
+    }
+
+    if (job.repeat_every_seconds) {
+      await this.pool.query(
+        `UPDATE jobs
+         SET status = 'pending', attempts = 0, last_error = NULL, locked_by = NULL, locked_at = NULL,
+             completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+             run_at = CURRENT_TIMESTAMP + make_interval(secs => repeat_every_seconds)
+         WHERE id = $1`,
+        [job.id]
+      );
+    } else {
+      await this.pool.query(
+        `UPDATE jobs
+         SET status = 'completed', locked_by = NULL, locked_at = NULL,
+             completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id]
+      );
+    }
+  }
+
+  async _fail(job, err, baseSeconds) {
+    const message = String(err?.stack || err?.message || err).slice(0, 4000);
+    const exhausted = job.attempts >= job.max_attempts;
+
+    if (!exhausted) {
+      const delay = backoffSeconds(job.attempts, baseSeconds);
+      await this.pool.query(
+        `UPDATE jobs
+         SET status = 'pending', last_error = $2, locked_by = NULL, locked_at = NULL,
+             run_at = CURRENT_TIMESTAMP + make_interval(secs => $3), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, message, delay]
+      );
+      this.logger.warn(`[JobQueue] ${job.type} #${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delay}s: ${err?.message || err}`);
+      return;
+    }
+
+    if (job.repeat_every_seconds) {
+      // Keep the failure for the record, and the schedule going
+      await this.pool.query(
+        `INSERT INTO jobs (organization_id, type, payload, status, attempts, max_attempts, last_error, run_at)
+         VALUES ($1, $2, $3, 'dead', $4, $5, $6, $7)`,
+        [job.organization_id, job.type, JSON.stringify(job.payload || {}), job.attempts, job.max_attempts, message, job.run_at]
+      );
+      await this.pool.query(
+        `UPDATE jobs
+         SET status = 'pending', attempts = 0, last_error = $2, locked_by = NULL, locked_at = NULL,
+             run_at = CURRENT_TIMESTAMP + make_interval(secs => repeat_every_seconds), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, message]
+      );
+    } else {
+      await this.pool.query(
+        `UPDATE jobs
+         SET status = 'dead', last_error = $2, locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, message]
+      );
+    }
+    this.logger.error(`[JobQueue] ${job.type} #${job.id} is dead after ${job.attempts} attempt(s): ${err?.message || err}`);
+  }
+
+  /** Jobs left running by a worker that stopped go back to the queue, or die if out of attempts. */
+  async _releaseStaleJobs() {
+    const result = await this.pool.query(
+      `UPDATE jobs
+       SET status = CASE WHEN attempts >= max_attempts AND repeat_every_seconds IS NULL THEN 'dead' ELSE 'pending' END,
+           attempts = CASE WHEN repeat_every_seconds IS NOT NULL AND attempts >= max_attempts THEN 0 ELSE attempts END,
+           last_error = 'Worker ' || COALESCE(locked_by, '?') || ' stopped while running the job',
+           locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'running' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+       RETURNING id`,
+      [STALE_LOCK_MINUTES]
+    );
+    if (result.rows.length > 0) {
+      this.logger.warn(`[JobQueue] Released ${result.rows.length} job(s) left running by a stopped worker`);
+    }
+  }
+
+  /** Sleep until the next pending job is due, or the safety poll. */
+  async _armTimer() {
+    const next = await this.pool.query(
+      `SELECT MIN(run_at) AS run_at FROM jobs
+       WHERE status = 'pending' AND type = ANY($1::text[])`,
+      [[...this._handlers.keys()]]
+    );
+    const runAt = next.rows[0]?.run_at ? new Date(next.rows[0].run_at).getTime() : null;
+    this._setTimer(runAt === null ? SAFETY_POLL_MS : runAt - Date.now());
+  }
+
+  _setTimer(delayMs) {
+    if (!this._started) return;
+    const delay = Math.min(Math.max(delayMs, MIN_WAKE_DELAY_MS), SAFETY_POLL_MS);
+    if (this._timer) clearTimeout(this._timer);
+    this._timerAt = Date.now() + delay;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._timerAt = null;
+      this._tick();
+    }, delay);
+    this._timer.unref?.();
+  }
+
+  /** A job became pending: run now if due, or wake earlier than planned. */
+  _onJobReady(payload) {
+    if (!this._handlers.has(payload?.type)) return;
+    const runAt = payload.run_at ? new Date(payload.run_at).getTime() : Date.now();
+    if (runAt <= Date.now()) {
+      this._tick();
+    } else if (!this._timerAt || runAt < this._timerAt) {
+      this._setTimer(runAt - Date.now());
+    }
+  }
+
+  /**
+   * LISTEN on a dedicated client (a pooled connection cannot hold it).
+   * Reconnects with backoff: 5s, 10s, 20s, 40s, up to 60s.
+   */
+  async _listen() {
+    try {
+      this._listenClient = new Client({
+        connectionString: resolveDatabaseConnectionString(),
+      });
+      this._listenClient.on('notification', (msg) => {
+        if (msg.channel !== 'job_ready') return;
+        try {
+          this._onJobReady(msg.payload ? JSON.parse(msg.payload) : null);
+        } catch (err) {
+          this.logger.warn('[JobQueue] Ignoring unreadable job_ready payload:', msg.payload);
+        }
+      });
+      this._listenClient.on('error', (err) => {
+        this.logger.error('[JobQueue] Listener error:', err);
+        this._reconnect();
+      });
+      this._listenClient.on('end', () => {
+        if (this._started) {
+          this.logger.warn('[JobQueue] Listener disconnected');
+          this._reconnect();
+        }
+      });
+      await this._listenClient.connect();
+      await this._listenClient.query('LISTEN job_ready');
+      this._reconnectAttempts = 0;
+    } catch (err) {
+      this.logger.error('[JobQueue] Could not listen for jobs:', err);
+      this._reconnect();
+    }
+  }
+
+  _reconnect() {
+    if (this._reconnectTimeout || !this._started) return;
+    if (this._listenClient) {
+      this._listenClient.removeAllListeners();
+      this._listenClient.end().catch(() => {});
+      this._listenClient = null;
+    }
+    this._reconnectAttempts += 1;
+    const delay = Math.min(5000 * 2 ** (this._reconnectAttempts - 1), 60000);
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      // Jobs may have become due while disconnected
+      this._listen().then(() => this._tick());
+    }, delay);
+  }
+}
+
+/**
+ * Delete old finished jobs: completed ones after COMPLETED_RETENTION_DAYS,
+ * dead ones after DEAD_RETENTION_DAYS.
+ *
+ * @param {Object} db - Pool or client
+ * @returns {Promise<number>} Jobs deleted
+ */
+async function pruneJobs(db) {
+  const result = await db.query(
+    `DELETE FROM jobs
+     WHERE (status = 'completed' AND completed_at < CURRENT_TIMESTAMP - make_interval(days => $1))
+        OR (status = 'dead' AND updated_at < CURRENT_TIMESTAMP - make_interval(days => $2))`,
+    [COMPLETED_RETENTION_DAYS, DEAD_RETENTION_DAYS]
+  );
+  return result.rowCount || 0;
+}
+
+module.exports = JobQueue;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.backoffSeconds = backoffSeconds;
+module.exports.enqueueJob = enqueueJob;
+module.exports.pruneJobs = pruneJobs;
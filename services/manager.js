@@ -1,6 +1,10 @@
 const WhatsAppBaileysService = require("./whatsapp-baileys");
 const GoogleChatService = require("./google-chat");
 const MedicationReminderService = require("./medication-reminders");
+const PaymentReminderService = require("./payment-reminders");
+const CarpoolReminderService = require("./carpool-reminders");
+const JobQueue = require("./job-queue");
+const { JOB_TYPES, pruneJobs } = require("./job-queue");
 const socketService = require("./socket");
 const logger = require("../config/logger");
 const { isTestEnvironment } = require("../test/test-helpers");
@@ -8,6 +12,11 @@ const { isTestEnvironment } = require("../test/test-helpers");
 let whatsappService;
 let googleChatService;
 let medicationReminderService;
+let paymentReminderService;
+let carpoolReminderService;
+let jobQueue;
+
+const PRUNE_JOBS_EVERY_SECONDS = 24 * 60 * 60;
 
 /**
  * Initialize all application services
@@ -36,13 +45,49 @@ async function init(pool) {
 
     // 2. Google Chat Service
     googleChatService = new GoogleChatService(pool);
+    whatsappService.setGoogleChatService(googleChatService);
 
-    // 3. Medication Reminder Service (started in restore())
+    // 3. Reminder services (run as recurring jobs)
     medicationReminderService = new MedicationReminderService(pool, logger);
+    paymentReminderService = new PaymentReminderService(pool, logger);
+    carpoolReminderService = new CarpoolReminderService(pool, logger);
+
+    // 4. Job queue (started in restore())
+    jobQueue = new JobQueue(pool, logger);
+    registerJobs(pool);
 
     logger.info("✅ Services initialized");
 }
 
+/**
+ * Register the handler of every job type, and the recurring ones.
+ * Route modules are required lazily: they load this module themselves.
+ *
+ * @param {import('pg').Pool} pool - The database connection pool
+ */
+function registerJobs(pool) {
+    const { processEmailQueue } = require("../routes/incidents");
+    const { processScheduledAnnouncements } = require("../routes/announcements");
+
+    jobQueue.register(JOB_TYPES.INCIDENT_EMAILS, () => processEmailQueue(pool, logger));
+    jobQueue.every(JOB_TYPES.INCIDENT_EMAILS, 60);
+
+    jobQueue.register(JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, (_payload, job) =>
+        processScheduledAnnouncements(pool, logger, whatsappService, googleChatService, job));
+
+    jobQueue.register(JOB_TYPES.MEDICATION_REMINDERS, () => medicationReminderService.sendDueReminders());
+    jobQueue.every(JOB_TYPES.MEDICATION_REMINDERS, MedicationReminderService.RUN_EVERY_SECONDS);
+
+    jobQueue.register(JOB_TYPES.PAYMENT_REMINDERS, () => paymentReminderService.sendDueReminders());
+    jobQueue.every(JOB_TYPES.PAYMENT_REMINDERS, PaymentReminderService.RUN_EVERY_SECONDS);
+
+    jobQueue.register(JOB_TYPES.CARPOOL_REMINDERS, () => carpoolReminderService.sendDueReminders());
+    jobQueue.every(JOB_TYPES.CARPOOL_REMINDERS, CarpoolReminderService.RUN_EVERY_SECONDS);
+
+    jobQueue.register(JOB_TYPES.PRUNE_JOBS, () => pruneJobs(pool));
+    jobQueue.every(JOB_TYPES.PRUNE_JOBS, PRUNE_JOBS_EVERY_SECONDS);
+}
+
 /**
  * Get the WhatsApp service instance
  * @returns {WhatsAppBaileysService}
@@ -59,12 +104,21 @@ function getGoogleChatService() {
     return googleChatService;
 }
 
+/**
+ * Get the job queue instance
+ * @returns {JobQueue}
+ */
+function getJobQueue() {
+    return jobQueue;
+}
+
 /**
  * Restore service state and start background services
  * 
  * Called after server startup to ensure all dependencies are ready.
  * - WhatsApp: restore saved connection state
- * - Medication Reminders: start polling for upcoming doses
+ * - Job queue: start running background jobs (incident emails, scheduled
+ *   announcements, medication, payment and carpool reminders)
  */
 async function restore() {
     if (whatsappService) {
@@ -76,18 +130,22 @@ async function restore() {
         }
     }
 
-    // Start medication reminder polling after server is fully initialized
-    if (medicationReminderService) {
-        medicationReminderService.start();
+    // Start running jobs after server is fully initialized
+    if (jobQueue) {
+        try {
+            await jobQueue.start();
+        } catch (error) {
+            logger.error("Error starting job queue:", error);
+        }
     }
 }
 
 /**
  * Stop all background services (called during graceful shutdown)
  */
-function shutdown() {
-    if (medicationReminderService) {
-        medicationReminderService.stop();
+async function shutdown() {
+    if (jobQueue) {
+        await jobQueue.stop();
     }
 }
 
@@ -97,4 +155,5 @@ module.exports = {
     shutdown,
     getWhatsAppService,
     getGoogleChatService,
+    getJobQueue,
 };
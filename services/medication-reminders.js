@@ -1,10 +1,10 @@
 /**
  * Medication Reminder Service
  *
- * Runs a background interval that checks for scheduled medication distributions
- * due within the next REMINDER_WINDOW_MINUTES and sends a real Web Push
- * notification to every subscriber in that organisation who holds the
- * `medication.view` permission.
+ * Runs as a recurring job (services/job-queue) that checks for scheduled
+ * medication distributions due within the next REMINDER_WINDOW_MINUTES and
+ * sends a real Web Push notification to every subscriber in that organisation
+ * who holds the `medication.view` permission.
  *
  * Reminders are only dispatched while an activity is actively running in the
  * organisation (guards against waking people up outside of camp hours).
@@ -18,7 +18,7 @@
 const { getTranslationsByCode } = require('../utils/index');
 
 const REMINDER_WINDOW_MINUTES = 15; // notify this many minutes before a dose is due
-const POLL_INTERVAL_MS = 60_000;    // check every 60 seconds
+const RUN_EVERY_SECONDS = 60;       // check every 60 seconds
 
 class MedicationReminderService {
   /**
@@ -28,39 +28,6 @@ class MedicationReminderService {
   constructor(pool, logger) {
     this.pool = pool;
     this.logger = logger;
-    this._intervalId = null;
-    this._running = false;
-  }
-
-  /** Start the polling interval. Safe to call multiple times. */
-  start() {
-    if (this._intervalId) return;
-    this.logger.info('[MedicationReminders] Service started (poll every 60s, window: 15 min)');
-    // Run immediately, then on each interval tick
-    this._tick();
-    this._intervalId = setInterval(() => this._tick(), POLL_INTERVAL_MS);
-  }
-
-  /** Stop the polling interval on graceful shutdown. */
-  stop() {
-    if (this._intervalId) {
-      clearInterval(this._intervalId);
-      this._intervalId = null;
-      this.logger.info('[MedicationReminders] Service stopped');
-    }
-  }
-
-  /** Single poll cycle – wrapped so errors never crash the interval. */
-  async _tick() {
-    if (this._running) return; // skip if previous tick is still processing
-    this._running = true;
-    try {
-      await this._checkAndSendReminders();
-    } catch (err) {
-      this.logger.error('[MedicationReminders] Unhandled error in tick:', err);
-    } finally {
-      this._running = false;
-    }
   }
 
   /**
@@ -74,7 +41,7 @@ class MedicationReminderService {
    * 3. Send a Web Push notification to each eligible subscriber.
    * 4. Mark the distribution as notified.
    */
-  async _checkAndSendReminders() {
+  async sendDueReminders() {
     const { pool, logger } = this;
 
     // ------------------------------------------------------------------ //
@@ -302,3 +269,4 @@ class MedicationReminderService {
 }
 
 module.exports = MedicationReminderService;
+module.exports.RUN_EVERY_SECONDS = RUN_EVERY_SECONDS;
@@ -0,0 +1,253 @@
+/**
+ * OAS Progression Rules Service
+ *
+ * Decides which OAS stages a youth has earned from the competencies recorded
+ * for them, using the `stageAwards` block of the catalog's program rules
+ * (catalog/oas/<version>/program-rules.json, loaded into
+ * program_catalog_rules by scripts/load-oas-catalog.js).
+ *
+ * Rules are advisory: an earned stage is never awarded here. It is proposed
+ * as an `oas_stage` claim in progress_approvals, so it waits in the same
+ * leader queue as evidence-backed claims, and the leader's approval records
+ * the stage award through recordProgression.
+ *
+ * The same evaluation answers "what's next" for a youth: per skill, the
+ * stage being worked on and the competencies still missing for it.
+ *
+ * @module services/oasProgressionRules
+ */
+
+const STAGE_CLAIM_SOURCE_TYPE = 'oas_stage';
+
+/**
+ * Rules used when the catalog names none, matching the printed OAS handbook:
+ * every required competency of the stage, and the stages taken in order.
+ */
+const DEFAULT_STAGE_AWARD_RULES = {
+  requirePreviousStage: true,
+  minimumCompetencies: null,
+  minimumByStage: {}
+};
+
+/**
+ * Read the stage-award rules of the most recently applied OAS catalog.
+ *
+ * @param {Object} client - pg client or pool
+ * @returns {Promise<Object>} Rules, with defaults filled in
+ */
+async function loadStageAwardRules(client) {
+  const result = await client.query(
+    `SELECT r.rules_json
+       FROM program_catalog_rules r
+       JOIN program_catalog_versions v ON v.program = r.program AND v.version = r.version
+      WHERE r.program = 'oas'
+      ORDER BY v.applied_at DESC NULLS LAST
+      LIMIT 1`
+  );
+  const stageAwards = result.rows[0]?.rules_json?.stageAwards || {};
+  return {
+    ...DEFAULT_STAGE_AWARD_RULES,
+    ...stageAwards,
+    minimumByStage: { ...(stageAwards.minimumByStage || {}) }
+  };
+}
+
+/**
+ * Check one stage's competencies against the rules.
+ *
+ * A stage with no active competencies is never earned automatically; there
+ * is nothing to base the decision on.
+ *
+ * @param {Object} stage - Stage with `stage_order` and `competencies`
+ * @param {Object} rules - Result of loadStageAwardRules
+ * @returns {{earned: boolean, completed: number, needed: number, remaining: Array<Object>}}
+ */
+function evaluateStage(stage, rules) {
+  const awarded = stage.competencies.filter((competency) => competency.participant_status === 'awarded');
+  const missingRequired = stage.competencies.filter(
+    (competency) => competency.is_required && competency.participant_status !== 'awarded'
+  );
+  const requiredCount = stage.competencies.filter((competency) => competency.is_required).length;
+  const minimum = rules.minimumByStage[String(stage.stage_order)] ?? rules.minimumCompetencies;
+  const needed = Math.min(
+    stage.competencies.length,
+    Math.max(requiredCount, Number.isInteger(minimum) ? minimum : requiredCount)
+  );
+
+  return {
+    earned: stage.competencies.length > 0 && missingRequired.length === 0 && awarded.length >= needed,
+    completed: awarded.length,
+    needed,
+    remaining: stage.competencies
+      .filter((competency) => competency.participant_status !== 'awarded')
+      .map(({ id, code, name, is_required: isRequired, participant_status: status }) => ({
+        id,
+        code,
+        name,
+        is_required: isRequired,
+        participant_status: status || null
+      }))
+  };
+}
+
+/**
+ * Evaluate every active OAS skill for one youth.
+ *
+ * Stage status is one of:
+ * - `awarded` / `revoked`: a stage award is on record
+ * - `proposed`: earned, and a claim waits for a leader
+ * - `earned`: the rules are met but no claim is open (it was rejected)
+ * - `locked`: the previous stage is not done yet
+ * - `open`: being worked on
+ *
+ * @param {Object} client - pg client or pool
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.participantId - Participant ID
+ * @returns {Promise<Array<Object>>} Skills with their stages and `next_stage`
+ */
+async function evaluateParticipantStages(client, { organizationId, participantId }) {
+  const rules = await loadStageAwardRules(client);
+
+  const stagesResult = await client.query(
+    `SELECT s.id, s.oas_skill_id, s.stage_order, s.name,
+            sk.code AS skill_code, sk.name AS skill_name
+       FROM oas_stages s
+       JOIN oas_skills sk ON sk.id = s.oas_skill_id AND sk.organization_id = s.organization_id
+      WHERE s.organization_id = $1 AND s.is_active = TRUE AND sk.is_active = TRUE
+      ORDER BY sk.name, sk.id, s.stage_order`,
+    [organizationId]
+  );
+
+  const competenciesResult = await client.query(
+    `SELECT c.id, c.oas_stage_id, c.code, c.name, c.is_required, pc.status AS participant_status
+       FROM oas_competencies c
+       LEFT JOIN participant_oas_competency pc
+         ON pc.oas_competency_id = c.id
+        AND pc.organization_id = c.organization_id
+        AND pc.participant_id = $2
+      WHERE c.organization_id = $1 AND c.is_active = TRUE AND c.oas_stage_id IS NOT NULL
+      ORDER BY c.competency_order, c.id`,
+    [organizationId, participantId]
+  );
+
+  const awardsResult = await client.query(
+    `SELECT oas_stage_id, status
+       FROM participant_oas_stage_award
+      WHERE organization_id = $1 AND participant_id = $2`,
+    [organizationId, participantId]
+  );
+
+  const proposalsResult = await client.query(
+    `SELECT DISTINCT ON (source_id) id, source_id, status
+       FROM progress_approvals
+      WHERE organization_id = $1 AND participant_id = $2 AND source_type = $3
+      ORDER BY source_id, created_at DESC`,
+    [organizationId, participantId, STAGE_CLAIM_SOURCE_TYPE]
+  );
+
+  const competenciesByStage = new Map();
+  for (const competency of competenciesResult.rows) {
+    const key = String(competency.oas_stage_id);
+    if (!competenciesByStage.has(key)) {
+      competenciesByStage.set(key, []);
+    }
+    competenciesByStage.get(key).push(competency);
+  }
+  const awardsByStage = new Map(awardsResult.rows.map((row) => [String(row.oas_stage_id), row.status]));
+  const proposalsByStage = new Map(proposalsResult.rows.map((row) => [String(row.source_id), row]));
+
+  const skills = [];
+  const skillsById = new Map();
+  for (const row of stagesResult.rows) {
+    let skill = skillsById.get(String(row.oas_skill_id));
+    if (!skill) {
+      skill = { id: row.oas_skill_id, code: row.skill_code, name: row.skill_name, stages: [], next_stage: null };
+      skillsById.set(String(row.oas_skill_id), skill);
+      skills.push(skill);
+    }
+
+    const previous = skill.stages[skill.stages.length - 1];
+    const previousDone = !previous || ['awarded', 'proposed', 'earned'].includes(previous.status);
+    const evaluation = evaluateStage(
+      { stage_order: row.stage_order, competencies: competenciesByStage.get(String(row.id)) || [] },
+      rules
+    );
+    const awardStatus = awardsByStage.get(String(row.id)) || null;
+    const proposal = proposalsByStage.get(String(row.id)) || null;
+    const unlocked = previousDone || !rules.requirePreviousStage;
+
+    let status = 'open';
+    if (awardStatus === 'awarded' || awardStatus === 'revoked') {
+      status = awardStatus;
+    } else if (proposal?.status === 'pending') {
+      status = 'proposed';
+    } else if (evaluation.earned && unlocked) {
+      status = 'earned';
+    } else if (!unlocked) {
+      status = 'locked';
+    }
+
+    skill.stages.push({
+      id: row.id,
+      stage_order: row.stage_order,
+      name: row.name,
+      status,
+      award_status: awardStatus,
+      proposal_id: proposal?.id || null,
+      proposal_status: proposal?.status || null,
+      completed: evaluation.completed,
+      needed: evaluation.needed,
+      remaining: evaluation.remaining
+    });
+  }
+
+  for (const skill of skills) {
+    skill.next_stage = skill.stages.find((stage) => stage.status !== 'awarded') || null;
+  }
+  return skills;
+}
+
+/**
+ * Open a leader claim for every stage the youth has newly earned.
+ *
+ * Stages with an award on record, or with a claim a leader already saw
+ * (pending or rejected), are left alone, so re-running after each recorded
+ * competency is safe.
+ *
+ * @param {Object} client - pg client inside the recording transaction
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.participantId - Participant ID
+ * @returns {Promise<Array<Object>>} progress_approvals rows created
+ */
+async function proposeEarnedStageAwards(client, { organizationId, participantId }) {
+  const skills = await evaluateParticipantStages(client, { organizationId, participantId });
+  const proposals = [];
+
+  for (const skill of skills) {
+    for (const stage of skill.stages) {
+      if (stage.status !== 'earned' || stage.award_status || stage.proposal_status) {
+        continue;
+      }
+      const created = await client.query(
+        `INSERT INTO progress_approvals (organization_id, participant_id, source_type, source_id, status)
+         VALUES ($1, $2, $3, $4, 'pending')
+         RETURNING *`,
+        [organizationId, participantId, STAGE_CLAIM_SOURCE_TYPE, stage.id]
+      );
+      proposals.push(created.rows[0]);
+    }
+  }
+
+  return proposals;
+}
+
+module.exports = {
+  STAGE_CLAIM_SOURCE_TYPE,
+  DEFAULT_STAGE_AWARD_RULES,
+  loadStageAwardRules,
+  evaluateStage,
+  evaluateParticipantStages,
+  proposeEarnedStageAwards
+};
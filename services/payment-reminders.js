@@ -0,0 +1,243 @@
+/**
+ * Payment Reminder Service
+ *
+ * Runs as a recurring job (services/job-queue) that emails (and, where they
+ * subscribed, pushes) guardians about payment plan installments, on the days
+ * each organization chose relative to the due date — a few days before, on
+ * the day, a week late.
+ *
+ * Installments come from services/paymentPlans, so a payment of any kind
+ * recorded before a reminder day quietly cancels that reminder.
+ *
+ * Each reminder is claimed in `payment_plan_reminders` before it is sent. The
+ * unique (plan, installment, offset) key means a restart or a second server
+ * never sends it twice. When the server was down on a reminder day, only the
+ * latest missed offset within CATCH_UP_DAYS is sent, so turning reminders on
+ * does not flood parents with every reminder they would have had.
+ */
+
+'use strict';
+
+const { sendEmail, getTranslationsByCode, getUserEmailLanguage } = require('../utils/index');
+const { resolveOrganizationBaseUrl } = require('../utils/public-url');
+const { loadEmailContext, renderTemplate } = require('./email-templates');
+const { REMINDER_SETTINGS_KEY, listOpenInstallments, normalizeReminderSettings } = require('./paymentPlans');
+
+const RUN_EVERY_SECONDS = 60 * 60;    // check every hour
+const CATCH_UP_DAYS = 2;              // still send a reminder missed this many days ago
+
+/**
+ * Pick the reminder to send today for one installment, if any: the latest
+ * offset whose day has come, as long as it is not older than CATCH_UP_DAYS.
+ *
+ * @param {number} daysUntilDue - Due date minus today (negative once late)
+ * @param {number[]} offsets - Organization offsets, days relative to due date
+ * @returns {number|null} Offset to send, or null
+ */
+function pickReminderOffset(daysUntilDue, offsets) {
+  const reached = offsets
+    .filter(offset => offset >= -daysUntilDue - CATCH_UP_DAYS && offset <= -daysUntilDue)
+    .sort((a, b) => b - a);
+  return reached.length ? reached[0] : null;
+}
+
+/**
+ * Build the reminder email for one guardian.
+ *
+ * @param {Object} params - Message inputs
+ * @param {string} params.language - Recipient's language code
+ * @param {string} params.organizationName - Unit name, used as sender and signature
+ * @param {string} params.participantName - Child the installment is for
+ * @param {number} params.amount - Amount still due on the installment
+ * @param {string} params.dueDate - YYYY-MM-DD
+ * @param {boolean} params.isOverdue - Due date already passed
+ * @param {string} params.payLink - Parent finance link that opens Checkout
+ * @param {Object} [params.context] - Unit branding and wording, from loadEmailContext()
+ * @returns {{subject: string, text: string, html: string, pushTitle: string, pushBody: string}}
+ */
+function buildReminderMessage({ language, organizationName, participantName, amount, dueDate, isOverdue, payLink, context }) {
+  const t = getTranslationsByCode(language);
+  const fallback = getTranslationsByCode('en');
+  const pick = (key, literal) => t[key] || fallback[key] || literal;
+  const vars = {
+    participant: participantName,
+    amount: new Intl.NumberFormat(`${String(language || 'en').slice(0, 2)}-CA`, {
+      style: 'currency',
+      currency: 'CAD'
+    }).format(amount),
+    date: dueDate,
+    organization: organizationName
+  };
+
+  const { subject, text, html } = renderTemplate(isOverdue ? 'payment_reminder_overdue' : 'payment_reminder', language, vars, {
+    ...(context ? { context } : {}),
+    action: { label: pick('payment_reminder_email_button', 'Pay now'), url: payLink }
+  });
+  const intro = (isOverdue
+    ? pick('payment_reminder_email_intro_overdue', 'The installment of {amount} for {participant}, due on {date}, has not been received yet.')
+    : pick('payment_reminder_email_intro', 'An installment of {amount} for {participant} is due on {date}.'))
+    .replace(/\{(\w+)\}/g, (match, key) => vars[key] ?? match);
+
+  return { subject, text, html, pushTitle: subject, pushBody: intro };
+}
+
+class PaymentReminderService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('winston').Logger} logger
+   */
+  constructor(pool, logger) {
+    this.pool = pool;
+    this.logger = logger;
+  }
+
+  /**
+   * Send every reminder that is due now, across organizations that turned
+   * reminders on.
+   *
+   * @returns {Promise<number>} Reminders sent
+   */
+  async sendDueReminders() {
+    const settingsResult = await this.pool.query(
+      `SELECT organization_id, setting_value FROM organization_settings
+       WHERE setting_key = $1 AND (setting_value->>'enabled')::boolean IS TRUE`,
+      [REMINDER_SETTINGS_KEY]
+    );
+
+    let sent = 0;
+    for (const row of settingsResult.rows) {
+      const settings = normalizeReminderSettings(row.setting_value).value;
+      if (!settings?.enabled) continue;
+      try {
+        sent += await this._sendForOrganization(row.organization_id, settings.offsets_days);
+      } catch (err) {
+        this.logger.error(`[PaymentReminders] Failed for org ${row.organization_id}:`, err);
+      }
+    }
+    return sent;
+  }
+
+  async _sendForOrganization(organizationId, offsets) {
+    const installments = await listOpenInstallments(this.pool, { organizationId });
+    const due = installments
+      .map(installment => ({ installment, offset: pickReminderOffset(installment.days_until_due, offsets) }))
+      .filter(({ offset }) => offset !== null);
+
+    if (due.length === 0) return 0;
+
+    const context = await loadEmailContext(this.pool, organizationId);
+    const baseUrl = await resolveOrganizationBaseUrl(this.pool, organizationId);
+    let sent = 0;
+
+    for (const { installment, offset } of due) {
+      const claim = await this.pool.query(
+        `INSERT INTO payment_plan_reminders
+           (organization_id, payment_plan_id, installment_number, offset_days, due_date, amount_due)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (payment_plan_id, installment_number, offset_days) DO NOTHING
+         RETURNING id`,
+        [organizationId, installment.payment_plan_id, installment.installment_number, offset, installment.due_date, installment.amount_due]
+      );
+      if (claim.rows.length === 0) continue;
+
+      const counts = await this._notifyGuardians(organizationId, context, baseUrl, installment);
+      await this.pool.query(
+        'UPDATE payment_plan_reminders SET email_count = $1, push_count = $2 WHERE id = $3',
+        [counts.emails, counts.pushes, claim.rows[0].id]
+      );
+      sent += 1;
+      this.logger.info(
+        `[PaymentReminders] Reminder (offset ${offset}) sent for plan ${installment.payment_plan_id} installment ${installment.installment_number}: ${counts.emails} email(s), ${counts.pushes} push(es)`
+      );
+    }
+
+    return sent;
+  }
+
+  async _notifyGuardians(organizationId, context, baseUrl, installment) {
+    const { organizationName } = context;
+    const guardians = await this.pool.query(
+      `SELECT DISTINCT u.id, u.email
+       FROM user_participants up
+       JOIN users u ON u.id = up.user_id
+       JOIN user_organizations uo
+         ON uo.user_id = u.id AND uo.organization_id = $2 AND uo.status = 'active'
+       WHERE up.participant_id = $1 AND u.email IS NOT NULL`,
+      [installment.participant_id, organizationId]
+    );
+
+    const payLink = `${baseUrl}/parent-finance?pay_fee=${installment.participant_fee_id}&plan=${installment.payment_plan_id}`;
+    const participantName = `${installment.first_name} ${installment.last_name}`.trim();
+    const counts = { emails: 0, pushes: 0 };
+    const messages = new Map();
+
+    for (const guardian of guardians.rows) {
+      const language = await getUserEmailLanguage(this.pool, guardian.email, organizationId);
+      const message = buildReminderMessage({
+        language,
+        organizationName,
+        participantName,
+        amount: installment.amount_due,
+        dueDate: installment.due_date,
+        isOverdue: installment.is_overdue,
+        payLink,
+        context
+      });
+      messages.set(guardian.id, message);
+      if (await sendEmail(guardian.email, message.subject, message.text, message.html, organizationName)) {
+        counts.emails += 1;
+      }
+    }
+
+    counts.pushes = await this._pushToGuardians(organizationId, installment, messages);
+    return counts;
+  }
+
+  /**
+   * Web Push to the guardians' subscribed devices. Missing VAPID keys or
+   * web-push only skip the push; the email has already gone out.
+   */
+  async _pushToGuardians(organizationId, installment, messages) {
+    if (messages.size === 0) return 0;
+
+    let webpush;
+    try {
+      webpush = require('web-push');
+    } catch {
+      return 0;
+    }
+    const vapidPublicKey = process.env.VAPID_PUBLIC_KEY;
+    const vapidPrivateKey = process.env.VAPID_PRIVATE_KEY || process.env.VAPID_PRIVATE;
+    if (!vapidPublicKey || !vapidPrivateKey) return 0;
+    webpush.setVapidDetails('mailto:info@wampums.app', vapidPublicKey, vapidPrivateKey);
+
+    const subscriptions = await this.pool.query(
+      `SELECT endpoint, p256dh, auth, user_id FROM subscribers
+       WHERE organization_id = $1 AND user_id = ANY($2::uuid[])`,
+      [organizationId, [...messages.keys()]]
+    );
+
+    const results = await Promise.allSettled(subscriptions.rows.map((sub) => {
+      const message = messages.get(sub.user_id);
+      return webpush.sendNotification(
+        { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+        JSON.stringify({
+          title: message.pushTitle,
+          body: message.pushBody,
+          tag: `payment-plan-${installment.payment_plan_id}-${installment.installment_number}`,
+          data: {
+            type: 'payment_reminder',
+            url: `/parent-finance?pay_fee=${installment.participant_fee_id}&plan=${installment.payment_plan_id}`
+          }
+        })
+      );
+    }));
+
+    return results.filter(result => result.status === 'fulfilled').length;
+  }
+}
+
+module.exports = PaymentReminderService;
+module.exports.RUN_EVERY_SECONDS = RUN_EVERY_SECONDS;
+module.exports.pickReminderOffset = pickReminderOffset;
+module.exports.buildReminderMessage = buildReminderMessage;
@@ -0,0 +1,211 @@
+/**
+ * Payment Plan Schedule Service
+ *
+ * A payment plan says when installments fall due (start date, frequency,
+ * number of payments) and how much each one is. Nothing stores the
+ * individual installments; they are derived here, in SQL, so month
+ * arithmetic follows PostgreSQL (Jan 31 + 1 month = Feb 28).
+ *
+ * Payments are not tied to a specific installment. Whatever has been paid on
+ * the fee, by any method, covers installments in order: installment N is
+ * settled once the fee's net payments reach N × amount_per_payment (capped at
+ * the fee total). Only each fee's most recent plan counts, which is the one
+ * the finance screen shows and edits.
+ *
+ * Reminder offsets live in organization_settings under `payment_reminders`.
+ *
+ * @module services/paymentPlans
+ */
+
+const REMINDER_SETTINGS_KEY = 'payment_reminders';
+
+const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  offsets_days: [-3, 0, 7]
+};
+
+const MAX_REMINDER_OFFSETS = 5;
+const MIN_OFFSET_DAYS = -30;
+const MAX_OFFSET_DAYS = 60;
+
+/**
+ * Open installments: due (or upcoming) amounts not yet covered by payments.
+ * `$1` optionally restricts to one organization.
+ */
+const OPEN_INSTALLMENTS_SQL = `
+  WITH paid AS (
+    SELECT participant_fee_id, SUM(amount) AS total_paid
+    FROM payments
+    GROUP BY participant_fee_id
+  ),
+  schedule AS (
+    SELECT pf.organization_id, pf.id AS participant_fee_id, pf.participant_id,
+           pp.id AS payment_plan_id, gs.n AS installment_number,
+           (pp.start_date + (gs.n - 1) * CASE pp.frequency
+              WHEN 'weekly' THEN INTERVAL '1 week'
+              WHEN 'biweekly' THEN INTERVAL '2 weeks'
+              ELSE INTERVAL '1 month'
+            END)::date AS due_date,
+           LEAST((gs.n - 1) * pp.amount_per_payment, pf.total_amount) AS due_before,
+           LEAST(gs.n * pp.amount_per_payment, pf.total_amount) AS due_through,
+           COALESCE(paid.total_paid, 0) AS total_paid
+    FROM participant_fees pf
+    JOIN payment_plans pp ON pp.id = (
+      SELECT id FROM payment_plans
+      WHERE participant_fee_id = pf.id
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    )
+    CROSS JOIN LATERAL generate_series(1, pp.number_of_payments) AS gs(n)
+    LEFT JOIN paid ON paid.participant_fee_id = pf.id
+    WHERE ($1::integer IS NULL OR pf.organization_id = $1)
+  )
+  SELECT s.organization_id, s.participant_fee_id, s.participant_id, s.payment_plan_id,
+         s.installment_number, s.due_date::text AS due_date,
+         s.due_through - GREATEST(s.total_paid, s.due_before) AS amount_due,
+         (s.due_date < CURRENT_DATE) AS is_overdue,
+         (s.due_date - CURRENT_DATE) AS days_until_due,
+         p.first_name, p.last_name
+  FROM schedule s
+  JOIN participants p ON p.id = s.participant_id
+  WHERE s.total_paid < s.due_through
+    AND s.due_before < s.due_through
+  ORDER BY s.organization_id, s.due_date, s.participant_fee_id, s.installment_number`;
+
+/**
+ * List installments that still have money due, earliest first.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {Object} [options]
+ * @param {number|null} [options.organizationId] - Limit to one organization
+ * @returns {Promise<Array<Object>>} Installments with `amount_due` as a number
+ */
+async function listOpenInstallments(db, { organizationId = null } = {}) {
+  const result = await db.query(OPEN_INSTALLMENTS_SQL, [organizationId]);
+  return result.rows.map((row) => ({
+    ...row,
+    amount_due: Number(row.amount_due) || 0,
+    days_until_due: Number(row.days_until_due)
+  }));
+}
+
+/**
+ * Fold overdue installments into one line per fee for the finance report.
+ *
+ * @param {Array<Object>} installments - From listOpenInstallments
+ * @returns {{total_overdue: number, fee_count: number, fees: Array<Object>}}
+ */
+function summarizeOverdue(installments) {
+  const byFee = new Map();
+
+  for (const installment of installments) {
+    if (!installment.is_overdue) {
+      continue;
+    }
+    const entry = byFee.get(installment.participant_fee_id) || {
+      participant_fee_id: installment.participant_fee_id,
+      participant_id: installment.participant_id,
+      payment_plan_id: installment.payment_plan_id,
+      first_name: installment.first_name,
+      last_name: installment.last_name,
+      overdue_amount: 0,
+      installments_overdue: 0,
+      oldest_due_date: installment.due_date
+    };
+    entry.overdue_amount = Math.round((entry.overdue_amount + installment.amount_due) * 100) / 100;
+    entry.installments_overdue += 1;
+    if (installment.due_date < entry.oldest_due_date) {
+      entry.oldest_due_date = installment.due_date;
+    }
+    byFee.set(installment.participant_fee_id, entry);
+  }
+
+  const fees = [...byFee.values()].sort((a, b) => a.oldest_due_date.localeCompare(b.oldest_due_date));
+  const totalOverdue = fees.reduce((sum, fee) => sum + fee.overdue_amount, 0);
+
+  return {
+    total_overdue: Math.round(totalOverdue * 100) / 100,
+    fee_count: fees.length,
+    fees
+  };
+}
+
+/**
+ * Validate reminder settings sent by the finance screen.
+ *
+ * @param {Object} input - `{enabled, offsets_days}`
+ * @returns {{value: Object}|{error: string}} Normalized settings or an error code
+ */
+function normalizeReminderSettings(input = {}) {
+  const enabled = input.enabled === true || input.enabled === 'true';
+  const rawOffsets = Array.isArray(input.offsets_days) ? input.offsets_days : [];
+
+  const offsets = [];
+  for (const raw of rawOffsets) {
+    const offset = Number(raw);
+    if (!Number.isInteger(offset) || offset < MIN_OFFSET_DAYS || offset > MAX_OFFSET_DAYS) {
+      return { error: 'invalid_reminder_offset' };
+    }
+    if (!offsets.includes(offset)) {
+      offsets.push(offset);
+    }
+  }
+
+  if (offsets.length > MAX_REMINDER_OFFSETS) {
+    return { error: 'too_many_reminder_offsets' };
+  }
+  if (enabled && offsets.length === 0) {
+    return { error: 'reminder_offsets_required' };
+  }
+
+  return { value: { enabled, offsets_days: offsets.sort((a, b) => a - b) } };
+}
+
+/**
+ * Read an organization's reminder settings, with defaults filled in.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @returns {Promise<{enabled: boolean, offsets_days: number[]}>}
+ */
+async function getReminderSettings(db, organizationId) {
+  const result = await db.query(
+    `SELECT setting_value FROM organization_settings
+     WHERE organization_id = $1 AND setting_key = $2`,
+    [organizationId, REMINDER_SETTINGS_KEY]
+  );
+  const stored = result.rows[0]?.setting_value;
+  if (!stored || typeof stored !== 'object') {
+    return { ...DEFAULT_REMINDER_SETTINGS };
+  }
+  const normalized = normalizeReminderSettings(stored);
+  return normalized.value || { ...DEFAULT_REMINDER_SETTINGS };
+}
+
+/**
+ * Save already-normalized reminder settings.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {Object} settings - From normalizeReminderSettings
+ * @returns {Promise<void>}
+ */
+async function saveReminderSettings(db, organizationId, settings) {
+  await db.query(
+    `INSERT INTO organization_settings (organization_id, setting_key, setting_value, created_at, updated_at)
+     VALUES ($1, $2, $3::jsonb, NOW(), NOW())
+     ON CONFLICT (organization_id, setting_key)
+     DO UPDATE SET setting_value = EXCLUDED.setting_value, updated_at = NOW()`,
+    [organizationId, REMINDER_SETTINGS_KEY, JSON.stringify(settings)]
+  );
+}
+
+module.exports = {
+  DEFAULT_REMINDER_SETTINGS,
+  REMINDER_SETTINGS_KEY,
+  getReminderSettings,
+  listOpenInstallments,
+  normalizeReminderSettings,
+  saveReminderSettings,
+  summarizeOverdue
+};
@@ -0,0 +1,133 @@
+/**
+ * Pickup Service
+ *
+ * Who may take a child home (see migrations/014_attendance_pickups.sql).
+ *
+ * The authorized pickup list of a participant is their guardians
+ * (participant_guardians), and the child alone when the registration form in
+ * force during the scout year (formAsOfYearJoin) has `peut_partir_seul`
+ * checked. A departure is checked against it when
+ * it is recorded; the adult may be picked from the list or typed as written
+ * on the sign-out sheet, in which case the name is matched to a guardian.
+ *
+ * @module services/pickups
+ */
+
+const { formAsOfYearJoin, formWindowFor } = require('./scoutYear');
+
+/** Values a checked checkbox is stored as in form submissions. */
+const CHECKED_VALUES = new Set(['on', 'true', '1', 'yes', 'oui']);
+
+/**
+ * Whether a form checkbox answer is checked.
+ *
+ * @param {*} value - Stored answer
+ * @returns {boolean}
+ */
+function isChecked(value) {
+  if (value === true) return true;
+  return CHECKED_VALUES.has(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Name reduced for comparison: lower case, no accents, single spaces.
+ *
+ * @param {string} name - Name as written
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Authorized pickup lists of some participants.
+ *
+ * @param {Object} db - Pool or client
+ * @param {number} organizationId - Organization
+ * @param {number[]} participantIds - Participants, already known to be in the organization
+ * @param {Object} scoutYear - Year the registration form is read for (`req.scoutYear`)
+ * @returns {Promise<Map<number, {can_leave_alone: boolean, guardians: Array<Object>}>>}
+ */
+async function getAuthorizedPickups(db, organizationId, participantIds, scoutYear) {
+  const lists = new Map(participantIds.map((id) => [id, { can_leave_alone: false, guardians: [] }]));
+  if (participantIds.length === 0) {
+    return lists;
+  }
+
+  const [guardians, forms] = await Promise.all([
+    db.query(
+      `SELECT pg.participant_id, g.id, g.prenom AS first_name, g.nom AS last_name,
+              pg.lien AS relationship,
+              COALESCE(NULLIF(g.telephone_cellulaire, ''), NULLIF(g.telephone_residence, ''),
+                       NULLIF(g.telephone_travail, '')) AS phone
+         FROM participant_guardians pg
+         JOIN parents_guardians g ON g.id = pg.guardian_id
+        WHERE pg.participant_id = ANY($1::int[])
+        ORDER BY g.is_primary DESC NULLS LAST, g.prenom, g.nom`,
+      [participantIds]
+    ),
+    db.query(
+      `SELECT p.id AS participant_id,
+              fs.submission_data->>'peut_partir_seul' AS can_leave_alone
+         FROM participants p
+         ${formAsOfYearJoin('participant_registration', { start: '$3', end: '$4' })}
+        WHERE p.id = ANY($2::int[])`,
+      [organizationId, participantIds, ...formWindowFor(scoutYear)]
+    )
+  ]);
+
+  for (const row of guardians.rows) {
+    const { participant_id: participantId, ...guardian } = row;
+    lists.get(participantId)?.guardians.push(guardian);
+  }
+  for (const row of forms.rows) {
+    const list = lists.get(row.participant_id);
+    if (list) {
+      list.can_leave_alone = isChecked(row.can_leave_alone);
+    }
+  }
+  return lists;
+}
+
+/**
+ * Check a departure against a participant's authorized pickup list.
+ *
+ * @param {{can_leave_alone: boolean, guardians: Array<Object>}} list - From getAuthorizedPickups
+ * @param {Object} departure
+ * @param {number|null} [departure.guardianId] - Guardian picked from the list
+ * @param {string|null} [departure.name] - Adult as written on the sign-out sheet
+ * @param {boolean} [departure.leftAlone] - The child left on their own
+ * @returns {{authorized: boolean, guardianId: number|null}}
+ */
+function checkPickup(list, { guardianId = null, name = null, leftAlone = false }) {
+  if (leftAlone) {
+    return { authorized: Boolean(list.can_leave_alone), guardianId: null };
+  }
+
+  if (guardianId) {
+    const known = list.guardians.some((guardian) => guardian.id === guardianId);
+    return { authorized: known, guardianId: known ? guardianId : null };
+  }
+
+  const written = normalizeName(name);
+  const match = written && list.guardians.find((guardian) => {
+    const first = normalizeName(guardian.first_name);
+    const last = normalizeName(guardian.last_name);
+    return written === `${first} ${last}` || written === `${last} ${first}`;
+  });
+  return match
+    ? { authorized: true, guardianId: match.id }
+    : { authorized: false, guardianId: null };
+}
+
+module.exports = {
+  isChecked,
+  normalizeName,
+  getAuthorizedPickups,
+  checkPickup
+};
@@ -0,0 +1,959 @@
+/**
+ * Program Journeys Service
+ *
+ * The long-running halves of the Canadian Path: a youth's Personal Achievement
+ * Badge plan (pab_plans, with its items and reviews) and a top-award journey
+ * (participant_top_award_progress, with its service hours, projects and
+ * reviews). Single events are recorded through services/programProgress.js;
+ * this module owns the records a leader keeps editing over months.
+ *
+ * Every write is scoped twice: to the organization, and to the participant the
+ * parent record belongs to. A child row (item, service log, project, review)
+ * never names its participant itself — it inherits it from its plan or journey,
+ * so a request cannot attach one youth's hours to another youth's award.
+ *
+ * Refusals come back as `{ blocked: <reason> }` so the routes can map them to a
+ * status without parsing error messages.
+ *
+ * @module services/programJourneys
+ */
+
+const PAB_PLAN_STATUSES = ['planned', 'in_progress', 'completed', 'cancelled'];
+const PAB_ITEM_STATUSES = ['pending', 'in_progress', 'done', 'skipped'];
+const TOP_AWARD_STATUSES = ['in_progress', 'submitted', 'approved', 'rejected', 'completed'];
+const SERVICE_LOG_STATUSES = ['logged', 'submitted', 'approved', 'rejected'];
+const PROJECT_STATUSES = ['draft', 'in_progress', 'submitted', 'approved', 'rejected', 'completed'];
+const REVIEW_OUTCOMES = ['pending', 'approved', 'rejected', 'revisions_required'];
+
+/**
+ * Columns a caller may set on each table, and the statuses each accepts.
+ *
+ * Identity columns (organization_id, participant_id, parent ids) are never in
+ * these lists: they come from the route and the parent row, not the body.
+ */
+const EDITABLE_FIELDS = {
+  pab_plans: ['pab_theme_id', 'title', 'objective', 'status', 'planned_start_date', 'planned_end_date'],
+  pab_plan_items: ['item_order', 'title', 'description', 'status', 'due_date', 'evidence'],
+  participant_top_award_progress: ['status', 'target_date', 'progress_percent', 'notes'],
+  top_award_projects: ['title', 'description', 'status', 'started_at', 'completed_at']
+};
+
+const STATUS_VALUES = {
+  pab_plans: PAB_PLAN_STATUSES,
+  pab_plan_items: PAB_ITEM_STATUSES,
+  participant_top_award_progress: TOP_AWARD_STATUSES,
+  top_award_projects: PROJECT_STATUSES
+};
+
+/** Statuses that close a record, and the timestamp column that says when. */
+const COMPLETION_STATUSES = {
+  pab_plans: ['completed'],
+  pab_plan_items: ['done'],
+  participant_top_award_progress: ['completed'],
+  top_award_projects: ['completed']
+};
+
+/**
+ * What a final review outcome does to the journey it reviews.
+ *
+ * `pending` is a review that has been scheduled, not held, so it leaves the
+ * journey alone. Asking for revisions sends it back to the youth.
+ */
+const REVIEW_OUTCOME_TO_JOURNEY_STATUS = {
+  approved: 'approved',
+  rejected: 'rejected',
+  revisions_required: 'in_progress'
+};
+
+/**
+ * Keep only the editable fields present in a payload.
+ *
+ * @param {string} table - Table whose allow-list applies
+ * @param {Object} data - Request body
+ * @returns {{fields: Object, invalidStatus: boolean}} Accepted values
+ */
+function pickEditableFields(table, data = {}) {
+  const fields = {};
+  for (const column of EDITABLE_FIELDS[table]) {
+    if (Object.prototype.hasOwnProperty.call(data, column)) {
+      fields[column] = data[column] === '' ? null : data[column];
+    }
+  }
+  const invalidStatus = fields.status !== undefined && !STATUS_VALUES[table].includes(fields.status);
+  return { fields, invalidStatus };
+}
+
+/**
+ * Build an UPDATE for the accepted fields of one organization-scoped row.
+ *
+ * Entering a completion status stamps completed_at once; leaving it clears the
+ * stamp, so a plan reopened by mistake does not keep claiming a finish date.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {string} table - Table to update
+ * @param {number} id - Row ID
+ * @param {number} organizationId - Organization ID
+ * @param {Object} fields - Values from pickEditableFields
+ * @returns {Promise<Object|null>} Updated row, or null when not found
+ */
+async function updateScopedRow(client, table, id, organizationId, fields) {
+  const assignments = [];
+  const values = [];
+  for (const [column, value] of Object.entries(fields)) {
+    values.push(value);
+    assignments.push(`${column} = $${values.length}`);
+  }
+
+  if (fields.status !== undefined && COMPLETION_STATUSES[table]) {
+    const completes = COMPLETION_STATUSES[table].includes(fields.status);
+    if (!Object.prototype.hasOwnProperty.call(fields, 'completed_at')) {
+      assignments.push(completes
+        ? 'completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)'
+        : 'completed_at = NULL');
+    }
+  }
+
+  assignments.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(id, organizationId);
+
+  const result = await client.query(
+    `UPDATE ${table}
+        SET ${assignments.join(', ')}
+      WHERE id = $${values.length - 1} AND organization_id = $${values.length}
+      RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Confirm a participant is enrolled in the organization.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {number} organizationId - Organization ID
+ * @param {number} participantId - Participant ID
+ * @returns {Promise<boolean>} True when the participant belongs to the organization
+ */
+async function participantBelongsToOrganization(client, organizationId, participantId) {
+  const result = await client.query(
+    'SELECT 1 FROM participant_organizations WHERE participant_id = $1 AND organization_id = $2',
+    [participantId, organizationId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Themes a PAB plan can be filed under.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<Array<Object>>} Active themes
+ */
+async function listPabThemes(pool, organizationId) {
+  const result = await pool.query(
+    `SELECT id, code, name, description
+       FROM pab_themes
+      WHERE organization_id = $1 AND is_active = TRUE
+      ORDER BY name`,
+    [organizationId]
+  );
+  return result.rows;
+}
+
+/**
+ * PAB plans with their items and reviews.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Filters
+ * @param {number} options.organizationId - Organization ID
+ * @param {number|null} [options.participantId] - Restrict to one participant
+ * @param {string|null} [options.linkedUserId] - Restrict to participants linked to this user
+ * @returns {Promise<Array<Object>>} Plans, newest first
+ */
+async function listPabPlans(pool, { organizationId, participantId = null, linkedUserId = null }) {
+  const params = [organizationId];
+  let where = 'pp.organization_id = $1';
+  if (participantId) {
+    params.push(participantId);
+    where += ` AND pp.participant_id = $${params.length}`;
+  }
+  if (linkedUserId) {
+    params.push(linkedUserId);
+    where += ` AND EXISTS (
+      SELECT 1 FROM user_participants up
+       WHERE up.participant_id = pp.participant_id AND up.user_id = $${params.length}
+    )`;
+  }
+
+  const result = await pool.query(
+    `SELECT pp.*,
+            p.first_name || ' ' || p.last_name AS participant_name,
+            pt.name AS theme_name,
+            COALESCE((
+              SELECT json_agg(i ORDER BY i.item_order, i.id)
+                FROM pab_plan_items i
+               WHERE i.pab_plan_id = pp.id AND i.organization_id = pp.organization_id
+            ), '[]'::json) AS items,
+            COALESCE((
+              SELECT json_agg(r ORDER BY r.review_date DESC, r.id DESC)
+                FROM pab_reviews r
+               WHERE r.pab_plan_id = pp.id AND r.organization_id = pp.organization_id
+            ), '[]'::json) AS reviews
+       FROM pab_plans pp
+       JOIN participants p ON p.id = pp.participant_id
+       LEFT JOIN pab_themes pt ON pt.id = pp.pab_theme_id AND pt.organization_id = pp.organization_id
+      WHERE ${where}
+      ORDER BY pp.created_at DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Confirm a theme, when one is named, belongs to the organization.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {number} organizationId - Organization ID
+ * @param {*} themeId - Theme ID from the payload, possibly absent
+ * @returns {Promise<boolean>} True when absent or owned by the organization
+ */
+async function themeIsUsable(client, organizationId, themeId) {
+  if (themeId === undefined || themeId === null) {
+    return true;
+  }
+  const result = await client.query(
+    'SELECT 1 FROM pab_themes WHERE id = $1 AND organization_id = $2',
+    [themeId, organizationId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Start a PAB plan for a participant.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Plan details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.participantId - Participant the plan belongs to
+ * @param {Object} options.data - Editable plan fields
+ * @param {string|null} options.userId - Author
+ * @returns {Promise<Object>} Created plan, or `{ blocked }`
+ */
+async function createPabPlan(pool, { organizationId, participantId, data, userId }) {
+  const { fields, invalidStatus } = pickEditableFields('pab_plans', data);
+  if (!fields.title || typeof fields.title !== 'string' || !fields.title.trim()) {
+    return { blocked: 'title_required' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+  if (!(await participantBelongsToOrganization(pool, organizationId, participantId))) {
+    return { blocked: 'participant_not_found' };
+  }
+  if (!(await themeIsUsable(pool, organizationId, fields.pab_theme_id))) {
+    return { blocked: 'theme_not_found' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO pab_plans
+       (organization_id, participant_id, pab_theme_id, title, objective, status,
+        planned_start_date, planned_end_date, created_by)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'planned'), $7, $8, $9)
+     RETURNING *`,
+    [
+      organizationId,
+      participantId,
+      fields.pab_theme_id ?? null,
+      fields.title.trim(),
+      fields.objective ?? null,
+      fields.status ?? null,
+      fields.planned_start_date ?? null,
+      fields.planned_end_date ?? null,
+      userId || null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Edit a PAB plan.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Update
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.planId - Plan ID
+ * @param {Object} options.data - Editable plan fields
+ * @returns {Promise<Object>} Updated plan, or `{ blocked }`
+ */
+async function updatePabPlan(pool, { organizationId, planId, data }) {
+  const { fields, invalidStatus } = pickEditableFields('pab_plans', data);
+  if (Object.keys(fields).length === 0) {
+    return { blocked: 'nothing_to_update' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+  if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim())) {
+    return { blocked: 'title_required' };
+  }
+  if (!(await themeIsUsable(pool, organizationId, fields.pab_theme_id))) {
+    return { blocked: 'theme_not_found' };
+  }
+
+  const plan = await updateScopedRow(pool, 'pab_plans', planId, organizationId, fields);
+  return plan || { blocked: 'plan_not_found' };
+}
+
+/**
+ * Delete a PAB plan with its items and reviews.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.planId - Plan ID
+ * @returns {Promise<Object>} `{ id }`, or `{ blocked }`
+ */
+async function deletePabPlan(client, { organizationId, planId }) {
+  await client.query(
+    'DELETE FROM pab_plan_items WHERE pab_plan_id = $1 AND organization_id = $2',
+    [planId, organizationId]
+  );
+  await client.query(
+    'DELETE FROM pab_reviews WHERE pab_plan_id = $1 AND organization_id = $2',
+    [planId, organizationId]
+  );
+  const result = await client.query(
+    'DELETE FROM pab_plans WHERE id = $1 AND organization_id = $2 RETURNING id',
+    [planId, organizationId]
+  );
+  return result.rows[0] || { blocked: 'plan_not_found' };
+}
+
+/**
+ * Load a plan's identity, for the rows that hang off it.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {number} organizationId - Organization ID
+ * @param {number} planId - Plan ID
+ * @returns {Promise<Object|null>} `{ id, participant_id }`
+ */
+async function findPabPlan(client, organizationId, planId) {
+  const result = await client.query(
+    'SELECT id, participant_id FROM pab_plans WHERE id = $1 AND organization_id = $2',
+    [planId, organizationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Add a step to a PAB plan. Without an explicit order it goes last.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Item details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.planId - Parent plan ID
+ * @param {Object} options.data - Editable item fields
+ * @returns {Promise<Object>} Created item, or `{ blocked }`
+ */
+async function addPabPlanItem(pool, { organizationId, planId, data }) {
+  const { fields, invalidStatus } = pickEditableFields('pab_plan_items', data);
+  if (!fields.title || typeof fields.title !== 'string' || !fields.title.trim()) {
+    return { blocked: 'title_required' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+  if (!(await findPabPlan(pool, organizationId, planId))) {
+    return { blocked: 'plan_not_found' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO pab_plan_items
+       (organization_id, pab_plan_id, item_order, title, description, status, due_date, evidence)
+     VALUES (
+       $1, $2,
+       COALESCE($3, (SELECT COALESCE(MAX(item_order), 0) + 1 FROM pab_plan_items WHERE pab_plan_id = $2)),
+       $4, $5, COALESCE($6, 'pending'), $7, $8
+     )
+     RETURNING *`,
+    [
+      organizationId,
+      planId,
+      fields.item_order ?? null,
+      fields.title.trim(),
+      fields.description ?? null,
+      fields.status ?? null,
+      fields.due_date ?? null,
+      fields.evidence ?? null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Edit one step of a PAB plan.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Update
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.itemId - Item ID
+ * @param {Object} options.data - Editable item fields
+ * @returns {Promise<Object>} Updated item, or `{ blocked }`
+ */
+async function updatePabPlanItem(pool, { organizationId, itemId, data }) {
+  const { fields, invalidStatus } = pickEditableFields('pab_plan_items', data);
+  if (Object.keys(fields).length === 0) {
+    return { blocked: 'nothing_to_update' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+  const item = await updateScopedRow(pool, 'pab_plan_items', itemId, organizationId, fields);
+  return item || { blocked: 'item_not_found' };
+}
+
+/**
+ * Remove one step of a PAB plan.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.itemId - Item ID
+ * @returns {Promise<Object>} `{ id }`, or `{ blocked }`
+ */
+async function deletePabPlanItem(pool, { organizationId, itemId }) {
+  const result = await pool.query(
+    'DELETE FROM pab_plan_items WHERE id = $1 AND organization_id = $2 RETURNING id',
+    [itemId, organizationId]
+  );
+  return result.rows[0] || { blocked: 'item_not_found' };
+}
+
+/**
+ * Record a review of a PAB plan.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Review details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.planId - Reviewed plan ID
+ * @param {Object} options.data - `{ review_date, rating, notes, next_steps }`
+ * @param {string|null} options.userId - Reviewer
+ * @returns {Promise<Object>} Created review, or `{ blocked }`
+ */
+async function addPabReview(pool, { organizationId, planId, data = {}, userId }) {
+  const rating = data.rating === undefined || data.rating === null || data.rating === ''
+    ? null
+    : parseInt(data.rating, 10);
+  if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return { blocked: 'invalid_rating' };
+  }
+
+  const plan = await findPabPlan(pool, organizationId, planId);
+  if (!plan) {
+    return { blocked: 'plan_not_found' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO pab_reviews
+       (organization_id, pab_plan_id, participant_id, reviewer_user_id, review_date, rating, notes, next_steps)
+     VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7, $8)
+     RETURNING *`,
+    [
+      organizationId,
+      plan.id,
+      plan.participant_id,
+      userId || null,
+      data.review_date || null,
+      rating,
+      data.notes || null,
+      data.next_steps || null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Top awards the organization offers.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<Array<Object>>} Active awards
+ */
+async function listTopAwards(pool, organizationId) {
+  const result = await pool.query(
+    `SELECT id, code, name, description, requirements
+       FROM top_awards
+      WHERE organization_id = $1 AND is_active = TRUE
+      ORDER BY name`,
+    [organizationId]
+  );
+  return result.rows;
+}
+
+/**
+ * Service hours a top award asks for, when its requirements say.
+ *
+ * @param {Object|null} requirements - top_awards.requirements
+ * @returns {number|null} Required hours
+ */
+function requiredServiceHours(requirements) {
+  const hours = Number(requirements?.service_hours);
+  return Number.isFinite(hours) && hours > 0 ? hours : null;
+}
+
+/**
+ * Top-award journeys with their service logs, projects and reviews.
+ *
+ * Hours are totalled twice: everything logged, and only what a leader has
+ * approved. The approved figure is the one that counts toward the award.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Filters
+ * @param {number} options.organizationId - Organization ID
+ * @param {number|null} [options.participantId] - Restrict to one participant
+ * @param {string|null} [options.linkedUserId] - Restrict to participants linked to this user
+ * @returns {Promise<Array<Object>>} Journeys, newest first
+ */
+async function listTopAwardJourneys(pool, { organizationId, participantId = null, linkedUserId = null }) {
+  const params = [organizationId];
+  let where = 'tp.organization_id = $1';
+  if (participantId) {
+    params.push(participantId);
+    where += ` AND tp.participant_id = $${params.length}`;
+  }
+  if (linkedUserId) {
+    params.push(linkedUserId);
+    where += ` AND EXISTS (
+      SELECT 1 FROM user_participants up
+       WHERE up.participant_id = tp.participant_id AND up.user_id = $${params.length}
+    )`;
+  }
+
+  const result = await pool.query(
+    `SELECT tp.*,
+            p.first_name || ' ' || p.last_name AS participant_name,
+            ta.name AS award_name,
+            ta.requirements AS award_requirements,
+            COALESCE((
+              SELECT json_agg(s ORDER BY s.service_date DESC, s.id DESC)
+                FROM top_award_service_logs s
+               WHERE s.participant_top_award_progress_id = tp.id AND s.organization_id = tp.organization_id
+            ), '[]'::json) AS service_logs,
+            COALESCE((
+              SELECT json_agg(pr ORDER BY pr.created_at DESC)
+                FROM top_award_projects pr
+               WHERE pr.participant_top_award_progress_id = tp.id AND pr.organization_id = tp.organization_id
+            ), '[]'::json) AS projects,
+            COALESCE((
+              SELECT json_agg(r ORDER BY r.review_date DESC, r.id DESC)
+                FROM top_award_reviews r
+               WHERE r.participant_top_award_progress_id = tp.id AND r.organization_id = tp.organization_id
+            ), '[]'::json) AS reviews
+       FROM participant_top_award_progress tp
+       JOIN participants p ON p.id = tp.participant_id
+       JOIN top_awards ta ON ta.id = tp.top_award_id
+      WHERE ${where}
+      ORDER BY tp.started_at DESC`,
+    params
+  );
+
+  return result.rows.map((journey) => {
+    const logs = Array.isArray(journey.service_logs) ? journey.service_logs : [];
+    const loggedHours = logs
+      .filter((log) => log.status !== 'rejected')
+      .reduce((sum, log) => sum + Number(log.hours || 0), 0);
+    const approvedHours = logs
+      .filter((log) => log.status === 'approved')
+      .reduce((sum, log) => sum + Number(log.hours || 0), 0);
+    return {
+      ...journey,
+      service_hours_logged: loggedHours,
+      service_hours_approved: approvedHours,
+      service_hours_required: requiredServiceHours(journey.award_requirements)
+    };
+  });
+}
+
+/**
+ * Start a top-award journey.
+ *
+ * A participant walks each award once at a time: a second open journey on the
+ * same award would split their hours between two records.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Journey details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.participantId - Participant
+ * @param {number} options.topAwardId - Award pursued
+ * @param {Object} options.data - `{ target_date, notes }`
+ * @returns {Promise<Object>} Created journey, or `{ blocked }`
+ */
+async function startTopAwardJourney(pool, { organizationId, participantId, topAwardId, data = {} }) {
+  if (!(await participantBelongsToOrganization(pool, organizationId, participantId))) {
+    return { blocked: 'participant_not_found' };
+  }
+
+  const award = await pool.query(
+    'SELECT id FROM top_awards WHERE id = $1 AND organization_id = $2 AND is_active = TRUE',
+    [topAwardId, organizationId]
+  );
+  if (award.rows.length === 0) {
+    return { blocked: 'award_not_found' };
+  }
+
+  const open = await pool.query(
+    `SELECT id FROM participant_top_award_progress
+      WHERE organization_id = $1 AND participant_id = $2 AND top_award_id = $3
+        AND status IN ('in_progress', 'submitted')`,
+    [organizationId, participantId, topAwardId]
+  );
+  if (open.rows.length > 0) {
+    return { blocked: 'journey_already_open' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO participant_top_award_progress
+       (organization_id, participant_id, top_award_id, target_date, notes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [organizationId, participantId, topAwardId, data.target_date || null, data.notes || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Edit a top-award journey.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Update
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.journeyId - Journey ID
+ * @param {Object} options.data - Editable journey fields
+ * @returns {Promise<Object>} Updated journey, or `{ blocked }`
+ */
+async function updateTopAwardJourney(pool, { organizationId, journeyId, data }) {
+  const { fields, invalidStatus } = pickEditableFields('participant_top_award_progress', data);
+  if (Object.keys(fields).length === 0) {
+    return { blocked: 'nothing_to_update' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+  if (fields.progress_percent !== undefined && fields.progress_percent !== null) {
+    const percent = Number(fields.progress_percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return { blocked: 'invalid_progress_percent' };
+    }
+    fields.progress_percent = percent;
+  }
+  const journey = await updateScopedRow(pool, 'participant_top_award_progress', journeyId, organizationId, fields);
+  return journey || { blocked: 'journey_not_found' };
+}
+
+/**
+ * Delete a top-award journey with its service logs, projects and reviews.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.journeyId - Journey ID
+ * @returns {Promise<Object>} `{ id }`, or `{ blocked }`
+ */
+async function deleteTopAwardJourney(client, { organizationId, journeyId }) {
+  await client.query(
+    'DELETE FROM top_award_service_logs WHERE participant_top_award_progress_id = $1 AND organization_id = $2',
+    [journeyId, organizationId]
+  );
+  await client.query(
+    'DELETE FROM top_award_projects WHERE participant_top_award_progress_id = $1 AND organization_id = $2',
+    [journeyId, organizationId]
+  );
+  await client.query(
+    'DELETE FROM top_award_reviews WHERE participant_top_award_progress_id = $1 AND organization_id = $2',
+    [journeyId, organizationId]
+  );
+  const result = await client.query(
+    'DELETE FROM participant_top_award_progress WHERE id = $1 AND organization_id = $2 RETURNING id',
+    [journeyId, organizationId]
+  );
+  return result.rows[0] || { blocked: 'journey_not_found' };
+}
+
+/**
+ * Load a journey's identity, for the rows that hang off it.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {number} organizationId - Organization ID
+ * @param {number} journeyId - Journey ID
+ * @returns {Promise<Object|null>} `{ id, participant_id, status }`
+ */
+async function findTopAwardJourney(client, organizationId, journeyId) {
+  const result = await client.query(
+    `SELECT id, participant_id, status
+       FROM participant_top_award_progress
+      WHERE id = $1 AND organization_id = $2`,
+    [journeyId, organizationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Log service hours against a journey.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Log details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.journeyId - Journey ID
+ * @param {Object} options.data - `{ service_date, hours, description }`
+ * @returns {Promise<Object>} Created log, or `{ blocked }`
+ */
+async function logServiceHours(pool, { organizationId, journeyId, data = {} }) {
+  const hours = Number(data.hours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+    return { blocked: 'invalid_hours' };
+  }
+  if (!data.service_date || Number.isNaN(Date.parse(data.service_date))) {
+    return { blocked: 'service_date_required' };
+  }
+
+  const journey = await findTopAwardJourney(pool, organizationId, journeyId);
+  if (!journey) {
+    return { blocked: 'journey_not_found' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO top_award_service_logs
+       (organization_id, participant_top_award_progress_id, participant_id, service_date, hours, description, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'logged')
+     RETURNING *`,
+    [organizationId, journey.id, journey.participant_id, data.service_date, hours, data.description || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Approve, reject or resubmit a service log.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Decision
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.logId - Service log ID
+ * @param {string} options.status - New status
+ * @param {string|null} options.userId - Leader deciding
+ * @returns {Promise<Object>} Updated log, or `{ blocked }`
+ */
+async function setServiceLogStatus(pool, { organizationId, logId, status, userId }) {
+  if (!SERVICE_LOG_STATUSES.includes(status)) {
+    return { blocked: 'invalid_status' };
+  }
+  const approved = status === 'approved';
+  const result = await pool.query(
+    `UPDATE top_award_service_logs
+        SET status = $1,
+            approved_by = CASE WHEN $2 THEN $3::uuid ELSE NULL END,
+            approved_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END,
+            updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND organization_id = $5
+      RETURNING *`,
+    [status, approved, userId || null, logId, organizationId]
+  );
+  return result.rows[0] || { blocked: 'service_log_not_found' };
+}
+
+/**
+ * Remove a service log.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.logId - Service log ID
+ * @returns {Promise<Object>} `{ id }`, or `{ blocked }`
+ */
+async function deleteServiceLog(pool, { organizationId, logId }) {
+  const result = await pool.query(
+    'DELETE FROM top_award_service_logs WHERE id = $1 AND organization_id = $2 RETURNING id',
+    [logId, organizationId]
+  );
+  return result.rows[0] || { blocked: 'service_log_not_found' };
+}
+
+/**
+ * Attach a project to a journey.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Project details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.journeyId - Journey ID
+ * @param {Object} options.data - Editable project fields
+ * @returns {Promise<Object>} Created project, or `{ blocked }`
+ */
+async function addTopAwardProject(pool, { organizationId, journeyId, data }) {
+  const { fields, invalidStatus } = pickEditableFields('top_award_projects', data);
+  if (!fields.title || typeof fields.title !== 'string' || !fields.title.trim()) {
+    return { blocked: 'title_required' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+
+  const journey = await findTopAwardJourney(pool, organizationId, journeyId);
+  if (!journey) {
+    return { blocked: 'journey_not_found' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO top_award_projects
+       (organization_id, participant_top_award_progress_id, participant_id, title, description, status,
+        started_at, completed_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'draft'), $7, $8)
+     RETURNING *`,
+    [
+      organizationId,
+      journey.id,
+      journey.participant_id,
+      fields.title.trim(),
+      fields.description ?? null,
+      fields.status ?? null,
+      fields.started_at ?? null,
+      fields.completed_at ?? null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Edit a project. Approving it records who approved it and when.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Update
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.projectId - Project ID
+ * @param {Object} options.data - Editable project fields
+ * @param {string|null} options.userId - Leader editing
+ * @param {boolean} options.canApprove - Whether the caller may approve projects
+ * @returns {Promise<Object>} Updated project, or `{ blocked }`
+ */
+async function updateTopAwardProject(pool, { organizationId, projectId, data, userId, canApprove }) {
+  const { fields, invalidStatus } = pickEditableFields('top_award_projects', data);
+  if (Object.keys(fields).length === 0) {
+    return { blocked: 'nothing_to_update' };
+  }
+  if (invalidStatus) {
+    return { blocked: 'invalid_status' };
+  }
+  if (['approved', 'rejected'].includes(fields.status) && !canApprove) {
+    return { blocked: 'approval_not_permitted' };
+  }
+
+  const project = await updateScopedRow(pool, 'top_award_projects', projectId, organizationId, fields);
+  if (!project) {
+    return { blocked: 'project_not_found' };
+  }
+
+  if (fields.status === 'approved') {
+    const stamped = await pool.query(
+      `UPDATE top_award_projects
+          SET approved_by = $1, approved_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND organization_id = $3
+        RETURNING *`,
+      [userId || null, projectId, organizationId]
+    );
+    return stamped.rows[0] || project;
+  }
+  return project;
+}
+
+/**
+ * Remove a project from its journey.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.projectId - Project ID
+ * @returns {Promise<Object>} `{ id }`, or `{ blocked }`
+ */
+async function deleteTopAwardProject(pool, { organizationId, projectId }) {
+  const result = await pool.query(
+    'DELETE FROM top_award_projects WHERE id = $1 AND organization_id = $2 RETURNING id',
+    [projectId, organizationId]
+  );
+  return result.rows[0] || { blocked: 'project_not_found' };
+}
+
+/**
+ * Record a review outcome and apply it to the journey.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Review details
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.journeyId - Journey ID
+ * @param {Object} options.data - `{ review_date, outcome, notes }`
+ * @param {string|null} options.userId - Reviewer
+ * @returns {Promise<Object>} `{ review, journey }`, or `{ blocked }`
+ */
+async function recordTopAwardReview(client, { organizationId, journeyId, data = {}, userId }) {
+  const outcome = data.outcome || 'pending';
+  if (!REVIEW_OUTCOMES.includes(outcome)) {
+    return { blocked: 'invalid_outcome' };
+  }
+
+  const journey = await findTopAwardJourney(client, organizationId, journeyId);
+  if (!journey) {
+    return { blocked: 'journey_not_found' };
+  }
+
+  const reviewResult = await client.query(
+    `INSERT INTO top_award_reviews
+       (organization_id, participant_top_award_progress_id, participant_id, reviewer_user_id,
+        review_date, outcome, notes)
+     VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7)
+     RETURNING *`,
+    [organizationId, journey.id, journey.participant_id, userId || null, data.review_date || null, outcome, data.notes || null]
+  );
+
+  let updatedJourney = journey;
+  const journeyStatus = REVIEW_OUTCOME_TO_JOURNEY_STATUS[outcome];
+  if (journeyStatus) {
+    updatedJourney = await updateScopedRow(
+      client,
+      'participant_top_award_progress',
+      journey.id,
+      organizationId,
+      { status: journeyStatus }
+    );
+  }
+
+  return { review: reviewResult.rows[0], journey: updatedJourney };
+}
+
+module.exports = {
+  PAB_PLAN_STATUSES,
+  PAB_ITEM_STATUSES,
+  TOP_AWARD_STATUSES,
+  SERVICE_LOG_STATUSES,
+  PROJECT_STATUSES,
+  REVIEW_OUTCOMES,
+  pickEditableFields,
+  requiredServiceHours,
+  listPabThemes,
+  listPabPlans,
+  createPabPlan,
+  updatePabPlan,
+  deletePabPlan,
+  addPabPlanItem,
+  updatePabPlanItem,
+  deletePabPlanItem,
+  addPabReview,
+  listTopAwards,
+  listTopAwardJourneys,
+  startTopAwardJourney,
+  updateTopAwardJourney,
+  deleteTopAwardJourney,
+  logServiceHours,
+  setServiceLogStatus,
+  deleteServiceLog,
+  addTopAwardProject,
+  updateTopAwardProject,
+  deleteTopAwardProject,
+  recordTopAwardReview
+};
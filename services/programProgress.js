@@ -3,8 +3,12 @@
  *
  * Centralizes progression recording in program-specific tables, then mirrors
  * issuance/presentation in badge_progress with source_type/source_id linkage.
+ * Awarding an OAS competency also re-checks the catalog stage rules and opens
+ * a leader claim for any stage it completes.
  */
 
+const { proposeEarnedStageAwards } = require('./oasProgressionRules');
+
 const PROGRAM_TABLE_CONFIG = {
   oas_competency: {
     table: 'participant_oas_competency',
@@ -76,19 +80,24 @@ function resolveUserId(reqUser) {
  * @param {Object} deps.programData Program-specific payload.
  * @param {Object|null} deps.badgeData Optional badge mirror payload.
  * @param {Object|null} deps.user Authenticated user payload.
- * @returns {Promise<{programRecord: Object, badgeProgress: Object|null, sourceType: string}>}
+ * @param {Object|null} deps.client Open pg client; when given, the insert joins
+ *   the caller's transaction instead of running its own.
+ * @returns {Promise<{programRecord: Object, badgeProgress: Object|null, sourceType: string, stageProposals: Array<Object>}>}
  */
-async function recordProgression({ pool, organizationId, programType, participantId, programData = {}, badgeData = null, user = null }) {
+async function recordProgression({ pool, organizationId, programType, participantId, programData = {}, badgeData = null, user = null, client: callerClient = null }) {
   const config = PROGRAM_TABLE_CONFIG[programType];
   if (!config) {
     throw new Error('Unsupported program_type');
   }
 
   const actorUserId = resolveUserId(user);
-  const client = await pool.connect();
+  const ownsTransaction = !callerClient;
+  const client = callerClient || await pool.connect();
 
   try {
-    await client.query('BEGIN');
+    if (ownsTransaction) {
+      await client.query('BEGIN');
+    }
 
     const participantOrgCheck = await client.query(
       'SELECT 1 FROM participant_organizations WHERE participant_id = $1 AND organization_id = $2',
@@ -143,7 +152,8 @@ async function recordProgression({ pool, organizationId, programType, participan
 
     const placeholders = insertValues.map((_, idx) => `$${idx + 1}`).join(', ');
     const programInsertResult = await client.query(
-      `INSERT INTO ${config.table} (${insertFields.join(', ')}) VALUES (${placeholders}) RETURNING *`
+      `INSERT INTO ${config.table} (${insertFields.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+      insertValues
     );
 
     const programRecord = programInsertResult.rows[0];
@@ -160,18 +170,29 @@ async function recordProgression({ pool, organizationId, programType, participan
       });
     }
 
-    await client.query('COMMIT');
+    const stageProposals = programType === 'oas_competency' && programRecord.status === 'awarded'
+      ? await proposeEarnedStageAwards(client, { organizationId, participantId })
+      : [];
+
+    if (ownsTransaction) {
+      await client.query('COMMIT');
+    }
 
     return {
       sourceType: config.sourceType,
       programRecord,
-      badgeProgress
+      badgeProgress,
+      stageProposals
     };
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (ownsTransaction) {
+      await client.query('ROLLBACK');
+    }
     throw error;
   } finally {
-    client.release();
+    if (ownsTransaction) {
+      client.release();
+    }
   }
 }
 
@@ -0,0 +1,472 @@
+/**
+ * Progress Evidence Service
+ *
+ * Youth and parents back a progression claim with evidence — a photo, a PDF,
+ * or a short write-up — and a leader approves or rejects the claim. Evidence
+ * rows (progress_evidence) and decisions (progress_approvals) both point at
+ * the claimed record through source_type/source_id, the same linkage
+ * badge_progress uses to point back at program tables.
+ *
+ * A claim targets one of:
+ * - `participant_oas_competency`: an existing competency entry
+ * - `badge_progress`: an existing badge step
+ * - `oas_competency`: a catalog competency the youth has no entry for yet
+ *
+ * Each claim has at most one pending approval; more evidence on a pending
+ * claim joins the same decision, and evidence added after a rejection opens a
+ * new one. Approving a competency claim records the progression through
+ * recordProgression (or awards the in-progress entry it names), inside the
+ * decision's transaction. Approving badge evidence leaves the badge step
+ * itself to the badge tracker, which owns badge approval and its points.
+ *
+ * The queue also carries `oas_stage` claims, which no one files evidence
+ * for: services/oasProgressionRules.js opens them when the catalog rules say
+ * a stage is earned, and approving one records the stage award.
+ *
+ * Files are stored by the routes through utils/railway-storage.js; this
+ * module only ever sees the stored object key.
+ *
+ * @module services/progressEvidence
+ */
+
+const { recordProgression } = require('./programProgress');
+const { STAGE_CLAIM_SOURCE_TYPE, proposeEarnedStageAwards } = require('./oasProgressionRules');
+
+const EVIDENCE_TYPES = ['photo', 'document', 'note'];
+const APPROVAL_DECISIONS = ['approved', 'rejected'];
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * What a claim can point at, and how to load it inside the organization.
+ * `participantFromRequest` sources are catalog rows that name no youth, so
+ * the participant comes from the request instead.
+ */
+const EVIDENCE_SOURCES = {
+  participant_oas_competency: {
+    lookup: `SELECT pc.id, pc.participant_id, pc.status, c.name AS title
+               FROM participant_oas_competency pc
+               JOIN oas_competencies c ON c.id = pc.oas_competency_id
+              WHERE pc.id = $1 AND pc.organization_id = $2`
+  },
+  badge_progress: {
+    lookup: `SELECT bp.id, bp.participant_id, bp.status, bp.territoire_chasse AS title
+               FROM badge_progress bp
+              WHERE bp.id = $1 AND bp.organization_id = $2`
+  },
+  oas_competency: {
+    participantFromRequest: true,
+    lookup: `SELECT c.id, NULL::integer AS participant_id, NULL::text AS status, c.name AS title
+               FROM oas_competencies c
+              WHERE c.id = $1 AND c.organization_id = $2 AND c.is_active = TRUE`
+  }
+};
+
+/** Claim types the leader queue decides: evidence-backed ones plus rule proposals. */
+const CLAIM_SOURCE_TYPES = [...Object.keys(EVIDENCE_SOURCES), STAGE_CLAIM_SOURCE_TYPE];
+
+/**
+ * Confirm a participant is linked to a parent account.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {number} participantId - Participant ID
+ * @param {string} userId - Parent user ID
+ * @returns {Promise<boolean>} True when linked
+ */
+async function isLinkedParticipant(client, participantId, userId) {
+  const result = await client.query(
+    'SELECT 1 FROM user_participants WHERE participant_id = $1 AND user_id = $2',
+    [participantId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Resolve and authorize the record a piece of evidence backs.
+ *
+ * Run before any file is stored, so a refused claim never leaves an orphan
+ * object in the bucket.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Claim
+ * @param {number} options.organizationId - Organization ID
+ * @param {string} options.sourceType - Key of EVIDENCE_SOURCES
+ * @param {number} options.sourceId - Claimed record ID
+ * @param {number|null} [options.participantId] - Youth, for catalog claims
+ * @param {string|null} [options.linkedUserId] - Parent the youth must be linked to
+ * @returns {Promise<Object>} `{ sourceType, sourceId, participantId, title, status }`, or `{ blocked }`
+ */
+async function resolveEvidenceTarget(pool, { organizationId, sourceType, sourceId, participantId = null, linkedUserId = null }) {
+  const source = EVIDENCE_SOURCES[sourceType];
+  if (!source) {
+    return { blocked: 'invalid_source_type' };
+  }
+
+  const result = await pool.query(source.lookup, [sourceId, organizationId]);
+  const row = result.rows[0];
+  if (!row) {
+    return { blocked: 'source_not_found' };
+  }
+
+  let target = { sourceType, sourceId: row.id, status: row.status };
+  let targetParticipantId = row.participant_id;
+  if (source.participantFromRequest) {
+    if (!participantId) {
+      return { blocked: 'participant_not_found' };
+    }
+    const enrolled = await pool.query(
+      'SELECT 1 FROM participant_organizations WHERE participant_id = $1 AND organization_id = $2',
+      [participantId, organizationId]
+    );
+    if (enrolled.rows.length === 0) {
+      return { blocked: 'participant_not_found' };
+    }
+    targetParticipantId = participantId;
+
+    // A youth has one entry per competency. If a leader already started one,
+    // the claim is about that entry rather than a second record.
+    const entryResult = await pool.query(
+      `SELECT id, status FROM participant_oas_competency
+        WHERE organization_id = $1 AND participant_id = $2 AND oas_competency_id = $3`,
+      [organizationId, participantId, sourceId]
+    );
+    const entry = entryResult.rows[0];
+    if (entry?.status === 'awarded') {
+      return { blocked: 'already_awarded' };
+    }
+    if (entry?.status === 'revoked') {
+      return { blocked: 'competency_revoked' };
+    }
+    if (entry) {
+      target = { sourceType: 'participant_oas_competency', sourceId: entry.id, status: entry.status };
+    }
+  }
+
+  if (linkedUserId && !(await isLinkedParticipant(pool, targetParticipantId, linkedUserId))) {
+    return { blocked: 'participant_not_linked' };
+  }
+
+  return {
+    ...target,
+    participantId: targetParticipantId,
+    title: row.title
+  };
+}
+
+/**
+ * Store one piece of evidence and make sure its claim is waiting for a leader.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Evidence
+ * @param {number} options.organizationId - Organization ID
+ * @param {Object} options.target - Result of resolveEvidenceTarget
+ * @param {string} options.evidenceType - photo, document or note
+ * @param {string|null} options.evidenceUrl - Stored object key, for files
+ * @param {string|null} options.notes - Write-up or caption
+ * @param {string|null} options.userId - Uploader
+ * @returns {Promise<{evidence: Object, approval: Object}>}
+ */
+async function saveEvidence(client, { organizationId, target, evidenceType, evidenceUrl, notes, userId }) {
+  const evidenceResult = await client.query(
+    `INSERT INTO progress_evidence
+       (organization_id, participant_id, source_type, source_id, evidence_type, evidence_url, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      organizationId,
+      target.participantId,
+      target.sourceType,
+      target.sourceId,
+      evidenceType,
+      evidenceUrl || null,
+      notes || null,
+      userId || null
+    ]
+  );
+
+  const pending = await client.query(
+    `SELECT * FROM progress_approvals
+      WHERE organization_id = $1 AND source_type = $2 AND source_id = $3
+        AND participant_id = $4 AND status = 'pending'
+      FOR UPDATE`,
+    [organizationId, target.sourceType, target.sourceId, target.participantId]
+  );
+
+  let approval = pending.rows[0];
+  if (!approval) {
+    const created = await client.query(
+      `INSERT INTO progress_approvals (organization_id, participant_id, source_type, source_id, status)
+       VALUES ($1, $2, $3, $4, 'pending')
+       RETURNING *`,
+      [organizationId, target.participantId, target.sourceType, target.sourceId]
+    );
+    approval = created.rows[0];
+  }
+
+  return { evidence: evidenceResult.rows[0], approval };
+}
+
+/**
+ * Evidence filed against one claimed record, newest first.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Filters
+ * @param {number} options.organizationId - Organization ID
+ * @param {string} options.sourceType - Key of EVIDENCE_SOURCES
+ * @param {number} options.sourceId - Claimed record ID
+ * @param {number|null} [options.participantId] - Youth, for catalog claims
+ * @param {string|null} [options.linkedUserId] - Restrict to participants linked to this user
+ * @returns {Promise<Array<Object>>} Evidence with the status of its latest decision
+ */
+async function listEvidence(pool, { organizationId, sourceType, sourceId, participantId = null, linkedUserId = null }) {
+  const params = [organizationId, sourceType, sourceId];
+  let where = 'pe.organization_id = $1 AND pe.source_type = $2 AND pe.source_id = $3';
+  if (participantId) {
+    params.push(participantId);
+    where += ` AND pe.participant_id = $${params.length}`;
+  }
+  if (linkedUserId) {
+    params.push(linkedUserId);
+    where += ` AND EXISTS (
+      SELECT 1 FROM user_participants up
+       WHERE up.participant_id = pe.participant_id AND up.user_id = $${params.length}
+    )`;
+  }
+
+  const result = await pool.query(
+    `SELECT pe.*,
+            u.full_name AS created_by_name,
+            (SELECT pa.status
+               FROM progress_approvals pa
+              WHERE pa.organization_id = pe.organization_id
+                AND pa.source_type = pe.source_type AND pa.source_id = pe.source_id
+                AND pa.participant_id = pe.participant_id
+                AND pa.created_at <= pe.created_at
+              ORDER BY pa.created_at DESC
+              LIMIT 1) AS approval_status
+       FROM progress_evidence pe
+       LEFT JOIN users u ON u.id = pe.created_by
+      WHERE ${where}
+      ORDER BY pe.created_at DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Remove a piece of evidence.
+ *
+ * The uploader may withdraw their own evidence; anyone else needs to manage
+ * badges. When the last piece goes, a still-pending claim goes with it so the
+ * leader queue never shows an empty claim.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Target
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.evidenceId - Evidence ID
+ * @param {string} options.userId - Caller
+ * @param {boolean} options.canManage - Whether the caller manages badges
+ * @returns {Promise<Object>} Deleted evidence row, or `{ blocked }`
+ */
+async function deleteEvidence(client, { organizationId, evidenceId, userId, canManage }) {
+  const existing = await client.query(
+    'SELECT * FROM progress_evidence WHERE id = $1 AND organization_id = $2',
+    [evidenceId, organizationId]
+  );
+  const evidence = existing.rows[0];
+  if (!evidence) {
+    return { blocked: 'evidence_not_found' };
+  }
+  if (!canManage && evidence.created_by !== userId) {
+    return { blocked: 'evidence_not_owned' };
+  }
+
+  await client.query('DELETE FROM progress_evidence WHERE id = $1', [evidence.id]);
+
+  const remaining = await client.query(
+    `SELECT 1 FROM progress_evidence
+      WHERE organization_id = $1 AND source_type = $2 AND source_id = $3 AND participant_id = $4
+      LIMIT 1`,
+    [organizationId, evidence.source_type, evidence.source_id, evidence.participant_id]
+  );
+  if (remaining.rows.length === 0) {
+    await client.query(
+      `DELETE FROM progress_approvals
+        WHERE organization_id = $1 AND source_type = $2 AND source_id = $3
+          AND participant_id = $4 AND status = 'pending'`,
+      [organizationId, evidence.source_type, evidence.source_id, evidence.participant_id]
+    );
+  }
+
+  return evidence;
+}
+
+/**
+ * Claims awaiting (or past) a leader's decision, with their evidence.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options - Filters
+ * @param {number} options.organizationId - Organization ID
+ * @param {string} [options.status] - pending, approved or rejected
+ * @returns {Promise<Array<Object>>} Claims, oldest pending first
+ */
+async function listApprovalQueue(pool, { organizationId, status = 'pending' }) {
+  const result = await pool.query(
+    `SELECT pa.*,
+            p.first_name || ' ' || p.last_name AS participant_name,
+            CASE pa.source_type
+              WHEN 'participant_oas_competency' THEN (
+                SELECT c.name
+                  FROM participant_oas_competency pc
+                  JOIN oas_competencies c ON c.id = pc.oas_competency_id
+                 WHERE pc.id = pa.source_id)
+              WHEN 'oas_competency' THEN (
+                SELECT c.name FROM oas_competencies c WHERE c.id = pa.source_id)
+              WHEN 'badge_progress' THEN (
+                SELECT bp.territoire_chasse FROM badge_progress bp WHERE bp.id = pa.source_id)
+              WHEN 'oas_stage' THEN (
+                SELECT sk.name || ' — ' || s.name
+                  FROM oas_stages s
+                  JOIN oas_skills sk ON sk.id = s.oas_skill_id
+                 WHERE s.id = pa.source_id)
+            END AS source_title,
+            COALESCE((
+              SELECT json_agg(pe ORDER BY pe.created_at)
+                FROM progress_evidence pe
+               WHERE pe.organization_id = pa.organization_id
+                 AND pe.source_type = pa.source_type AND pe.source_id = pa.source_id
+                 AND pe.participant_id = pa.participant_id
+            ), '[]'::json) AS evidence
+       FROM progress_approvals pa
+       JOIN participants p ON p.id = pa.participant_id
+      WHERE pa.organization_id = $1
+        AND pa.status = $2
+        AND pa.source_type = ANY($3::text[])
+      ORDER BY CASE WHEN pa.status = 'pending' THEN pa.created_at END ASC,
+               pa.reviewed_at DESC
+      LIMIT 200`,
+    [organizationId, status, CLAIM_SOURCE_TYPES]
+  );
+  return result.rows;
+}
+
+/**
+ * Turn an approved claim into recorded progression.
+ *
+ * @param {Object} client - pg client inside the decision's transaction
+ * @param {Object} approval - Approved progress_approvals row
+ * @param {Object|null} user - Leader deciding
+ * @returns {Promise<Object|null>} What was recorded, if anything
+ */
+async function applyApprovedClaim(client, approval, user) {
+  if (approval.source_type === 'oas_competency') {
+    return recordProgression({
+      client,
+      organizationId: approval.organization_id,
+      programType: 'oas_competency',
+      participantId: approval.participant_id,
+      programData: {
+        oas_competency_id: approval.source_id,
+        status: 'awarded',
+        notes: approval.notes,
+        metadata: { progress_approval_id: approval.id }
+      },
+      user
+    });
+  }
+
+  if (approval.source_type === 'participant_oas_competency') {
+    const result = await client.query(
+      `UPDATE participant_oas_competency
+          SET status = 'awarded', achieved_at = CURRENT_TIMESTAMP,
+              awarded_by = COALESCE(awarded_by, $1), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND organization_id = $3 AND status = 'in_progress'
+        RETURNING *`,
+      [user?.id || null, approval.source_id, approval.organization_id]
+    );
+    if (!result.rows[0]) {
+      return null;
+    }
+    const stageProposals = await proposeEarnedStageAwards(client, {
+      organizationId: approval.organization_id,
+      participantId: approval.participant_id
+    });
+    return { sourceType: 'participant_oas_competency', programRecord: result.rows[0], badgeProgress: null, stageProposals };
+  }
+
+  if (approval.source_type === STAGE_CLAIM_SOURCE_TYPE) {
+    return recordProgression({
+      client,
+      organizationId: approval.organization_id,
+      programType: 'oas_stage_award',
+      participantId: approval.participant_id,
+      programData: {
+        oas_stage_id: approval.source_id,
+        status: 'awarded',
+        notes: approval.notes,
+        metadata: { progress_approval_id: approval.id }
+      },
+      user
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Approve or reject a pending claim, with the leader's comments.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - Decision
+ * @param {number} options.organizationId - Organization ID
+ * @param {number} options.approvalId - progress_approvals ID
+ * @param {string} options.decision - approved or rejected
+ * @param {string|null} options.notes - Comments for the youth
+ * @param {Object|null} options.user - Leader deciding
+ * @returns {Promise<Object>} `{ approval, progression }`, or `{ blocked }`
+ */
+async function decideApproval(client, { organizationId, approvalId, decision, notes, user }) {
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    return { blocked: 'invalid_decision' };
+  }
+
+  const existing = await client.query(
+    'SELECT * FROM progress_approvals WHERE id = $1 AND organization_id = $2 FOR UPDATE',
+    [approvalId, organizationId]
+  );
+  const current = existing.rows[0];
+  if (!current || !CLAIM_SOURCE_TYPES.includes(current.source_type)) {
+    return { blocked: 'approval_not_found' };
+  }
+  if (current.status !== 'pending') {
+    return { blocked: 'already_decided' };
+  }
+
+  const updated = await client.query(
+    `UPDATE progress_approvals
+        SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+            notes = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *`,
+    [decision, user?.id || null, notes || null, current.id]
+  );
+  const approval = updated.rows[0];
+
+  const progression = decision === 'approved'
+    ? await applyApprovedClaim(client, approval, user)
+    : null;
+
+  return { approval, progression };
+}
+
+module.exports = {
+  EVIDENCE_TYPES,
+  EVIDENCE_SOURCES,
+  CLAIM_SOURCE_TYPES,
+  APPROVAL_STATUSES,
+  resolveEvidenceTarget,
+  saveEvidence,
+  listEvidence,
+  deleteEvidence,
+  listApprovalQueue,
+  decideApproval
+};
@@ -37,6 +37,7 @@ const {
   getUserEmailLanguage,
 } = require('../utils/index');
 const { getOrganizationName } = require('./alumni');
+const { loadEmailContext, renderTemplate } = require('./email-templates');
 
 /**
  * Token purpose. Distinct from the alumni purposes so that an opt-in link can
@@ -193,44 +194,23 @@ function classifyStanding(standing) {
  * @param {string} params.confirmLink - One-click confirmation URL
  * @param {boolean} params.isJoining - True when the reader has an account but
  *   has never belonged to this unit
+ * @param {Object} [params.context] - Unit branding and wording, from loadEmailContext()
  * @returns {{subject: string, text: string, html: string}} Message parts
  */
-function buildReactivationMessage({ language, organizationName, confirmLink, isJoining }) {
+function buildReactivationMessage({ language, organizationName, confirmLink, isJoining, context }) {
   const t = getTranslationsByCode(language);
   const fallback = getTranslationsByCode('en');
-  const pick = (key, literal) => t[key] || fallback[key] || literal;
-
-  const subject = pick('reactivation_email_subject', 'Rejoining {organization}')
-    .replace('{organization}', organizationName);
-  const heading = pick('reactivation_email_heading', 'Confirm your return');
-  const intro = isJoining
-    ? pick(
-      'reactivation_email_intro_join',
-      'You already have a Wampums account, and you asked to use it with {organization}. Confirm below and your account will be added to the unit — your password does not change.'
-    ).replace('{organization}', organizationName)
-    : pick(
-      'reactivation_email_intro_return',
-      'Your access to {organization} was closed when you no longer had a child registered. Confirm below to ask for it back — your account, your password and your history were all kept.'
-    ).replace('{organization}', organizationName);
-  const button = pick('reactivation_email_button', 'Confirm');
-  const copyHint = pick('reactivation_email_copy_hint', 'Or copy this link:');
-  const expiry = pick('reactivation_email_expiry', 'This link will expire in 7 days.');
-  const ignore = pick(
-    'reactivation_email_ignore',
-    'If you did not ask for this, you can ignore this email. Nothing changes until the link is used.'
-  );
+  const button = t.reactivation_email_button || fallback.reactivation_email_button || 'Confirm';
 
-  const text = [heading, '', intro, '', confirmLink, '', expiry, '', ignore].join('\n');
-  const html = `
-    <h2>${heading}</h2>
-    <p>${intro}</p>
-    <p><a href="${confirmLink}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${button}</a></p>
-    <p>${copyHint} <a href="${confirmLink}">${confirmLink}</a></p>
-    <p><em>${expiry}</em></p>
-    <p>${ignore}</p>
-  `;
-
-  return { subject, text, html };
+  return renderTemplate(
+    isJoining ? 'reactivation_join' : 'reactivation_return',
+    language,
+    { organization: organizationName },
+    {
+      ...(context ? { context } : {}),
+      action: { label: button, url: confirmLink },
+    }
+  );
 }
 
 /**
@@ -259,7 +239,8 @@ async function requestReactivation(pool, { email, organizationId, baseUrl, logge
     return { requested: true };
   }
 
-  const organizationName = await getOrganizationName(pool, organizationId);
+  const context = await loadEmailContext(pool, organizationId);
+  const { organizationName } = context;
   const language = await getUserEmailLanguage(pool, standing.email, organizationId);
   const token = issueReactivationToken({
     user_id: standing.user_id,
@@ -272,6 +253,7 @@ async function requestReactivation(pool, { email, organizationId, baseUrl, logge
     organizationName,
     confirmLink,
     isJoining: outcome === 'joining',
+    context,
   });
 
   const sent = await sendEmail(standing.email, subject, text, html, organizationName);
@@ -421,25 +403,16 @@ async function notifyAdminsOfReactivationRequest(pool, {
       return;
     }
 
+    const context = await loadEmailContext(pool, organizationId);
     await Promise.all(adminResult.rows.map(async (admin) => {
       const language = await getUserEmailLanguage(pool, admin.email, organizationId);
-      const t = getTranslationsByCode(language);
-      const fallback = getTranslationsByCode('en');
-      const pick = (key, literal) => t[key] || fallback[key] || literal;
-
-      const subject = pick(
-        'reactivation_admin_subject',
-        'Reactivation request for {organization}'
-      ).replace('{organization}', organizationName);
-      const body = pick(
-        'reactivation_admin_body',
-        'A deactivated member of {organization} has asked for their access back:\n\nName: {name}\nEmail: {email}\n\nThis account was not deactivated by the year transition, so it is waiting for your decision. Review it on the scout year screen.'
-      )
-        .replace('{organization}', organizationName)
-        .replace('{name}', memberName || memberEmail)
-        .replace('{email}', memberEmail);
-
-      await sendEmail(admin.email, subject, body, `<p>${body.replace(/\n/g, '<br />')}</p>`, organizationName);
+      const { subject, text, html } = renderTemplate('reactivation_admin', language, {
+        organization: organizationName,
+        name: memberName || memberEmail,
+        email: memberEmail,
+      }, { context });
+
+      await sendEmail(admin.email, subject, text, html, organizationName);
     }));
   } catch (err) {
     logger?.error('Failed to notify admins of reactivation request', {
@@ -787,9 +787,89 @@ async function rollbackTransition(client, { transition, userId }) {
   };
 }
 
+/**
+ * A date no submission can be later than, used to open the window's far end.
+ * Postgres accepts dates well past it, so it is a bound, not a sentinel value
+ * anything is compared against for equality.
+ */
+const OPEN_ENDED_DATE = '9999-12-31';
+
+/**
+ * The bounds of the "as of" window for a scout year, for formAsOfYearJoin().
+ *
+ * A *closed* year is bounded by its own dates: that is what makes an archived
+ * report show the form that was in force back then rather than today's.
+ *
+ * The year *in progress* has no upper bound, and clipping it at `end_date` was
+ * hiding live records. An organisation runs its year transition when it gets
+ * round to it, so the open year routinely outlives its nominal end date; every
+ * health form filled in during that overrun — new registrations, a family
+ * updating an allergy over the summer — fell outside the window and the child
+ * dropped out of every health report while their fiche santé still displayed
+ * perfectly. Same for a submission stamped with a year that starts later than
+ * the open one. On the open year the answer is simply the participant's current
+ * form, so the bounds are opened rather than the condition removed, which keeps
+ * one SQL fragment and one parameter layout for both cases.
+ *
+ * @param {Object} scoutYear - Row from `req.scoutYear`
+ * @returns {Array<string>} `[startBound, endBound]`
+ */
+function formWindowFor(scoutYear) {
+  if (!scoutYear || scoutYear.status === 'active') {
+    return [OPEN_ENDED_DATE, OPEN_ENDED_DATE];
+  }
+  return [scoutYear.start_date, scoutYear.end_date];
+}
+
+/**
+ * Join `fs` on the submission of a form that was in force during a scout year.
+ *
+ * Rosters and groups are scoped to the selected year, but a form submission is
+ * not a per-year row: the year transition deliberately keeps last year's
+ * content and only asks for a re-read (§10), so a returning child has one
+ * health form stamped with the year it was first filled in. Two consequences,
+ * both of which this fragment exists to handle:
+ *
+ *   * joining on `fs.scout_year_id = <selected year>` would lose the form of
+ *     every returning participant, since it belongs to an earlier year;
+ *   * joining without any year condition lets a closed year display a form
+ *     filled in two seasons later, and lets a participant with submissions
+ *     from several years appear once per submission.
+ *
+ * What should be read is the submission that was in force during the selected
+ * year: the most recent one that existed by then. Hence a lateral picking a
+ * single row, ordered by the year it belongs to.
+ *
+ * The residual limit is stated plainly: a submission edited in a later season is
+ * a mutable row, so its *content* is today's. Scoping fixes which record is
+ * shown, not the absence of version history — see §9 of
+ * devdocs/GESTION_ANNEE_SCOUTE.md.
+ *
+ * @param {string} formType - `form_submissions.form_type`, a literal from the code
+ * @param {Object} [placeholders] - Parameters holding the organization id and
+ *   the two bounds from formWindowFor()
+ * @returns {string} SQL attaching to a participant table aliased `p`
+ */
+function formAsOfYearJoin(formType, { organization = '$1', start = '$4', end = '$5' } = {}) {
+  return `
+  LEFT JOIN LATERAL (
+    SELECT sub.submission_data
+      FROM form_submissions sub
+      LEFT JOIN scout_years sub_year ON sub_year.id = sub.scout_year_id
+     WHERE sub.participant_id = p.id
+       AND sub.organization_id = ${organization}
+       AND sub.form_type = '${formType}'
+       AND ((sub.scout_year_id IS NOT NULL AND sub_year.start_date <= ${start}::date)
+         OR (sub.scout_year_id IS NULL AND sub.created_at < (${end}::date + INTERVAL '1 day')))
+     ORDER BY sub_year.start_date DESC NULLS LAST, sub.updated_at DESC NULLS LAST, sub.id DESC
+     LIMIT 1
+  ) fs ON TRUE`;
+}
+
 module.exports = {
   DEFAULT_FISCAL_START_MONTH,
   DEFAULT_FISCAL_START_DAY,
+  OPEN_ENDED_DATE,
   getFiscalYearStart,
   computeYearBounds,
   getActiveScoutYear,
@@ -802,5 +882,7 @@ module.exports = {
   expireMedicationAuthorizations,
   listTransitions,
   listRollbackBlockers,
-  rollbackTransition
+  rollbackTransition,
+  formWindowFor,
+  formAsOfYearJoin
 };
@@ -1,6 +1,7 @@
 const { Server: SocketIO } = require("socket.io");
 const logger = require("../config/logger");
 const { verifyJWT } = require("../utils/api-helpers");
+const { isSessionActive } = require("./authSessions");
 
 let io;
 
@@ -8,9 +9,10 @@ let io;
  * Initialize Socket.IO
  * 
  * @param {http.Server} server - The HTTP server instance
+ * @param {Object} pool - Database pool, used to check the token's session
  * @returns {SocketIO} The Socket.IO server instance
  */
-function init(server) {
+function init(server, pool) {
     io = new SocketIO(server, {
         cors: {
             origin: process.env.CORS_ORIGIN || "*",
@@ -19,7 +21,7 @@ function init(server) {
     });
 
     // Authentication middleware
-    io.use((socket, next) => {
+    io.use(async (socket, next) => {
         const token = socket.handshake.auth.token;
 
         if (!token) {
@@ -33,8 +35,15 @@ function init(server) {
                 return next(new Error("Authentication error: Invalid token"));
             }
 
+            // Same rule as middleware/auth.js: a revoked session's token is dead
+            // even though its signature and expiry still check out.
+            if (payload.sid && !(await isSessionActive(pool, payload.sid))) {
+                return next(new Error("Authentication error: Session revoked"));
+            }
+
             socket.userId = payload.user_id || payload.userId;
             socket.organizationId = payload.organization_id || payload.organizationId;
+            socket.sessionId = payload.sid || null;
             next();
         } catch (error) {
             next(new Error("Authentication error: " + error.message));
@@ -48,6 +57,9 @@ function init(server) {
         if (socket.organizationId) {
             socket.join(`org-${socket.organizationId}`);
         }
+        if (socket.sessionId) {
+            socket.join(`session-${socket.sessionId}`);
+        }
 
         socket.on("disconnect", () => {
             logger.info(`Socket.io disconnected: ${socket.id}`);
@@ -69,4 +81,21 @@ function getIO() {
     return io;
 }
 
-module.exports = { init, getIO };
+/**
+ * Drop the live connections of revoked sessions.
+ *
+ * The handshake check only runs when a socket connects, so a socket opened
+ * before the revocation would otherwise keep receiving organization events.
+ *
+ * @param {Array<string>} sessionIds - user_sessions IDs
+ */
+function disconnectSessions(sessionIds) {
+    if (!io) {
+        return;
+    }
+    for (const sessionId of sessionIds) {
+        io.in(`session-${sessionId}`).disconnectSockets(true);
+    }
+}
+
+module.exports = { init, getIO, disconnectSessions };
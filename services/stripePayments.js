@@ -0,0 +1,581 @@
+/**
+ * Stripe Payments Service
+ *
+ * Everything that moves money through Stripe after a payment intent exists:
+ * recording payments, refunds and disputes from webhooks, refunds started
+ * from the finance screen, and Checkout sessions parents open to settle a fee
+ * balance or the next payment plan installment.
+ *
+ * Money lives in `payments` only. A refund, or funds Stripe withdraws for a
+ * dispute, is a negative row pointing back at the original payment through
+ * `refund_of_payment_id`; reinstated dispute funds are a positive row with the
+ * same link. Fee balances and statuses therefore stay plain sums.
+ *
+ * Webhook events are applied on one client inside one transaction that also
+ * marks the event in `processed_transactions`. A redelivered event finds its
+ * mark and is acknowledged without effect; a failed one rolls back and
+ * surfaces as a 500 so Stripe retries it.
+ *
+ * @module services/stripePayments
+ */
+
+const { recordAudit } = require('../middleware/audit');
+const { resolveOrganizationBaseUrl } = require('../utils/public-url');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const STRIPE_CURRENCY = 'cad';
+
+/** Refund states that mean the money is (or is about to be) back with the payer. */
+const ACTIVE_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return Math.round(Number(cents)) / 100;
+}
+
+/**
+ * Recompute a fee's paid/partial/unpaid status from its payments.
+ *
+ * @param {Object} client - Database client
+ * @param {number|string} participantFeeId - Fee to refresh
+ * @returns {Promise<void>}
+ */
+async function refreshFeeStatus(client, participantFeeId) {
+  await client.query(
+    `UPDATE participant_fees pf
+     SET status = CASE
+       WHEN COALESCE((SELECT SUM(amount) FROM payments WHERE participant_fee_id = pf.id), 0) >= pf.total_amount THEN 'paid'
+       WHEN COALESCE((SELECT SUM(amount) FROM payments WHERE participant_fee_id = pf.id), 0) > 0 THEN 'partial'
+       ELSE 'unpaid'
+     END
+     WHERE pf.id = $1`,
+    [participantFeeId]
+  );
+}
+
+/**
+ * Find the recorded payment a Stripe charge belongs to.
+ *
+ * @param {Object} client - Database client
+ * @param {{paymentIntentId: string|null, chargeId: string|null}} ids - Stripe identifiers
+ * @returns {Promise<Object|null>} Original (positive) payment row
+ */
+async function findStripePayment(client, { paymentIntentId, chargeId }) {
+  const result = await client.query(
+    `SELECT id, participant_fee_id, payment_plan_id, amount
+     FROM payments
+     WHERE (stripe_payment_intent_id = $1 OR stripe_transaction_id = $2)
+       AND refund_of_payment_id IS NULL
+     ORDER BY id
+     LIMIT 1`,
+    [paymentIntentId || null, chargeId || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * payment_intent.succeeded: record the payment once.
+ * Intents created by Checkout carry `payment_plan_id` when they pay an installment.
+ */
+async function recordSucceededPaymentIntent(client, paymentIntent, logger) {
+  const { id: paymentIntentId, amount, payment_method, latest_charge, metadata = {} } = paymentIntent;
+  const participantFeeId = metadata.participant_fee_id;
+
+  if (!participantFeeId) {
+    throw new Error('Missing participant_fee_id in PaymentIntent metadata');
+  }
+
+  const existingPayment = await client.query(
+    'SELECT id FROM payments WHERE stripe_payment_intent_id = $1',
+    [paymentIntentId]
+  );
+  if (existingPayment.rows.length > 0) {
+    logger.info(`Payment already recorded for PaymentIntent: ${paymentIntentId}`);
+    return;
+  }
+
+  const paymentAmount = fromCents(amount);
+  const insertResult = await client.query(
+    `INSERT INTO payments (
+      participant_fee_id,
+      payment_plan_id,
+      amount,
+      payment_date,
+      method,
+      reference_number,
+      payment_processor,
+      stripe_payment_intent_id,
+      stripe_payment_method_id,
+      stripe_transaction_id,
+      stripe_payment_status,
+      stripe_metadata
+    ) VALUES ($1, $2, $3, NOW(), $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id`,
+    [
+      participantFeeId,
+      metadata.payment_plan_id || null,
+      paymentAmount,
+      'credit_card',
+      paymentIntentId,
+      'stripe',
+      paymentIntentId,
+      typeof payment_method === 'string' ? payment_method : payment_method?.id || null,
+      typeof latest_charge === 'string' ? latest_charge : latest_charge?.id || null,
+      'succeeded',
+      JSON.stringify(metadata)
+    ]
+  );
+
+  await refreshFeeStatus(client, participantFeeId);
+
+  logger.info(`Payment recorded successfully: payment_id=${insertResult.rows[0].id}, amount=$${paymentAmount}, participant_fee_id=${participantFeeId}`);
+}
+
+/**
+ * Write the negative entry for a Stripe refund unless it is already recorded.
+ *
+ * @returns {Promise<Object|null>} Inserted row, or null when the refund was already known
+ */
+async function insertStripeRefund(client, payment, refund, { referenceNumber = null } = {}) {
+  const result = await client.query(
+    `INSERT INTO payments (
+      participant_fee_id,
+      payment_plan_id,
+      amount,
+      payment_date,
+      method,
+      reference_number,
+      payment_processor,
+      stripe_transaction_id,
+      stripe_refund_id,
+      stripe_payment_status,
+      refund_of_payment_id
+    ) VALUES ($1, $2, $3, to_timestamp($4)::date, 'refund', $5, 'stripe', $6, $7, $8, $9)
+    ON CONFLICT (stripe_refund_id) WHERE stripe_refund_id IS NOT NULL DO NOTHING
+    RETURNING id, participant_fee_id, payment_plan_id, amount, payment_date, method, reference_number,
+              refund_of_payment_id, stripe_refund_id, created_at`,
+    [
+      payment.participant_fee_id,
+      payment.payment_plan_id || null,
+      -fromCents(refund.amount),
+      refund.created || Math.floor(Date.now() / 1000),
+      referenceNumber || refund.id,
+      refund.charge || null,
+      refund.id,
+      refund.status,
+      payment.id
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * charge.refunded: record refunds made outside the app (Stripe dashboard).
+ * Refunds started from the finance screen are already recorded and skipped.
+ */
+async function recordChargeRefunds(client, charge, logger) {
+  const payment = await findStripePayment(client, { paymentIntentId: charge.payment_intent, chargeId: charge.id });
+  if (!payment) {
+    logger.warn(`Refund for unknown Stripe charge ${charge.id}; nothing recorded`);
+    return;
+  }
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const inserted = await Promise.all(
+    refunds.data
+      .filter((refund) => ACTIVE_REFUND_STATUSES.includes(refund.status))
+      .map((refund) => insertStripeRefund(client, payment, refund))
+  );
+  const recorded = inserted.filter(Boolean).length;
+
+  if (recorded > 0) {
+    await refreshFeeStatus(client, payment.participant_fee_id);
+  }
+  logger.info(`Charge ${charge.id} refunded: ${recorded} new refund(s) recorded against payment ${payment.id}`);
+}
+
+/**
+ * charge.refund.updated: a refund that fails or is canceled gives the money
+ * back to the organization, so its negative entry goes away.
+ */
+async function updateRefundStatus(client, refund, logger) {
+  if (ACTIVE_REFUND_STATUSES.includes(refund.status)) {
+    await client.query(
+      'UPDATE payments SET stripe_payment_status = $1 WHERE stripe_refund_id = $2',
+      [refund.status, refund.id]
+    );
+    return;
+  }
+
+  const removed = await client.query(
+    'DELETE FROM payments WHERE stripe_refund_id = $1 RETURNING participant_fee_id',
+    [refund.id]
+  );
+  if (removed.rows.length > 0) {
+    await refreshFeeStatus(client, removed.rows[0].participant_fee_id);
+    logger.warn(`Stripe refund ${refund.id} ${refund.status}; refund entry removed`);
+  }
+}
+
+/**
+ * charge.dispute.*: keep payment_disputes in step with Stripe.
+ *
+ * @returns {Promise<Object|null>} Disputed payment, or null when the charge is unknown
+ */
+async function syncDispute(client, dispute, logger) {
+  const chargeId = typeof dispute.charge === 'string' ? dispute.charge : dispute.charge?.id;
+  const payment = await findStripePayment(client, { paymentIntentId: dispute.payment_intent, chargeId });
+  if (!payment) {
+    logger.warn(`Dispute ${dispute.id} on unknown Stripe charge ${chargeId}; nothing recorded`);
+    return null;
+  }
+
+  const dueBy = dispute.evidence_details?.due_by;
+  await client.query(
+    `INSERT INTO payment_disputes
+       (payment_id, stripe_dispute_id, stripe_charge_id, amount, reason, status, evidence_due_by)
+     VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::bigint IS NULL THEN NULL ELSE to_timestamp($7::bigint) END)
+     ON CONFLICT (stripe_dispute_id) DO UPDATE
+       SET amount = EXCLUDED.amount,
+           reason = EXCLUDED.reason,
+           status = EXCLUDED.status,
+           evidence_due_by = EXCLUDED.evidence_due_by,
+           updated_at = CURRENT_TIMESTAMP`,
+    [payment.id, dispute.id, chargeId || null, fromCents(dispute.amount), dispute.reason || null, dispute.status, dueBy || null]
+  );
+
+  logger.info(`Dispute ${dispute.id} on payment ${payment.id} is ${dispute.status}`);
+  return payment;
+}
+
+/**
+ * charge.dispute.funds_withdrawn / funds_reinstated: Stripe moved the
+ * disputed amount, so the fee balance moves with it.
+ */
+async function recordDisputeFunds(client, dispute, direction, logger) {
+  const payment = await syncDispute(client, dispute, logger);
+  if (!payment) {
+    return;
+  }
+
+  const amount = fromCents(dispute.amount) * (direction === 'withdrawn' ? -1 : 1);
+  await client.query(
+    `INSERT INTO payments (
+      participant_fee_id,
+      payment_plan_id,
+      amount,
+      payment_date,
+      method,
+      reference_number,
+      payment_processor,
+      stripe_payment_status,
+      refund_of_payment_id
+    ) VALUES ($1, $2, $3, CURRENT_DATE, $4, $5, 'stripe', $6, $7)`,
+    [
+      payment.participant_fee_id,
+      payment.payment_plan_id || null,
+      amount,
+      direction === 'withdrawn' ? 'chargeback' : 'chargeback_reversal',
+      dispute.id,
+      `funds_${direction}`,
+      payment.id
+    ]
+  );
+  await refreshFeeStatus(client, payment.participant_fee_id);
+}
+
+/**
+ * Webhook events this module applies. Anything else is acknowledged and ignored.
+ */
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': recordSucceededPaymentIntent,
+  'payment_intent.payment_failed': async (_client, paymentIntent, logger) => {
+    logger.warn(`Payment failed for PaymentIntent: ${paymentIntent.id}`, {
+      error: paymentIntent.last_payment_error?.message,
+      code: paymentIntent.last_payment_error?.code
+    });
+  },
+  'payment_intent.canceled': async (_client, paymentIntent, logger) => {
+    logger.info(`Payment canceled for PaymentIntent: ${paymentIntent.id}`);
+  },
+  'charge.refunded': recordChargeRefunds,
+  'charge.refund.updated': updateRefundStatus,
+  'charge.dispute.created': syncDispute,
+  'charge.dispute.updated': syncDispute,
+  'charge.dispute.closed': syncDispute,
+  'charge.dispute.funds_withdrawn': (client, dispute, logger) => recordDisputeFunds(client, dispute, 'withdrawn', logger),
+  'charge.dispute.funds_reinstated': (client, dispute, logger) => recordDisputeFunds(client, dispute, 'reinstated', logger)
+};
+
+/**
+ * Apply a verified webhook event exactly once.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} event - Event returned by stripe.webhooks.constructEvent
+ * @param {Object} logger - Logger
+ * @returns {Promise<{status: 'processed'|'duplicate'|'ignored'}>}
+ */
+async function processStripeEvent(pool, event, logger) {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    logger.info(`Unhandled event type: ${event.type}`);
+    return { status: 'ignored' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const mark = await client.query(
+      `INSERT INTO processed_transactions (transaction_id, event_type)
+       VALUES ($1, $2)
+       ON CONFLICT (transaction_id) DO NOTHING
+       RETURNING id`,
+      [event.id, event.type]
+    );
+    if (mark.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.info(`Stripe event ${event.id} already processed`);
+      return { status: 'duplicate' };
+    }
+
+    await handler(client, event.data.object, logger);
+
+    await client.query('COMMIT');
+    return { status: 'processed' };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error(`Error processing Stripe event ${event.id} (${event.type}):`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Refund all or part of a payment. Card payments are refunded through Stripe
+ * first; manual payments (cash, cheque, transfer) only get the negative entry.
+ *
+ * @param {Object} pool - Database pool
+ * @param {import('express').Request} req - Request, for the audit trail
+ * @param {Object} options
+ * @param {number} options.organizationId - Caller's organization
+ * @param {number|string} options.paymentId - Payment to refund
+ * @param {number} [options.amount] - Defaults to everything not yet refunded
+ * @param {string} [options.referenceNumber] - Cheque number or note for manual refunds
+ * @returns {Promise<{refund: Object}|{blocked: string}>}
+ */
+async function refundPayment(pool, req, { organizationId, paymentId, amount, referenceNumber = null }) {
+  const client = await pool.connect();
+  const refuse = async (outcome) => {
+    await client.query('ROLLBACK');
+    return outcome;
+  };
+  try {
+    await client.query('BEGIN');
+
+    // Locking the payment queues concurrent refunds of it here, so each one
+    // sums the refunds committed before it.
+    const paymentResult = await client.query(
+      `SELECT pay.id, pay.participant_fee_id, pay.payment_plan_id, pay.amount, pay.payment_processor,
+              pay.stripe_payment_intent_id, pay.refund_of_payment_id
+       FROM payments pay
+       JOIN participant_fees pf ON pf.id = pay.participant_fee_id
+       WHERE pay.id = $1 AND pf.organization_id = $2
+       FOR UPDATE OF pay`,
+      [paymentId, organizationId]
+    );
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      return refuse({ blocked: 'payment_not_found' });
+    }
+
+    const paidCents = toCents(payment.amount);
+    if (payment.refund_of_payment_id || paidCents <= 0) {
+      return refuse({ blocked: 'not_refundable' });
+    }
+
+    const refundedResult = await client.query(
+      'SELECT COALESCE(-SUM(amount), 0) AS refunded FROM payments WHERE refund_of_payment_id = $1',
+      [payment.id]
+    );
+    const refundableCents = paidCents - toCents(refundedResult.rows[0].refunded);
+    const requestedCents = amount === undefined || amount === null || amount === '' ? refundableCents : toCents(amount);
+    if (!Number.isFinite(requestedCents) || requestedCents <= 0) {
+      return refuse({ blocked: 'invalid_amount' });
+    }
+    if (requestedCents > refundableCents) {
+      return refuse({ blocked: 'amount_exceeds_refundable' });
+    }
+
+    let refund;
+    if (payment.payment_processor === 'stripe' && payment.stripe_payment_intent_id) {
+      let stripeRefund;
+      try {
+        stripeRefund = await stripe.refunds.create({
+          payment_intent: payment.stripe_payment_intent_id,
+          amount: requestedCents,
+          metadata: {
+            payment_id: String(payment.id),
+            organization_id: String(organizationId),
+            user_id: String(req.user.id)
+          }
+        });
+      } catch (stripeError) {
+        return refuse({ blocked: 'processor_error', message: stripeError.message });
+      }
+
+      refund = await insertStripeRefund(client, payment, stripeRefund, { referenceNumber });
+      if (!refund) {
+        // The charge.refunded webhook got here first.
+        const existing = await client.query(
+          `SELECT id, participant_fee_id, payment_plan_id, amount, payment_date, method, reference_number,
+                  refund_of_payment_id, stripe_refund_id, created_at
+           FROM payments WHERE stripe_refund_id = $1`,
+          [stripeRefund.id]
+        );
+        refund = existing.rows[0];
+      }
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO payments (participant_fee_id, payment_plan_id, amount, payment_date, method, reference_number, refund_of_payment_id)
+         VALUES ($1, $2, $3, CURRENT_DATE, 'refund', $4, $5)
+         RETURNING id, participant_fee_id, payment_plan_id, amount, payment_date, method, reference_number,
+                   refund_of_payment_id, stripe_refund_id, created_at`,
+        [payment.participant_fee_id, payment.payment_plan_id || null, -fromCents(requestedCents), referenceNumber, payment.id]
+      );
+      refund = inserted.rows[0];
+    }
+
+    await refreshFeeStatus(client, payment.participant_fee_id);
+
+    await recordAudit(client, req, {
+      organizationId,
+      action: 'create',
+      entityType: 'payment',
+      entityId: refund.id,
+      after: refund
+    });
+
+    await client.query('COMMIT');
+    return { refund };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Open a Stripe Checkout session for a fee balance, or for the next
+ * installment of one of the fee's payment plans. The payment itself is
+ * recorded by the payment_intent.succeeded webhook, which finds the fee and
+ * plan in the intent metadata.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options
+ * @param {number} options.organizationId - Caller's organization
+ * @param {Object} options.user - Authenticated user
+ * @param {boolean} options.canPayAnyFee - Staff may pay any fee; others only their linked participants'
+ * @param {number|string} options.participantFeeId - Fee to pay
+ * @param {number|string} [options.paymentPlanId] - Pay one installment of this plan instead of the balance
+ * @returns {Promise<{session: Object}|{blocked: string}>}
+ */
+async function createFeeCheckoutSession(pool, { organizationId, user, canPayAnyFee, participantFeeId, paymentPlanId = null }) {
+  const feeResult = await pool.query(
+    `SELECT pf.id, pf.participant_id, pf.total_amount, p.first_name, p.last_name,
+            COALESCE((SELECT SUM(amount) FROM payments WHERE participant_fee_id = pf.id), 0) AS total_paid
+     FROM participant_fees pf
+     JOIN participants p ON p.id = pf.participant_id
+     WHERE pf.id = $1 AND pf.organization_id = $2
+       AND ($3::boolean OR EXISTS (
+         SELECT 1 FROM user_participants up WHERE up.participant_id = pf.participant_id AND up.user_id = $4
+       ))`,
+    [participantFeeId, organizationId, Boolean(canPayAnyFee), user.id]
+  );
+  const fee = feeResult.rows[0];
+  if (!fee) {
+    return { blocked: 'fee_not_found' };
+  }
+
+  const outstandingCents = toCents(fee.total_amount) - toCents(fee.total_paid);
+  if (outstandingCents <= 0) {
+    return { blocked: 'nothing_outstanding' };
+  }
+
+  let amountCents = outstandingCents;
+  let plan = null;
+  if (paymentPlanId) {
+    const planResult = await pool.query(
+      'SELECT id, amount_per_payment FROM payment_plans WHERE id = $1 AND participant_fee_id = $2',
+      [paymentPlanId, fee.id]
+    );
+    plan = planResult.rows[0];
+    if (!plan) {
+      return { blocked: 'plan_not_found' };
+    }
+    amountCents = Math.min(toCents(plan.amount_per_payment), outstandingCents);
+  }
+
+  const participantName = `${fee.first_name} ${fee.last_name}`;
+  const metadata = {
+    participant_fee_id: String(fee.id),
+    participant_id: String(fee.participant_id),
+    participant_name: participantName,
+    organization_id: String(organizationId),
+    user_id: String(user.id),
+    ...(plan ? { payment_plan_id: String(plan.id) } : {})
+  };
+
+  const baseUrl = await resolveOrganizationBaseUrl(pool, organizationId);
+  try {
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: STRIPE_CURRENCY,
+          unit_amount: amountCents,
+          product_data: {
+            name: plan
+              ? `${participantName} - Installment (Fee #${fee.id})`
+              : `${participantName} - Fee #${fee.id}`
+          }
+        }
+      }],
+      client_reference_id: String(fee.id),
+      metadata,
+      payment_intent_data: {
+        metadata,
+        description: `Payment for ${participantName} - Fee #${fee.id}`
+      },
+      success_url: `${baseUrl}/parent-finance?checkout=success`,
+      cancel_url: `${baseUrl}/parent-finance?checkout=cancelled`
+    });
+
+    return {
+      session: {
+        id: session.id,
+        url: session.url,
+        amount: fromCents(amountCents),
+        payment_plan_id: plan ? plan.id : null
+      }
+    };
+  } catch (stripeError) {
+    return { blocked: 'processor_error', message: stripeError.message };
+  }
+}
+
+module.exports = {
+  stripe,
+  STRIPE_CURRENCY,
+  createFeeCheckoutSession,
+  processStripeEvent,
+  refreshFeeStatus,
+  refundPayment
+};
@@ -0,0 +1,276 @@
+/**
+ * Sync Changes Service
+ *
+ * Reads the change feed that migrations/012_sync_changes.sql fills with
+ * triggers, so offline clients can ask "what changed since my cursor" instead
+ * of downloading every collection again.
+ *
+ * A cursor is `<xid>-<id>`: the writing transaction and the feed row. A page
+ * only contains rows from transactions that finished before every transaction
+ * still running (the snapshot xmin, called the horizon here). Nothing can
+ * appear later behind a cursor handed out from such a page. When a page is not
+ * full, the next cursor is the horizon itself.
+ *
+ * Also holds the row version checks that writes use for optimistic
+ * concurrency: the client sends the `row_version` it last saw, and a row that
+ * has moved on since is refused with 409 and the current row.
+ *
+ * @module services/syncChanges
+ */
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 2000;
+
+const CURSOR_PATTERN = /^(\d+)-(\d+)$/;
+
+/**
+ * Synced entity types, the permission that reads each one, and the query that
+ * loads current rows by id. Participants are read through the year's
+ * enrollment, so someone who left the roster comes back as a deletion.
+ */
+const SYNC_ENTITIES = {
+  participants: {
+    permission: 'participants.view',
+    query: `SELECT p.*, pga.group_id, pga.first_leader, pga.second_leader, pga.roles,
+                   pe.status AS enrollment_status, pe.inscription_date
+              FROM participants p
+              JOIN participant_enrollments pe ON pe.participant_id = p.id
+               AND pe.organization_id = $1 AND pe.scout_year_id = $3 AND pe.status = ANY($4::text[])
+              LEFT JOIN participant_group_assignments pga ON pga.participant_id = p.id
+               AND pga.organization_id = $1 AND pga.scout_year_id = $3
+             WHERE p.id = ANY($2::int[])`,
+    byYear: true
+  },
+  groups: {
+    permission: 'groups.view',
+    query: 'SELECT * FROM groups WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  attendance: {
+    permission: 'attendance.view',
+    query: 'SELECT * FROM attendance WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  honors: {
+    permission: 'honors.view',
+    query: 'SELECT * FROM honors WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  points: {
+    permission: 'points.view',
+    query: 'SELECT * FROM points WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  badge_progress: {
+    permission: 'badges.view',
+    query: 'SELECT * FROM badge_progress WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  medication_requirements: {
+    permission: 'medication.view',
+    query: 'SELECT * FROM medication_requirements WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  medication_distributions: {
+    permission: 'medication.view',
+    query: 'SELECT * FROM medication_distributions WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  carpool_offers: {
+    permission: 'carpools.view',
+    query: 'SELECT * FROM carpool_offers WHERE organization_id = $1 AND id = ANY($2::int[])'
+  },
+  carpool_assignments: {
+    permission: 'carpools.view',
+    query: 'SELECT * FROM carpool_assignments WHERE organization_id = $1 AND id = ANY($2::int[])'
+  }
+};
+
+const SYNC_ENTITY_TYPES = Object.keys(SYNC_ENTITIES);
+
+/**
+ * Parse a cursor from the query string.
+ *
+ * @param {string} value - `<xid>-<id>`
+ * @returns {{xid: string, id: string}|null} Parsed cursor, or null when malformed
+ */
+function parseCursor(value) {
+  const match = CURSOR_PATTERN.exec(String(value || ''));
+  return match ? { xid: match[1], id: match[2] } : null;
+}
+
+/**
+ * @param {{xid: string, id: string}} cursor - Parsed cursor
+ * @returns {string} Cursor as handed to clients
+ */
+function formatCursor(cursor) {
+  return `${cursor.xid}-${cursor.id}`;
+}
+
+/**
+ * Entity types a user may sync: the ones asked for (all by default) that
+ * their permissions let them read.
+ *
+ * @param {string[]} permissions - Permission keys of the user
+ * @param {string[]|null} requested - Entity types asked for
+ * @returns {string[]} Entity types to include
+ */
+function readableEntityTypes(permissions, requested = null) {
+  const granted = new Set(permissions || []);
+  return SYNC_ENTITY_TYPES.filter((entityType) => (
+    granted.has(SYNC_ENTITIES[entityType].permission)
+    && (!requested || requested.includes(entityType))
+  ));
+}
+
+/**
+ * Oldest transaction still running. Every feed row written by an older
+ * transaction is final.
+ *
+ * @param {Object} db - Pool or client
+ * @returns {Promise<string>} Transaction id
+ */
+async function getHorizon(db) {
+  const result = await db.query('SELECT pg_snapshot_xmin(pg_current_snapshot())::text AS horizon');
+  return result.rows[0].horizon;
+}
+
+/**
+ * Cursor to start from after a full download: the horizon at the time of the
+ * download's first read. Changes from transactions still running then are
+ * delivered again as deltas, which clients apply idempotently.
+ *
+ * @param {Object} db - Pool or client
+ * @returns {Promise<string>} Cursor
+ */
+async function getStartCursor(db) {
+  return formatCursor({ xid: await getHorizon(db), id: '0' });
+}
+
+/**
+ * Changes after a cursor for one organization and scout year, grouped by
+ * entity type into created and updated rows and deletion tombstones. Several
+ * changes to one record within a page collapse into its current state.
+ *
+ * @param {Object} db - Pool or client
+ * @param {Object} options - Query options
+ * @param {number} options.organizationId - Organization
+ * @param {Object} options.scoutYear - Scout year row (`req.scoutYear`)
+ * @param {string[]} options.rosterStatuses - Enrollment statuses on the year's roster
+ * @param {{xid: string, id: string}} options.since - Parsed cursor
+ * @param {string[]} options.entityTypes - Entity types to include
+ * @param {number} [options.limit] - Feed rows per page
+ * @returns {Promise<{cursor: string, has_more: boolean, changes: Object}>}
+ */
+async function listChanges(db, { organizationId, scoutYear, rosterStatuses, since, entityTypes, limit = DEFAULT_PAGE_SIZE }) {
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const horizon = await getHorizon(db);
+
+  const feed = await db.query(
+    `SELECT id::text AS id, xid::text AS xid, entity_type, entity_id, operation, row_version, changed_at
+       FROM sync_changes
+      WHERE organization_id = $1
+        AND (scout_year_id IS NULL OR scout_year_id = $2)
+        AND entity_type = ANY($3::text[])
+        AND (xid, id) > ($4::xid8, $5::bigint)
+        AND xid < $6::xid8
+      ORDER BY xid, id
+      LIMIT $7`,
+    [organizationId, scoutYear.id, entityTypes, since.xid, since.id, horizon, pageSize + 1]
+  );
+
+  const hasMore = feed.rows.length > pageSize;
+  const rows = hasMore ? feed.rows.slice(0, pageSize) : feed.rows;
+
+  let cursor = since;
+  if (hasMore) {
+    const last = rows[rows.length - 1];
+    cursor = { xid: last.xid, id: last.id };
+  } else if (BigInt(horizon) > BigInt(since.xid)) {
+    cursor = { xid: horizon, id: '0' };
+  }
+
+  // Latest change per record, remembering whether the page saw it created.
+  const touched = new Map(entityTypes.map((entityType) => [entityType, new Map()]));
+  rows.forEach((row) => {
+    const records = touched.get(row.entity_type);
+    const previous = records.get(row.entity_id);
+    records.set(row.entity_id, {
+      ...row,
+      created: previous ? previous.created : row.operation === 'insert'
+    });
+  });
+
+  const changes = {};
+  for (const [entityType, records] of touched) {
+    const group = { created: [], updated: [], deleted: [] };
+    changes[entityType] = group;
+    if (records.size === 0) continue;
+
+    const liveIds = [...records.values()]
+      .filter((record) => record.operation !== 'delete')
+      .map((record) => Number(record.entity_id));
+
+    const current = new Map();
+    if (liveIds.length > 0) {
+      const definition = SYNC_ENTITIES[entityType];
+      const params = definition.byYear
+        ? [organizationId, liveIds, scoutYear.id, rosterStatuses]
+        : [organizationId, liveIds];
+      const result = await db.query(definition.query, params);
+      result.rows.forEach((row) => current.set(String(row.id), row));
+    }
+
+    records.forEach((record, entityId) => {
+      const row = current.get(entityId);
+      if (row) {
+        group[record.created ? 'created' : 'updated'].push(row);
+      } else {
+        // Deleted, or no longer visible to this organization and year.
+        group.deleted.push({
+          id: Number(entityId),
+          row_version: record.row_version === null ? null : Number(record.row_version),
+          deleted_at: record.changed_at
+        });
+      }
+    });
+  }
+
+  return { cursor: formatCursor(cursor), has_more: hasMore, changes };
+}
+
+/**
+ * Row version the client last saw, from an `If-Match` header (`"3"` or
+ * `W/"3"`) or a `row_version` body field.
+ *
+ * @param {Object} req - Express request
+ * @returns {number|null} Expected version, or null when the client sent none
+ */
+function expectedRowVersion(req) {
+  const header = req.headers?.['if-match'];
+  const raw = header ? String(header).replace(/^W\//, '').replace(/"/g, '') : req.body?.row_version;
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  const version = Number(raw);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Whether a write is based on an outdated copy of the row. Clients that send
+ * no version keep last-write-wins.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} row - Current row, with `row_version`
+ * @returns {boolean} True when the write must be refused
+ */
+function isStaleRowVersion(req, row) {
+  const expected = expectedRowVersion(req);
+  return expected !== null && Boolean(row) && Number(row.row_version) !== expected;
+}
+
+module.exports = {
+  SYNC_ENTITY_TYPES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseCursor,
+  formatCursor,
+  readableEntityTypes,
+  getStartCursor,
+  listChanges,
+  expectedRowVersion,
+  isStaleRowVersion
+};
@@ -0,0 +1,878 @@
+/**
+ * Two-Factor Methods Service
+ *
+ * Second factors beyond the emailed code of utils/twoFactor.js: an
+ * authenticator app (TOTP, RFC 6238), WebAuthn passkeys, and single-use
+ * recovery codes handed out when the first of those is enrolled.
+ *
+ * A password login that needs a second factor opens a login challenge
+ * (two_factor_challenges). Its token is returned to the client and must come
+ * back with whichever factor is used, the emailed code included, so none of
+ * them can stand in for the password and every attempt counts against the
+ * challenge.
+ *
+ * Authenticator secrets must be read back to check codes, so unlike the
+ * hashed recovery and emailed codes they are stored encrypted (AES-256-GCM)
+ * with TWO_FACTOR_ENCRYPTION_KEY, or a key derived from the JWT secret when
+ * that is not set.
+ *
+ * Refusals are returned as `{ blocked: 'reason' }`; a failed attempt on a
+ * login challenge is counted even when the caller refuses, so routes commit
+ * rather than roll back on those.
+ *
+ * @module services/twoFactorMethods
+ */
+
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { normalizeOrigin } = require('../utils/public-url');
+const { verify2FACode, parseDeviceName } = require('../utils/twoFactor');
+const { requireJWTSecret } = require('../utils/jwt-config');
+
+/** Factors a user may prefer; recovery codes are a fallback only. */
+const PREFERRED_METHODS = ['email', 'totp', 'passkey'];
+const LOGIN_METHODS = ['email', 'totp', 'passkey', 'recovery_code'];
+
+/**
+ * Permissions an organization may require a second factor for even when it
+ * has turned two-factor login off.
+ */
+const SENSITIVE_PERMISSIONS = [
+  'medication.manage',
+  'finance.manage',
+  'participants.erase',
+  'roles.manage',
+  'users.assign_roles'
+];
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+/** Time steps accepted either side of now, for phone clock drift. */
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_CIPHER = 'aes-256-gcm';
+/** Prefix of stored secrets, so the key or cipher can change later. */
+const SECRET_FORMAT = 'v1';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Key that encrypts authenticator secrets at rest.
+ *
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} When TWO_FACTOR_ENCRYPTION_KEY is not 32 bytes of hex
+ */
+function secretKey() {
+  const configured = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (configured) {
+    const key = Buffer.from(configured, 'hex');
+    if (key.length !== 32) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be 32 bytes encoded as hex');
+    }
+    return key;
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', requireJWTSecret(), '', 'two-factor-secret', 32));
+}
+
+/**
+ * Encrypt an authenticator secret for storage.
+ *
+ * @param {string} secret - Base32 secret
+ * @returns {string} `v1.<iv>.<tag>.<ciphertext>`, base64url parts
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(SECRET_CIPHER, secretKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [SECRET_FORMAT, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+}
+
+/**
+ * Decrypt a stored authenticator secret.
+ *
+ * @param {string} stored - Value from user_totp_factors.secret
+ * @returns {string} Base32 secret
+ * @throws {Error} When the value was not written by encryptSecret with this key
+ */
+function decryptSecret(stored) {
+  const [format, iv, tag, ciphertext] = String(stored).split('.');
+  if (format !== SECRET_FORMAT || !ciphertext) {
+    throw new Error('Unreadable authenticator secret');
+  }
+  const decipher = crypto.createDecipheriv(SECRET_CIPHER, secretKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalize a recovery code as typed: case, spaces and dashes do not matter.
+ *
+ * @param {string} code - Code as entered
+ * @returns {string} Canonical form
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * TOTP code for one time step.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} Zero-padded code
+ */
+function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code against the steps around now.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as entered
+ * @param {Object} [options]
+ * @param {number|null} [options.lastUsedStep] - Steps up to this one are spent
+ * @param {number} [options.now] - Clock, in milliseconds (tests)
+ * @returns {number|null} Matching time step, or null
+ */
+function verifyTotpCode(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) {
+      continue;
+    }
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (shown as a QR code).
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the email address
+ * @param {string} options.issuer - Name shown in the app
+ * @returns {string} URI
+ */
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Whether an organization's security setting requires a second factor for
+ * someone holding these permissions, whatever its two_factor_disabled flag.
+ *
+ * @param {Object|null} security - organization_settings `security` value
+ * @param {Array<string>} permissions - Permission keys of the membership
+ * @returns {boolean} True when one of the permissions is listed
+ */
+function isTwoFactorRequiredFor(security, permissions) {
+  const required = Array.isArray(security?.two_factor_required_permissions)
+    ? security.two_factor_required_permissions
+    : [];
+  return required.some((permission) => permissions.includes(permission));
+}
+
+/**
+ * Domain passkeys are bound to for this request.
+ *
+ * The browser's Origin is only trusted when it is the configured public URL
+ * or one of the organization's own domains (localhost outside production),
+ * since a passkey created on one domain never works on another.
+ *
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId - Organization ID
+ * @param {string|undefined} requestOrigin - Origin header
+ * @returns {Promise<{rpID: string, origin: string}|null>} Relying party, or null when not allowed
+ */
+async function resolvePasskeyRelyingParty(pool, organizationId, requestOrigin) {
+  const origin = normalizeOrigin(requestOrigin);
+  if (!origin) {
+    return null;
+  }
+  const { hostname, protocol } = new URL(origin);
+  const relyingParty = { rpID: hostname, origin };
+
+  if (hostname === 'localhost' && process.env.NODE_ENV !== 'production') {
+    return relyingParty;
+  }
+  if (protocol !== 'https:') {
+    return null;
+  }
+  if (origin === normalizeOrigin(process.env.PUBLIC_BASE_URL || process.env.APP_URL)) {
+    return relyingParty;
+  }
+
+  const domains = await pool.query(
+    `SELECT domain FROM organization_domains
+      WHERE organization_id = $1 AND domain NOT LIKE '%*%'`,
+    [organizationId]
+  );
+  return domains.rows.some((row) => normalizeOrigin(row.domain) === origin) ? relyingParty : null;
+}
+
+/**
+ * Factors a user can log in with, and the one to offer first.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {string} userId - User ID
+ * @returns {Promise<{methods: Array<string>, preferred: string, passkeyCount: number}>}
+ */
+async function getLoginMethods(client, userId) {
+  const result = await client.query(
+    `SELECT u.two_factor_preferred_method AS preferred,
+            EXISTS (SELECT 1 FROM user_totp_factors t
+                     WHERE t.user_id = u.id AND t.confirmed_at IS NOT NULL) AS has_totp,
+            (SELECT COUNT(*)::int FROM user_passkeys p WHERE p.user_id = u.id) AS passkey_count,
+            (SELECT COUNT(*)::int FROM user_recovery_codes r
+              WHERE r.user_id = u.id AND r.used_at IS NULL) AS recovery_codes
+       FROM users u
+      WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0] || {};
+  const methods = [];
+  if (row.has_totp) methods.push('totp');
+  if (row.passkey_count > 0) methods.push('passkey');
+  if (row.recovery_codes > 0 && methods.length > 0) methods.push('recovery_code');
+  methods.push('email');
+
+  const preferred = methods.includes(row.preferred) ? row.preferred : methods[0];
+  return { methods, preferred, passkeyCount: row.passkey_count || 0 };
+}
+
+/**
+ * Enrollment state for the account page.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Preferred method, TOTP state, passkeys, recovery codes left
+ */
+async function getTwoFactorStatus(pool, userId) {
+  const { methods, preferred } = await getLoginMethods(pool, userId);
+  const passkeys = await pool.query(
+    `SELECT id, device_name, rp_id, created_at, last_used_at
+       FROM user_passkeys
+      WHERE user_id = $1
+      ORDER BY created_at`,
+    [userId]
+  );
+  const recovery = await pool.query(
+    `SELECT COUNT(*)::int AS remaining FROM user_recovery_codes
+      WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+  return {
+    preferred_method: preferred,
+    methods,
+    totp_enabled: methods.includes('totp'),
+    passkeys: passkeys.rows,
+    recovery_codes_remaining: recovery.rows[0]?.remaining || 0
+  };
+}
+
+/**
+ * Replace a user's recovery codes.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} The new codes, shown once
+ */
+async function issueRecoveryCodes(client, userId) {
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  const codes = [];
+  for (let index = 0; index < RECOVERY_CODE_COUNT; index += 1) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    codes.push(code);
+    await client.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashSecret(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+async function hasStrongFactor(client, userId) {
+  const result = await client.query(
+    `SELECT EXISTS (SELECT 1 FROM user_totp_factors WHERE user_id = $1 AND confirmed_at IS NOT NULL)
+         OR EXISTS (SELECT 1 FROM user_passkeys WHERE user_id = $1) AS enrolled`,
+    [userId]
+  );
+  return result.rows[0]?.enrolled === true;
+}
+
+/**
+ * After removing a factor, fall back to one that is still enrolled and drop
+ * recovery codes once nothing is left for them to stand in for.
+ */
+async function settleAfterRemoval(client, userId) {
+  const { methods } = await getLoginMethods(client, userId);
+  await client.query(
+    `UPDATE users SET two_factor_preferred_method = $2
+      WHERE id = $1 AND two_factor_preferred_method <> ALL($3::text[])`,
+    [userId, methods.find((method) => method !== 'recovery_code') || 'email', methods]
+  );
+  if (!(await hasStrongFactor(client, userId))) {
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  }
+}
+
+/**
+ * Start authenticator enrollment with a fresh secret.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options
+ * @param {string} options.userId - User ID
+ * @param {string} options.accountName - Label in the app (email)
+ * @param {string} options.issuer - Issuer in the app (organization name)
+ * @returns {Promise<Object>} `{ secret, otpauthUrl }`, or `{ blocked }`
+ */
+async function beginTotpEnrollment(pool, { userId, accountName, issuer }) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const result = await pool.query(
+    `INSERT INTO user_totp_factors (user_id, secret)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE
+       SET secret = EXCLUDED.secret, created_at = NOW(), last_used_step = NULL
+       WHERE user_totp_factors.confirmed_at IS NULL
+     RETURNING user_id`,
+    [userId, encryptSecret(secret)]
+  );
+  if (result.rows.length === 0) {
+    return { blocked: 'totp_already_enabled' };
+  }
+  return { secret, otpauthUrl: buildOtpauthUrl({ secret, accountName, issuer }) };
+}
+
+/**
+ * Finish authenticator enrollment with a code from the app.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options
+ * @param {string} options.userId - User ID
+ * @param {string} options.code - Code shown by the app
+ * @returns {Promise<Object>} `{ recoveryCodes }` (empty when codes already exist), or `{ blocked }`
+ */
+async function confirmTotpEnrollment(client, { userId, code }) {
+  const pending = await client.query(
+    'SELECT secret, confirmed_at FROM user_totp_factors WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  const factor = pending.rows[0];
+  if (!factor) {
+    return { blocked: 'totp_not_started' };
+  }
+  if (factor.confirmed_at) {
+    return { blocked: 'totp_already_enabled' };
+  }
+  const step = verifyTotpCode(decryptSecret(factor.secret), code);
+  if (step === null) {
+    return { blocked: 'invalid_totp_code' };
+  }
+
+  const hadStrongFactor = await hasStrongFactor(client, userId);
+  await client.query(
+    'UPDATE user_totp_factors SET confirmed_at = NOW(), last_used_step = $2 WHERE user_id = $1',
+    [userId, step]
+  );
+  await client.query(
+    `UPDATE users SET two_factor_preferred_method = 'totp'
+      WHERE id = $1 AND two_factor_preferred_method = 'email'`,
+    [userId]
+  );
+  return { recoveryCodes: hadStrongFactor ? [] : await issueRecoveryCodes(client, userId) };
+}
+
+/**
+ * Remove the authenticator.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} `{ removed: true }`, or `{ blocked }`
+ */
+async function disableTotp(client, userId) {
+  const removed = await client.query(
+    'DELETE FROM user_totp_factors WHERE user_id = $1 RETURNING user_id',
+    [userId]
+  );
+  if (removed.rows.length === 0) {
+    return { blocked: 'totp_not_enabled' };
+  }
+  await settleAfterRemoval(client, userId);
+  return { removed: true };
+}
+
+/**
+ * Replace recovery codes on request (the old ones stop working).
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} `{ recoveryCodes }`, or `{ blocked }`
+ */
+async function regenerateRecoveryCodes(client, userId) {
+  if (!(await hasStrongFactor(client, userId))) {
+    return { blocked: 'no_strong_factor' };
+  }
+  return { recoveryCodes: await issueRecoveryCodes(client, userId) };
+}
+
+/**
+ * Choose the factor the login screen offers first.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} userId - User ID
+ * @param {string} method - One of PREFERRED_METHODS
+ * @returns {Promise<Object>} `{ preferred_method }`, or `{ blocked }`
+ */
+async function setPreferredMethod(pool, userId, method) {
+  if (!PREFERRED_METHODS.includes(method)) {
+    return { blocked: 'invalid_2fa_method' };
+  }
+  const { methods } = await getLoginMethods(pool, userId);
+  if (!methods.includes(method)) {
+    return { blocked: 'method_not_enrolled' };
+  }
+  await pool.query('UPDATE users SET two_factor_preferred_method = $2 WHERE id = $1', [userId, method]);
+  return { preferred_method: method };
+}
+
+/**
+ * WebAuthn options for adding a passkey; the challenge is kept server-side.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options
+ * @param {string} options.userId - User ID
+ * @param {string} options.userName - Account name (email)
+ * @param {string} options.displayName - Full name
+ * @param {string} options.rpName - Name shown by the browser
+ * @param {Object} options.relyingParty - Result of resolvePasskeyRelyingParty
+ * @returns {Promise<Object>} Options for navigator.credentials.create()
+ */
+async function createPasskeyRegistrationOptions(pool, { userId, userName, displayName, rpName, relyingParty }) {
+  const existing = await pool.query(
+    'SELECT credential_id, transports FROM user_passkeys WHERE user_id = $1 AND rp_id = $2',
+    [userId, relyingParty.rpID]
+  );
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID: relyingParty.rpID,
+    userName,
+    userDisplayName: displayName || userName,
+    userID: Buffer.from(String(userId)),
+    attestationType: 'none',
+    excludeCredentials: existing.rows.map((row) => ({ id: row.credential_id, transports: row.transports || [] })),
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+  });
+
+  await pool.query(
+    `UPDATE two_factor_challenges SET consumed_at = NOW()
+      WHERE user_id = $1 AND purpose = 'passkey_registration' AND consumed_at IS NULL`,
+    [userId]
+  );
+  await pool.query(
+    `INSERT INTO two_factor_challenges (user_id, purpose, webauthn_challenge, rp_id, origin, expires_at)
+     VALUES ($1, 'passkey_registration', $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [userId, options.challenge, relyingParty.rpID, relyingParty.origin, CHALLENGE_TTL_MINUTES]
+  );
+  return options;
+}
+
+/**
+ * Store a passkey once the browser's registration response checks out.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options
+ * @param {string} options.userId - User ID
+ * @param {Object} options.response - Registration response from the browser
+ * @param {string} [options.userAgent] - Names the passkey in lists
+ * @returns {Promise<Object>} `{ passkey, recoveryCodes }`, or `{ blocked }`
+ */
+async function verifyPasskeyRegistration(client, { userId, response, userAgent = '' }) {
+  const pending = await client.query(
+    `SELECT id, webauthn_challenge, rp_id, origin
+       FROM two_factor_challenges
+      WHERE user_id = $1 AND purpose = 'passkey_registration'
+        AND consumed_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE`,
+    [userId]
+  );
+  const challenge = pending.rows[0];
+  if (!challenge) {
+    return { blocked: 'passkey_challenge_expired' };
+  }
+  await client.query('UPDATE two_factor_challenges SET consumed_at = NOW() WHERE id = $1', [challenge.id]);
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.webauthn_challenge,
+      expectedOrigin: challenge.origin,
+      expectedRPID: challenge.rp_id,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    return { blocked: 'invalid_passkey_response' };
+  }
+  if (!verification.verified || !verification.registrationInfo) {
+    return { blocked: 'invalid_passkey_response' };
+  }
+
+  const { credential } = verification.registrationInfo;
+  const hadStrongFactor = await hasStrongFactor(client, userId);
+  const inserted = await client.query(
+    `INSERT INTO user_passkeys (user_id, credential_id, public_key, sign_count, transports, rp_id, device_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (credential_id) DO NOTHING
+     RETURNING id, device_name, rp_id, created_at, last_used_at`,
+    [
+      userId,
+      credential.id,
+      Buffer.from(credential.publicKey),
+      credential.counter || 0,
+      JSON.stringify(credential.transports || []),
+      challenge.rp_id,
+      parseDeviceName(userAgent)
+    ]
+  );
+  if (inserted.rows.length === 0) {
+    return { blocked: 'passkey_already_registered' };
+  }
+  await client.query(
+    `UPDATE users SET two_factor_preferred_method = 'passkey'
+      WHERE id = $1 AND two_factor_preferred_method = 'email'`,
+    [userId]
+  );
+  return {
+    passkey: inserted.rows[0],
+    recoveryCodes: hadStrongFactor ? [] : await issueRecoveryCodes(client, userId)
+  };
+}
+
+/**
+ * Remove a passkey.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options
+ * @param {string} options.userId - Owner
+ * @param {string} options.passkeyId - user_passkeys ID
+ * @returns {Promise<Object>} `{ id }`, or `{ blocked }`
+ */
+async function removePasskey(client, { userId, passkeyId }) {
+  const removed = await client.query(
+    'DELETE FROM user_passkeys WHERE id = $1 AND user_id = $2 RETURNING id',
+    [passkeyId, userId]
+  );
+  if (removed.rows.length === 0) {
+    return { blocked: 'passkey_not_found' };
+  }
+  await settleAfterRemoval(client, userId);
+  return { id: removed.rows[0].id };
+}
+
+/**
+ * Open the second step of a login after the password checked out.
+ *
+ * @param {Object} pool - Database pool
+ * @param {Object} options
+ * @param {string} options.userId - User ID
+ * @param {number} options.organizationId - Organization logged into
+ * @param {Object|null} [options.relyingParty] - Set when passkeys can be offered here
+ * @returns {Promise<{twoFactorToken: string, passkeyOptions: Object|null}>}
+ */
+async function createLoginChallenge(pool, { userId, organizationId, relyingParty = null }) {
+  let passkeyOptions = null;
+  if (relyingParty) {
+    const credentials = await pool.query(
+      'SELECT credential_id, transports FROM user_passkeys WHERE user_id = $1 AND rp_id = $2',
+      [userId, relyingParty.rpID]
+    );
+    if (credentials.rows.length > 0) {
+      passkeyOptions = await generateAuthenticationOptions({
+        rpID: relyingParty.rpID,
+        allowCredentials: credentials.rows.map((row) => ({ id: row.credential_id, transports: row.transports || [] })),
+        userVerification: 'preferred'
+      });
+    }
+  }
+
+  const twoFactorToken = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    `INSERT INTO two_factor_challenges
+       (user_id, organization_id, purpose, token_hash, webauthn_challenge, rp_id, origin, expires_at)
+     VALUES ($1, $2, 'login', $3, $4, $5, $6, NOW() + make_interval(mins => $7))`,
+    [
+      userId,
+      organizationId,
+      hashSecret(twoFactorToken),
+      passkeyOptions?.challenge || null,
+      passkeyOptions ? relyingParty.rpID : null,
+      passkeyOptions ? relyingParty.origin : null,
+      CHALLENGE_TTL_MINUTES
+    ]
+  );
+  return { twoFactorToken, passkeyOptions };
+}
+
+/**
+ * Live login challenge for a token, without consuming it (email fallback).
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} twoFactorToken - Token from the login response
+ * @returns {Promise<Object|null>} Challenge with the user's email, or null
+ */
+async function findLoginChallenge(pool, twoFactorToken) {
+  if (!twoFactorToken) {
+    return null;
+  }
+  const result = await pool.query(
+    `SELECT c.id, c.user_id, c.organization_id, u.email, u.full_name
+       FROM two_factor_challenges c
+       JOIN users u ON u.id = c.user_id
+      WHERE c.token_hash = $1 AND c.purpose = 'login'
+        AND c.consumed_at IS NULL AND c.expires_at > NOW()
+        AND c.attempts < $2`,
+    [hashSecret(twoFactorToken), MAX_CHALLENGE_ATTEMPTS]
+  );
+  return result.rows[0] || null;
+}
+
+async function verifyTotpLogin(client, userId, code) {
+  const factor = await client.query(
+    `SELECT secret, last_used_step FROM user_totp_factors
+      WHERE user_id = $1 AND confirmed_at IS NOT NULL
+      FOR UPDATE`,
+    [userId]
+  );
+  if (factor.rows.length === 0) {
+    return false;
+  }
+  const step = verifyTotpCode(decryptSecret(factor.rows[0].secret), code, { lastUsedStep: factor.rows[0].last_used_step });
+  if (step === null) {
+    return false;
+  }
+  await client.query('UPDATE user_totp_factors SET last_used_step = $2 WHERE user_id = $1', [userId, step]);
+  return true;
+}
+
+async function verifyRecoveryCodeLogin(client, userId, code) {
+  const used = await client.query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id`,
+    [userId, hashSecret(normalizeRecoveryCode(code))]
+  );
+  return used.rows.length > 0;
+}
+
+async function verifyPasskeyLogin(client, challenge, response) {
+  if (!challenge.webauthn_challenge || !response?.id) {
+    return false;
+  }
+  const stored = await client.query(
+    `SELECT id, credential_id, public_key, sign_count, transports
+       FROM user_passkeys
+      WHERE user_id = $1 AND credential_id = $2 AND rp_id = $3
+      FOR UPDATE`,
+    [challenge.user_id, response.id, challenge.rp_id]
+  );
+  const passkey = stored.rows[0];
+  if (!passkey) {
+    return false;
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.webauthn_challenge,
+      expectedOrigin: challenge.origin,
+      expectedRPID: challenge.rp_id,
+      credential: {
+        id: passkey.credential_id,
+        publicKey: new Uint8Array(passkey.public_key),
+        counter: Number(passkey.sign_count),
+        transports: passkey.transports || []
+      },
+      requireUserVerification: false
+    });
+  } catch (error) {
+    return false;
+  }
+  if (!verification.verified) {
+    return false;
+  }
+  await client.query(
+    'UPDATE user_passkeys SET sign_count = $2, last_used_at = NOW() WHERE id = $1',
+    [passkey.id, verification.authenticationInfo.newCounter]
+  );
+  return true;
+}
+
+/**
+ * Check the second factor of a login.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options
+ * @param {string} options.userId - User the password step was for
+ * @param {number} options.organizationId - Organization logged into
+ * @param {string} options.method - One of LOGIN_METHODS
+ * @param {string} options.twoFactorToken - Token from the login response
+ * @param {string} [options.code] - Emailed, authenticator or recovery code
+ * @param {Object} [options.passkeyResponse] - Assertion from navigator.credentials.get()
+ * @returns {Promise<Object>} `{ method }`, or `{ blocked }`
+ */
+async function verifyLoginFactor(client, { userId, organizationId, method, twoFactorToken, code, passkeyResponse }) {
+  if (!LOGIN_METHODS.includes(method)) {
+    return { blocked: 'invalid_2fa_method' };
+  }
+
+  // Every factor needs the token proving the password step
+  if (!twoFactorToken) {
+    return { blocked: 'two_factor_session_expired' };
+  }
+
+  const result = await client.query(
+    `SELECT * FROM two_factor_challenges
+      WHERE token_hash = $1 AND purpose = 'login'
+      FOR UPDATE`,
+    [hashSecret(twoFactorToken)]
+  );
+  const challenge = result.rows[0] || null;
+  if (!challenge
+    || String(challenge.user_id) !== String(userId)
+    || Number(challenge.organization_id) !== Number(organizationId)
+    || challenge.consumed_at
+    || new Date(challenge.expires_at) <= new Date()) {
+    return { blocked: 'two_factor_session_expired' };
+  }
+  if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    return { blocked: 'too_many_attempts' };
+  }
+
+  let verified = false;
+  if (method === 'email') {
+    verified = await verify2FACode(client, userId, organizationId, code);
+  } else if (method === 'totp') {
+    verified = await verifyTotpLogin(client, userId, code);
+  } else if (method === 'recovery_code') {
+    verified = await verifyRecoveryCodeLogin(client, userId, code);
+  } else {
+    verified = await verifyPasskeyLogin(client, challenge, passkeyResponse);
+  }
+
+  await client.query(
+    `UPDATE two_factor_challenges
+        SET attempts = attempts + 1,
+            consumed_at = CASE WHEN $2 THEN NOW() ELSE consumed_at END
+      WHERE id = $1`,
+    [challenge.id, verified]
+  );
+
+  if (!verified) {
+    return { blocked: method === 'passkey' ? 'invalid_passkey_response' : 'invalid_or_expired_2fa_code' };
+  }
+  return { method };
+}
+
+module.exports = {
+  PREFERRED_METHODS,
+  LOGIN_METHODS,
+  SENSITIVE_PERMISSIONS,
+  MAX_CHALLENGE_ATTEMPTS,
+  generateTotpCode,
+  verifyTotpCode,
+  encryptSecret,
+  decryptSecret,
+  buildOtpauthUrl,
+  isTwoFactorRequiredFor,
+  resolvePasskeyRelyingParty,
+  getLoginMethods,
+  getTwoFactorStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  regenerateRecoveryCodes,
+  setPreferredMethod,
+  createPasskeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  removePasskey,
+  createLoginChallenge,
+  findLoginChallenge,
+  verifyLoginFactor
+};
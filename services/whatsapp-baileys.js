@@ -9,6 +9,10 @@
  * 2. Contact lists only - Only send to people who have the number saved
  * 3. Warm up new numbers - Use manually for a few days before automation
  * 4. Respect rate limits - Max ~1000 messages per day per number
+ *
+ * Rules 1 and 4 are enforced by the outbox (services/whatsapp-outbox): anything
+ * sent to many people is queued there and sent by this service one message at
+ * a time, while the connection is open.
  */
 
 const makeWASocket = require('@whiskeysockets/baileys').default;
@@ -22,6 +26,14 @@ const qrcode = require('qrcode');
 const qrcodeTerminal = require('qrcode-terminal');
 const winston = require('winston');
 const { useDatabaseAuthState } = require('./whatsapp-database-auth');
+const { recordInboundMessage, forwardToGoogleChat } = require('./whatsapp-inbox');
+const {
+  applyConsentReply,
+  failStaleMessages,
+  sendNextMessage,
+  recordReceipt,
+  IDLE_POLL_MS
+} = require('./whatsapp-outbox');
 const util = require('util');
 
 const WHATSAPP_LOG_LEVEL = process.env.WHATSAPP_LOG_LEVEL || 'info';
@@ -62,8 +74,9 @@ class WhatsAppBaileysService {
   constructor(pool) {
     this.pool = pool;
     this.connections = new Map(); // organizationId -> connection object
-    this.messageQueue = new Map(); // organizationId -> message queue
+    this.messageQueue = new Map(); // organizationId -> { timer } of the outbox being sent
     this.io = null; // Socket.io instance (will be set later)
+    this.googleChatService = null; // Receives copies of inbound messages (set later)
     this.cachedBaileysVersion = null; // Cache Baileys version lookup to avoid repeated network calls
     this.baileysVersionPromise = null; // Track in-flight version fetches
     this.reconnectAttempts = new Map(); // organizationId -> { count, lastAttempt }
@@ -109,6 +122,14 @@ class WhatsAppBaileysService {
     logger.info('Socket.io instance attached to WhatsApp service');
   }
 
+  /**
+   * Set the Google Chat service that inbound messages are copied to
+   * @param {GoogleChatService} googleChatService - Google Chat service instance
+   */
+  setGoogleChatService(googleChatService) {
+    this.googleChatService = googleChatService;
+  }
+
   /**
    * Initialize WhatsApp connection for an organization
    * @param {number} organizationId - Organization ID
@@ -180,10 +201,17 @@ class WhatsAppBaileysService {
       // Handle credentials update
       sock.ev.on('creds.update', saveCreds);
 
-      // Handle messages (optional - for receiving messages)
-      sock.ev.on('messages.upsert', async ({ messages }) => {
+      // Keep messages from parents in the organization's inbox
+      sock.ev.on('messages.upsert', async ({ messages, type }) => {
         logger.info(`Received ${messages.length} messages for org ${organizationId}`);
-        // Handle incoming messages if needed
+        // 'append' is history synced from the phone, not something just received
+        if (type !== 'notify') return;
+        await this.handleIncomingMessages(organizationId, messages);
+      });
+
+      // Delivery and read receipts of the messages sent from the outbox
+      sock.ev.on('messages.update', async (updates) => {
+        await this.handleMessageReceipts(organizationId, updates);
       });
 
       return true;
@@ -193,6 +221,147 @@ class WhatsAppBaileysService {
     }
   }
 
+  /**
+   * Store received messages in the inbox and copy them to Google Chat
+   * @param {number} organizationId - Organization ID
+   * @param {object[]} messages - Baileys messages from messages.upsert
+   * @returns {Promise<void>}
+   */
+  async handleIncomingMessages(organizationId, messages) {
+    for (const message of messages) {
+      let stored = null;
+      try {
+        stored = await recordInboundMessage(this.pool, organizationId, message);
+      } catch (error) {
+        logger.error(`Error storing incoming WhatsApp message for org ${organizationId}:`, error);
+      }
+      if (!stored) continue;
+
+      try {
+        const consent = await applyConsentReply(this.pool, organizationId, stored.phone_number, stored.body);
+        if (consent) {
+          logger.info(`WhatsApp ${consent} from ${stored.phone_number} for org ${organizationId}`);
+        }
+      } catch (error) {
+        logger.error(`Error applying WhatsApp STOP/START for org ${organizationId}:`, error);
+      }
+
+      try {
+        await forwardToGoogleChat(this.pool, this.googleChatService, organizationId, stored);
+      } catch (error) {
+        logger.error(`Error forwarding WhatsApp message to Google Chat for org ${organizationId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Keep the delivery and read receipts of sent messages
+   * @param {number} organizationId - Organization ID
+   * @param {object[]} updates - Baileys updates from messages.update
+   * @returns {Promise<void>}
+   */
+  async handleMessageReceipts(organizationId, updates) {
+    for (const { key, update } of updates) {
+      if (!key?.fromMe || update?.status === undefined) continue;
+      try {
+        await recordReceipt(this.pool, organizationId, key.id, update.status);
+      } catch (error) {
+        logger.error(`Error storing WhatsApp receipt for org ${organizationId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start sending the organization's outbox, after failing what the previous
+   * process left half-sent or kept too long. Sending goes on while the
+   * connection is open, checking for new messages when the outbox is empty.
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<void>}
+   */
+  async startOutbox(organizationId) {
+    this.stopOutbox(organizationId);
+    this.messageQueue.set(organizationId, { timer: null });
+    try {
+      const failed = await failStaleMessages(this.pool, organizationId);
+      if (failed > 0) {
+        logger.warn(`Dropped ${failed} stale WhatsApp outbox message(s) for org ${organizationId}`);
+      }
+    } catch (error) {
+      logger.error(`Error cleaning WhatsApp outbox for org ${organizationId}:`, error);
+    }
+    this.scheduleOutbox(organizationId, 0);
+  }
+
+  /**
+   * Look at the outbox now rather than at the next idle check, e.g. just
+   * after an announcement was queued. Does nothing without an open connection.
+   * @param {number} organizationId - Organization ID
+   */
+  kickOutbox(organizationId) {
+    const outbox = this.messageQueue.get(organizationId);
+    if (outbox?.idle) {
+      this.scheduleOutbox(organizationId, 0);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} organizationId - Organization ID
+   * @param {number} delayMs - Wait before sending the next message
+   */
+  scheduleOutbox(organizationId, delayMs) {
+    const outbox = this.messageQueue.get(organizationId);
+    if (!outbox) return;
+    if (outbox.timer) clearTimeout(outbox.timer);
+    outbox.timer = setTimeout(() => this.runOutbox(organizationId), delayMs);
+    outbox.timer.unref?.();
+  }
+
+  /**
+   * Send one message from the outbox and plan the next one.
+   * @private
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<void>}
+   */
+  async runOutbox(organizationId) {
+    const outbox = this.messageQueue.get(organizationId);
+    const connectionObj = this.connections.get(organizationId);
+    if (!outbox) return;
+    outbox.timer = null;
+    if (!connectionObj?.isConnected) {
+      this.stopOutbox(organizationId);
+      return;
+    }
+
+    let next;
+    try {
+      next = await sendNextMessage(this.pool, this, organizationId, {
+        senderPhoneNumber: connectionObj.phoneNumber || null
+      });
+    } catch (error) {
+      logger.error(`Error sending WhatsApp outbox for org ${organizationId}:`, error);
+      next = { status: 'error', waitMs: IDLE_POLL_MS };
+    }
+
+    if (next.status === 'limited') {
+      logger.warn(`WhatsApp daily limit reached for org ${organizationId}; resuming in ${Math.round(next.waitMs / 60000)} min`);
+    }
+    // The outbox may have been stopped while the message was on its way
+    if (this.messageQueue.get(organizationId) !== outbox) return;
+    outbox.idle = next.status === 'idle';
+    this.scheduleOutbox(organizationId, next.waitMs);
+  }
+
+  /**
+   * Stop sending the outbox; queued messages stay queued.
+   * @param {number} organizationId - Organization ID
+   */
+  stopOutbox(organizationId) {
+    const outbox = this.messageQueue.get(organizationId);
+    if (outbox?.timer) clearTimeout(outbox.timer);
+    this.messageQueue.delete(organizationId);
+  }
+
   /**
    * Handle connection status updates
    * @param {number} organizationId - Organization ID
@@ -236,6 +405,8 @@ class WhatsAppBaileysService {
     if (connection === 'open') {
       logger.info(`WhatsApp connected successfully for organization ${organizationId}`);
       connectionObj.isConnected = true;
+      const connectedNumber = connectionObj.sock.user?.id?.split(':')[0] || null;
+      connectionObj.phoneNumber = connectedNumber ? `+${connectedNumber}` : null;
 
       // Reset reconnect attempts on successful connection
       this.reconnectAttempts.delete(organizationId);
@@ -271,6 +442,9 @@ class WhatsAppBaileysService {
       } catch (error) {
         logger.error(`Error saving connection to database for org ${organizationId}:`, error);
       }
+
+      // Resume sending what was queued while disconnected
+      await this.startOutbox(organizationId);
     }
 
     // Connection closed - handle reconnection
@@ -434,11 +608,14 @@ class WhatsAppBaileysService {
   }
 
   /**
-   * Send WhatsApp message with rate limiting
+   * Send a WhatsApp message now. Messages to many people go through the
+   * outbox (services/whatsapp-outbox), which paces them; this sends one.
    * @param {number} organizationId - Organization ID
    * @param {string} phoneNumber - Recipient phone number in E.164 format
    * @param {string} message - Message text
-   * @returns {Promise<{success: boolean, error?: string}>} Result with success status and optional error message
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string, retryable?: boolean}>} Result
+   *   with success status, the WhatsApp message id when sent, and optional error message;
+   *   `retryable` when the same message may go through later (no connection, rate limit)
    */
   async sendMessage(organizationId, phoneNumber, message) {
     try {
@@ -448,22 +625,19 @@ class WhatsAppBaileysService {
         logger.warn(`WhatsApp not connected for organization ${organizationId}`);
         return { 
           success: false, 
-          error: 'WhatsApp is not connected. Please reconnect via QR code.' 
+          error: 'WhatsApp is not connected. Please reconnect via QR code.',
+          retryable: true
         };
       }
 
       // Format phone number for WhatsApp (remove + and add @s.whatsapp.net)
       const formattedNumber = phoneNumber.replace(/[^0-9]/g, '') + '@s.whatsapp.net';
 
-      // Add random delay to avoid rate limiting (2-5 seconds)
-      const delay = Math.floor(Math.random() * 3000) + 2000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-
       // Send message with comprehensive error handling
       try {
-        await connectionObj.sock.sendMessage(formattedNumber, { text: message });
+        const sent = await connectionObj.sock.sendMessage(formattedNumber, { text: message });
         logger.info(`Message sent successfully to ${phoneNumber} for org ${organizationId}`);
-        return { success: true };
+        return { success: true, messageId: sent?.key?.id || null };
       } catch (sendError) {
         logger.error(`Baileys error sending message for org ${organizationId}:`, sendError);
         
@@ -488,7 +662,8 @@ class WhatsAppBaileysService {
           
           return { 
             success: false, 
-            error: 'WhatsApp session expired or corrupted. Please disconnect and reconnect via QR code.' 
+            error: 'WhatsApp session expired or corrupted. Please disconnect and reconnect via QR code.',
+            retryable: true
           };
         }
         
@@ -496,7 +671,8 @@ class WhatsAppBaileysService {
         if (errorMessage.includes('429') || errorMessage.includes('rate limit')) {
           return { 
             success: false, 
-            error: 'WhatsApp rate limit reached. Please wait before sending more messages.' 
+            error: 'WhatsApp rate limit reached. Please wait before sending more messages.',
+            retryable: true
           };
         }
         
@@ -641,6 +817,7 @@ class WhatsAppBaileysService {
       }
       this.connections.delete(organizationId);
     }
+    this.stopOutbox(organizationId);
   }
 
   /**
@@ -664,9 +841,8 @@ class WhatsAppBaileysService {
       // Use private helper to disconnect socket
       this._disconnectSocket(organizationId);
 
-      // Also clean up reconnect attempts and message queue for this org
+      // Also clean up reconnect attempts for this org (the outbox stopped with the socket)
       this.reconnectAttempts.delete(organizationId);
-      this.messageQueue.delete(organizationId);
     } catch (error) {
       logger.error(`Error clearing WhatsApp auth state for org ${organizationId}:`, error);
       throw error;
@@ -714,8 +890,10 @@ class WhatsAppBaileysService {
     }
 
     // Clear all Maps
+    for (const organizationId of [...this.messageQueue.keys()]) {
+      this.stopOutbox(organizationId);
+    }
     this.connections.clear();
-    this.messageQueue.clear();
     this.reconnectAttempts.clear();
 
     logger.info('WhatsApp Baileys service shutdown complete');
@@ -0,0 +1,319 @@
+/**
+ * WhatsApp Inbox Service
+ *
+ * Keeps what parents send to the organization's connected WhatsApp number,
+ * so leaders can read and answer it from the application instead of the
+ * phone that scanned the QR code.
+ *
+ * - **One conversation per phone number.** A message is matched, when it
+ *   arrives, to the member whose `users.whatsapp_phone_number` it came from.
+ *   Unknown numbers still get a conversation; the leader sees the number and
+ *   the WhatsApp display name.
+ * - **Only direct messages.** Groups, status updates and channels are not
+ *   conversations with a family and are left alone, as are the messages the
+ *   connected phone sends itself.
+ * - **Replies go into the same conversation**, with the leader who sent them.
+ * - **A copy can go to Google Chat.** When a registered space is marked to
+ *   receive WhatsApp messages, each inbound message is posted there too.
+ *
+ * @module services/whatsapp-inbox
+ */
+
+/** Conversations shown in the inbox, most recent first. */
+const MAX_CONVERSATIONS = 200;
+
+/** Messages loaded when a conversation is opened. */
+const DEFAULT_CONVERSATION_LIMIT = 100;
+
+/** Message kinds stored besides text; anything else is kept as 'other'. */
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+  locationMessage: 'location',
+  contactMessage: 'contact'
+};
+
+/**
+ * The E.164 number behind a one-to-one chat JID, or null for groups, status
+ * broadcasts, channels and privacy ids (`@lid`) that carry no number.
+ * @param {string|null|undefined} jid - e.g. "15145551234@s.whatsapp.net"
+ * @returns {string|null} e.g. "+15145551234"
+ */
+function phoneFromJid(jid) {
+  if (typeof jid !== 'string') {
+    return null;
+  }
+  const match = jid.match(/^(\d{7,15})(?::\d+)?@s\.whatsapp\.net$/);
+  return match ? `+${match[1]}` : null;
+}
+
+/**
+ * Phone numbers travel as "+1 (514) 555-1234", "15145551234" or a path
+ * segment; compare them as "+" and digits.
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+function normalizePhoneNumber(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const digits = value.replace(/[^0-9]/g, '');
+  return /^[1-9]\d{6,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * What a received message says, without its wrappers (disappearing,
+ * view-once and edited messages nest the real one).
+ * @param {Object} message - Baileys `WAMessage.message`
+ * @returns {{type: string, text: string|null}}
+ */
+function readMessageContent(message) {
+  let content = message || {};
+  for (let depth = 0; depth < 3; depth += 1) {
+    const inner = content.ephemeralMessage?.message
+      || content.viewOnceMessage?.message
+      || content.viewOnceMessageV2?.message
+      || content.documentWithCaptionMessage?.message
+      || content.editedMessage?.message;
+    if (!inner) break;
+    content = inner;
+  }
+
+  if (typeof content.conversation === 'string') {
+    return { type: 'text', text: content.conversation };
+  }
+  if (typeof content.extendedTextMessage?.text === 'string') {
+    return { type: 'text', text: content.extendedTextMessage.text };
+  }
+
+  const mediaKey = Object.keys(MEDIA_TYPES).find((key) => content[key]);
+  if (mediaKey) {
+    const media = content[mediaKey];
+    return { type: MEDIA_TYPES[mediaKey], text: media.caption || media.fileName || null };
+  }
+  return { type: 'other', text: null };
+}
+
+/**
+ * Keep a message received by the organization's connection.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {Object} waMessage - Baileys `WAMessage` from `messages.upsert`
+ * @returns {Promise<Object|null>} The stored message with the matched member,
+ *   or null when it is not a direct message from someone else or was already kept
+ */
+async function recordInboundMessage(pool, organizationId, waMessage) {
+  const key = waMessage?.key || {};
+  if (key.fromMe || !waMessage.message) {
+    return null;
+  }
+  // Newer clients address chats by privacy id; the number then travels alongside
+  const phoneNumber = phoneFromJid(key.remoteJid) || phoneFromJid(key.senderPn) || phoneFromJid(key.remoteJidAlt);
+  if (!phoneNumber) {
+    return null;
+  }
+
+  const { type, text } = readMessageContent(waMessage.message);
+  const sentAt = Number(waMessage.messageTimestamp) > 0
+    ? new Date(Number(waMessage.messageTimestamp) * 1000)
+    : new Date();
+
+  const member = await pool.query(
+    `SELECT u.id, u.full_name
+       FROM users u
+       JOIN user_organizations uo ON uo.user_id = u.id
+      WHERE uo.organization_id = $1
+        AND u.whatsapp_phone_number = $2
+      ORDER BY uo.status = 'active' DESC
+      LIMIT 1`,
+    [organizationId, phoneNumber]
+  );
+  const user = member.rows[0] || null;
+
+  const inserted = await pool.query(
+    `INSERT INTO whatsapp_messages
+       (organization_id, direction, phone_number, user_id, sender_name, message_type, body, wa_message_id, created_at)
+     VALUES ($1, 'inbound', $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (organization_id, wa_message_id) DO NOTHING
+     RETURNING id, phone_number, user_id, sender_name, message_type, body, created_at`,
+    [organizationId, phoneNumber, user?.id || null, waMessage.pushName || null, type, text, key.id || null, sentAt]
+  );
+  if (inserted.rows.length === 0) {
+    return null;
+  }
+
+  return { ...inserted.rows[0], user_name: user?.full_name || null };
+}
+
+/**
+ * Keep a reply sent from the inbox.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {{phoneNumber: string, body: string, sentBy: string, waMessageId?: string|null}} reply
+ * @returns {Promise<Object>} The stored message
+ */
+async function recordOutboundMessage(pool, organizationId, { phoneNumber, body, sentBy, waMessageId = null }) {
+  const result = await pool.query(
+    `INSERT INTO whatsapp_messages
+       (organization_id, direction, phone_number, user_id, message_type, body, wa_message_id, sent_by, read_at)
+     VALUES ($1, 'outbound', $2,
+             (SELECT user_id FROM whatsapp_messages
+               WHERE organization_id = $1 AND phone_number = $2 AND user_id IS NOT NULL
+               ORDER BY created_at DESC LIMIT 1),
+             'text', $3, $4, $5, CURRENT_TIMESTAMP)
+     RETURNING id, direction, phone_number, message_type, body, sent_by, created_at`,
+    [organizationId, phoneNumber, body, waMessageId, sentBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * The inbox: the last message of each conversation, with its unread count.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @returns {Promise<Object[]>}
+ */
+async function listConversations(pool, organizationId) {
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT DISTINCT ON (m.phone_number)
+              m.phone_number, m.direction AS last_direction, m.message_type AS last_message_type,
+              m.body AS last_body, m.created_at AS last_message_at,
+              COALESCE(u.full_name, named.sender_name) AS contact_name,
+              named.user_id,
+              (SELECT COUNT(*)::int FROM whatsapp_messages unread
+                WHERE unread.organization_id = m.organization_id
+                  AND unread.phone_number = m.phone_number
+                  AND unread.direction = 'inbound'
+                  AND unread.read_at IS NULL) AS unread_count
+         FROM whatsapp_messages m
+         LEFT JOIN LATERAL (
+           SELECT user_id, sender_name FROM whatsapp_messages n
+            WHERE n.organization_id = m.organization_id
+              AND n.phone_number = m.phone_number
+              AND n.direction = 'inbound'
+            ORDER BY n.created_at DESC LIMIT 1
+         ) named ON TRUE
+         LEFT JOIN users u ON u.id = named.user_id
+        WHERE m.organization_id = $1
+        ORDER BY m.phone_number, m.created_at DESC, m.id DESC
+     ) conversations
+     ORDER BY last_message_at DESC
+     LIMIT $2`,
+    [organizationId, MAX_CONVERSATIONS]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Messages of one conversation, oldest first.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {string} phoneNumber - E.164
+ * @param {number} [limit] - Most recent messages to return
+ * @returns {Promise<Object[]>}
+ */
+async function getConversation(pool, organizationId, phoneNumber, limit = DEFAULT_CONVERSATION_LIMIT) {
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT m.id, m.direction, m.phone_number, m.user_id, m.sender_name, m.message_type, m.body,
+              m.read_at, m.created_at, m.sent_by, s.full_name AS sent_by_name
+         FROM whatsapp_messages m
+         LEFT JOIN users s ON s.id = m.sent_by
+        WHERE m.organization_id = $1 AND m.phone_number = $2
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT $3
+     ) recent
+     ORDER BY created_at ASC, id ASC`,
+    [organizationId, phoneNumber, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether this number has written to the organization. Replies only go to
+ * conversations a parent started.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {string} phoneNumber - E.164
+ * @returns {Promise<boolean>}
+ */
+async function hasInboundConversation(pool, organizationId, phoneNumber) {
+  const result = await pool.query(
+    `SELECT 1 FROM whatsapp_messages
+      WHERE organization_id = $1 AND phone_number = $2 AND direction = 'inbound'
+      LIMIT 1`,
+    [organizationId, phoneNumber]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Mark a conversation's received messages as read.
+ * @returns {Promise<number>} Messages marked
+ */
+async function markConversationRead(pool, organizationId, phoneNumber) {
+  const result = await pool.query(
+    `UPDATE whatsapp_messages
+        SET read_at = CURRENT_TIMESTAMP
+      WHERE organization_id = $1 AND phone_number = $2
+        AND direction = 'inbound' AND read_at IS NULL`,
+    [organizationId, phoneNumber]
+  );
+  return result.rowCount || 0;
+}
+
+/**
+ * Post a copy of an inbound message to the space that receives them, if the
+ * organization marked one. The message is already stored when this runs, so
+ * callers log a failure here rather than let it stop anything.
+ * @param {Object} pool - Database pool
+ * @param {Object|null} googleChatService - services/google-chat instance
+ * @param {number} organizationId
+ * @param {Object} message - As returned by recordInboundMessage
+ * @returns {Promise<boolean>} Whether a copy was posted
+ */
+async function forwardToGoogleChat(pool, googleChatService, organizationId, message) {
+  if (!googleChatService) {
+    return false;
+  }
+
+  const space = await pool.query(
+    `SELECT space_id FROM google_chat_spaces
+      WHERE organization_id = $1 AND receives_whatsapp = TRUE AND is_active = TRUE
+      LIMIT 1`,
+    [organizationId]
+  );
+  if (space.rows.length === 0) {
+    return false;
+  }
+
+  const sender = message.user_name || message.sender_name;
+  const from = sender ? `${sender} (${message.phone_number})` : message.phone_number;
+  const content = message.body || `[${message.message_type}]`;
+  await googleChatService.sendMessageToSpace(organizationId, space.rows[0].space_id, `WhatsApp — ${from}:\n${content}`);
+  await pool.query(
+    'UPDATE whatsapp_messages SET forwarded_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [message.id]
+  );
+  return true;
+}
+
+module.exports = {
+  MAX_CONVERSATIONS,
+  DEFAULT_CONVERSATION_LIMIT,
+  phoneFromJid,
+  normalizePhoneNumber,
+  readMessageContent,
+  recordInboundMessage,
+  recordOutboundMessage,
+  listConversations,
+  getConversation,
+  hasInboundConversation,
+  markConversationRead,
+  forwardToGoogleChat
+};
@@ -0,0 +1,418 @@
+/**
+ * WhatsApp Outbox Service
+ *
+ * Messages the organization's WhatsApp connection sends on its own
+ * (announcements, carpool notices) wait in `whatsapp_outbox` and go out one at
+ * a time, the way the Baileys safety rules ask (see services/whatsapp-baileys):
+ *
+ * - **Paced.** A random 2-5 second pause between two messages.
+ * - **Capped.** At most DAILY_LIMIT messages per connected number in any 24
+ *   hours; the rest wait until the oldest of those is a day old.
+ * - **Persistent.** The outbox is a table. Sending resumes when the
+ *   connection reopens after a restart; a message still unsent after
+ *   EXPIRE_AFTER_HOURS is dropped as too late to be useful.
+ * - **With consent.** A guardian's cell phone is only used once they agreed
+ *   (`parents_guardians.whatsapp_opt_in`), and a number that answered STOP
+ *   gets nothing more until it answers START.
+ * - **Reported.** Each announcement message has its own announcement log,
+ *   updated when the message is sent and when WhatsApp reports it delivered
+ *   or read.
+ *
+ * Only the process holding the connection can send, so the outbox is drained
+ * by WhatsAppBaileysService itself (sendNextMessage), not by the job queue.
+ * Replies typed in the inbox are not broadcasts and are sent right away.
+ *
+ * @module services/whatsapp-outbox
+ */
+
+const { normalizePhoneNumber } = require('./whatsapp-inbox');
+
+/** Messages per connected number in any 24 hours. */
+const DAILY_LIMIT = Number.parseInt(process.env.WHATSAPP_DAILY_LIMIT, 10) || 1000;
+
+/** Pause between two messages, picked at random in this range. */
+const MIN_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5000;
+
+/** Look for new messages this often while the outbox is empty. */
+const IDLE_POLL_MS = 60 * 1000;
+
+/** Wait this long after WhatsApp refused to send for a reason that may pass. */
+const RETRY_AFTER_MS = 15 * 60 * 1000;
+
+/** A queued message older than this is not sent any more. */
+const EXPIRE_AFTER_HOURS = 72;
+
+/** Replies that stop or resume messages, compared without case or accents. */
+const OPT_OUT_KEYWORDS = ['stop', 'arret', 'unsubscribe', 'desabonner'];
+const OPT_IN_KEYWORDS = ['start', 'demarrer'];
+
+const OPTED_OUT_ERROR = 'Opted out of WhatsApp messages';
+
+/** Baileys message status (proto.WebMessageInfo.Status) worth reporting. */
+const RECEIPT_STATUSES = { 3: 'delivered', 4: 'read', 5: 'read' };
+
+/**
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {number} Milliseconds to wait before the next message
+ */
+function sendDelay(random = Math.random) {
+  return MIN_DELAY_MS + Math.floor(random() * (MAX_DELAY_MS - MIN_DELAY_MS + 1));
+}
+
+/**
+ * Guardians' cell phones are typed as they are dialled locally. Ten digits
+ * are a North American number, the numbering plan of every unit so far;
+ * anything written with its "+" is taken as international.
+ * @param {string|null|undefined} value - e.g. "514 555-1234"
+ * @returns {string|null} E.164, e.g. "+15145551234"
+ */
+function toWhatsAppNumber(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (value.trim().startsWith('+')) {
+    return normalizePhoneNumber(value);
+  }
+  const digits = value.replace(/[^0-9]/g, '');
+  if (/^[2-9]\d{9}$/.test(digits)) {
+    return `+1${digits}`;
+  }
+  if (/^1[2-9]\d{9}$/.test(digits)) {
+    return `+${digits}`;
+  }
+  return null;
+}
+
+/**
+ * @param {string|null} text - A received message
+ * @returns {'opt_out'|'opt_in'|null} What the message asks for, if it is only a keyword
+ */
+function readConsentKeyword(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const word = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .trim().toLowerCase().replace(/[.!\s]+$/, '');
+  if (OPT_OUT_KEYWORDS.includes(word)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(word)) return 'opt_in';
+  return null;
+}
+
+/**
+ * Record a STOP or START sent to the organization's number. After STOP the
+ * messages still waiting for that number are dropped.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {string} phoneNumber - E.164
+ * @param {string|null} text - The received message
+ * @returns {Promise<'opt_out'|'opt_in'|null>} The change made, if any
+ */
+async function applyConsentReply(pool, organizationId, phoneNumber, text) {
+  const keyword = readConsentKeyword(text);
+  if (keyword === 'opt_out') {
+    await pool.query(
+      `INSERT INTO whatsapp_opt_outs (organization_id, phone_number, source)
+       VALUES ($1, $2, 'reply')
+       ON CONFLICT (organization_id, phone_number) DO NOTHING`,
+      [organizationId, phoneNumber]
+    );
+    await pool.query(
+      `WITH dropped AS (
+         UPDATE whatsapp_outbox SET status = 'skipped', error = $3
+          WHERE organization_id = $1 AND phone_number = $2 AND status = 'queued'
+          RETURNING announcement_log_id
+       )
+       UPDATE announcement_logs l SET status = 'skipped', error_message = $3
+         FROM dropped WHERE l.id = dropped.announcement_log_id`,
+      [organizationId, phoneNumber, OPTED_OUT_ERROR]
+    );
+  } else if (keyword === 'opt_in') {
+    await pool.query(
+      'DELETE FROM whatsapp_opt_outs WHERE organization_id = $1 AND phone_number = $2',
+      [organizationId, phoneNumber]
+    );
+  }
+  return keyword;
+}
+
+/**
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {string[]} phoneNumbers - E.164
+ * @returns {Promise<Set<string>>} The numbers among them that answered STOP
+ */
+async function findOptedOut(pool, organizationId, phoneNumbers) {
+  if (phoneNumbers.length === 0) {
+    return new Set();
+  }
+  const result = await pool.query(
+    `SELECT phone_number FROM whatsapp_opt_outs
+      WHERE organization_id = $1 AND phone_number = ANY($2::text[])`,
+    [organizationId, phoneNumbers]
+  );
+  return new Set(result.rows.map((row) => row.phone_number));
+}
+
+/**
+ * One message per number, first one wins.
+ * @param {Array<{phone: string, user_id?: string|null}>} recipients
+ * @returns {Map<string, string|null>} E.164 number -> user id
+ */
+function uniqueRecipients(recipients) {
+  const byPhone = new Map();
+  recipients.forEach(({ phone, user_id: userId }) => {
+    const phoneNumber = normalizePhoneNumber(phone);
+    if (phoneNumber && !byPhone.has(phoneNumber)) {
+      byPhone.set(phoneNumber, userId || null);
+    }
+  });
+  return byPhone;
+}
+
+/**
+ * Queue an announcement for its WhatsApp recipients. Every recipient gets an
+ * announcement log: 'queued' until the message is sent, or 'skipped' when the
+ * number answered STOP.
+ * @param {Object} pool - Database pool
+ * @param {Object} announcement - Row with id and organization_id
+ * @param {Array<{phone: string, user_id?: string|null}>} recipients
+ * @param {string} body - Message text
+ * @returns {Promise<{queued: number, skipped: number}>}
+ */
+async function queueAnnouncement(pool, announcement, recipients, body) {
+  const byPhone = uniqueRecipients(recipients);
+  const optedOut = await findOptedOut(pool, announcement.organization_id, [...byPhone.keys()]);
+  const toQueue = [...byPhone].filter(([phoneNumber]) => !optedOut.has(phoneNumber));
+  const toSkip = [...byPhone].filter(([phoneNumber]) => optedOut.has(phoneNumber));
+
+  if (toSkip.length > 0) {
+    await pool.query(
+      `INSERT INTO announcement_logs (announcement_id, channel, recipient_user_id, status, error_message, metadata)
+       SELECT $1, 'whatsapp', r.user_id, 'skipped', $4, jsonb_build_object('phone_number', r.phone_number)
+         FROM unnest($2::text[], $3::uuid[]) AS r(phone_number, user_id)`,
+      [announcement.id, toSkip.map(([phoneNumber]) => phoneNumber), toSkip.map(([, userId]) => userId), OPTED_OUT_ERROR]
+    );
+  }
+
+  if (toQueue.length > 0) {
+    await pool.query(
+      `WITH logs AS (
+         INSERT INTO announcement_logs (announcement_id, channel, recipient_user_id, status, metadata)
+         SELECT $1, 'whatsapp', r.user_id, 'queued', jsonb_build_object('phone_number', r.phone_number)
+           FROM unnest($2::text[], $3::uuid[]) AS r(phone_number, user_id)
+         RETURNING id, recipient_user_id, metadata->>'phone_number' AS phone_number
+       )
+       INSERT INTO whatsapp_outbox (organization_id, phone_number, user_id, body, announcement_id, announcement_log_id)
+       SELECT $4, phone_number, recipient_user_id, $5, $1, id FROM logs`,
+      [
+        announcement.id,
+        toQueue.map(([phoneNumber]) => phoneNumber),
+        toQueue.map(([, userId]) => userId),
+        announcement.organization_id,
+        body
+      ]
+    );
+  }
+
+  return { queued: toQueue.length, skipped: toSkip.length };
+}
+
+/**
+ * Queue one message (a notice to a single member).
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {{phoneNumber: string, userId?: string|null, body: string}} message
+ * @returns {Promise<boolean>} Whether it was queued: false for an invalid or opted-out number
+ */
+async function queueMessage(pool, organizationId, { phoneNumber, userId = null, body }) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return false;
+  }
+  const optedOut = await findOptedOut(pool, organizationId, [normalized]);
+  if (optedOut.has(normalized)) {
+    return false;
+  }
+
+  await pool.query(
+    `INSERT INTO whatsapp_outbox (organization_id, phone_number, user_id, body)
+     VALUES ($1, $2, $3, $4)`,
+    [organizationId, normalized, userId, body]
+  );
+  return true;
+}
+
+/**
+ * Settle a message and, for an announcement, its log.
+ * @param {Object} pool - Database pool
+ * @param {Object} message - whatsapp_outbox row
+ * @param {'sent'|'failed'|'skipped'} status
+ * @param {{error?: string|null, waMessageId?: string|null, senderPhoneNumber?: string|null}} [details]
+ */
+async function settleMessage(pool, message, status, { error = null, waMessageId = null, senderPhoneNumber = null } = {}) {
+  await pool.query(
+    `UPDATE whatsapp_outbox
+        SET status = $2, error = $3, wa_message_id = $4, sender_phone_number = $5,
+            sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+      WHERE id = $1`,
+    [message.id, status, error, waMessageId, senderPhoneNumber]
+  );
+  if (message.announcement_log_id) {
+    await pool.query(
+      `UPDATE announcement_logs
+          SET status = $2, error_message = $3, message_id = $4, sent_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+      [message.announcement_log_id, status, error, waMessageId]
+    );
+  }
+}
+
+/**
+ * Fail what cannot be sent any more: messages queued for too long, and
+ * messages the previous process stopped in the middle of sending (sending
+ * them again could deliver them twice).
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @returns {Promise<number>} Messages failed
+ */
+async function failStaleMessages(pool, organizationId) {
+  const result = await pool.query(
+    `WITH stale AS (
+       UPDATE whatsapp_outbox
+          SET status = 'failed',
+              error = CASE WHEN status = 'sending' THEN 'Interrupted while sending' ELSE 'Not sent in time' END
+        WHERE organization_id = $1
+          AND (status = 'sending'
+               OR (status = 'queued' AND created_at < CURRENT_TIMESTAMP - make_interval(hours => $2)))
+        RETURNING announcement_log_id, error
+     ), logged AS (
+       UPDATE announcement_logs l SET status = 'failed', error_message = stale.error
+         FROM stale WHERE l.id = stale.announcement_log_id
+     )
+     SELECT COUNT(*)::int AS failed FROM stale`,
+    [organizationId, EXPIRE_AFTER_HOURS]
+  );
+  return result.rows[0]?.failed || 0;
+}
+
+/**
+ * Send the next queued message of an organization, if the daily limit allows.
+ * The caller waits `waitMs` before calling again.
+ * @param {Object} pool - Database pool
+ * @param {Object} whatsappService - Sends through the connection (sendMessage)
+ * @param {number} organizationId
+ * @param {Object} [options]
+ * @param {string|null} [options.senderPhoneNumber] - Connected number, E.164
+ * @param {Function} [options.random] - Returns a number in [0, 1)
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Promise<{status: 'sent'|'failed'|'skipped'|'retry'|'limited'|'idle', waitMs: number}>}
+ */
+async function sendNextMessage(pool, whatsappService, organizationId, {
+  senderPhoneNumber = null,
+  random = Math.random,
+  now = Date.now()
+} = {}) {
+  const usage = await pool.query(
+    `SELECT COUNT(*)::int AS sent, MIN(sent_at) AS oldest
+       FROM whatsapp_outbox
+      WHERE organization_id = $1 AND sender_phone_number IS NOT DISTINCT FROM $2
+        AND sent_at > CURRENT_TIMESTAMP - interval '24 hours'`,
+    [organizationId, senderPhoneNumber]
+  );
+  const { sent, oldest } = usage.rows[0] || { sent: 0, oldest: null };
+  if (sent >= DAILY_LIMIT) {
+    const freesAt = new Date(oldest).getTime() + 24 * 60 * 60 * 1000;
+    return { status: 'limited', waitMs: Math.max(freesAt - now, IDLE_POLL_MS) };
+  }
+
+  const claimed = await pool.query(
+    `UPDATE whatsapp_outbox SET status = 'sending'
+      WHERE id = (
+        SELECT id FROM whatsapp_outbox
+         WHERE organization_id = $1 AND status = 'queued'
+         ORDER BY id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`,
+    [organizationId]
+  );
+  const message = claimed.rows[0];
+  if (!message) {
+    return { status: 'idle', waitMs: IDLE_POLL_MS };
+  }
+
+  // STOP may have arrived after the message was queued
+  const optedOut = await findOptedOut(pool, organizationId, [message.phone_number]);
+  if (optedOut.has(message.phone_number)) {
+    await settleMessage(pool, message, 'skipped', { error: OPTED_OUT_ERROR });
+    return { status: 'skipped', waitMs: 0 };
+  }
+
+  const result = await whatsappService.sendMessage(organizationId, message.phone_number, message.body);
+  if (result.success) {
+    await settleMessage(pool, message, 'sent', { waMessageId: result.messageId, senderPhoneNumber });
+    return { status: 'sent', waitMs: sendDelay(random) };
+  }
+  if (result.retryable) {
+    await pool.query("UPDATE whatsapp_outbox SET status = 'queued' WHERE id = $1", [message.id]);
+    return { status: 'retry', waitMs: RETRY_AFTER_MS };
+  }
+  await settleMessage(pool, message, 'failed', { error: result.error || 'WhatsApp send failed' });
+  return { status: 'failed', waitMs: sendDelay(random) };
+}
+
+/**
+ * Keep a delivery or read receipt, on the message and on its announcement log.
+ * A log already marked read stays read.
+ * @param {Object} pool - Database pool
+ * @param {number} organizationId
+ * @param {string} waMessageId - WhatsApp id of the sent message
+ * @param {number} waStatus - Baileys message status (proto.WebMessageInfo.Status)
+ * @returns {Promise<boolean>} Whether an outbox message was updated
+ */
+async function recordReceipt(pool, organizationId, waMessageId, waStatus) {
+  const status = RECEIPT_STATUSES[waStatus];
+  if (!status || !waMessageId) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `WITH receipt AS (
+       UPDATE whatsapp_outbox
+          SET delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP),
+              read_at = CASE WHEN $3 = 'read' THEN COALESCE(read_at, CURRENT_TIMESTAMP) ELSE read_at END
+        WHERE organization_id = $1 AND wa_message_id = $2
+        RETURNING id, announcement_log_id
+     ), logged AS (
+       UPDATE announcement_logs l
+          SET delivery_status = $3, delivery_updated_at = CURRENT_TIMESTAMP
+         FROM receipt
+        WHERE l.id = receipt.announcement_log_id
+          AND l.delivery_status IS DISTINCT FROM 'read'
+     )
+     SELECT id FROM receipt`,
+    [organizationId, waMessageId, status]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  DAILY_LIMIT,
+  MIN_DELAY_MS,
+  MAX_DELAY_MS,
+  IDLE_POLL_MS,
+  RETRY_AFTER_MS,
+  EXPIRE_AFTER_HOURS,
+  sendDelay,
+  toWhatsAppNumber,
+  readConsentKeyword,
+  applyConsentReply,
+  findOptedOut,
+  queueAnnouncement,
+  queueMessage,
+  failStaleMessages,
+  sendNextMessage,
+  recordReceipt
+};
@@ -1,13 +1,38 @@
 import { translate } from "./app.js";
 import { debugLog, debugError, debugWarn, debugInfo } from "./utils/DebugUtils.js";
+import { escapeAttribute, escapeHTML } from "./utils/SecurityUtils.js";
+import { insertHTML } from "./utils/DOMUtils.js";
+import {
+	REPEAT_SUBFIELD_TYPES,
+	computeValue,
+	isEmptyValue,
+	isFieldRequired,
+	isFieldVisible,
+	readStructuredValues,
+	valuesMatch
+} from "./utils/FormLogicUtils.js";
+
+// What a file field accepts; the attachment endpoint refuses anything else.
+const FILE_FIELD_ACCEPT = 'image/*,application/pdf';
 
 export class JSONFormRenderer {
-	constructor(formStructure, formData = {}, formOrigin, useUniqueIds = false, formIndex = null) {
+	/**
+	 * @param {Object|string} formStructure - Form format (`{ fields }`)
+	 * @param {Object} [formData={}] - Saved answers
+	 * @param {string} formOrigin - Form type, stamped on each field group
+	 * @param {boolean} [useUniqueIds=false] - Suffix ids when several forms share a page
+	 * @param {number|null} [formIndex=null] - Suffix used with useUniqueIds
+	 * @param {Object} [context={}] - `birthDate` of the participant (age rules
+	 *   and computed ages) and `uploadFile(file)`, which stores a file field's
+	 *   file and resolves to `{ key, name, type, size }`
+	 */
+	constructor(formStructure, formData = {}, formOrigin, useUniqueIds = false, formIndex = null, context = {}) {
 		this.formStructure = typeof formStructure === 'string' ? JSON.parse(formStructure) : formStructure;
 		this.formData = formData;
 		this.formOrigin = formOrigin;
 		this.useUniqueIds = useUniqueIds; 
 		this.formIndex = formIndex; 
+		this.context = context || {};
 		debugLog("Form structure:", this.formStructure, "Form data:", this.formData);
 	}
 
@@ -46,20 +71,7 @@ export class JSONFormRenderer {
 	 * @returns {boolean} True when the dependent field should be editable
 	 */
 	isDependencyMet(dependsOn) {
-		const current = this.formData ? this.formData[dependsOn.field] : undefined;
-		if (current === undefined || current === null) {
-			return false;
-		}
-
-		const normalize = (input) => String(input).trim().toLowerCase();
-		const affirmative = new Set(['yes', 'oui', 'true', 'on', '1', 'y']);
-		const currentValue = current === true ? 'true' : normalize(current);
-		const expectedValue = normalize(dependsOn.value);
-
-		if (currentValue === expectedValue) {
-			return true;
-		}
-		return affirmative.has(currentValue) && affirmative.has(expectedValue);
+		return valuesMatch(this.formData ? this.formData[dependsOn.field] : undefined, dependsOn.value);
 	}
 
 	renderField(field, formOrigin, index) {
@@ -83,7 +95,13 @@ export class JSONFormRenderer {
 				}
 			}
 
-			const requiredAttr = required ? 'required' : '';
+			// `showIf` hides the whole group (and disables it, so nothing hidden
+			// is submitted); `requiredIf` decides `required` from the answers.
+			// A legacy dependsOn field keeps its plain `required`, which the
+			// dependency listeners toggle.
+			const hidden = !isFieldVisible(field, this.formData, this.context);
+			const isRequired = dependsOn ? required : isFieldRequired(field, this.formData, this.context);
+			const requiredAttr = isRequired ? 'required' : '';
 
 			// If the field has a dependsOn attribute, include it as a data-depends-on attribute in the HTML
 			const dependsOnAttr = dependsOn ? `data-depends-on='${JSON.stringify(dependsOn)}'` : '';
@@ -93,11 +111,11 @@ export class JSONFormRenderer {
 			// uneditable, and — on the standalone form, which submits through
 			// FormData — dropped that allergy from the next save, because a
 			// disabled input is not submitted.
-			const disabled = dependsOn && !this.isDependencyMet(dependsOn) ? 'disabled' : '';
+			const disabled = hidden || (dependsOn && !this.isDependencyMet(dependsOn)) ? 'disabled' : '';
 
 			const fieldId = this.useUniqueIds ? `${name}-${this.formIndex}-${index}` : name;
 
-			let output = `<div class="form-group" data-form-origin="${formOrigin}">`;
+			let output = `<div class="form-group" data-form-origin="${formOrigin}" data-field="${name}" ${hidden ? 'hidden' : ''}>`;
 			output += `<label for="${fieldId}">${translate(label || name)}</label>`;
 
 			switch (type) {
@@ -139,6 +157,18 @@ export class JSONFormRenderer {
 									output += `<label for="${radioId}">${translate(option.label)}</label>`;
 							});
 							break;
+					case 'computed':
+							output += `<input type="text" id="${fieldId}" name="${name}" value="${escapeAttribute(String(computeValue(field, this.formData, this.context)))}" readonly ${disabled}>`;
+							break;
+					case 'signature':
+							output += this.renderSignature(field, fieldId, value, requiredAttr, disabled);
+							break;
+					case 'file':
+							output += this.renderFile(field, fieldId, value, disabled);
+							break;
+					case 'repeat':
+							output += this.renderRepeat(field, fieldId, value, disabled);
+							break;
 					default:
 							output += `<input type="${type}" id="${fieldId}" name="${name}" value="${value}" ${requiredAttr} ${dependsOnAttr} ${disabled}>`;
 			}
@@ -151,7 +181,289 @@ export class JSONFormRenderer {
 			return output;
 	}
 
-	
+	/**
+	 * A typed full name stands for the signature; the time it was typed is
+	 * stamped next to it. Stored as `{ signed_by, signed_at }` in a hidden input.
+	 */
+	renderSignature(field, fieldId, value, requiredAttr, disabled) {
+		const signature = value && typeof value === 'object' ? value : {};
+		const stored = isEmptyValue(signature) ? '' : JSON.stringify(signature);
+		return `<input type="text" id="${fieldId}" data-signature-for="${field.name}" value="${escapeAttribute(signature.signed_by || '')}" placeholder="${translate('form_signature_placeholder')}" autocomplete="name" ${requiredAttr} ${disabled}>`
+			+ `<small class="signature-date">${this.formatSignedOn(signature.signed_at)}</small>`
+			+ `<input type="hidden" name="${field.name}" value="${escapeAttribute(stored)}" ${disabled}>`;
+	}
+
+	formatSignedOn(signedAt) {
+		const date = signedAt ? new Date(signedAt) : null;
+		if (!date || Number.isNaN(date.getTime())) {
+			return '';
+		}
+		return translate('form_signature_signed_on', { date: date.toLocaleDateString('en-CA') });
+	}
+
+	/**
+	 * A photo or PDF, uploaded as soon as it is picked. Only its metadata
+	 * (`{ key, name, type, size }`) is kept with the answers. Without an
+	 * uploader in the context (previews, read-only views) the picker stays
+	 * locked; with `openFile`, a button opens the stored file.
+	 */
+	renderFile(field, fieldId, value, disabled) {
+		const file = value && typeof value === 'object' ? value : {};
+		const stored = isEmptyValue(file) ? '' : JSON.stringify(file);
+		const locked = typeof this.context.uploadFile === 'function' ? disabled : 'disabled data-locked';
+		const openButton = typeof this.context.openFile === 'function'
+			? `<button type="button" class="btn btn-sm" data-file-open ${file.key ? '' : 'hidden'}>${translate('form_file_view')}</button>`
+			: '';
+		return `<input type="file" id="${fieldId}" data-file-for="${field.name}" accept="${FILE_FIELD_ACCEPT}" ${locked}>`
+			+ `<small class="file-status">${escapeHTML(file.name || '')}</small>`
+			+ openButton
+			+ `<input type="hidden" name="${field.name}" value="${escapeAttribute(stored)}" ${disabled}>`;
+	}
+
+	/**
+	 * Rows of sub-fields (medications, contacts). Stored as an array of
+	 * objects; a new form starts with one blank row, and blank rows are not kept.
+	 */
+	renderRepeat(field, fieldId, value, disabled) {
+		const saved = Array.isArray(value) ? value : [];
+		const rows = saved.length ? saved : [{}];
+		return `<div class="repeat-group" data-repeat-for="${field.name}" data-repeat-id="${fieldId}" data-next-row="${rows.length}">`
+			+ `<div class="repeat-rows">${rows.map((row, rowIndex) => this.renderRepeatRow(field, row, `${fieldId}-${rowIndex}`, disabled)).join('')}</div>`
+			+ `<button type="button" class="btn btn-sm" data-repeat-add ${disabled}>${translate('form_repeat_add_row')}</button>`
+			+ `<input type="hidden" name="${field.name}" value="${escapeAttribute(JSON.stringify(saved))}" ${disabled}>`
+			+ `</div>`;
+	}
+
+	renderRepeatRow(field, row, rowId, disabled) {
+		const cells = (field.fields || []).map((subField) => {
+			const cellId = `${rowId}-${subField.name}`;
+			const cellValue = row?.[subField.name] ?? '';
+			const attrs = `id="${cellId}" data-repeat-field="${escapeAttribute(subField.name)}" ${disabled}`;
+			let control;
+			switch (subField.type) {
+				case 'textarea':
+					control = `<textarea ${attrs}>${escapeHTML(String(cellValue))}</textarea>`;
+					break;
+				case 'select':
+					control = `<select ${attrs}><option value=""></option>${(subField.options || []).map((option) => (
+						`<option value="${escapeAttribute(String(option.value))}" ${String(cellValue) === String(option.value) ? 'selected' : ''}>${translate(option.label)}</option>`
+					)).join('')}</select>`;
+					break;
+				case 'checkbox':
+					control = `<input type="checkbox" value="1" ${valuesMatch(cellValue, 'yes') ? 'checked' : ''} ${attrs}>`;
+					break;
+				default: {
+					const inputType = REPEAT_SUBFIELD_TYPES.includes(subField.type) ? subField.type : 'text';
+					control = `<input type="${inputType}" value="${escapeAttribute(String(cellValue))}" ${attrs}>`;
+				}
+			}
+			return `<div class="repeat-cell"><label for="${cellId}">${translate(subField.label || subField.name)}</label>${control}</div>`;
+		});
+		return `<div class="repeat-row">${cells.join('')}`
+			+ `<button type="button" class="btn btn-sm" data-repeat-remove ${disabled}>${translate('form_repeat_remove_row')}</button></div>`;
+	}
+
+	/**
+	 * Make the rendered form live: re-evaluate `showIf` / `requiredIf` and
+	 * recompute computed fields on every edit, add and remove repeat rows,
+	 * stamp signatures and upload picked files. Call once per render, on the
+	 * element that holds the rendered fields.
+	 *
+	 * @param {HTMLElement} root - Form or fieldset holding the rendered fields
+	 */
+	attachConditionalLogic(root) {
+		if (!root) {
+			return;
+		}
+
+		const onEdit = (event) => {
+			if (event.target.dataset?.fileFor) {
+				if (event.type === 'change') {
+					this.uploadFileField(event.target).then(() => this.refreshConditionalLogic(root));
+				}
+				return;
+			}
+			this.syncStructuredField(event.target);
+			this.refreshConditionalLogic(root);
+		};
+		root.addEventListener('input', onEdit);
+		root.addEventListener('change', onEdit);
+		root.addEventListener('click', (event) => {
+			const openButton = event.target.closest?.('[data-file-open]');
+			if (openButton) {
+				const stored = openButton.closest('.form-group').querySelector('input[type="hidden"]').value;
+				if (stored) {
+					this.context.openFile(JSON.parse(stored));
+				}
+				return;
+			}
+			if (this.handleRepeatClick(event)) {
+				this.refreshConditionalLogic(root);
+			}
+		});
+
+		this.refreshConditionalLogic(root);
+	}
+
+	/**
+	 * Bring visibility, `required` and computed values in line with the
+	 * answers currently on screen.
+	 *
+	 * @param {HTMLElement} root - Form or fieldset holding the rendered fields
+	 */
+	refreshConditionalLogic(root) {
+		const data = this.collectValues(root);
+
+		(this.formStructure.fields || []).forEach((field) => {
+			if (!field.name) {
+				return;
+			}
+			const group = root.querySelector(`.form-group[data-field="${field.name}"]`);
+			if (!group) {
+				return;
+			}
+
+			if (field.showIf) {
+				const visible = isFieldVisible(field, data, this.context);
+				group.hidden = !visible;
+				group.querySelectorAll('input, select, textarea, button').forEach((control) => {
+					if (!control.hasAttribute('data-locked')) {
+						control.disabled = !visible;
+					}
+				});
+			}
+
+			if (field.type === 'computed') {
+				// Written back into `data` so a later computed field can read it
+				const computed = computeValue(field, data, this.context);
+				data[field.name] = computed;
+				const output = group.querySelector(`[name="${field.name}"]`);
+				if (output) {
+					output.value = computed;
+				}
+			} else if (!field.dependsOn && !field.multiple && (field.showIf || field.requiredIf)
+				&& !['file', 'repeat'].includes(field.type)) {
+				const required = isFieldRequired(field, data, this.context);
+				const selector = field.type === 'signature' ? '[data-signature-for]' : `[name="${field.name}"]`;
+				group.querySelectorAll(selector).forEach((control) => {
+					control.required = required;
+				});
+			}
+		});
+	}
+
+	/**
+	 * Answers currently on screen, read the way they will be submitted:
+	 * disabled (hidden) inputs are left out.
+	 *
+	 * @param {HTMLElement} root - Form or fieldset holding the rendered fields
+	 * @returns {Object}
+	 */
+	collectValues(root) {
+		const values = {};
+		root.querySelectorAll('input[name], select[name], textarea[name]').forEach((control) => {
+			if (control.disabled) {
+				return;
+			}
+			if (control.type === 'checkbox' || control.type === 'radio') {
+				if (!control.checked) {
+					return;
+				}
+				values[control.name] = control.type === 'checkbox' && values[control.name] !== undefined
+					? `${values[control.name]},${control.value}`
+					: control.value;
+				return;
+			}
+			values[control.name] = control.value;
+		});
+		return readStructuredValues(this.formStructure.fields, values);
+	}
+
+	/**
+	 * Copy an edited signature or repeat row into its field's hidden input.
+	 */
+	syncStructuredField(target) {
+		const signatureFor = target.dataset?.signatureFor;
+		if (signatureFor) {
+			const group = target.closest('.form-group');
+			const signedBy = target.value.trim();
+			const signature = signedBy ? { signed_by: signedBy, signed_at: new Date().toISOString() } : null;
+			group.querySelector(`input[type="hidden"][name="${signatureFor}"]`).value = signature ? JSON.stringify(signature) : '';
+			group.querySelector('.signature-date').textContent = signature ? this.formatSignedOn(signature.signed_at) : '';
+			return;
+		}
+
+		const repeatGroup = target.closest?.('[data-repeat-for]');
+		if (repeatGroup) {
+			this.syncRepeatGroup(repeatGroup);
+		}
+	}
+
+	syncRepeatGroup(group) {
+		const rows = [...group.querySelectorAll('.repeat-row')]
+			.map((row) => {
+				const values = {};
+				row.querySelectorAll('[data-repeat-field]').forEach((control) => {
+					values[control.dataset.repeatField] = control.type === 'checkbox'
+						? (control.checked ? '1' : '')
+						: control.value;
+				});
+				return values;
+			})
+			.filter((values) => !isEmptyValue(values));
+		group.querySelector(`input[type="hidden"][name="${group.dataset.repeatFor}"]`).value = JSON.stringify(rows);
+	}
+
+	/**
+	 * Add or remove a repeat row when one of its buttons was clicked.
+	 *
+	 * @returns {boolean} True when the click was a repeat button
+	 */
+	handleRepeatClick(event) {
+		const addButton = event.target.closest?.('[data-repeat-add]');
+		const removeButton = event.target.closest?.('[data-repeat-remove]');
+		if (!addButton && !removeButton) {
+			return false;
+		}
+
+		const group = (addButton || removeButton).closest('[data-repeat-for]');
+		if (addButton) {
+			const field = (this.formStructure.fields || []).find((candidate) => candidate.name === group.dataset.repeatFor);
+			const rowIndex = Number(group.dataset.nextRow) || 0;
+			group.dataset.nextRow = String(rowIndex + 1);
+			insertHTML(group.querySelector('.repeat-rows'), 'beforeend',
+				this.renderRepeatRow(field, {}, `${group.dataset.repeatId}-${rowIndex}`, ''));
+		} else {
+			removeButton.closest('.repeat-row').remove();
+		}
+		this.syncRepeatGroup(group);
+		return true;
+	}
+
+	/**
+	 * Upload the file just picked for a file field and keep its metadata. A
+	 * failed upload leaves the previous file in place.
+	 */
+	async uploadFileField(input) {
+		const file = input.files?.[0];
+		if (!file || typeof this.context.uploadFile !== 'function') {
+			return;
+		}
+
+		const group = input.closest('.form-group');
+		const status = group.querySelector('.file-status');
+		status.textContent = translate('form_file_uploading');
+		try {
+			const stored = await this.context.uploadFile(file);
+			group.querySelector(`input[type="hidden"][name="${input.dataset.fileFor}"]`).value = JSON.stringify(stored);
+			status.textContent = stored.name || file.name;
+			group.querySelector('[data-file-open]')?.removeAttribute('hidden');
+		} catch (error) {
+			debugError('Error uploading form attachment:', error);
+			status.textContent = translate('form_file_upload_failed');
+		}
+		input.value = '';
+	}
 
 	// Get the appropriate event type based on field type
 	getEventType(fieldType) {
@@ -219,6 +531,7 @@ export class JSONFormRenderer {
 			}
 		}
 
-		return result;
+		// Signatures, files and repeat rows travel as JSON in hidden inputs
+		return readStructuredValues(this.formStructure.fields, result);
 	}
 }
@@ -14,12 +14,37 @@ import {
         getCurrentOrganizationId,
         importSISC,
         clearUserCaches,
+        getAuditLog,
+        getJobs,
+        retryJob,
 } from "./ajax-functions.js";
 import { translate } from "./app.js";
 import { escapeHTML } from "./utils/SecurityUtils.js";
 import { setContent, clearElement, insertHTML } from "./utils/DOMUtils.js";
-import { canAccessAdminPanel, canCreateOrganization, canManageUsers, canSendCommunications, canViewUsers } from "./utils/PermissionUtils.js";
+import { canAccessAdminPanel, canCreateOrganization, canManageJobs, canManageUsers, canSendCommunications, canViewAuditLog, canViewUsers } from "./utils/PermissionUtils.js";
 import { getMountPoint, resolveMountOptions } from "./utils/PageMount.js";
+import { formatTimestamp } from "./utils/DateUtils.js";
+import { exportToCSV } from "./utils/ExportUtils.js";
+
+/** Entity types written by the server's audit trail (middleware/audit.js). */
+const AUDIT_ENTITY_TYPES = [
+        "participant",
+        "guardian",
+        "medication_requirement",
+        "medication_distribution",
+        "medication_reception",
+        "payment",
+        "role",
+        "role_permission",
+        "user_roles",
+];
+
+const AUDIT_PAGE_SIZE = 25;
+const AUDIT_EXPORT_LIMIT = 5000;
+
+/** Job statuses of the server's job queue (services/job-queue.js). */
+const JOB_STATUSES = ["pending", "running", "completed", "dead"];
+const JOBS_PAGE_SIZE = 25;
 
 export class Admin {
         constructor(app, options = {}) {
@@ -29,12 +54,20 @@ export class Admin {
                 this.subscribers = [];
                 this.roleCatalog = [];
                 this.currentOrganizationId = null;
+                this.auditEntries = [];
+                this.auditPagination = null;
+                this.auditFilters = {};
+                this.jobs = [];
+                this.jobsPagination = null;
+                this.jobsStatus = "dead";
                 this.permissions = {
                         canAccessAdmin: false,
                         canCreateOrg: false,
                         canManageUsers: false,
                         canViewUsers: false,
                         canSendCommunications: false,
+                        canViewAuditLog: false,
+                        canManageJobs: false,
                 };
         }
 
@@ -45,6 +78,8 @@ export class Admin {
                         canManageUsers: canManageUsers(),
                         canViewUsers: canViewUsers(),
                         canSendCommunications: canSendCommunications(),
+                        canViewAuditLog: canViewAuditLog(),
+                        canManageJobs: canManageJobs(),
                 };
 
                 if (!this.permissions.canAccessAdmin) {
@@ -68,6 +103,12 @@ export class Admin {
                 await this.fetchData(this.getDataFetchOptions());
                 this.render();
                 this.initEventListeners();
+                if (this.permissions.canViewAuditLog) {
+                        await this.loadAuditLog();
+                }
+                if (this.permissions.canManageJobs) {
+                        await this.loadJobs();
+                }
         }
 
         async fetchData(options = {}) {
@@ -153,7 +194,7 @@ export class Admin {
 
         getDataFetchOptions() {
                 return {
-                        loadUsers: this.permissions.canManageUsers || this.permissions.canViewUsers,
+                        loadUsers: this.permissions.canManageUsers || this.permissions.canViewUsers || this.permissions.canViewAuditLog,
                         loadSubscribers: this.permissions.canSendCommunications,
                         userCacheOptions: {},
                 };
@@ -226,6 +267,10 @@ ${showNotifications ? `
                         </table>
                         ` : ""}
 
+                        ${this.permissions.canViewAuditLog ? this.renderAuditLogSection() : ""}
+
+                        ${this.permissions.canManageJobs ? this.renderJobsSection() : ""}
+
                         ${this.embedded ? "" : `<a href="/dashboard">${translate("back_to_dashboard")}</a>`}
                 `;
                 setContent(getMountPoint(this), content);
@@ -426,6 +471,334 @@ ${showNotifications ? `
                         this.initNotificationForm();
                 }
                 this.initImportHandlers();
+                if (this.permissions.canViewAuditLog) {
+                        this.initAuditLogHandlers();
+                }
+                if (this.permissions.canManageJobs) {
+                        this.initJobsHandlers();
+                }
+        }
+
+        renderAuditLogSection() {
+                const userOptions = this.normalizeUserList(this.users)
+                        .map((user) => `<option value="${escapeHTML(String(user.id))}">${escapeHTML(user.full_name || user.fullName || user.email || "")}</option>`)
+                        .join("");
+                const entityOptions = AUDIT_ENTITY_TYPES
+                        .map((type) => `<option value="${type}">${escapeHTML(translate(`audit_entity_${type}`))}</option>`)
+                        .join("");
+
+                return `
+                        <h2>${translate("audit_log")}</h2>
+                        <form id="audit-log-filters" class="audit-log-filters">
+                                <label for="audit-user">${translate("audit_filter_user")}</label>
+                                <select id="audit-user" name="user_id">
+                                        <option value="">${translate("audit_all_users")}</option>
+                                        ${userOptions}
+                                </select>
+
+                                <label for="audit-entity-type">${translate("audit_filter_entity")}</label>
+                                <select id="audit-entity-type" name="entity_type">
+                                        <option value="">${translate("audit_all_entities")}</option>
+                                        ${entityOptions}
+                                </select>
+
+                                <label for="audit-entity-id">${translate("audit_filter_entity_id")}</label>
+                                <input type="text" id="audit-entity-id" name="entity_id">
+
+                                <label for="audit-from">${translate("date_from")}</label>
+                                <input type="date" id="audit-from" name="from">
+
+                                <label for="audit-to">${translate("date_to")}</label>
+                                <input type="date" id="audit-to" name="to">
+
+                                <button type="submit">${translate("search")}</button>
+                                <button type="button" id="audit-export-btn" class="secondary-button">${translate("export_csv")}</button>
+                        </form>
+                        <div id="audit-log-results">
+                                ${this.renderAuditLogResults()}
+                        </div>
+                `;
+        }
+
+        renderAuditLogResults() {
+                if (!this.auditEntries.length) {
+                        return `<p>${translate("audit_no_entries")}</p>`;
+                }
+
+                const rows = this.auditEntries
+                        .map((entry) => `
+                        <tr>
+                                <td>${escapeHTML(formatTimestamp(entry.created_at, this.app.lang || "en"))}</td>
+                                <td>${escapeHTML(this.getAuditActorLabel(entry))}</td>
+                                <td>${escapeHTML(translate(`audit_action_${entry.action}`))}</td>
+                                <td>${escapeHTML(translate(`audit_entity_${entry.entity_type}`))} #${escapeHTML(entry.entity_id || "")}</td>
+                                <td class="audit-changes">${this.renderAuditChanges(entry)}</td>
+                        </tr>`)
+                        .join("");
+
+                const { page = 1, totalPages = 1, hasPrev = false, hasNext = false } = this.auditPagination || {};
+
+                return `
+                        <table>
+                                <thead>
+                                        <tr>
+                                                <th>${translate("date")}</th>
+                                                <th>${translate("audit_filter_user")}</th>
+                                                <th>${translate("action")}</th>
+                                                <th>${translate("audit_filter_entity")}</th>
+                                                <th>${translate("audit_changes")}</th>
+                                        </tr>
+                                </thead>
+                                <tbody>${rows}</tbody>
+                        </table>
+                        <div class="audit-log-pagination">
+                                <button type="button" class="audit-page-btn secondary-button" data-page="${page - 1}" ${hasPrev ? "" : "disabled"}>${translate("previous")}</button>
+                                <span>${escapeHTML(translate("audit_page_x_of_y").replace("{page}", page).replace("{total}", totalPages))}</span>
+                                <button type="button" class="audit-page-btn secondary-button" data-page="${page + 1}" ${hasNext ? "" : "disabled"}>${translate("next")}</button>
+                        </div>
+                `;
+        }
+
+        getAuditActorLabel(entry) {
+                return entry.user_name || entry.user_email || translate("audit_unknown_user");
+        }
+
+        /**
+         * List changed fields as "field: before → after".
+         * @param {object} entry - Audit entry with before_data/after_data
+         * @returns {string} HTML
+         */
+        renderAuditChanges(entry) {
+                const before = entry.before_data || {};
+                const after = entry.after_data || {};
+                const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+                if (!fields.length) {
+                        return "";
+                }
+
+                const formatValue = (value) => (value === null || value === undefined
+                        ? "∅"
+                        : typeof value === "object" ? JSON.stringify(value) : String(value));
+
+                return `<ul>${fields
+                        .map((field) => {
+                                const change = entry.action === "create"
+                                        ? formatValue(after[field])
+                                        : entry.action === "delete"
+                                                ? formatValue(before[field])
+                                                : `${formatValue(before[field])} → ${formatValue(after[field])}`;
+                                return `<li><strong>${escapeHTML(field)}</strong>: ${escapeHTML(change)}</li>`;
+                        })
+                        .join("")}</ul>`;
+        }
+
+        readAuditFilters() {
+                const form = document.getElementById("audit-log-filters");
+                if (!form) {
+                        return {};
+                }
+                const data = new FormData(form);
+                return {
+                        user_id: data.get("user_id"),
+                        entity_type: data.get("entity_type"),
+                        entity_id: String(data.get("entity_id") || "").trim(),
+                        from: data.get("from"),
+                        to: data.get("to"),
+                };
+        }
+
+        async loadAuditLog(page = 1) {
+                const container = document.getElementById("audit-log-results");
+                if (!container) {
+                        return;
+                }
+                setContent(container, `<p>${translate("loading")}</p>`);
+
+                try {
+                        const result = await getAuditLog({
+                                ...this.auditFilters,
+                                page,
+                                limit: AUDIT_PAGE_SIZE,
+                        });
+                        this.auditEntries = Array.isArray(result?.data) ? result.data : [];
+                        this.auditPagination = result?.pagination || null;
+                } catch (error) {
+                        debugError("Error loading audit log:", error);
+                        this.auditEntries = [];
+                        this.auditPagination = null;
+                        setContent(container, `<p class="error-message">${translate("error_loading_data")}</p>`);
+                        return;
+                }
+
+                setContent(container, this.renderAuditLogResults());
+        }
+
+        async exportAuditLog() {
+                try {
+                        const result = await getAuditLog({
+                                ...this.auditFilters,
+                                limit: AUDIT_EXPORT_LIMIT,
+                        });
+                        const entries = Array.isArray(result?.data) ? result.data : [];
+                        if (!entries.length) {
+                                this.app.showMessage(translate("no_data_to_export"), "warning");
+                                return;
+                        }
+
+                        const columns = [
+                                { key: "created_at", label: translate("date") },
+                                { key: "user_name", label: translate("audit_filter_user"), format: (value, entry) => this.getAuditActorLabel(entry) },
+                                { key: "action", label: translate("action") },
+                                { key: "entity_type", label: translate("audit_filter_entity") },
+                                { key: "entity_id", label: translate("audit_filter_entity_id") },
+                                { key: "before_data", label: translate("audit_before"), format: (value) => (value ? JSON.stringify(value) : "") },
+                                { key: "after_data", label: translate("audit_after"), format: (value) => (value ? JSON.stringify(value) : "") },
+                                { key: "ip_address", label: translate("audit_ip_address") },
+                        ];
+                        exportToCSV(entries, columns, `audit_log_${new Date().toISOString().slice(0, 10)}`);
+                } catch (error) {
+                        debugError("Error exporting audit log:", error);
+                        this.app.showMessage(translate("error_loading_data"), "error");
+                }
+        }
+
+        initAuditLogHandlers() {
+                document.getElementById("audit-log-filters")?.addEventListener("submit", async (event) => {
+                        event.preventDefault();
+                        this.auditFilters = this.readAuditFilters();
+                        await this.loadAuditLog(1);
+                });
+
+                document.getElementById("audit-export-btn")?.addEventListener("click", () => this.exportAuditLog());
+
+                document.getElementById("audit-log-results")?.addEventListener("click", async (event) => {
+                        const button = event.target.closest(".audit-page-btn");
+                        if (button && !button.disabled) {
+                                await this.loadAuditLog(Number(button.dataset.page) || 1);
+                        }
+                });
+        }
+
+        renderJobsSection() {
+                const statusOptions = JOB_STATUSES
+                        .map((status) => `<option value="${status}" ${status === this.jobsStatus ? "selected" : ""}>${escapeHTML(translate(`jobs_status_${status}`))}</option>`)
+                        .join("");
+
+                return `
+                        <h2>${translate("jobs_title")}</h2>
+                        <p>${translate("jobs_description")}</p>
+                        <form id="jobs-filters" class="audit-log-filters">
+                                <label for="jobs-status">${translate("status")}</label>
+                                <select id="jobs-status" name="status">
+                                        <option value="" ${this.jobsStatus ? "" : "selected"}>${translate("jobs_all_statuses")}</option>
+                                        ${statusOptions}
+                                </select>
+                                <button type="submit">${translate("search")}</button>
+                        </form>
+                        <div id="jobs-results">
+                                ${this.renderJobsResults()}
+                        </div>
+                `;
+        }
+
+        renderJobsResults() {
+                if (!this.jobs.length) {
+                        return `<p>${translate("jobs_none")}</p>`;
+                }
+
+                const lang = this.app.lang || "en";
+                const rows = this.jobs
+                        .map((job) => `
+                        <tr>
+                                <td>${escapeHTML(translate(`jobs_type_${job.type.replace(/\./g, "_")}`))}</td>
+                                <td>${escapeHTML(translate(`jobs_status_${job.status}`))}</td>
+                                <td>${escapeHTML(`${job.attempts}/${job.max_attempts}`)}</td>
+                                <td>${escapeHTML(formatTimestamp(job.status === "completed" ? job.completed_at : job.run_at, lang))}</td>
+                                <td class="audit-changes">${job.last_error ? `<pre>${escapeHTML(job.last_error.split("\n")[0])}</pre>` : ""}</td>
+                                <td>${job.status === "dead" || job.status === "pending"
+                                        ? `<button type="button" class="retry-job-btn secondary-button" data-job-id="${escapeHTML(String(job.id))}">${translate(job.status === "dead" ? "jobs_retry" : "jobs_run_now")}</button>`
+                                        : ""}</td>
+                        </tr>`)
+                        .join("");
+
+                const { page = 1, totalPages = 1, hasPrev = false, hasNext = false } = this.jobsPagination || {};
+
+                return `
+                        <table>
+                                <thead>
+                                        <tr>
+                                                <th>${translate("jobs_type")}</th>
+                                                <th>${translate("status")}</th>
+                                                <th>${translate("jobs_attempts")}</th>
+                                                <th>${translate("jobs_when")}</th>
+                                                <th>${translate("jobs_last_error")}</th>
+                                                <th>${translate("actions")}</th>
+                                        </tr>
+                                </thead>
+                                <tbody>${rows}</tbody>
+                        </table>
+                        <div class="audit-log-pagination">
+                                <button type="button" class="jobs-page-btn secondary-button" data-page="${page - 1}" ${hasPrev ? "" : "disabled"}>${translate("previous")}</button>
+                                <span>${escapeHTML(translate("audit_page_x_of_y").replace("{page}", page).replace("{total}", totalPages))}</span>
+                                <button type="button" class="jobs-page-btn secondary-button" data-page="${page + 1}" ${hasNext ? "" : "disabled"}>${translate("next")}</button>
+                        </div>
+                `;
+        }
+
+        async loadJobs(page = 1) {
+                const container = document.getElementById("jobs-results");
+                if (!container) {
+                        return;
+                }
+                setContent(container, `<p>${translate("loading")}</p>`);
+
+                try {
+                        const result = await getJobs({
+                                status: this.jobsStatus,
+                                page,
+                                limit: JOBS_PAGE_SIZE,
+                        });
+                        this.jobs = Array.isArray(result?.data) ? result.data : [];
+                        this.jobsPagination = result?.pagination || null;
+                } catch (error) {
+                        debugError("Error loading background jobs:", error);
+                        this.jobs = [];
+                        this.jobsPagination = null;
+                        setContent(container, `<p class="error-message">${translate("error_loading_data")}</p>`);
+                        return;
+                }
+
+                setContent(container, this.renderJobsResults());
+        }
+
+        initJobsHandlers() {
+                document.getElementById("jobs-filters")?.addEventListener("submit", async (event) => {
+                        event.preventDefault();
+                        this.jobsStatus = new FormData(event.target).get("status") || "";
+                        await this.loadJobs(1);
+                });
+
+                document.getElementById("jobs-results")?.addEventListener("click", async (event) => {
+                        const pageButton = event.target.closest(".jobs-page-btn");
+                        if (pageButton && !pageButton.disabled) {
+                                await this.loadJobs(Number(pageButton.dataset.page) || 1);
+                                return;
+                        }
+
+                        const retryButton = event.target.closest(".retry-job-btn");
+                        if (retryButton) {
+                                retryButton.disabled = true;
+                                try {
+                                        await retryJob(retryButton.dataset.jobId);
+                                        this.app.showMessage(translate("jobs_retry_queued"), "success");
+                                        await this.loadJobs(this.jobsPagination?.page || 1);
+                                } catch (error) {
+                                        debugError("Error retrying background job:", error);
+                                        this.app.showMessage(translate("jobs_retry_error"), "error");
+                                        retryButton.disabled = false;
+                                }
+                        }
+                });
         }
 
         showRoleModal(userId) {
@@ -11,6 +11,7 @@ import { CONFIG } from "./config.js";
 import { debugError } from "./utils/DebugUtils.js";
 import { getAuthHeader, getCurrentOrganizationId } from "./api/api-helpers.js";
 import { handleResponse, makeApiRequest } from "./api/api-core.js";
+import { fetchWithSession } from "./api/api-session.js";
 
 // Re-export core API functionality
 export {
@@ -82,14 +83,13 @@ export async function ajax({ url, method = 'GET', body = null, headers = {} }) {
         debugError('ajax URL parse failed, using fetch fallback:', error);
     }
 
-    // Fallback: use fetch directly for non-standard URLs while keeping auth
-    // headers consistent with the new API helpers.
+    // Fallback for non-standard URLs; fetchWithSession adds the auth headers
+    // and the token refresh the new API helpers use.
     const requestConfig = {
         method,
         headers: {
             'Content-Type': 'application/json',
             'Accept': 'application/json',
-            ...getAuthHeader(),
             ...headers
         }
     };
@@ -98,7 +98,7 @@ export async function ajax({ url, method = 'GET', body = null, headers = {} }) {
         requestConfig.body = typeof body === 'string' ? body : JSON.stringify(body);
     }
 
-    const response = await fetch(url, requestConfig);
+    const response = await fetchWithSession(url, requestConfig);
     return handleResponse(response);
 }
 
@@ -116,6 +116,7 @@ export {
     // Authentication & Users
     login,
     verify2FA,
+    requestEmail2FACode,
     register,
     verifyEmail,
     requestPasswordReset,
@@ -125,10 +126,25 @@ export {
     getUsers,
     getRoleCatalog,
     getRoleBundles,
+    createRoleBundle,
+    updateRoleBundle,
+    deleteRoleBundle,
     getRolePermissions,
     getUserOrganizations,
     getUserRoleAssignments,
     getRoleAuditLog,
+    getAuditLog,
+    getJobs,
+    retryJob,
+    getEmailTemplates,
+    saveEmailTemplate,
+    resetEmailTemplate,
+    previewEmailTemplate,
+    getWhatsAppInbox,
+    getWhatsAppConversation,
+    markWhatsAppConversationRead,
+    replyToWhatsAppConversation,
+    updateBranding,
     updateUserRolesV1,
     updateUserRoleBundles,
     getPendingUsers,
@@ -182,12 +198,23 @@ export {
     getParticipantPayments,
     createParticipantPayment,
     updatePayment,
+    refundPayment,
     getPaymentPlans,
     createPaymentPlan,
     updatePaymentPlan,
     deletePaymentPlan,
     getFinanceReport,
+    getPaymentReminderSettings,
+    updatePaymentReminderSettings,
     getParticipantStatement,
+    getFamilyStatementPdf,
+    getTaxReceipts,
+    getTaxReceiptPreview,
+    issueTaxReceipts,
+    emailTaxReceipts,
+    getTaxReceiptPdf,
+    getReceiptSettings,
+    updateReceiptSettings,
 
     // Groups
     getGroups,
@@ -207,6 +234,8 @@ export {
     getFormSubmissions,
     saveFormSubmission,
     getOrganizationFormFormats,
+    uploadFormAttachment,
+    getFormAttachmentUrl,
     fetchFicheSante,
     saveFicheSante,
     fetchAcceptationRisque,
@@ -241,6 +270,9 @@ export {
     updateAttendance,
     getAttendanceDates,
     getAttendanceReport,
+    getAuthorizedPickups,
+    updateAttendanceTimes,
+    getNotPickedUp,
     saveGuest,
     getGuests as getGuestsByDate,
 
@@ -292,6 +324,7 @@ export {
     getAnnouncements,
     createAnnouncement,
     getReports,
+    exportReport,
 
     // Organization
     getApiOrganizationId,
@@ -82,6 +82,30 @@ export async function removeAssignment(assignmentId) {
   await clearCarpoolRelatedCaches();
 }
 
+/**
+ * Move a participant to another ride of the same activity
+ * @param {number} assignmentId - Assignment ID
+ * @param {number} offerId - Offer to move to
+ * @returns {Promise<Object>} Updated assignment
+ */
+export async function moveAssignment(assignmentId, offerId) {
+  const response = await API.put(`v1/carpools/assignments/${assignmentId}`, { carpool_offer_id: offerId });
+  // Invalidate all carpool caches to ensure fresh data
+  await clearCarpoolRelatedCaches();
+  return response.data;
+}
+
+/**
+ * Confirm the current user is still driving for their offer
+ * @param {number} offerId - Offer ID
+ * @returns {Promise<Object>} Updated offer
+ */
+export async function confirmCarpoolOffer(offerId) {
+  const response = await API.post(`v1/carpools/offers/${offerId}/confirm`);
+  await clearCarpoolRelatedCaches();
+  return response.data;
+}
+
 /**
  * Get carpool assignments for current user's children
  * @returns {Promise<Array>} List of assignments
@@ -100,3 +124,27 @@ export async function getUnassignedParticipants(activityId) {
   const response = await API.get(`v1/carpools/activity/${activityId}/unassigned`);
   return response.data || [];
 }
+
+/**
+ * Propose carpool assignments for participants still needing a ride (staff only).
+ * Nothing is saved until the proposal is accepted.
+ * @param {number} activityId - Activity ID
+ * @param {Object} [options] - { group_by_postal_code, participant_ids, trip_directions }
+ * @returns {Promise<Object>} { assignments, unplaced, split_families, offers }
+ */
+export async function previewAutoAssign(activityId, options = {}) {
+  const response = await API.post(`v1/carpools/activity/${activityId}/auto-assign/preview`, options);
+  return response.data;
+}
+
+/**
+ * Save an accepted (possibly edited) auto-assign proposal (staff only)
+ * @param {number} activityId - Activity ID
+ * @param {Array<Object>} assignments - [{ carpool_offer_id, participant_id, trip_direction }]
+ * @returns {Promise<Array>} Created assignments
+ */
+export async function acceptAutoAssign(activityId, assignments) {
+  const response = await API.post(`v1/carpools/activity/${activityId}/auto-assign`, { assignments });
+  await clearCarpoolRelatedCaches(activityId);
+  return response.data;
+}
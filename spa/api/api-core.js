@@ -10,6 +10,7 @@ import { CONFIG } from "../config.js";
 import { debugLog, debugError, debugWarn } from "../utils/DebugUtils.js";
 import { getCurrentOrganizationId, getAuthHeader } from "./api-helpers.js";
 import { PerformanceMonitor } from "../utils/PerformanceUtils.js";
+import { ensureFreshAccessToken, fetchWithSession } from "./api-session.js";
 import {
     buildApiCacheKey,
     buildScopedCacheKey,
@@ -216,6 +217,10 @@ export async function makeApiRequest(endpoint, options = {}) {
         throw archiveError;
     }
 
+    if (!offlineManager.isOffline && navigator.onLine !== false) {
+        await ensureFreshAccessToken();
+    }
+
     const isFormData = body instanceof FormData;
     const requestConfig = {
         method,
@@ -272,7 +277,7 @@ export async function makeApiRequest(endpoint, options = {}) {
                 hasBody: Boolean(requestConfig.body)
             });
 
-            const response = await fetch(url, requestConfig);
+            const response = await fetchWithSession(url, requestConfig);
             const result = await handleResponse(response);
 
             // Log API call performance
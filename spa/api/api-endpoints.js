@@ -3,7 +3,7 @@
 import { API, makeApiRequestWithCache } from "./api-core.js";
 import { debugLog, debugError, debugWarn, debugInfo } from "../utils/DebugUtils.js";
 import { CONFIG } from "../config.js";
-import { fetchPublic, getCurrentOrganizationId, getAuthHeader } from "./api-helpers.js";
+import { fetchPublic, getCurrentOrganizationId } from "./api-helpers.js";
 import { handleResponse } from "./api-core.js";
 import {
     clearGroupRelatedCaches,
@@ -17,6 +17,7 @@ import {
     deleteCachedData
 } from "../indexedDB.js";
 import { buildApiCacheKey } from "../utils/OfflineCacheKeys.js";
+import { fetchWithSession, getRefreshToken, refreshAccessToken } from "./api-session.js";
 
 async function invalidateMedicationCaches(extraKeys = []) {
     try {
@@ -179,9 +180,14 @@ export async function login(email, password, organization_id) {
 }
 
 /**
- * Verify 2FA code and complete login
+ * Verify a second factor and complete login
+ * @param {string} email - Email of the pending login
+ * @param {string|null} code - Emailed, authenticator or recovery code
+ * @param {number} [organization_id] - Organization logged into
+ * @param {Object} [factor] - `method`, `two_factor_token` and `passkey_response`
+ *   from the login step; defaults to the emailed code
  */
-export async function verify2FA(email, code, organization_id) {
+export async function verify2FA(email, code, organization_id, factor = {}) {
     try {
         let orgId = organization_id || getCurrentOrganizationId();
 
@@ -202,7 +208,8 @@ export async function verify2FA(email, code, organization_id) {
 
         const requestBody = {
             email: email,
-            code: code
+            code: code,
+            ...factor
         };
 
         debugLog('Sending 2FA verification request...', email);
@@ -240,6 +247,21 @@ export async function verify2FA(email, code, organization_id) {
     }
 }
 
+/**
+ * Email a verification code for a login waiting on its second factor
+ * @param {string} twoFactorToken - Token from the login response
+ */
+export async function requestEmail2FACode(twoFactorToken) {
+    const url = new URL('/public/2fa/email-code', CONFIG.API_BASE_URL);
+    const response = await fetch(url.toString(), {
+        method: "POST",
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ two_factor_token: twoFactorToken })
+    });
+    const data = await response.json().catch(() => ({}));
+    return response.ok ? data : { success: false, status: response.status, message: data?.message };
+}
+
 /**
  * Register new user (uses public endpoint)
  */
@@ -284,7 +306,7 @@ export async function resetPassword(token, newPassword) {
  * Refresh JWT token
  */
 export async function refreshToken() {
-    return API.post('refresh-token');
+    return refreshAccessToken();
 }
 
 /**
@@ -298,7 +320,7 @@ export async function verifySession() {
  * Logout user
  */
 export async function logout() {
-    const result = await API.post('auth/logout');
+    const result = await API.post('auth/logout', { refresh_token: getRefreshToken() || undefined });
 
     // Clear user-specific data but keep organization JWT
     localStorage.removeItem("userId");
@@ -306,6 +328,113 @@ export async function logout() {
     return result;
 }
 
+/**
+ * Active sign-in sessions of the current user and the devices trusted for 2FA
+ * @returns {Promise<{sessions: Array<Object>, trusted_devices: Array<Object>}>}
+ */
+export async function getAuthSessions() {
+    const response = await API.getNoCache('v1/auth/sessions');
+    return response.data || { sessions: [], trusted_devices: [] };
+}
+
+/**
+ * Sign out one session
+ * @param {string} sessionId - Session ID
+ */
+export async function revokeAuthSession(sessionId) {
+    return API.delete(`v1/auth/sessions/${encodeURIComponent(sessionId)}`);
+}
+
+/**
+ * Sign out every session except the current one
+ */
+export async function revokeOtherAuthSessions() {
+    return API.delete('v1/auth/sessions');
+}
+
+/**
+ * Stop trusting a device for 2FA; its sessions are signed out too
+ * @param {string} deviceId - Trusted device ID
+ */
+export async function revokeTrustedDevice(deviceId) {
+    return API.delete(`v1/auth/trusted-devices/${encodeURIComponent(deviceId)}`);
+}
+
+/**
+ * Second factors enrolled by the current user
+ * @returns {Promise<Object>} Preferred method, authenticator state, passkeys, recovery codes left
+ */
+export async function getTwoFactorStatus() {
+    const response = await API.getNoCache('v1/users/me/two-factor');
+    return response.data;
+}
+
+/**
+ * Start authenticator app enrollment
+ * @returns {Promise<Object>} Response with `secret`, `otpauth_url` and `qr_code`
+ */
+export async function startTotpEnrollment() {
+    return API.post('v1/users/me/two-factor/totp');
+}
+
+/**
+ * Confirm authenticator app enrollment with a code from the app
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object>} Response with `recovery_codes` on first enrollment
+ */
+export async function confirmTotpEnrollment(code) {
+    return API.post('v1/users/me/two-factor/totp/confirm', { code });
+}
+
+/**
+ * Remove the authenticator app
+ * @param {string} currentPassword - Account password, asked again
+ */
+export async function disableTotp(currentPassword) {
+    return API.delete('v1/users/me/two-factor/totp', {}, { currentPassword });
+}
+
+/**
+ * Replace recovery codes; the previous ones stop working
+ * @param {string} currentPassword - Account password, asked again
+ */
+export async function regenerateRecoveryCodes(currentPassword) {
+    return API.post('v1/users/me/two-factor/recovery-codes', { currentPassword });
+}
+
+/**
+ * Options for registering a passkey on this domain
+ */
+export async function getPasskeyRegistrationOptions() {
+    return API.post('v1/users/me/two-factor/passkeys/options');
+}
+
+/**
+ * Store a passkey created by the browser
+ * @param {Object} response - Serialized navigator.credentials.create() result
+ */
+export async function registerPasskey(response) {
+    return API.post('v1/users/me/two-factor/passkeys', { response });
+}
+
+/**
+ * Remove a passkey
+ * @param {string} passkeyId - Passkey ID
+ * @param {string} currentPassword - Account password, asked again
+ */
+export async function removePasskey(passkeyId, currentPassword) {
+    return API.delete(`v1/users/me/two-factor/passkeys/${encodeURIComponent(passkeyId)}`, {}, { currentPassword });
+}
+
+/**
+ * Choose the factor offered first at login
+ * @param {string} method - email, totp or passkey
+ * @param {string} currentPassword - Account password, asked again
+ */
+export async function setPreferredTwoFactorMethod(method, currentPassword) {
+    return API.patch('v1/users/me/two-factor/preferred', { method, currentPassword });
+}
+
 /**
  * Create new organization
  */
@@ -361,9 +490,8 @@ export async function uploadEquipmentPhoto(equipmentId, file) {
     formData.append('photo', file);
 
     const url = new URL(`/api/v1/resources/equipment/${equipmentId}/photo`, CONFIG.API_BASE_URL);
-    const response = await fetch(url.toString(), {
+    const response = await fetchWithSession(url.toString(), {
         method: 'POST',
-        headers: getAuthHeader(),
         body: formData
     });
 
@@ -566,7 +694,9 @@ export async function getRoleCatalog(options = {}) {
 }
 
 /**
- * Retrieve role bundles (metadata-first) with graceful fallback to role catalog.
+ * Retrieve the assignable roles and the organization's role bundles.
+ * Falls back to the role catalog (with no bundles) when the endpoint is unavailable.
+ * @returns {Promise<Object>} `data` is `{ roles, bundles }`
  */
 export async function getRoleBundles(options = {}) {
     const { forceRefresh = false, organizationId } = options || {};
@@ -581,10 +711,36 @@ export async function getRoleBundles(options = {}) {
         });
     } catch (error) {
         debugWarn('v1/roles/bundles unavailable, falling back to catalog', error);
-        return getRoleCatalog({ forceRefresh, organizationId });
+        const catalog = await getRoleCatalog({ forceRefresh, organizationId });
+        return { ...catalog, data: { roles: catalog?.data || [], bundles: [] } };
     }
 }
 
+/**
+ * Create a role bundle
+ * @param {Object} bundle - name, description, role_ids
+ */
+export async function createRoleBundle(bundle) {
+    return API.post('v1/roles/bundles', bundle);
+}
+
+/**
+ * Update a role bundle
+ * @param {number} bundleId - Bundle ID
+ * @param {Object} bundle - name, description, role_ids
+ */
+export async function updateRoleBundle(bundleId, bundle) {
+    return API.put(`v1/roles/bundles/${bundleId}`, bundle);
+}
+
+/**
+ * Delete a role bundle; members keep the roles it gave them
+ * @param {number} bundleId - Bundle ID
+ */
+export async function deleteRoleBundle(bundleId) {
+    return API.delete(`v1/roles/bundles/${bundleId}`);
+}
+
 /**
  * Get a user's assigned roles within the current organization
  */
@@ -618,21 +774,21 @@ export async function updateUserRolesV1(userId, roleIds, metadata = {}) {
 }
 
 /**
- * Update a user's role bundles using the dedicated v1 endpoint, with role assignment fallback.
+ * Update a user's roles from role bundles plus extra roles, using the dedicated
+ * v1 endpoint with role assignment fallback.
+ * @param {string} userId - User ID
+ * @param {Object} bundlePayload - bundleIds (role bundle ids), roleIds, audit_note, bundles (labels)
+ * @param {Object} metadata - organizationId, and the same fields as fallbacks
  */
 export async function updateUserRoleBundles(userId, bundlePayload = {}, metadata = {}) {
     const params = metadata.organizationId ? { organization_id: metadata.organizationId } : {};
     const bundleNames = bundlePayload.bundles || metadata.bundles || [];
     const payload = {
-        bundleIds: bundlePayload.bundleIds || bundleNames || [],
+        bundleIds: bundlePayload.bundleIds || [],
         roleIds: bundlePayload.roleIds || metadata.roleIds || [],
         audit_note: bundlePayload.audit_note || metadata.audit_note || metadata.auditNote,
     };
 
-    if (bundlePayload.bundles && !payload.bundleIds.length) {
-        payload.bundleIds = bundlePayload.bundles;
-    }
-
     try {
         return await API.put(`v1/users/${userId}/role-bundles`, payload, params);
     } catch (error) {
@@ -641,7 +797,7 @@ export async function updateUserRoleBundles(userId, bundlePayload = {}, metadata
             return updateUserRolesV1(userId, payload.roleIds, {
                 ...metadata,
                 audit_note: payload.audit_note,
-                bundles: bundleNames.length ? bundleNames : payload.bundleIds
+                bundles: bundleNames
             });
         }
         throw error;
@@ -672,6 +828,38 @@ export async function getRoleAuditLog(userId, options = {}) {
     }
 }
 
+/**
+ * Search the organization audit trail
+ * @param {Object} filters - user_id, entity_type, entity_id, action, from, to, page, limit
+ * @returns {Promise<Object>} Entries in `data`, paging in `pagination`
+ */
+export async function getAuditLog(filters = {}) {
+    const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return API.getNoCache('v1/audit', params);
+}
+
+/**
+ * List background jobs
+ * @param {Object} filters - status, type, page, limit
+ * @returns {Promise<Object>} Jobs in `data`, paging in `pagination`
+ */
+export async function getJobs(filters = {}) {
+    const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return API.getNoCache('v1/jobs', params);
+}
+
+/**
+ * Put a dead (or backing off) background job back in the queue now
+ * @param {number} jobId - Job ID
+ */
+export async function retryJob(jobId) {
+    return API.post(`v1/jobs/${jobId}/retry`);
+}
+
 /**
  * Get pending users awaiting approval
  */
@@ -1334,6 +1522,42 @@ export async function getOrganizationFormFormats(organizationId = null, context
     return formFormats;
 }
 
+/**
+ * Upload the file picked for a form's file field. Sent as multipart, so it
+ * bypasses the JSON helpers like uploadEquipmentPhoto.
+ *
+ * @param {File} file - Photo or PDF
+ * @param {number} participantId - Participant the form is about
+ * @param {string} formType - Form type the field belongs to
+ * @returns {Promise<{key: string, name: string, type: string, size: number}>} What the answer keeps
+ */
+export async function uploadFormAttachment(file, participantId, formType) {
+    const formData = new FormData();
+    formData.append('participant_id', participantId);
+    formData.append('form_type', formType);
+    formData.append('file', file);
+
+    const url = new URL('/api/v1/forms/attachments', CONFIG.API_BASE_URL);
+    const response = await fetchWithSession(url.toString(), {
+        method: 'POST',
+        body: formData
+    });
+    const result = await handleResponse(response);
+    return result.data;
+}
+
+/**
+ * Short-lived link to a form attachment.
+ *
+ * @param {string} key - Stored key from the file field's answer
+ * @param {number} participantId - Participant the form is about
+ * @returns {Promise<string|null>} Signed URL
+ */
+export async function getFormAttachmentUrl(key, participantId) {
+    const response = await API.getNoCache('v1/forms/attachments/url', { key, participant_id: participantId });
+    return response.data?.url || null;
+}
+
 /**
  * Get health form (fiche santé)
  */
@@ -1706,6 +1930,31 @@ export async function updateAttendance(participantId, status, date, previousStat
     return result;
 }
 
+/**
+ * Guardians who may pick a participant up, and the leave-alone permission
+ */
+export async function getAuthorizedPickups(participantId) {
+    return API.getNoCache('v1/attendance/authorized-pickups', { participant_id: participantId });
+}
+
+/**
+ * Record arrival/departure times and who dropped off or picked up a child.
+ * Answers 409 unauthorized_pickup for an adult not on the list unless
+ * acknowledge_unauthorized is set.
+ */
+export async function updateAttendanceTimes(payload) {
+    const result = await API.put('v1/attendance/times', payload);
+    await clearAttendanceRelatedCaches();
+    return result;
+}
+
+/**
+ * End-of-day report: children present whose departure is not recorded
+ */
+export async function getNotPickedUp(date) {
+    return API.getNoCache('v1/attendance/not-picked-up', date ? { date } : {});
+}
+
 /**
  * Get attendance dates
  * Uses RESTful v1 endpoint
@@ -1731,6 +1980,57 @@ export async function getAttendanceReport(options = {}) {
     return API.get('v1/reports/attendance', params);
 }
 
+// ============================================================================
+// CHECK-IN
+// ============================================================================
+
+/**
+ * Roster with QR badge codes, kept for the whole camp so the scanner can name
+ * children offline. The cache key sits outside v1/checkins on purpose: a scan
+ * invalidates that path, and the roster must survive scans made offline.
+ */
+export async function getCheckinRoster(options = {}) {
+    return API.get('v1/checkins/roster', {}, {
+        cacheKey: 'checkin_roster',
+        cacheDuration: CONFIG.CACHE_DURATION.CAMP_MODE,
+        ...options
+    });
+}
+
+/**
+ * Who is checked in at a checkpoint
+ * @param {Object} options - { activityId, date, checkpoint, groupId }
+ */
+export async function getCheckinRollCall(options = {}) {
+    const params = { checkpoint: options.checkpoint || 'site' };
+    if (options.activityId) params.activity_id = options.activityId;
+    if (options.date) params.date = options.date;
+    if (options.groupId) params.group_id = options.groupId;
+    const scope = options.activityId ? `activity_${options.activityId}` : (options.date || 'today');
+    return API.get('v1/checkins/roll-call', params, {
+        cacheKey: `checkin_roll_call_${scope}_${params.checkpoint}`,
+        cacheDuration: CONFIG.CACHE_DURATION.SHORT,
+        forceRefresh: options.forceRefresh
+    });
+}
+
+/**
+ * Record a badge scan or a check-in by hand. Queued offline and sent with the
+ * scan time; client_event_id keeps a replayed scan from counting twice.
+ * @param {Object} scan - { code | participant_id, event_type, checkpoint, activity_id, occurred_at, client_event_id }
+ */
+export async function recordCheckin(scan) {
+    return API.post('v1/checkins', scan);
+}
+
+/**
+ * Printable QR badges for the roster (PDF)
+ * @param {Object} [options] - { groupId, lang }
+ */
+export async function getCheckinBadgesPdf(options = {}) {
+    return fetchFileBlob('v1/checkins/badges', { group_id: options.groupId, lang: options.lang });
+}
+
 // ============================================================================
 // CALENDAR
 // ============================================================================
@@ -2264,6 +2564,16 @@ export async function createAnnouncement(payload) {
     return API.post('v1/announcements', payload);
 }
 
+/**
+ * Download a report as a file
+ * @param {string} reportType - Report endpoint under v1/reports (e.g. 'allergies')
+ * @param {string} format - csv, xlsx or pdf
+ * @param {string} [lang] - Language of the file
+ */
+export async function exportReport(reportType, format, lang) {
+    return fetchFileBlob(`v1/reports/${reportType}`, { format, lang });
+}
+
 /**
  * Generic reports function
  */
@@ -2371,6 +2681,15 @@ export async function updatePayment(paymentId, payload) {
     return result;
 }
 
+/**
+ * Refund all or part of a payment (Stripe or manual)
+ */
+export async function refundPayment(paymentId, payload = {}) {
+    const result = await API.post(`v1/finance/payments/${paymentId}/refund`, payload);
+    await clearFinanceRelatedCaches();
+    return result;
+}
+
 /**
  * Get payment plans for a participant fee
  */
@@ -2412,6 +2731,20 @@ export async function getFinanceReport() {
     });
 }
 
+/**
+ * Get the organization's payment plan reminder settings
+ */
+export async function getPaymentReminderSettings() {
+    return API.get('v1/finance/reminder-settings');
+}
+
+/**
+ * Save payment plan reminder settings ({ enabled, offsets_days })
+ */
+export async function updatePaymentReminderSettings(payload) {
+    return API.put('v1/finance/reminder-settings', payload);
+}
+
 /**
  * Get a participant-level finance statement (guardian or staff scope)
  */
@@ -2419,6 +2752,79 @@ export async function getParticipantStatement(participantId) {
     return API.get(`v1/finance/participants/${participantId}/statement`);
 }
 
+/**
+ * Fetch a generated file (PDF, spreadsheet, CSV) as a Blob
+ */
+async function fetchFileBlob(endpoint, params = {}) {
+    const url = new URL(`/api/${endpoint}`, CONFIG.API_BASE_URL);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            url.searchParams.set(key, value);
+        }
+    });
+    const response = await fetchWithSession(url.toString());
+    if (!response.ok) {
+        await handleResponse(response);
+    }
+    return response.blob();
+}
+
+/**
+ * Family statement PDF covering a participant and their siblings
+ */
+export async function getFamilyStatementPdf(participantId, lang) {
+    return fetchFileBlob(`v1/finance/participants/${participantId}/family-statement`, { lang });
+}
+
+/**
+ * Issued tax receipts (all for staff, own for guardians)
+ */
+export async function getTaxReceipts(year = null) {
+    return API.getNoCache('v1/finance/tax-receipts', year ? { year } : {});
+}
+
+/**
+ * Families that paid something in a tax year, and whether they have a receipt
+ */
+export async function getTaxReceiptPreview(year) {
+    return API.getNoCache('v1/finance/tax-receipts/preview', { year });
+}
+
+/**
+ * Issue receipts for every family of the tax year that does not have one yet
+ */
+export async function issueTaxReceipts(tax_year) {
+    return API.post('v1/finance/tax-receipts/issue', { tax_year });
+}
+
+/**
+ * Email issued receipts as PDF attachments ({ receipt_ids, resend } optional)
+ */
+export async function emailTaxReceipts(tax_year, options = {}) {
+    return API.post('v1/finance/tax-receipts/email', { tax_year, ...options });
+}
+
+/**
+ * Tax receipt PDF
+ */
+export async function getTaxReceiptPdf(receiptId, lang) {
+    return fetchFileBlob(`v1/finance/tax-receipts/${receiptId}/pdf`, { lang });
+}
+
+/**
+ * Issuer details printed on receipts
+ */
+export async function getReceiptSettings() {
+    return API.get('v1/finance/receipt-settings');
+}
+
+/**
+ * Save issuer details printed on receipts
+ */
+export async function updateReceiptSettings(payload) {
+    return API.put('v1/finance/receipt-settings', payload);
+}
+
 // ============================================================================
 // STRIPE PAYMENTS
 // ============================================================================
@@ -2433,6 +2839,17 @@ export async function createStripePaymentIntent(participant_fee_id, amount) {
     });
 }
 
+/**
+ * Open a Stripe Checkout session for a fee balance, or for one installment
+ * of a payment plan when paymentPlanId is given
+ */
+export async function createStripeCheckoutSession(participant_fee_id, payment_plan_id = null) {
+    return API.post('v1/stripe/checkout-session', {
+        participant_fee_id,
+        payment_plan_id
+    });
+}
+
 /**
  * Get the status of a Stripe payment intent
  */
@@ -2901,6 +3318,92 @@ export async function updateDashboardConfiguration(configuration) {
     return response;
 }
 
+/** Update the unit's branding (email colour). */
+export async function updateBranding(branding) {
+    const response = await API.patch('v1/organizations/settings/branding', branding);
+    try {
+        await deleteCachedData('org_settings');
+    } catch (cacheError) {
+        debugWarn('Failed to invalidate organization settings cache', cacheError);
+    }
+    return response;
+}
+
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+
+/**
+ * Email templates with their default wording, the unit's overrides and branding
+ */
+export async function getEmailTemplates() {
+    return API.getNoCache('v1/email-templates');
+}
+
+/**
+ * Save the unit's wording of a template in one language
+ * @param {string} key - Template key
+ * @param {string} language - en or fr
+ * @param {{subject: string, body: string}} wording
+ */
+export async function saveEmailTemplate(key, language, wording) {
+    return API.put(`v1/email-templates/${encodeURIComponent(key)}/${encodeURIComponent(language)}`, wording);
+}
+
+/**
+ * Go back to the default wording of a template in one language
+ * @param {string} key - Template key
+ * @param {string} language - en or fr
+ */
+export async function resetEmailTemplate(key, language) {
+    return API.delete(`v1/email-templates/${encodeURIComponent(key)}/${encodeURIComponent(language)}`);
+}
+
+/**
+ * Render a template with sample values; pass subject and body to preview unsaved wording
+ * @param {string} key - Template key
+ * @param {{language: string, subject?: string, body?: string}} payload
+ */
+export async function previewEmailTemplate(key, payload) {
+    return API.post(`v1/email-templates/${encodeURIComponent(key)}/preview`, payload);
+}
+
+// ============================================================================
+// WHATSAPP INBOX
+// ============================================================================
+
+/**
+ * Conversations received on the organization's WhatsApp number, with unread counts
+ */
+export async function getWhatsAppInbox() {
+    return API.getNoCache('v1/whatsapp/inbox');
+}
+
+/**
+ * Messages of one conversation, oldest first
+ * @param {string} phoneNumber - E.164 phone number
+ */
+export async function getWhatsAppConversation(phoneNumber) {
+    return API.getNoCache(`v1/whatsapp/inbox/${encodeURIComponent(phoneNumber)}`);
+}
+
+/**
+ * Mark a conversation's received messages as read
+ * @param {string} phoneNumber - E.164 phone number
+ */
+export async function markWhatsAppConversationRead(phoneNumber) {
+    return API.put(`v1/whatsapp/inbox/${encodeURIComponent(phoneNumber)}/read`, {});
+}
+
+/**
+ * Reply in a conversation through the organization's WhatsApp connection
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} message - Reply text
+ */
+export async function replyToWhatsAppConversation(phoneNumber, message) {
+    return API.post(`v1/whatsapp/inbox/${encodeURIComponent(phoneNumber)}/reply`, { message });
+}
+
 // ============================================================================
 // LOCAL GROUPS (cross-unit sharing)
 // ============================================================================
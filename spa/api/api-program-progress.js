@@ -0,0 +1,338 @@
+// api-program-progress.js
+// API client for the long-running program records: Personal Achievement Badge
+// plans, top-award journeys, the evidence behind progression claims, and the
+// OAS next steps worked out from the catalog stage rules. The one-off
+// progression stream stays in api-endpoints.js (getProgramProgressStream).
+//
+// Every reader bypasses the cache: these screens are edited in place, and a
+// stale plan would put an item back that a leader just removed.
+import { API, handleResponse } from './api-core.js';
+import { fetchWithSession } from './api-session.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * PAB themes offered by the organization.
+ *
+ * @returns {Promise<Array<Object>>} Active themes
+ */
+export async function getPabThemes() {
+  const response = await API.getNoCache('v1/program-progress/pab-themes');
+  return response.data || [];
+}
+
+/**
+ * PAB plans with items and reviews.
+ *
+ * @param {number|null} [participantId] - Restrict to one participant
+ * @returns {Promise<Array<Object>>} Plans
+ */
+export async function getPabPlans(participantId = null) {
+  const params = participantId ? { participant_id: participantId } : {};
+  const response = await API.getNoCache('v1/program-progress/pab-plans', params);
+  return response.data || [];
+}
+
+/**
+ * Start a PAB plan.
+ *
+ * @param {Object} plan - `{ participant_id, title, pab_theme_id?, objective?, planned_start_date?, planned_end_date? }`
+ * @returns {Promise<Object>} Created plan
+ */
+export async function createPabPlan(plan) {
+  const response = await API.post('v1/program-progress/pab-plans', plan);
+  return response.data;
+}
+
+/**
+ * Edit a PAB plan.
+ *
+ * @param {number} planId - Plan ID
+ * @param {Object} changes - Editable plan fields
+ * @returns {Promise<Object>} Updated plan
+ */
+export async function updatePabPlan(planId, changes) {
+  const response = await API.put(`v1/program-progress/pab-plans/${planId}`, changes);
+  return response.data;
+}
+
+/**
+ * Delete a PAB plan with its items and reviews.
+ *
+ * @param {number} planId - Plan ID
+ * @returns {Promise<void>}
+ */
+export async function deletePabPlan(planId) {
+  await API.delete(`v1/program-progress/pab-plans/${planId}`);
+}
+
+/**
+ * Add a step to a PAB plan.
+ *
+ * @param {number} planId - Plan ID
+ * @param {Object} item - `{ title, description?, due_date? }`
+ * @returns {Promise<Object>} Created item
+ */
+export async function addPabPlanItem(planId, item) {
+  const response = await API.post(`v1/program-progress/pab-plans/${planId}/items`, item);
+  return response.data;
+}
+
+/**
+ * Edit a PAB plan step.
+ *
+ * @param {number} itemId - Item ID
+ * @param {Object} changes - Editable item fields
+ * @returns {Promise<Object>} Updated item
+ */
+export async function updatePabPlanItem(itemId, changes) {
+  const response = await API.put(`v1/program-progress/pab-plan-items/${itemId}`, changes);
+  return response.data;
+}
+
+/**
+ * Remove a PAB plan step.
+ *
+ * @param {number} itemId - Item ID
+ * @returns {Promise<void>}
+ */
+export async function deletePabPlanItem(itemId) {
+  await API.delete(`v1/program-progress/pab-plan-items/${itemId}`);
+}
+
+/**
+ * Record a PAB plan review.
+ *
+ * @param {number} planId - Plan ID
+ * @param {Object} review - `{ rating?, notes?, next_steps?, review_date? }`
+ * @returns {Promise<Object>} Created review
+ */
+export async function addPabReview(planId, review) {
+  const response = await API.post(`v1/program-progress/pab-plans/${planId}/reviews`, review);
+  return response.data;
+}
+
+/**
+ * Top awards offered by the organization.
+ *
+ * @returns {Promise<Array<Object>>} Active awards
+ */
+export async function getTopAwards() {
+  const response = await API.getNoCache('v1/program-progress/top-awards');
+  return response.data || [];
+}
+
+/**
+ * Top-award journeys with service logs, projects, reviews and hour totals.
+ *
+ * @param {number|null} [participantId] - Restrict to one participant
+ * @returns {Promise<Array<Object>>} Journeys
+ */
+export async function getTopAwardJourneys(participantId = null) {
+  const params = participantId ? { participant_id: participantId } : {};
+  const response = await API.getNoCache('v1/program-progress/top-award-journeys', params);
+  return response.data || [];
+}
+
+/**
+ * Start a top-award journey.
+ *
+ * @param {Object} journey - `{ participant_id, top_award_id, target_date?, notes? }`
+ * @returns {Promise<Object>} Created journey
+ */
+export async function startTopAwardJourney(journey) {
+  const response = await API.post('v1/program-progress/top-award-journeys', journey);
+  return response.data;
+}
+
+/**
+ * Edit a top-award journey.
+ *
+ * @param {number} journeyId - Journey ID
+ * @param {Object} changes - `{ status?, target_date?, progress_percent?, notes? }`
+ * @returns {Promise<Object>} Updated journey
+ */
+export async function updateTopAwardJourney(journeyId, changes) {
+  const response = await API.put(`v1/program-progress/top-award-journeys/${journeyId}`, changes);
+  return response.data;
+}
+
+/**
+ * Delete a journey with its service logs, projects and reviews.
+ *
+ * @param {number} journeyId - Journey ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTopAwardJourney(journeyId) {
+  await API.delete(`v1/program-progress/top-award-journeys/${journeyId}`);
+}
+
+/**
+ * Log service hours against a journey.
+ *
+ * @param {number} journeyId - Journey ID
+ * @param {Object} log - `{ service_date, hours, description? }`
+ * @returns {Promise<Object>} Created log
+ */
+export async function logTopAwardServiceHours(journeyId, log) {
+  const response = await API.post(`v1/program-progress/top-award-journeys/${journeyId}/service-logs`, log);
+  return response.data;
+}
+
+/**
+ * Approve or reject logged service hours.
+ *
+ * @param {number} logId - Service log ID
+ * @param {string} status - logged, submitted, approved or rejected
+ * @returns {Promise<Object>} Updated log
+ */
+export async function setServiceLogStatus(logId, status) {
+  const response = await API.patch(`v1/program-progress/top-award-service-logs/${logId}/status`, { status });
+  return response.data;
+}
+
+/**
+ * Remove logged service hours.
+ *
+ * @param {number} logId - Service log ID
+ * @returns {Promise<void>}
+ */
+export async function deleteServiceLog(logId) {
+  await API.delete(`v1/program-progress/top-award-service-logs/${logId}`);
+}
+
+/**
+ * Attach a project to a journey.
+ *
+ * @param {number} journeyId - Journey ID
+ * @param {Object} project - `{ title, description?, status? }`
+ * @returns {Promise<Object>} Created project
+ */
+export async function addTopAwardProject(journeyId, project) {
+  const response = await API.post(`v1/program-progress/top-award-journeys/${journeyId}/projects`, project);
+  return response.data;
+}
+
+/**
+ * Edit a journey project.
+ *
+ * @param {number} projectId - Project ID
+ * @param {Object} changes - Editable project fields
+ * @returns {Promise<Object>} Updated project
+ */
+export async function updateTopAwardProject(projectId, changes) {
+  const response = await API.put(`v1/program-progress/top-award-projects/${projectId}`, changes);
+  return response.data;
+}
+
+/**
+ * Remove a project from its journey.
+ *
+ * @param {number} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTopAwardProject(projectId) {
+  await API.delete(`v1/program-progress/top-award-projects/${projectId}`);
+}
+
+/**
+ * Record a review outcome on a journey.
+ *
+ * @param {number} journeyId - Journey ID
+ * @param {Object} review - `{ outcome, notes?, review_date? }`
+ * @returns {Promise<{review: Object, journey: Object}>} Review and updated journey
+ */
+export async function recordTopAwardReview(journeyId, review) {
+  const response = await API.post(`v1/program-progress/top-award-journeys/${journeyId}/reviews`, review);
+  return response.data;
+}
+
+/**
+ * Evidence filed against one progression record.
+ *
+ * @param {string} sourceType - participant_oas_competency, badge_progress or oas_competency
+ * @param {number} sourceId - Record ID
+ * @param {number|null} [participantId] - Youth, for catalog competency claims
+ * @returns {Promise<Array<Object>>} Evidence with signed `file_url`
+ */
+export async function getProgressEvidence(sourceType, sourceId, participantId = null) {
+  const params = { source_type: sourceType, source_id: sourceId };
+  if (participantId) {
+    params.participant_id = participantId;
+  }
+  const response = await API.getNoCache('v1/program-progress/evidence', params);
+  return response.data || [];
+}
+
+/**
+ * Submit a photo, PDF or write-up as evidence. Sent as multipart because it
+ * may carry a file, so it bypasses the JSON helpers like uploadEquipmentPhoto.
+ *
+ * @param {Object} claim - `{ source_type, source_id, participant_id?, evidence_type, notes? }`
+ * @param {File|null} [file] - Photo or PDF
+ * @returns {Promise<{evidence: Object, approval: Object}>} Stored evidence and its pending claim
+ */
+export async function submitProgressEvidence(claim, file = null) {
+  const formData = new FormData();
+  Object.entries(claim).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      formData.append(key, value);
+    }
+  });
+  if (file) {
+    formData.append('file', file);
+  }
+
+  const url = new URL('/api/v1/program-progress/evidence', CONFIG.API_BASE_URL);
+  const response = await fetchWithSession(url.toString(), {
+    method: 'POST',
+    body: formData
+  });
+  const result = await handleResponse(response);
+  return result.data;
+}
+
+/**
+ * Withdraw a piece of evidence.
+ *
+ * @param {number} evidenceId - Evidence ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProgressEvidence(evidenceId) {
+  await API.delete(`v1/program-progress/evidence/${evidenceId}`);
+}
+
+/**
+ * Claims in the leader approval queue.
+ *
+ * @param {string} [status] - pending, approved or rejected
+ * @returns {Promise<Array<Object>>} Claims with their evidence
+ */
+export async function getEvidenceApprovals(status = 'pending') {
+  const response = await API.getNoCache('v1/program-progress/evidence-approvals', { status });
+  return response.data || [];
+}
+
+/**
+ * Approve or reject a claim.
+ *
+ * @param {number} approvalId - Claim ID
+ * @param {string} decision - approved or rejected
+ * @param {string} [notes] - Comments for the youth
+ * @returns {Promise<{approval: Object, progression: Object|null}>} Decision and anything recorded
+ */
+export async function decideEvidenceApproval(approvalId, decision, notes = '') {
+  const response = await API.post(`v1/program-progress/evidence-approvals/${approvalId}/decision`, { decision, notes });
+  return response.data;
+}
+
+/**
+ * Where each youth stands on the OAS stages, and what the next stage needs.
+ *
+ * @param {number|null} [participantId] - One participant; parents may omit it for every linked child
+ * @returns {Promise<Array<Object>>} `{ participant_id, participant_name, skills }` per youth
+ */
+export async function getProgramNextSteps(participantId = null) {
+  const params = participantId ? { participant_id: participantId } : {};
+  const response = await API.getNoCache('v1/program-progress/next-steps', params);
+  return response.data || [];
+}
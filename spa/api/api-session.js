@@ -0,0 +1,146 @@
+// api-session.js
+// Keeps the short-lived access token alive with the rotating refresh token
+// handed out at sign-in (POST /api/v1/auth/refresh).
+//
+// Every refresh rotates the refresh token, so two callers refreshing at once
+// would race: the slower one presents a token the server just retired. Calls
+// made while a refresh is in flight share its promise, and a 409 from the
+// server (another tab won the race) is answered by picking up the tokens that
+// tab stored.
+//
+// Requests that need the raw Response (files, uploads, non-JSON bodies) go
+// through fetchWithSession() rather than fetch() so they get the same refresh.
+import { CONFIG } from "../config.js";
+import { decodeJWT } from "../jwt-helper.js";
+import { debugLog, debugWarn } from "../utils/DebugUtils.js";
+import { getAuthHeader } from "./api-helpers.js";
+
+// Same keys as CONFIG.STORAGE_KEYS; read directly like api-helpers.js does.
+const ACCESS_TOKEN_KEY = "jwtToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+/** Refresh this many seconds before the access token expires. */
+const EXPIRY_MARGIN_SECONDS = 60;
+
+let refreshInFlight = null;
+
+/**
+ * @returns {string|null} Stored refresh token
+ */
+export function getRefreshToken() {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+/**
+ * Store the tokens of a sign-in or refresh response.
+ *
+ * @param {Object} result - Response body with `token` and `refresh_token`
+ * @returns {void}
+ */
+export function storeSessionTokens(result) {
+    if (result?.token) {
+        localStorage.setItem(ACCESS_TOKEN_KEY, result.token);
+    }
+    if (result?.refresh_token) {
+        localStorage.setItem(REFRESH_TOKEN_KEY, result.refresh_token);
+    }
+    if (Array.isArray(result?.user_permissions)) {
+        localStorage.setItem("userPermissions", JSON.stringify(result.user_permissions));
+    }
+    if (Array.isArray(result?.user_roles)) {
+        localStorage.setItem("userRoles", JSON.stringify(result.user_roles));
+    }
+}
+
+/**
+ * Whether the stored access token expires within the margin.
+ *
+ * @returns {boolean} True when a refresh is due
+ */
+function accessTokenExpiring() {
+    const payload = decodeJWT(localStorage.getItem(ACCESS_TOKEN_KEY));
+    if (!payload?.exp) {
+        return false;
+    }
+    return payload.exp - EXPIRY_MARGIN_SECONDS <= Math.floor(Date.now() / 1000);
+}
+
+async function requestRefresh() {
+    const presented = getRefreshToken();
+    if (!presented) {
+        return false;
+    }
+
+    const response = await fetch(new URL(CONFIG.ENDPOINTS.REFRESH_TOKEN, CONFIG.API_BASE_URL).toString(), {
+        method: "POST",
+        headers: { "Accept": "application/json", "Content-Type": "application/json" },
+        body: JSON.stringify({ refresh_token: presented })
+    });
+
+    if (response.status === 409) {
+        // Another tab rotated first and stored the new pair.
+        debugLog("[Session] Refresh token superseded by another tab");
+        return getRefreshToken() !== presented;
+    }
+    if (!response.ok) {
+        debugWarn("[Session] Refresh refused:", response.status);
+        return false;
+    }
+
+    storeSessionTokens(await response.json());
+    return true;
+}
+
+/**
+ * Trade the refresh token for a new access token. Concurrent callers share
+ * one request.
+ *
+ * @returns {Promise<boolean>} True when a usable access token is stored
+ */
+export function refreshAccessToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = requestRefresh()
+            .catch((error) => {
+                debugWarn("[Session] Refresh failed:", error);
+                return false;
+            })
+            .finally(() => {
+                refreshInFlight = null;
+            });
+    }
+    return refreshInFlight;
+}
+
+/**
+ * Refresh ahead of time when the access token is about to expire, so a
+ * request is not sent just to be refused.
+ *
+ * @returns {Promise<void>}
+ */
+export async function ensureFreshAccessToken() {
+    if (getRefreshToken() && accessTokenExpiring()) {
+        await refreshAccessToken();
+    }
+}
+
+/**
+ * fetch() on behalf of the signed-in user: sends the session headers, and
+ * when the access token is refused mid-session (expired early, clock skew)
+ * refreshes it once and retries before the caller sees the 401.
+ *
+ * @param {string} url - Request URL
+ * @param {RequestInit} [init] - As for fetch(); session headers are added
+ * @returns {Promise<Response>} Response of the last attempt
+ */
+export async function fetchWithSession(url, init = {}) {
+    if (navigator.onLine !== false) {
+        await ensureFreshAccessToken();
+    }
+
+    const send = () => fetch(url, { ...init, headers: { ...init.headers, ...getAuthHeader() } });
+    let response = await send();
+    if (response.status === 401 && getRefreshToken() && await refreshAccessToken()) {
+        response = await send();
+    }
+    return response;
+}
@@ -3,6 +3,9 @@ import {
   getAttendance,
   updateAttendance,
   getAttendanceDates,
+  getAuthorizedPickups,
+  updateAttendanceTimes,
+  getNotPickedUp,
   saveGuest,
   getGuestsByDate,
 } from "./ajax-functions.js";
@@ -18,6 +21,7 @@ import {
 import {
   getTodayISO,
   formatDate,
+  formatTime,
   isValidDate,
   isoToDateString,
 } from "./utils/DateUtils.js";
@@ -28,6 +32,8 @@ import { canViewAttendance } from "./utils/PermissionUtils.js";
 import { normalizeParticipantList } from "./utils/ParticipantRoleUtils.js";
 import { OptimisticUpdateManager } from "./utils/OptimisticUpdateManager.js";
 import { setContent } from "./utils/DOMUtils.js";
+import { openModal } from "./utils/ModalUtils.js";
+import { confirm } from "./utils/DialogUtils.js";
 import { withButtonLoading, debounce } from "./utils/PerformanceUtils.js";
 
 export class Attendance {
@@ -36,6 +42,8 @@ export class Attendance {
     this.currentDate = getTodayISO();
     this.participants = [];
     this.attendanceData = {};
+    // participant_id -> arrival/departure fields of the recorded row
+    this.attendanceTimes = {};
     this.guests = [];
     this.selectedParticipant = null;
     this.availableDates = [];
@@ -117,7 +125,7 @@ export class Attendance {
 
   /**
    * Parse any historical attendance cache entry into the canonical shape:
-   * { participants, attendanceMap, guests, groups, availableDates }
+   * { participants, attendanceMap, attendanceTimes, guests, groups, availableDates }
    *
    * Handles all legacy formats:
    * - optional `{ data: ... }` wrapper
@@ -126,7 +134,7 @@ export class Attendance {
    * - groups as raw rows (camp prep) or pre-grouped {id, name, participants}
    *
    * @param {Object} cacheEntry - Raw entry from IndexedDB
-   * @returns {{participants: Array, attendanceMap: Object, guests: Array, groups: Array, availableDates: Array|null}}
+   * @returns {{participants: Array, attendanceMap: Object, attendanceTimes: Object, guests: Array, groups: Array, availableDates: Array|null}}
    */
   parseAttendanceCacheEntry(cacheEntry) {
     const data = cacheEntry?.data || cacheEntry || {};
@@ -157,6 +165,7 @@ export class Attendance {
     return {
       participants,
       attendanceMap,
+      attendanceTimes: data.attendanceTimes || {},
       guests: data.guests || [],
       groups,
       availableDates: Array.isArray(data.availableDates) ? data.availableDates : null,
@@ -169,6 +178,7 @@ export class Attendance {
   applyCacheEntry(entry) {
     this.participants = entry.participants;
     this.attendanceData = entry.attendanceMap;
+    this.attendanceTimes = entry.attendanceTimes || {};
     this.guests = entry.guests;
     this.groups = entry.groups;
     if (offlineManager.campMode && entry.availableDates) {
@@ -189,6 +199,7 @@ export class Attendance {
       {
         participants: this.participants,
         attendanceData: this.attendanceData,
+        attendanceTimes: this.attendanceTimes,
         guests: this.guests,
         groups: this.groups,
         availableDates: this.availableDates,
@@ -319,6 +330,7 @@ export class Attendance {
       // Transform attendance response into a map of participant_id -> status
       // Handle multiple API formats
       this.attendanceData = {};
+      this.attendanceTimes = {};
       if (attendanceResponse && typeof attendanceResponse === "object") {
         const attendanceData = attendanceResponse.data || attendanceResponse;
 
@@ -327,6 +339,7 @@ export class Attendance {
           attendanceData.forEach((record) => {
             if (record.participant_id && record.status) {
               this.attendanceData[record.participant_id] = record.status;
+              this.storeAttendanceTimes(record);
             }
           });
           debugLog(
@@ -677,6 +690,10 @@ export class Attendance {
           <input type="search" id="attendance-search" class="search-input" data-archive-safe style="width: 100%; padding: 0.5rem;" placeholder="${translate("search")}..." value="${escapeHTML(this.searchTerm)}">
         </div>
         ${this.renderMarkRemainingButton()}
+        <div class="pickup-actions">
+          <button id="attendance-times-button" class="button button--secondary">🕒 ${translate("arrival_departure")}</button>
+          <button id="not-picked-up-button" class="button button--secondary">${translate("not_picked_up_report")}</button>
+        </div>
         <div id="attendance-list" class="attendance-list">
           <!-- This will be filled by renderGroupsAndNames() -->
         </div>
@@ -810,6 +827,7 @@ export class Attendance {
             ${participant.first_leader ? `<span class="badge leader">${translate("first_leader")}</span>` : ""}
             ${participant.second_leader ? `<span class="badge second-leader">${translate("second_leader")}</span>` : ""}
           </span>
+          ${this.renderParticipantTimes(participant.id)}
           <span class="participant-status ${statusClass}">${translate(status)}</span>
         `,
         );
@@ -822,6 +840,253 @@ export class Attendance {
     return fragment;
   }
 
+  /**
+   * Keep the arrival/departure fields of an attendance record
+   */
+  storeAttendanceTimes(record) {
+    this.attendanceTimes[record.participant_id] = {
+      arrived_at: record.arrived_at || null,
+      departed_at: record.departed_at || null,
+      dropped_off_by: record.dropped_off_by || null,
+      picked_up_by: record.picked_up_by || null,
+      picked_up_by_guardian_id: record.picked_up_by_guardian_id || null,
+      left_alone: Boolean(record.left_alone),
+      pickup_authorized: record.pickup_authorized ?? null,
+    };
+  }
+
+  /**
+   * Arrival and departure of a participant, shown under their name
+   */
+  renderParticipantTimes(participantId) {
+    const times = this.attendanceTimes[participantId];
+    if (!times || (!times.arrived_at && !times.departed_at && !times.picked_up_by && !times.left_alone)) {
+      return "";
+    }
+    const parts = [];
+    if (times.arrived_at) {
+      parts.push(`↓ ${this.formatTimestampTime(times.arrived_at)}`);
+    }
+    if (times.departed_at || times.picked_up_by || times.left_alone) {
+      const who = times.left_alone ? translate("left_alone") : times.picked_up_by;
+      const when = times.departed_at ? this.formatTimestampTime(times.departed_at) : "";
+      parts.push(`↑ ${when}${who ? ` (${escapeHTML(who)})` : ""}`);
+    }
+    const warning = times.pickup_authorized === false
+      ? ` <span class="badge warning" title="${translate("unauthorized_pickup_recorded")}">⚠</span>`
+      : "";
+    return `<span class="participant-times">${parts.join(" · ")}${warning}</span>`;
+  }
+
+  formatTimestampTime(timestamp) {
+    const time = new Date(timestamp);
+    return formatTime(time.getHours(), time.getMinutes());
+  }
+
+  /** HH:MM value of a time input for a stored timestamp */
+  toTimeInputValue(timestamp) {
+    if (!timestamp) return "";
+    const time = new Date(timestamp);
+    return `${String(time.getHours()).padStart(2, "0")}:${String(time.getMinutes()).padStart(2, "0")}`;
+  }
+
+  /** Timestamp of a time input on the current date, or null when empty */
+  fromTimeInputValue(value) {
+    return value ? new Date(`${this.currentDate}T${value}`).toISOString() : null;
+  }
+
+  /**
+   * Arrival/departure form for the selected participant. The departure is
+   * checked against the authorized pickup list; an adult who is not on it
+   * is only recorded once the leader confirms.
+   */
+  async openTimesModal() {
+    if (!this.selectedParticipant) {
+      this.app.showMessage(translate("no_selection"), "error");
+      return;
+    }
+    const participantId = Number(this.selectedParticipant.dataset.participantId);
+    if (!["present", "late"].includes(this.attendanceData[participantId])) {
+      this.app.showMessage(translate("attendance_not_recorded"), "error");
+      return;
+    }
+    const participant = this.participants.find((p) => p.id === participantId);
+
+    let pickups;
+    try {
+      const response = await getAuthorizedPickups(participantId);
+      pickups = response.data || { can_leave_alone: false, guardians: [] };
+    } catch (error) {
+      debugError("Error loading authorized pickups:", error);
+      this.app.showMessage(translate("error_loading_data"), "error");
+      return;
+    }
+
+    const times = this.attendanceTimes[participantId] || {};
+    let pickupChoice = "";
+    if (times.left_alone) {
+      pickupChoice = "alone";
+    } else if (times.picked_up_by_guardian_id) {
+      pickupChoice = `guardian:${times.picked_up_by_guardian_id}`;
+    } else if (times.picked_up_by) {
+      pickupChoice = "other";
+    }
+
+    const guardianOptions = pickups.guardians.map((guardian) => {
+      const value = `guardian:${guardian.id}`;
+      const phone = guardian.phone ? ` – ${escapeHTML(guardian.phone)}` : "";
+      return `<option value="${value}" ${value === pickupChoice ? "selected" : ""}>
+        ${escapeHTML(guardian.first_name)} ${escapeHTML(guardian.last_name)}${phone}
+      </option>`;
+    }).join("");
+    const aloneLabel = pickups.can_leave_alone
+      ? translate("left_alone")
+      : `${translate("left_alone")} (${translate("not_authorized")})`;
+
+    const body = `
+      <form id="attendance-times-form" class="attendance-times-form">
+        <label for="arrived-at">${translate("arrival_time")}</label>
+        <input type="time" id="arrived-at" name="arrived_at" value="${this.toTimeInputValue(times.arrived_at)}">
+        <label for="dropped-off-by">${translate("dropped_off_by")}</label>
+        <input type="text" id="dropped-off-by" name="dropped_off_by" maxlength="255" value="${escapeHTML(times.dropped_off_by || "")}">
+        <label for="departed-at">${translate("departure_time")}</label>
+        <input type="time" id="departed-at" name="departed_at" value="${this.toTimeInputValue(times.departed_at)}">
+        <label for="picked-up-choice">${translate("picked_up_by")}</label>
+        <select id="picked-up-choice" name="pickup_choice">
+          <option value="">${translate("not_picked_up_yet")}</option>
+          ${guardianOptions}
+          <option value="other" ${pickupChoice === "other" ? "selected" : ""}>${translate("other_adult")}</option>
+          <option value="alone" ${pickupChoice === "alone" ? "selected" : ""}>${aloneLabel}</option>
+        </select>
+        <input type="text" id="picked-up-by" name="picked_up_by" maxlength="255"
+          placeholder="${translate("other_adult_name")}" value="${escapeHTML(pickupChoice === "other" ? times.picked_up_by : "")}"
+          ${pickupChoice === "other" ? "" : "hidden"}>
+        <div class="modal-actions">
+          <button type="button" class="button button--secondary" data-modal-close>${translate("cancel")}</button>
+          <button type="submit" class="button button--primary">${translate("save")}</button>
+        </div>
+      </form>
+    `;
+
+    const name = participant ? `${participant.first_name} ${participant.last_name}` : "";
+    const { overlay, close } = openModal({
+      id: "attendance-times-modal",
+      title: `🕒 ${escapeHTML(name)}`,
+      body,
+    });
+
+    const choice = overlay.querySelector("#picked-up-choice");
+    const otherName = overlay.querySelector("#picked-up-by");
+    choice.addEventListener("change", () => {
+      otherName.hidden = choice.value !== "other";
+    });
+
+    overlay.querySelector("#attendance-times-form").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const form = new FormData(e.target);
+      const selected = form.get("pickup_choice");
+      const payload = {
+        participant_id: participantId,
+        date: this.currentDate,
+        arrived_at: this.fromTimeInputValue(form.get("arrived_at")),
+        dropped_off_by: form.get("dropped_off_by"),
+        departed_at: this.fromTimeInputValue(form.get("departed_at")),
+        picked_up_by: selected === "other" ? form.get("picked_up_by") : null,
+        picked_up_by_guardian_id: selected.startsWith("guardian:") ? Number(selected.split(":")[1]) : null,
+        left_alone: selected === "alone",
+      };
+      await withButtonLoading(e.submitter || e.target.querySelector('button[type="submit"]'), async () => {
+        if (await this.saveAttendanceTimes(payload)) {
+          close();
+        }
+      });
+    });
+  }
+
+  /**
+   * Save arrival/departure fields, asking the leader to confirm a pickup by
+   * someone who is not on the authorized list.
+   *
+   * @returns {Promise<boolean>} Whether the times were saved
+   */
+  async saveAttendanceTimes(payload) {
+    try {
+      const response = await updateAttendanceTimes(payload);
+      this.storeAttendanceTimes(response.data);
+    } catch (error) {
+      if (error.status === 409 && error.message === "unauthorized_pickup") {
+        const confirmed = await confirm({
+          title: translate("unauthorized_pickup"),
+          message: translate("unauthorized_pickup_confirm"),
+          confirmLabel: translate("record_anyway"),
+          danger: true,
+        });
+        return confirmed
+          ? this.saveAttendanceTimes({ ...payload, acknowledge_unauthorized: true })
+          : false;
+      }
+      debugError("Error saving attendance times:", error);
+      const message = ["invalid_attendance_times", "attendance_not_recorded"].includes(error.message)
+        ? error.message
+        : "error_updating_attendance";
+      this.app.showMessage(translate(message), "error");
+      return false;
+    }
+
+    await this.writeAttendanceCache();
+    const attendanceList = document.getElementById("attendance-list");
+    if (attendanceList) {
+      this.selectedParticipant = null;
+      setContent(attendanceList, "");
+      attendanceList.appendChild(this.renderGroupsAndNames());
+    }
+    this.app.showMessage(translate("attendance_times_saved"), "success");
+    return true;
+  }
+
+  /**
+   * End-of-day report: children present or late whose departure is not
+   * recorded, with the guardians to call.
+   */
+  async openNotPickedUpReport() {
+    let rows;
+    try {
+      const response = await getNotPickedUp(this.currentDate);
+      rows = response.data || [];
+    } catch (error) {
+      debugError("Error loading not picked up report:", error);
+      this.app.showMessage(translate("error_loading_data"), "error");
+      return;
+    }
+
+    const body = rows.length === 0
+      ? `<p>${translate("everyone_picked_up")}</p>`
+      : `<ul class="not-picked-up-list">
+          ${rows.map((row) => `
+            <li>
+              <strong>${escapeHTML(row.first_name)} ${escapeHTML(row.last_name)}</strong>
+              ${row.group_name ? `<span class="group-name">${escapeHTML(row.group_name)}</span>` : ""}
+              ${row.can_leave_alone ? `<span class="badge">${translate("can_leave_alone")}</span>` : ""}
+              <ul>
+                ${row.guardians.map((guardian) => `
+                  <li>
+                    ${escapeHTML(guardian.first_name)} ${escapeHTML(guardian.last_name)}
+                    ${guardian.phone ? `<a href="tel:${escapeHTML(guardian.phone)}">${escapeHTML(guardian.phone)}</a>` : ""}
+                  </li>
+                `).join("")}
+              </ul>
+            </li>
+          `).join("")}
+        </ul>`;
+
+    openModal({
+      id: "not-picked-up-modal",
+      title: `${translate("not_picked_up_report")} (${rows.length})`,
+      body,
+      footer: `<button type="button" class="button button--secondary" data-modal-close>${translate("close")}</button>`,
+    });
+  }
+
   renderGuests() {
     return this.guests
       .map(
@@ -878,6 +1143,13 @@ export class Attendance {
       });
     }
 
+    document.getElementById("attendance-times-button")?.addEventListener("click", (e) => {
+      withButtonLoading(e.currentTarget, () => this.openTimesModal());
+    });
+    document.getElementById("not-picked-up-button")?.addEventListener("click", (e) => {
+      withButtonLoading(e.currentTarget, () => this.openNotPickedUpReport());
+    });
+
     const markRemainingButton = document.getElementById("mark-remaining-present");
     if (markRemainingButton) {
       markRemainingButton.addEventListener("click", (e) => {
@@ -12,7 +12,11 @@ import {
   cancelCarpoolOffer,
   assignParticipantToCarpool,
   removeAssignment,
-  getUnassignedParticipants
+  getUnassignedParticipants,
+  previewAutoAssign,
+  acceptAutoAssign,
+  moveAssignment,
+  confirmCarpoolOffer
 } from './api/api-carpools.js';
 import { canManageCarpools, canViewCarpools, isParent } from './utils/PermissionUtils.js';
 import { OptimisticUpdateManager, generateOptimisticId } from './utils/OptimisticUpdateManager.js';
@@ -233,6 +237,12 @@ export class CarpoolDashboard {
           </button>
 
           ${this.renderLookForRideButton()}
+
+          ${this.isStaff && this.carpoolOffers.length > 0 && this.unassignedParticipants.length > 0 ? `
+            <button class="button button--secondary button--large" id="auto-assign-btn">
+              ${translate('carpool_auto_assign')}
+            </button>
+          ` : ''}
         </div>
 
         ${this.isStaff && this.unassignedParticipants.length > 0 ? `
@@ -311,6 +321,8 @@ export class CarpoolDashboard {
 
     const userId = localStorage.getItem('userId');
     const isOwner = offer.user_id === userId;
+    // Asked by the evening-before reminder and not answered since
+    const awaitingConfirmation = Boolean(offer.confirmation_requested_at) && !offer.driver_confirmed_at;
 
     return `
       <div class="carpool-offer-card" data-offer-id="${offer.id}">
@@ -322,6 +334,8 @@ export class CarpoolDashboard {
             </svg>
             <strong>${offer.driver_name}</strong>
             ${isOwner ? `<span class="badge badge--primary">${translate('you')}</span>` : ''}
+            ${offer.driver_confirmed_at ? `<span class="badge badge--success">${translate('carpool_driver_confirmed')}</span>` : ''}
+            ${awaitingConfirmation && this.isStaff ? `<span class="badge badge--warning">${translate('carpool_driver_not_confirmed')}</span>` : ''}
           </div>
 
           ${isOwner || this.isStaff ? `
@@ -352,6 +366,12 @@ export class CarpoolDashboard {
           <p class="carpool-offer-card__notes">${offer.notes}</p>
         ` : ''}
 
+        ${isOwner && awaitingConfirmation ? `
+          <button class="button button--secondary button--block confirm-driving-btn" data-offer-id="${offer.id}">
+            ${translate('carpool_confirm_driving')}
+          </button>
+        ` : ''}
+
         <div class="carpool-offer-card__capacity">
           ${showGoing ? `
             <div class="capacity-indicator">
@@ -486,6 +506,10 @@ export class CarpoolDashboard {
                     </div>
                   </div>
                   ${canRemove ? `
+                    <button class="button button--small button--secondary move-assignment-btn"
+                            data-assignment-id="${a.assignment_id}">
+                      ${translate('carpool_move')}
+                    </button>
                     <button class="button button--small button--danger remove-assignment-btn"
                             data-assignment-id="${a.assignment_id}">
                       ${translate('remove')}
@@ -516,6 +540,11 @@ export class CarpoolDashboard {
       this.showLookForRideModal();
     });
 
+    // Auto-assign button (staff)
+    document.getElementById('auto-assign-btn')?.addEventListener('click', () => {
+      this.showAutoAssignModal();
+    });
+
     // Edit offer buttons
     document.querySelectorAll('.edit-offer-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -557,6 +586,33 @@ export class CarpoolDashboard {
       });
     });
 
+    // Confirm still driving (offer owner)
+    document.querySelectorAll('.confirm-driving-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const button = e.currentTarget;
+        const offerId = parseInt(button.dataset.offerId);
+        withButtonLoading(button, async () => {
+          try {
+            await confirmCarpoolOffer(offerId);
+            this.app.showMessage(translate('carpool_driving_confirmed'), 'success');
+            await this.loadData();
+            this.render();
+            this.attachEventListeners();
+          } catch (error) {
+            debugError('Error confirming ride:', error);
+            this.app.showMessage(error.message || translate('error_occurred'), 'error');
+          }
+        });
+      });
+    });
+
+    // Move assignment buttons
+    document.querySelectorAll('.move-assignment-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.showMoveAssignmentModal(parseInt(e.currentTarget.dataset.assignmentId));
+      });
+    });
+
     // Remove assignment buttons
     document.querySelectorAll('.remove-assignment-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -973,6 +1029,212 @@ export class CarpoolDashboard {
     });
   }
 
+  /**
+   * Move a participant to another ride going the same way. The families and
+   * both drivers are notified by the server.
+   */
+  showMoveAssignmentModal(assignmentId) {
+    const currentOffer = this.carpoolOffers.find(offer => (offer.assignments || [])
+      .some(a => a.assignment_id === assignmentId));
+    const assignment = currentOffer?.assignments.find(a => a.assignment_id === assignmentId);
+    if (!assignment) {
+      return;
+    }
+
+    const targets = this.carpoolOffers.filter(offer => offer.id !== currentOffer.id
+      && (offer.trip_direction === 'both' || offer.trip_direction === assignment.trip_direction));
+    if (targets.length === 0) {
+      this.app.showMessage(translate('no_available_rides'), 'warning');
+      return;
+    }
+
+    const modalId = 'move-assignment-modal';
+    const modalHTML = `
+      <div class="modal__backdrop"></div>
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="move-assignment-modal-title">
+        <header class="modal__header">
+          <h2 id="move-assignment-modal-title">${translate('carpool_move')}: ${escapeHTML(assignment.participant_name)}</h2>
+          <button class="ghost-button" id="close-move-modal" aria-label="${translate('close')}">✕</button>
+        </header>
+
+        <form class="modal__content" id="move-assignment-form">
+          <p>${translate('carpool_move_help')}</p>
+          <div class="form-group">
+            <label for="move-offer-select">${translate('select_vehicle')} <span class="required">*</span></label>
+            <select id="move-offer-select" name="carpool_offer_id" required class="form-control">
+              ${targets.map(offer => `
+                <option value="${offer.id}">
+                  ${escapeHTML(offer.driver_name)} - ${escapeHTML(offer.vehicle_color)} ${escapeHTML(offer.vehicle_make)} (${translate(offer.trip_direction)})
+                </option>
+              `).join('')}
+            </select>
+          </div>
+
+          <div class="modal__actions">
+            <button type="button" class="button button--secondary" id="cancel-move-btn">
+              ${translate('cancel')}
+            </button>
+            <button type="submit" class="button button--primary">
+              ${translate('carpool_move')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    this.showModal(modalId, modalHTML, async (formData) => {
+      await moveAssignment(assignmentId, parseInt(formData.get('carpool_offer_id')));
+      this.app.showMessage(translate('carpool_assignment_moved'), 'success');
+      await this.loadData();
+      this.render();
+      this.attachEventListeners();
+    });
+  }
+
+  /**
+   * Auto-assign: preview the proposed seating, let the coordinator drop or
+   * move rows, then save what is left in one go.
+   */
+  showAutoAssignModal() {
+    const modalId = 'auto-assign-modal';
+    const hasReturn = Boolean(this.activity.meeting_location_return);
+
+    const modalHTML = `
+      <div class="modal__backdrop"></div>
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="auto-assign-modal-title">
+        <header class="modal__header">
+          <h2 id="auto-assign-modal-title">${translate('carpool_auto_assign')}</h2>
+          <button class="ghost-button" id="close-auto-assign-modal" aria-label="${translate('close')}">✕</button>
+        </header>
+
+        <form class="modal__content" id="auto-assign-form">
+          <p>${translate('carpool_auto_assign_help')}</p>
+          <label class="radio-label">
+            <input type="checkbox" id="auto-assign-postal-code">
+            <span>${translate('carpool_group_by_postal_code')}</span>
+          </label>
+          <button type="button" class="button button--secondary" id="auto-assign-preview-btn">
+            ${translate('carpool_preview_assignments')}
+          </button>
+
+          <div id="auto-assign-proposal" class="auto-assign-proposal"></div>
+
+          <div class="modal__actions">
+            <button type="button" class="button button--secondary" id="cancel-auto-assign-btn">
+              ${translate('cancel')}
+            </button>
+            <button type="submit" class="button button--primary" id="auto-assign-save-btn" disabled>
+              ${translate('carpool_save_assignments')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    let proposal = null;
+
+    this.showModal(modalId, modalHTML, async (formData) => {
+      const assignments = proposal.assignments
+        .map((assignment, index) => ({ ...assignment, index }))
+        .filter(({ index }) => formData.get(`keep_${index}`) === 'on')
+        .map(({ index, participant_id, trip_direction }) => ({
+          participant_id,
+          trip_direction,
+          carpool_offer_id: parseInt(formData.get(`offer_${index}`))
+        }));
+
+      if (assignments.length === 0) {
+        throw new Error(translate('carpool_no_assignments_selected'));
+      }
+
+      await acceptAutoAssign(this.activityId, assignments);
+      this.app.showMessage(
+        translate('carpool_assignments_saved').replace('{count}', assignments.length),
+        'success'
+      );
+      await this.loadData();
+      this.render();
+      this.attachEventListeners();
+    });
+
+    const previewButton = document.getElementById('auto-assign-preview-btn');
+    previewButton?.addEventListener('click', () => {
+      withButtonLoading(previewButton, async () => {
+        try {
+          proposal = await previewAutoAssign(this.activityId, {
+            group_by_postal_code: document.getElementById('auto-assign-postal-code').checked,
+            trip_directions: hasReturn ? ['to_activity', 'from_activity'] : ['to_activity']
+          });
+        } catch (error) {
+          debugError('Error previewing carpool assignments:', error);
+          this.app.showMessage(error.message || translate('error_occurred'), 'error');
+          return;
+        }
+        setContent(document.getElementById('auto-assign-proposal'), this.renderAutoAssignProposal(proposal));
+        document.getElementById('auto-assign-save-btn').disabled = proposal.assignments.length === 0;
+      });
+    });
+  }
+
+  /**
+   * Proposal rows: a checkbox to keep each one and a vehicle select to move
+   * it to another car covering the same trip direction.
+   */
+  renderAutoAssignProposal(proposal) {
+    const coversDirection = (offer, direction) => offer.trip_direction === 'both' || offer.trip_direction === direction;
+    const names = new Map([...proposal.assignments, ...proposal.unplaced]
+      .map(row => [row.participant_id, row.participant_name]));
+
+    const rows = proposal.assignments.map((assignment, index) => `
+      <tr>
+        <td>
+          <input type="checkbox" name="keep_${index}" checked aria-label="${escapeHTML(assignment.participant_name)}">
+        </td>
+        <td>${escapeHTML(assignment.participant_name)}</td>
+        <td>${translate(assignment.trip_direction)}</td>
+        <td>
+          <select name="offer_${index}" class="form-control">
+            ${proposal.offers.filter(offer => coversDirection(offer, assignment.trip_direction)).map(offer => `
+              <option value="${offer.id}" ${offer.id === assignment.carpool_offer_id ? 'selected' : ''}>
+                ${escapeHTML(offer.driver_name)} - ${escapeHTML(offer.vehicle_color)} ${escapeHTML(offer.vehicle_make)}
+              </option>
+            `).join('')}
+          </select>
+        </td>
+      </tr>
+    `).join('');
+
+    return `
+      ${proposal.assignments.length > 0 ? `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>${translate('participant')}</th>
+              <th>${translate('trip_direction')}</th>
+              <th>${translate('vehicle')}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      ` : `<p>${translate('carpool_nothing_to_assign')}</p>`}
+
+      ${proposal.split_families.length > 0 ? `
+        <div class="alert alert--warning">
+          <strong>${translate('carpool_split_families')}:</strong>
+          ${proposal.split_families.map(family => family.map(id => escapeHTML(names.get(id) || '')).join(', ')).join(' · ')}
+        </div>
+      ` : ''}
+
+      ${proposal.unplaced.length > 0 ? `
+        <div class="alert alert--warning">
+          <strong>${translate('carpool_not_enough_seats')}:</strong>
+          ${proposal.unplaced.map(row => `${escapeHTML(row.participant_name)} (${translate(row.trip_direction)})`).join(', ')}
+        </div>
+      ` : ''}
+    `;
+  }
+
   async handleCancelOffer(offerId) {
     const offer = this.carpoolOffers.find(o => o.id === offerId);
     const hasAssignments = offer.assignments && offer.assignments.length > 0;
@@ -87,6 +87,9 @@ export class CommunicationSettings extends BaseModule {
         <div class="card-grid">
           <div class="card">
             ${whatsappSection}
+            ${canSendCommunications() ? `
+              <a href="/whatsapp-inbox" class="button button--secondary">${translate("whatsapp_inbox_title")}</a>
+            ` : ""}
           </div>
           <div class="card">
             ${googleChatSection}
@@ -100,6 +103,7 @@ export class CommunicationSettings extends BaseModule {
   renderGoogleChatSection() {
     const configuredEmail = escapeHTML(this.googleChatConfig?.service_account_email || "");
     const projectId = escapeHTML(this.googleChatConfig?.project_id || "");
+    const projectNumber = escapeHTML(this.googleChatConfig?.project_number || "");
     const lastUpdated = this.googleChatConfig?.updated_at
       ? new Intl.DateTimeFormat(this.app.lang || "en", {
         year: "numeric",
@@ -111,7 +115,11 @@ export class CommunicationSettings extends BaseModule {
     const spacesOptions = this.googleChatSpaces.map((space) => {
       const name = escapeHTML(space.space_name || space.space_id);
       const value = escapeHTML(space.space_id);
-      const badge = space.is_broadcast_space ? ` (${translate("google_chat_broadcast_space") || "Broadcast"})` : "";
+      const badges = [
+        space.is_broadcast_space ? translate("google_chat_broadcast_space") || "Broadcast" : null,
+        space.receives_whatsapp ? translate("google_chat_whatsapp_space") : null,
+      ].filter(Boolean);
+      const badge = badges.length ? ` (${badges.join(", ")})` : "";
       return `<option value="${value}">${name}${badge}</option>`;
     }).join("");
 
@@ -138,6 +146,11 @@ export class CommunicationSettings extends BaseModule {
           <label for="google-chat-credentials">${translate("google_chat_credentials_label") || "Paste service account JSON"}</label>
           <textarea id="google-chat-credentials" name="credentials" rows="6" required placeholder="{\n  \"type\": \"service_account\",\n  ...\n}"></textarea>
           <p class="muted-text">${translate("google_chat_credentials_help") || "Use the JSON key file from your Google Chat service account."}</p>
+
+          <label for="google-chat-project-number">${translate("google_chat_project_number_label")}</label>
+          <input id="google-chat-project-number" name="projectNumber" type="text" inputmode="numeric" pattern="[0-9]{6,20}"
+            value="${projectNumber}" />
+          <p class="muted-text">${translate("google_chat_project_number_help")}</p>
           <button type="submit" class="btn btn-primary">${translate("save") || "Save"}</button>
         </form>
 
@@ -154,6 +167,11 @@ export class CommunicationSettings extends BaseModule {
             <span>${translate("google_chat_broadcast_label") || "Use as broadcast space"}</span>
           </label>
 
+          <label class="checkbox-row">
+            <input type="checkbox" id="google-chat-whatsapp" name="receivesWhatsApp" />
+            <span>${translate("google_chat_whatsapp_label")}</span>
+          </label>
+
           <label for="google-chat-space-description">${translate("description") || "Description"}</label>
           <textarea id="google-chat-space-description" name="description" rows="2"></textarea>
 
@@ -200,6 +218,7 @@ export class CommunicationSettings extends BaseModule {
     event.preventDefault();
     const form = event.target;
     const textarea = form.querySelector("#google-chat-credentials");
+    const projectNumberInput = form.querySelector("#google-chat-project-number");
     const button = form.querySelector("button[type='submit']");
 
     if (!textarea) return;
@@ -213,7 +232,7 @@ export class CommunicationSettings extends BaseModule {
 
       await makeApiRequest("google-chat/config", {
         method: "POST",
-        body: { credentials: parsed },
+        body: { credentials: parsed, projectNumber: projectNumberInput?.value.trim() || null },
       });
 
       this.app?.showMessage?.(translate("google_chat_credentials_saved") || "Credentials saved", "success");
@@ -237,6 +256,7 @@ export class CommunicationSettings extends BaseModule {
     const spaceNameInput = form.querySelector("#google-chat-space-name");
     const descriptionInput = form.querySelector("#google-chat-space-description");
     const broadcastInput = form.querySelector("#google-chat-broadcast");
+    const whatsappInput = form.querySelector("#google-chat-whatsapp");
 
     try {
       submitButton.disabled = true;
@@ -249,6 +269,7 @@ export class CommunicationSettings extends BaseModule {
           spaceName: spaceNameInput.value.trim() || null,
           description: descriptionInput.value.trim() || null,
           isBroadcastSpace: !!broadcastInput.checked,
+          receivesWhatsApp: !!whatsappInput?.checked,
         },
       });
 
@@ -2,7 +2,8 @@
  * OfflineIndicator.js
  *
  * Visual UI component that displays offline status and pending sync count.
- * Shows a fixed-position indicator at bottom-left when offline.
+ * Shows a fixed-position indicator at bottom-left when offline, and while
+ * sync conflicts wait for review, with a link to the conflict center.
  * Automatically subscribes to OfflineManager events for real-time updates.
  */
 
@@ -18,6 +19,7 @@ export class OfflineIndicator {
     constructor() {
         this.element = null;
         this.pendingCount = 0;
+        this.conflictCount = 0;
         this.isOffline = !navigator.onLine;
         this.isSyncing = false;
         this.isCampMode = offlineManager?.campMode || false;
@@ -45,6 +47,7 @@ export class OfflineIndicator {
 
         this.createIndicator();
         this.updateDisplay();
+        this.refreshConflictCount();
 
         // Listen for OfflineManager events
         window.addEventListener('offlineStatusChanged', (e) => {
@@ -65,6 +68,17 @@ export class OfflineIndicator {
             this.updateDisplay();
         }, { signal });
 
+        window.addEventListener('syncConflictsChanged', (e) => {
+            debugLog('OfflineIndicator: Received syncConflictsChanged event', e.detail);
+            this.conflictCount = e.detail.count;
+            this.updateDisplay();
+        }, { signal });
+
+        // A sync run may have recorded new conflicts
+        window.addEventListener('syncCompleted', () => {
+            this.refreshConflictCount();
+        }, { signal });
+
         window.addEventListener('campModeChanged', (e) => {
             debugLog('OfflineIndicator: Received campModeChanged event', e.detail);
             this.isCampMode = e.detail.enabled;
@@ -127,6 +141,17 @@ export class OfflineIndicator {
                 background-color: #2e7d32;
             }
 
+            .offline-indicator.conflicts {
+                background-color: #6d4c41;
+            }
+
+            .offline-indicator-conflicts {
+                color: inherit;
+                font-size: 12px;
+                font-weight: 600;
+                text-decoration: underline;
+            }
+
             .offline-indicator-icon {
                 font-size: 20px;
                 line-height: 1;
@@ -223,6 +248,7 @@ export class OfflineIndicator {
             <div class="offline-indicator-text">
                 <span class="offline-indicator-status"></span>
                 <span class="offline-indicator-count"></span>
+                <a class="offline-indicator-conflicts" href="/sync-conflicts"></a>
             </div>
             <span class="offline-indicator-badge"></span>
         `);
@@ -242,10 +268,11 @@ export class OfflineIndicator {
         const countElement = this.element.querySelector('.offline-indicator-count');
         const badgeElement = this.element.querySelector('.offline-indicator-badge');
         const iconElement = this.element.querySelector('.offline-indicator-icon');
+        const conflictsElement = this.element.querySelector('.offline-indicator-conflicts');
 
-        // Show indicator only when offline or actively syncing
+        // Show indicator when offline, actively syncing, or with conflicts to review
         // Don't show when online with pending items - toast notification handles that
-        const shouldShow = this.isOffline || this.isSyncing;
+        const shouldShow = this.isOffline || this.isSyncing || this.conflictCount > 0;
         
         if (shouldShow) {
             this.element.classList.add('visible');
@@ -254,7 +281,7 @@ export class OfflineIndicator {
         }
 
         // Update classes for styling
-        this.element.classList.remove('syncing', 'camp-mode');
+        this.element.classList.remove('syncing', 'camp-mode', 'conflicts');
         if (this.isSyncing) {
             this.element.classList.add('syncing');
             this.element.style.backgroundColor = '#ff9800';
@@ -280,8 +307,22 @@ export class OfflineIndicator {
             } else {
                 countElement.textContent = '';
             }
+        } else if (this.conflictCount > 0) {
+            this.element.classList.add('conflicts');
+            this.element.style.backgroundColor = '#6d4c41';
+            iconElement.textContent = '⚠️';
+            statusElement.textContent = this.getTranslation('sync.conflicts').replace('{{count}}', this.conflictCount);
+            countElement.textContent = '';
+        }
+        // When online and not syncing, indicator is hidden unless conflicts wait (handled by shouldShow)
+
+        // Link to the conflict center while conflicts wait
+        if (this.conflictCount > 0) {
+            conflictsElement.textContent = this.getTranslation('sync.review_conflicts');
+            conflictsElement.style.display = 'inline';
+        } else {
+            conflictsElement.style.display = 'none';
         }
-        // When online and not syncing, indicator is hidden (handled by shouldShow)
 
         // Update badge
         if (this.pendingCount > 0) {
@@ -296,6 +337,9 @@ export class OfflineIndicator {
         if (this.pendingCount > 0) {
             ariaLabel += `, ${this.getTranslation('sync.pending').replace('{{count}}', this.pendingCount)}`;
         }
+        if (this.conflictCount > 0 && (this.isOffline || this.isSyncing)) {
+            ariaLabel += `, ${this.getTranslation('sync.conflicts').replace('{{count}}', this.conflictCount)}`;
+        }
         this.element.setAttribute('aria-label', ariaLabel);
     }
 
@@ -316,7 +360,9 @@ export class OfflineIndicator {
             'status.offline': 'Offline',
             'status.camp_mode': 'Camp Mode',
             'status.syncing': 'Syncing...',
-            'sync.pending': '{{count}} change(s) pending'
+            'sync.pending': '{{count}} change(s) pending',
+            'sync.conflicts': '{{count}} conflict(s) to review',
+            'sync.review_conflicts': 'Review conflicts'
         };
 
         return fallbacks[key] || key;
@@ -331,6 +377,21 @@ export class OfflineIndicator {
         this.updateDisplay();
     }
 
+    /**
+     * Read the number of unresolved sync conflicts from the offline database.
+     * Loaded on demand so the indicator does not pull in the sync layer at startup.
+     * @returns {Promise<void>}
+     */
+    async refreshConflictCount() {
+        try {
+            const { conflictResolver } = await import('../sync/ConflictResolver.js');
+            this.conflictCount = await conflictResolver.countUnresolved();
+            this.updateDisplay();
+        } catch (error) {
+            debugLog('OfflineIndicator: Could not read sync conflicts', error);
+        }
+    }
+
     /**
      * Manually set offline status
      * @param {boolean} isOffline - Whether app is offline
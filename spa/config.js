@@ -94,6 +94,7 @@ export const CONFIG = {
      */
     STORAGE_KEYS: {
         JWT_TOKEN: "jwtToken",
+        REFRESH_TOKEN: "refreshToken",
         ORGANIZATION_ID: "organizationId",
         CURRENT_ORGANIZATION_ID: "currentOrganizationId",
         USER_ROLE: "userRole",
@@ -112,6 +113,8 @@ export const CONFIG = {
         // Auth
         LOGIN: "/public/login",
         LOGOUT: "/api/v1/auth/logout",
+        REFRESH_TOKEN: "/api/v1/auth/refresh",
+        SESSIONS: "/api/v1/auth/sessions",
         REGISTER: "/api/v1/auth/register",
         RESET_PASSWORD: "/api/v1/auth/reset-password",
 
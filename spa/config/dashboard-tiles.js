@@ -79,6 +79,18 @@ export const DASHBOARD_TILES = [
     priority: 3,
     gate: { any: ["activities.view", "participants.view"] },
   },
+  {
+    featureKey: "checkin",
+    // Camp mode: QR badge scans on the way in and out, and the live roll call.
+    href: "/checkin",
+    icon: "fa-qrcode",
+    label: "tile_checkin",
+    aliases: "tile_checkin_aliases",
+    moment: "now",
+    domain: "attendance",
+    priority: 4,
+    gate: { permission: "attendance.manage" },
+  },
 
   // ---------------------------------------------------------------
   // CETTE SEMAINE — what has to be ready before the next outing.
@@ -467,6 +479,7 @@ export const OFFLINE_AVAILABLE_ROUTES = new Set([
   "/managePoints",
   "/manageHonors",
   "/attendance",
+  "/checkin",
   "/upcoming-meeting",
   "/reunions",
   "/badge-tracker",
@@ -50,6 +50,15 @@ export const TABBED_PAGES = {
             (m) => m.ProgramProgressDashboard,
           ),
       },
+      {
+        key: "preuves",
+        labelKey: "tab_progression_evidence",
+        gate: () => hasPermission("badges.approve"),
+        load: () =>
+          import("../modules/program-progress/ProgressEvidenceQueue.js").then(
+            (m) => m.ProgressEvidenceQueue,
+          ),
+      },
     ],
   },
 
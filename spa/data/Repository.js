@@ -259,20 +259,35 @@ export class Repository {
    * Bulk upsert entities from server (no outbox entries).
    * Used during sync pull phase.
    *
+   * A record with unsynced local edits is not overwritten. When the server
+   * copy changed since the version the edit was made on, its updated_at is
+   * kept as _serverUpdatedAt so the merge phase can flag the conflict.
+   *
    * @param {Array<Object>} entities
    * @returns {Promise<void>}
    */
   async bulkUpsert(entities) {
     if (!entities || entities.length === 0) return;
 
-    const prepared = entities.map((e) => ({
-      ...e,
-      _dirty: false,
-      _syncVersion: (e._syncVersion || 0) + 1,
-    }));
-
-    await this.table.bulkPut(prepared);
-    debugLog(`Repository[${this.storeName}]: Bulk upserted ${prepared.length} entities`);
+    await db.transaction('rw', this.table, async () => {
+      const existing = await this.table.bulkGet(entities.map((e) => e[this.idField]));
+
+      const prepared = entities.map((e, index) => {
+        const local = existing[index];
+        if (local?._dirty) {
+          const serverChanged = e.updated_at && e.updated_at !== local.updated_at;
+          return serverChanged ? { ...local, _serverUpdatedAt: e.updated_at } : local;
+        }
+        return {
+          ...e,
+          _dirty: false,
+          _syncVersion: (e._syncVersion || 0) + 1,
+        };
+      });
+
+      await this.table.bulkPut(prepared);
+    });
+    debugLog(`Repository[${this.storeName}]: Bulk upserted ${entities.length} entities`);
   }
 
   /**
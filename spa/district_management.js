@@ -74,6 +74,8 @@ export class DistrictManagement {
     this.organizations = [];
     this.rolePermissions = {};
     this.roleBundleIndex = { list: [], byId: new Map(), byName: new Map() };
+    this.unitBundles = [];
+    this.appliedBundleIds = new Set();
     this.auditLogByUser = {};
     this.auditPanelError = "";
     this.loadingAuditUserId = null;
@@ -110,6 +112,7 @@ export class DistrictManagement {
       if (cached) {
         this.users = cached.users || [];
         this.roles = cached.roles || [];
+        this.unitBundles = cached.unitBundles || [];
         this.rolePermissions = cached.rolePermissions || {};
         this.organizationId = cached.organizationId || this.organizationId;
         this.organizations = cached.organizations || this.organizations;
@@ -135,6 +138,7 @@ export class DistrictManagement {
         {
           users: this.users,
           roles: this.roles,
+          unitBundles: this.unitBundles,
           rolePermissions: this.rolePermissions,
           lastSyncedAt: this.lastSyncedAt,
           queuedChanges: this.queuedChanges,
@@ -232,7 +236,8 @@ export class DistrictManagement {
       ]);
 
       if (roleResponse?.success) {
-        const roleCatalog = roleResponse.data || [];
+        const { roles: roleCatalog = [], bundles = [] } = roleResponse.data || {};
+        this.unitBundles = bundles;
         await this.hydrateRoleBundles(roleCatalog, forceRefresh);
       }
 
@@ -638,6 +643,7 @@ export class DistrictManagement {
 
           <div class="dm-modal-body">
             ${isSaving ? `<p class="dm-helper" role="status" aria-live="polite">${translate("district_management_saving")}</p>` : ""}
+            ${this.renderUnitBundles()}
             <div class="dm-modal-section">
               <p class="dm-section-title">${translate("district_management_bundles_title")}</p>
               <div class="dm-bundle-list">${bundleList}</div>
@@ -693,6 +699,51 @@ export class DistrictManagement {
     `;
   }
 
+  /**
+   * Role bundles the unit defined (role management screen). Applying one
+   * ticks its roles; the selection can still be adjusted before saving.
+   */
+  renderUnitBundles() {
+    if (!this.unitBundles.length) return "";
+
+    const chips = this.unitBundles
+      .map((bundle) => {
+        const roleNames = (bundle.role_ids || [])
+          .map((id) => this.getRoleById(id)?.display_name)
+          .filter(Boolean)
+          .join(", ");
+        const applied = this.isBundleApplied(bundle);
+        return `
+          <button type="button" class="chip dm-unit-bundle ${applied ? "chip--primary" : ""}"
+            data-bundle-id="${bundle.id}" title="${escapeHTML(roleNames)}" aria-pressed="${applied}">
+            ${escapeHTML(bundle.name)}
+          </button>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="dm-modal-section">
+        <p class="dm-section-title">${translate("district_management_unit_bundles_title")}</p>
+        <p class="dm-helper">${translate("district_management_unit_bundles_helper")}</p>
+        <div class="dm-unit-bundles">${chips}</div>
+      </div>
+    `;
+  }
+
+  isBundleApplied(bundle) {
+    return this.appliedBundleIds.has(bundle.id)
+      && (bundle.role_ids || []).every((id) => this.selectedRoleIds.has(id));
+  }
+
+  applyUnitBundle(bundleId) {
+    const bundle = this.unitBundles.find((item) => item.id === bundleId);
+    if (!bundle) return;
+    (bundle.role_ids || []).forEach((id) => this.selectedRoleIds.add(id));
+    this.appliedBundleIds.add(bundle.id);
+    this.renderAndBind();
+  }
+
   renderAuditPanel(user) {
     const entries = this.auditLogByUser[user.id] || [];
     const isLoading = this.loadingAuditUserId === user.id;
@@ -742,6 +793,7 @@ export class DistrictManagement {
           ${statusBadge}
         </div>
         <p class="dm-audit-summary">${action}</p>
+        ${entry.note ? `<p class="dm-audit-note">${escapeHTML(entry.note)}</p>` : ""}
       </li>
     `;
   }
@@ -821,6 +873,12 @@ export class DistrictManagement {
       });
     });
 
+    document.querySelectorAll(".dm-unit-bundle").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.applyUnitBundle(parseInt(button.getAttribute("data-bundle-id"), 10));
+      });
+    });
+
     const saveButton = document.getElementById("dm-save");
     saveButton?.addEventListener("click", () => this.handleSaveRoles());
 
@@ -938,6 +996,7 @@ export class DistrictManagement {
     const user = this.users.find((u) => u.id === userId);
     const roleIds = (user?.roles || []).map((role) => role.id || role.role_id || role.role_name);
     this.selectedRoleIds = new Set(roleIds);
+    this.appliedBundleIds = new Set();
     this.auditNote = "";
     this.mfaAcknowledged = false;
     this.formStatus = { type: "", message: "" };
@@ -949,6 +1008,7 @@ export class DistrictManagement {
   closeModal() {
     this.selectedUserId = null;
     this.selectedRoleIds = new Set();
+    this.appliedBundleIds = new Set();
     this.auditNote = "";
     this.mfaAcknowledged = false;
     this.loadingAuditUserId = null;
@@ -1151,7 +1211,7 @@ export class DistrictManagement {
         user.id,
         {
           roleIds: selectedRoleIds,
-          bundleIds: selectedRoleIds,
+          bundleIds: this.unitBundles.filter((bundle) => this.isBundleApplied(bundle)).map((bundle) => bundle.id),
           bundles: this.describeSelectedBundles(selectedRoleIds),
           audit_note: this.auditNote.trim(),
         },
@@ -1163,8 +1223,8 @@ export class DistrictManagement {
         },
       );
       await this.reconcileUserRoles(user.id);
+      // The reloaded history already holds this change, note included.
       await this.loadAuditLog(user.id, true);
-      this.recordLocalAuditEntry(user.id, selectedRoleIds, "success");
       this.userMeta[user.id] = { lastSyncedAt: Date.now(), roleCount: selectedRoleIds.length };
       this.lastSyncedAt = Date.now();
       await clearUserCaches(this.organizationId);
@@ -1250,6 +1310,7 @@ export class DistrictManagement {
     const entry = {
       actor_name: actorName,
       summary,
+      note: this.auditNote.trim(),
       status,
       created_at: new Date().toISOString(),
     };
@@ -6,7 +6,10 @@ import {
     getOrganizationFormFormats,
     getFormSubmission,
     saveFormSubmission,
+    uploadFormAttachment,
+    getFormAttachmentUrl,
 } from "./ajax-functions.js";
+import { findMissingFields, readStructuredValues } from "./utils/FormLogicUtils.js";
 import { setContent } from "./utils/DOMUtils.js";
 import { escapeHTML } from "./utils/SecurityUtils.js";
 
@@ -23,6 +26,9 @@ export class DynamicFormHandler {
         this.useUniqueIds = false;
         this.uniqueIdPart = '';
          this.organizationId = null;
+        // Set by the page when the form is about a participant whose birth
+        // date is not one of the form's own fields (age rules, computed ages)
+        this.participantBirthDate = null;
     }
 
     async init(formType, participantId = null, initialData = {}, container = null, useUniqueIds = false, formIndex = null, formStructure = null,organizationId = null) {
@@ -171,7 +177,8 @@ export class DynamicFormHandler {
             ];
         }
 
-        const formRenderer = new JSONFormRenderer({ fields }, this.formData, this.formType, this.useUniqueIds, this.formIndex);
+        const formRenderer = new JSONFormRenderer({ fields }, this.formData, this.formType, this.useUniqueIds, this.formIndex, this.getFormContext());
+        this.formRenderer = formRenderer;
 
         const formContent = formRenderer.render();
 
@@ -200,6 +207,7 @@ export class DynamicFormHandler {
 
         // Attach event listeners for dependent fields
         this.attachDependencyListeners();
+        formRenderer.attachConditionalLogic(this.container.querySelector(`#dynamic-form-${this.formType}${uniqueIdPart}`));
 
         // Attach event listeners only if it's standalone
         if (this.isStandalone()) {
@@ -207,6 +215,26 @@ export class DynamicFormHandler {
         }
     }
 
+    /**
+     * What the renderer needs beyond the answers: the participant's birth
+     * date, and how to store and open a file field's attachment.
+     */
+    getFormContext() {
+        const context = { birthDate: this.participantBirthDate || this.formData.date_naissance || null };
+        if (this.participantId) {
+            context.uploadFile = (file) => uploadFormAttachment(file, this.participantId, this.formType);
+            context.openFile = async (attachment) => {
+                const url = await getFormAttachmentUrl(attachment.key, this.participantId);
+                if (url) {
+                    window.open(url, '_blank', 'noopener');
+                } else {
+                    this.showError(translate("form_file_unavailable"));
+                }
+            };
+        }
+        return context;
+    }
+
     // Attach dependency listeners to controlling fields after rendering
     attachDependencyListeners() {
         const fields = this.formFormats[this.formType].fields;
@@ -284,8 +312,10 @@ export class DynamicFormHandler {
 
     async handleSubmit(e) {
         e.preventDefault();
-        const formData = new FormData(e.target);
-        const submissionData = Object.fromEntries(formData.entries());
+        const submissionData = this.formRenderer.getFormData(e.target);
+        if (!this.confirmRequiredFields(submissionData)) {
+            return;
+        }
 
         try {
             const result = await saveFormSubmission(this.formType, this.participantId, submissionData);
@@ -301,6 +331,26 @@ export class DynamicFormHandler {
         }
     }
 
+    /**
+     * The browser checks the plain inputs; a file not uploaded and repeat rows
+     * missing an answer are only caught here. Shows what is missing.
+     *
+     * @param {Object} submissionData - Answers about to be saved
+     * @returns {boolean} True when nothing required is missing
+     */
+    confirmRequiredFields(submissionData) {
+        const missing = findMissingFields(this.formRenderer.formStructure.fields, submissionData, this.formRenderer.context);
+        if (missing.length > 0) {
+            const labels = missing.map((name) => {
+                const field = this.formRenderer.formStructure.fields.find((candidate) => candidate.name === name);
+                return translate(field?.label || name);
+            });
+            this.showError(`${translate("form_missing_required_fields")}: ${labels.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
     showError(message) {
         this.app.showMessage(message, "error");
     }
@@ -317,6 +367,11 @@ export class DynamicFormHandler {
 		// Collect data directly from input, select, and textarea elements within this specific formElement
 		const filteredData = {};
 		formElement.querySelectorAll('input, select, textarea').forEach(field => {
+			// Unnamed controls belong to a signature, file or repeat field, whose
+			// answer is in that field's hidden input; hidden fields are disabled
+			if (!field.name || field.disabled && field.closest('.form-group[hidden]')) {
+				return;
+			}
 			if (field.type === 'checkbox') {
 				filteredData[field.name] = field.checked;
 			} else if (field.type === 'radio') {
@@ -329,7 +384,8 @@ export class DynamicFormHandler {
 			}
 		});
 
-		return filteredData; // Return all the form data as an object
+		const fields = this.formRenderer ? this.formRenderer.formStructure.fields : this.formFormats[this.formType]?.fields;
+		return readStructuredValues(fields, filteredData);
 	}
 
 
@@ -56,6 +56,7 @@ export class FicheSante {
   async initializeFormHandler() {
     // Initialize the DynamicFormHandler for the fiche_sante form
     this.formHandler = new DynamicFormHandler(this.app);
+    this.formHandler.participantBirthDate = this.participant.date_naissance;
     await this.formHandler.init(
       'fiche_sante',
       this.participantId,
@@ -148,6 +149,9 @@ export class FicheSante {
     try {
       // Get form data from the dynamic form handler
       const ficheSanteData = this.formHandler.getFormData();
+      if (!this.formHandler.confirmRequiredFields(ficheSanteData)) {
+        return;
+      }
 
       // Get emergency contacts
       const formData = new FormData(e.target);
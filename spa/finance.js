@@ -9,11 +9,22 @@ import {
   getParticipantPayments,
   createParticipantPayment,
   updatePayment,
+  refundPayment,
   getPaymentPlans,
   createPaymentPlan,
   updatePaymentPlan,
   deletePaymentPlan,
   getFinanceReport,
+  getPaymentReminderSettings,
+  updatePaymentReminderSettings,
+  getFamilyStatementPdf,
+  getTaxReceipts,
+  getTaxReceiptPreview,
+  issueTaxReceipts,
+  emailTaxReceipts,
+  getTaxReceiptPdf,
+  getReceiptSettings,
+  updateReceiptSettings,
   getParticipants
 } from "./ajax-functions.js";
 import { translate } from "./app.js";
@@ -22,8 +33,8 @@ import { debugLog, debugError } from "./utils/DebugUtils.js";
 import { formatDateShort, getTodayISO } from "./utils/DateUtils.js";
 import { clearFinanceRelatedCaches } from "./indexedDB.js";
 import { LoadingStateManager, CacheWithTTL, retryWithBackoff, withButtonLoading, debounce } from "./utils/PerformanceUtils.js";
-import { exportToCSV } from "./utils/ExportUtils.js";
-import { confirmDestructive } from "./utils/DialogUtils.js";
+import { exportToCSV, downloadBlob } from "./utils/ExportUtils.js";
+import { confirmDestructive, prompt as promptDialog } from "./utils/DialogUtils.js";
 import { validateMoney, validateDateField, validatePositiveInteger } from "./utils/ValidationUtils.js";
 import { canManageFinance, canViewFinance } from "./utils/PermissionUtils.js";
 import { setContent, insertHTML } from "./utils/DOMUtils.js";
@@ -39,6 +50,11 @@ export class Finance extends BaseModule {
     this.participantFees = [];
     this.participants = [];
     this.financeSummary = null;
+    this.reminderSettings = null;
+    this.receiptYear = new Date().getFullYear() - 1;
+    this.receiptPreview = null;
+    this.taxReceipts = [];
+    this.receiptSettings = null;
     this.activeTab = "memberships";
 
     // Enhanced caching with TTL (5 minutes)
@@ -76,6 +92,9 @@ export class Finance extends BaseModule {
       this.renderLoading();
 
       await this.loadCoreData();
+      if (this.activeTab === "receipts") {
+        await this.loadReceiptsData();
+      }
 
       // Render with data
       this.render();
@@ -103,7 +122,7 @@ export class Finance extends BaseModule {
   async loadCoreData() {
     return this.loadingManager.withLoading('core-data', async () => {
       // Load data with individual error handling and retry logic
-      const [fees, feeDefs, participants, summary] = await Promise.all([
+      const [fees, feeDefs, participants, summary, reminderSettings] = await Promise.all([
         retryWithBackoff(
           () => getParticipantFees(),
           {
@@ -136,6 +155,10 @@ export class Finance extends BaseModule {
         ).catch(error => {
           debugError("Error loading finance report:", error);
           return { data: null };
+        }),
+        getPaymentReminderSettings().catch(error => {
+          debugError("Error loading payment reminder settings:", error);
+          return { data: null };
         })
       ]);
 
@@ -143,6 +166,7 @@ export class Finance extends BaseModule {
       this.feeDefinitions = feeDefs?.data || feeDefs?.fee_definitions || [];
       this.participants = participants?.data || participants?.participants || [];
       this.financeSummary = summary?.data || null;
+      this.reminderSettings = reminderSettings?.data || null;
     });
   }
 
@@ -294,6 +318,7 @@ export class Finance extends BaseModule {
           ${this.renderTabButton("memberships", translate("finance_memberships_tab"))}
           ${canEditDefinitions ? this.renderTabButton("definitions", translate("finance_definitions_tab")) : ""}
           ${canSeeReports ? this.renderTabButton("reports", translate("financial_report")) : ""}
+          ${canSeeReports ? this.renderTabButton("receipts", translate("tax_receipts")) : ""}
         </div>
         <div id="finance-content" class="finance-content" aria-live="polite">
           ${this.renderActiveTab()}
@@ -321,6 +346,8 @@ export class Finance extends BaseModule {
         return this.renderDefinitionsSection();
       case "reports":
         return this.renderReportsSection();
+      case "receipts":
+        return this.renderReceiptsSection();
       case "memberships":
       default:
         return this.renderMembershipsSection();
@@ -546,6 +573,7 @@ export class Finance extends BaseModule {
         <td class="finance-actions">
           <button class="secondary-button" data-action="open-payment" data-id="${fee.id}">${translate("make_payment")}</button>
           <button class="ghost-button" data-action="open-plan" data-id="${fee.id}">${translate("manage_installments")}</button>
+          <button class="ghost-button" data-action="download-family-statement" data-participant-id="${fee.participant_id}">${translate("family_statement")}</button>
         </td>
       </tr>
     `;
@@ -558,6 +586,23 @@ export class Finance extends BaseModule {
     const participants = summary.participants || [];
     const paymentMethods = summary.payment_methods || [];
     const paymentMethodsTotal = paymentMethods.reduce((acc, item) => acc + (Number(item.total_paid) || 0), 0);
+    const overdue = summary.overdue || { total_overdue: 0, fees: [] };
+
+    const overdueRows = (overdue.fees || [])
+      .map(
+        (fee) => `
+          <div class="finance-list__row">
+            <div>
+              <p class="finance-meta">${escapeHTML(fee.first_name || "")} ${escapeHTML(fee.last_name || "")}</p>
+              <p class="finance-helper">${translate("overdue_since")} ${formatDateShort(fee.oldest_due_date)} · ${translate("installments_overdue").replace("{count}", fee.installments_overdue)}</p>
+            </div>
+            <div class="finance-row-values">
+              <span class="finance-stat__value--alert">${this.formatCurrency(fee.overdue_amount)}</span>
+            </div>
+          </div>
+        `
+      )
+      .join("");
 
     const definitionsHtml = byDefinition
       .map(
@@ -635,8 +680,17 @@ export class Finance extends BaseModule {
               <p class="finance-stat__label">${translate("outstanding_balance")}</p>
               <p class="finance-stat__value finance-stat__value--alert">${this.formatCurrency(totals.total_outstanding)}</p>
             </div>
+            <div>
+              <p class="finance-stat__label">${translate("overdue_installments")}</p>
+              <p class="finance-stat__value finance-stat__value--alert">${this.formatCurrency(overdue.total_overdue)}</p>
+            </div>
           </div>
         </article>
+        <article class="finance-card">
+          <h3>${translate("overdue_installments")}</h3>
+          ${overdueRows || `<p class="finance-helper">${translate("no_overdue_installments")}</p>`}
+        </article>
+        ${this.renderReminderSettingsCard()}
         <article class="finance-card">
           <h3>${translate("by_payment_method")}</h3>
           ${paymentMethodRows || `<p class="finance-helper">${translate("no_payments")}</p>`}
@@ -653,6 +707,276 @@ export class Finance extends BaseModule {
     `;
   }
 
+  renderReminderSettingsCard() {
+    const settings = this.reminderSettings;
+    if (!settings) {
+      return "";
+    }
+
+    const offsets = (settings.offsets_days || []).join(", ");
+
+    if (!canManageFinance()) {
+      return `
+        <article class="finance-card">
+          <h3>${translate("payment_reminders")}</h3>
+          <p class="finance-helper">${settings.enabled ? translate("payment_reminders_enabled_summary").replace("{offsets}", offsets) : translate("payment_reminders_disabled")}</p>
+        </article>
+      `;
+    }
+
+    return `
+      <article class="finance-card">
+        <h3>${translate("payment_reminders")}</h3>
+        <form id="payment-reminder-form" class="finance-form" novalidate>
+          <label>
+            <input type="checkbox" name="enabled" id="payment_reminders_enabled" ${settings.enabled ? "checked" : ""}>
+            ${translate("payment_reminders_enable")}
+          </label>
+          <label for="payment_reminder_offsets">${translate("payment_reminder_offsets")}</label>
+          <input type="text" name="offsets_days" id="payment_reminder_offsets" value="${escapeHTML(offsets)}" inputmode="numeric">
+          <p class="finance-helper">${translate("payment_reminder_offsets_help")}</p>
+          <div class="finance-actions">
+            <button type="submit" class="primary-button">${translate("save")}</button>
+          </div>
+        </form>
+      </article>
+    `;
+  }
+
+  async handleReminderSettingsSubmit(event) {
+    const form = event.target;
+    const offsetsText = form.offsets_days.value.trim();
+    const payload = {
+      enabled: form.enabled.checked,
+      offsets_days: offsetsText ? offsetsText.split(/[\s,;]+/).filter(Boolean).map(Number) : []
+    };
+
+    try {
+      const response = await updatePaymentReminderSettings(payload);
+      this.reminderSettings = response?.data || payload;
+      this.render();
+      this.attachEventListeners();
+      this.app.showMessage(translate("data_saved"), "success");
+    } catch (error) {
+      debugError("Error saving payment reminder settings", error);
+      const knownErrors = ["invalid_reminder_offset", "too_many_reminder_offsets", "reminder_offsets_required"];
+      this.app.showMessage(
+        knownErrors.includes(error?.message) ? translate(error.message) : translate("error_saving_changes"),
+        "error"
+      );
+    }
+  }
+
+  async loadReceiptsData() {
+    const [preview, receipts, settings] = await Promise.all([
+      getTaxReceiptPreview(this.receiptYear).catch((error) => {
+        debugError("Error loading tax receipt preview:", error);
+        return { data: null };
+      }),
+      getTaxReceipts(this.receiptYear).catch((error) => {
+        debugError("Error loading tax receipts:", error);
+        return { data: [] };
+      }),
+      getReceiptSettings().catch((error) => {
+        debugError("Error loading receipt settings:", error);
+        return { data: null };
+      })
+    ]);
+
+    this.receiptPreview = preview?.data || null;
+    this.taxReceipts = receipts?.data || [];
+    this.receiptSettings = settings?.data || null;
+  }
+
+  renderReceiptsSection() {
+    const canManage = canManageFinance();
+    const currentYear = new Date().getFullYear();
+    const years = [0, 1, 2, 3, 4].map((offset) => currentYear - offset);
+    const families = this.receiptPreview?.families || [];
+    const unassigned = this.receiptPreview?.unassigned || [];
+    const pendingCount = families.filter((family) => !family.issued).length;
+    const unsentCount = this.taxReceipts.filter((receipt) => !receipt.emailed_at && receipt.recipient_email).length;
+    const childNames = (children) => children
+      .map((child) => `${escapeHTML(child.first_name || "")} ${escapeHTML(child.last_name || "")}`.trim())
+      .join(", ");
+
+    const familyRows = families
+      .map((family) => `
+        <div class="finance-list__row">
+          <div>
+            <p class="finance-meta">${escapeHTML(family.recipient_name || "")}</p>
+            <p class="finance-helper">${childNames(family.participants || [])}</p>
+          </div>
+          <div class="finance-row-values">
+            <span>${this.formatCurrency(family.total_amount)}</span>
+            <span class="finance-pill finance-pill--${family.issued ? "success" : "warning"}">${translate(family.issued ? "receipt_issued" : "receipt_pending")}</span>
+          </div>
+        </div>
+      `)
+      .join("");
+
+    const receiptRows = this.taxReceipts
+      .map((receipt) => `
+        <div class="finance-list__row">
+          <div>
+            <p class="finance-meta">#${receipt.receipt_number} · ${escapeHTML(receipt.recipient_name || "")}</p>
+            <p class="finance-helper">${receipt.emailed_at ? `${translate("receipt_emailed_on")} ${formatDateShort(receipt.emailed_at)}` : escapeHTML(receipt.recipient_email || translate("receipt_no_email"))}</p>
+          </div>
+          <div class="finance-row-values">
+            <span>${this.formatCurrency(receipt.total_amount)}</span>
+            <button class="ghost-button" data-action="download-receipt" data-id="${receipt.id}" data-number="${receipt.receipt_number}">${translate("download_pdf")}</button>
+          </div>
+        </div>
+      `)
+      .join("");
+
+    return `
+      <section class="finance-grid">
+        <article class="finance-card finance-card--highlight">
+          <h2>${translate("tax_receipts")}</h2>
+          <label for="receipt_year">${translate("tax_year")}</label>
+          <select id="receipt_year">
+            ${years.map((year) => `<option value="${year}" ${year === this.receiptYear ? "selected" : ""}>${year}</option>`).join("")}
+          </select>
+          <p class="finance-helper">${translate("tax_receipts_help")}</p>
+          ${unassigned.length ? `<p class="finance-helper finance-stat__value--alert">${translate("tax_receipts_unassigned").replace("{names}", childNames(unassigned))}</p>` : ""}
+          ${canManage ? `
+            <div class="finance-actions">
+              <button class="primary-button" id="issue-tax-receipts" ${pendingCount ? "" : "disabled"}>${translate("issue_tax_receipts").replace("{count}", pendingCount)}</button>
+              <button class="secondary-button" id="email-tax-receipts" ${unsentCount ? "" : "disabled"}>${translate("email_tax_receipts").replace("{count}", unsentCount)}</button>
+            </div>
+          ` : ""}
+        </article>
+        <article class="finance-card">
+          <h3>${translate("receipt_families")}</h3>
+          ${familyRows || `<p class="finance-helper">${translate("no_receipt_families")}</p>`}
+        </article>
+        <article class="finance-card">
+          <h3>${translate("issued_receipts")}</h3>
+          ${receiptRows || `<p class="finance-helper">${translate("no_issued_receipts")}</p>`}
+        </article>
+        ${canManage ? this.renderReceiptSettingsCard() : ""}
+      </section>
+    `;
+  }
+
+  renderReceiptSettingsCard() {
+    const settings = this.receiptSettings || {};
+    return `
+      <article class="finance-card">
+        <h3>${translate("receipt_issuer_details")}</h3>
+        <form id="receipt-settings-form" class="finance-form" novalidate>
+          <label for="receipt_registration_number">${translate("charity_registration_number")}</label>
+          <input type="text" id="receipt_registration_number" name="registration_number" maxlength="50" value="${escapeHTML(settings.registration_number || "")}">
+          <label for="receipt_address">${translate("receipt_issuer_address")}</label>
+          <textarea id="receipt_address" name="address" maxlength="500" rows="2">${escapeHTML(settings.address || "")}</textarea>
+          <label for="receipt_signatory_name">${translate("receipt_signatory_name")}</label>
+          <input type="text" id="receipt_signatory_name" name="signatory_name" maxlength="255" value="${escapeHTML(settings.signatory_name || "")}">
+          <label for="receipt_signatory_title">${translate("receipt_signatory_title")}</label>
+          <input type="text" id="receipt_signatory_title" name="signatory_title" maxlength="255" value="${escapeHTML(settings.signatory_title || "")}">
+          <div class="finance-actions">
+            <button type="submit" class="primary-button">${translate("save")}</button>
+          </div>
+        </form>
+      </article>
+    `;
+  }
+
+  attachReceiptListeners() {
+    document.getElementById('receipt_year')?.addEventListener('change', async (e) => {
+      this.receiptYear = Number(e.target.value);
+      await this.loadReceiptsData();
+      this.render();
+      this.attachEventListeners();
+    });
+
+    const issueBtn = document.getElementById('issue-tax-receipts');
+    issueBtn?.addEventListener('click', async () => {
+      const message = translate('issue_tax_receipts_confirm').replace('{year}', this.receiptYear);
+      if (!(await confirmDestructive(message))) {
+        return;
+      }
+      await withButtonLoading(issueBtn, async () => {
+        try {
+          const response = await issueTaxReceipts(this.receiptYear);
+          const count = response?.data?.issued?.length || 0;
+          await this.loadReceiptsData();
+          this.render();
+          this.attachEventListeners();
+          this.app.showMessage(translate('tax_receipts_issued').replace('{count}', count), 'success');
+        } catch (error) {
+          debugError('Error issuing tax receipts', error);
+          this.app.showMessage(translate('error_saving_changes'), 'error');
+        }
+      });
+    });
+
+    const emailBtn = document.getElementById('email-tax-receipts');
+    emailBtn?.addEventListener('click', () => withButtonLoading(emailBtn, async () => {
+      try {
+        const response = await emailTaxReceipts(this.receiptYear);
+        const counts = response?.data || {};
+        await this.loadReceiptsData();
+        this.render();
+        this.attachEventListeners();
+        this.app.showMessage(
+          translate('tax_receipts_emailed').replace('{sent}', counts.sent || 0).replace('{failed}', counts.failed || 0),
+          counts.failed ? 'warning' : 'success'
+        );
+      } catch (error) {
+        debugError('Error emailing tax receipts', error);
+        this.app.showMessage(translate('tax_receipts_email_failed'), 'error');
+      }
+    }));
+
+    document.querySelectorAll('[data-action="download-receipt"]').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        const trigger = e.currentTarget;
+        withButtonLoading(trigger, async () => {
+          try {
+            const blob = await getTaxReceiptPdf(trigger.dataset.id, this.app.lang);
+            downloadBlob(blob, `receipt-${this.receiptYear}-${trigger.dataset.number}.pdf`, 'application/pdf');
+          } catch (error) {
+            debugError('Error downloading tax receipt', error);
+            this.app.showMessage(translate('pdf_download_failed'), 'error');
+          }
+        });
+      });
+    });
+
+    const settingsForm = document.getElementById('receipt-settings-form');
+    settingsForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const submitBtn = settingsForm.querySelector('button[type="submit"]');
+      withButtonLoading(submitBtn, async () => {
+        const payload = {
+          registration_number: settingsForm.registration_number.value,
+          address: settingsForm.address.value,
+          signatory_name: settingsForm.signatory_name.value,
+          signatory_title: settingsForm.signatory_title.value
+        };
+        try {
+          const response = await updateReceiptSettings(payload);
+          this.receiptSettings = response?.data || payload;
+          this.app.showMessage(translate('data_saved'), 'success');
+        } catch (error) {
+          debugError('Error saving receipt settings', error);
+          this.app.showMessage(translate('error_saving_changes'), 'error');
+        }
+      });
+    });
+  }
+
+  async downloadFamilyStatement(participantId) {
+    try {
+      const blob = await getFamilyStatementPdf(participantId, this.app.lang);
+      downloadBlob(blob, `family-statement-${participantId}.pdf`, 'application/pdf');
+    } catch (error) {
+      debugError('Error downloading family statement', error);
+      this.app.showMessage(translate('pdf_download_failed'), 'error');
+    }
+  }
+
   exportFinanceReport() {
     const summary = this.financeSummary || {};
     const participants = summary.participants || [];
@@ -777,16 +1101,21 @@ export class Finance extends BaseModule {
 
   attachEventListeners() {
     document.querySelectorAll('.finance-tab').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
+      btn.addEventListener('click', async (e) => {
         this.activeTab = e.currentTarget.dataset.tab;
         const url = new URL(window.location.href);
         url.searchParams.set('tab', this.activeTab);
         window.history.replaceState({}, '', url.toString());
+        if (this.activeTab === 'receipts') {
+          await this.loadReceiptsData();
+        }
         this.render();
         this.attachEventListeners();
       });
     });
 
+    this.attachReceiptListeners();
+
     // Export listener
     const exportBtn = document.getElementById('export-finance-csv');
     if (exportBtn) {
@@ -826,6 +1155,15 @@ export class Finance extends BaseModule {
       });
     });
 
+    const reminderForm = document.getElementById('payment-reminder-form');
+    if (reminderForm) {
+      reminderForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const submitBtn = reminderForm.querySelector('button[type="submit"]');
+        withButtonLoading(submitBtn, () => this.handleReminderSettingsSubmit(e));
+      });
+    }
+
     const definitionForm = document.getElementById('fee-definition-form');
     if (definitionForm) {
       definitionForm.addEventListener('submit', (e) => {
@@ -922,6 +1260,13 @@ export class Finance extends BaseModule {
       btn.addEventListener('click', (e) => this.openPlanModal(e.currentTarget.dataset.id));
     });
 
+    document.querySelectorAll('[data-action="download-family-statement"]').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        const trigger = e.currentTarget;
+        withButtonLoading(trigger, () => this.downloadFamilyStatement(trigger.dataset.participantId));
+      });
+    });
+
     const installmentSelect = document.getElementById('installment_fee_select');
     const planShortcut = document.getElementById('open-plan-shortcut');
     const paymentShortcut = document.getElementById('open-payment-shortcut');
@@ -1249,10 +1594,12 @@ export class Finance extends BaseModule {
         this.paymentsCache.set(feeId, payments?.data || payments?.payments || []);
       }
       const payments = this.paymentsCache.get(feeId);
+      const canRefund = canManageFinance();
       setContent(historyContainer, payments.length
         ? payments
-          .map(
-            (payment) => `
+          .map((payment) => {
+            const refundable = this.getRefundableAmount(payment);
+            return `
                 <div class="finance-list__row" data-payment-id="${payment.id}">
                   <div>
                     <p class="finance-meta">${formatDateShort(payment.payment_date)}</p>
@@ -1261,18 +1608,75 @@ export class Finance extends BaseModule {
                   <div class="finance-row-values">
                     <span>${this.formatCurrency(payment.amount)}</span>
                     ${payment.reference_number ? `<span>${escapeHTML(payment.reference_number)}</span>` : ""}
+                    ${Number(payment.refunded_amount) > 0 ? `<span class="finance-meta">${translate("refunded_amount")}: ${this.formatCurrency(payment.refunded_amount)}</span>` : ""}
                   </div>
+                  ${canRefund && refundable > 0 ? `
+                    <button type="button" class="ghost-button" data-action="refund-payment" data-id="${payment.id}" data-refundable="${refundable.toFixed(2)}">
+                      ${translate("refund_payment")}
+                    </button>
+                  ` : ""}
                 </div>
-              `
-          )
+              `;
+          })
           .join("")
         : `<p class="finance-helper">${translate("no_payments")}</p>`);
+
+      historyContainer.querySelectorAll('[data-action="refund-payment"]').forEach((btn) => {
+        btn.addEventListener('click', (e) => {
+          const { id, refundable } = e.currentTarget.dataset;
+          withButtonLoading(e.currentTarget, () => this.handleRefund(feeId, id, Number(refundable)));
+        });
+      });
     } catch (error) {
       debugError('Error loading payments', error);
       setContent(historyContainer, `<p class="finance-helper">${translate("error_loading_data")}</p>`);
     }
   }
 
+  /**
+   * Amount still refundable on a payment; refunds themselves are not refundable.
+   */
+  getRefundableAmount(payment) {
+    if (payment.refund_of_payment_id) return 0;
+    const refundable = (Number(payment.amount) || 0) - (Number(payment.refunded_amount) || 0);
+    return Math.round(refundable * 100) / 100;
+  }
+
+  async handleRefund(feeId, paymentId, refundable) {
+    const amountInput = await promptDialog({
+      title: translate('refund_payment'),
+      message: translate('refund_amount_prompt').replace('{amount}', this.formatCurrency(refundable)),
+      defaultValue: refundable.toFixed(2)
+    });
+    if (amountInput === null) return;
+
+    const amountValidation = validateMoney(amountInput, translate('amount'), { min: 0.01, max: refundable });
+    if (!amountValidation.valid) {
+      this.app.showMessage(amountValidation.error, 'error');
+      return;
+    }
+
+    const confirmed = await confirmDestructive(translate('refund_confirm').replace('{amount}', this.formatCurrency(amountValidation.value)));
+    if (!confirmed) return;
+
+    try {
+      await refundPayment(paymentId, { amount: amountValidation.value });
+      await clearFinanceRelatedCaches(feeId);
+      this.paymentsCache.delete(feeId);
+      await this.loadCoreData();
+      this.render();
+      this.attachEventListeners();
+      await this.openPaymentModal(feeId);
+      this.app.showMessage(translate('refund_recorded'), 'success');
+    } catch (error) {
+      debugError('Error refunding payment', error);
+      const message = error?.message === 'amount_exceeds_refundable'
+        ? translate(error.message)
+        : translate('refund_failed');
+      this.app.showMessage(message, 'error');
+    }
+  }
+
   updatePaymentSummary(fee) {
     const labelEl = document.getElementById('payment-total-label');
     const outputEl = document.getElementById('payment-total-output');
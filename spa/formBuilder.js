@@ -10,12 +10,36 @@
 import { debugLog, debugError, debugWarn } from "./utils/DebugUtils.js";
 import { API } from "./api/api-core.js";
 import { translate } from "./app.js";
-import { escapeHTML } from "./utils/SecurityUtils.js";
+import { escapeAttribute, escapeHTML } from "./utils/SecurityUtils.js";
 import { CONFIG } from "./config.js";
 import { JSONFormRenderer } from "./JSONFormRenderer.js";
 import { setContent, insertHTML } from "./utils/DOMUtils.js";
 import { BaseModule } from "./utils/BaseModule.js";
 import { confirmDestructive } from "./utils/DialogUtils.js";
+import {
+    COMPUTED_OPERATIONS,
+    CONDITION_OPERATORS,
+    REPEAT_SUBFIELD_TYPES,
+    VALUELESS_OPERATORS
+} from "./utils/FormLogicUtils.js";
+
+// Field types offered in the editor, with the key of their label
+const FIELD_TYPE_LABELS = {
+    text: "text",
+    email: "email",
+    tel: "telephone",
+    number: "form_builder_type_number",
+    date: "date",
+    select: "select",
+    radio: "radio",
+    checkbox: "checkbox",
+    textarea: "textarea",
+    infoText: "info_text",
+    computed: "form_builder_type_computed",
+    signature: "form_builder_type_signature",
+    file: "form_builder_type_file",
+    repeat: "form_builder_type_repeat"
+};
 
 /**
  * FormBuilder class - Main form builder component
@@ -214,7 +238,7 @@ export class FormBuilder extends BaseModule {
                             <strong>${escapeHTML(field.name || field.type)}</strong>
                             <span class="field-type">${escapeHTML(field.type)}</span>
                             ${field.required ? `<span class="badge">${translate("required")}</span>` : ''}
-                            ${field.dependsOn ? `<span class="badge badge-info">${translate("conditional")}</span>` : ''}
+                            ${field.dependsOn || field.showIf || field.requiredIf ? `<span class="badge badge-info">${translate("conditional")}</span>` : ''}
                             ${this.checkTranslation(field.label) ? '' : `<span class="badge badge-warning" title="${translate("translation_missing")}">⚠</span>`}
                         </div>
                         <div class="field-actions">
@@ -263,20 +287,17 @@ export class FormBuilder extends BaseModule {
             ['radio', 'checkbox'].includes(f.type) && f.name
         );
 
+        // Fields a condition or a computed value can read
+        this.editingFieldName = field.name || null;
+
         setContent(content, `
             <form id="field-editor-form" class="field-editor-form">
                 <div class="form-group">
                     <label for="field-type">${translate("field_type")} *</label>
                     <select id="field-type" name="type" required>
-                        <option value="text" ${field.type === 'text' ? 'selected' : ''}>${translate("text")}</option>
-                        <option value="email" ${field.type === 'email' ? 'selected' : ''}>${translate("email")}</option>
-                        <option value="tel" ${field.type === 'tel' ? 'selected' : ''}>${translate("telephone")}</option>
-                        <option value="date" ${field.type === 'date' ? 'selected' : ''}>${translate("date")}</option>
-                        <option value="select" ${field.type === 'select' ? 'selected' : ''}>${translate("select")}</option>
-                        <option value="radio" ${field.type === 'radio' ? 'selected' : ''}>${translate("radio")}</option>
-                        <option value="checkbox" ${field.type === 'checkbox' ? 'selected' : ''}>${translate("checkbox")}</option>
-                        <option value="textarea" ${field.type === 'textarea' ? 'selected' : ''}>${translate("textarea")}</option>
-                        <option value="infoText" ${field.type === 'infoText' ? 'selected' : ''}>${translate("info_text")}</option>
+                        ${Object.entries(FIELD_TYPE_LABELS).map(([type, labelKey]) => `
+                            <option value="${type}" ${field.type === type ? 'selected' : ''}>${translate(labelKey)}</option>
+                        `).join('')}
                     </select>
                 </div>
 
@@ -347,6 +368,35 @@ export class FormBuilder extends BaseModule {
                            placeholder="yes">
                 </div>
 
+                ${this.renderConditionEditor('show-if', translate("form_builder_show_if"), field.showIf)}
+                ${this.renderConditionEditor('required-if', translate("form_builder_required_if"), field.requiredIf)}
+
+                <div class="form-group" id="computed-group" style="display:none;">
+                    <label for="computed-operation">${translate("form_builder_computed_operation")}</label>
+                    <select id="computed-operation">
+                        ${COMPUTED_OPERATIONS.map(operation => `
+                            <option value="${operation}" ${field.compute?.operation === operation ? 'selected' : ''}>${translate(`form_builder_compute_${operation}`)}</option>
+                        `).join('')}
+                    </select>
+                    <label for="computed-sources">${translate("form_builder_computed_sources")}</label>
+                    <select id="computed-sources" multiple size="5">
+                        ${this.getSourceFieldNames().map(name => `
+                            <option value="${escapeHTML(name)}" ${(field.compute?.fields || []).includes(name) ? 'selected' : ''}>${escapeHTML(name)}</option>
+                        `).join('')}
+                    </select>
+                    <small>${translate("form_builder_computed_sources_hint")}</small>
+                    <label for="computed-separator">${translate("form_builder_computed_separator")}</label>
+                    <input type="text" id="computed-separator" value="${escapeHTML(field.compute?.separator ?? ' ')}">
+                </div>
+
+                <div class="form-group" id="repeat-group" style="display:none;">
+                    <label>${translate("form_builder_repeat_fields")}</label>
+                    <div id="repeat-fields-container">
+                        ${(field.fields || []).map(subField => this.renderRepeatFieldEditor(subField)).join('')}
+                    </div>
+                    <button type="button" id="add-repeat-field" class="btn btn-sm">${translate("form_builder_add_repeat_field")}</button>
+                </div>
+
                 <div class="form-actions">
                     <button type="submit" class="btn btn-primary">${translate("save_field")}</button>
                     <button type="button" id="cancel-field-edit" class="btn btn-secondary">${translate("cancel")}</button>
@@ -361,6 +411,127 @@ export class FormBuilder extends BaseModule {
         this.attachFieldEditorListeners();
     }
 
+    /**
+     * Names a condition or a computed field can read: every other named
+     * field, plus `group.field` for the fields of each repeating group.
+     */
+    getSourceFieldNames() {
+        return this.currentFields
+            .filter(f => f.name && f.name !== this.editingFieldName)
+            .flatMap(f => [
+                f.name,
+                ...(f.type === 'repeat' ? (f.fields || []).map(subField => `${f.name}.${subField.name}`) : [])
+            ]);
+    }
+
+    /**
+     * Render a showIf / requiredIf editor: rules joined by AND or OR. Nested
+     * groups (written by hand in the format) are not editable here and are
+     * kept as they are.
+     */
+    renderConditionEditor(id, title, condition) {
+        const mode = condition?.any ? 'any' : 'all';
+        const entries = condition ? (condition.all || condition.any || [condition]) : [];
+        const rules = entries.filter(rule => !rule.all && !rule.any);
+        const nested = entries.filter(rule => rule.all || rule.any);
+
+        return `
+            <div class="form-group condition-editor" id="${id}-group" data-nested="${escapeAttribute(JSON.stringify(nested))}">
+                <label>${title}</label>
+                <select class="condition-mode" aria-label="${translate("form_builder_condition_mode")}">
+                    <option value="all" ${mode === 'all' ? 'selected' : ''}>${translate("form_builder_condition_all")}</option>
+                    <option value="any" ${mode === 'any' ? 'selected' : ''}>${translate("form_builder_condition_any")}</option>
+                </select>
+                <div class="condition-rules">
+                    ${rules.map(rule => this.renderConditionRule(rule)).join('')}
+                </div>
+                ${nested.length ? `<small>${translate("form_builder_condition_nested_kept")}</small>` : ''}
+                <button type="button" class="btn btn-sm add-condition-rule">${translate("form_builder_add_rule")}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one condition rule. Without a field, age rules read the
+     * participant's birth date.
+     */
+    renderConditionRule(rule = {}) {
+        const op = rule.op || 'equals';
+        return `
+            <div class="condition-rule">
+                <select class="condition-field" aria-label="${translate("field")}">
+                    <option value="">${translate("form_builder_participant_birth_date")}</option>
+                    ${this.getSourceFieldNames().filter(name => !name.includes('.')).map(name => `
+                        <option value="${escapeHTML(name)}" ${rule.field === name ? 'selected' : ''}>${escapeHTML(name)}</option>
+                    `).join('')}
+                </select>
+                <select class="condition-op" aria-label="${translate("form_builder_condition_operator")}">
+                    ${CONDITION_OPERATORS.map(operator => `
+                        <option value="${operator}" ${operator === op ? 'selected' : ''}>${translate(`form_builder_op_${operator}`)}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="condition-value" value="${escapeAttribute(String(rule.value ?? ''))}"
+                       placeholder="${translate("value")}" aria-label="${translate("value")}">
+                <button type="button" class="btn-icon remove-condition-rule" aria-label="${translate("form_builder_remove_rule")}">🗑️</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Read a condition editor back into `{ all: [...] }` or `{ any: [...] }`.
+     *
+     * @returns {Object|null} Null when the editor has no rule
+     */
+    readConditionEditor(id) {
+        const group = document.getElementById(`${id}-group`);
+        if (!group) return null;
+
+        const rules = [...group.querySelectorAll(".condition-rule")]
+            .map(row => {
+                const rule = { op: row.querySelector(".condition-op").value };
+                const fieldName = row.querySelector(".condition-field").value;
+                if (fieldName) {
+                    rule.field = fieldName;
+                }
+                if (!VALUELESS_OPERATORS.includes(rule.op)) {
+                    rule.value = row.querySelector(".condition-value").value;
+                }
+                return rule;
+            })
+            .filter(rule => rule.field || rule.op.startsWith('age_'));
+        const entries = [...rules, ...JSON.parse(group.dataset.nested || '[]')];
+
+        return entries.length ? { [group.querySelector(".condition-mode").value]: entries } : null;
+    }
+
+    /**
+     * Render one sub-field of a repeating group. Select options are typed as
+     * a comma-separated list of values.
+     */
+    renderRepeatFieldEditor(subField = {}) {
+        return `
+            <div class="repeat-field-item">
+                <input type="text" class="repeat-field-name" value="${escapeHTML(subField.name || '')}"
+                       placeholder="field_name" pattern="[a-z_]+" aria-label="${translate("field_name")}">
+                <input type="text" class="repeat-field-label" value="${escapeHTML(subField.label || '')}"
+                       placeholder="${translate("label_key")}" aria-label="${translate("label_key")}">
+                <select class="repeat-field-type" aria-label="${translate("field_type")}">
+                    ${REPEAT_SUBFIELD_TYPES.map(type => `
+                        <option value="${type}" ${(subField.type || 'text') === type ? 'selected' : ''}>${translate(FIELD_TYPE_LABELS[type])}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="repeat-field-options"
+                       value="${escapeHTML((subField.options || []).map(option => option.value).join(', '))}"
+                       placeholder="${translate("form_builder_repeat_options")}" aria-label="${translate("options")}">
+                <label>
+                    <input type="checkbox" class="repeat-field-required" ${subField.required ? 'checked' : ''}>
+                    ${translate("required")}
+                </label>
+                <button type="button" class="btn-icon remove-repeat-field" aria-label="${translate("delete_field")}">🗑️</button>
+            </div>
+        `;
+    }
+
     /**
      * Render options editor for select/radio fields
      */
@@ -622,6 +793,31 @@ export class FormBuilder extends BaseModule {
             });
         }
 
+        // Condition rules and repeat sub-fields are added and removed in place
+        const editorForm = document.getElementById("field-editor-form");
+        if (editorForm) {
+            editorForm.addEventListener("click", (e) => {
+                const addRule = e.target.closest(".add-condition-rule");
+                if (addRule) {
+                    insertHTML(addRule.closest(".condition-editor").querySelector(".condition-rules"), 'beforeend', this.renderConditionRule());
+                    return;
+                }
+                const removeRule = e.target.closest(".remove-condition-rule");
+                if (removeRule) {
+                    removeRule.closest(".condition-rule").remove();
+                    return;
+                }
+                if (e.target.closest("#add-repeat-field")) {
+                    insertHTML(document.getElementById("repeat-fields-container"), 'beforeend', this.renderRepeatFieldEditor());
+                    return;
+                }
+                const removeRepeatField = e.target.closest(".remove-repeat-field");
+                if (removeRepeatField) {
+                    removeRepeatField.closest(".repeat-field-item").remove();
+                }
+            });
+        }
+
         // Add translation buttons
         const addLabelTransBtn = document.getElementById("add-label-translation");
         if (addLabelTransBtn) {
@@ -666,6 +862,10 @@ export class FormBuilder extends BaseModule {
         const infoTextGroup = document.getElementById("field-info-text-group");
         const optionsGroup = document.getElementById("field-options-group");
         const dependsOnGroup = document.getElementById("depends-on-group");
+        const showIfGroup = document.getElementById("show-if-group");
+        const requiredIfGroup = document.getElementById("required-if-group");
+        const computedGroup = document.getElementById("computed-group");
+        const repeatGroup = document.getElementById("repeat-group");
         const nameInput = document.getElementById("field-name");
         const labelInput = document.getElementById("field-label");
         const infoTextInput = document.getElementById("field-info-text");
@@ -676,6 +876,10 @@ export class FormBuilder extends BaseModule {
             infoTextGroup.style.display = "block";
             optionsGroup.style.display = "none";
             dependsOnGroup.style.display = "none";
+            showIfGroup.style.display = "none";
+            requiredIfGroup.style.display = "none";
+            computedGroup.style.display = "none";
+            repeatGroup.style.display = "none";
 
             if (nameInput) nameInput.required = false;
             if (labelInput) labelInput.required = false;
@@ -685,6 +889,11 @@ export class FormBuilder extends BaseModule {
             labelGroup.style.display = "block";
             infoTextGroup.style.display = "none";
             dependsOnGroup.style.display = "block";
+            showIfGroup.style.display = "block";
+            // A computed field is never typed in, so never required
+            requiredIfGroup.style.display = fieldType === 'computed' ? "none" : "block";
+            computedGroup.style.display = fieldType === 'computed' ? "block" : "none";
+            repeatGroup.style.display = fieldType === 'repeat' ? "block" : "none";
             optionsGroup.style.display = ['select', 'radio'].includes(fieldType) ? "block" : "none";
 
             if (nameInput) nameInput.required = true;
@@ -830,6 +1039,57 @@ export class FormBuilder extends BaseModule {
             };
         }
 
+        // Handle showIf / requiredIf
+        if (field.type !== 'infoText') {
+            const showIf = this.readConditionEditor("show-if");
+            if (showIf) {
+                field.showIf = showIf;
+            }
+            const requiredIf = field.type === 'computed' ? null : this.readConditionEditor("required-if");
+            if (requiredIf) {
+                field.requiredIf = requiredIf;
+            }
+        }
+
+        // Handle computed values
+        if (field.type === 'computed') {
+            const operation = document.getElementById("computed-operation").value;
+            field.compute = {
+                operation,
+                fields: [...document.getElementById("computed-sources").selectedOptions].map(option => option.value)
+            };
+            if (operation === 'concat') {
+                field.compute.separator = document.getElementById("computed-separator").value;
+            }
+            field.required = false;
+        }
+
+        // Handle repeating group sub-fields
+        if (field.type === 'repeat') {
+            field.fields = [...document.querySelectorAll("#repeat-fields-container .repeat-field-item")]
+                .map(item => {
+                    const subField = {
+                        name: item.querySelector(".repeat-field-name").value.trim(),
+                        type: item.querySelector(".repeat-field-type").value,
+                        label: item.querySelector(".repeat-field-label").value.trim(),
+                        required: item.querySelector(".repeat-field-required").checked
+                    };
+                    if (subField.type === 'select') {
+                        subField.options = item.querySelector(".repeat-field-options").value
+                            .split(',')
+                            .map(value => value.trim())
+                            .filter(Boolean)
+                            .map(value => ({ label: value, value }));
+                    }
+                    return subField;
+                })
+                .filter(subField => subField.name);
+            if (field.fields.length === 0) {
+                this.app.showMessage(translate("form_builder_repeat_fields_required"), "warning");
+                return;
+            }
+        }
+
         // Add or update field
         if (fieldIndex === "") {
             this.currentFields.push(field);
@@ -1045,6 +1305,7 @@ export class FormBuilder extends BaseModule {
         );
 
         setContent(content, renderer.render());
+        renderer.attachConditionalLogic(content);
         modal.style.display = "block";
     }
 
@@ -137,6 +137,13 @@ export class GuardianManagementModule {
             </div>
           ` : ''}
 
+          ${guardian.whatsapp_opt_in !== null && guardian.whatsapp_opt_in !== undefined ? `
+            <div class="info-row">
+              <span class="info-label">${translate('guardian_whatsapp_consent')}:</span>
+              <span class="info-value">${translate(guardian.whatsapp_opt_in ? 'guardian_whatsapp_consent_yes' : 'guardian_whatsapp_consent_no')}</span>
+            </div>
+          ` : ''}
+
           ${guardian.telephone_residence ? `
             <div class="info-row">
               <span class="info-label">${translate('home_phone')}:</span>
@@ -205,6 +212,8 @@ export class GuardianManagementModule {
                      value="${escapeHTML(guardian.telephone_cellulaire || '')}">
             </div>
 
+            ${this.renderWhatsAppConsentField('edit', guardian.whatsapp_opt_in)}
+
             <div class="form-group">
               <label for="edit-telephone-residence">${translate('home_phone')}</label>
               <input type="tel" id="edit-telephone-residence" class="form-control"
@@ -231,6 +240,38 @@ export class GuardianManagementModule {
     `;
   }
 
+  /**
+   * Whether the guardian agreed to WhatsApp announcements on their cell phone.
+   * Once answered the question cannot go back to "not asked".
+   * @param {string} prefix - 'edit' or 'add'
+   * @param {boolean|null|undefined} optIn - Current answer
+   * @returns {string} HTML
+   */
+  renderWhatsAppConsentField(prefix, optIn) {
+    const answered = optIn === true || optIn === false;
+    return `
+      <div class="form-group">
+        <label for="${prefix}-whatsapp-opt-in">${translate('guardian_whatsapp_consent')}</label>
+        <select id="${prefix}-whatsapp-opt-in" class="form-control">
+          ${answered ? '' : `<option value="" selected>${translate('guardian_whatsapp_consent_unknown')}</option>`}
+          <option value="true" ${optIn === true ? 'selected' : ''}>${translate('guardian_whatsapp_consent_yes')}</option>
+          <option value="false" ${optIn === false ? 'selected' : ''}>${translate('guardian_whatsapp_consent_no')}</option>
+        </select>
+        <small class="form-help">${translate('guardian_whatsapp_consent_help')}</small>
+      </div>
+    `;
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {string} prefix - 'edit' or 'add'
+   * @returns {boolean|null} The consent chosen, null when not asked
+   */
+  readWhatsAppConsent(form, prefix) {
+    const value = form.querySelector(`#${prefix}-whatsapp-opt-in`)?.value;
+    return value === 'true' ? true : value === 'false' ? false : null;
+  }
+
   renderAddForm() {
     return `
       <div class="card guardian-add-form">
@@ -265,6 +306,8 @@ export class GuardianManagementModule {
               <input type="tel" id="add-telephone-cellulaire" class="form-control">
             </div>
 
+            ${this.renderWhatsAppConsentField('add', null)}
+
             <div class="form-group">
               <label for="add-telephone-residence">${translate('home_phone')}</label>
               <input type="tel" id="add-telephone-residence" class="form-control">
@@ -373,6 +416,7 @@ export class GuardianManagementModule {
         telephone_cellulaire: form.querySelector('#edit-telephone-cellulaire').value,
         telephone_residence: form.querySelector('#edit-telephone-residence').value,
         telephone_travail: form.querySelector('#edit-telephone-travail').value,
+        whatsapp_opt_in: this.readWhatsAppConsent(form, 'edit'),
         participant_id: this.participantId,
       };
 
@@ -412,6 +456,7 @@ export class GuardianManagementModule {
         telephone_cellulaire: form.querySelector('#add-telephone-cellulaire').value,
         telephone_residence: form.querySelector('#add-telephone-residence').value,
         telephone_travail: form.querySelector('#add-telephone-travail').value,
+        whatsapp_opt_in: this.readWhatsAppConsent(form, 'add'),
         participant_id: this.participantId,
       };
 
@@ -1,10 +1,11 @@
 import { translate } from "./app.js";
 import { debugLog, debugError, debugWarn, debugInfo } from "./utils/DebugUtils.js";
-import { login, verify2FA, getApiUrl, getCurrentOrganizationId, fetchOrganizationId } from "./ajax-functions.js";
+import { login, verify2FA, requestEmail2FACode, getApiUrl, getCurrentOrganizationId, fetchOrganizationId } from "./ajax-functions.js";
 import { setStorage, getStorage, removeStorage, setStorageMultiple } from "./utils/StorageUtils.js";
 import { clearAllClientData } from "./utils/ClientCleanupUtils.js";
 import { isParent } from "./utils/PermissionUtils.js";
 import { setContent } from "./utils/DOMUtils.js";
+import { isPasskeySupported, getPasskeyAssertion } from "./utils/WebAuthnUtils.js";
 
 export class Login {
   constructor(app) {
@@ -177,7 +178,7 @@ export class Login {
           // Check if 2FA is required
           if (result.requires_2fa) {
             debugLog("2FA required, showing verification form...");
-            this.show2FAForm(email, setStatus);
+            this.show2FAForm(email, setStatus, result);
           } else {
             debugLog("Login successful, handling login success...");
             this.handleLoginSuccess(result);
@@ -224,6 +225,7 @@ export class Login {
 
     // Handle both nested and flat response structures
     const token = result.token || (result.data && result.data.token);
+    const refreshToken = result.refresh_token || (result.data && result.data.refresh_token);
     const userId = result.user_id || (result.data && result.data.user_id);
     const userRole = result.user_role || (result.data && result.data.user_role);
     const userRoles = result.user_roles || (result.data && result.data.user_roles) || [userRole]; // Array of role names
@@ -277,6 +279,11 @@ export class Login {
       userId: userId
     };
 
+    // Keeps the short-lived access token alive (see api/api-session.js)
+    if (refreshToken) {
+      userData.refreshToken = refreshToken;
+    }
+
     // Store organization ID from login response
     if (organizationId) {
       userData.currentOrganizationId = organizationId;
@@ -315,8 +322,28 @@ export class Login {
    * Show 2FA verification form
    * @param {string} email - User's email address
    * @param {Function} setStatus - Function to set status messages
+   * @param {Object} [loginResult] - Login response: token, enrolled methods, passkey options
    */
-  show2FAForm(email, setStatus) {
+  show2FAForm(email, setStatus, loginResult = {}) {
+    const methods = (loginResult.two_factor_methods || ["email"])
+      .filter((method) => method !== "passkey" || isPasskeySupported());
+    this.twoFactor = {
+      email,
+      token: loginResult.two_factor_token || null,
+      methods,
+      passkeyOptions: loginResult.passkey_options || null,
+      emailSent: loginResult.message !== "2fa_required"
+    };
+
+    const preferred = loginResult.preferred_method;
+    this.render2FAForm(methods.includes(preferred) ? preferred : methods[0]);
+  }
+
+  /**
+   * Render the 2FA form for one factor, with links to the other enrolled ones
+   * @param {string} method - email, totp, recovery_code or passkey
+   */
+  render2FAForm(method) {
     const appContainer = document.getElementById("app");
     if (!appContainer) {
       debugError("Could not find app container element");
@@ -324,30 +351,50 @@ export class Login {
     }
 
     const organizationName = this.app.organizationSettings?.organization_info?.name || "Scouts";
+    const messages = {
+      email: translate("two_factor_message") || "We've sent a 6-digit verification code to your email. Please enter it below.",
+      totp: translate("two_factor_totp_message"),
+      recovery_code: translate("two_factor_recovery_message"),
+      passkey: translate("two_factor_passkey_message")
+    };
+    const switchLabels = {
+      email: translate("two_factor_use_email"),
+      totp: translate("two_factor_use_totp"),
+      recovery_code: translate("two_factor_use_recovery_code"),
+      passkey: translate("two_factor_use_passkey")
+    };
+    const isCode = method === "email" || method === "totp";
+
+    const codeInput = method === "passkey" ? "" : `
+          <div class="form-group">
+            <input
+              type="text"
+              name="code"
+              placeholder="${translate(method === "recovery_code" ? "two_factor_recovery_code" : "verification_code") || "Verification Code"}"
+              autocomplete="${isCode ? "one-time-code" : "off"}"
+              ${isCode ? 'maxlength="6" pattern="[0-9]{6}" inputmode="numeric"' : 'maxlength="20"'}
+              style="font-size: 24px; letter-spacing: ${isCode ? "8px" : "2px"}; text-align: center; font-family: monospace;"
+              required>
+          </div>`;
+
+    const otherMethods = this.twoFactor.methods.filter((other) => other !== method);
 
     const content = `
       <div class="login-container">
         <h1>${translate("two_factor_verification") || "Verify Your Identity"}</h1>
         <h2>${organizationName}</h2>
         <p style="margin: 20px 0; text-align: center;">
-          ${translate("two_factor_message") || "We've sent a 6-digit verification code to your email. Please enter it below."}
+          ${messages[method]}
         </p>
-        <form id="verify-2fa-form">
-          <div class="form-group">
-            <input
-              type="text"
-              name="code"
-              placeholder="${translate("verification_code") || "Verification Code"}"
-              autocomplete="one-time-code"
-              maxlength="6"
-              pattern="[0-9]{6}"
-              inputmode="numeric"
-              style="font-size: 24px; letter-spacing: 8px; text-align: center; font-family: monospace;"
-              required>
-          </div>
-          <button type="submit" class="btn-primary">${translate("verify") || "Verify"}</button>
+        <form id="verify-2fa-form" data-method="${method}">
+          ${codeInput}
+          <button type="submit" class="btn-primary">${method === "passkey" ? translate("two_factor_passkey_button") : (translate("verify") || "Verify")}</button>
         </form>
         <div id="verify-message" class="status-message" role="status" aria-live="polite"></div>
+        ${otherMethods.length > 0 ? `
+          <ul class="two-factor-methods">
+            ${otherMethods.map((other) => `<li><a href="#" data-two-factor-method="${other}">${switchLabels[other]}</a></li>`).join("")}
+          </ul>` : ""}
         <p style="text-align: center; margin-top: 20px;">
           <a href="#" id="back-to-login">${translate("back_to_login") || "Back to Login"}</a>
         </p>
@@ -355,14 +402,15 @@ export class Login {
     `;
 
     setContent(appContainer, content);
-    this.attach2FAFormListener(email);
+    this.attach2FAFormListener(this.twoFactor.email, method);
   }
 
   /**
    * Attach event listener to 2FA verification form
    * @param {string} email - User's email address
+   * @param {string} [method="email"] - Factor the form asks for
    */
-  attach2FAFormListener(email) {
+  attach2FAFormListener(email, method = "email") {
     const form = document.getElementById("verify-2fa-form");
     const statusElement = document.getElementById("verify-message");
     const backToLogin = document.getElementById("back-to-login");
@@ -379,7 +427,9 @@ export class Login {
     };
 
     // Show success message
-    setStatus(translate("verification_code_sent") || "A verification code has been sent to your email.", "success");
+    if (method === "email" && this.twoFactor?.emailSent !== false) {
+      setStatus(translate("verification_code_sent") || "A verification code has been sent to your email.", "success");
+    }
 
     // Handle back to login
     if (backToLogin) {
@@ -389,6 +439,22 @@ export class Login {
       });
     }
 
+    document.querySelectorAll("[data-two-factor-method]").forEach((link) => {
+      link.addEventListener("click", async (e) => {
+        e.preventDefault();
+        const nextMethod = link.dataset.twoFactorMethod;
+        if (nextMethod === "email" && !this.twoFactor.emailSent) {
+          const sent = await requestEmail2FACode(this.twoFactor.token);
+          if (!sent.success) {
+            setStatus(this.translate2FAMessage(sent.message), "error");
+            return;
+          }
+          this.twoFactor.emailSent = true;
+        }
+        this.render2FAForm(nextMethod);
+      });
+    });
+
     // Handle form submission
     form.addEventListener("submit", async (e) => {
       e.preventDefault();
@@ -397,7 +463,7 @@ export class Login {
       const formData = new FormData(form);
       const code = formData.get("code");
 
-      if (!code || code.length !== 6) {
+      if (method !== "passkey" && (!code || (method !== "recovery_code" && code.length !== 6))) {
         setStatus(translate("invalid_code_format") || "Please enter a valid 6-digit code.", "error");
         return;
       }
@@ -411,7 +477,15 @@ export class Login {
       try {
         debugLog("Sending 2FA verification request...");
 
-        const result = await verify2FA(email, code);
+        const factor = { method };
+        if (this.twoFactor?.token) {
+          factor.two_factor_token = this.twoFactor.token;
+        }
+        if (method === "passkey") {
+          factor.passkey_response = await getPasskeyAssertion(this.twoFactor.passkeyOptions);
+        }
+
+        const result = await verify2FA(email, method === "passkey" ? null : code, undefined, factor);
 
         debugLog("2FA verification result:", result);
 
@@ -460,6 +534,8 @@ export class Login {
       invalid_2fa_code: translate("invalid_verification_code") || "Invalid verification code.",
       invalid_or_expired_2fa_code: translate("invalid_or_expired_code") || "Invalid or expired verification code. Please try logging in again.",
       too_many_attempts: translate("too_many_attempts") || "Too many attempts. Please try logging in again.",
+      two_factor_session_expired: translate("two_factor_session_expired"),
+      invalid_passkey_response: translate("two_factor_passkey_failed"),
       internal_server_error: translate("internal_server_error") || "An error occurred. Please try again."
     };
 
@@ -520,13 +596,14 @@ export class Login {
     debugLog("Logging out...");
 
     try {
-      // Try to call the server logout endpoint
+      // Revoke the session server-side so its tokens stop working now
       await fetch(getApiUrl('logout'), {
         method: "POST",
         headers: {
           "Authorization": `Bearer ${getStorage("jwtToken")}`,
           "Content-Type": "application/json"
-        }
+        },
+        body: JSON.stringify({ refresh_token: getStorage("refreshToken") || undefined })
       });
     } catch (error) {
       debugWarn("Error during server logout:", error);
@@ -243,17 +243,19 @@ export class MailingList {
                                                                         ${deliverySummary.push.failed
                                                         ? `<span class="badge warning">${pushFailureLabel}</span>`
                                                         : ""}
+                                                                        ${this.renderDeliverabilityBadges(deliverySummary.email)}
+                                                                        ${this.renderWhatsAppBadges(deliverySummary.whatsapp)}
                                                                 </div>
                                                                 ${logs.length
                                                         ? `<details>
                                                                                         <summary>${translate("delivery_logs")}</summary>
                                                                                         <ul>
                                                                                                 ${logs
-                                                                .slice(0, 5)
                                                                 .map((log) => `
                                                                                                                 <li>
                                                                                                                         ${escapeHTML(log.channel)} - ${escapeHTML(log.status)}
                                                                                                                         ${log.recipient_email ? `(${escapeHTML(log.recipient_email)})` : ""}
+                                                                                                                        ${log.delivery_status ? this.renderDeliveryStatus(log.delivery_status, log.delivery_reason, log.channel) : ""}
                                                                                                                         ${log.error_message ? `: ${escapeHTML(log.error_message)}` : ""}
                                                                                                                 </li>
                                                                                                         `)
@@ -309,7 +311,7 @@ export class MailingList {
                         html += `
                                 <div class="child-group">
                                         <strong>${escapeHTML(familyLabel)}:</strong>
-                                        ${emailList.map((email) => `<span class="email-item">${escapeHTML(email)}</span>`).join(", ")}
+                                        ${emailList.map((email) => `<span class="email-item">${escapeHTML(email)}${this.renderEmailIssue(email)}</span>`).join(", ")}
                                 </div>
                         `;
                 });
@@ -349,12 +351,12 @@ export class MailingList {
                                 let participantsHtml = "";
 
                                 if (typeof item === 'object' && item !== null) {
-                                        emailHtml = `<span>${escapeHTML(item.email || '---')}</span>`;
+                                        emailHtml = `<span>${escapeHTML(item.email || '---')}</span>${this.renderEmailIssue(item.email)}`;
                                         if (item.participants) {
                                                 participantsHtml = `<span class="participants">  (${escapeHTML(item.participants)})</span>`;
                                         }
                                 } else if (typeof item === 'string') {
-                                        emailHtml = `<span>${escapeHTML(item.trim())}</span>`;
+                                        emailHtml = `<span>${escapeHTML(item.trim())}</span>${this.renderEmailIssue(item.trim())}`;
                                 } else {
                                         debugError(`Unexpected data type for item ${index}:`, typeof item);
                                         emailHtml = `<span>${translate('no_data_available')}</span>`;
@@ -567,21 +569,64 @@ export class MailingList {
                 feedbackEl.className = `status-message ${type}`;
         }
 
+        /**
+         * Marker next to an address whose last delivery report was a bounce
+         * or a spam complaint.
+         * @param {string} email
+         * @returns {string} HTML
+         */
+        renderEmailIssue(email) {
+                const issue = email ? this.mailingList?.email_issues?.[email.toLowerCase()] : null;
+                if (!issue) return "";
+                return ` ${this.renderDeliveryStatus(issue.status, issue.reason)}`;
+        }
+
+        renderDeliveryStatus(status, reason = null, channel = "email") {
+                const tone = status === "bounced" || status === "complained" ? "warning" : "info";
+                const title = reason ? ` title="${escapeHTML(reason)}"` : "";
+                const prefix = channel === "whatsapp" ? "whatsapp_delivery" : "email_delivery";
+                return `<span class="badge ${tone}"${title}>${translate(`${prefix}_${status}`)}</span>`;
+        }
+
+        /**
+         * WhatsApp messages are queued and sent one at a time, so an
+         * announcement shows how far its WhatsApp sending got.
+         */
+        renderWhatsAppBadges(whatsappSummary) {
+                return ["queued", "sent", "delivered", "read", "skipped", "failed"]
+                        .filter((status) => whatsappSummary[status] > 0)
+                        .map((status) => `<span class="badge ${status === "failed" ? "warning" : "info"}">${translate(`whatsapp_delivery_${status}`)}: ${whatsappSummary[status]}</span>`)
+                        .join("");
+        }
+
+        renderDeliverabilityBadges(emailSummary) {
+                return ["delivered", "opened", "bounced", "complained"]
+                        .filter((status) => emailSummary[status] > 0)
+                        .map((status) => `<span class="badge ${status === "bounced" || status === "complained" ? "warning" : "info"}">${translate(`email_delivery_${status}`)}: ${emailSummary[status]}</span>`)
+                        .join("");
+        }
+
         getDeliverySummary(logs) {
                 const summary = {
-                        email: { sent: 0, failed: 0 },
+                        email: { sent: 0, failed: 0, delivered: 0, opened: 0, bounced: 0, complained: 0 },
                         push: { sent: 0, failed: 0 },
+                        whatsapp: { queued: 0, sent: 0, failed: 0, skipped: 0, delivered: 0, read: 0 },
                 };
 
                 logs.forEach((log) => {
                         if (log.channel === "email") {
                                 if (log.status === "sent") summary.email.sent += 1;
                                 if (log.status === "failed") summary.email.failed += 1;
+                                if (log.delivery_status in summary.email) summary.email[log.delivery_status] += 1;
                         }
                         if (log.channel === "push") {
                                 if (log.status === "sent") summary.push.sent += 1;
                                 if (log.status === "failed") summary.push.failed += 1;
                         }
+                        if (log.channel === "whatsapp") {
+                                if (log.status in summary.whatsapp) summary.whatsapp[log.status] += 1;
+                                if (log.delivery_status in summary.whatsapp) summary.whatsapp[log.delivery_status] += 1;
+                        }
                 });
 
                 return summary;
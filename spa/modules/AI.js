@@ -1,4 +1,4 @@
-import { getAuthHeader } from "../api/api-helpers.js";
+import { fetchWithSession } from "../api/api-session.js";
 import { debugError } from "../utils/DebugUtils.js";
 
 const API_BASE = '/api/v1/ai';
@@ -11,11 +11,10 @@ const API_BASE = '/api/v1/ai';
  */
 export async function aiGenerateText(mode, payload) {
     try {
-        const response = await fetch(`${API_BASE}/text`, {
+        const response = await fetchWithSession(`${API_BASE}/text`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                ...getAuthHeader()
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ mode, payload })
         });
@@ -45,11 +44,8 @@ export async function aiParseReceipt(file) {
     formData.append('file', file);
 
     try {
-        const response = await fetch(`${API_BASE}/receipt`, {
+        const response = await fetchWithSession(`${API_BASE}/receipt`, {
             method: 'POST',
-            headers: {
-                ...getAuthHeader()
-            },
             body: formData
         });
 
@@ -17,10 +17,10 @@ import {
 import { CONFIG } from '../config.js';
 import { buildApiCacheKey } from '../utils/OfflineCacheKeys.js';
 import {
-    getAuthHeader,
     getCurrentOrganizationId,
     getCurrentUserId
 } from '../api/api-helpers.js';
+import { fetchWithSession } from '../api/api-session.js';
 
 /**
  * Cache duration constants (in milliseconds)
@@ -40,9 +40,11 @@ const PREPARED_ACTIVITIES_KEY = 'wampums_prepared_activities';
 
 // Only operations with server-side set/upsert semantics may be replayed.
 // Additive creates (points, honors, payments, roles, etc.) remain online-only
-// until their endpoints implement transactional idempotency.
+// until their endpoints implement transactional idempotency. Check-in scans
+// are additive but carry a client_event_id the server deduplicates on.
 const SAFE_OFFLINE_MUTATIONS = [
     { method: 'POST', path: /^\/api\/v1\/attendance(?:\/carry-forward)?$/ },
+    { method: 'POST', path: /^\/api\/v1\/checkins$/ },
     { method: 'PATCH', path: /^\/api\/v1\/medication\/(?:distributions|receptions)\/\d+$/ },
     { method: 'DELETE', path: /^\/api\/v1\/medication\/receptions\/\d+$/ },
 ];
@@ -382,10 +384,8 @@ export class OfflineManager {
             return;
         }
 
-        const authHeaders = {
-            ...getAuthHeader(),
-            'Content-Type': 'application/json'
-        };
+        // The access token has likely expired while offline; fetchWithSession
+        // refreshes it before replaying.
         const nonRetriableStatuses = new Set([400, 403, 404, 409, 410, 422]);
 
         for (const record of pendingData) {
@@ -402,11 +402,11 @@ export class OfflineManager {
                     }
 
                     debugLog('OfflineManager: Replaying mutation', record.data.url);
-                    const response = await fetch(record.data.url, {
+                    const response = await fetchWithSession(record.data.url, {
                         method: record.action || record.data.method || 'POST',
                         headers: {
                             ...record.data.headers,
-                            ...authHeaders,
+                            'Content-Type': 'application/json',
                             'Idempotency-Key': record.data.idempotencyKey
                         },
                         body: record.data.body
@@ -456,7 +456,6 @@ export class OfflineManager {
         }
 
         const headers = {
-            ...getAuthHeader(),
             'Content-Type': 'application/json'
         };
 
@@ -465,7 +464,7 @@ export class OfflineManager {
                 const url = `${CONFIG.API_BASE_URL}${endpoint}`;
                 debugLog(`OfflineManager: Pre-caching ${endpoint}`);
 
-                const response = await fetch(url, { headers });
+                const response = await fetchWithSession(url, { headers });
 
                 if (response.ok) {
                     const data = await response.json();
@@ -665,9 +664,8 @@ export class OfflineManager {
         const cacheKey = buildApiCacheKey('v1/activities/upcoming-camps');
 
         try {
-            const response = await fetch(`${CONFIG.API_BASE_URL}/api/v1/activities/upcoming-camps`, {
+            const response = await fetchWithSession(`${CONFIG.API_BASE_URL}/api/v1/activities/upcoming-camps`, {
                 headers: {
-                    'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 }
             });
@@ -720,10 +718,9 @@ export class OfflineManager {
             // Step 1: Fetch bulk data from server
             this.updatePreparationProgress(1, this.getTranslation('offline.fetchingData'));
 
-            const response = await fetch(`${CONFIG.API_BASE_URL}/api/v1/offline/prepare-activity`, {
+            const response = await fetchWithSession(`${CONFIG.API_BASE_URL}/api/v1/offline/prepare-activity`, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
@@ -756,6 +753,7 @@ export class OfflineManager {
             await this.cacheData('groups', { success: true, data: bulkData.groups }, CACHE_DURATION.CAMP_MODE);
             await this.cacheData(buildApiCacheKey('v1/participants'), { success: true, data: bulkData.participants }, CACHE_DURATION.CAMP_MODE);
             await this.cacheData(buildApiCacheKey('v1/groups'), { success: true, data: bulkData.groups }, CACHE_DURATION.CAMP_MODE);
+            await this.cacheCheckinRoster();
 
             // Cache points-data in the format manage_points expects
             await this.cacheData('manage_points_data', {
@@ -881,6 +879,26 @@ export class OfflineManager {
         }
     }
 
+    /**
+     * Cache the check-in roster (badge codes) for the QR scanner. Leaders
+     * without attendance.manage get a 403; camp preparation goes on without it.
+     */
+    async cacheCheckinRoster() {
+        try {
+            const response = await fetchWithSession(`${CONFIG.API_BASE_URL}/api/v1/checkins/roster`);
+            if (!response.ok) {
+                debugLog(`OfflineManager: Check-in roster not cached (HTTP ${response.status})`);
+                return;
+            }
+            const result = await response.json();
+            if (result.success) {
+                await this.cacheData('checkin_roster', result, CACHE_DURATION.CAMP_MODE);
+            }
+        } catch (error) {
+            debugWarn('OfflineManager: Failed to cache check-in roster', error);
+        }
+    }
+
     /**
      * Transform attendance data to the format expected by the attendance module
      */
@@ -926,6 +944,7 @@ export class OfflineManager {
             () => import('./meetings/MeetingPrep.js'),
             () => import('./program-progress/ProgramProgressDashboard.js'),
             () => import('../offline_preparation.js'),
+            () => import('./checkin/CheckinScanner.js'),
             () => import('../init-activity-widget.js'),
         ];
 
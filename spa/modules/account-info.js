@@ -1,7 +1,9 @@
 /**
  * Settings Module (Account Information & Preferences)
  *
- * Handles user settings: viewing and updating name, email, password, language, and push notifications
+ * Handles user settings: viewing and updating name, email, password, language, and push notifications,
+ * second factors (authenticator app, passkeys, recovery codes), and signing
+ * out other sessions or trusted devices
  * Follows Wampums module patterns with security best practices
  *
  * @module modules/account-info
@@ -13,9 +15,26 @@ import { translate, app as appInstance } from "../app.js";
 import { escapeHTML } from "../utils/SecurityUtils.js";
 import { isParent } from "../utils/PermissionUtils.js";
 import { setContent, loadStylesheet } from "../utils/DOMUtils.js";
-import { confirm as confirmDialog } from "../utils/DialogUtils.js";
+import { confirm as confirmDialog, prompt as promptDialog } from "../utils/DialogUtils.js";
 import { getStorage, setStorage } from "../utils/StorageUtils.js";
 import { CONFIG, getStorageKey } from "../config.js";
+import { formatTimestamp } from "../utils/DateUtils.js";
+import {
+  getAuthSessions,
+  revokeAuthSession,
+  revokeOtherAuthSessions,
+  revokeTrustedDevice,
+  getTwoFactorStatus,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  regenerateRecoveryCodes,
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  removePasskey,
+  setPreferredTwoFactorMethod
+} from "../api/api-endpoints.js";
+import { isPasskeySupported, createPasskey } from "../utils/WebAuthnUtils.js";
 
 /**
  * Settings/Account Information Management Class
@@ -30,6 +49,13 @@ export class AccountInfoModule {
     this.isParent = false;
     this.pushEnabled = false;
     this.pushSupported = false;
+    this.sessions = [];
+    this.trustedDevices = [];
+    this.sessionsError = null;
+    this.twoFactor = null;
+    this.twoFactorError = null;
+    this.totpEnrollment = null;
+    this.recoveryCodes = null;
   }
 
   /**
@@ -70,6 +96,9 @@ export class AccountInfoModule {
         this.guardianError = null;
       }
 
+      await this.loadSessions();
+      await this.loadTwoFactor();
+
       debugLog("Proceeding to initial render");
       this.render();
       debugLog("Initial render complete, attaching event listeners");
@@ -159,6 +188,202 @@ export class AccountInfoModule {
     }
   }
 
+  /**
+   * Load active sessions and trusted devices. A failure only affects the
+   * sessions section.
+   */
+  async loadSessions() {
+    try {
+      const data = await getAuthSessions();
+      this.sessions = data.sessions || [];
+      this.trustedDevices = data.trusted_devices || [];
+      this.sessionsError = null;
+    } catch (error) {
+      debugError("Error loading sessions:", error);
+      this.sessions = [];
+      this.trustedDevices = [];
+      this.sessionsError = translate("account_sessions_load_error");
+    }
+  }
+
+  /**
+   * Render the signed-in devices and trusted devices lists
+   * @returns {string} Section inner HTML
+   */
+  renderSessions() {
+    const lang = this.app.lang || getStorage('lang', false, CONFIG.DEFAULT_LANG);
+    if (this.sessionsError) {
+      return `
+        <h2>${translate("account_sessions_title")}</h2>
+        <p class="section-description">${escapeHTML(this.sessionsError)}</p>
+      `;
+    }
+
+    const otherSessions = this.sessions.filter((session) => !session.current);
+    const sessionItems = this.sessions.map((session) => `
+      <li class="setting-row">
+        <span class="setting-label">
+          <strong>${escapeHTML(session.device_name || translate("account_sessions_unknown_device"))}</strong>
+          ${session.current ? `<span class="badge-summary-chip">${translate("account_sessions_current")}</span>` : ""}
+          <small class="form-text">
+            ${escapeHTML(session.organization_name || "")}
+            · ${escapeHTML(translate("account_sessions_last_active").replace("{date}", formatTimestamp(session.last_used_at, lang)))}
+          </small>
+        </span>
+        ${session.current ? "" : `
+          <button type="button" class="btn btn-secondary" data-session-revoke="${escapeHTML(session.id)}">
+            ${translate("account_sessions_revoke")}
+          </button>`}
+      </li>
+    `).join("");
+
+    const deviceItems = this.trustedDevices.map((device) => `
+      <li class="setting-row">
+        <span class="setting-label">
+          <strong>${escapeHTML(device.device_name || translate("account_sessions_unknown_device"))}</strong>
+          <small class="form-text">
+            ${escapeHTML(device.organization_name || "")}
+            · ${escapeHTML(translate("account_trusted_devices_expires").replace("{date}", formatTimestamp(device.expires_at, lang)))}
+          </small>
+        </span>
+        <button type="button" class="btn btn-secondary" data-device-revoke="${escapeHTML(device.id)}">
+          ${translate("account_trusted_devices_revoke")}
+        </button>
+      </li>
+    `).join("");
+
+    return `
+      <h2>${translate("account_sessions_title")}</h2>
+      <p class="section-description">${translate("account_sessions_description")}</p>
+      <ul class="list-unstyled">${sessionItems}</ul>
+      ${otherSessions.length > 0
+        ? `<button type="button" class="btn btn-secondary" data-sessions-revoke-others>
+            ${translate("account_sessions_revoke_others")}
+          </button>`
+        : `<p class="form-text">${translate("account_sessions_empty")}</p>`}
+
+      <h2>${translate("account_trusted_devices_title")}</h2>
+      <p class="section-description">${translate("account_trusted_devices_description")}</p>
+      ${deviceItems
+        ? `<ul class="list-unstyled">${deviceItems}</ul>`
+        : `<p class="form-text">${translate("account_trusted_devices_empty")}</p>`}
+    `;
+  }
+
+  /**
+   * Load enrolled second factors. A failure only affects the two-factor
+   * section.
+   */
+  async loadTwoFactor() {
+    try {
+      this.twoFactor = await getTwoFactorStatus();
+      this.twoFactorError = null;
+    } catch (error) {
+      debugError("Error loading two-factor status:", error);
+      this.twoFactor = null;
+      this.twoFactorError = translate("account_two_factor_load_error");
+    }
+  }
+
+  /**
+   * Render authenticator, passkey and recovery code settings
+   * @returns {string} Section inner HTML
+   */
+  renderTwoFactor() {
+    if (!this.twoFactor) {
+      return `
+        <h2>${translate("account_two_factor_title")}</h2>
+        <p class="section-description">${escapeHTML(this.twoFactorError || "")}</p>
+      `;
+    }
+
+    const lang = this.app.lang || getStorage('lang', false, CONFIG.DEFAULT_LANG);
+    const { methods, preferred_method: preferred, totp_enabled: totpEnabled, passkeys } = this.twoFactor;
+    const methodLabels = {
+      email: translate("account_two_factor_method_email"),
+      totp: translate("account_two_factor_method_totp"),
+      passkey: translate("account_two_factor_method_passkey")
+    };
+    const hasStrongFactor = totpEnabled || passkeys.length > 0;
+
+    let totpBlock;
+    if (totpEnabled) {
+      totpBlock = `
+        <p class="form-text">${translate("account_two_factor_totp_enabled")}</p>
+        <button type="button" class="btn btn-secondary" data-totp-disable>${translate("account_two_factor_totp_disable")}</button>`;
+    } else if (this.totpEnrollment) {
+      totpBlock = `
+        <p class="form-text">${translate("account_two_factor_totp_scan")}</p>
+        <img src="${escapeHTML(this.totpEnrollment.qr_code)}" alt="${escapeHTML(translate("account_two_factor_totp_qr_alt"))}" width="200" height="200">
+        <p class="form-text">${translate("account_two_factor_totp_secret")} <code>${escapeHTML(this.totpEnrollment.secret)}</code></p>
+        <form id="totp-confirm-form">
+          <div class="form-group">
+            <label for="totp-confirm-code">${translate("account_two_factor_totp_code")}</label>
+            <input type="text" id="totp-confirm-code" name="code" class="form-control"
+              autocomplete="one-time-code" inputmode="numeric" maxlength="6" pattern="[0-9]{6}" required>
+          </div>
+          <button type="submit" class="btn btn-primary">${translate("account_two_factor_totp_confirm")}</button>
+        </form>`;
+    } else {
+      totpBlock = `
+        <button type="button" class="btn btn-secondary" data-totp-start>${translate("account_two_factor_totp_start")}</button>`;
+    }
+
+    const passkeyItems = passkeys.map((passkey) => `
+      <li class="setting-row">
+        <span class="setting-label">
+          <strong>${escapeHTML(passkey.device_name || translate("account_sessions_unknown_device"))}</strong>
+          <small class="form-text">
+            ${escapeHTML(passkey.rp_id)}
+            · ${escapeHTML(translate("account_two_factor_passkey_added").replace("{date}", formatTimestamp(passkey.created_at, lang)))}
+          </small>
+        </span>
+        <button type="button" class="btn btn-secondary" data-passkey-remove="${escapeHTML(passkey.id)}">
+          ${translate("account_two_factor_passkey_remove")}
+        </button>
+      </li>
+    `).join("");
+
+    const recoveryCodes = this.recoveryCodes?.length
+      ? `
+        <div class="alert alert-warning">
+          <p>${translate("account_two_factor_recovery_codes_new")}</p>
+          <ul class="list-unstyled">${this.recoveryCodes.map((code) => `<li><code>${escapeHTML(code)}</code></li>`).join("")}</ul>
+        </div>`
+      : "";
+
+    return `
+      <h2>${translate("account_two_factor_title")}</h2>
+      <p class="section-description">${translate("account_two_factor_description")}</p>
+
+      <div class="form-group">
+        <label for="two-factor-preferred">${translate("account_two_factor_preferred")}</label>
+        <select id="two-factor-preferred" class="form-control">
+          ${methods.filter((method) => methodLabels[method]).map((method) => `
+            <option value="${method}" ${method === preferred ? "selected" : ""}>${methodLabels[method]}</option>`).join("")}
+        </select>
+      </div>
+
+      <h3>${translate("account_two_factor_method_totp")}</h3>
+      ${totpBlock}
+
+      <h3>${translate("account_two_factor_method_passkey")}</h3>
+      ${passkeyItems
+        ? `<ul class="list-unstyled">${passkeyItems}</ul>`
+        : `<p class="form-text">${translate("account_two_factor_passkeys_empty")}</p>`}
+      ${isPasskeySupported()
+        ? `<button type="button" class="btn btn-secondary" data-passkey-add>${translate("account_two_factor_passkey_add")}</button>`
+        : ""}
+
+      <h3>${translate("account_two_factor_recovery_codes")}</h3>
+      ${recoveryCodes}
+      ${hasStrongFactor
+        ? `<p class="form-text">${translate("account_two_factor_recovery_codes_remaining").replace("{count}", this.twoFactor.recovery_codes_remaining)}</p>
+          <button type="button" class="btn btn-secondary" data-recovery-regenerate>${translate("account_two_factor_recovery_codes_regenerate")}</button>`
+        : `<p class="form-text">${translate("account_two_factor_recovery_codes_none")}</p>`}
+    `;
+  }
+
   /**
    * Render the settings page
    */
@@ -454,6 +679,16 @@ export class AccountInfoModule {
         </section>
         ` : ''}
 
+        <!-- Two-Factor Section -->
+        <section class="account-section" id="two-factor-section">
+          ${this.renderTwoFactor()}
+        </section>
+
+        <!-- Sessions Section -->
+        <section class="account-section" id="sessions-section">
+          ${this.renderSessions()}
+        </section>
+
         <!-- Account Actions -->
         <section class="account-section">
           <button class="btn btn-danger" id="logout-btn">
@@ -540,6 +775,20 @@ export class AccountInfoModule {
       timeFormatSelect.addEventListener("change", (e) => this.handleTimeFormatChange(e));
     }
 
+    // Session and trusted device revocation (section re-renders in place)
+    const sessionsSection = document.getElementById("sessions-section");
+    if (sessionsSection) {
+      sessionsSection.addEventListener("click", (e) => this.handleSessionsClick(e));
+    }
+
+    // Second factors (section re-renders in place)
+    const twoFactorSection = document.getElementById("two-factor-section");
+    if (twoFactorSection) {
+      twoFactorSection.addEventListener("click", (e) => this.handleTwoFactorClick(e));
+      twoFactorSection.addEventListener("submit", (e) => this.handleTotpConfirm(e));
+      twoFactorSection.addEventListener("change", (e) => this.handlePreferredMethodChange(e));
+    }
+
     // Logout button
     const logoutBtn = document.getElementById("logout-btn");
     if (logoutBtn) {
@@ -985,6 +1234,187 @@ export class AccountInfoModule {
     }
   }
 
+  /**
+   * Handle revoke buttons in the sessions section
+   * @param {Event} event - Click event
+   */
+  async handleSessionsClick(event) {
+    const sessionButton = event.target.closest("[data-session-revoke]");
+    const deviceButton = event.target.closest("[data-device-revoke]");
+    const othersButton = event.target.closest("[data-sessions-revoke-others]");
+    if (!sessionButton && !deviceButton && !othersButton) {
+      return;
+    }
+    if (this.isLoading) return;
+
+    const confirmKey = sessionButton
+      ? "account_sessions_revoke_confirm"
+      : deviceButton ? "account_trusted_devices_revoke_confirm" : "account_sessions_revoke_others_confirm";
+    if (!(await confirmDialog(translate(confirmKey)))) {
+      return;
+    }
+
+    try {
+      this.isLoading = true;
+      let message;
+      if (sessionButton) {
+        await revokeAuthSession(sessionButton.dataset.sessionRevoke);
+        message = translate("account_sessions_revoked");
+      } else if (deviceButton) {
+        await revokeTrustedDevice(deviceButton.dataset.deviceRevoke);
+        message = translate("account_trusted_devices_revoked");
+      } else {
+        const response = await revokeOtherAuthSessions();
+        message = translate("account_sessions_revoked_others").replace("{count}", response.data?.revoked ?? 0);
+      }
+      this.app.showMessage(message, "success");
+    } catch (error) {
+      debugError("Error revoking session:", error);
+      this.app.showMessage(error.message || translate("error_loading_data"), "error");
+    } finally {
+      this.isLoading = false;
+    }
+
+    await this.loadSessions();
+    const sessionsSection = document.getElementById("sessions-section");
+    if (sessionsSection) {
+      setContent(sessionsSection, this.renderSessions());
+    }
+  }
+
+  /**
+   * Re-render the two-factor section after a change
+   * @param {boolean} [reload=true] - Fetch the status again first
+   */
+  async refreshTwoFactorSection(reload = true) {
+    if (reload) {
+      await this.loadTwoFactor();
+    }
+    const section = document.getElementById("two-factor-section");
+    if (section) {
+      setContent(section, this.renderTwoFactor());
+    }
+  }
+
+  /**
+   * Handle buttons in the two-factor section
+   * @param {Event} event - Click event
+   */
+  async handleTwoFactorClick(event) {
+    const button = event.target.closest("[data-totp-start], [data-totp-disable], [data-passkey-add], [data-passkey-remove], [data-recovery-regenerate]");
+    if (!button || this.isLoading) {
+      return;
+    }
+
+    const confirmKey = button.hasAttribute("data-totp-disable") ? "account_two_factor_totp_disable_confirm"
+      : button.hasAttribute("data-passkey-remove") ? "account_two_factor_passkey_remove_confirm"
+        : button.hasAttribute("data-recovery-regenerate") ? "account_two_factor_recovery_codes_regenerate_confirm"
+          : null;
+    if (confirmKey && !(await confirmDialog(translate(confirmKey)))) {
+      return;
+    }
+    const currentPassword = confirmKey ? await this.askCurrentPassword() : null;
+    if (confirmKey && !currentPassword) {
+      return;
+    }
+
+    try {
+      this.isLoading = true;
+      this.recoveryCodes = null;
+      if (button.hasAttribute("data-totp-start")) {
+        const response = await startTotpEnrollment();
+        this.totpEnrollment = response.data;
+      } else if (button.hasAttribute("data-totp-disable")) {
+        await disableTotp(currentPassword);
+        this.app.showMessage(translate("account_two_factor_totp_disabled"), "success");
+      } else if (button.hasAttribute("data-passkey-add")) {
+        const options = await getPasskeyRegistrationOptions();
+        const response = await registerPasskey(await createPasskey(options.data));
+        this.recoveryCodes = response.data?.recovery_codes || null;
+        this.app.showMessage(translate("account_two_factor_passkey_registered"), "success");
+      } else if (button.hasAttribute("data-passkey-remove")) {
+        await removePasskey(button.dataset.passkeyRemove, currentPassword);
+        this.app.showMessage(translate("account_two_factor_passkey_removed"), "success");
+      } else {
+        const response = await regenerateRecoveryCodes(currentPassword);
+        this.recoveryCodes = response.data?.recovery_codes || null;
+      }
+    } catch (error) {
+      debugError("Error updating second factor:", error);
+      this.app.showMessage(error.message || translate("error_loading_data"), "error");
+    } finally {
+      this.isLoading = false;
+    }
+
+    await this.refreshTwoFactorSection();
+  }
+
+  /**
+   * Confirm authenticator enrollment with a code from the app
+   * @param {Event} event - Form submit event
+   */
+  async handleTotpConfirm(event) {
+    if (event.target.id !== "totp-confirm-form") {
+      return;
+    }
+    event.preventDefault();
+    if (this.isLoading) return;
+
+    const code = new FormData(event.target).get("code");
+    try {
+      this.isLoading = true;
+      const response = await confirmTotpEnrollment(code);
+      this.totpEnrollment = null;
+      this.recoveryCodes = response.data?.recovery_codes || null;
+      this.app.showMessage(translate("account_two_factor_totp_enabled_message"), "success");
+    } catch (error) {
+      debugError("Error confirming authenticator:", error);
+      this.app.showMessage(translate("account_two_factor_totp_invalid_code"), "error");
+      return;
+    } finally {
+      this.isLoading = false;
+    }
+
+    await this.refreshTwoFactorSection();
+  }
+
+  /**
+   * Ask for the account password again before a second factor changes
+   * @returns {Promise<string|null>} Password, or null when cancelled
+   */
+  async askCurrentPassword() {
+    const password = await promptDialog({
+      title: translate("current_password"),
+      message: translate("account_two_factor_password_prompt"),
+      inputType: "password"
+    });
+    return password || null;
+  }
+
+  /**
+   * Save the factor offered first at login
+   * @param {Event} event - Change event
+   */
+  async handlePreferredMethodChange(event) {
+    if (event.target.id !== "two-factor-preferred") {
+      return;
+    }
+    const currentPassword = await this.askCurrentPassword();
+    if (!currentPassword) {
+      await this.refreshTwoFactorSection(false);
+      return;
+    }
+    try {
+      await setPreferredTwoFactorMethod(event.target.value, currentPassword);
+      this.twoFactor.preferred_method = event.target.value;
+      this.app.showMessage(translate("account_two_factor_preferred_saved"), "success");
+    } catch (error) {
+      debugError("Error saving preferred second factor:", error);
+      this.app.showMessage(error.message || translate("error_loading_data"), "error");
+      await this.refreshTwoFactorSection(false);
+    }
+  }
+
   /**
    * Handle logout
    */
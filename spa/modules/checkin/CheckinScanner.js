@@ -0,0 +1,516 @@
+/**
+ * Check-in Scanner
+ *
+ * Camp mode check-in and check-out. A leader scans each child's QR badge with
+ * the device camera (or taps the name in the list) on the way in and on the
+ * way out, at the site or on the bus. The roll call below shows who is on
+ * site right now and who has not been seen.
+ *
+ * Scans work offline: they go through the outbox with the time they were
+ * made, and are shown in the roll call until the server has them. The roster
+ * with badge codes is cached when camp mode is prepared, so a badge is named
+ * before the server checks it.
+ */
+
+import { BaseModule } from '../../utils/BaseModule.js';
+import { translate } from '../../app.js';
+import { setContent, loadStylesheet } from '../../utils/DOMUtils.js';
+import { escapeHTML } from '../../utils/SecurityUtils.js';
+import { debugError, debugWarn } from '../../utils/DebugUtils.js';
+import { formatTimestamp, getTodayISO } from '../../utils/DateUtils.js';
+import { downloadBlob } from '../../utils/ExportUtils.js';
+import { getCachedDataIgnoreExpiration, setCachedData } from '../../indexedDB.js';
+import { generateCorrelationId } from '../../data/OfflineDatabase.js';
+import { getActivities } from '../../api/api-activities.js';
+import {
+  getCheckinRoster,
+  getCheckinRollCall,
+  recordCheckin,
+  getCheckinBadgesPdf
+} from '../../api/api-endpoints.js';
+import { offlineManager } from '../OfflineManager.js';
+
+/** Scans made on this device, kept until the roll call from the server has them. */
+const LOCAL_SCANS_KEY = 'checkin_local_scans';
+const LOCAL_SCANS_TTL = 15 * 24 * 60 * 60 * 1000;
+
+/** The same badge held in front of the camera is one scan, not one per frame. */
+const RESCAN_DELAY_MS = 3000;
+const DETECT_INTERVAL_MS = 250;
+
+export class CheckinScanner extends BaseModule {
+  /**
+   * @param {Object} app - Application instance
+   */
+  constructor(app) {
+    super(app);
+    this.activities = [];
+    this.roster = [];
+    this.rollCall = null;
+    this.localScans = [];
+    this.activityId = Number(offlineManager.activeActivityId) || null;
+    this.date = getTodayISO();
+    this.checkpoint = 'site';
+    this.eventType = 'check_in';
+    this.search = '';
+    this.stream = null;
+    this.detector = null;
+    this.lastDetected = { code: null, at: 0 };
+  }
+
+  async init() {
+    const container = document.getElementById('app');
+    setContent(container, `<div class="page-loading">${translate('loading')}</div>`);
+
+    await loadStylesheet('/css/checkin.css');
+    await Promise.all([this.loadActivities(), this.loadRoster(), this.loadLocalScans()]);
+    await this.loadRollCall();
+    this.render();
+    this.attachEventListeners();
+  }
+
+  destroy() {
+    this.stopCamera();
+    super.destroy();
+  }
+
+  async loadActivities() {
+    try {
+      this.activities = await getActivities();
+    } catch (error) {
+      debugWarn('Failed to load activities for check-in:', error);
+      this.activities = [];
+    }
+  }
+
+  async loadRoster() {
+    try {
+      const response = await getCheckinRoster();
+      this.roster = response?.data || [];
+    } catch (error) {
+      debugError('Failed to load check-in roster:', error);
+      this.roster = [];
+    }
+  }
+
+  async loadLocalScans() {
+    try {
+      const scans = await getCachedDataIgnoreExpiration(LOCAL_SCANS_KEY);
+      const cutoff = Date.now() - LOCAL_SCANS_TTL;
+      this.localScans = (Array.isArray(scans) ? scans : [])
+        .filter((scan) => new Date(scan.occurred_at).getTime() > cutoff);
+    } catch (error) {
+      debugWarn('Failed to load local check-in scans:', error);
+      this.localScans = [];
+    }
+  }
+
+  async saveLocalScans() {
+    try {
+      await setCachedData(LOCAL_SCANS_KEY, this.localScans, LOCAL_SCANS_TTL);
+    } catch (error) {
+      debugWarn('Failed to save local check-in scans:', error);
+    }
+  }
+
+  /**
+   * Roll call from the server (or its cached copy offline), with this
+   * device's scans laid over it.
+   *
+   * @param {boolean} [forceRefresh] - Skip the short-lived cache
+   * @returns {Promise<void>}
+   */
+  async loadRollCall(forceRefresh = false) {
+    let rollCall = null;
+    try {
+      const response = await getCheckinRollCall({
+        activityId: this.activityId,
+        date: this.activityId ? null : this.date,
+        checkpoint: this.checkpoint,
+        forceRefresh
+      });
+      rollCall = response?.data || null;
+    } catch (error) {
+      debugWarn('Failed to load roll call, using the roster:', error);
+    }
+
+    const participants = rollCall?.participants
+      || this.roster.map((participant) => ({ ...participant, status: 'not_seen', last_scan_at: null }));
+    this.rollCall = this.applyLocalScans(participants);
+  }
+
+  /**
+   * Overlay the scans made here on the server statuses. A local scan wins only
+   * when it is newer than the participant's last scan on the server, so scans
+   * the server already has change nothing.
+   *
+   * @param {Array<Object>} participants - Roll call rows
+   * @returns {{counts: Object, participants: Array<Object>}}
+   */
+  applyLocalScans(participants) {
+    const latest = new Map();
+    for (const scan of this.localScans) {
+      if (!this.inScope(scan)) continue;
+      const previous = latest.get(scan.participant_id);
+      if (!previous || scan.occurred_at > previous.occurred_at) {
+        latest.set(scan.participant_id, scan);
+      }
+    }
+
+    const counts = { in: 0, out: 0, not_seen: 0, total: participants.length };
+    const rows = participants.map((participant) => {
+      const scan = latest.get(participant.participant_id);
+      const serverTime = participant.last_scan_at ? new Date(participant.last_scan_at).getTime() : 0;
+      const row = scan && new Date(scan.occurred_at).getTime() > serverTime
+        ? {
+          ...participant,
+          status: scan.event_type === 'check_in' ? 'in' : 'out',
+          last_scan_at: scan.occurred_at,
+          pending: true
+        }
+        : participant;
+      counts[row.status] += 1;
+      return row;
+    });
+
+    return { counts, participants: rows };
+  }
+
+  /**
+   * Whether a local scan belongs to the roll call on screen.
+   * @param {Object} scan - Local scan
+   * @returns {boolean}
+   */
+  inScope(scan) {
+    if (scan.checkpoint !== this.checkpoint) return false;
+    if (this.activityId) return scan.activity_id === this.activityId;
+    return !scan.activity_id && new Date(scan.occurred_at).toLocaleDateString('en-CA') === this.date;
+  }
+
+  render() {
+    const container = document.getElementById('app');
+    const cameraSupported = this.cameraSupported();
+
+    setContent(container, `
+      <section class="page checkin-page">
+        <header class="page__header">
+          <a href="/dashboard" class="button button--ghost">← ${translate('back')}</a>
+          <h1>${translate('checkin_title')}</h1>
+        </header>
+
+        <div class="checkin-controls">
+          <label class="checkin-controls__activity">
+            <span>${translate('activity')}</span>
+            <select id="checkin-activity">
+              <option value="">${translate('checkin_no_activity')}</option>
+              ${this.activities.map((activity) => `
+                <option value="${activity.id}" ${activity.id === this.activityId ? 'selected' : ''}>
+                  ${escapeHTML(activity.name)}
+                </option>
+              `).join('')}
+            </select>
+          </label>
+          <div class="checkin-toggle" role="group" aria-label="${translate('checkin_checkpoint')}">
+            ${this.renderToggle('checkpoint', 'site', translate('checkin_checkpoint_site'))}
+            ${this.renderToggle('checkpoint', 'bus', translate('checkin_checkpoint_bus'))}
+          </div>
+          <div class="checkin-toggle" role="group" aria-label="${translate('checkin_mode')}">
+            ${this.renderToggle('eventType', 'check_in', translate('checkin_check_in'))}
+            ${this.renderToggle('eventType', 'check_out', translate('checkin_check_out'))}
+          </div>
+        </div>
+
+        <div class="checkin-scanner">
+          ${cameraSupported ? `
+            <video id="checkin-video" class="checkin-scanner__video" playsinline muted hidden></video>
+            <button type="button" class="button button--primary" id="checkin-camera-toggle">
+              ${translate(this.stream ? 'checkin_stop_camera' : 'checkin_start_camera')}
+            </button>
+          ` : `<p class="checkin-scanner__unsupported">${translate('checkin_camera_unavailable')}</p>`}
+          <p id="checkin-feedback" class="checkin-scanner__feedback" role="status" aria-live="polite"></p>
+        </div>
+
+        <div id="checkin-roll-call">${this.renderRollCall()}</div>
+
+        <footer class="checkin-footer">
+          <button type="button" class="button button--secondary" id="checkin-refresh">${translate('refresh')}</button>
+          <button type="button" class="button button--secondary" id="checkin-badges">${translate('checkin_print_badges')}</button>
+        </footer>
+      </section>
+    `);
+  }
+
+  /**
+   * @param {string} setting - 'checkpoint' or 'eventType'
+   * @param {string} value - Option value
+   * @param {string} label - Translated label
+   * @returns {string} HTML
+   */
+  renderToggle(setting, value, label) {
+    const active = this[setting] === value;
+    return `
+      <button type="button" class="checkin-toggle__option ${active ? 'is-active' : ''}"
+        data-setting="${setting}" data-value="${value}" aria-pressed="${active}">
+        ${label}
+      </button>
+    `;
+  }
+
+  renderRollCall() {
+    const { counts, participants } = this.rollCall || { counts: { in: 0, out: 0, not_seen: 0, total: 0 }, participants: [] };
+    const term = this.search.trim().toLowerCase();
+    const visible = term
+      ? participants.filter((p) => `${p.first_name} ${p.last_name}`.toLowerCase().includes(term))
+      : participants;
+    const lang = this.app?.lang || 'en';
+    const buttonLabel = translate(this.eventType === 'check_in' ? 'checkin_check_in' : 'checkin_check_out');
+
+    return `
+      <div class="checkin-counts">
+        <span class="checkin-counts__item checkin-status--in">${translate('checkin_status_in')}: <strong>${counts.in}</strong></span>
+        <span class="checkin-counts__item checkin-status--out">${translate('checkin_status_out')}: <strong>${counts.out}</strong></span>
+        <span class="checkin-counts__item checkin-status--not_seen">${translate('checkin_status_not_seen')}: <strong>${counts.not_seen}</strong></span>
+        <span class="checkin-counts__item">${translate('total')}: <strong>${counts.total}</strong></span>
+      </div>
+      <input type="search" id="checkin-search" class="checkin-search" value="${escapeHTML(this.search)}"
+        placeholder="${translate('checkin_search_placeholder')}" aria-label="${translate('checkin_search_placeholder')}">
+      ${visible.length === 0 ? `<p class="checkin-empty">${translate(this.search ? 'checkin_no_match' : 'no_participants')}</p>` : `
+        <ul class="checkin-list">
+          ${visible.map((participant) => `
+            <li class="checkin-list__item checkin-status--${participant.status}">
+              <div class="checkin-list__who">
+                <strong>${escapeHTML(`${participant.first_name} ${participant.last_name}`)}</strong>
+                ${participant.group_name ? `<span class="checkin-list__group">${escapeHTML(participant.group_name)}</span>` : ''}
+              </div>
+              <div class="checkin-list__status">
+                <span>${translate(`checkin_status_${participant.status}`)}</span>
+                ${participant.last_scan_at ? `<time>${escapeHTML(formatTimestamp(participant.last_scan_at, lang))}</time>` : ''}
+                ${participant.pending ? `<span class="checkin-list__pending">${translate('checkin_pending_sync')}</span>` : ''}
+              </div>
+              <button type="button" class="button button--small" data-participant-id="${participant.participant_id}">
+                ${buttonLabel}
+              </button>
+            </li>
+          `).join('')}
+        </ul>
+      `}
+    `;
+  }
+
+  refreshRollCallView() {
+    const target = document.getElementById('checkin-roll-call');
+    if (!target) return;
+    setContent(target, this.renderRollCall());
+    const search = document.getElementById('checkin-search');
+    if (search && this.search) {
+      search.focus();
+      search.setSelectionRange(search.value.length, search.value.length);
+    }
+  }
+
+  attachEventListeners() {
+    const container = document.getElementById('app');
+
+    this.addEventListener(container, 'click', (event) => {
+      const toggle = event.target.closest('[data-setting]');
+      if (toggle) {
+        this.changeSetting(toggle.dataset.setting, toggle.dataset.value);
+        return;
+      }
+
+      const participantButton = event.target.closest('[data-participant-id]');
+      if (participantButton) {
+        this.record({ participantId: Number(participantButton.dataset.participantId) });
+        return;
+      }
+
+      if (event.target.closest('#checkin-camera-toggle')) {
+        if (this.stream) {
+          this.stopCamera();
+          this.render();
+        } else {
+          this.startCamera();
+        }
+      } else if (event.target.closest('#checkin-refresh')) {
+        this.reload(true);
+      } else if (event.target.closest('#checkin-badges')) {
+        this.downloadBadges();
+      }
+    });
+
+    this.addEventListener(container, 'change', (event) => {
+      if (event.target.id === 'checkin-activity') {
+        this.activityId = Number(event.target.value) || null;
+        this.reload();
+      }
+    });
+
+    this.addEventListener(container, 'input', (event) => {
+      if (event.target.id === 'checkin-search') {
+        this.search = event.target.value;
+        this.refreshRollCallView();
+      }
+    });
+
+    // Scans queued offline reach the server when sync runs; reload so the
+    // roll call comes from the server again.
+    this.addEventListener(window, 'syncCompleted', () => this.reload(true));
+  }
+
+  /**
+   * @param {string} setting - 'checkpoint' or 'eventType'
+   * @param {string} value - New value
+   */
+  changeSetting(setting, value) {
+    if (this[setting] === value) return;
+    this[setting] = value;
+    if (setting === 'checkpoint') {
+      this.reload();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * @param {boolean} [forceRefresh] - Skip the short-lived cache
+   * @returns {Promise<void>}
+   */
+  async reload(forceRefresh = false) {
+    await this.loadRollCall(forceRefresh);
+    if (this.isDestroyed) return;
+    this.render();
+  }
+
+  cameraSupported() {
+    return typeof window.BarcodeDetector === 'function'
+      && Boolean(navigator.mediaDevices?.getUserMedia);
+  }
+
+  async startCamera() {
+    try {
+      this.detector = this.detector || new window.BarcodeDetector({ formats: ['qr_code'] });
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+    } catch (error) {
+      debugError('Failed to start the camera:', error);
+      this.stream = null;
+      this.app?.showMessage?.(translate('checkin_camera_failed'), 'error');
+      return;
+    }
+
+    if (this.isDestroyed) {
+      this.stopCamera();
+      return;
+    }
+
+    this.render();
+    const video = document.getElementById('checkin-video');
+    video.hidden = false;
+    video.srcObject = this.stream;
+    await video.play().catch((error) => debugWarn('Camera preview did not start:', error));
+    this.detectLoop(video);
+  }
+
+  stopCamera() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+    }
+    this.stream = null;
+  }
+
+  /**
+   * Look for a QR code in the preview a few times a second.
+   * @param {HTMLVideoElement} video - Camera preview
+   */
+  detectLoop(video) {
+    if (!this.stream || this.isDestroyed) return;
+
+    this.detector.detect(video)
+      .then((codes) => {
+        const code = codes[0]?.rawValue;
+        const now = Date.now();
+        if (code && (code !== this.lastDetected.code || now - this.lastDetected.at > RESCAN_DELAY_MS)) {
+          this.lastDetected = { code, at: now };
+          this.record({ code });
+        }
+      })
+      .catch((error) => debugWarn('QR detection failed:', error))
+      .finally(() => this.setTimeout(() => this.detectLoop(video), DETECT_INTERVAL_MS));
+  }
+
+  /**
+   * Record a scan (badge code) or a check-in by hand (participant id).
+   *
+   * @param {{code?: string, participantId?: number}} source - What identifies the child
+   * @returns {Promise<void>}
+   */
+  async record({ code = null, participantId = null }) {
+    const participant = code
+      ? this.roster.find((row) => row.code === code.trim().toUpperCase())
+      : this.roster.find((row) => row.participant_id === participantId);
+    if (!participant) {
+      this.showFeedback(translate('invalid_badge_code'), 'error');
+      return;
+    }
+
+    const scan = {
+      event_type: this.eventType,
+      checkpoint: this.checkpoint,
+      activity_id: this.activityId,
+      occurred_at: new Date().toISOString(),
+      client_event_id: generateCorrelationId()
+    };
+    const payload = code ? { ...scan, code: participant.code } : { ...scan, participant_id: participant.participant_id };
+    const name = `${participant.first_name} ${participant.last_name}`;
+
+    try {
+      const result = await recordCheckin(payload);
+      this.localScans.push({ ...scan, participant_id: participant.participant_id });
+      await this.saveLocalScans();
+
+      const key = this.eventType === 'check_in' ? 'checkin_checked_in' : 'checkin_checked_out';
+      this.showFeedback(
+        `${translate(key).replace('{name}', name)}${result?.queued ? ` · ${translate('checkin_pending_sync')}` : ''}`,
+        'success'
+      );
+    } catch (error) {
+      debugError('Failed to record check-in:', error);
+      this.showFeedback(`${name}: ${translate(error.message || 'checkin_failed')}`, 'error');
+      return;
+    }
+
+    const participants = (this.rollCall?.participants || []).map((participant) => {
+      const row = { ...participant };
+      delete row.pending;
+      return row;
+    });
+    this.rollCall = this.applyLocalScans(participants);
+    this.refreshRollCallView();
+  }
+
+  /**
+   * @param {string} message - Text to announce
+   * @param {'success'|'error'} type - Outcome
+   */
+  showFeedback(message, type) {
+    const feedback = document.getElementById('checkin-feedback');
+    if (!feedback) return;
+    feedback.textContent = message;
+    feedback.className = `checkin-scanner__feedback checkin-scanner__feedback--${type}`;
+    if (type === 'success' && navigator.vibrate) {
+      navigator.vibrate(80);
+    }
+  }
+
+  async downloadBadges() {
+    try {
+      const blob = await getCheckinBadgesPdf({ lang: this.app?.lang });
+      downloadBlob(blob, 'checkin-badges.pdf', 'application/pdf');
+    } catch (error) {
+      debugError('Failed to download check-in badges:', error);
+      this.app?.showMessage?.(translate('pdf_download_failed'), 'error');
+    }
+  }
+}
@@ -0,0 +1,407 @@
+/**
+ * Email Templates
+ *
+ * Shows every email the application sends for the unit and lets a leader
+ * reword it in English and French, then preview it with the unit's logo and
+ * colour before saving. A template without its own wording follows the
+ * translated default. The colour of the email layout is set here too; the
+ * logo is the one from the unit details.
+ *
+ * Reached from Unit Settings.
+ */
+
+import { BaseModule } from '../../utils/BaseModule.js';
+import { translate } from '../../app.js';
+import { setContent, loadStylesheet } from '../../utils/DOMUtils.js';
+import { escapeHTML } from '../../utils/SecurityUtils.js';
+import { debugError } from '../../utils/DebugUtils.js';
+import { confirmDestructive } from '../../utils/DialogUtils.js';
+import { hasPermission } from '../../utils/PermissionUtils.js';
+import {
+  getEmailTemplates,
+  saveEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate,
+  updateBranding,
+} from '../../api/api-endpoints.js';
+
+/** Languages a unit can reword templates in; mirrors TEMPLATE_LANGUAGES on the server. */
+const TEMPLATE_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'Français' },
+];
+
+/** Placeholders laid out as a whole paragraph; they cannot go in a subject. */
+const BLOCK_PLACEHOLDERS = ['details', 'button'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export class EmailTemplates extends BaseModule {
+  /**
+   * @param {Object} app - Application instance
+   */
+  constructor(app) {
+    super(app);
+    this.templates = [];
+    this.branding = null;
+    this.selectedKey = null;
+    this.language = TEMPLATE_LANGUAGES.some(({ code }) => code === app?.lang) ? app.lang : 'fr';
+    this.canEdit = false;
+    this.loadError = false;
+    this.saving = false;
+  }
+
+  async init() {
+    const container = document.getElementById('app');
+    setContent(container, `<div class="page-loading">${translate('loading')}</div>`);
+
+    this.canEdit = hasPermission('org.edit');
+    await loadStylesheet('/css/email-templates.css');
+    await this.loadTemplates();
+    this.render();
+    this.attachEventListeners();
+    if (this.selectedKey) {
+      await this.refreshPreview();
+    }
+  }
+
+  async loadTemplates() {
+    try {
+      const response = await getEmailTemplates();
+      this.templates = response?.data?.templates || [];
+      this.branding = response?.data?.branding || null;
+      this.loadError = false;
+      if (!this.templates.some(({ key }) => key === this.selectedKey)) {
+        this.selectedKey = this.templates[0]?.key || null;
+      }
+    } catch (error) {
+      debugError('Failed to load email templates:', error);
+      this.templates = [];
+      this.loadError = true;
+    }
+  }
+
+  /** @returns {Object|undefined} Template being edited */
+  get selected() {
+    return this.templates.find(({ key }) => key === this.selectedKey);
+  }
+
+  /** @returns {{subject: string, body: string}} Saved wording, or the default */
+  currentWording() {
+    const entry = this.selected?.languages?.[this.language];
+    return entry?.override || entry?.default || { subject: '', body: '' };
+  }
+
+  render() {
+    const container = document.getElementById('app');
+
+    const body = this.loadError
+      ? `<p class="error-message" role="alert">${translate('email_templates_load_failed')}</p>`
+      : `${this.renderBranding()}${this.renderEditor()}`;
+
+    setContent(container, `
+      <section class="page email-templates-page">
+        <header class="page__header">
+          <a href="/unit-settings" class="button button--ghost">← ${translate('back')}</a>
+          <h1>${translate('email_templates_title')}</h1>
+        </header>
+        <p class="page__description">${translate('email_templates_description')}</p>
+        ${body}
+      </section>
+    `);
+  }
+
+  renderBranding() {
+    const color = this.branding?.primary_color || '#0275d8';
+    const disabled = this.canEdit ? '' : 'disabled';
+
+    return `
+      <section class="account-section email-templates__branding">
+        <h2>${translate('email_templates_branding_title')}</h2>
+        <form id="email-branding-form" class="email-templates__branding-form">
+          <label for="email-primary-color">${translate('email_templates_primary_color')}</label>
+          <input type="color" id="email-primary-color" name="primary_color" value="${escapeHTML(color)}" ${disabled}>
+          ${this.canEdit ? `<button type="submit" class="button button--secondary">${translate('save')}</button>` : ''}
+        </form>
+        <p class="muted-text">${translate('email_templates_logo_hint')}</p>
+      </section>
+    `;
+  }
+
+  renderEditor() {
+    const template = this.selected;
+    if (!template) {
+      return `<p class="muted-text">${translate('email_templates_none')}</p>`;
+    }
+
+    const wording = this.currentWording();
+    const isCustomized = Boolean(template.languages?.[this.language]?.override);
+    const disabled = this.canEdit ? '' : 'disabled';
+    const options = this.templates.map(({ key }) => `
+      <option value="${escapeHTML(key)}" ${key === this.selectedKey ? 'selected' : ''}>
+        ${escapeHTML(this.templateLabel(key))}${this.isCustomized(key) ? ' ✎' : ''}
+      </option>
+    `).join('');
+
+    return `
+      <section class="account-section email-templates__editor">
+        <div class="email-templates__pickers">
+          <label>
+            <span>${translate('email_templates_template_label')}</span>
+            <select id="email-template-select">${options}</select>
+          </label>
+          <div class="email-templates__languages" role="tablist" aria-label="${escapeHTML(translate('email_templates_language_label'))}">
+            ${TEMPLATE_LANGUAGES.map(({ code, label }) => `
+              <button type="button" role="tab" class="button ${code === this.language ? 'button--primary' : 'button--secondary'}"
+                data-template-language="${code}" aria-selected="${code === this.language}">
+                ${escapeHTML(label)}
+              </button>
+            `).join('')}
+          </div>
+        </div>
+
+        <p class="email-templates__status ${isCustomized ? 'is-customized' : ''}">
+          ${translate(isCustomized ? 'email_templates_customized' : 'email_templates_default')}
+        </p>
+
+        <form id="email-template-form" class="email-templates__form">
+          <label for="email-template-subject">${translate('email_templates_subject')}</label>
+          <input type="text" id="email-template-subject" maxlength="200" value="${escapeHTML(wording.subject)}" ${disabled} required>
+
+          <label for="email-template-body">${translate('email_templates_body')}</label>
+          <textarea id="email-template-body" rows="14" ${disabled} required>${escapeHTML(wording.body)}</textarea>
+          <p class="muted-text">${translate('email_templates_body_hint')}</p>
+
+          <div class="email-templates__placeholders">
+            <span>${translate('email_templates_placeholders')}</span>
+            ${template.variables.map((name) => `
+              <code class="email-templates__placeholder ${template.required.includes(name) ? 'is-required' : ''}"
+                title="${template.required.includes(name) ? escapeHTML(translate('email_templates_required')) : ''}">{${escapeHTML(name)}}</code>
+            `).join('')}
+          </div>
+          <p id="email-template-problems" class="error-message" role="alert" hidden></p>
+
+          <div class="email-templates__actions">
+            <button type="button" class="button button--secondary" id="email-template-preview-btn">
+              ${translate('email_templates_preview')}
+            </button>
+            ${this.canEdit ? `
+              <button type="submit" class="button button--primary" id="email-template-save-btn">${translate('save')}</button>
+              ${isCustomized ? `
+                <button type="button" class="button button--ghost" id="email-template-reset-btn">
+                  ${translate('email_templates_reset')}
+                </button>
+              ` : ''}
+            ` : ''}
+          </div>
+        </form>
+      </section>
+
+      <section class="account-section email-templates__preview">
+        <h2>${translate('email_templates_preview')}</h2>
+        <p><strong>${translate('email_templates_preview_subject')}</strong> <span id="email-preview-subject"></span></p>
+        <iframe id="email-preview-frame" class="email-templates__preview-frame" sandbox="" title="${escapeHTML(translate('email_templates_preview'))}"></iframe>
+      </section>
+    `;
+  }
+
+  /**
+   * @param {string} key - Template key
+   * @returns {string} Translated template name
+   */
+  templateLabel(key) {
+    const label = translate(`email_template_${key}`);
+    return label && label !== `email_template_${key}` ? label : key;
+  }
+
+  /**
+   * @param {string} key - Template key
+   * @returns {boolean} Whether the unit reworded it in the current language
+   */
+  isCustomized(key) {
+    return Boolean(this.templates.find((template) => template.key === key)?.languages?.[this.language]?.override);
+  }
+
+  /** @returns {{subject: string, body: string}} What the form holds */
+  formWording() {
+    return {
+      subject: document.getElementById('email-template-subject')?.value || '',
+      body: document.getElementById('email-template-body')?.value || '',
+    };
+  }
+
+  /**
+   * Placeholder mistakes the server would refuse, so they show while typing.
+   *
+   * @param {{subject: string, body: string}} wording - Form values
+   * @returns {string[]} Translated problems
+   */
+  findProblems({ subject, body }) {
+    const template = this.selected;
+    if (!template) return [];
+
+    const used = (text) => [...text.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name);
+    const unknown = [
+      ...used(subject).filter((name) => !template.variables.includes(name) || BLOCK_PLACEHOLDERS.includes(name)),
+      ...used(body).filter((name) => !template.variables.includes(name)),
+    ];
+    const missing = template.required.filter((name) => !body.includes(`{${name}}`));
+
+    const problems = [];
+    if (unknown.length) {
+      problems.push(translate('email_templates_unknown_placeholders')
+        .replace('{placeholders}', [...new Set(unknown)].map((name) => `{${name}}`).join(', ')));
+    }
+    if (missing.length) {
+      problems.push(translate('email_templates_missing_placeholders')
+        .replace('{placeholders}', missing.map((name) => `{${name}}`).join(', ')));
+    }
+    return problems;
+  }
+
+  /** Show the form's placeholder problems. @returns {boolean} Whether there are none */
+  showProblems() {
+    const problems = this.findProblems(this.formWording());
+    const element = document.getElementById('email-template-problems');
+    if (element) {
+      element.textContent = problems.join(' ');
+      element.hidden = problems.length === 0;
+    }
+    return problems.length === 0;
+  }
+
+  attachEventListeners() {
+    const container = document.getElementById('app');
+
+    this.addEventListener(container, 'change', async (event) => {
+      if (event.target.id === 'email-template-select') {
+        this.selectedKey = event.target.value;
+        await this.rerender();
+      }
+    });
+
+    this.addEventListener(container, 'input', (event) => {
+      if (event.target.id === 'email-template-subject' || event.target.id === 'email-template-body') {
+        this.showProblems();
+      }
+    });
+
+    this.addEventListener(container, 'click', async (event) => {
+      const languageButton = event.target.closest('[data-template-language]');
+      if (languageButton) {
+        this.language = languageButton.dataset.templateLanguage;
+        await this.rerender();
+        return;
+      }
+      if (event.target.closest('#email-template-preview-btn')) {
+        await this.refreshPreview(this.formWording());
+        return;
+      }
+      if (event.target.closest('#email-template-reset-btn')) {
+        await this.handleReset();
+      }
+    });
+
+    this.addEventListener(container, 'submit', async (event) => {
+      event.preventDefault();
+      if (event.target.id === 'email-template-form') {
+        await this.handleSave();
+      } else if (event.target.id === 'email-branding-form') {
+        await this.handleSaveBranding();
+      }
+    });
+  }
+
+  async rerender() {
+    this.render();
+    await this.refreshPreview();
+  }
+
+  /**
+   * Render the preview with sample values. Without wording, the saved one
+   * (or the default) is shown.
+   *
+   * @param {{subject: string, body: string}|null} [wording] - Unsaved wording
+   * @returns {Promise<void>}
+   */
+  async refreshPreview(wording = null) {
+    if (!this.selectedKey) return;
+    if (wording && !this.showProblems()) return;
+
+    try {
+      const response = await previewEmailTemplate(this.selectedKey, { language: this.language, ...(wording || {}) });
+      const subject = document.getElementById('email-preview-subject');
+      const frame = document.getElementById('email-preview-frame');
+      if (subject) subject.textContent = response?.data?.subject || '';
+      if (frame) frame.srcdoc = response?.data?.html || '';
+    } catch (error) {
+      debugError('Failed to preview email template:', error);
+      this.app?.showMessage?.(translate('email_templates_preview_failed'), 'error');
+    }
+  }
+
+  async handleSave() {
+    if (this.saving || !this.showProblems()) return;
+
+    this.saving = true;
+    const button = document.getElementById('email-template-save-btn');
+    if (button) button.disabled = true;
+
+    try {
+      await saveEmailTemplate(this.selectedKey, this.language, this.formWording());
+      this.app?.showMessage?.(translate('email_templates_saved'), 'success');
+      await this.loadTemplates();
+      await this.rerender();
+    } catch (error) {
+      debugError('Failed to save email template:', error);
+      this.app?.showMessage?.(this.saveErrorMessage(error), 'error');
+      if (button) button.disabled = false;
+    } finally {
+      this.saving = false;
+    }
+  }
+
+  async handleReset() {
+    const confirmed = await confirmDestructive({
+      title: translate('email_templates_reset'),
+      message: translate('email_templates_reset_confirm'),
+      confirmLabel: translate('email_templates_reset'),
+      cancelLabel: translate('cancel'),
+    });
+    if (!confirmed) return;
+
+    try {
+      await resetEmailTemplate(this.selectedKey, this.language);
+      this.app?.showMessage?.(translate('email_templates_reset_done'), 'success');
+      await this.loadTemplates();
+      await this.rerender();
+    } catch (error) {
+      debugError('Failed to reset email template:', error);
+      this.app?.showMessage?.(this.saveErrorMessage(error), 'error');
+    }
+  }
+
+  async handleSaveBranding() {
+    const primaryColor = document.getElementById('email-primary-color')?.value || '';
+
+    try {
+      const response = await updateBranding({ primary_color: primaryColor });
+      this.branding = { ...this.branding, primary_color: response?.data?.branding?.primary_color || primaryColor };
+      this.app?.showMessage?.(translate('email_templates_branding_saved'), 'success');
+      await this.refreshPreview();
+    } catch (error) {
+      debugError('Failed to save email branding:', error);
+      this.app?.showMessage?.(this.saveErrorMessage(error), 'error');
+    }
+  }
+
+  /**
+   * @param {Error} error - Failed request
+   * @returns {string} Translated message
+   */
+  saveErrorMessage(error) {
+    if (error?.status === 400) return translate('email_templates_invalid');
+    if (error?.status === 403) return translate('insufficient_permissions');
+    return translate('error_saving');
+  }
+}
@@ -453,6 +453,9 @@ export class IncidentReport {
 
     // Wire up dependsOn conditional logic
     this.setupDependsOn();
+
+    // showIf / requiredIf rules, computed fields and repeat rows
+    this.formRenderer?.attachConditionalLogic(document.getElementById('incident-form'));
   }
 
   /**
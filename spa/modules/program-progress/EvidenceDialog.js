@@ -0,0 +1,173 @@
+// EvidenceDialog.js
+// Modal where a youth, parent or leader files evidence (photo, PDF or a short
+// write-up) against a progression record and sees what is already filed.
+// Each submission lands in the leader approval queue (ProgressEvidenceQueue).
+import { translate } from "../../app.js";
+import { debugError } from "../../utils/DebugUtils.js";
+import { setContent } from "../../utils/DOMUtils.js";
+import { escapeHTML } from "../../utils/SecurityUtils.js";
+import { openModal } from "../../utils/ModalUtils.js";
+import { formatDateShort, parseDate } from "../../utils/DateUtils.js";
+import { canManageBadges } from "../../utils/PermissionUtils.js";
+import { getCurrentUserId } from "../../api/api-helpers.js";
+import {
+  getProgressEvidence,
+  submitProgressEvidence,
+  deleteProgressEvidence
+} from "../../api/api-program-progress.js";
+
+const EVIDENCE_TYPES = ["photo", "document", "note"];
+
+/**
+ * Render one piece of evidence: a thumbnail, a document link or the note.
+ *
+ * @param {Object} evidence - Evidence row with signed `file_url`
+ * @returns {string} HTML
+ */
+export function renderEvidenceItem(evidence) {
+  let body = "";
+  if (evidence.evidence_type === "photo" && evidence.file_url) {
+    body = `<a href="${escapeHTML(evidence.file_url)}" target="_blank" rel="noopener">
+      <img src="${escapeHTML(evidence.file_url)}" alt="${escapeHTML(translate("progress_evidence_type_photo"))}"
+        style="max-width: 160px; max-height: 120px; border-radius: 4px;">
+    </a>`;
+  } else if (evidence.evidence_type === "document" && evidence.file_url) {
+    body = `<a href="${escapeHTML(evidence.file_url)}" target="_blank" rel="noopener">${escapeHTML(translate("progress_evidence_open_document"))}</a>`;
+  }
+  const notes = evidence.notes ? `<p>${escapeHTML(evidence.notes)}</p>` : "";
+  const date = evidence.created_at ? formatDateShort(parseDate(evidence.created_at)) : "";
+  return `
+    ${body}
+    ${notes}
+    <small class="muted-text">
+      ${escapeHTML(translate(`progress_evidence_type_${evidence.evidence_type}`))}
+      ${date ? ` · ${escapeHTML(date)}` : ""}
+      ${evidence.created_by_name ? ` · ${escapeHTML(evidence.created_by_name)}` : ""}
+    </small>
+  `;
+}
+
+/**
+ * Open the evidence dialog for one progression record.
+ *
+ * @param {Object} options - Dialog options
+ * @param {Object} options.app - Application instance, for messages
+ * @param {string} options.sourceType - participant_oas_competency, badge_progress or oas_competency
+ * @param {number} options.sourceId - Record ID
+ * @param {number|null} [options.participantId] - Youth, for catalog competency claims
+ * @param {string} [options.title] - What the evidence is for
+ * @param {Function} [options.onChange] - Called after evidence is added or removed
+ */
+export function openEvidenceDialog({ app, sourceType, sourceId, participantId = null, title = "", onChange = null }) {
+  const currentUserId = getCurrentUserId();
+  const canDeleteAny = canManageBadges();
+
+  const modal = openModal({
+    id: "progress-evidence-dialog",
+    title: escapeHTML(translate("progress_evidence_title")),
+    body: `
+      ${title ? `<p><strong>${escapeHTML(title)}</strong></p>` : ""}
+      <div id="progress-evidence-list"><p class="muted-text">${translate("loading")}</p></div>
+      <form id="progress-evidence-form">
+        <label class="form-group" for="progress-evidence-type">
+          <span>${translate("progress_evidence_type")}</span>
+          <select id="progress-evidence-type" name="evidence_type">
+            ${EVIDENCE_TYPES.map((type) => `<option value="${type}">${escapeHTML(translate(`progress_evidence_type_${type}`))}</option>`).join("")}
+          </select>
+        </label>
+        <label class="form-group" for="progress-evidence-file">
+          <span>${translate("progress_evidence_file")}</span>
+          <input type="file" id="progress-evidence-file" name="file" accept="image/*,application/pdf">
+        </label>
+        <label class="form-group" for="progress-evidence-notes">
+          <span>${translate("progress_evidence_notes")}</span>
+          <textarea id="progress-evidence-notes" name="notes" rows="3"></textarea>
+        </label>
+      </form>
+    `,
+    footer: `
+      <button type="button" class="button button--secondary" data-modal-close>${escapeHTML(translate("close"))}</button>
+      <button type="button" class="button button--primary" id="progress-evidence-submit">${escapeHTML(translate("progress_evidence_submit"))}</button>
+    `
+  });
+
+  const listContainer = modal.overlay.querySelector("#progress-evidence-list");
+
+  const loadList = async () => {
+    try {
+      const evidence = await getProgressEvidence(sourceType, sourceId, participantId);
+      if (evidence.length === 0) {
+        setContent(listContainer, `<p class="muted-text">${translate("progress_evidence_empty")}</p>`);
+        return;
+      }
+      setContent(listContainer, `
+        <ul class="list-unstyled">
+          ${evidence.map((item) => {
+            const canDelete = canDeleteAny || String(item.created_by) === String(currentUserId);
+            const status = item.approval_status
+              ? `<span class="badge-summary-chip">${escapeHTML(translate(`progress_evidence_status_${item.approval_status}`))}</span>`
+              : "";
+            return `
+              <li style="margin-bottom: .75rem;">
+                ${renderEvidenceItem(item)}
+                ${status}
+                ${canDelete
+                  ? `<button type="button" class="button button--small button--secondary" data-evidence-delete="${item.id}">${escapeHTML(translate("delete"))}</button>`
+                  : ""}
+              </li>
+            `;
+          }).join("")}
+        </ul>
+      `);
+    } catch (error) {
+      debugError("Error loading progress evidence", error);
+      setContent(listContainer, `<p class="error-text">${translate("error_loading_data")}</p>`);
+    }
+  };
+
+  listContainer.addEventListener("click", async (event) => {
+    const button = event.target.closest("[data-evidence-delete]");
+    if (!button) {
+      return;
+    }
+    try {
+      await deleteProgressEvidence(Number(button.dataset.evidenceDelete));
+      await loadList();
+      onChange?.();
+    } catch (error) {
+      debugError("Error deleting progress evidence", error);
+      app.showMessage(error?.message || translate("error_saving_data"), "error");
+    }
+  });
+
+  modal.overlay.querySelector("#progress-evidence-submit")?.addEventListener("click", async () => {
+    const form = modal.overlay.querySelector("#progress-evidence-form");
+    const evidenceType = form.elements.evidence_type.value;
+    const file = form.elements.file.files?.[0] || null;
+    const notes = form.elements.notes.value.trim();
+
+    if (evidenceType === "note" ? !notes : !file) {
+      app.showMessage(translate(evidenceType === "note" ? "progress_evidence_notes_required" : "progress_evidence_file_required"), "error");
+      return;
+    }
+
+    try {
+      await submitProgressEvidence({
+        source_type: sourceType,
+        source_id: sourceId,
+        participant_id: participantId,
+        evidence_type: evidenceType,
+        notes
+      }, evidenceType === "note" ? null : file);
+      form.reset();
+      app.showMessage(translate("progress_evidence_submitted"), "success");
+      await loadList();
+      onChange?.();
+    } catch (error) {
+      debugError("Error submitting progress evidence", error);
+      app.showMessage(error?.message || translate("error_saving_data"), "error");
+    }
+  });
+
+  loadList();
+}
@@ -0,0 +1,458 @@
+// ProgramJourneys.js
+// PAB plans and top-award journeys for one participant (or, for a parent, for
+// each linked child). Mounted below the progression stream by
+// ProgramProgressDashboard; read-only unless the user can manage badges.
+import { translate } from "../../app.js";
+import { BaseModule } from "../../utils/BaseModule.js";
+import { debugError } from "../../utils/DebugUtils.js";
+import { setContent } from "../../utils/DOMUtils.js";
+import { escapeHTML } from "../../utils/SecurityUtils.js";
+import { openModal } from "../../utils/ModalUtils.js";
+import { confirmDestructive } from "../../utils/DialogUtils.js";
+import { formatDateShort, parseDate, getTodayISO } from "../../utils/DateUtils.js";
+import { canManageBadges, canApproveBadges } from "../../utils/PermissionUtils.js";
+import {
+  getPabThemes,
+  getPabPlans,
+  createPabPlan,
+  updatePabPlan,
+  deletePabPlan,
+  addPabPlanItem,
+  updatePabPlanItem,
+  deletePabPlanItem,
+  addPabReview,
+  getTopAwards,
+  getTopAwardJourneys,
+  startTopAwardJourney,
+  deleteTopAwardJourney,
+  logTopAwardServiceHours,
+  setServiceLogStatus,
+  deleteServiceLog,
+  addTopAwardProject,
+  updateTopAwardProject,
+  deleteTopAwardProject,
+  recordTopAwardReview
+} from "../../api/api-program-progress.js";
+
+const PAB_PLAN_STATUSES = ["planned", "in_progress", "completed", "cancelled"];
+const REVIEW_OUTCOMES = ["approved", "revisions_required", "rejected", "pending"];
+
+/** Next status when a leader ticks a plan step. */
+const NEXT_ITEM_STATUS = { pending: "done", in_progress: "done", done: "pending", skipped: "pending" };
+
+export class ProgramJourneys extends BaseModule {
+  /**
+   * @param {Object} app - Application instance
+   * @param {Object} options
+   * @param {string} options.containerId - Element to render into
+   * @param {number|null} [options.participantId] - Participant whose records to show
+   * @param {boolean} [options.readOnly] - Hide every editing control
+   */
+  constructor(app, options = {}) {
+    super(app);
+    this.containerId = options.containerId;
+    this.participantId = options.participantId ? Number(options.participantId) : null;
+    this.canEdit = !options.readOnly && canManageBadges();
+    this.canReview = !options.readOnly && canApproveBadges();
+    this.plans = [];
+    this.journeys = [];
+    this.themes = [];
+    this.awards = [];
+  }
+
+  async init() {
+    await this.loadData();
+    this.render();
+
+    // The container outlives every re-render, so listen on it once.
+    const container = document.getElementById(this.containerId);
+    if (container) {
+      this.addEventListener(container, "click", (event) => this.handleClick(event));
+      this.addEventListener(container, "change", (event) => this.handleChange(event));
+    }
+  }
+
+  async loadData() {
+    try {
+      const [plans, journeys, themes, awards] = await Promise.all([
+        getPabPlans(this.participantId),
+        getTopAwardJourneys(this.participantId),
+        this.canEdit ? getPabThemes() : Promise.resolve([]),
+        this.canEdit ? getTopAwards() : Promise.resolve([])
+      ]);
+      this.plans = plans;
+      this.journeys = journeys;
+      this.themes = themes;
+      this.awards = awards;
+    } catch (error) {
+      debugError("Error loading program journeys", error);
+      this.app.showMessage(translate("error_loading_data"), "error");
+    }
+  }
+
+  async refresh() {
+    await this.loadData();
+    this.render();
+  }
+
+  formatDate(value) {
+    return value ? formatDateShort(parseDate(value)) : "-";
+  }
+
+  statusLabel(status) {
+    return translate(`program_journey_status_${status}`);
+  }
+
+  renderPlan(plan) {
+    const items = Array.isArray(plan.items) ? plan.items : [];
+    const reviews = Array.isArray(plan.reviews) ? plan.reviews : [];
+    const itemRows = items.map((item) => `
+      <li class="program-journey__item program-journey__item--${escapeHTML(item.status)}">
+        ${this.canEdit ? `
+          <input type="checkbox" data-action="toggle-item" data-item-id="${item.id}"
+                 data-status="${escapeHTML(item.status)}" ${item.status === "done" ? "checked" : ""}
+                 aria-label="${escapeHTML(item.title)}">
+        ` : ""}
+        <span>${escapeHTML(item.title)}</span>
+        ${item.due_date ? `<small class="muted-text">${escapeHTML(this.formatDate(item.due_date))}</small>` : ""}
+        ${this.canEdit ? `
+          <button type="button" class="button button--link" data-action="delete-item" data-item-id="${item.id}">
+            ${translate("delete")}
+          </button>
+        ` : ""}
+      </li>
+    `).join("");
+    const latestReview = reviews[0];
+
+    return `
+      <article class="card program-journey" data-plan-id="${plan.id}">
+        <header class="program-journey__header">
+          <h3>${escapeHTML(plan.title)}</h3>
+          <span class="badge-summary-chip">${escapeHTML(this.statusLabel(plan.status))}</span>
+        </header>
+        ${this.participantId ? "" : `<p class="muted-text">${escapeHTML(plan.participant_name || "")}</p>`}
+        ${plan.theme_name ? `<p><strong>${translate("program_journey_theme")}:</strong> ${escapeHTML(plan.theme_name)}</p>` : ""}
+        ${plan.objective ? `<p>${escapeHTML(plan.objective)}</p>` : ""}
+        <ul class="program-journey__items">
+          ${itemRows || `<li class="muted-text">${translate("program_journey_no_items")}</li>`}
+        </ul>
+        ${latestReview ? `
+          <p class="muted-text">
+            ${translate("program_journey_last_review")}: ${escapeHTML(this.formatDate(latestReview.review_date))}
+            ${latestReview.rating ? ` · ${latestReview.rating}/5` : ""}
+            ${latestReview.next_steps ? ` · ${escapeHTML(latestReview.next_steps)}` : ""}
+          </p>
+        ` : ""}
+        <div class="program-journey__actions">
+          ${this.canEdit ? `
+            <button type="button" class="button button--secondary" data-action="add-item" data-plan-id="${plan.id}">${translate("program_journey_add_step")}</button>
+            <select data-action="plan-status" data-plan-id="${plan.id}" aria-label="${translate("status")}">
+              ${PAB_PLAN_STATUSES.map((status) => `
+                <option value="${status}" ${status === plan.status ? "selected" : ""}>${escapeHTML(this.statusLabel(status))}</option>
+              `).join("")}
+            </select>
+          ` : ""}
+          ${this.canReview ? `<button type="button" class="button button--secondary" data-action="review-plan" data-plan-id="${plan.id}">${translate("program_journey_review")}</button>` : ""}
+          ${this.canEdit ? `<button type="button" class="button button--danger" data-action="delete-plan" data-plan-id="${plan.id}">${translate("delete")}</button>` : ""}
+        </div>
+      </article>
+    `;
+  }
+
+  renderJourney(journey) {
+    const logs = Array.isArray(journey.service_logs) ? journey.service_logs : [];
+    const projects = Array.isArray(journey.projects) ? journey.projects : [];
+    const required = journey.service_hours_required;
+    const hoursSummary = required
+      ? `${journey.service_hours_approved} / ${required} h`
+      : `${journey.service_hours_approved} h`;
+
+    const logRows = logs.map((log) => `
+      <tr>
+        <td>${escapeHTML(this.formatDate(log.service_date))}</td>
+        <td>${escapeHTML(String(log.hours))}</td>
+        <td>${escapeHTML(log.description || "-")}</td>
+        <td>${escapeHTML(this.statusLabel(log.status))}</td>
+        <td>
+          ${this.canReview && log.status !== "approved" ? `<button type="button" class="button button--link" data-action="log-status" data-log-id="${log.id}" data-status="approved">${translate("approve")}</button>` : ""}
+          ${this.canReview && log.status !== "rejected" ? `<button type="button" class="button button--link" data-action="log-status" data-log-id="${log.id}" data-status="rejected">${translate("reject")}</button>` : ""}
+          ${this.canEdit ? `<button type="button" class="button button--link" data-action="delete-log" data-log-id="${log.id}">${translate("delete")}</button>` : ""}
+        </td>
+      </tr>
+    `).join("");
+
+    const projectRows = projects.map((project) => `
+      <li>
+        <strong>${escapeHTML(project.title)}</strong>
+        <span class="badge-summary-chip">${escapeHTML(this.statusLabel(project.status))}</span>
+        ${this.canReview && project.status !== "approved" ? `<button type="button" class="button button--link" data-action="approve-project" data-project-id="${project.id}">${translate("approve")}</button>` : ""}
+        ${this.canEdit ? `<button type="button" class="button button--link" data-action="delete-project" data-project-id="${project.id}">${translate("delete")}</button>` : ""}
+      </li>
+    `).join("");
+
+    return `
+      <article class="card program-journey" data-journey-id="${journey.id}">
+        <header class="program-journey__header">
+          <h3>${escapeHTML(journey.award_name)}</h3>
+          <span class="badge-summary-chip">${escapeHTML(this.statusLabel(journey.status))}</span>
+        </header>
+        ${this.participantId ? "" : `<p class="muted-text">${escapeHTML(journey.participant_name || "")}</p>`}
+        <p><strong>${translate("program_journey_service_hours")}:</strong> ${escapeHTML(hoursSummary)}
+          <span class="muted-text">(${translate("program_journey_hours_logged")}: ${escapeHTML(String(journey.service_hours_logged))} h)</span>
+        </p>
+        ${journey.target_date ? `<p><strong>${translate("program_journey_target_date")}:</strong> ${escapeHTML(this.formatDate(journey.target_date))}</p>` : ""}
+        ${logs.length > 0 ? `
+          <div class="table-container">
+            <table class="participants-table">
+              <thead>
+                <tr>
+                  <th>${translate("date")}</th>
+                  <th>${translate("program_journey_hours")}</th>
+                  <th>${translate("description")}</th>
+                  <th>${translate("status")}</th>
+                  <th>${translate("actions")}</th>
+                </tr>
+              </thead>
+              <tbody>${logRows}</tbody>
+            </table>
+          </div>
+        ` : ""}
+        <h4>${translate("program_journey_projects")}</h4>
+        <ul>${projectRows || `<li class="muted-text">${translate("program_journey_no_projects")}</li>`}</ul>
+        <div class="program-journey__actions">
+          ${this.canEdit ? `
+            <button type="button" class="button button--secondary" data-action="log-hours" data-journey-id="${journey.id}">${translate("program_journey_log_hours")}</button>
+            <button type="button" class="button button--secondary" data-action="add-project" data-journey-id="${journey.id}">${translate("program_journey_add_project")}</button>
+          ` : ""}
+          ${this.canReview ? `<button type="button" class="button button--secondary" data-action="review-journey" data-journey-id="${journey.id}">${translate("program_journey_review")}</button>` : ""}
+          ${this.canEdit ? `<button type="button" class="button button--danger" data-action="delete-journey" data-journey-id="${journey.id}">${translate("delete")}</button>` : ""}
+        </div>
+      </article>
+    `;
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      return;
+    }
+
+    const canCreate = this.canEdit && this.participantId;
+    setContent(container, `
+      <section class="program-journeys" style="margin-top: 1rem;">
+        <div class="program-journeys__section">
+          <h2>${translate("program_journey_pab_plans")}</h2>
+          ${canCreate ? `<button type="button" class="button button--primary" data-action="new-plan">${translate("program_journey_new_plan")}</button>` : ""}
+          ${this.plans.length > 0
+            ? this.plans.map((plan) => this.renderPlan(plan)).join("")
+            : `<p class="muted-text">${translate("program_journey_no_plans")}</p>`}
+        </div>
+        <div class="program-journeys__section">
+          <h2>${translate("program_journey_top_awards")}</h2>
+          ${canCreate && this.awards.length > 0 ? `<button type="button" class="button button--primary" data-action="new-journey">${translate("program_journey_start_award")}</button>` : ""}
+          ${this.journeys.length > 0
+            ? this.journeys.map((journey) => this.renderJourney(journey)).join("")
+            : `<p class="muted-text">${translate("program_journey_no_journeys")}</p>`}
+        </div>
+      </section>
+    `);
+  }
+
+  /**
+   * Open a small form in a modal and resolve with its values on save.
+   *
+   * @param {string} titleKey - Translation key for the heading
+   * @param {Array<Object>} fields - `{ name, labelKey, type, required?, options?, value? }`
+   * @param {Function} onSubmit - Receives the values; throws to keep the modal open
+   */
+  openForm(titleKey, fields, onSubmit) {
+    const inputs = fields.map((field) => {
+      const id = `program-journey-field-${field.name}`;
+      let control;
+      if (field.type === "select") {
+        control = `<select id="${id}" name="${field.name}" ${field.required ? "required" : ""}>
+          ${field.options.map((option) => `<option value="${escapeHTML(String(option.value))}">${escapeHTML(option.label)}</option>`).join("")}
+        </select>`;
+      } else if (field.type === "textarea") {
+        control = `<textarea id="${id}" name="${field.name}" rows="3"></textarea>`;
+      } else {
+        control = `<input type="${field.type}" id="${id}" name="${field.name}"
+          value="${escapeHTML(field.value ?? "")}" ${field.required ? "required" : ""}
+          ${field.type === "number" ? 'step="0.25" min="0"' : ""}>`;
+      }
+      return `
+        <label class="form-group" for="${id}">
+          <span>${translate(field.labelKey)}</span>
+          ${control}
+        </label>
+      `;
+    }).join("");
+
+    const modal = openModal({
+      id: "program-journey-form",
+      title: escapeHTML(translate(titleKey)),
+      body: `<form id="program-journey-form-body">${inputs}</form>`,
+      footer: `
+        <button type="button" class="button button--secondary" data-modal-close>${escapeHTML(translate("cancel"))}</button>
+        <button type="button" class="button button--primary" id="program-journey-form-save">${escapeHTML(translate("save"))}</button>
+      `
+    });
+
+    modal.overlay.querySelector("#program-journey-form-save")?.addEventListener("click", async () => {
+      const form = modal.overlay.querySelector("#program-journey-form-body");
+      if (!form.reportValidity()) {
+        return;
+      }
+      const values = {};
+      for (const field of fields) {
+        const value = form.elements[field.name]?.value?.trim();
+        if (value !== "") {
+          values[field.name] = value;
+        }
+      }
+      try {
+        await onSubmit(values);
+        modal.close();
+        this.app.showMessage(translate("program_journey_saved"), "success");
+        await this.refresh();
+      } catch (error) {
+        debugError("Error saving program journey", error);
+        this.app.showMessage(error?.message || translate("error_saving_data"), "error");
+      }
+    });
+  }
+
+  async runAction(callback) {
+    try {
+      await callback();
+      await this.refresh();
+    } catch (error) {
+      debugError("Program journey action failed", error);
+      this.app.showMessage(error?.message || translate("error_saving_data"), "error");
+    }
+  }
+
+  async handleClick(event) {
+    const button = event.target.closest("[data-action]");
+    if (!button || button.tagName === "SELECT" || button.type === "checkbox") {
+      return;
+    }
+    const { action } = button.dataset;
+    const planId = Number(button.dataset.planId);
+    const journeyId = Number(button.dataset.journeyId);
+
+    switch (action) {
+      case "new-plan":
+        this.openForm("program_journey_new_plan", [
+          { name: "title", labelKey: "title", type: "text", required: true },
+          {
+            name: "pab_theme_id",
+            labelKey: "program_journey_theme",
+            type: "select",
+            options: [{ value: "", label: "-" }, ...this.themes.map((theme) => ({ value: theme.id, label: theme.name }))]
+          },
+          { name: "objective", labelKey: "program_journey_objective", type: "textarea" },
+          { name: "planned_start_date", labelKey: "program_journey_start_date", type: "date" },
+          { name: "planned_end_date", labelKey: "program_journey_end_date", type: "date" }
+        ], (values) => createPabPlan({ ...values, participant_id: this.participantId }));
+        break;
+      case "add-item":
+        this.openForm("program_journey_add_step", [
+          { name: "title", labelKey: "title", type: "text", required: true },
+          { name: "description", labelKey: "description", type: "textarea" },
+          { name: "due_date", labelKey: "program_journey_due_date", type: "date" }
+        ], (values) => addPabPlanItem(planId, values));
+        break;
+      case "delete-item":
+        await this.runAction(() => deletePabPlanItem(Number(button.dataset.itemId)));
+        break;
+      case "delete-plan":
+        if (await confirmDestructive(translate("program_journey_confirm_delete_plan"))) {
+          await this.runAction(() => deletePabPlan(planId));
+        }
+        break;
+      case "review-plan":
+        this.openForm("program_journey_review", [
+          {
+            name: "rating",
+            labelKey: "program_journey_rating",
+            type: "select",
+            options: [
+              { value: "", label: "-" },
+              ...[1, 2, 3, 4, 5].map((value) => ({ value, label: `${value}/5` }))
+            ]
+          },
+          { name: "notes", labelKey: "notes", type: "textarea" },
+          { name: "next_steps", labelKey: "program_journey_next_steps", type: "textarea" }
+        ], (values) => addPabReview(planId, values));
+        break;
+      case "new-journey":
+        this.openForm("program_journey_start_award", [
+          {
+            name: "top_award_id",
+            labelKey: "program_journey_award",
+            type: "select",
+            required: true,
+            options: this.awards.map((award) => ({ value: award.id, label: award.name }))
+          },
+          { name: "target_date", labelKey: "program_journey_target_date", type: "date" },
+          { name: "notes", labelKey: "notes", type: "textarea" }
+        ], (values) => startTopAwardJourney({ ...values, participant_id: this.participantId }));
+        break;
+      case "log-hours":
+        this.openForm("program_journey_log_hours", [
+          { name: "service_date", labelKey: "date", type: "date", required: true, value: getTodayISO() },
+          { name: "hours", labelKey: "program_journey_hours", type: "number", required: true },
+          { name: "description", labelKey: "description", type: "textarea" }
+        ], (values) => logTopAwardServiceHours(journeyId, values));
+        break;
+      case "log-status":
+        await this.runAction(() => setServiceLogStatus(Number(button.dataset.logId), button.dataset.status));
+        break;
+      case "delete-log":
+        await this.runAction(() => deleteServiceLog(Number(button.dataset.logId)));
+        break;
+      case "add-project":
+        this.openForm("program_journey_add_project", [
+          { name: "title", labelKey: "title", type: "text", required: true },
+          { name: "description", labelKey: "description", type: "textarea" }
+        ], (values) => addTopAwardProject(journeyId, values));
+        break;
+      case "approve-project":
+        await this.runAction(() => updateTopAwardProject(Number(button.dataset.projectId), { status: "approved" }));
+        break;
+      case "delete-project":
+        await this.runAction(() => deleteTopAwardProject(Number(button.dataset.projectId)));
+        break;
+      case "delete-journey":
+        if (await confirmDestructive(translate("program_journey_confirm_delete_journey"))) {
+          await this.runAction(() => deleteTopAwardJourney(journeyId));
+        }
+        break;
+      case "review-journey":
+        this.openForm("program_journey_review", [
+          {
+            name: "outcome",
+            labelKey: "program_journey_outcome",
+            type: "select",
+            required: true,
+            options: REVIEW_OUTCOMES.map((outcome) => ({ value: outcome, label: this.statusLabel(outcome) }))
+          },
+          { name: "notes", labelKey: "notes", type: "textarea" }
+        ], (values) => recordTopAwardReview(journeyId, values));
+        break;
+      default:
+        break;
+    }
+  }
+
+  async handleChange(event) {
+    const target = event.target;
+    if (target.dataset.action === "toggle-item") {
+      const nextStatus = NEXT_ITEM_STATUS[target.dataset.status] || "done";
+      await this.runAction(() => updatePabPlanItem(Number(target.dataset.itemId), { status: nextStatus }));
+    } else if (target.dataset.action === "plan-status") {
+      await this.runAction(() => updatePabPlan(Number(target.dataset.planId), { status: target.value }));
+    }
+  }
+}
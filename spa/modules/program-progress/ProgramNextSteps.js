@@ -0,0 +1,114 @@
+// ProgramNextSteps.js
+// "What's next" on the OAS: per skill, the stage a youth is working on and the
+// competencies it still needs, as worked out by the catalog stage rules on the
+// server. Each missing competency can be claimed with evidence, which puts it
+// in the leader approval queue. Mounted by ProgramProgressDashboard.
+import { translate } from "../../app.js";
+import { BaseModule } from "../../utils/BaseModule.js";
+import { debugError } from "../../utils/DebugUtils.js";
+import { setContent } from "../../utils/DOMUtils.js";
+import { escapeHTML } from "../../utils/SecurityUtils.js";
+import { getProgramNextSteps } from "../../api/api-program-progress.js";
+
+export class ProgramNextSteps extends BaseModule {
+  /**
+   * @param {Object} app - Application instance
+   * @param {Object} options
+   * @param {string} options.containerId - Element to render into
+   * @param {number|null} [options.participantId] - One youth; omit for every linked child
+   */
+  constructor(app, options = {}) {
+    super(app);
+    this.containerId = options.containerId;
+    this.participantId = options.participantId ? Number(options.participantId) : null;
+    this.participants = [];
+  }
+
+  async init() {
+    await this.loadData();
+    this.render();
+  }
+
+  async loadData() {
+    try {
+      this.participants = await getProgramNextSteps(this.participantId);
+    } catch (error) {
+      debugError("Error loading program next steps", error);
+      this.app.showMessage(translate("error_loading_data"), "error");
+      this.participants = [];
+    }
+  }
+
+  renderStageProgress(stage) {
+    return `
+      <span class="badge-summary-chip">${escapeHTML(translate(`program_next_steps_stage_${stage.status}`))}</span>
+      <span class="muted-text">${escapeHTML(translate("program_next_steps_progress")
+        .replace("{completed}", stage.completed)
+        .replace("{needed}", stage.needed))}</span>
+    `;
+  }
+
+  renderSkill(skill, participantId) {
+    const stage = skill.next_stage;
+    if (!stage) {
+      return `
+        <li style="margin-bottom: .75rem;">
+          <strong>${escapeHTML(skill.name)}</strong>
+          <span class="badge-summary-chip">${translate("program_next_steps_skill_complete")}</span>
+        </li>
+      `;
+    }
+
+    const remaining = stage.status === "open" || stage.status === "locked"
+      ? stage.remaining.map((competency) => `
+          <li>
+            ${escapeHTML(competency.name)}
+            ${competency.is_required ? "" : `<small class="muted-text">${translate("program_next_steps_optional")}</small>`}
+            <button type="button" class="button button--small button--secondary"
+              data-evidence-source-type="oas_competency"
+              data-evidence-source-id="${escapeHTML(String(competency.id))}"
+              data-evidence-participant-id="${escapeHTML(String(participantId))}"
+              data-evidence-title="${escapeHTML(competency.name)}">${translate("program_next_steps_claim")}</button>
+          </li>
+        `).join("")
+      : "";
+
+    return `
+      <li style="margin-bottom: .75rem;">
+        <strong>${escapeHTML(skill.name)} — ${escapeHTML(stage.name)}</strong>
+        ${this.renderStageProgress(stage)}
+        ${remaining ? `<ul>${remaining}</ul>` : ""}
+      </li>
+    `;
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      return;
+    }
+
+    const body = this.participants.length === 0
+      ? `<p class="muted-text">${translate("program_next_steps_empty")}</p>`
+      : this.participants.map((participant) => `
+          <div style="margin-bottom: 1rem;">
+            ${this.participants.length > 1 || !this.participantId
+              ? `<h3>${escapeHTML(participant.participant_name)}</h3>`
+              : ""}
+            ${participant.skills.length === 0
+              ? `<p class="muted-text">${translate("program_next_steps_empty")}</p>`
+              : `<ul class="list-unstyled">${participant.skills
+                .map((skill) => this.renderSkill(skill, participant.participant_id))
+                .join("")}</ul>`}
+          </div>
+        `).join("");
+
+    setContent(container, `
+      <section class="card" style="margin-top: 1rem;">
+        <h2>${translate("program_next_steps_title")}</h2>
+        <p class="muted-text">${translate("program_next_steps_subtitle")}</p>
+        ${body}
+      </section>
+    `);
+  }
+}
@@ -6,6 +6,15 @@ import { escapeHTML } from "../../utils/SecurityUtils.js";
 import { formatDateShort, parseDate } from "../../utils/DateUtils.js";
 import { BaseModule } from "../../utils/BaseModule.js";
 import { getMountPoint, resolveMountOptions } from "../../utils/PageMount.js";
+import { ProgramJourneys } from "./ProgramJourneys.js";
+import { ProgramNextSteps } from "./ProgramNextSteps.js";
+import { openEvidenceDialog } from "./EvidenceDialog.js";
+
+const JOURNEYS_CONTAINER_ID = "program-progress-journeys";
+const NEXT_STEPS_CONTAINER_ID = "program-progress-next-steps";
+
+/** Stream rows a youth can back with evidence, by source_type. */
+const EVIDENCE_SOURCE_TYPES = ["participant_oas_competency", "badge_progress"];
 
 const SOURCE_LABEL_KEYS = {
   badge_presentation: "program_progress_source_badge_presentation",
@@ -30,6 +39,8 @@ export class ProgramProgressDashboard extends BaseModule {
     this.viewOnly = !!options.viewOnly;
     this.returnUrl = options.returnUrl || "/dashboard";
     this.returnLabelKey = options.returnLabelKey || "back_to_dashboard";
+    this.journeys = null;
+    this.nextSteps = null;
     Object.assign(this, resolveMountOptions(options));
   }
 
@@ -37,6 +48,64 @@ export class ProgramProgressDashboard extends BaseModule {
     await this.loadData();
     this.render();
     this.attachEventListeners();
+    this.addEventListener(getMountPoint(this), "click", (event) => this.handleEvidenceClick(event));
+    await this.mountPanels();
+  }
+
+  /**
+   * Open the evidence dialog for a stream row or a missing next-step
+   * competency. Parents use it too: filing evidence is how a family puts a
+   * claim in front of the leaders.
+   */
+  handleEvidenceClick(event) {
+    const button = event.target.closest("[data-evidence-source-type]");
+    if (!button) {
+      return;
+    }
+    openEvidenceDialog({
+      app: this.app,
+      sourceType: button.dataset.evidenceSourceType,
+      sourceId: Number(button.dataset.evidenceSourceId),
+      participantId: button.dataset.evidenceParticipantId ? Number(button.dataset.evidenceParticipantId) : null,
+      title: button.dataset.evidenceTitle || ""
+    });
+  }
+
+  /**
+   * Mount the OAS next steps and the PAB plan and top-award panel under the
+   * stream.
+   *
+   * Staff see them once a participant is picked, since plans are edited one
+   * youth at a time; a parent sees every linked child straight away.
+   */
+  async mountPanels() {
+    this.nextSteps?.destroy();
+    this.journeys?.destroy();
+    this.nextSteps = null;
+    this.journeys = null;
+
+    if (!this.viewOnly && !this.selectedParticipantId) {
+      return;
+    }
+
+    this.nextSteps = new ProgramNextSteps(this.app, {
+      containerId: NEXT_STEPS_CONTAINER_ID,
+      participantId: this.selectedParticipantId
+    });
+    this.journeys = new ProgramJourneys(this.app, {
+      containerId: JOURNEYS_CONTAINER_ID,
+      participantId: this.selectedParticipantId,
+      readOnly: this.viewOnly
+    });
+    await Promise.all([this.nextSteps.init(), this.journeys.init()]);
+  }
+
+  destroy() {
+    super.destroy();
+    this.nextSteps?.destroy();
+    this.journeys?.destroy();
+    this.nextSteps = null;
+    this.journeys = null;
   }
 
   async loadData() {
@@ -84,6 +153,12 @@ export class ProgramProgressDashboard extends BaseModule {
     return this.items
       .map((item) => {
         const eventDate = item.event_at ? formatDateShort(parseDate(item.event_at)) : translate("not_available");
+        const evidenceButton = EVIDENCE_SOURCE_TYPES.includes(item.source_type)
+          ? `<button type="button" class="button button--small button--secondary"
+              data-evidence-source-type="${escapeHTML(item.source_type)}"
+              data-evidence-source-id="${escapeHTML(String(item.source_id))}"
+              data-evidence-title="${escapeHTML(item.title || "")}">${translate("progress_evidence_button")}</button>`
+          : "";
         return `
           <tr>
             <td>${escapeHTML(item.participant_name || "-")}</td>
@@ -91,6 +166,7 @@ export class ProgramProgressDashboard extends BaseModule {
             <td>${escapeHTML(item.title || "-")}</td>
             <td>${escapeHTML(item.status || "-")}</td>
             <td>${escapeHTML(eventDate)}</td>
+            <td>${evidenceButton}</td>
           </tr>
         `;
       })
@@ -147,6 +223,7 @@ export class ProgramProgressDashboard extends BaseModule {
                   <th>${translate("description")}</th>
                   <th>${translate("status")}</th>
                   <th>${translate("date")}</th>
+                  <th>${translate("progress_evidence_column")}</th>
                 </tr>
               </thead>
               <tbody>
@@ -155,6 +232,12 @@ export class ProgramProgressDashboard extends BaseModule {
             </table>
           </div>
         </section>
+        <div id="${NEXT_STEPS_CONTAINER_ID}"></div>
+        <div id="${JOURNEYS_CONTAINER_ID}">
+          ${this.viewOnly || this.selectedParticipantId
+            ? ""
+            : `<p class="muted-text" style="margin-top: 1rem;">${translate("program_journey_select_participant")}</p>`}
+        </div>
       </div>
     `;
 
@@ -177,6 +260,7 @@ export class ProgramProgressDashboard extends BaseModule {
       await this.loadData();
       this.render();
       this.attachEventListeners();
+      await this.mountPanels();
     });
   }
 }
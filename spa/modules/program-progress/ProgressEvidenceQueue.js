@@ -0,0 +1,151 @@
+// ProgressEvidenceQueue.js
+// Leader queue of progression claims backed by evidence, plus OAS stages the
+// catalog rules found earned. Approving a competency or stage claim records
+// it; approving badge evidence confirms the evidence only — the badge step
+// itself is still approved in the tracker.
+import { translate } from "../../app.js";
+import { BaseModule } from "../../utils/BaseModule.js";
+import { debugError } from "../../utils/DebugUtils.js";
+import { setContent } from "../../utils/DOMUtils.js";
+import { escapeHTML } from "../../utils/SecurityUtils.js";
+import { formatDateShort, parseDate } from "../../utils/DateUtils.js";
+import { getMountPoint, resolveMountOptions } from "../../utils/PageMount.js";
+import { getEvidenceApprovals, decideEvidenceApproval } from "../../api/api-program-progress.js";
+import { renderEvidenceItem } from "./EvidenceDialog.js";
+
+const QUEUE_STATUSES = ["pending", "approved", "rejected"];
+
+const SOURCE_LABEL_KEYS = {
+  participant_oas_competency: "program_progress_source_oas_competency",
+  oas_competency: "program_progress_source_oas_competency",
+  badge_progress: "program_progress_source_badge_presentation",
+  oas_stage: "program_progress_source_oas_stage_award"
+};
+
+/** Hints shown on pending claims whose decision works differently. */
+const PENDING_HINT_KEYS = {
+  badge_progress: "progress_evidence_badge_hint",
+  oas_stage: "progress_evidence_stage_rule_hint"
+};
+
+export class ProgressEvidenceQueue extends BaseModule {
+  constructor(app, options = {}) {
+    super(app);
+    this.status = "pending";
+    this.claims = [];
+    Object.assign(this, resolveMountOptions(options));
+  }
+
+  async init() {
+    await this.loadData();
+    this.render();
+    const mountPoint = getMountPoint(this);
+    this.addEventListener(mountPoint, "click", (event) => this.handleClick(event));
+    this.addEventListener(mountPoint, "change", (event) => this.handleChange(event));
+  }
+
+  async loadData() {
+    try {
+      this.claims = await getEvidenceApprovals(this.status);
+    } catch (error) {
+      debugError("Error loading evidence approvals", error);
+      this.app.showMessage(translate("error_loading_data"), "error");
+      this.claims = [];
+    }
+  }
+
+  async refresh() {
+    await this.loadData();
+    this.render();
+  }
+
+  renderClaim(claim) {
+    const evidence = Array.isArray(claim.evidence) ? claim.evidence : [];
+    const submitted = claim.created_at ? formatDateShort(parseDate(claim.created_at)) : "";
+    const decision = claim.status === "pending"
+      ? `
+        <label class="form-group" for="evidence-comment-${claim.id}">
+          <span>${translate("progress_evidence_comment")}</span>
+          <textarea id="evidence-comment-${claim.id}" rows="2"></textarea>
+        </label>
+        <div class="modal-actions">
+          <button type="button" class="button button--secondary" data-decision="rejected" data-approval-id="${claim.id}">${translate("reject")}</button>
+          <button type="button" class="button button--primary" data-decision="approved" data-approval-id="${claim.id}">${translate("approve")}</button>
+        </div>
+      `
+      : `
+        <p>
+          <span class="badge-summary-chip">${escapeHTML(translate(`progress_evidence_status_${claim.status}`))}</span>
+          ${claim.notes ? escapeHTML(claim.notes) : ""}
+        </p>
+      `;
+
+    return `
+      <article class="card" style="margin-bottom: 1rem;">
+        <h3>${escapeHTML(claim.participant_name || "-")} — ${escapeHTML(claim.source_title || "-")}</h3>
+        <p class="muted-text">
+          ${escapeHTML(translate(SOURCE_LABEL_KEYS[claim.source_type] || "program_progress_source_generic"))}
+          ${submitted ? ` · ${escapeHTML(submitted)}` : ""}
+        </p>
+        ${PENDING_HINT_KEYS[claim.source_type] && claim.status === "pending"
+          ? `<p class="muted-text">${translate(PENDING_HINT_KEYS[claim.source_type])}</p>`
+          : ""}
+        <ul class="list-unstyled">
+          ${evidence.map((item) => `<li style="margin-bottom: .5rem;">${renderEvidenceItem(item)}</li>`).join("")}
+        </ul>
+        ${decision}
+      </article>
+    `;
+  }
+
+  render() {
+    const heading = this.embedded ? "" : `<h1>${translate("progress_evidence_queue_title")}</h1>`;
+    const claims = this.claims.length === 0
+      ? `<p class="muted-text">${translate("progress_evidence_queue_empty")}</p>`
+      : this.claims.map((claim) => this.renderClaim(claim)).join("");
+
+    setContent(getMountPoint(this), `
+      <div class="container">
+        ${heading}
+        <div class="program-progress__filters">
+          <label for="evidence-queue-status">${translate("status")}</label>
+          <select id="evidence-queue-status">
+            ${QUEUE_STATUSES.map((status) => `
+              <option value="${status}" ${status === this.status ? "selected" : ""}>
+                ${escapeHTML(translate(`progress_evidence_status_${status}`))}
+              </option>
+            `).join("")}
+          </select>
+        </div>
+        ${claims}
+      </div>
+    `);
+  }
+
+  async handleClick(event) {
+    const button = event.target.closest("[data-decision]");
+    if (!button) {
+      return;
+    }
+    const approvalId = Number(button.dataset.approvalId);
+    const comment = document.getElementById(`evidence-comment-${approvalId}`)?.value?.trim() || "";
+    button.disabled = true;
+    try {
+      await decideEvidenceApproval(approvalId, button.dataset.decision, comment);
+      this.app.showMessage(translate("progress_evidence_decision_saved"), "success");
+      await this.refresh();
+    } catch (error) {
+      debugError("Error deciding evidence approval", error);
+      this.app.showMessage(error?.message || translate("error_saving_data"), "error");
+      button.disabled = false;
+    }
+  }
+
+  async handleChange(event) {
+    if (event.target.id !== "evidence-queue-status") {
+      return;
+    }
+    this.status = event.target.value;
+    await this.refresh();
+  }
+}
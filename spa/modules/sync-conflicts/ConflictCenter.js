@@ -0,0 +1,215 @@
+/**
+ * Sync Conflict Center
+ *
+ * Lists the offline edits that sync could not apply because the record also
+ * changed on the server, and lets a leader settle each one. Both versions are
+ * shown field by field; the leader keeps their own edit, takes the server's, or
+ * picks per field and merges. Whatever is chosen goes back into the outbox and is
+ * sent with the next sync.
+ *
+ * Reached from the offline indicator, which shows whenever conflicts wait.
+ */
+
+import { BaseModule } from '../../utils/BaseModule.js';
+import { translate } from '../../app.js';
+import { setContent, loadStylesheet } from '../../utils/DOMUtils.js';
+import { escapeHTML } from '../../utils/SecurityUtils.js';
+import { debugError } from '../../utils/DebugUtils.js';
+import { formatTimestamp } from '../../utils/DateUtils.js';
+import { conflictResolver, conflictFields, RESOLUTION } from '../../sync/ConflictResolver.js';
+
+/** Shown for a value the version does not have. */
+const EMPTY_VALUE = '—';
+
+export class ConflictCenter extends BaseModule {
+  /**
+   * @param {Object} app - Application instance
+   */
+  constructor(app) {
+    super(app);
+    this.conflicts = [];
+    /** Conflict ids being saved, so a double click does not resolve twice. */
+    this.pending = new Set();
+  }
+
+  async init() {
+    const container = document.getElementById('app');
+    setContent(container, `<div class="page-loading">${translate('loading')}</div>`);
+
+    await loadStylesheet('/css/sync-conflicts.css');
+    await this.loadConflicts();
+    this.render();
+    this.attachEventListeners();
+  }
+
+  async loadConflicts() {
+    try {
+      this.conflicts = await conflictResolver.getUnresolved();
+    } catch (error) {
+      debugError('Failed to load sync conflicts:', error);
+      this.conflicts = [];
+    }
+  }
+
+  render() {
+    const container = document.getElementById('app');
+
+    const body = this.conflicts.length === 0
+      ? `<p class="sync-conflicts__empty" role="status">${translate('sync_no_conflicts')}</p>`
+      : this.conflicts.map((conflict) => this.renderConflict(conflict)).join('');
+
+    setContent(container, `
+      <section class="page sync-conflicts-page">
+        <header class="page__header">
+          <a href="/dashboard" class="button button--ghost">← ${translate('back')}</a>
+          <h1>${translate('sync_conflict_center')}</h1>
+        </header>
+        <p class="page__description">${translate('sync_conflicts_help')}</p>
+        ${body}
+      </section>
+    `);
+  }
+
+  /**
+   * One conflict: what it is, the field table and the three actions.
+   *
+   * @param {Object} conflict - _conflicts record
+   * @returns {string} HTML
+   */
+  renderConflict(conflict) {
+    const fields = conflictFields(conflict);
+    const hasDifferences = fields.some((row) => row.differs);
+
+    return `
+      <article class="sync-conflict" data-conflict-id="${conflict.id}">
+        <header class="sync-conflict__header">
+          <h2>${escapeHTML(this.entityLabel(conflict.entityType))} #${escapeHTML(String(conflict.entityId))}</h2>
+          <span class="sync-conflict__detected">${escapeHTML(formatTimestamp(conflict.detectedAt, this.app?.lang || 'en'))}</span>
+        </header>
+        <table class="sync-conflict__fields">
+          <thead>
+            <tr>
+              <th scope="col">${translate('sync_field')}</th>
+              <th scope="col">${translate('sync_my_version')}</th>
+              <th scope="col">${translate('sync_server_version')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${fields.map((row) => this.renderField(conflict.id, row)).join('')}
+          </tbody>
+        </table>
+        ${conflict.serverVersion ? '' : `
+          <p class="sync-conflict__unavailable" role="status">${translate('sync_server_version_unavailable')}</p>
+        `}
+        <div class="sync-conflict__actions" ${conflict.serverVersion ? '' : 'hidden'}>
+          <button type="button" class="button button--primary" data-resolution="${RESOLUTION.KEEP_MINE}">
+            ${translate('sync_keep_mine')}
+          </button>
+          <button type="button" class="button button--secondary" data-resolution="${RESOLUTION.KEEP_THEIRS}">
+            ${translate('sync_keep_theirs')}
+          </button>
+          ${hasDifferences ? `
+            <button type="button" class="button button--secondary" data-resolution="${RESOLUTION.MERGE}">
+              ${translate('sync_merge_selected')}
+            </button>
+          ` : ''}
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * A table row. Fields that differ get a radio per side for merging.
+   *
+   * @param {number} conflictId - _conflicts id
+   * @param {{field: string, mine: *, theirs: *, differs: boolean}} row - Compared field
+   * @returns {string} HTML
+   */
+  renderField(conflictId, { field, mine, theirs, differs }) {
+    const name = `conflict-${conflictId}-${field}`;
+    const cell = (value, side) => {
+      const text = escapeHTML(this.formatValue(value));
+      if (!differs) return `<td>${text}</td>`;
+      return `
+        <td>
+          <label class="sync-conflict__choice">
+            <input type="radio" name="${escapeHTML(name)}" value="${side}" data-field="${escapeHTML(field)}" ${side === 'mine' ? 'checked' : ''}>
+            <span>${text}</span>
+          </label>
+        </td>
+      `;
+    };
+
+    return `
+      <tr class="${differs ? 'sync-conflict__field--differs' : ''}">
+        <th scope="row">${escapeHTML(field)}</th>
+        ${cell(mine, 'mine')}
+        ${cell(theirs, 'theirs')}
+      </tr>
+    `;
+  }
+
+  /**
+   * @param {*} value - Field value from either version
+   * @returns {string} Plain text to show
+   */
+  formatValue(value) {
+    if (value === undefined || value === null || value === '') return EMPTY_VALUE;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * @param {string} entityType - Store name
+   * @returns {string} Translated label
+   */
+  entityLabel(entityType) {
+    const key = `sync_entity_${entityType}`;
+    const label = translate(key);
+    return label && label !== key ? label : translate('sync_entity_other');
+  }
+
+  attachEventListeners() {
+    const container = document.getElementById('app');
+
+    this.addEventListener(container, 'click', (event) => {
+      const button = event.target.closest('[data-resolution]');
+      if (!button) return;
+
+      const article = button.closest('[data-conflict-id]');
+      this.resolve(Number(article.dataset.conflictId), button.dataset.resolution, article);
+    });
+  }
+
+  /**
+   * Apply a resolution, then redraw without the conflict.
+   *
+   * @param {number} conflictId - _conflicts id
+   * @param {string} resolution - One of RESOLUTION
+   * @param {HTMLElement} article - The conflict's card, to read merge picks from
+   * @returns {Promise<void>}
+   */
+  async resolve(conflictId, resolution, article) {
+    if (this.pending.has(conflictId)) return;
+
+    const choices = {};
+    article.querySelectorAll('input[type="radio"]:checked').forEach((input) => {
+      choices[input.dataset.field] = input.value;
+    });
+
+    this.pending.add(conflictId);
+    article.querySelectorAll('button').forEach((button) => { button.disabled = true; });
+
+    try {
+      await conflictResolver.resolve(conflictId, resolution, choices);
+      this.app?.showMessage?.(translate('sync_conflict_resolved'), 'success');
+    } catch (error) {
+      debugError('Failed to resolve sync conflict:', error);
+      this.app?.showMessage?.(translate('sync_conflict_resolve_failed'), 'error');
+    }
+
+    this.pending.delete(conflictId);
+    await this.loadConflicts();
+    this.render();
+  }
+}
@@ -38,6 +38,15 @@ const SUPPORTED_LANGUAGES = [
   { code: "it", label: "Italiano" },
 ];
 
+// Mirrors SENSITIVE_PERMISSIONS in services/twoFactorMethods.js
+const SENSITIVE_PERMISSIONS = [
+  "medication.manage",
+  "finance.manage",
+  "participants.erase",
+  "roles.manage",
+  "users.assign_roles",
+];
+
 const DEFAULT_MEETING_DAY = "Wednesday";
 const DEFAULT_MEETING_TIME = "19:00";
 const DEFAULT_MEETING_DURATION_MINUTES = 90;
@@ -135,8 +144,8 @@ export class UnitSettings extends BaseModule {
         : [],
     };
 
-    const security = data.security || {};
-    this.twoFactorDisabled = security.two_factor_disabled === true;
+    this.security = { ...(data.security || {}) };
+    this.twoFactorDisabled = this.security.two_factor_disabled === true;
   }
 
   /**
@@ -507,6 +516,7 @@ export class UnitSettings extends BaseModule {
 
   renderSecuritySection() {
     const checked = this.twoFactorDisabled ? "checked" : "";
+    const required = this.security.two_factor_required_permissions || [];
     return `
       <section class="account-section">
         <h2>${translate("security_settings_title") || "Security"}</h2>
@@ -524,6 +534,21 @@ export class UnitSettings extends BaseModule {
             ? `<p class="warning-text">${translate("two_factor_disabled_warning") || "Warning: Two-factor authentication is currently disabled for this organization."}</p>`
             : ""}
         </div>
+
+        <form id="two-factor-required-form" class="setting-row">
+          <fieldset>
+            <legend><strong>${translate("two_factor_required_permissions_label")}</strong></legend>
+            <p class="muted-text">${translate("two_factor_required_permissions_description")}</p>
+            ${SENSITIVE_PERMISSIONS.map((permission) => `
+              <label class="checkbox-label">
+                <input type="checkbox" name="two_factor_required_permissions" value="${permission}" ${required.includes(permission) ? "checked" : ""} />
+                ${translate(`two_factor_required_${permission.replace(".", "_")}`)}
+              </label>`).join("")}
+          </fieldset>
+          <button type="submit" class="button button--primary unit-settings-save-button">
+            ${translate("save") || "Save"}
+          </button>
+        </form>
       </section>`;
   }
 
@@ -553,6 +578,12 @@ export class UnitSettings extends BaseModule {
         label: translate("form_permissions") || "Form Permissions",
         description: translate("unit_settings_link_forms") || "Control which roles can access each form.",
       },
+      hasPermission("org.view") && {
+        href: "/email-templates",
+        icon: "fa-envelope-open-text",
+        label: translate("email_templates_title"),
+        description: translate("unit_settings_link_email_templates"),
+      },
       hasPermission("scout_year.view") && {
         href: "/scout-year",
         icon: "fa-calendar-days",
@@ -627,6 +658,11 @@ export class UnitSettings extends BaseModule {
       this.addEventListener(twoFaToggle, "change", (e) => this.handleTwoFactorToggle(e.target.checked));
     }
 
+    const twoFactorRequiredForm = document.getElementById("two-factor-required-form");
+    if (twoFactorRequiredForm) {
+      this.addEventListener(twoFactorRequiredForm, "submit", (event) => this.handleSaveTwoFactorRequirement(event));
+    }
+
     const vocabularyForm = document.getElementById("unit-vocabulary-form");
     if (vocabularyForm && this.canEditOrg) {
       this.addEventListener(vocabularyForm, "submit", (event) => this.handleSaveVocabulary(event));
@@ -938,16 +974,29 @@ export class UnitSettings extends BaseModule {
     }
   }
 
+  /**
+   * Save part of the security setting. The endpoint replaces the whole value,
+   * so the other security keys are sent along unchanged.
+   *
+   * @param {Object} changes - Security keys to change
+   * @returns {Promise<void>}
+   */
+  async saveSecuritySetting(changes) {
+    const next = { ...this.security, ...changes };
+    await makeApiRequest("v1/organizations/settings", {
+      method: "PUT",
+      body: { setting_key: "security", setting_value: next },
+    });
+    this.security = next;
+    this.twoFactorDisabled = next.two_factor_disabled === true;
+  }
+
   async handleTwoFactorToggle(disabled) {
     const toggle = document.getElementById("disable-2fa-toggle");
     if (toggle) toggle.disabled = true;
 
     try {
-      await makeApiRequest("v1/organizations/settings", {
-        method: "PUT",
-        body: { setting_key: "security", setting_value: { two_factor_disabled: disabled } },
-      });
-      this.twoFactorDisabled = disabled;
+      await this.saveSecuritySetting({ two_factor_disabled: disabled });
       this.app?.showMessage?.(translate("two_factor_setting_saved") || "Security setting saved.", "success");
       this.render();
       this.attachEventListeners();
@@ -960,4 +1009,23 @@ export class UnitSettings extends BaseModule {
       if (t) t.disabled = false;
     }
   }
+
+  async handleSaveTwoFactorRequirement(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = form.querySelector("button[type='submit']");
+    const permissions = [...form.querySelectorAll("input[name='two_factor_required_permissions']:checked")]
+      .map((input) => input.value);
+
+    if (button) button.disabled = true;
+    try {
+      await this.saveSecuritySetting({ two_factor_required_permissions: permissions });
+      this.app?.showMessage?.(translate("two_factor_setting_saved") || "Security setting saved.", "success");
+    } catch (error) {
+      debugError("Failed to save 2FA requirement:", error);
+      this.app?.showMessage?.(this.getLocalizedSaveError(error), "error");
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
 }
@@ -90,10 +90,10 @@ export class WhatsAppConnectionModule {
 
       // Connect to Socket.io server
       const socketUrl = window.location.origin;
+      // Read the token on every (re)connect: access tokens are refreshed
+      // in the background and the one from page load soon expires.
       this.socket = io(socketUrl, {
-        auth: {
-          token: token
-        }
+        auth: (callback) => callback({ token: localStorage.getItem('jwtToken') || token })
       });
     } catch (error) {
       debugError("Error loading Socket.io client:", error);
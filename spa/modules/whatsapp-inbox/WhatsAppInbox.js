@@ -0,0 +1,285 @@
+/**
+ * WhatsApp Inbox
+ *
+ * What parents send to the unit's connected WhatsApp number, one conversation
+ * per phone number, with a reply box under the open conversation. Replies go
+ * out through the same connection. New messages show up on the next refresh,
+ * every half minute while the page is open.
+ *
+ * Reached from Communication settings.
+ */
+
+import { BaseModule } from '../../utils/BaseModule.js';
+import { translate } from '../../app.js';
+import { setContent, loadStylesheet } from '../../utils/DOMUtils.js';
+import { escapeHTML } from '../../utils/SecurityUtils.js';
+import { debugError } from '../../utils/DebugUtils.js';
+import {
+  getWhatsAppInbox,
+  getWhatsAppConversation,
+  markWhatsAppConversationRead,
+  replyToWhatsAppConversation,
+} from '../../api/api-endpoints.js';
+
+const REFRESH_EVERY_MS = 30 * 1000;
+
+/** Mirrors MAX_REPLY_LENGTH in routes/whatsapp-inbox.js. */
+const MAX_REPLY_LENGTH = 4096;
+
+export class WhatsAppInbox extends BaseModule {
+  /**
+   * @param {Object} app - Application instance
+   */
+  constructor(app) {
+    super(app);
+    this.conversations = [];
+    this.messages = [];
+    this.selectedPhone = null;
+    this.loadError = false;
+    this.sending = false;
+  }
+
+  async init() {
+    const container = document.getElementById('app');
+    setContent(container, `<div class="page-loading">${translate('loading')}</div>`);
+
+    await loadStylesheet('/css/whatsapp-inbox.css');
+    await this.loadConversations();
+    this.render();
+    this.attachEventListeners();
+    this.setInterval(() => this.refresh(), REFRESH_EVERY_MS);
+  }
+
+  async loadConversations() {
+    try {
+      const response = await getWhatsAppInbox();
+      this.conversations = response?.data?.conversations || [];
+      this.loadError = false;
+    } catch (error) {
+      debugError('Failed to load WhatsApp inbox:', error);
+      this.loadError = true;
+    }
+  }
+
+  async loadMessages() {
+    if (!this.selectedPhone) {
+      this.messages = [];
+      return;
+    }
+    try {
+      const response = await getWhatsAppConversation(this.selectedPhone);
+      this.messages = response?.data?.messages || [];
+    } catch (error) {
+      debugError('Failed to load WhatsApp conversation:', error);
+      this.app?.showMessage?.(translate('whatsapp_inbox_load_failed'), 'error');
+    }
+  }
+
+  /** Pick up new messages without losing a reply being typed. */
+  async refresh() {
+    const draft = document.getElementById('whatsapp-reply-text')?.value || '';
+    await this.loadConversations();
+    if (this.selectedPhone) {
+      await this.loadMessages();
+      await this.markSelectedRead();
+    }
+    this.render();
+    const input = document.getElementById('whatsapp-reply-text');
+    if (input && draft) input.value = draft;
+  }
+
+  /** @returns {Object|undefined} Conversation shown on the right */
+  get selected() {
+    return this.conversations.find(({ phone_number: phone }) => phone === this.selectedPhone);
+  }
+
+  render() {
+    const container = document.getElementById('app');
+
+    const body = this.loadError
+      ? `<p class="error-message" role="alert">${translate('whatsapp_inbox_load_failed')}</p>`
+      : `
+        <div class="whatsapp-inbox ${this.selectedPhone ? 'has-selection' : ''}">
+          <ul class="whatsapp-inbox__list" aria-label="${escapeHTML(translate('whatsapp_inbox_conversations'))}">
+            ${this.conversations.length
+              ? this.conversations.map((conversation) => this.renderConversationItem(conversation)).join('')
+              : `<li class="muted-text">${translate('whatsapp_inbox_empty')}</li>`}
+          </ul>
+          ${this.renderConversation()}
+        </div>
+      `;
+
+    setContent(container, `
+      <section class="page whatsapp-inbox-page">
+        <header class="page__header">
+          <a href="/communications" class="button button--ghost">← ${translate('back')}</a>
+          <h1>${translate('whatsapp_inbox_title')}</h1>
+        </header>
+        <p class="page__description">${translate('whatsapp_inbox_description')}</p>
+        ${body}
+      </section>
+    `);
+
+    const thread = document.getElementById('whatsapp-thread');
+    if (thread) thread.scrollTop = thread.scrollHeight;
+  }
+
+  renderConversationItem(conversation) {
+    const phone = conversation.phone_number;
+    const isSelected = phone === this.selectedPhone;
+    const preview = this.messagePreview(conversation.last_body, conversation.last_message_type);
+    const prefix = conversation.last_direction === 'outbound' ? `${translate('whatsapp_inbox_you')}: ` : '';
+
+    return `
+      <li>
+        <button type="button" class="whatsapp-inbox__item ${isSelected ? 'is-selected' : ''}" data-phone="${escapeHTML(phone)}"
+          aria-current="${isSelected}">
+          <span class="whatsapp-inbox__contact">
+            <strong>${escapeHTML(conversation.contact_name || phone)}</strong>
+            ${conversation.unread_count > 0 ? `<span class="chip chip--primary">${conversation.unread_count}</span>` : ''}
+          </span>
+          ${conversation.contact_name ? `<span class="muted-text">${escapeHTML(phone)}</span>` : ''}
+          <span class="whatsapp-inbox__preview">${escapeHTML(prefix + preview)}</span>
+          <time class="muted-text" datetime="${escapeHTML(conversation.last_message_at)}">${this.formatTime(conversation.last_message_at)}</time>
+        </button>
+      </li>
+    `;
+  }
+
+  renderConversation() {
+    const conversation = this.selected;
+    if (!conversation) {
+      return `<div class="whatsapp-inbox__conversation muted-text">${translate('whatsapp_inbox_select')}</div>`;
+    }
+
+    return `
+      <div class="whatsapp-inbox__conversation">
+        <header class="whatsapp-inbox__conversation-header">
+          <button type="button" class="button button--ghost whatsapp-inbox__back" id="whatsapp-inbox-back">←</button>
+          <div>
+            <h2>${escapeHTML(conversation.contact_name || conversation.phone_number)}</h2>
+            <p class="muted-text">
+              ${escapeHTML(conversation.phone_number)}
+              ${conversation.user_id ? '' : ` · ${translate('whatsapp_inbox_unknown_contact')}`}
+            </p>
+          </div>
+        </header>
+
+        <ol class="whatsapp-inbox__thread" id="whatsapp-thread">
+          ${this.messages.map((message) => this.renderMessage(message)).join('')}
+        </ol>
+
+        <form id="whatsapp-reply-form" class="whatsapp-inbox__reply">
+          <label for="whatsapp-reply-text" class="visually-hidden">${translate('whatsapp_inbox_reply')}</label>
+          <textarea id="whatsapp-reply-text" rows="2" maxlength="${MAX_REPLY_LENGTH}" required
+            placeholder="${escapeHTML(translate('whatsapp_inbox_reply_placeholder'))}"></textarea>
+          <button type="submit" class="button button--primary" id="whatsapp-reply-send" ${this.sending ? 'disabled' : ''}>
+            ${translate(this.sending ? 'sending' : 'whatsapp_inbox_send')}
+          </button>
+        </form>
+      </div>
+    `;
+  }
+
+  renderMessage(message) {
+    const outbound = message.direction === 'outbound';
+    const author = outbound && message.sent_by_name ? `${escapeHTML(message.sent_by_name)} · ` : '';
+
+    return `
+      <li class="whatsapp-inbox__message ${outbound ? 'is-outbound' : 'is-inbound'}">
+        <p>${escapeHTML(this.messagePreview(message.body, message.message_type))}</p>
+        <span class="muted-text">${author}${this.formatTime(message.created_at)}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * @param {string|null} body - Message text or caption
+   * @param {string} type - text, image, audio, ...
+   * @returns {string} Text to show; media without caption are named
+   */
+  messagePreview(body, type) {
+    if (body) return body;
+    const key = `whatsapp_inbox_media_${type}`;
+    const label = translate(key);
+    return `[${label && label !== key ? label : translate('whatsapp_inbox_media_other')}]`;
+  }
+
+  formatTime(value) {
+    if (!value) return '';
+    return new Intl.DateTimeFormat(this.app?.lang || 'fr', { dateStyle: 'short', timeStyle: 'short' })
+      .format(new Date(value));
+  }
+
+  attachEventListeners() {
+    const container = document.getElementById('app');
+
+    this.addEventListener(container, 'click', async (event) => {
+      const item = event.target.closest('[data-phone]');
+      if (item) {
+        await this.openConversation(item.dataset.phone);
+        return;
+      }
+      if (event.target.closest('#whatsapp-inbox-back')) {
+        this.selectedPhone = null;
+        this.messages = [];
+        this.render();
+      }
+    });
+
+    this.addEventListener(container, 'submit', async (event) => {
+      if (event.target.id === 'whatsapp-reply-form') {
+        event.preventDefault();
+        await this.handleReply();
+      }
+    });
+  }
+
+  async openConversation(phone) {
+    this.selectedPhone = phone;
+    await this.loadMessages();
+    await this.markSelectedRead();
+    this.render();
+  }
+
+  async markSelectedRead() {
+    const conversation = this.selected;
+    if (!conversation || conversation.unread_count === 0) return;
+
+    try {
+      await markWhatsAppConversationRead(conversation.phone_number);
+      conversation.unread_count = 0;
+    } catch (error) {
+      debugError('Failed to mark WhatsApp conversation as read:', error);
+    }
+  }
+
+  async handleReply() {
+    const input = document.getElementById('whatsapp-reply-text');
+    const message = input?.value.trim() || '';
+    if (!message || this.sending) return;
+
+    this.sending = true;
+    const button = document.getElementById('whatsapp-reply-send');
+    if (button) {
+      button.disabled = true;
+      button.textContent = translate('sending');
+    }
+
+    try {
+      await replyToWhatsAppConversation(this.selectedPhone, message);
+      this.sending = false;
+      await this.loadConversations();
+      await this.loadMessages();
+      this.render();
+    } catch (error) {
+      debugError('Failed to send WhatsApp reply:', error);
+      this.sending = false;
+      this.app?.showMessage?.(error.message || translate('whatsapp_inbox_send_failed'), 'error');
+      if (button) {
+        button.disabled = false;
+        button.textContent = translate('whatsapp_inbox_send');
+      }
+    }
+  }
+}
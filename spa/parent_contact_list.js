@@ -1,12 +1,15 @@
-import { getParentContactList } from "./ajax-functions.js";
+import { getParentContactList, exportReport } from "./ajax-functions.js";
 import { debugLog, debugError, debugWarn, debugInfo } from "./utils/DebugUtils.js";
 import { translate } from "./app.js";
-import { canSendCommunications, canViewParticipants } from "./utils/PermissionUtils.js";
+import { canSendCommunications, canViewParticipants, canViewReports } from "./utils/PermissionUtils.js";
 import { debounce } from "./utils/PerformanceUtils.js";
 import { setContent } from "./utils/DOMUtils.js";
 import { createPhoneLink } from "./utils/PhoneUtils.js";
 import { createEmailLink } from "./utils/EmailUtils.js";
 import { escapeHTML } from "./utils/SecurityUtils.js";
+import { downloadBlob } from "./utils/ExportUtils.js";
+import { withButtonLoading } from "./utils/PerformanceUtils.js";
+import { isoToDateString } from "./utils/DateUtils.js";
 
 export class ParentContactList {
   constructor(app) {
@@ -99,6 +102,13 @@ export class ParentContactList {
     const content = `
             <a href="/dashboard" class="button button--ghost">← ${translate("back")}</a>
             <h1>${translate("parent_contact_list")}</h1>
+            ${canViewReports() ? `
+            <div class="contact-list-export">
+                <button type="button" class="button button--secondary contact-export-btn" data-format="csv">${translate("export_csv")}</button>
+                <button type="button" class="button button--secondary contact-export-btn" data-format="xlsx">${translate("export_xlsx")}</button>
+                <button type="button" class="button button--secondary contact-export-btn" data-format="pdf">${translate("export_pdf")}</button>
+            </div>
+            ` : ""}
             <div class="search-container">
                 <input
                     type="text"
@@ -259,6 +269,13 @@ export class ParentContactList {
       header.addEventListener("click", (e) => this.toggleGroup(e.target));
     });
 
+    document.querySelectorAll(".contact-export-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        const { format } = e.currentTarget.dataset;
+        withButtonLoading(e.currentTarget, () => this.downloadExport(format));
+      });
+    });
+
     // Add search input listener with debouncing
     const searchInput = document.getElementById("contact-search");
     if (searchInput) {
@@ -269,6 +286,20 @@ export class ParentContactList {
     }
   }
 
+  /**
+   * Download the full list (not the search results) as the server renders it.
+   * @param {string} format - csv, xlsx or pdf
+   */
+  async downloadExport(format) {
+    try {
+      const blob = await exportReport("parent-contact-list", format, this.app.lang);
+      downloadBlob(blob, `parent-contact-list_${isoToDateString(new Date())}.${format}`, blob.type);
+    } catch (error) {
+      debugError(`Error exporting parent contact list as ${format}:`, error);
+      this.app.showMessage(translate("report_export_failed"), "error");
+    }
+  }
+
   updateContactList() {
     const contactList = document.getElementById("contact-list");
     if (contactList) {
@@ -1,6 +1,5 @@
 import {
         getCurrentOrganizationId,
-        getAuthHeader,
         fetchParticipants,
         getOrganizationFormFormats,
         getOrganizationSettings,
@@ -20,6 +19,7 @@ import {
         getAuthorizationsPendingSignature,
 } from "./api/api-scout-years.js";
 import { buildApiUrl } from "./api/api-core.js";
+import { fetchWithSession } from "./api/api-session.js";
 import {
         debugLog,
         debugError,
@@ -1121,12 +1121,11 @@ export class ParentDashboard {
                 );
 
                 try {
-                        const response = await fetch(
+                        const response = await fetchWithSession(
                                 buildApiUrl("v1/activities/calendar.ics"),
                                 {
                                         method: "GET",
                                         headers: {
-                                                ...getAuthHeader(),
                                                 Accept: "text/calendar",
                                         },
                                 },
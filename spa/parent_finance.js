@@ -1,24 +1,29 @@
 import {
   getCurrentOrganizationId,
   fetchParticipants,
-  getParticipantStatement
+  getParticipantStatement,
+  getFamilyStatementPdf,
+  getTaxReceipts,
+  getTaxReceiptPdf
 } from "./ajax-functions.js";
-import { createStripePaymentIntent, getStripePaymentStatus } from "./api/api-endpoints.js";
+import { createStripeCheckoutSession } from "./api/api-endpoints.js";
 import { clearFinanceRelatedCaches } from "./indexedDB.js";
 import { debugLog, debugError } from "./utils/DebugUtils.js";
 import { translate } from "./app.js";
 import { CONFIG } from './config.js';
 import { escapeHTML } from "./utils/SecurityUtils.js";
 import { formatDateShort } from "./utils/DateUtils.js";
-import { LoadingStateManager, retryWithBackoff } from "./utils/PerformanceUtils.js";
+import { LoadingStateManager, retryWithBackoff, withButtonLoading } from "./utils/PerformanceUtils.js";
 import { isParent } from "./utils/PermissionUtils.js";
-import { setContent, insertHTML } from "./utils/DOMUtils.js";
+import { setContent } from "./utils/DOMUtils.js";
+import { downloadBlob } from "./utils/ExportUtils.js";
 
 export class ParentFinance {
   constructor(app) {
     this.app = app;
     this.participants = [];
     this.participantStatements = new Map();
+    this.taxReceipts = [];
     this.consolidatedTotals = {
       total_billed: 0,
       total_paid: 0,
@@ -28,13 +33,6 @@ export class ParentFinance {
     // Loading state management
     this.loadingManager = new LoadingStateManager();
     this.isInitializing = false;
-
-    // Stripe integration
-    this.stripe = null;
-    this.elements = null;
-    this.paymentElement = null;
-    this.currentPaymentIntentId = null;
-    this.currentFeeId = null;
   }
 
   async init() {
@@ -48,8 +46,10 @@ export class ParentFinance {
     let hasErrors = false;
 
     try {
-      // Initialize Stripe
-      await this.initializeStripe();
+      // Back from Stripe Checkout: balances changed, so drop cached statements
+      const checkoutResult = await this.consumeCheckoutResult();
+      // Pay link from an installment reminder email or push
+      const payLink = this.consumePayLink();
 
       // Render loading state immediately
       this.renderLoading();
@@ -70,6 +70,14 @@ export class ParentFinance {
         // Continue with empty statements
       }
 
+      try {
+        const receipts = await getTaxReceipts();
+        this.taxReceipts = receipts?.data || [];
+      } catch (error) {
+        debugError("Error fetching tax receipts:", error);
+        this.taxReceipts = [];
+      }
+
       this.calculateConsolidatedTotals();
 
       // Render with data
@@ -78,6 +86,12 @@ export class ParentFinance {
 
       if (hasErrors) {
         this.app.showMessage(translate("error_loading_data"), "warning");
+      } else if (checkoutResult === "success") {
+        this.app.showMessage(translate("payment_successful"), "success");
+      } else if (checkoutResult === "cancelled") {
+        this.app.showMessage(translate("payment_cancelled"), "info");
+      } else if (payLink) {
+        await this.openPayLink(payLink);
       }
     } catch (error) {
       debugError("Error rendering parent finance page:", error);
@@ -89,32 +103,66 @@ export class ParentFinance {
     }
   }
 
-  async initializeStripe() {
-    try {
-      // Load Stripe.js dynamically
-      if (!window.Stripe) {
-        const script = document.createElement('script');
-        script.src = 'https://js.stripe.com/v3/';
-        script.async = true;
-        document.head.appendChild(script);
-
-        await new Promise((resolve, reject) => {
-          script.onload = resolve;
-          script.onerror = reject;
-        });
-      }
+  /**
+   * Read and clear the ?checkout= marker Stripe Checkout returns with.
+   * The payment itself is recorded by the webhook, usually before the
+   * redirect lands, so the statements are refetched rather than patched.
+   *
+   * @returns {Promise<string|null>} "success", "cancelled" or null
+   */
+  async consumeCheckoutResult() {
+    const params = new URLSearchParams(window.location.search);
+    const result = params.get("checkout");
+    if (!result) {
+      return null;
+    }
 
-      const publishableKey = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY;
-      if (!publishableKey) {
-        debugError("Stripe publishable key not found in environment");
-        return;
-      }
+    params.delete("checkout");
+    const query = params.toString();
+    window.history.replaceState({}, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
 
-      this.stripe = window.Stripe(publishableKey);
-      debugLog("Stripe initialized successfully");
-    } catch (error) {
-      debugError("Error initializing Stripe:", error);
+    if (result === "success") {
+      await clearFinanceRelatedCaches();
+    }
+    return result;
+  }
+
+  /**
+   * Read and clear the ?pay_fee=&plan= parameters of a reminder pay link.
+   *
+   * @returns {{feeId: string, planId: string|null}|null}
+   */
+  consumePayLink() {
+    const params = new URLSearchParams(window.location.search);
+    const feeId = params.get("pay_fee");
+    if (!feeId) {
+      return null;
     }
+
+    const planId = params.get("plan");
+    params.delete("pay_fee");
+    params.delete("plan");
+    const query = params.toString();
+    window.history.replaceState({}, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+
+    return { feeId, planId };
+  }
+
+  /**
+   * Go straight to Checkout for the fee a reminder was about, unless it has
+   * been paid since the reminder went out.
+   */
+  async openPayLink({ feeId, planId }) {
+    const fee = [...this.participantStatements.values()]
+      .flatMap(statement => statement?.fees || [])
+      .find(item => String(item.id) === String(feeId));
+
+    if (!fee || !(fee.outstanding > 0)) {
+      this.app.showMessage(translate("payment_link_settled"), "info");
+      return;
+    }
+
+    await this.startCheckout(fee.id, planId || null);
   }
 
   async fetchParticipants() {
@@ -262,6 +310,8 @@ export class ParentFinance {
           <h2>${translate("by_participant")}</h2>
           ${this.renderParticipantStatements()}
         </div>
+
+        ${this.renderTaxReceipts()}
       </section>
     `;
 
@@ -336,6 +386,10 @@ export class ParentFinance {
               </div>
             </div>
 
+            <div class="finance-actions">
+              <button class="ghost-button family-statement-btn" data-participant-id="${participant.id}">${translate("family_statement_pdf")}</button>
+            </div>
+
             ${fees.length > 0 ? `
               <details class="finance-details">
                 <summary class="finance-details__summary">${translate("view_details")}</summary>
@@ -350,12 +404,45 @@ export class ParentFinance {
       .join("");
   }
 
+  /**
+   * Year-end receipts issued to this parent, newest first. Hidden until the
+   * unit has issued at least one.
+   */
+  renderTaxReceipts() {
+    if (this.taxReceipts.length === 0) {
+      return "";
+    }
+
+    const rows = this.taxReceipts
+      .map(receipt => `
+        <div class="finance-list__row">
+          <div>
+            <p class="finance-meta"><strong>${translate("tax_year")} ${receipt.tax_year}</strong></p>
+            <p class="finance-meta">${translate("receipt_number")} ${receipt.receipt_number} · ${formatDateShort(receipt.issued_at)}</p>
+          </div>
+          <div class="finance-row-values">
+            <span>${this.formatCurrency(receipt.total_amount)}</span>
+            <button class="ghost-button tax-receipt-btn" data-id="${receipt.id}" data-year="${receipt.tax_year}" data-number="${receipt.receipt_number}">${translate("download_pdf")}</button>
+          </div>
+        </div>
+      `)
+      .join("");
+
+    return `
+      <div class="finance-section">
+        <h2>${translate("tax_receipts")}</h2>
+        <article class="finance-card">${rows}</article>
+      </div>
+    `;
+  }
+
   renderFeeDetails(fees) {
     return fees
       .map(fee => {
         const yearRange = this.formatYearRange(fee.year_start, fee.year_end);
         const statusLabel = translate(fee.status) || fee.status;
         const hasOutstanding = fee.outstanding > 0;
+        const installment = this.getNextInstallmentAmount(fee);
 
         return `
           <div class="finance-list__row" data-fee-id="${fee.id}">
@@ -382,11 +469,18 @@ export class ParentFinance {
                 <button
                   class="btn btn-primary pay-now-btn"
                   data-fee-id="${fee.id}"
-                  data-amount="${fee.outstanding}"
-                  data-participant-name="${escapeHTML(fee.participant_name || '')}"
                 >
                   💳 ${translate("pay_now")} (${this.formatCurrency(fee.outstanding)})
                 </button>
+                ${installment > 0 ? `
+                  <button
+                    class="btn btn-secondary pay-installment-btn"
+                    data-fee-id="${fee.id}"
+                    data-plan-id="${fee.payment_plan_id}"
+                  >
+                    ${translate("pay_installment")} (${this.formatCurrency(installment)})
+                  </button>
+                ` : ''}
               </div>
             ` : ''}
           </div>
@@ -395,6 +489,18 @@ export class ParentFinance {
       .join("");
   }
 
+  /**
+   * Next installment of the fee's payment plan, when paying it is worth
+   * offering (less than the whole balance). 0 otherwise.
+   */
+  getNextInstallmentAmount(fee) {
+    const perPayment = Number(fee.amount_per_payment) || 0;
+    if (!fee.payment_plan_id || perPayment <= 0 || perPayment >= fee.outstanding) {
+      return 0;
+    }
+    return perPayment;
+  }
+
   formatYearRange(start, end) {
     const startYear = this.extractYear(start);
     const endYear = this.extractYear(end);
@@ -422,199 +528,68 @@ export class ParentFinance {
   }
 
   attachEventListeners() {
-    // Attach pay now button listeners
-    const payButtons = document.querySelectorAll('.pay-now-btn');
-    payButtons.forEach(button => {
+    document.querySelectorAll('.pay-now-btn').forEach(button => {
       button.addEventListener('click', (e) => {
-        const feeId = e.target.dataset.feeId;
-        const amount = parseFloat(e.target.dataset.amount);
-        const participantName = e.target.dataset.participantName;
-        this.openPaymentModal(feeId, amount, participantName);
+        const { feeId } = e.currentTarget.dataset;
+        withButtonLoading(e.currentTarget, () => this.startCheckout(feeId));
       });
     });
 
-    debugLog("Parent finance event listeners attached");
-  }
-
-  openPaymentModal(feeId, amount, participantName) {
-    if (!this.stripe) {
-      this.app.showMessage(translate("payment_system_unavailable"), "error");
-      return;
-    }
-
-    this.currentFeeId = feeId;
-
-    // Render payment modal
-    const modalHTML = this.renderPaymentModal(feeId, amount, participantName);
-    insertHTML(document.body, 'beforeend', modalHTML);
-
-    // Attach modal event listeners
-    this.attachModalEventListeners(feeId, amount);
-  }
-
-  renderPaymentModal(feeId, amount, participantName) {
-    return `
-      <div class="modal-overlay" id="payment-modal">
-        <div class="modal-content payment-modal">
-          <div class="modal-header">
-            <h2>💳 ${translate("make_payment")}</h2>
-            <button class="modal-close" id="close-payment-modal">&times;</button>
-          </div>
-
-          <div class="modal-body">
-            <div class="payment-info">
-              <p><strong>${translate("participant")}:</strong> ${escapeHTML(participantName)}</p>
-              <p><strong>${translate("amount_to_pay")}:</strong> ${this.formatCurrency(amount)}</p>
-            </div>
-
-            <div class="payment-form-container">
-              <div id="payment-element"></div>
-              <div id="payment-error-message" class="error-message"></div>
-            </div>
-
-            <div class="payment-actions">
-              <button class="btn btn-secondary" id="cancel-payment">${translate("cancel")}</button>
-              <button class="btn btn-primary" id="submit-payment" disabled>
-                <span class="payment-btn-text">${translate("pay")} ${this.formatCurrency(amount)}</span>
-                <span class="payment-btn-spinner" style="display: none;">
-                  <span class="spinner"></span> ${translate("processing")}...
-                </span>
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  attachModalEventListeners(feeId, amount) {
-    const modal = document.getElementById('payment-modal');
-    const closeBtn = document.getElementById('close-payment-modal');
-    const cancelBtn = document.getElementById('cancel-payment');
-    const submitBtn = document.getElementById('submit-payment');
-
-    const closeModal = () => {
-      modal.remove();
-      this.elements = null;
-      this.paymentElement = null;
-      this.currentPaymentIntentId = null;
-      this.currentFeeId = null;
-    };
-
-    closeBtn.addEventListener('click', closeModal);
-    cancelBtn.addEventListener('click', closeModal);
-
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) {
-        closeModal();
-      }
+    document.querySelectorAll('.pay-installment-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { feeId, planId } = e.currentTarget.dataset;
+        withButtonLoading(e.currentTarget, () => this.startCheckout(feeId, planId));
+      });
     });
 
-    // Initialize payment
-    this.initializePayment(feeId, amount, submitBtn);
-  }
-
-  async initializePayment(feeId, amount, submitBtn) {
-    try {
-      // Create payment intent
-      const response = await createStripePaymentIntent(feeId, amount);
-
-      if (!response.success || !response.data) {
-        throw new Error(response.message || 'Failed to create payment intent');
-      }
-
-      const { clientSecret, paymentIntentId } = response.data;
-      this.currentPaymentIntentId = paymentIntentId;
-
-      // Create Stripe Elements
-      this.elements = this.stripe.elements({
-        clientSecret,
-        appearance: {
-          theme: 'stripe',
-          variables: {
-            colorPrimary: '#0066cc',
-          }
-        }
+    document.querySelectorAll('.family-statement-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { participantId } = e.currentTarget.dataset;
+        withButtonLoading(e.currentTarget, () => this.downloadPdf(
+          () => getFamilyStatementPdf(participantId, this.app.lang),
+          `family-statement-${participantId}.pdf`
+        ));
       });
+    });
 
-      // Create and mount payment element
-      this.paymentElement = this.elements.create('payment');
-      this.paymentElement.mount('#payment-element');
-
-      // Enable submit button when ready
-      this.paymentElement.on('ready', () => {
-        submitBtn.disabled = false;
+    document.querySelectorAll('.tax-receipt-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { id, year, number } = e.currentTarget.dataset;
+        withButtonLoading(e.currentTarget, () => this.downloadPdf(
+          () => getTaxReceiptPdf(id, this.app.lang),
+          `receipt-${year}-${number}.pdf`
+        ));
       });
+    });
 
-      // Handle payment submission
-      submitBtn.addEventListener('click', () => this.handlePaymentSubmit(submitBtn));
+    debugLog("Parent finance event listeners attached");
+  }
 
+  async downloadPdf(fetchPdf, filename) {
+    try {
+      downloadBlob(await fetchPdf(), filename, "application/pdf");
     } catch (error) {
-      debugError("Error initializing payment:", error);
-      const errorDiv = document.getElementById('payment-error-message');
-      if (errorDiv) {
-        errorDiv.textContent = error.message || translate("payment_initialization_failed");
-      }
-      this.app.showMessage(translate("payment_initialization_failed"), "error");
+      debugError(`Error downloading ${filename}:`, error);
+      this.app.showMessage(translate("pdf_download_failed"), "error");
     }
   }
 
-  async handlePaymentSubmit(submitBtn) {
-    // Disable submit button and show loading state
-    submitBtn.disabled = true;
-    const btnText = submitBtn.querySelector('.payment-btn-text');
-    const btnSpinner = submitBtn.querySelector('.payment-btn-spinner');
-    btnText.style.display = 'none';
-    btnSpinner.style.display = 'inline-block';
-
-    const errorDiv = document.getElementById('payment-error-message');
-    errorDiv.textContent = '';
-
+  /**
+   * Send the parent to a Stripe Checkout page for the fee balance, or for
+   * one installment when a plan is given. They come back to this page with
+   * ?checkout=success or ?checkout=cancelled.
+   */
+  async startCheckout(feeId, planId = null) {
     try {
-      // Confirm payment
-      const { error, paymentIntent } = await this.stripe.confirmPayment({
-        elements: this.elements,
-        confirmParams: {
-          return_url: window.location.origin + '/parent-finance',
-        },
-        redirect: 'if_required'
-      });
-
-      if (error) {
-        // Payment failed
-        errorDiv.textContent = error.message;
-        btnText.style.display = 'inline-block';
-        btnSpinner.style.display = 'none';
-        submitBtn.disabled = false;
-        this.app.showMessage(error.message, "error");
-        debugError("Payment error:", error);
-      } else if (paymentIntent && paymentIntent.status === 'succeeded') {
-        // Payment succeeded
-        debugLog("Payment succeeded:", paymentIntent);
-        this.app.showMessage(translate("payment_successful"), "success");
-
-        // CRITICAL: Invalidate finance caches immediately
-        await clearFinanceRelatedCaches(this.currentFeeId);
-
-        // Close modal
-        const modal = document.getElementById('payment-modal');
-        if (modal) {
-          modal.remove();
-        }
-
-        // Refresh data and re-render
-        await this.fetchAllStatements();
-        this.calculateConsolidatedTotals();
-        this.render();
-        this.attachEventListeners();
+      const response = await createStripeCheckoutSession(Number(feeId), planId ? Number(planId) : null);
+      const url = response?.data?.url;
+      if (!response?.success || !url) {
+        throw new Error(response?.message || "checkout_unavailable");
       }
-    } catch (err) {
-      debugError("Payment submission error:", err);
-      errorDiv.textContent = translate("payment_failed");
-      btnText.style.display = 'inline-block';
-      btnSpinner.style.display = 'none';
-      submitBtn.disabled = false;
-      this.app.showMessage(translate("payment_failed"), "error");
+      window.location.assign(url);
+    } catch (error) {
+      debugError("Error starting Stripe Checkout:", error);
+      this.app.showMessage(translate("payment_initialization_failed"), "error");
     }
   }
 }
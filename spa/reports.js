@@ -24,21 +24,41 @@ import {
 	getFormSubmissions,
 	getFormTypes,
 	getFinanceReport,
+	exportReport,
 } from "./ajax-functions.js";
 import { escapeHTML } from "./utils/SecurityUtils.js";
 import { openPrintWindow, setPrintContent } from "./utils/PrintUtils.js";
 import { formatDateShort, isoToDateString } from "./utils/DateUtils.js";
 import { canViewReports, isParent } from "./utils/PermissionUtils.js";
 import { setContent } from "./utils/DOMUtils.js";
-import { exportToCSV } from "./utils/ExportUtils.js";
+import { exportToCSV, downloadBlob } from "./utils/ExportUtils.js";
+import { withButtonLoading } from "./utils/PerformanceUtils.js";
 import { CONFIG } from "./config.js";
 import { lockBodyScroll, unlockBodyScroll } from "./utils/ScrollLockUtils.js";
+import { findMissingFields } from "./utils/FormLogicUtils.js";
 
 const REPORT_CURRENCY = "CAD";
 
 /** Owner key for the report modal's body scroll lock. */
 const REPORT_MODAL_SCROLL_LOCK = "reports:report-modal";
 
+/**
+ * Reports the server renders as CSV, Excel and PDF files. Others fall back
+ * to the CSV built in the browser from the loaded data.
+ */
+const SERVER_EXPORT_REPORTS = new Set([
+	"health",
+	"allergies",
+	"medication",
+	"vaccines",
+	"leave-alone",
+	"media-authorization",
+	"missing-documents",
+	"attendance",
+	"honors",
+	"points",
+]);
+
 export class Reports {
 	constructor(app) {
 		this.app = app;
@@ -263,6 +283,14 @@ export class Reports {
                                                                 <span class="button-icon">⬇️</span>
                                                                 ${translate("export_csv")}
                                                         </button>
+                                                        <button id="export-report-xlsx" class="button button--secondary server-export" type="button" style="margin-left: 0.5rem;">
+                                                                <span class="button-icon">📊</span>
+                                                                ${translate("export_xlsx")}
+                                                        </button>
+                                                        <button id="export-report-pdf" class="button button--secondary server-export" type="button" style="margin-left: 0.5rem;">
+                                                                <span class="button-icon">📄</span>
+                                                                ${translate("export_pdf")}
+                                                        </button>
                                                         ` : ''}
                                                         <button id="close-report-modal" class="button button--ghost close" type="button" aria-label="${translate("close")}">
                                                                 <span class="button-icon">✕</span>
@@ -311,7 +339,21 @@ export class Reports {
 
 		document
 			.getElementById("export-report")
-			?.addEventListener("click", () => this.exportCurrentReport());
+			?.addEventListener("click", (e) => {
+				if (SERVER_EXPORT_REPORTS.has(this.currentReportType)) {
+					withButtonLoading(e.currentTarget, () => this.downloadReportFile("csv"));
+					return;
+				}
+				this.exportCurrentReport();
+			});
+
+		document
+			.getElementById("export-report-xlsx")
+			?.addEventListener("click", (e) => withButtonLoading(e.currentTarget, () => this.downloadReportFile("xlsx")));
+
+		document
+			.getElementById("export-report-pdf")
+			?.addEventListener("click", (e) => withButtonLoading(e.currentTarget, () => this.downloadReportFile("pdf")));
 	}
 
 	openReportModal(title) {
@@ -422,6 +464,7 @@ export class Reports {
 
 			this.currentReportType = reportType;
 			this.currentReportData = null; // Reset previous data
+			this.updateExportButtons();
 
 			let reportData;
 			let reportContent;
@@ -719,6 +762,31 @@ export class Reports {
 	}
 
 
+	/** Excel and PDF are only offered for reports the server can render. */
+	updateExportButtons() {
+		const serverExport = SERVER_EXPORT_REPORTS.has(this.currentReportType);
+		document.querySelectorAll("#report-modal .server-export").forEach((button) => {
+			button.classList.toggle("hidden", !serverExport);
+		});
+	}
+
+	/**
+	 * Download the current report as rendered by the server, for the
+	 * selected scout year and in the interface language.
+	 * @param {string} format - csv, xlsx or pdf
+	 */
+	async downloadReportFile(format) {
+		const reportType = this.currentReportType;
+		try {
+			const blob = await exportReport(reportType, format, this.app.lang);
+			const dateStr = isoToDateString(new Date());
+			downloadBlob(blob, `${reportType}_report_${dateStr}.${format}`, blob.type);
+		} catch (error) {
+			debugError(`Error exporting ${reportType} report as ${format}:`, error);
+			this.app.showMessage(translate("report_export_failed"), "error");
+		}
+	}
+
 	exportCurrentReport() {
 		if (!this.currentReportData) {
 			this.app.showMessage(translate("no_data_to_export"), "warning");
@@ -892,52 +960,17 @@ export class Reports {
 	}
 
 
+	/**
+	 * Required fields a submission left blank. Hidden (`showIf`) fields and
+	 * unmet `dependsOn` / `requiredIf` conditions are skipped, the way the form
+	 * itself treats them.
+	 */
 	getMissingFields(submissionData, formStructure) {
-		const missingFields = [];
-
-		formStructure.fields.forEach((field) => {
-			// Check if the field is required and missing in the submission data
-			if (field.required && !submissionData[field.name]) {
-				// If the field has a dependency, only add it if the dependency condition is met
-				if (field.dependsOn) {
-					const dependencyField = submissionData[field.dependsOn.field];
-					if (dependencyField === field.dependsOn.value) {
-						missingFields.push(field.name);
-					}
-				} else {
-					// If no dependency, simply add it as missing
-					missingFields.push(field.name);
-				}
-			}
-		});
-
-		return missingFields;
+		return findMissingFields(formStructure.fields, submissionData || {}, { birthDate: submissionData?.date_naissance });
 	}
 
 	checkRequiredFields(formStructure, submissionData) {
-		const missingFields = [];
-
-		formStructure.fields.forEach((field) => {
-			const fieldName = field.name;
-			const required = field.required;
-
-			// Check if field depends on another field
-			if (field.dependsOn) {
-				const dependsOnField = field.dependsOn.field;
-				const dependsOnValue = field.dependsOn.value;
-				// If the condition is not met, the field is not required
-				if (submissionData[dependsOnField] !== dependsOnValue) {
-					return;
-				}
-			}
-
-			// Check if required field is missing in submission
-			if (required && !submissionData[fieldName]) {
-				missingFields.push(fieldName);
-			}
-		});
-
-		return missingFields;
+		return this.getMissingFields(submissionData, formStructure);
 	}
 
 	/**
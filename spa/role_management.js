@@ -15,10 +15,15 @@ import { deleteCachedData } from './indexedDB.js';
 import {
   getUsers,
   getRoleCatalog,
+  getRoleBundles,
+  createRoleBundle,
+  updateRoleBundle,
+  deleteRoleBundle,
   getUserRoleAssignments,
-  updateUserRolesV1,
+  updateUserRoleBundles,
   clearUserCaches
 } from './api/api-endpoints.js';
+import { confirmDestructive } from './utils/DialogUtils.js';
 import { API } from './api/api-core.js';
 
 export class RoleManagement {
@@ -29,7 +34,9 @@ export class RoleManagement {
     this.permissions = {};
     this.selectedUserId = null;
     this.selectedRoleId = null;
-    this.activeTab = 'roles'; // 'roles' or 'users'
+    this.bundles = [];
+    this.editingBundleId = null; // bundle id, 'new', or null
+    this.activeTab = 'roles'; // 'roles', 'bundles' or 'users'
   }
 
   async init() {
@@ -72,6 +79,12 @@ export class RoleManagement {
     debugLog('Fetched roles:', this.roles.length);
   }
 
+  async fetchBundles() {
+    const result = await getRoleBundles({ forceRefresh: true });
+    this.bundles = result.data?.bundles || [];
+    debugLog('Fetched role bundles:', this.bundles.length);
+  }
+
   async fetchRolePermissions(roleId) {
     const result = await API.get(`roles/${roleId}/permissions`);
     return result.data || [];
@@ -82,8 +95,8 @@ export class RoleManagement {
     return result.data || [];
   }
 
-  async updateUserRoles(userId, roleIds) {
-    const result = await updateUserRolesV1(userId, roleIds);
+  async updateUserRoles(userId, roleIds, bundleIds = [], auditNote = '') {
+    const result = await updateUserRoleBundles(userId, { roleIds, bundleIds, audit_note: auditNote });
 
     // Clear relevant caches after role update
     await this.invalidateUserCaches(userId);
@@ -143,6 +156,12 @@ export class RoleManagement {
           >
             ${translate('roles_and_permissions') || 'Roles & Permissions'}
           </button>
+          <button
+            class="tab-button ${this.activeTab === 'bundles' ? 'active' : ''}"
+            data-tab="bundles"
+          >
+            ${translate('role_bundles')}
+          </button>
           <button
             class="tab-button ${this.activeTab === 'users' ? 'active' : ''}"
             data-tab="users"
@@ -154,7 +173,7 @@ export class RoleManagement {
 
         <!-- Tab Content -->
         <div class="tab-content">
-          ${this.activeTab === 'roles' ? this.renderRolesTab() : this.renderUsersTab()}
+          ${this.renderActiveTab()}
         </div>
       </div>
     `;
@@ -165,6 +184,12 @@ export class RoleManagement {
     this.attachEventListeners();
   }
 
+  renderActiveTab() {
+    if (this.activeTab === 'bundles') return this.renderBundlesTab();
+    if (this.activeTab === 'users') return this.renderUsersTab();
+    return this.renderRolesTab();
+  }
+
   renderRolesTab() {
     return `
       <div class="roles-tab">
@@ -204,6 +229,89 @@ export class RoleManagement {
     `;
   }
 
+  renderBundlesTab() {
+    const canManage = hasPermission('roles.manage');
+
+    return `
+      <div class="bundles-tab">
+        <div class="tab-description">
+          <p>${translate('role_bundles_description')}</p>
+        </div>
+
+        ${canManage && this.editingBundleId === null ? `
+          <button type="button" class="btn-primary" id="new-bundle-btn">${translate('role_bundle_new')}</button>
+        ` : ''}
+        ${canManage && this.editingBundleId !== null ? this.renderBundleForm() : ''}
+
+        <div class="roles-grid">
+          ${this.bundles.length
+            ? this.bundles.map(bundle => this.renderBundleCard(bundle, canManage)).join('')
+            : `<p class="empty-state">${translate('role_bundles_empty')}</p>`}
+        </div>
+      </div>
+    `;
+  }
+
+  renderBundleCard(bundle, canManage) {
+    const roles = (bundle.role_ids || [])
+      .map(id => this.roles.find(role => role.id === id))
+      .filter(Boolean);
+
+    return `
+      <div class="role-card" data-bundle-id="${bundle.id}">
+        <div class="role-card-header">
+          <div class="role-info">
+            <h3 class="role-name">${this.escapeHtml(bundle.name)}</h3>
+          </div>
+          ${canManage ? `
+            <div class="bundle-actions">
+              <button type="button" class="btn-small edit-bundle-btn" data-bundle-id="${bundle.id}">${translate('edit')}</button>
+              <button type="button" class="btn-small delete-bundle-btn" data-bundle-id="${bundle.id}">${translate('delete')}</button>
+            </div>
+          ` : ''}
+        </div>
+        ${bundle.description ? `<p class="role-description">${this.escapeHtml(bundle.description)}</p>` : ''}
+        <div class="role-badges">
+          ${roles.map(role => `<span class="role-badge role-badge-${role.role_name}">${this.escapeHtml(role.display_name)}</span>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  renderBundleForm() {
+    const bundle = this.bundles.find(item => item.id === this.editingBundleId) || { name: '', description: '', role_ids: [] };
+
+    return `
+      <form id="role-bundle-form" class="role-bundle-form">
+        <h3>${this.editingBundleId === 'new' ? translate('role_bundle_new') : translate('role_bundle_edit')}</h3>
+        <label for="bundle-name">${translate('role_bundle_name')}</label>
+        <input type="text" id="bundle-name" maxlength="100" required value="${this.escapeHtml(bundle.name)}" />
+        <label for="bundle-description">${translate('description')}</label>
+        <textarea id="bundle-description" rows="2">${this.escapeHtml(bundle.description || '')}</textarea>
+
+        <div class="role-checkboxes">
+          ${this.roles.map(role => `
+            <label class="role-checkbox-item">
+              <input type="checkbox" name="bundle_role_ids" value="${role.id}" ${(bundle.role_ids || []).includes(role.id) ? 'checked' : ''} />
+              <div class="role-checkbox-content">
+                <div class="role-checkbox-header">
+                  <strong>${this.escapeHtml(role.display_name)}</strong>
+                  <span class="role-badge-small role-badge-${role.role_name}">${role.role_name}</span>
+                </div>
+              </div>
+            </label>
+          `).join('')}
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn-primary">${translate('save')}</button>
+          <button type="button" class="btn-secondary" id="cancel-bundle">${translate('cancel')}</button>
+        </div>
+        <div id="bundle-message" class="status-message"></div>
+      </form>
+    `;
+  }
+
   renderUsersTab() {
     if (!hasPermission('users.assign_roles')) {
       return `
@@ -344,6 +452,29 @@ export class RoleManagement {
             </div>
           </div>
 
+          ${this.bundles.length ? `
+            <div class="available-roles-section">
+              <h3>${translate('role_bundles')}</h3>
+              <p class="help-text">${translate('role_bundles_assign_help')}</p>
+              <div class="role-checkboxes">
+                ${this.bundles.map(bundle => `
+                  <label class="role-checkbox-item">
+                    <input type="checkbox" name="bundle_ids" value="${bundle.id}" />
+                    <div class="role-checkbox-content">
+                      <strong>${this.escapeHtml(bundle.name)}</strong>
+                      <small class="role-checkbox-description">${this.escapeHtml(this.describeBundleRoles(bundle))}</small>
+                    </div>
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+          ` : ''}
+
+          <div class="available-roles-section">
+            <label for="role-audit-note"><h3>${translate('district_management_audit_label')}</h3></label>
+            <textarea id="role-audit-note" rows="2" maxlength="500" placeholder="${translate('district_management_audit_placeholder')}"></textarea>
+          </div>
+
           <div class="form-actions">
             <button type="submit" class="btn-primary">
               ${translate('save_roles') || 'Save Roles'}
@@ -372,6 +503,10 @@ export class RoleManagement {
           if (tab === 'users' && this.users.length === 0) {
             await this.fetchUsers();
           }
+          // Bundles are offered on the users tab too
+          if (tab !== 'roles') {
+            await this.fetchBundles();
+          }
 
           this.render();
         }
@@ -380,11 +515,103 @@ export class RoleManagement {
 
     if (this.activeTab === 'roles') {
       this.attachRolesTabListeners();
+    } else if (this.activeTab === 'bundles') {
+      this.attachBundlesTabListeners();
     } else {
       this.attachUsersTabListeners();
     }
   }
 
+  attachBundlesTabListeners() {
+    document.getElementById('new-bundle-btn')?.addEventListener('click', () => {
+      this.editingBundleId = 'new';
+      this.render();
+    });
+
+    document.querySelectorAll('.edit-bundle-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.editingBundleId = parseInt(e.currentTarget.dataset.bundleId, 10);
+        this.render();
+      });
+    });
+
+    document.querySelectorAll('.delete-bundle-btn').forEach(button => {
+      button.addEventListener('click', (e) => this.handleDeleteBundle(parseInt(e.currentTarget.dataset.bundleId, 10)));
+    });
+
+    document.getElementById('cancel-bundle')?.addEventListener('click', () => {
+      this.editingBundleId = null;
+      this.render();
+    });
+
+    document.getElementById('role-bundle-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSaveBundle(e.currentTarget);
+    });
+  }
+
+  async handleSaveBundle(form) {
+    const payload = {
+      name: form.querySelector('#bundle-name').value.trim(),
+      description: form.querySelector('#bundle-description').value.trim(),
+      role_ids: Array.from(form.querySelectorAll('input[name="bundle_role_ids"]:checked')).map(cb => parseInt(cb.value, 10))
+    };
+    const message = form.querySelector('#bundle-message');
+
+    if (!payload.name || payload.role_ids.length === 0) {
+      message.textContent = translate('role_bundle_incomplete');
+      message.className = 'status-message error';
+      return;
+    }
+
+    try {
+      if (this.editingBundleId === 'new') {
+        await createRoleBundle(payload);
+      } else {
+        await updateRoleBundle(this.editingBundleId, payload);
+      }
+      await clearUserCaches();
+      await this.fetchBundles();
+      this.editingBundleId = null;
+      this.render();
+      this.app.showMessage(translate('role_bundle_saved'), 'success');
+    } catch (error) {
+      debugError('Error saving role bundle:', error);
+      message.textContent = error.message;
+      message.className = 'status-message error';
+    }
+  }
+
+  async handleDeleteBundle(bundleId) {
+    const bundle = this.bundles.find(item => item.id === bundleId);
+    if (!bundle) return;
+
+    const confirmed = await confirmDestructive({
+      title: translate('role_bundle_delete'),
+      message: translate('role_bundle_delete_confirm').replace('{name}', bundle.name),
+      confirmLabel: translate('delete'),
+      cancelLabel: translate('cancel'),
+    });
+    if (!confirmed) return;
+
+    try {
+      await deleteRoleBundle(bundleId);
+      await clearUserCaches();
+      await this.fetchBundles();
+      this.render();
+    } catch (error) {
+      debugError('Error deleting role bundle:', error);
+      this.app.showMessage(error.message, 'error');
+    }
+  }
+
+  describeBundleRoles(bundle) {
+    return (bundle.role_ids || [])
+      .map(id => this.roles.find(role => role.id === id)?.display_name)
+      .filter(Boolean)
+      .join(', ');
+  }
+
   attachRolesTabListeners() {
     // Toggle role permissions
     const toggleButtons = document.querySelectorAll('.toggle-permissions-btn');
@@ -512,14 +739,16 @@ export class RoleManagement {
       const userId = document.getElementById('selected-user-id').value;
       const checkboxes = form.querySelectorAll('input[name="role_ids"]:checked');
       const roleIds = Array.from(checkboxes).map(cb => parseInt(cb.value));
+      const bundleIds = Array.from(form.querySelectorAll('input[name="bundle_ids"]:checked')).map(cb => parseInt(cb.value, 10));
+      const auditNote = form.querySelector('#role-audit-note')?.value.trim() || '';
 
-      if (roleIds.length === 0) {
+      if (roleIds.length === 0 && bundleIds.length === 0) {
         this.showAssignmentMessage(translate('select_at_least_one_role') || 'Please select at least one role', 'error');
         return;
       }
 
       try {
-        await this.updateUserRoles(userId, roleIds);
+        await this.updateUserRoles(userId, roleIds, bundleIds, auditNote);
         this.showAssignmentMessage(translate('roles_updated_successfully') || 'Roles updated successfully!', 'success');
 
         // Refresh user list
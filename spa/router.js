@@ -128,9 +128,13 @@ const lazyModules = {
   CommunicationSettings: () => import('./communication-settings.js').then(m => m.CommunicationSettings),
   UnitSettings: () => import('./modules/unit-settings/unit-settings.js').then(m => m.UnitSettings),
   OfflinePreparation: () => import('./offline_preparation.js').then(m => m.OfflinePreparation),
+  ConflictCenter: () => import('./modules/sync-conflicts/ConflictCenter.js').then(m => m.ConflictCenter),
+  CheckinScanner: () => import('./modules/checkin/CheckinScanner.js').then(m => m.CheckinScanner),
   IncidentReport: () => import('./modules/incident-report/incident-report.js').then(m => m.IncidentReport),
   YearlyPlanner: () => import('./modules/yearly-planner/YearlyPlanner.js').then(m => m.YearlyPlanner),
   ScoutYearTransition: () => import('./modules/scout-year/ScoutYearTransition.js').then(m => m.ScoutYearTransition),
+  EmailTemplates: () => import('./modules/email-templates/EmailTemplates.js').then(m => m.EmailTemplates),
+  WhatsAppInbox: () => import('./modules/whatsapp-inbox/WhatsAppInbox.js').then(m => m.WhatsAppInbox),
   AlumniLink: () => import('./modules/alumni/AlumniLink.js').then(m => m.AlumniLink),
   ReactivationLink: () => import('./modules/reactivation/ReactivationLink.js').then(m => m.ReactivationLink)
 };
@@ -220,6 +224,8 @@ const routes = {
   "/form-permissions": "formPermissions",
   "/communications": "communications",
   "/prepare-offline": "offlinePreparation",
+  "/sync-conflicts": "syncConflicts",
+  "/checkin": "checkin",
   "/incident-reports": "incidentReports",
   "/incident-reports/new": "incidentReportNew",
   "/incident-reports/:id": "incidentReportView",
@@ -227,7 +233,9 @@ const routes = {
   "/yearly-planner": "yearlyPlanner",
   "/yearly-planner/:planId": "yearlyPlannerDetail",
   "/unit-settings": "unitSettings",
-  "/scout-year": "scoutYear"
+  "/scout-year": "scoutYear",
+  "/email-templates": "emailTemplates",
+  "/whatsapp-inbox": "whatsappInbox"
 
 };
 
@@ -628,6 +636,20 @@ export class Router {
           this.currentModuleInstance = scoutYearTransition;
           await scoutYearTransition.init();
           break;
+        case "emailTemplates":
+          if (!guard(hasPermission('org.view'))) break;
+          const EmailTemplates = await this.loadModule('EmailTemplates');
+          const emailTemplates = new EmailTemplates(this.app);
+          this.currentModuleInstance = emailTemplates;
+          await emailTemplates.init();
+          break;
+        case "whatsappInbox":
+          if (!guard(hasPermission('communications.send'))) break;
+          const WhatsAppInbox = await this.loadModule('WhatsAppInbox');
+          const whatsappInbox = new WhatsAppInbox(this.app);
+          this.currentModuleInstance = whatsappInbox;
+          await whatsappInbox.init();
+          break;
         case "incidentReports":
           if (!guard(canViewIncidents())) break;
           const IncidentReportList = await this.loadModule('IncidentReport');
@@ -671,6 +693,19 @@ export class Router {
           this.currentModuleInstance = offlinePreparation;
           await offlinePreparation.init();
           break;
+        case "syncConflicts":
+          const ConflictCenter = await this.loadModule('ConflictCenter');
+          const conflictCenter = new ConflictCenter(this.app);
+          this.currentModuleInstance = conflictCenter;
+          await conflictCenter.init();
+          break;
+        case "checkin":
+          if (!guard(canManageAttendance())) break;
+          const CheckinScanner = await this.loadModule('CheckinScanner');
+          const checkinScanner = new CheckinScanner(this.app);
+          this.currentModuleInstance = checkinScanner;
+          await checkinScanner.init();
+          break;
         case "login":
           if (this.app.isLoggedIn) {
             // Redirect to appropriate dashboard if already logged in
@@ -0,0 +1,227 @@
+/**
+ * ConflictResolver.js
+ *
+ * Resolves the conflicts that sync leaves in the _conflicts store: an offline
+ * edit that the server refused with 409, or a dirty record whose server copy
+ * changed under a 'field_merge' or 'user_resolution' repository.
+ *
+ * A conflict is resolved one of three ways:
+ * - keep_mine: send the local values again, based on the server's version
+ * - keep_theirs: drop the local edit and take the server's values
+ * - merge: pick local or server per field, and send the result
+ *
+ * The chosen values are written locally and re-queued as a fresh outbox
+ * entry, replacing the edits that were waiting on the conflict.
+ *
+ * A conflict found on pull may have been recorded while the server row could
+ * not be fetched; it is fetched when the conflict is opened, and a conflict is
+ * never resolved against a server version that was not actually read.
+ */
+
+import db from '../data/OfflineDatabase.js';
+import { repositories } from '../data/Repository.js';
+import { fetchServerRecord } from './SyncEngine.js';
+import { debugLog } from '../utils/DebugUtils.js';
+
+export const RESOLUTION = {
+  KEEP_MINE: 'keep_mine',
+  KEEP_THEIRS: 'keep_theirs',
+  MERGE: 'merge',
+};
+
+/**
+ * Fields that identify or version a record rather than describe it.
+ * They are never offered for comparison.
+ */
+const META_FIELDS = new Set(['id', 'organization_id', 'created_at', 'updated_at', 'row_version']);
+
+/**
+ * Whether a field is sync bookkeeping (_dirty, _syncVersion, ...) or metadata.
+ * @param {string} field
+ * @returns {boolean}
+ */
+function isComparableField(field) {
+  return !field.startsWith('_') && !META_FIELDS.has(field);
+}
+
+/**
+ * Copy of a record without sync bookkeeping fields.
+ * @param {Object} record
+ * @returns {Object}
+ */
+function withoutInternalFields(record) {
+  return Object.fromEntries(
+    Object.entries(record || {}).filter(([field]) => !field.startsWith('_'))
+  );
+}
+
+/**
+ * Field-by-field comparison of a conflict. Only the fields the local version
+ * carries are compared: for a refused update that is the edit itself.
+ *
+ * @param {Object} conflict - _conflicts record
+ * @returns {Array<{field: string, mine: *, theirs: *, differs: boolean}>}
+ */
+export function conflictFields(conflict) {
+  const local = conflict.localVersion || {};
+  const server = conflict.serverVersion || {};
+
+  return Object.keys(local)
+    .filter(isComparableField)
+    .map((field) => ({
+      field,
+      mine: local[field],
+      theirs: server[field],
+      differs: JSON.stringify(local[field]) !== JSON.stringify(server[field]),
+    }));
+}
+
+/**
+ * Values to send for a resolution. Null for keep_theirs, which sends nothing.
+ *
+ * @param {Object} conflict - _conflicts record
+ * @param {string} resolution - One of RESOLUTION
+ * @param {Object<string, 'mine'|'theirs'>} [choices] - Per-field picks for merge (default mine)
+ * @returns {Object|null}
+ */
+export function resolutionPayload(conflict, resolution, choices = {}) {
+  if (resolution === RESOLUTION.KEEP_THEIRS) return null;
+
+  const payload = {};
+  for (const { field, mine, theirs } of conflictFields(conflict)) {
+    const pickTheirs = resolution === RESOLUTION.MERGE && choices[field] === 'theirs';
+    payload[field] = pickTheirs ? theirs : mine;
+  }
+
+  // Based on the server row the user just reviewed, so the write is accepted.
+  const serverRowVersion = conflict.serverVersion?.row_version;
+  if (serverRowVersion !== undefined && serverRowVersion !== null) {
+    payload.row_version = serverRowVersion;
+  }
+
+  return payload;
+}
+
+export class ConflictResolver {
+  /**
+   * Unresolved conflicts, oldest first, with their server version fetched
+   * where it is still missing.
+   * @returns {Promise<Array>}
+   */
+  async getUnresolved() {
+    const conflicts = await db._conflicts.where('resolvedAt').equals(0).toArray();
+    for (const conflict of conflicts) {
+      conflict.serverVersion = await this._loadServerVersion(conflict);
+    }
+    return conflicts.sort((a, b) => a.detectedAt - b.detectedAt);
+  }
+
+  /**
+   * The conflict's server version, fetched and stored if it was not read
+   * when the conflict was recorded.
+   *
+   * @param {Object} conflict - _conflicts record
+   * @returns {Promise<Object|null>} Null while the server cannot be reached
+   */
+  async _loadServerVersion(conflict) {
+    if (conflict.serverVersion) return conflict.serverVersion;
+
+    try {
+      const serverVersion = await fetchServerRecord(conflict.entityType, conflict.entityId);
+      if (serverVersion) {
+        await db._conflicts.update(conflict.id, { serverVersion });
+      }
+      return serverVersion;
+    } catch (error) {
+      debugLog(`ConflictResolver: server ${conflict.entityType}:${conflict.entityId} unavailable`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Number of unresolved conflicts.
+   * @returns {Promise<number>}
+   */
+  async countUnresolved() {
+    return db._conflicts.where('resolvedAt').equals(0).count();
+  }
+
+  /**
+   * Resolve a conflict and every other unresolved conflict on the same record,
+   * since the edits behind them are replaced by the chosen values.
+   *
+   * @param {number} conflictId - _conflicts id
+   * @param {string} resolution - One of RESOLUTION
+   * @param {Object<string, 'mine'|'theirs'>} [choices] - Per-field picks for merge
+   * @returns {Promise<Object|null>} The record as stored locally, or null if already resolved
+   */
+  async resolve(conflictId, resolution, choices = {}) {
+    if (!Object.values(RESOLUTION).includes(resolution)) {
+      throw new Error(`Unknown conflict resolution: ${resolution}`);
+    }
+
+    const conflict = await db._conflicts.get(conflictId);
+    if (!conflict || conflict.resolvedAt) return null;
+
+    const { entityType, entityId } = conflict;
+    const repo = repositories[entityType];
+    if (!repo) {
+      throw new Error(`No repository for ${entityType}`);
+    }
+
+    conflict.serverVersion = await this._loadServerVersion(conflict);
+    if (!conflict.serverVersion) {
+      throw new Error(`Server version of ${entityType}:${entityId} is not available`);
+    }
+
+    const payload = resolutionPayload(conflict, resolution, choices);
+    const serverFields = withoutInternalFields(conflict.serverVersion);
+    let stored;
+
+    await db.transaction('rw', [repo.table, db._outbox, db._conflicts], async () => {
+      // Updates still waiting on this record are superseded by the choice.
+      await db._outbox
+        .where('entityId')
+        .equals(entityId)
+        .filter((entry) => entry.entityType === entityType
+          && entry.operation === 'update'
+          && (entry.status === 'pending' || entry.status === 'conflict'))
+        .delete();
+
+      const existing = await repo.table.get(entityId);
+      await repo.table.put({
+        ...(existing || {}),
+        ...serverFields,
+        [repo.idField]: entityId,
+        _dirty: false,
+        _serverUpdatedAt: null,
+      });
+
+      stored = payload
+        ? await repo.update(entityId, payload)
+        : await repo.table.get(entityId);
+
+      await db._conflicts
+        .where('entityId')
+        .equals(entityId)
+        .filter((record) => record.entityType === entityType && record.resolvedAt === 0)
+        .modify({ resolvedAt: Date.now(), resolution });
+    });
+
+    debugLog(`ConflictResolver: ${entityType}:${entityId} resolved with ${resolution}`);
+    await this._notify();
+    return stored;
+  }
+
+  /**
+   * Tell listeners (the offline indicator) how many conflicts remain.
+   * @returns {Promise<void>}
+   */
+  async _notify() {
+    if (typeof window === 'undefined') return;
+    const count = await this.countUnresolved();
+    window.dispatchEvent(new CustomEvent('syncConflictsChanged', { detail: { count } }));
+  }
+}
+
+export const conflictResolver = new ConflictResolver();
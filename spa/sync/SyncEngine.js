@@ -18,6 +18,7 @@ import { idMapper } from './IdMapper.js';
 import { debugLog, debugError, debugWarn } from '../utils/DebugUtils.js';
 import { CONFIG } from '../config.js';
 import { makeApiRequest, API } from '../api/api-core.js';
+import { fetchWithSession } from '../api/api-session.js';
 
 /**
  * Sync phase identifiers for observability.
@@ -35,10 +36,12 @@ const PHASE = {
 
 /**
  * API endpoint mappings for each entity type.
+ * `record` is set where the API serves one record by id; other records are
+ * looked up in their list.
  */
 const ENTITY_API = {
   groups: { list: 'v1/groups', single: 'v1/groups' },
-  participants: { list: 'v1/participants', single: 'v1/participants' },
+  participants: { list: 'v1/participants', single: 'v1/participants', record: 'v1/participants' },
   activities: { list: 'v1/activities', single: 'v1/activities' },
   attendance: { list: 'v1/attendance', single: 'v1/attendance' },
   honors: { list: 'v1/honors', single: 'v1/honors' },
@@ -72,6 +75,43 @@ const PULL_ORDER = [
  */
 const READ_ONLY_ENTITIES = new Set(['badge_templates', 'points']);
 
+/**
+ * Rows of a list response, whatever its shape: a bare array, or an object
+ * holding one (`{ templates: [...] }`), or a single record.
+ * @param {Object|Array} result - makeApiRequest result
+ * @returns {Array<Object>}
+ */
+function extractRows(result) {
+  const data = result?.data || result;
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const arrayKey = Object.keys(data).find((k) => Array.isArray(data[k]));
+    return arrayKey ? data[arrayKey] : [data];
+  }
+  return [];
+}
+
+/**
+ * Fetch the server's current copy of a record, for conflict review.
+ *
+ * @param {string} entityType - Repository store name
+ * @param {number|string} entityId - Record id
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object|null>} Null when the server has no such record
+ */
+export async function fetchServerRecord(entityType, entityId, signal = null) {
+  const apiConfig = ENTITY_API[entityType];
+  if (!apiConfig) return null;
+
+  if (apiConfig.record) {
+    const result = await makeApiRequest(`${apiConfig.record}/${entityId}`, { signal });
+    return result?.data || null;
+  }
+
+  const rows = extractRows(await makeApiRequest(apiConfig.list, { signal }));
+  return rows.find((row) => String(row.id) === String(entityId)) || null;
+}
+
 export class SyncEngine {
   constructor() {
     this.phase = PHASE.IDLE;
@@ -290,22 +330,9 @@ export class SyncEngine {
         });
 
         // makeApiRequest already handles response.json() and handleResponse logic
-        let data = result.data || result;
-
-        // Handle various response shapes
-        if (Array.isArray(data)) {
-          // Direct array
-        } else if (data && typeof data === 'object') {
-          // Some endpoints return { templates: [...] } or similar
-          const arrayKey = Object.keys(data).find((k) => Array.isArray(data[k]));
-          if (arrayKey) {
-            data = data[arrayKey];
-          } else {
-            data = [data];
-          }
-        }
+        const data = extractRows(result);
 
-        if (Array.isArray(data) && data.length > 0) {
+        if (data.length > 0) {
           const repo = repositories[entityType];
           if (repo) {
             await repo.bulkUpsert(data);
@@ -340,8 +367,8 @@ export class SyncEngine {
         .toArray();
 
       for (const local of dirtyRecords) {
-        if (!local._serverUpdatedAt || !local._localUpdatedAt) continue;
-        if (new Date(local._serverUpdatedAt) <= new Date(local._localUpdatedAt)) continue;
+        // Set by the pull when the server copy changed under the local edit
+        if (!local._serverUpdatedAt) continue;
 
         // Server version is newer than our local edit — apply conflict strategy
         const strategy = repo.conflictStrategy;
@@ -354,20 +381,13 @@ export class SyncEngine {
           debugLog(`SyncEngine: create_wins for ${entityType}:${local.id}, skipping`);
         } else if (strategy === 'field_merge' || strategy === 'user_resolution') {
           // Queue for user resolution — store in _conflicts
-          conflictsDetected++;
-          await db._conflicts.add({
-            entityType,
-            entityId: local.id,
-            localVersion: local,
-            serverVersion: { updated_at: local._serverUpdatedAt },
-            outboxLocalId: null,
-            detectedAt: Date.now(),
-            resolvedAt: 0,
-          });
-          debugWarn(
-            `SyncEngine: Conflict (${strategy}) for ${entityType}:${local.id} ` +
-            `(local: ${local._localUpdatedAt}, server: ${local._serverUpdatedAt})`
-          );
+          if (await this._recordPullConflict(entityType, local)) {
+            conflictsDetected++;
+            debugWarn(
+              `SyncEngine: Conflict (${strategy}) for ${entityType}:${local.id} ` +
+              `(local: ${local._localUpdatedAt}, server: ${local._serverUpdatedAt})`
+            );
+          }
         }
       }
     }
@@ -375,6 +395,65 @@ export class SyncEngine {
     return { conflicts: conflictsDetected };
   }
 
+  /**
+   * Record a conflict found on pull: the local edit is what the pending
+   * updates changed, the server version is the row fetched now. The updates
+   * are held (status 'conflict') until the user resolves it, so they are not
+   * pushed over the server's changes in the meantime.
+   *
+   * If the server row cannot be fetched the conflict is still recorded, and
+   * ConflictResolver fetches it when the conflict is opened.
+   *
+   * @param {string} entityType
+   * @param {Object} local - Dirty local record
+   * @returns {Promise<boolean>} False if the record already has an open conflict or no pending edit
+   */
+  async _recordPullConflict(entityType, local) {
+    const open = await db._conflicts
+      .where('entityId')
+      .equals(local.id)
+      .filter((record) => record.entityType === entityType && record.resolvedAt === 0)
+      .count();
+    if (open > 0) return false;
+
+    const edits = (await db._outbox
+      .where('entityId')
+      .equals(local.id)
+      .filter((entry) => entry.entityType === entityType
+        && entry.operation === 'update'
+        && entry.status === 'pending')
+      .toArray())
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (edits.length === 0) return false;
+
+    let serverVersion = null;
+    try {
+      serverVersion = await fetchServerRecord(entityType, local.id, this.abortController?.signal);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      debugWarn(`SyncEngine: Could not fetch server ${entityType}:${local.id}:`, error.message);
+    }
+
+    await db.transaction('rw', [db._outbox, db._conflicts], async () => {
+      await db._outbox.bulkUpdate(edits.map((entry) => ({
+        key: entry.localId,
+        changes: { status: 'conflict' },
+      })));
+
+      await db._conflicts.add({
+        entityType,
+        entityId: local.id,
+        localVersion: Object.assign({}, ...edits.map((entry) => entry.payload)),
+        serverVersion,
+        outboxLocalId: edits[edits.length - 1].localId,
+        detectedAt: Date.now(),
+        resolvedAt: 0,
+      });
+    });
+
+    return true;
+  }
+
   // ==========================================
   // PHASE 4: Push Outbox
   // ==========================================
@@ -385,7 +464,6 @@ export class SyncEngine {
     let failed = 0;
     let skipped = 0;
 
-    const token = localStorage.getItem(CONFIG.STORAGE_KEYS.JWT_TOKEN);
     const organizationId = localStorage.getItem(CONFIG.STORAGE_KEYS.CURRENT_ORGANIZATION_ID);
 
     for (const entry of entries) {
@@ -414,7 +492,7 @@ export class SyncEngine {
       try {
         await outboxManager.markInProgress(entry.localId);
 
-        const result = await this._pushSingleEntry(resolved, token, organizationId);
+        const result = await this._pushSingleEntry(resolved, organizationId);
 
         if (result.success) {
           await outboxManager.markSynced(entry.localId, result.data);
@@ -451,14 +529,13 @@ export class SyncEngine {
    * Push a single outbox entry to the server.
    * @returns {Promise<{success: boolean, data?: Object, conflict?: boolean, serverVersion?: Object, error?: string}>}
    */
-  async _pushSingleEntry(entry, token, organizationId) {
+  async _pushSingleEntry(entry, organizationId) {
     const apiConfig = ENTITY_API[entry.entityType];
     if (!apiConfig) {
       return { success: false, error: `No API config for ${entry.entityType}` };
     }
 
     const headers = {
-      Authorization: `Bearer ${token}`,
       'Content-Type': 'application/json',
     };
 
@@ -502,7 +579,7 @@ export class SyncEngine {
     // Add correlation ID header for server-side deduplication
     headers['X-Correlation-Id'] = entry.correlationId;
 
-    const response = await fetch(url.toString(), {
+    const response = await fetchWithSession(url.toString(), {
       method,
       headers,
       body,
@@ -1,8 +1,8 @@
 import {
-  getAuthHeader,
   getCurrentOrganizationId,
   getApiUrl,
 } from "./ajax-functions.js";
+import { fetchWithSession } from "./api/api-session.js";
 import { translate } from "./app.js";
 import { debugLog, debugError } from "./utils/DebugUtils.js";
 import { setContent } from "./utils/DOMUtils.js";
@@ -28,11 +28,10 @@ export class TimeSinceRegistration {
 
   async fetchData() {
     try {
-      const response = await fetch(getApiUrl("api/v1/reports/time-since-registration"), {
+      const response = await fetchWithSession(getApiUrl("api/v1/reports/time-since-registration"), {
         method: "GET",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeader(),
         },
       });
 
@@ -46,7 +46,7 @@ function buildOverlay() {
   return overlay;
 }
 
-function buildDialog({ title, message, kind = "info", isPrompt = false, promptValue = "" }) {
+function buildDialog({ title, message, kind = "info", isPrompt = false, promptValue = "", inputType = "text" }) {
   const dialog = document.createElement("div");
   dialog.className = `dialog dialog--${kind}`;
   dialog.setAttribute("role", "alertdialog");
@@ -83,7 +83,7 @@ function buildDialog({ title, message, kind = "info", isPrompt = false, promptVa
   let inputEl = null;
   if (isPrompt) {
     inputEl = document.createElement("input");
-    inputEl.type = "text";
+    inputEl.type = inputType;
     inputEl.className = "dialog__input";
     inputEl.value = promptValue;
     inputEl.setAttribute("aria-label", title || tr("input", "Input"));
@@ -225,6 +225,7 @@ function openDialog({
   buttons,
   isPrompt = false,
   promptValue = "",
+  inputType = "text",
   defaultButtonIndex = 0,
   cancelValue = null,
 }) {
@@ -243,6 +244,7 @@ function openDialog({
     kind,
     isPrompt,
     promptValue,
+    inputType,
   });
   overlay.appendChild(dialog);
 
@@ -382,6 +384,7 @@ export function alert(options) {
 
 /**
  * Show a prompt dialog. Resolves with the entered string, or null on cancel.
+ * Pass `inputType: "password"` to mask what is typed.
  *
  * @param {string|object} options
  * @param {string} [defaultValue]
@@ -399,6 +402,7 @@ export function prompt(options, defaultValue = "") {
     kind: "info",
     isPrompt: true,
     promptValue: initialValue,
+    inputType: opts.inputType || "text",
     cancelValue: null,
     defaultButtonIndex: 1,
     buttons: [
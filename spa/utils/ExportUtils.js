@@ -66,12 +66,12 @@ function escapeCSV(str) {
 }
 
 /**
- * Helper to create a blob and trigger browser download
- * @param {string} content 
- * @param {string} filename 
- * @param {string} mimeType 
+ * Create a blob and trigger a browser download
+ * @param {string|Blob} content - Text or an existing Blob (e.g. a PDF from the API)
+ * @param {string} filename
+ * @param {string} mimeType
  */
-function downloadBlob(content, filename, mimeType) {
+export function downloadBlob(content, filename, mimeType) {
     const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
 
@@ -412,6 +412,24 @@ export function canViewReports() {
   return hasPermission('reports.view');
 }
 
+/**
+ * Determine if the current user can search the audit log
+ *
+ * @returns {boolean} True when audit view permission is granted
+ */
+export function canViewAuditLog() {
+  return hasPermission('audit.view');
+}
+
+/**
+ * Determine if the current user can inspect and retry background jobs
+ *
+ * @returns {boolean} True when jobs manage permission is granted
+ */
+export function canManageJobs() {
+  return hasPermission('jobs.manage');
+}
+
 /**
  * Determine if the current user can view activities
  *
@@ -556,7 +574,7 @@ export function canManageMeetings() {
  * @returns {boolean} True when the user can access admin interfaces
  */
 export function canAccessAdminPanel() {
-  if (canManageUsers() || canViewUsers() || canManageRoles() || canViewRoles() || canCreateOrganization() || canSendCommunications()) {
+  if (canManageUsers() || canViewUsers() || canManageRoles() || canViewRoles() || canCreateOrganization() || canSendCommunications() || canViewAuditLog() || canManageJobs()) {
     return true;
   }
 
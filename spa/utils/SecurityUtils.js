@@ -139,6 +139,18 @@ export function escapeHTML(str) {
   return div.innerHTML;
 }
 
+/**
+ * Escape a string for a double-quoted HTML attribute. escapeHTML leaves
+ * quotes alone, which is enough for text but not for a value such as JSON
+ * written into `value="..."`.
+ *
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+export function escapeAttribute(str) {
+  return escapeHTML(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 /**
  * Sanitize and validate a URL
  * Only allows http, https, and mailto protocols
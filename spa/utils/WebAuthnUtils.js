@@ -0,0 +1,111 @@
+/**
+ * WebAuthnUtils.js
+ *
+ * Passkey helpers for login and enrollment. The server sends WebAuthn options
+ * as JSON with base64url binary fields and expects the browser's answer in
+ * the same form, so these convert between that and the ArrayBuffers
+ * navigator.credentials works with.
+ */
+
+/**
+ * @param {string} value - base64url text
+ * @returns {ArrayBuffer} Decoded bytes
+ */
+function base64UrlToBuffer(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * @param {ArrayBuffer|null} buffer - Bytes
+ * @returns {string|undefined} base64url text
+ */
+function bufferToBase64Url(buffer) {
+  if (!buffer) {
+    return undefined;
+  }
+  let binary = "";
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function toDescriptors(credentials = []) {
+  return credentials.map((credential) => ({ ...credential, id: base64UrlToBuffer(credential.id) }));
+}
+
+/**
+ * @returns {boolean} Whether this browser can use passkeys
+ */
+export function isPasskeySupported() {
+  return typeof window !== "undefined"
+    && typeof window.PublicKeyCredential === "function"
+    && Boolean(navigator.credentials?.get);
+}
+
+/**
+ * Ask the browser for a passkey assertion.
+ *
+ * @param {Object} options - `passkey_options` from the login response
+ * @returns {Promise<Object>} Assertion to send as `passkey_response`
+ */
+export async function getPasskeyAssertion(options) {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: base64UrlToBuffer(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials)
+    }
+  });
+
+  return {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || undefined,
+    clientExtensionResults: credential.getClientExtensionResults(),
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+      signature: bufferToBase64Url(credential.response.signature),
+      userHandle: bufferToBase64Url(credential.response.userHandle)
+    }
+  };
+}
+
+/**
+ * Ask the browser to create a passkey.
+ *
+ * @param {Object} options - Registration options from the server
+ * @returns {Promise<Object>} Registration response to send back
+ */
+export async function createPasskey(options) {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: base64UrlToBuffer(options.challenge),
+      user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials)
+    }
+  });
+
+  return {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || undefined,
+    clientExtensionResults: credential.getClientExtensionResults(),
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      attestationObject: bufferToBase64Url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() || []
+    }
+  };
+}
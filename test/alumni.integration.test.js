@@ -35,6 +35,12 @@ jest.mock('../utils/index', () => {
       box.push({ to, subject, message, html });
       return state.succeeds;
     }),
+    deliverEmail: jest.fn(async (to, subject, message, html) => {
+      // eslint-disable-next-line no-undef
+      const { sentEmails: box, transport: state } = global.__alumniTestState;
+      box.push({ to, subject, message, html });
+      return { sent: state.succeeds, messageId: state.succeeds ? `<${box.length}@test>` : null };
+    }),
     getUserEmailLanguage: jest.fn(async () => 'fr')
   };
 });
@@ -26,3 +26,47 @@ test('caps string and collection bounds before processing them', () => {
   expect(normalized.roles).toEqual([]);
   expect(normalized.groups).toEqual([]);
 });
+
+describe('processScheduledAnnouncements', () => {
+  const { processScheduledAnnouncements } = require('../routes/announcements');
+  const logger = { error: jest.fn(), info: jest.fn(), warn: jest.fn() };
+  const announcement = { id: 7, organization_id: 1, recipient_roles: ['parent'], recipient_groups: [] };
+
+  /** Fake pool that claims one announcement and fails to load its recipients. */
+  function makePool() {
+    return {
+      query: jest.fn(async (sql) => {
+        if (sql.includes("SET status = 'sending'")) {
+          return { rows: [announcement] };
+        }
+        if (sql.includes('UPDATE announcements')) {
+          return { rows: [] };
+        }
+        throw new Error('database unavailable');
+      })
+    };
+  }
+
+  const statusUpdate = (pool) => pool.query.mock.calls.find(
+    ([sql]) => sql.includes('SET status = $2'),
+  );
+
+  test('puts the announcement back and fails the job while attempts remain', async () => {
+    const pool = makePool();
+    const job = { payload: { announcement_id: 7 }, attempts: 1, max_attempts: 5 };
+
+    await expect(processScheduledAnnouncements(pool, logger, null, null, job))
+      .rejects.toThrow('database unavailable');
+    expect(pool.query.mock.calls[0][1]).toEqual([7]);
+    expect(statusUpdate(pool)[1]).toEqual([7, 'scheduled']);
+  });
+
+  test('marks the announcement failed on the last attempt', async () => {
+    const pool = makePool();
+    const job = { payload: { announcement_id: 7 }, attempts: 5, max_attempts: 5 };
+
+    await expect(processScheduledAnnouncements(pool, logger, null, null, job))
+      .rejects.toThrow('database unavailable');
+    expect(statusUpdate(pool)[1]).toEqual([7, 'failed']);
+  });
+});
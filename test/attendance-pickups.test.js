@@ -0,0 +1,233 @@
+/**
+ * Attendance pickup suite
+ *
+ * Arrival and departure times, and who takes each child home. What matters:
+ *
+ * - a guardian linked to the child may pick them up, whether picked from the
+ *   list or typed as written on the sign-out sheet;
+ * - anyone else, or leaving alone without the registration form's
+ *   permission, is refused until a leader confirms it, and is then recorded
+ *   as unauthorized;
+ * - the end-of-day report lists children present whose departure is not
+ *   recorded.
+ *
+ * @module test/attendance-pickups
+ */
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'attendance-pickups-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: '00000000-0000-0000-0000-000000000001' };
+    next();
+  },
+  authorize: () => (_req, _res, next) => next(),
+  requirePermission: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 1,
+  withScoutYear: () => (req, _res, next) => {
+    req.scoutYear = { id: 7, label: '2025-2026', start_date: '2025-09-01', end_date: '2026-08-31', status: 'active' };
+    req.rosterStatuses = ['active'];
+    next();
+  }
+}));
+
+const { checkPickup, isChecked } = require('../services/pickups');
+const { OPEN_ENDED_DATE } = require('../services/scoutYear');
+
+const GUARDIANS = [
+  { participant_id: 5, id: 31, first_name: 'Hélène', last_name: 'Roy', relationship: 'mere', phone: '514-555-0101' },
+  { participant_id: 5, id: 32, first_name: 'Marc', last_name: 'Roy', relationship: 'pere', phone: null }
+];
+
+const ATTENDANCE_ROW = {
+  id: 90,
+  participant_id: 5,
+  date: '2026-03-04',
+  status: 'present',
+  organization_id: 1,
+  arrived_at: '2026-03-04T23:00:00.000Z',
+  departed_at: null,
+  dropped_off_by: null,
+  picked_up_by: null,
+  picked_up_by_guardian_id: null,
+  left_alone: false,
+  pickup_authorized: null,
+  pickup_recorded_by: null
+};
+
+/** Fake pool answering the pickup queries; `updates` collects each UPDATE's parameters. */
+function makePool({ attendance = [ATTENDANCE_ROW], canLeaveAlone = null, pending = [] } = {}) {
+  const updates = [];
+  const query = jest.fn(async (sql, params) => {
+    if (sql.includes('FROM participant_guardians')) {
+      return { rows: GUARDIANS.filter((row) => params[0].includes(row.participant_id)) };
+    }
+    if (sql.includes('FROM form_submissions')) {
+      return { rows: canLeaveAlone === null ? [] : [{ participant_id: 5, can_leave_alone: canLeaveAlone }] };
+    }
+    if (sql.includes('FOR UPDATE')) {
+      return { rows: attendance };
+    }
+    if (sql.includes('UPDATE attendance')) {
+      updates.push(params);
+      return {
+        rows: [{
+          ...ATTENDANCE_ROW,
+          arrived_at: params[0],
+          departed_at: params[1],
+          picked_up_by: params[3],
+          picked_up_by_guardian_id: params[4],
+          left_alone: params[5],
+          pickup_authorized: params[6]
+        }]
+      };
+    }
+    if (sql.includes('a.departed_at IS NULL')) {
+      return { rows: pending };
+    }
+    if (sql.includes('FROM participant_enrollments')) {
+      return { rows: params[0] === 5 ? [{ '?column?': 1 }] : [] };
+    }
+    return { rows: [] };
+  });
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    updates
+  };
+}
+
+/**
+ * The attendance module keeps one router for the process, so each app loads
+ * its own copy to get its own pool.
+ */
+function buildApp(pool) {
+  let attendanceRoute;
+  jest.isolateModules(() => {
+    attendanceRoute = require('../routes/attendance');
+  });
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/attendance', attendanceRoute(pool, { debug: () => {}, warn: () => {} }));
+  return app;
+}
+
+describe('checkPickup', () => {
+  const list = { can_leave_alone: false, guardians: GUARDIANS };
+
+  test('a guardian matches by id or by the name written down', () => {
+    expect(checkPickup(list, { guardianId: 32 })).toEqual({ authorized: true, guardianId: 32 });
+    expect(checkPickup(list, { name: '  helene ROY ' })).toEqual({ authorized: true, guardianId: 31 });
+    expect(checkPickup(list, { name: 'Roy Marc' })).toEqual({ authorized: true, guardianId: 32 });
+  });
+
+  test('anyone else, or leaving alone without permission, is not authorized', () => {
+    expect(checkPickup(list, { name: 'Julie Tremblay' })).toEqual({ authorized: false, guardianId: null });
+    expect(checkPickup(list, { guardianId: 99 })).toEqual({ authorized: false, guardianId: null });
+    expect(checkPickup(list, { leftAlone: true }).authorized).toBe(false);
+    expect(checkPickup({ ...list, can_leave_alone: true }, { leftAlone: true }).authorized).toBe(true);
+  });
+
+  test('reads the registration form checkbox however it was stored', () => {
+    expect(['on', 'true', true, '1'].every(isChecked)).toBe(true);
+    expect([null, '', 'false', undefined].some(isChecked)).toBe(false);
+  });
+});
+
+describe('PUT /api/v1/attendance/times', () => {
+  const departure = {
+    participant_id: 5,
+    date: '2026-03-04',
+    departed_at: '2026-03-05T00:30:00.000Z'
+  };
+
+  test('records a guardian picking the child up', async () => {
+    const pool = makePool();
+
+    const res = await request(buildApp(pool))
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, picked_up_by: 'Marc Roy' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ picked_up_by_guardian_id: 32, pickup_authorized: true });
+    expect(pool.updates[0][3]).toBe('Marc Roy');
+    expect(pool.updates[0][7]).toBe('00000000-0000-0000-0000-000000000001');
+  });
+
+  test('warns about an adult who is not on the list, and records them once confirmed', async () => {
+    const pool = makePool();
+    const app = buildApp(pool);
+
+    const refused = await request(app)
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, picked_up_by: 'Julie Tremblay' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.message).toBe('unauthorized_pickup');
+    expect(pool.updates).toHaveLength(0);
+
+    const confirmed = await request(app)
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, picked_up_by: 'Julie Tremblay', acknowledge_unauthorized: true });
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data).toMatchObject({ picked_up_by: 'Julie Tremblay', pickup_authorized: false });
+  });
+
+  test('a child leaves alone only with the permission on the registration form', async () => {
+    const refused = await request(buildApp(makePool({ canLeaveAlone: null })))
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, left_alone: true });
+    expect(refused.status).toBe(409);
+
+    const allowed = await request(buildApp(makePool({ canLeaveAlone: 'on' })))
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, left_alone: true });
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data).toMatchObject({ left_alone: true, pickup_authorized: true, picked_up_by: null });
+  });
+
+  test('refuses a departure before the arrival and a participant not marked that day', async () => {
+    const early = await request(buildApp(makePool()))
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, departed_at: '2026-03-04T22:00:00.000Z' });
+    expect(early.status).toBe(400);
+    expect(early.body.message).toBe('invalid_attendance_times');
+
+    const unmarked = await request(buildApp(makePool({ attendance: [] })))
+      .put('/api/v1/attendance/times')
+      .send({ ...departure, arrived_at: '2026-03-04T23:00:00.000Z' });
+    expect(unmarked.status).toBe(404);
+    expect(unmarked.body.message).toBe('attendance_not_recorded');
+  });
+});
+
+describe('authorized pickups and the end-of-day report', () => {
+  test('lists the guardians and the leave-alone permission of the year\'s registration form', async () => {
+    const pool = makePool({ canLeaveAlone: 'true' });
+    const res = await request(buildApp(pool))
+      .get('/api/v1/attendance/authorized-pickups?participant_id=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.can_leave_alone).toBe(true);
+    expect(res.body.data.guardians.map((g) => g.id)).toEqual([31, 32]);
+
+    // Read as of the scout year, like the leave-alone report
+    const [sql, params] = pool.query.mock.calls.find(([text]) => text.includes('FROM form_submissions'));
+    expect(sql).toContain('sub_year.start_date <= $3::date');
+    expect(params).toEqual([1, [5], OPEN_ENDED_DATE, OPEN_ENDED_DATE]);
+  });
+
+  test('children not yet picked up come with the guardians to call', async () => {
+    const pending = [{ participant_id: 5, first_name: 'Léa', last_name: 'Roy', group_name: 'Bleus', status: 'present' }];
+    const res = await request(buildApp(makePool({ pending })))
+      .get('/api/v1/attendance/not-picked-up?date=2026-03-04');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ first_name: 'Léa', can_leave_alone: false });
+    expect(res.body.data[0].guardians[0].phone).toBe('514-555-0101');
+  });
+});
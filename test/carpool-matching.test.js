@@ -0,0 +1,252 @@
+/**
+ * Carpool auto-assign suite
+ *
+ * Proposed seating for an activity's carpools. What matters:
+ *
+ * - no car is given more riders than it has seats, per leg, and `both`
+ *   assignments respect the database trigger's count of every rider;
+ * - siblings ride together, in their own parent's car when they can;
+ * - with postal grouping, families go with a driver from their area;
+ * - an accepted proposal is saved whole or not at all, and rolled back once
+ *   when it is not.
+ *
+ * @module test/carpool-matching
+ */
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'carpool-matching-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: '00000000-0000-0000-0000-000000000001', role: 'admin' };
+    next();
+  },
+  requirePermission: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 1
+}));
+
+jest.mock('../utils/carpool-notifications', () => ({
+  sendRideCancellationNotifications: jest.fn(async () => {}),
+  sendAssignmentNotifications: jest.fn(async () => 0)
+}));
+
+const { postalArea, groupFamilies, proposeAssignments } = require('../services/carpoolMatching');
+
+const BOTH_WAYS = ['to_activity', 'from_activity'];
+
+function rider(id, { keys = [], users = [], area = null, needs = BOTH_WAYS } = {}) {
+  return { id, guardian_keys: keys, guardian_user_ids: users, postal_area: area, needs };
+}
+
+function offer(id, seats, { direction = 'both', userId = null, area = null, assignments = [] } = {}) {
+  return { id, user_id: userId, trip_direction: direction, total_seats_available: seats, postal_area: area, assignments };
+}
+
+/** Riders per offer and leg, the way the seat trigger counts them. */
+function seatsUsed(offers, assignments) {
+  const used = {};
+  for (const { id, assignments: existing } of offers) {
+    used[id] = { to_activity: new Set(), from_activity: new Set() };
+    for (const row of [...existing, ...assignments.filter((a) => a.carpool_offer_id === id)]) {
+      for (const leg of BOTH_WAYS) {
+        if (row.trip_direction === 'both' || row.trip_direction === leg) {
+          used[id][leg].add(row.participant_id);
+        }
+      }
+    }
+  }
+  return used;
+}
+
+describe('proposeAssignments', () => {
+  test('never gives a car more riders than seats', () => {
+    const offers = [
+      offer(1, 3),
+      offer(2, 2, { direction: 'to_activity' }),
+      offer(3, 1, { direction: 'from_activity', assignments: [{ participant_id: 90, trip_direction: 'from_activity' }] })
+    ];
+    const participants = [1, 2, 3, 4, 5, 6, 7].map((id) => rider(id));
+
+    const { assignments, unplaced } = proposeAssignments({ offers, participants });
+
+    const used = seatsUsed(offers, assignments);
+    for (const { id, total_seats_available: seats } of offers) {
+      expect(used[id].to_activity.size).toBeLessThanOrEqual(seats);
+      expect(used[id].from_activity.size).toBeLessThanOrEqual(seats);
+    }
+    expect(assignments.filter((a) => a.trip_direction !== 'from_activity')).toHaveLength(5);
+    expect(assignments.filter((a) => a.trip_direction !== 'to_activity')).toHaveLength(3);
+    expect(unplaced.filter((row) => row.trip_direction === 'to_activity')).toHaveLength(2);
+    expect(unplaced.filter((row) => row.trip_direction === 'from_activity')).toHaveLength(4);
+  });
+
+  test('siblings ride together, in their own parent\'s car first', () => {
+    const parent = 'aaaaaaaa-0000-0000-0000-000000000001';
+    const offers = [offer(1, 4), offer(2, 3, { userId: parent })];
+    const participants = [
+      rider(1, { keys: ['guardian:7'] }),
+      rider(2, { keys: ['guardian:7', `user:${parent}`], users: [parent] }),
+      rider(3),
+      rider(4, { keys: ['guardian:8'] }),
+      rider(5, { keys: ['guardian:8'] })
+    ];
+
+    const { assignments, split_families: split } = proposeAssignments({ offers, participants });
+
+    const carOf = (id) => assignments.find((a) => a.participant_id === id).carpool_offer_id;
+    expect(carOf(1)).toBe(2);
+    expect(carOf(2)).toBe(2);
+    expect(carOf(4)).toBe(carOf(5));
+    expect(assignments.every((a) => a.trip_direction === 'both')).toBe(true);
+    expect(split).toEqual([]);
+  });
+
+  test('splits a family only when no car has room, and says so', () => {
+    const offers = [offer(1, 2), offer(2, 2)];
+    const participants = [1, 2, 3].map((id) => rider(id, { keys: ['guardian:7'], needs: ['to_activity'] }));
+
+    const { assignments, split_families: split } = proposeAssignments({ offers, participants });
+
+    expect(assignments).toHaveLength(3);
+    expect(split).toEqual([[1, 2, 3]]);
+  });
+
+  test('groups families with a driver from their postal area when asked', () => {
+    const offers = [offer(1, 2, { area: 'H2X' }), offer(2, 2, { area: 'J4K' })];
+    const participants = [rider(1, { area: 'J4K' }), rider(2, { area: 'H2X' })];
+
+    const grouped = proposeAssignments({ offers, participants, groupByPostalCode: true });
+    const carOf = (id) => grouped.assignments.find((a) => a.participant_id === id).carpool_offer_id;
+    expect(carOf(1)).toBe(2);
+    expect(carOf(2)).toBe(1);
+  });
+
+  test('postal areas and families are read loosely', () => {
+    expect(postalArea(' h2x 1y4 ')).toBe('H2X');
+    expect(postalArea('')).toBeNull();
+    expect(groupFamilies([
+      rider(1, { keys: ['user:a'] }),
+      rider(2, { keys: ['user:a', 'guardian:9'] }),
+      rider(3, { keys: ['guardian:9'] }),
+      rider(4)
+    ]).map((family) => family.map((p) => p.id))).toEqual([[1, 2, 3], [4]]);
+  });
+});
+
+/** Fake pool: one two-seat car for activity 40 and two Roy siblings to seat. */
+function makePool({ insertError = null } = {}) {
+  const statements = [];
+  const query = jest.fn(async (sql, params) => {
+    statements.push(sql.trim().split(/\s+/)[0]);
+    if (sql.includes('FROM activities')) {
+      return { rows: params[0] === 40 ? [{ id: 40 }] : [] };
+    }
+    if (sql.includes('FROM carpool_offers co\n         JOIN users')) {
+      return { rows: [{ id: 1, user_id: 'u1', trip_direction: 'both', total_seats_available: 2, driver_name: 'Anne', vehicle_make: 'Civic', vehicle_color: 'Red' }] };
+    }
+    if (sql.includes('FROM participants p')) {
+      return {
+        rows: [
+          { id: 5, first_name: 'Léa', last_name: 'Roy', guardian_user_ids: [], guardian_ids: [7], postal_code: 'H2X 1Y4' },
+          { id: 6, first_name: 'Noah', last_name: 'Roy', guardian_user_ids: [], guardian_ids: [7], postal_code: null }
+        ]
+      };
+    }
+    if (sql.includes('SELECT id FROM carpool_offers')) {
+      return { rows: params[0].map((id) => ({ id })) };
+    }
+    if (sql.includes('FROM participant_organizations')) {
+      return { rows: params[0].map((id) => ({ participant_id: id })) };
+    }
+    if (sql.includes('INSERT INTO carpool_assignments')) {
+      if (insertError) throw new Error(insertError);
+      return { rows: [{ id: 100 + params[1], carpool_offer_id: params[0], participant_id: params[1], trip_direction: params[4] }] };
+    }
+    return { rows: [] };
+  });
+  return { query, connect: async () => ({ query, release: () => {} }), statements };
+}
+
+function buildApp(pool) {
+  let carpoolsRoute;
+  jest.isolateModules(() => {
+    carpoolsRoute = require('../routes/carpools');
+  });
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/carpools', carpoolsRoute(pool, { error: () => {} }));
+  return app;
+}
+
+describe('carpool auto-assign routes', () => {
+  test('previews seats for siblings together without saving anything', async () => {
+    const pool = makePool();
+
+    const res = await request(buildApp(pool)).post('/api/v1/carpools/activity/40/auto-assign/preview').send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.assignments).toEqual([
+      expect.objectContaining({ carpool_offer_id: 1, participant_id: 5, trip_direction: 'both', participant_name: 'Léa Roy', driver_name: 'Anne' }),
+      expect.objectContaining({ carpool_offer_id: 1, participant_id: 6, trip_direction: 'both' })
+    ]);
+    expect(pool.statements).not.toContain('INSERT');
+  });
+
+  test('refuses an unknown activity and bad options', async () => {
+    const app = buildApp(makePool());
+    expect((await request(app).post('/api/v1/carpools/activity/41/auto-assign/preview').send({})).status).toBe(404);
+    expect((await request(app).post('/api/v1/carpools/activity/40/auto-assign/preview')
+      .send({ trip_directions: ['sideways'] })).status).toBe(400);
+  });
+
+  test('saves an accepted proposal in one transaction', async () => {
+    const pool = makePool();
+    const res = await request(buildApp(pool)).post('/api/v1/carpools/activity/40/auto-assign').send({
+      assignments: [
+        { carpool_offer_id: 1, participant_id: 6, trip_direction: 'to_activity' },
+        { carpool_offer_id: 1, participant_id: 5, trip_direction: 'both' }
+      ]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.map((row) => row.participant_id)).toEqual([5, 6]);
+    expect(pool.statements[0]).toBe('BEGIN');
+    expect(pool.statements).toContain('COMMIT');
+  });
+
+  test('a full car rolls the whole proposal back', async () => {
+    const pool = makePool({ insertError: 'No available seats in this carpool offer (2 of 2 seats used)' });
+    const res = await request(buildApp(pool)).post('/api/v1/carpools/activity/40/auto-assign').send({
+      assignments: [{ carpool_offer_id: 1, participant_id: 5, trip_direction: 'both' }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/No available seats/);
+    expect(pool.statements).toContain('ROLLBACK');
+    expect(pool.statements).not.toContain('COMMIT');
+  });
+
+  test('an unexpected failure rolls back once and answers 500', async () => {
+    const pool = makePool({ insertError: 'connection reset' });
+    const res = await request(buildApp(pool)).post('/api/v1/carpools/activity/40/auto-assign').send({
+      assignments: [{ carpool_offer_id: 1, participant_id: 5, trip_direction: 'both' }]
+    });
+
+    expect(res.status).toBe(500);
+    expect(pool.statements.filter((statement) => statement === 'ROLLBACK')).toHaveLength(1);
+  });
+
+  test('refuses a malformed activity ID before it reaches the database', async () => {
+    const pool = makePool();
+    const app = buildApp(pool);
+
+    expect((await request(app).post('/api/v1/carpools/activity/abc/auto-assign/preview').send({})).status).toBe(400);
+    expect((await request(app).post('/api/v1/carpools/activity/abc/auto-assign').send({
+      assignments: [{ carpool_offer_id: 1, participant_id: 5, trip_direction: 'both' }]
+    })).status).toBe(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
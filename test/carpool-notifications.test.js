@@ -0,0 +1,310 @@
+/**
+ * Carpool notifications suite
+ *
+ * Who hears about which ride, in which language. What matters:
+ *
+ * - a child assigned to or moved between rides is announced to the family
+ *   and to the drivers concerned, but not to whoever made the change;
+ * - when a driver cancels, each family gets one message naming all of their
+ *   children who were on the ride;
+ * - the evening before an activity, each driver gets their passenger list
+ *   and is asked to confirm, each family the car their children ride in;
+ * - a reminder already claimed (restart, second server) is never resent;
+ * - a driver confirms their own offer only, and a move stays within the
+ *   activity.
+ *
+ * Driven through fake pools; the claim table is simulated so ON CONFLICT
+ * behaves like the unique key in migration 015.
+ *
+ * @module test/carpool-notifications
+ */
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'carpool-notifications-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+const sentEmails = [];
+
+jest.mock('../utils/index', () => {
+  const actual = jest.requireActual('../utils/index');
+  return {
+    ...actual,
+    sendEmail: jest.fn(async (to, subject, message, html) => {
+      // eslint-disable-next-line no-undef
+      global.__carpoolNotificationTestState.sentEmails.push({ to, subject, message, html });
+      return true;
+    }),
+    getUserEmailLanguage: jest.fn(async (_pool, email) => (email.startsWith('fr.') ? 'fr' : 'en'))
+  };
+});
+
+jest.mock('../services/manager', () => ({ getWhatsAppService: () => null }));
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: 'driver-2', role: 'parent' };
+    next();
+  },
+  requirePermission: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 1
+}));
+
+global.__carpoolNotificationTestState = { sentEmails };
+
+const CarpoolReminderService = require('../services/carpool-reminders');
+const {
+  buildCarpoolMessage,
+  sendAssignmentNotifications,
+  sendRideCancellationNotifications
+} = require('../utils/carpool-notifications');
+
+const logger = { info: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const ACTIVITY = {
+  id: 40,
+  organization_id: 1,
+  name: 'Camp d\'automne',
+  activity_start_date: '2026-10-24',
+  meeting_location_going: 'Église St-Pierre',
+  meeting_time_going: '08:30:00',
+  departure_time_going: '08:45:00',
+  meeting_location_return: null
+};
+
+const OFFERS = [
+  { id: 1, user_id: 'driver-1', trip_direction: 'both', vehicle_make: 'Civic', vehicle_color: 'Red', full_name: 'Anne Roy', email: 'anne@example.org', whatsapp_phone_number: null },
+  { id: 2, user_id: 'driver-2', trip_direction: 'to_activity', vehicle_make: 'Sienna', vehicle_color: 'Grey', full_name: 'Marc Côté', email: 'fr.marc@example.org', whatsapp_phone_number: null }
+];
+
+const GUARDIANS = [
+  { participant_id: 5, id: 'parent-1', email: 'fr.helene@example.org', full_name: 'Hélène Gagnon', whatsapp_phone_number: null },
+  { participant_id: 6, id: 'parent-1', email: 'fr.helene@example.org', full_name: 'Hélène Gagnon', whatsapp_phone_number: null }
+];
+
+/** Fake pool answering the reminder and notification queries. */
+function makePool({ assignments = [], claimed = new Set(), activities = [ACTIVITY] } = {}) {
+  const queries = [];
+  const query = jest.fn(async (sql, params) => {
+    queries.push({ sql, params });
+    if (sql.includes('FROM activities a\n')) {
+      return { rows: activities };
+    }
+    if (sql.includes('FROM carpool_offers co\n         JOIN users u')) {
+      return { rows: OFFERS };
+    }
+    if (sql.includes('FROM carpool_assignments ca')) {
+      return { rows: assignments };
+    }
+    if (sql.includes('FROM user_participants up')) {
+      return { rows: GUARDIANS.filter((row) => params[0].includes(row.participant_id)) };
+    }
+    if (sql.includes('INSERT INTO carpool_reminders')) {
+      const key = `${params[1]}:${params[2]}:${params[3]}`;
+      if (claimed.has(key)) return { rows: [] };
+      claimed.add(key);
+      return { rows: [{ id: claimed.size }] };
+    }
+    if (sql.includes('FROM organizations o')) {
+      return { rows: [{ name: '5e Groupe' }] };
+    }
+    return { rows: [] };
+  });
+  return { query, queries, claimed };
+}
+
+beforeEach(() => {
+  sentEmails.length = 0;
+  process.env.PUBLIC_BASE_URL = 'https://unit.wampums.app';
+});
+
+describe('buildCarpoolMessage', () => {
+  test('fills the template in the recipient language and escapes the HTML', () => {
+    const message = buildCarpoolMessage('assigned', 'fr', {
+      name: 'Hélène',
+      participant: 'Léa <b>',
+      driver: 'Anne',
+      vehicle: 'Red Civic',
+      direction: 'Aller',
+      activity: 'Camp',
+      date: '24 octobre 2026',
+      organization: '5e Groupe'
+    });
+
+    expect(message.subject).toBe('Covoiturage pour Léa <b> - Camp');
+    expect(message.text).toContain('Bonjour Hélène,');
+    expect(message.text).toContain('Anne (Red Civic, Aller)');
+    expect(message.html).toContain('Léa &lt;b&gt;');
+    expect(message.html).not.toContain('Léa <b>');
+  });
+});
+
+describe('CarpoolReminderService', () => {
+  const evening = new Date(2026, 9, 23, 19, 0);
+  const assignments = [
+    { carpool_offer_id: 1, participant_id: 5, trip_direction: 'both', participant_name: 'Léa Gagnon' },
+    { carpool_offer_id: 2, participant_id: 6, trip_direction: 'to_activity', participant_name: 'Noah Gagnon' }
+  ];
+
+  test('waits for the evening before the activity', async () => {
+    const pool = makePool({ assignments });
+    const service = new CarpoolReminderService(pool, logger);
+
+    await expect(service.sendDueReminders(new Date(2026, 9, 23, 10, 0))).resolves.toBe(0);
+    expect(pool.queries).toHaveLength(0);
+  });
+
+  test('drivers get their passengers and a confirm link, families their cars', async () => {
+    const pool = makePool({ assignments });
+    const service = new CarpoolReminderService(pool, logger);
+
+    await expect(service.sendDueReminders(evening)).resolves.toBe(3);
+    expect(pool.queries[0].params).toEqual(['2026-10-24']);
+
+    const anne = sentEmails.find((email) => email.to === 'anne@example.org');
+    expect(anne.subject).toBe('You are driving tomorrow - Camp d\'automne');
+    expect(anne.message).toContain('To Activity:\n- Léa Gagnon');
+    expect(anne.message).toContain('From Activity:\n- Léa Gagnon');
+    expect(anne.message).toContain('https://unit.wampums.app/carpool/40');
+    expect(anne.message).toContain('Église St-Pierre');
+
+    const helene = sentEmails.find((email) => email.to === 'fr.helene@example.org');
+    expect(helene.subject).toBe('Covoiturage demain - Camp d\'automne');
+    expect(helene.message).toContain('- Léa Gagnon : Anne Roy, Red Civic (Aller-retour)');
+    expect(helene.message).toContain('- Noah Gagnon : Marc Côté, Grey Sienna (Aller)');
+
+    const asked = pool.queries.filter(({ sql }) => sql.includes('SET confirmation_requested_at'));
+    expect(asked.map(({ params }) => params[1])).toEqual(['driver-1', 'driver-2']);
+  });
+
+  test('a reminder already claimed is not sent again', async () => {
+    const claimed = new Set(['40:driver-1:driver', '40:driver-2:driver', '40:parent-1:family']);
+    const pool = makePool({ assignments, claimed });
+    const service = new CarpoolReminderService(pool, logger);
+
+    await expect(service.sendDueReminders(evening)).resolves.toBe(0);
+    expect(sentEmails).toHaveLength(0);
+  });
+});
+
+describe('sendAssignmentNotifications', () => {
+  test('a move tells the family and both drivers, but not who made it', async () => {
+    const pool = makePool({
+      assignments: [{
+        id: 100,
+        participant_id: 5,
+        trip_direction: 'both',
+        participant_name: 'Léa Gagnon',
+        offer_id: 1,
+        driver_user_id: 'driver-1',
+        vehicle_make: 'Civic',
+        vehicle_color: 'Red',
+        driver_name: 'Anne Roy',
+        driver_email: 'anne@example.org',
+        driver_whatsapp: null,
+        activity_id: 40,
+        activity_name: 'Camp',
+        activity_start_date: '2026-10-24'
+      }]
+    });
+
+    const movedFrom = { user_id: 'driver-2', driver_name: 'Marc Côté', email: 'fr.marc@example.org', whatsapp_phone_number: null };
+    await expect(sendAssignmentNotifications(pool, 1, [100], { movedFrom })).resolves.toBe(3);
+    expect(sentEmails.map((email) => email.subject).sort()).toEqual([
+      'Covoiturage modifié pour Léa Gagnon - Camp',
+      'New passengers - Camp',
+      'Passager déplacé vers un autre trajet - Camp'
+    ]);
+
+    sentEmails.length = 0;
+    await sendAssignmentNotifications(pool, 1, [100], { movedFrom, actorUserId: 'parent-1' });
+    expect(sentEmails.map((email) => email.to)).not.toContain('fr.helene@example.org');
+  });
+});
+
+describe('sendRideCancellationNotifications', () => {
+  test('a family with two children on the cancelled ride gets one message naming both', async () => {
+    const pool = makePool();
+    const affected = (participantName, guardian) => ({
+      guardian_user_id: guardian.id,
+      guardian_email: guardian.email,
+      guardian_name: guardian.full_name,
+      guardian_whatsapp: null,
+      participant_name: participantName,
+      activity_id: 40,
+      activity_name: 'Camp',
+      activity_date: '2026-10-24'
+    });
+    const [helene] = GUARDIANS;
+    const anne = { id: 'parent-2', email: 'anne@example.org', full_name: 'Anne Roy' };
+
+    await sendRideCancellationNotifications(pool, 1, [
+      affected('Léa Gagnon', helene),
+      affected('Noah Gagnon', helene),
+      affected('Emma Roy', anne)
+    ]);
+
+    expect(sentEmails.map((email) => email.to).sort()).toEqual(['anne@example.org', 'fr.helene@example.org']);
+    const family = sentEmails.find((email) => email.to === 'fr.helene@example.org');
+    expect(family.message).toContain('Léa Gagnon, Noah Gagnon');
+  });
+});
+
+describe('carpool confirm and move routes', () => {
+  function buildApp(pool) {
+    let carpoolsRoute;
+    jest.isolateModules(() => {
+      carpoolsRoute = require('../routes/carpools');
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/carpools', carpoolsRoute(pool, logger));
+    return app;
+  }
+
+  test('a driver confirms only their own offer', async () => {
+    const query = jest.fn(async (sql, params) => ({
+      rows: sql.includes('UPDATE carpool_offers') && params[0] === '2' && params[2] === 'driver-2'
+        ? [{ id: 2, driver_confirmed_at: '2026-10-23T23:10:00.000Z' }]
+        : []
+    }));
+    const app = buildApp({ query });
+
+    const confirmed = await request(app).post('/api/v1/carpools/offers/2/confirm');
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data.driver_confirmed_at).toBeTruthy();
+
+    expect((await request(app).post('/api/v1/carpools/offers/1/confirm')).status).toBe(404);
+  });
+
+  test('a guardian moves their child to another ride of the same activity', async () => {
+    const updates = [];
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('FROM carpool_assignments ca\n       JOIN carpool_offers')) {
+        return { rows: [{ id: 100, carpool_offer_id: 1, participant_id: 5, activity_id: 40, driver_user_id: 'driver-1', driver_name: 'Anne Roy' }] };
+      }
+      if (sql.includes('FROM user_participants')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (sql.includes('SELECT id FROM carpool_offers')) {
+        return { rows: params[0] === 2 && params[2] === 40 ? [{ id: 2 }] : [] };
+      }
+      if (sql.includes('UPDATE carpool_assignments')) {
+        updates.push(params);
+        return { rows: [{ id: 100, carpool_offer_id: params[0] }] };
+      }
+      return { rows: [] };
+    });
+    const app = buildApp({ query });
+
+    const moved = await request(app).put('/api/v1/carpools/assignments/100').send({ carpool_offer_id: 2 });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.carpool_offer_id).toBe(2);
+    expect(updates).toHaveLength(1);
+
+    const elsewhere = await request(app).put('/api/v1/carpools/assignments/100').send({ carpool_offer_id: 9 });
+    expect(elsewhere.status).toBe(404);
+    expect(updates).toHaveLength(1);
+  });
+});
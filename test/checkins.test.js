@@ -0,0 +1,215 @@
+/**
+ * Check-in suite
+ *
+ * QR badge scans at camps and on the bus. What matters:
+ *
+ * - a badge only opens for its own participant and unit: a made-up or
+ *   altered code is refused;
+ * - a scan replayed from an offline outbox is stored once;
+ * - the roll call is each participant's latest scan at the checkpoint.
+ *
+ * @module test/checkins
+ */
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'checkins-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: '00000000-0000-0000-0000-000000000001' };
+    next();
+  },
+  requirePermission: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 1,
+  withScoutYear: () => (req, _res, next) => {
+    req.scoutYear = { id: 7, label: '2025-2026', start_date: '2025-09-01', end_date: '2026-08-31', status: 'active' };
+    req.rosterStatuses = ['active'];
+    next();
+  }
+}));
+
+const { badgeCode, verifyBadgeCode, parseOccurredAt } = require('../services/checkins');
+const checkinsRoute = require('../routes/checkins');
+
+const CLIENT_EVENT_ID = '6f1c2a8e-4b7d-4c1e-9a3f-2d5e8b9c0a11';
+
+const ROSTER = [
+  { participant_id: 5, first_name: 'Léa', last_name: 'Roy', group_id: 2, group_name: 'Bleus' },
+  { participant_id: 6, first_name: 'Noah', last_name: 'Côté', group_id: 2, group_name: 'Bleus' },
+  { participant_id: 8, first_name: 'Emma', last_name: 'Gagnon', group_id: 3, group_name: 'Rouges' }
+];
+
+/** Fake pool: the roster, activity 40 and the check-in rows to answer with. */
+function makePool({ inserted = [], existing = [], latest = [] } = {}) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM participants p')) {
+        const ids = params[4];
+        return { rows: ids ? ROSTER.filter((row) => ids.includes(row.participant_id)) : ROSTER };
+      }
+      if (sql.includes('FROM activities')) {
+        return { rows: params[0] === 40 ? [{ '?column?': 1 }] : [] };
+      }
+      if (sql.includes('INSERT INTO attendance_checkins')) {
+        return { rows: inserted };
+      }
+      if (sql.includes('DISTINCT ON (participant_id)')) {
+        return { rows: latest };
+      }
+      if (sql.includes('FROM attendance_checkins')) {
+        return { rows: existing };
+      }
+      return { rows: [] };
+    })
+  };
+}
+
+function buildApp(pool) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/checkins', checkinsRoute(pool));
+  return app;
+}
+
+describe('badge codes', () => {
+  test('a badge reads back as its participant', () => {
+    const code = badgeCode(1, 5);
+    expect(code).toMatch(/^WMP1-1-5-[0-9A-F]{12}$/);
+    expect(verifyBadgeCode(code, 1)).toBe(5);
+    expect(verifyBadgeCode(code.toLowerCase(), 1)).toBe(5);
+  });
+
+  test('a badge from another unit or with a changed participant is refused', () => {
+    const code = badgeCode(1, 5);
+    expect(verifyBadgeCode(code, 2)).toBeNull();
+    expect(verifyBadgeCode(code.replace('-1-5-', '-1-6-'), 1)).toBeNull();
+    expect(verifyBadgeCode('WMP1-1-5-000000000000', 1)).toBeNull();
+    expect(verifyBadgeCode('hello', 1)).toBeNull();
+  });
+
+  test('a scan dated in the future is refused, a late one is kept', () => {
+    const now = new Date('2026-07-10T12:00:00Z');
+    expect(parseOccurredAt('2026-07-10T13:00:00Z', now)).toBeNull();
+    expect(parseOccurredAt('2026-07-09T08:00:00Z', now)).toEqual(new Date('2026-07-09T08:00:00Z'));
+    expect(parseOccurredAt(undefined, now)).toBe(now);
+    expect(parseOccurredAt('not a date', now)).toBeNull();
+  });
+});
+
+describe('POST /api/v1/checkins', () => {
+  const scan = {
+    code: badgeCode(1, 5),
+    event_type: 'check_in',
+    checkpoint: 'bus',
+    activity_id: 40,
+    occurred_at: '2026-07-10T08:15:00.000Z',
+    client_event_id: CLIENT_EVENT_ID
+  };
+
+  test('records a scanned badge with the time it was scanned', async () => {
+    const event = { id: 1, participant_id: 5, event_type: 'check_in', checkpoint: 'bus' };
+    const pool = makePool({ inserted: [event] });
+
+    const res = await request(buildApp(pool)).post('/api/v1/checkins').send(scan);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 1, participant: { first_name: 'Léa' } });
+    const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO attendance_checkins'));
+    expect(insert[1]).toEqual([1, 5, 40, 'bus', 'check_in', new Date(scan.occurred_at),
+      '00000000-0000-0000-0000-000000000001', CLIENT_EVENT_ID]);
+  });
+
+  test('a scan replayed from the outbox is not stored twice', async () => {
+    const event = { id: 1, participant_id: 5, event_type: 'check_in', client_event_id: CLIENT_EVENT_ID };
+    const pool = makePool({ inserted: [], existing: [event] });
+
+    const res = await request(buildApp(pool)).post('/api/v1/checkins').send(scan);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe(1);
+  });
+
+  test('refuses a forged badge, an unknown activity and a bad scan', async () => {
+    const app = buildApp(makePool());
+
+    const forged = await request(app).post('/api/v1/checkins').send({ ...scan, code: 'WMP1-1-5-ABCDEF012345' });
+    expect(forged.status).toBe(400);
+    expect(forged.body.message).toBe('invalid_badge_code');
+
+    const activity = await request(app).post('/api/v1/checkins').send({ ...scan, activity_id: 41 });
+    expect(activity.status).toBe(404);
+    expect(activity.body.message).toBe('activity_not_found');
+
+    const eventType = await request(app).post('/api/v1/checkins').send({ ...scan, event_type: 'arrived' });
+    expect(eventType.status).toBe(400);
+    expect(eventType.body.message).toBe('invalid_checkin_event');
+
+    const clientId = await request(app).post('/api/v1/checkins').send({ ...scan, client_event_id: 'abc' });
+    expect(clientId.status).toBe(400);
+  });
+
+  test('a participant who is not on the roster cannot be checked in by hand', async () => {
+    const res = await request(buildApp(makePool())).post('/api/v1/checkins').send({
+      participant_id: 99,
+      event_type: 'check_out'
+    });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('participant_not_found');
+  });
+});
+
+describe('GET /api/v1/checkins/roll-call', () => {
+  test('counts each participant by their latest scan at the checkpoint', async () => {
+    const pool = makePool({
+      latest: [
+        { participant_id: 5, event_type: 'check_in', occurred_at: '2026-07-10T08:15:00.000Z' },
+        { participant_id: 6, event_type: 'check_out', occurred_at: '2026-07-10T16:02:00.000Z' }
+      ]
+    });
+
+    const res = await request(buildApp(pool)).get('/api/v1/checkins/roll-call?activity_id=40&checkpoint=bus');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.counts).toEqual({ in: 1, out: 1, not_seen: 1, total: 3 });
+    expect(res.body.data.participants.map((row) => [row.participant_id, row.status]))
+      .toEqual([[5, 'in'], [6, 'out'], [8, 'not_seen']]);
+
+    const rollCallQuery = pool.query.mock.calls.find(([sql]) => sql.includes('DISTINCT ON'));
+    expect(rollCallQuery[1]).toEqual([1, 'bus', 40]);
+  });
+
+  test('refuses an unknown checkpoint', async () => {
+    const res = await request(buildApp(makePool())).get('/api/v1/checkins/roll-call?checkpoint=boat');
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/v1/checkins/roster', () => {
+  test('gives each participant the code printed on their badge', async () => {
+    const res = await request(buildApp(makePool())).get('/api/v1/checkins/roster');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ participant_id: 5, code: badgeCode(1, 5) });
+  });
+});
+
+describe('GET /api/v1/checkins/badges', () => {
+  test('prints the badges as a PDF', async () => {
+    const res = await request(buildApp(makePool()))
+      .get('/api/v1/checkins/badges?lang=fr')
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
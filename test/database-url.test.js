@@ -22,17 +22,17 @@ describe('database connection URL compatibility', () => {
     expect(resolveDatabaseConnectionString({ DB_HOST: 'localhost' })).toBeUndefined();
   });
 
-  test('the pool and announcement listener share the compatibility resolver', () => {
+  test('the pool and job queue listener share the compatibility resolver', () => {
     const databaseSource = fs.readFileSync(
       path.join(__dirname, '..', 'config', 'database.js'),
       'utf8',
     );
-    const announcementSource = fs.readFileSync(
-      path.join(__dirname, '..', 'routes', 'announcements.js'),
+    const jobQueueSource = fs.readFileSync(
+      path.join(__dirname, '..', 'services', 'job-queue.js'),
       'utf8',
     );
 
     expect(databaseSource).toContain('resolveDatabaseConnectionString()');
-    expect(announcementSource).toContain('connectionString: resolveDatabaseConnectionString()');
+    expect(jobQueueSource).toContain('connectionString: resolveDatabaseConnectionString()');
   });
 });
@@ -6,6 +6,8 @@
  * - Outbox ordering via OutboxManager (real module)
  * - ID mapping and FK repair via IdMapper (real module)
  * - Conflict detection
+ * - Conflict resolution (keep mine / keep theirs / merge) via ConflictResolver
+ * - Conflicts found on pull, compared against the fetched server row
  * - Interruption/resume safety
  * - Integration scenario with 3-5 related entities
  *
@@ -104,6 +106,20 @@ jest.mock('../../spa/utils/DebugUtils.js', () => ({
   debugError: jest.fn(),
 }));
 
+jest.mock('../../spa/config.js', () => ({
+  CONFIG: {
+    API_BASE_URL: 'http://localhost:3000',
+    STORAGE_KEYS: { JWT_TOKEN: 'jwtToken', CURRENT_ORGANIZATION_ID: 'currentOrganizationId' },
+  },
+}));
+
+// The server, as SyncEngine reads it during pull and conflict review
+jest.mock('../../spa/api/api-core.js', () => ({
+  makeApiRequest: jest.fn(),
+  API: {},
+}));
+const { makeApiRequest } = require('../../spa/api/api-core.js');
+
 // ========================================================================
 // Import REAL production modules (babel-jest transforms ESM → CJS)
 // ========================================================================
@@ -128,6 +144,15 @@ const outboxManager = new OutboxManager();
 const { IdMapper } = require('../../spa/sync/IdMapper.js');
 const idMapper = new IdMapper();
 
+const {
+  ConflictResolver,
+  RESOLUTION,
+  conflictFields,
+} = require('../../spa/sync/ConflictResolver.js');
+const conflictResolver = new ConflictResolver();
+
+const { SyncEngine } = require('../../spa/sync/SyncEngine.js');
+
 // ========================================================================
 // Tests
 // ========================================================================
@@ -496,6 +521,172 @@ describe('Conflict detection via OutboxManager', () => {
   });
 });
 
+// --------------------------------------------------
+// 4b. Conflict resolution via ConflictResolver
+// --------------------------------------------------
+describe('Conflict resolution via ConflictResolver', () => {
+  const SERVER_ROW = {
+    id: 42, first_name: 'Server', last_name: 'Jones', organization_id: 1, row_version: 7,
+  };
+
+  /** A local edit to participant 42 that the server refused with its current row. */
+  async function refusedEdit(payload) {
+    await participantRepo.create(
+      { id: 42, first_name: 'Bob', last_name: 'Jones', organization_id: 1, row_version: 6 },
+      { isServerData: true }
+    );
+    await participantRepo.update(42, payload);
+    const [entry] = await outboxManager.getPendingOrdered();
+    await outboxManager.markConflict(entry.localId, SERVER_ROW);
+    const [conflict] = await conflictResolver.getUnresolved();
+    return conflict;
+  }
+
+  test('compares only the fields of the local edit', async () => {
+    const conflict = await refusedEdit({ first_name: 'Local', last_name: 'Jones' });
+
+    expect(conflictFields(conflict)).toEqual([
+      { field: 'first_name', mine: 'Local', theirs: 'Server', differs: true },
+      { field: 'last_name', mine: 'Jones', theirs: 'Jones', differs: false },
+    ]);
+  });
+
+  test('keep mine re-queues the local values against the server version', async () => {
+    const conflict = await refusedEdit({ first_name: 'Local' });
+
+    await conflictResolver.resolve(conflict.id, RESOLUTION.KEEP_MINE);
+
+    const outbox = await outboxManager.getAll();
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].status).toBe('pending');
+    expect(outbox[0].payload).toEqual({ first_name: 'Local', row_version: 7 });
+    expect((await participantRepo.getById(42)).first_name).toBe('Local');
+    expect(await conflictResolver.countUnresolved()).toBe(0);
+  });
+
+  test('keep theirs drops the local edit and stores the server row', async () => {
+    const conflict = await refusedEdit({ first_name: 'Local' });
+
+    await conflictResolver.resolve(conflict.id, RESOLUTION.KEEP_THEIRS);
+
+    expect(await outboxManager.getAll()).toHaveLength(0);
+    const stored = await participantRepo.getById(42);
+    expect(stored.first_name).toBe('Server');
+    expect(stored.row_version).toBe(7);
+    expect(stored._dirty).toBe(false);
+    const [resolved] = await db._conflicts.toArray();
+    expect(resolved.resolution).toBe('keep_theirs');
+    expect(resolved.resolvedAt).toBeGreaterThan(0);
+  });
+
+  test('merge sends the value picked for each field', async () => {
+    const conflict = await refusedEdit({ first_name: 'Local', last_name: 'Smith' });
+
+    await conflictResolver.resolve(conflict.id, RESOLUTION.MERGE, { last_name: 'theirs' });
+
+    const [entry] = await outboxManager.getPendingOrdered();
+    expect(entry.payload).toEqual({ first_name: 'Local', last_name: 'Jones', row_version: 7 });
+  });
+});
+
+// --------------------------------------------------
+// 4c. Conflicts found on pull
+// --------------------------------------------------
+describe('Conflicts found on pull', () => {
+  const BASE_ROW = {
+    id: 42, first_name: 'Bob', last_name: 'Jones', city: 'Laval',
+    organization_id: 1, row_version: 6, updated_at: '2026-10-01T10:00:00.000Z',
+  };
+  const SERVER_ROW = {
+    ...BASE_ROW, last_name: 'Smith', city: 'Québec', row_version: 7, updated_at: '2026-10-18T09:00:00.000Z',
+  };
+
+  /** Participant 42 edited offline, then pulled after someone changed it on the server. */
+  async function editThenPull() {
+    await participantRepo.create(BASE_ROW, { isServerData: true });
+    await participantRepo.update(42, { first_name: 'Local' });
+    await participantRepo.bulkUpsert([SERVER_ROW]);
+  }
+
+  beforeEach(() => {
+    makeApiRequest.mockReset();
+  });
+
+  test('the pull keeps the local edit and notes the server changed', async () => {
+    await editThenPull();
+
+    const local = await participantRepo.getById(42);
+    expect(local.first_name).toBe('Local');
+    expect(local.last_name).toBe('Jones');
+    expect(local._dirty).toBe(true);
+    expect(local._serverUpdatedAt).toBe(SERVER_ROW.updated_at);
+  });
+
+  test('records the fetched server row and holds the edit until it is resolved', async () => {
+    await editThenPull();
+    makeApiRequest.mockResolvedValue({ success: true, data: SERVER_ROW });
+
+    const { conflicts } = await new SyncEngine()._mergeAndResolveConflicts();
+
+    expect(conflicts).toBe(1);
+    expect(makeApiRequest).toHaveBeenCalledWith('v1/participants/42', expect.any(Object));
+    const [conflict] = await conflictResolver.getUnresolved();
+    expect(conflictFields(conflict)).toEqual([
+      { field: 'first_name', mine: 'Local', theirs: 'Bob', differs: true },
+    ]);
+    expect(await outboxManager.getPendingOrdered()).toHaveLength(0);
+
+    // A second sync does not record it again
+    expect((await new SyncEngine()._mergeAndResolveConflicts()).conflicts).toBe(0);
+  });
+
+  test('keep theirs stores the server values and drops the held edit', async () => {
+    await editThenPull();
+    makeApiRequest.mockResolvedValue({ success: true, data: SERVER_ROW });
+    await new SyncEngine()._mergeAndResolveConflicts();
+    const [conflict] = await conflictResolver.getUnresolved();
+
+    await conflictResolver.resolve(conflict.id, RESOLUTION.KEEP_THEIRS);
+
+    const stored = await participantRepo.getById(42);
+    expect(stored).toEqual(expect.objectContaining({
+      first_name: 'Bob', last_name: 'Smith', city: 'Québec', row_version: 7, _dirty: false,
+    }));
+    expect(await outboxManager.getAll()).toHaveLength(0);
+  });
+
+  test('keep mine re-sends only the local edit, on top of the server row', async () => {
+    await editThenPull();
+    makeApiRequest.mockResolvedValue({ success: true, data: SERVER_ROW });
+    await new SyncEngine()._mergeAndResolveConflicts();
+    const [conflict] = await conflictResolver.getUnresolved();
+
+    await conflictResolver.resolve(conflict.id, RESOLUTION.KEEP_MINE);
+
+    const [entry] = await outboxManager.getPendingOrdered();
+    expect(entry.payload).toEqual({ first_name: 'Local', row_version: 7 });
+    const stored = await participantRepo.getById(42);
+    expect(stored).toEqual(expect.objectContaining({ first_name: 'Local', last_name: 'Smith', city: 'Québec' }));
+  });
+
+  test('fetches the server row when the conflict is opened, and never resolves without it', async () => {
+    await editThenPull();
+    makeApiRequest.mockRejectedValue(new Error('Failed to fetch'));
+    await new SyncEngine()._mergeAndResolveConflicts();
+
+    const [offline] = await conflictResolver.getUnresolved();
+    expect(offline.serverVersion).toBeNull();
+    await expect(conflictResolver.resolve(offline.id, RESOLUTION.KEEP_THEIRS)).rejects.toThrow('not available');
+    expect((await participantRepo.getById(42)).first_name).toBe('Local');
+    expect(await db._outbox.where('status').equals('conflict').count()).toBe(1);
+
+    makeApiRequest.mockResolvedValue({ success: true, data: SERVER_ROW });
+    const [online] = await conflictResolver.getUnresolved();
+    expect(online.serverVersion.last_name).toBe('Smith');
+    expect((await db._conflicts.get(online.id)).serverVersion.row_version).toBe(7);
+  });
+});
+
 // --------------------------------------------------
 // 5. Interruption / Resume Safety
 // --------------------------------------------------
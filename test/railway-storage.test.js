@@ -3,11 +3,16 @@ const {
   MAX_FILE_SIZE,
   OUTPUT_MIME_TYPE,
   extractPathFromUrl,
+  generateEvidenceFilePath,
   generateFilePath,
+  generateFormAttachmentPath,
   getPhotoOrganizationId,
+  getSignedEvidenceUrl,
+  getSignedFormAttachmentUrl,
   getSignedPhotoUrl,
   getStorageConfig,
   getStorageImageOrigins,
+  isAllowedEvidenceType,
   isPhotoReferenceOwnedByOrganization,
   isStorageConfigured,
   validateFile,
@@ -172,4 +177,66 @@ describe("railway-storage utilities", () => {
     const heicFile = { size: 1024, mimetype: "image/heic" };
     expect(validateFile(heicFile).isValid).toBe(true);
   });
+
+  test("generateEvidenceFilePath keeps evidence in its own tenant folder", () => {
+    const filePath = generateEvidenceFilePath(3, 20, ".PDF");
+    expect(filePath).toMatch(/^org_3\/evidence\/participant_20_\d+_[a-z0-9]+\.pdf$/);
+    expect(getPhotoOrganizationId(filePath)).toBeNull();
+  });
+
+  test("generateFormAttachmentPath files attachments under the participant", () => {
+    const filePath = generateFormAttachmentPath(3, 20, ".PDF");
+    expect(filePath).toMatch(/^org_3\/forms\/participant_20_\d+_[a-z0-9]+\.pdf$/);
+    expect(getPhotoOrganizationId(filePath)).toBeNull();
+  });
+
+  test("isAllowedEvidenceType accepts photos and PDFs only", () => {
+    expect(isAllowedEvidenceType({ mimetype: "image/png" })).toBe(true);
+    expect(isAllowedEvidenceType({ mimetype: "application/pdf" })).toBe(true);
+    expect(
+      isAllowedEvidenceType({
+        mimetype: "application/octet-stream",
+        originalname: "camp-log.pdf",
+      }),
+    ).toBe(true);
+    expect(
+      isAllowedEvidenceType({
+        mimetype: "application/msword",
+        originalname: "camp-log.doc",
+      }),
+    ).toBe(false);
+  });
+
+  test("does not sign evidence outside the organization's evidence folder", async () => {
+    process.env.AWS_ENDPOINT_URL = "https://storage.example.com";
+    process.env.AWS_ACCESS_KEY_ID = "key";
+    process.env.AWS_SECRET_ACCESS_KEY = "secret";
+    process.env.AWS_S3_BUCKET_NAME = "bucket";
+    process.env.AWS_DEFAULT_REGION = "auto";
+
+    await expect(
+      getSignedEvidenceUrl("org_2/evidence/participant_20_1_abc.pdf", 1),
+    ).resolves.toBeNull();
+    await expect(
+      getSignedEvidenceUrl("org_1/equipment_9_123.webp", 1),
+    ).resolves.toBeNull();
+  });
+
+  test("does not sign a form attachment for another organization or participant", async () => {
+    process.env.AWS_ENDPOINT_URL = "https://storage.example.com";
+    process.env.AWS_ACCESS_KEY_ID = "key";
+    process.env.AWS_SECRET_ACCESS_KEY = "secret";
+    process.env.AWS_S3_BUCKET_NAME = "bucket";
+    process.env.AWS_DEFAULT_REGION = "auto";
+
+    await expect(
+      getSignedFormAttachmentUrl("org_2/forms/participant_20_1_abc.pdf", 1, 20),
+    ).resolves.toBeNull();
+    await expect(
+      getSignedFormAttachmentUrl("org_1/forms/participant_21_1_abc.pdf", 1, 20),
+    ).resolves.toBeNull();
+    await expect(
+      getSignedFormAttachmentUrl("org_1/evidence/participant_20_1_abc.pdf", 1, 20),
+    ).resolves.toBeNull();
+  });
 });
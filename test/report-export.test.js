@@ -0,0 +1,229 @@
+/**
+ * Report exports suite
+ *
+ * Every report can be downloaded as CSV, Excel or PDF. What matters is that
+ * the file says the same thing as the screen, in a shape a spreadsheet keeps:
+ *
+ * - Excel cells are typed, so counts sum and dates sort;
+ * - CSV opens cleanly in Excel (BOM, CRLF) and never runs a formula a parent
+ *   typed into a form;
+ * - headings follow the unit's vocabulary, so a Beaver colony reads "Lodge"
+ *   where a Cub pack reads "Den".
+ *
+ * The writers are exercised directly; the route tests pin the `format`
+ * parameter through a stubbed pool, and that a file needs `reports.export`.
+ *
+ * @module test/report-export
+ */
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'report-export-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+
+const mockPermissions = { granted: [] };
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticate: (req, _res, next) => {
+    req.user = { id: '00000000-0000-0000-0000-000000000001' };
+    next();
+  },
+  requirePermission: () => (req, _res, next) => {
+    req.userPermissions = mockPermissions.granted;
+    next();
+  },
+  authorize: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 1,
+  withScoutYear: () => (req, _res, next) => {
+    req.scoutYear = { id: 7, label: '2025-2026', start_date: '2025-09-01', end_date: '2026-08-31', status: 'active' };
+    req.rosterStatuses = ['active'];
+    next();
+  }
+}));
+
+const {
+  buildReportTable,
+  writeReportCsv,
+  writeReportXlsx,
+  writeReportPdf
+} = require('../utils/report-export');
+const { resolveUnitVocabulary } = require('../utils/unitCustomization');
+const reportsRoute = require('../routes/reports');
+
+const DEFINITION = {
+  title: 'honors_report_title',
+  filename: 'test_report',
+  columns: [
+    { key: 'first_name', label: 'first_name' },
+    { key: 'group_name', label: 'group', term: 'subgroup_singular' },
+    { key: 'total_points', label: 'total_points', type: 'number' },
+    { key: 'epipen', label: 'epipen', type: 'boolean' },
+    { key: 'date_naissance', label: 'date_naissance', type: 'date' },
+    { key: 'allergies', label: 'allergies', type: 'list' }
+  ]
+};
+
+const ROWS = [
+  {
+    first_name: '=HYPERLINK("http://x")',
+    group_name: 'Rouges',
+    total_points: '42',
+    epipen: true,
+    date_naissance: '2016-03-09',
+    allergies: ['Arachides', 'Lait']
+  },
+  { first_name: 'Noah', group_name: null, total_points: 0, epipen: false, date_naissance: null, allergies: [] }
+];
+
+function contextFor(language, organization = {}) {
+  return {
+    language,
+    vocabulary: resolveUnitVocabulary(organization, language),
+    organizationName: '5e Groupe',
+    periodLabel: '2025-2026'
+  };
+}
+
+/** Collect a binary response body so the file can be inspected. */
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('resolveUnitVocabulary', () => {
+  test('uses the program section when no vocabulary is saved', () => {
+    expect(resolveUnitVocabulary({ program_section: 'beavers' }, 'en').subgroup_singular).toBe('Lodge');
+  });
+
+  test('saved overrides win over the profile defaults', () => {
+    const vocabulary = resolveUnitVocabulary({
+      program_section: 'beavers',
+      unit_vocabulary: { profile: 'cubs', locales: { fr: { subgroup_singular: 'Équipe' } } }
+    }, 'fr');
+
+    expect(vocabulary.subgroup_singular).toBe('Équipe');
+    expect(vocabulary.youth_plural).toBe('Louveteaux');
+  });
+});
+
+describe('buildReportTable', () => {
+  test('headings follow the unit vocabulary and values are typed', () => {
+    const table = buildReportTable(DEFINITION, ROWS, contextFor('en', { program_section: 'beavers' }));
+
+    expect(table.columns.map((column) => column.heading)).toContain('Lodge');
+    expect(table.rows[0]).toEqual(['=HYPERLINK("http://x")', 'Rouges', 42, true, '2016-03-09', ['Arachides', 'Lait']]);
+    expect(table.rows[1]).toEqual(['Noah', null, 0, false, null, null]);
+  });
+});
+
+describe('writers', () => {
+  const context = contextFor('fr');
+  const table = buildReportTable(DEFINITION, ROWS, context);
+
+  test('CSV opens in Excel and neutralizes formulas', () => {
+    const lines = writeReportCsv(table, context).toString('utf8').split('\r\n');
+
+    expect(lines[0].startsWith('\uFEFF')).toBe(true);
+    expect(lines[1]).toContain('"\'=HYPERLINK(""http://x"")"');
+    expect(lines[1]).toContain(',42,oui,2016-03-09,Arachides; Lait');
+    expect(lines[2]).toContain(',0,non,,');
+  });
+
+  test('Excel cells keep their types', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await writeReportXlsx(table, context));
+    const row = workbook.worksheets[0].getRow(2);
+
+    expect(row.getCell(3).value).toBe(42);
+    expect(row.getCell(4).value).toBe(true);
+    expect(row.getCell(5).value).toEqual(new Date('2016-03-09T00:00:00Z'));
+    expect(row.getCell(6).value).toBe('Arachides; Lait');
+  });
+
+  test('PDF renders with and without rows', async () => {
+    const filled = await writeReportPdf(table, context);
+    const empty = await writeReportPdf({ ...table, rows: [] }, context);
+
+    expect(filled.subarray(0, 4).toString()).toBe('%PDF');
+    expect(empty.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
+
+describe('GET /api/v1/reports/vaccines?format=', () => {
+  const pool = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM organizations o')) {
+        return { rows: [{ name: '5e Groupe', program_section: 'beavers', unit_vocabulary: null }] };
+      }
+      return {
+        rows: [{ id: 1, first_name: 'Léa', last_name: 'Roy', group_name: 'Rouges', vaccines_up_to_date: 'oui' }]
+      };
+    })
+  };
+  const logger = { info: () => {}, warn: () => {}, error: () => {} };
+  let app;
+
+  beforeEach(() => {
+    mockPermissions.granted = ['reports.view', 'reports.export'];
+    app = express();
+    app.use('/api/v1/reports', reportsRoute(pool, logger));
+  });
+
+  test('returns JSON without a format', async () => {
+    const res = await request(app).get('/api/v1/reports/vaccines');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  test('downloads a CSV with Lodge headings', async () => {
+    const res = await request(app).get('/api/v1/reports/vaccines?format=csv&lang=en');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="vaccine_report_\d{4}-\d{2}-\d{2}\.csv"/);
+    expect(res.text.split('\r\n')[0]).toContain('Lodge');
+    expect(res.text).toContain('Léa,Roy,Rouges,Yes');
+  });
+
+  test('downloads a spreadsheet', async () => {
+    const res = await request(app)
+      .get('/api/v1/reports/vaccines?format=xlsx')
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test('rejects an unknown format', async () => {
+    const res = await request(app).get('/api/v1/reports/vaccines?format=docx');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('invalid_export_format');
+  });
+
+  test('refuses a file to a user who may view but not export reports', async () => {
+    mockPermissions.granted = ['reports.view'];
+    pool.query.mockClear();
+
+    const res = await request(app).get('/api/v1/reports/vaccines?format=csv');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('report_export_forbidden');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('still shows the report on screen without the export permission', async () => {
+    mockPermissions.granted = ['reports.view'];
+
+    const res = await request(app).get('/api/v1/reports/vaccines');
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,494 @@
+/**
+ * Audit Log Test Suite
+ *
+ * Covers the organization audit trail:
+ * - audited handlers write who changed what, keeping only changed fields
+ * - an update that changes nothing is not recorded
+ * - the viewer requires audit.view and filters by user, entity and dates
+ * - role changes keep the reason given, bundles grant their roles, and the
+ *   role history reads as role names
+ *
+ * @module test/routes-audit-log
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { closeServerResources } = require('./test-helpers');
+
+jest.mock('pg', () => {
+  const mClient = {
+    query: jest.fn(),
+    release: jest.fn()
+  };
+  const mPool = {
+    connect: jest.fn(() => Promise.resolve(mClient)),
+    query: jest.fn(),
+    on: jest.fn()
+  };
+  return {
+    Pool: jest.fn(() => mPool),
+    __esModule: true,
+    __mClient: mClient,
+    __mPool: mPool
+  };
+});
+
+const { setupDefaultMocks, mockQueryImplementation } = require('./mock-helpers');
+let app;
+
+const TEST_SECRET = 'testsecret';
+const ORG_ID = 1;
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const TARGET_USER_ID = '00000000-0000-4000-8000-000000000002';
+const SESSION_ID = '22222222-2222-4222-8222-222222222222';
+
+function generateToken() {
+  return jwt.sign({
+    user_id: USER_ID,
+    user_role: 'unitadmin',
+    organizationId: ORG_ID,
+    roleIds: [3],
+    roleNames: ['unitadmin'],
+    permissions: [],
+    sid: SESSION_ID
+  }, TEST_SECRET);
+}
+
+/**
+ * Answer authentication and the permission lookup.
+ *
+ * @param {Array<string>} permissions - Keys the caller holds
+ * @param {Function} [handler] - Route-specific answers
+ * @returns {Function} Query handler
+ */
+function withPermissions(permissions, handler = () => undefined) {
+  return (query, params) => {
+    if (query.includes('FROM user_sessions')) {
+      return { rows: [{ '?column?': 1 }] };
+    }
+    if (query.includes('permission_key')) {
+      return { rows: permissions.map(permission_key => ({ permission_key })) };
+    }
+    return handler(query, params);
+  };
+}
+
+function auditInserts(mock) {
+  return mock.query.mock.calls.filter(([query]) => typeof query === 'string' && query.includes('INSERT INTO audit_log'));
+}
+
+beforeAll(() => {
+  process.env.JWT_SECRET_KEY = TEST_SECRET;
+  process.env.ORGANIZATION_ID = ORG_ID.toString();
+  process.env.DB_USER = 'test';
+  process.env.DB_HOST = 'localhost';
+  process.env.DB_NAME = 'testdb';
+  process.env.DB_PASSWORD = 'test';
+  process.env.DB_PORT = '5432';
+
+  app = require('../api');
+});
+
+beforeEach(() => {
+  const { __mClient, __mPool } = require('pg');
+  setupDefaultMocks(__mClient, __mPool);
+  __mClient.query.mockClear();
+  __mClient.release.mockClear();
+  __mPool.connect.mockClear();
+  __mPool.query.mockClear();
+});
+
+afterAll((done) => {
+  closeServerResources(app, done);
+});
+
+describe('Audited handlers', () => {
+  const before = { id: 7, first_name: 'Alex', last_name: 'Martin', date_of_birth: '2014-03-02', updated_at: '2026-01-01T00:00:00.000Z' };
+
+  test('participant update records only the changed fields inside the transaction', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['participants.edit'], (query) => {
+      if (query.includes('SELECT p.* FROM participants p')) {
+        return { rows: [before] };
+      }
+      if (query.includes('UPDATE participants')) {
+        return { rows: [{ ...before, last_name: 'Martin-Roy', updated_at: '2026-10-19T12:00:00.000Z' }] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .put('/api/v1/participants/7')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .set('User-Agent', 'audit-test')
+      .send({ last_name: 'Martin-Roy' });
+
+    expect(res.status).toBe(200);
+    const inserts = auditInserts(__mClient);
+    expect(inserts).toHaveLength(1);
+    const params = inserts[0][1];
+    expect(params.slice(0, 5)).toEqual([ORG_ID, USER_ID, 'update', 'participant', '7']);
+    expect(JSON.parse(params[5])).toEqual({ last_name: 'Martin' });
+    expect(JSON.parse(params[6])).toEqual({ last_name: 'Martin-Roy' });
+    expect(params[8]).toBe('audit-test');
+
+    const statements = __mClient.query.mock.calls.map(([query]) => query);
+    expect(statements.indexOf('COMMIT')).toBeGreaterThan(statements.findIndex(q => typeof q === 'string' && q.includes('INSERT INTO audit_log')));
+  });
+
+  test('participant update that changes nothing is not recorded', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['participants.edit'], (query) => {
+      if (query.includes('SELECT p.* FROM participants p')) {
+        return { rows: [before] };
+      }
+      if (query.includes('UPDATE participants')) {
+        return { rows: [before] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .put('/api/v1/participants/7')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ last_name: 'Martin' });
+
+    expect(res.status).toBe(200);
+    expect(auditInserts(__mClient)).toHaveLength(0);
+  });
+
+  test('participant update answers 404 for a participant outside the organization', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['participants.edit'], (query) => {
+      if (query.includes('SELECT p.* FROM participants p')) {
+        return { rows: [] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .put('/api/v1/participants/7')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ last_name: 'Martin-Roy' });
+
+    expect(res.status).toBe(404);
+    const statements = __mClient.query.mock.calls.map(([query]) => query);
+    const lookup = __mClient.query.mock.calls.find(([query]) => typeof query === 'string' && query.includes('SELECT p.* FROM participants p'));
+    expect(lookup[1]).toEqual(['7', ORG_ID]);
+    expect(statements.some(q => typeof q === 'string' && q.includes('UPDATE participants'))).toBe(false);
+    expect(auditInserts(__mClient)).toHaveLength(0);
+  });
+
+  test('participant removal records the closed enrollment as it was', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const enrollment = { participant_id: 7, organization_id: ORG_ID, scout_year_id: 4, status: 'active', started_on: '2026-09-01', ended_on: null, exit_reason: null };
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['participants.delete'], (query) => {
+      if (query.includes('FROM scout_years')) {
+        return { rows: [{ id: 4, organization_id: ORG_ID, status: 'active' }] };
+      }
+      if (query.includes('SELECT * FROM participant_enrollments')) {
+        return { rows: [enrollment] };
+      }
+      if (query.includes('UPDATE participant_enrollments')) {
+        return { rows: [{ participant_id: 7, organization_id: ORG_ID, scout_year_id: 4, status: 'left', ended_on: '2026-10-19' }] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .delete('/api/v1/participants/7')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ exit_reason: 'moved' });
+
+    expect(res.status).toBe(200);
+    const inserts = auditInserts(__mClient);
+    expect(inserts).toHaveLength(1);
+    const params = inserts[0][1];
+    expect(params.slice(2, 5)).toEqual(['delete', 'participant', '7']);
+    expect(JSON.parse(params[5])).toEqual(enrollment);
+    expect(params[6]).toBeNull();
+  });
+
+  test('participant removal answers 404 without an active enrollment', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['participants.delete'], (query) => {
+      if (query.includes('FROM scout_years')) {
+        return { rows: [{ id: 4, organization_id: ORG_ID, status: 'active' }] };
+      }
+      if (query.includes('SELECT * FROM participant_enrollments')) {
+        return { rows: [] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .delete('/api/v1/participants/7')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(404);
+    expect(auditInserts(__mClient)).toHaveLength(0);
+  });
+
+  test('role assignment records previous and new role ids', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['users.assign_roles'], (query) => {
+      if (query.includes('FROM roles WHERE id = ANY')) {
+        return { rows: [{ id: 2, role_name: 'leader' }, { id: 4, role_name: 'finance' }] };
+      }
+      if (query.includes('SELECT id, role_ids FROM user_organizations')) {
+        return { rows: [{ id: 11, role_ids: [2] }] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .put(`/api/v1/users/${TARGET_USER_ID}/roles`)
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ roleIds: [2, 4] });
+
+    expect(res.status).toBe(200);
+    const inserts = auditInserts(__mPool);
+    expect(inserts).toHaveLength(1);
+    const params = inserts[0][1];
+    expect(params.slice(2, 5)).toEqual(['update', 'user_roles', TARGET_USER_ID]);
+    expect(JSON.parse(params[5])).toEqual({ role_ids: [2] });
+    expect(JSON.parse(params[6])).toEqual({ role_ids: [2, 4] });
+  });
+});
+
+describe('Role bundles', () => {
+  test('assigning bundles grants their roles with the extra roles, and keeps the note', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['users.assign_roles'], (query) => {
+      if (query.includes('FROM role_bundles')) {
+        return { rows: [{ id: 5, role_ids: [2, 4] }] };
+      }
+      if (query.includes('FROM roles WHERE id = ANY')) {
+        return { rows: [{ id: 2, role_name: 'leader' }, { id: 4, role_name: 'finance' }, { id: 6, role_name: 'parent' }] };
+      }
+      if (query.includes('SELECT id, role_ids FROM user_organizations')) {
+        return { rows: [{ id: 11, role_ids: [6] }] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .put(`/api/v1/users/${TARGET_USER_ID}/role-bundles`)
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ bundleIds: [5], roleIds: [6, 2], audit_note: '  New treasurer  ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ role_ids: [2, 4, 6] });
+    const params = auditInserts(__mPool)[0][1];
+    expect(JSON.parse(params[6])).toEqual({ role_ids: [2, 4, 6] });
+    expect(params[9]).toBe('New treasurer');
+  });
+
+  test('refuses a bundle from another organization and an empty selection', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['users.assign_roles'], (query) => {
+      if (query.includes('FROM role_bundles')) {
+        return { rows: [] };
+      }
+      return undefined;
+    }));
+
+    const unknown = await request(app)
+      .put(`/api/v1/users/${TARGET_USER_ID}/role-bundles`)
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ bundleIds: [99] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe('One or more invalid bundle IDs');
+
+    const empty = await request(app)
+      .put(`/api/v1/users/${TARGET_USER_ID}/role-bundles`)
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ bundleIds: [], roleIds: [] });
+    expect(empty.status).toBe(400);
+    expect(auditInserts(__mPool)).toHaveLength(0);
+  });
+
+  test('creating a bundle validates it and answers 409 on a duplicate name', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['roles.manage'], (query) => {
+      if (query.includes('FROM roles WHERE id = ANY')) {
+        return { rows: [{ id: 2, role_name: 'leader' }] };
+      }
+      if (query.includes('INSERT INTO role_bundles')) {
+        return { rows: [] };
+      }
+      return undefined;
+    }));
+
+    const invalid = await request(app)
+      .post('/api/v1/roles/bundles')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ name: ' ', role_ids: [] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(e => e.field)).toEqual(expect.arrayContaining(['name', 'role_ids']));
+
+    const duplicate = await request(app)
+      .post('/api/v1/roles/bundles')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ name: 'Trésorier', role_ids: [2] });
+    expect(duplicate.status).toBe(409);
+    expect(auditInserts(__mPool)).toHaveLength(0);
+  });
+
+  test('editing or removing a bundle refuses a malformed id and answers 404 for another organization\'s', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['roles.manage'], (query) => {
+      if (query.includes('FROM roles WHERE id = ANY')) {
+        return { rows: [{ id: 2, role_name: 'leader' }] };
+      }
+      if (query.includes('role_bundles')) {
+        return { rows: [] };
+      }
+      return undefined;
+    }));
+
+    for (const bundleId of ['abc', '0', '1.5', '99999999999']) {
+      const malformed = await request(app)
+        .put(`/api/v1/roles/bundles/${bundleId}`)
+        .set('Authorization', `Bearer ${generateToken()}`)
+        .send({ name: 'Trésorier', role_ids: [2] });
+      expect(malformed.status).toBe(400);
+    }
+    const malformedDelete = await request(app)
+      .delete('/api/v1/roles/bundles/abc')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(malformedDelete.status).toBe(400);
+    expect(__mPool.query.mock.calls.some(([query]) => String(query).includes('role_bundles'))).toBe(false);
+
+    const missing = await request(app)
+      .put('/api/v1/roles/bundles/12')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ name: 'Trésorier', role_ids: [2] });
+    expect(missing.status).toBe(404);
+    const missingDelete = await request(app)
+      .delete('/api/v1/roles/bundles/12')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(missingDelete.status).toBe(404);
+    expect(auditInserts(__mPool)).toHaveLength(0);
+  });
+});
+
+describe('GET /api/v1/audit/roles', () => {
+  test('reads role changes as role names with the note', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['audit.view'], (query) => {
+      if (query.includes("a.entity_type = 'user_roles'")) {
+        return {
+          rows: [{
+            id: 3,
+            created_at: '2026-10-18T15:00:00.000Z',
+            actor_id: USER_ID,
+            actor_name: 'Unit Admin',
+            before_data: { role_ids: [6] },
+            after_data: { role_ids: [2, 9] },
+            note: 'New treasurer'
+          }]
+        };
+      }
+      if (query.includes('SELECT id, role_name, display_name FROM roles')) {
+        return { rows: [{ id: 2, role_name: 'leader', display_name: 'Leader' }, { id: 6, role_name: 'parent', display_name: 'Parent' }] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .get('/api/v1/audit/roles')
+      .query({ user_id: TARGET_USER_ID, limit: 500 })
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({
+      actor_name: 'Unit Admin',
+      note: 'New treasurer',
+      summary: 'Parent → Leader, 9'
+    });
+    const [, params] = __mPool.query.mock.calls.find(([sql]) => typeof sql === 'string' && sql.includes("a.entity_type = 'user_roles'"));
+    expect(params).toEqual([ORG_ID, TARGET_USER_ID, 100]);
+  });
+
+  test('requires the user', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['audit.view']));
+
+    const res = await request(app)
+      .get('/api/v1/audit/roles')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/v1/audit', () => {
+  test('requires audit.view', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['participants.view']));
+
+    const res = await request(app)
+      .get('/api/v1/audit')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('filters by user, entity and inclusive dates', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const entry = {
+      id: 1,
+      created_at: '2026-10-18T15:00:00.000Z',
+      user_id: USER_ID,
+      user_name: 'Unit Admin',
+      action: 'update',
+      entity_type: 'payment',
+      entity_id: '42',
+      before_data: { amount: '20.00' },
+      after_data: { amount: '25.00' }
+    };
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['audit.view'], (query) => {
+      if (query.includes('COUNT(*) AS total FROM audit_log')) {
+        return { rows: [{ total: '1' }] };
+      }
+      if (query.includes('FROM audit_log a')) {
+        return { rows: [entry] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .get('/api/v1/audit')
+      .query({ user_id: USER_ID, entity_type: 'payment', entity_id: '42', from: '2026-10-01', to: '2026-10-18', limit: 10 })
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([entry]);
+    expect(res.body.pagination).toMatchObject({ page: 1, limit: 10, total: 1 });
+
+    const [query, params] = __mPool.query.mock.calls.find(([sql]) => typeof sql === 'string' && sql.includes('LEFT JOIN users u ON u.id = a.user_id'));
+    expect(query).toContain("a.created_at < $6::date + INTERVAL '1 day'");
+    expect(params).toEqual([ORG_ID, USER_ID, 'payment', '42', '2026-10-01', '2026-10-18', 10, 0]);
+  });
+
+  test('rejects unknown entity types and malformed dates', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['audit.view']));
+
+    const badEntity = await request(app)
+      .get('/api/v1/audit')
+      .query({ entity_type: 'users' })
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(badEntity.status).toBe(400);
+    expect(badEntity.body.message).toBe('invalid_entity_type');
+
+    const badDate = await request(app)
+      .get('/api/v1/audit')
+      .query({ from: '18/10/2026' })
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.message).toBe('invalid_date_range');
+  });
+});
@@ -12,6 +12,7 @@
  * @module test/routes-auth-login
  */
 
+const crypto = require('crypto');
 const request = require('supertest');
 const bcrypt = require('bcryptjs');
 const { closeServerResources } = require('./test-helpers');
@@ -111,6 +112,9 @@ describe('POST /public/login', () => {
           rows: [{ permission_key: 'users.manage' }]
         });
       }
+      if (query.includes('INSERT INTO user_sessions')) {
+        return Promise.resolve({ rows: [{ id: '11111111-1111-4111-8111-111111111111' }] });
+      }
       if (query.includes('parents_guardians')) {
         return Promise.resolve({ rows: [] });
       }
@@ -127,6 +131,7 @@ describe('POST /public/login', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
     expect(res.body.token).toBeDefined();
+    expect(res.body.refresh_token).toEqual(expect.any(String));
     expect(res.body.user_id).toBe(1);
     expect(res.body.user_full_name).toBe('Test User');
   });
@@ -240,6 +245,9 @@ describe('POST /public/login', () => {
           rows: [{ permission_key: 'users.view' }]
         });
       }
+      if (query.includes('INSERT INTO user_sessions')) {
+        return Promise.resolve({ rows: [{ id: '11111111-1111-4111-8111-111111111111' }] });
+      }
       if (query.includes('parents_guardians')) {
         return Promise.resolve({ rows: [] });
       }
@@ -364,6 +372,20 @@ describe('POST /public/login', () => {
 // ============================================
 
 describe('POST /public/verify-2fa', () => {
+  const twoFactorToken = 'pending-login-token';
+
+  // Login step the code is entered for
+  const loginChallenge = {
+    id: '55555555-5555-4555-8555-555555555555',
+    user_id: 1,
+    organization_id: ORG_ID,
+    purpose: 'login',
+    token_hash: crypto.createHash('sha256').update(twoFactorToken).digest('hex'),
+    attempts: 0,
+    expires_at: new Date(Date.now() + 5 * 60 * 1000),
+    consumed_at: null
+  };
+
   test('returns JWT token when 2FA code is correct', async () => {
     const { __mClient, __mPool } = require('pg');
     const validCode = '123456';
@@ -379,6 +401,9 @@ describe('POST /public/verify-2fa', () => {
           }]
         });
       }
+      if (query.includes('FROM two_factor_challenges')) {
+        return Promise.resolve({ rows: [loginChallenge] });
+      }
       if (query.includes('FROM two_factor_codes')) {
         return Promise.resolve({
           rows: [{
@@ -404,6 +429,9 @@ describe('POST /public/verify-2fa', () => {
       if (query.includes('UPDATE two_factor_codes')) {
         return Promise.resolve({ rows: [{}] });
       }
+      if (query.includes('INSERT INTO user_sessions')) {
+        return Promise.resolve({ rows: [{ id: '11111111-1111-4111-8111-111111111111' }] });
+      }
       return Promise.resolve({ rows: [] });
     });
 
@@ -411,7 +439,8 @@ describe('POST /public/verify-2fa', () => {
       .post('/public/verify-2fa')
       .send({
         email: testEmail,
-        code: validCode
+        code: validCode,
+        two_factor_token: twoFactorToken
       });
 
     expect(res.status).toBe(200);
@@ -433,6 +462,9 @@ describe('POST /public/verify-2fa', () => {
           }]
         });
       }
+      if (query.includes('FROM two_factor_challenges')) {
+        return Promise.resolve({ rows: [loginChallenge] });
+      }
       if (query.includes('FROM two_factor_codes')) {
         return Promise.resolve({ rows: [] });
       }
@@ -443,11 +475,13 @@ describe('POST /public/verify-2fa', () => {
       .post('/public/verify-2fa')
       .send({
         email: testEmail,
-        code: '999999' // Wrong code
+        code: '999999', // Wrong code
+        two_factor_token: twoFactorToken
       });
 
     expect(res.status).toBe(401);
     expect(res.body.success).toBe(false);
+    expect(res.body.message).toBe('invalid_or_expired_2fa_code');
   });
 
   test('rejects already-used 2FA code', async () => {
@@ -464,6 +498,9 @@ describe('POST /public/verify-2fa', () => {
           }]
         });
       }
+      if (query.includes('FROM two_factor_challenges')) {
+        return Promise.resolve({ rows: [loginChallenge] });
+      }
       if (query.includes('FROM two_factor_codes')) {
         return Promise.resolve({ rows: [] });
       }
@@ -474,7 +511,8 @@ describe('POST /public/verify-2fa', () => {
       .post('/public/verify-2fa')
       .send({
         email: testEmail,
-        code: '123456'
+        code: '123456',
+        two_factor_token: twoFactorToken
       });
 
     expect(res.status).toBe(401);
@@ -0,0 +1,431 @@
+/**
+ * Auth Sessions Test Suite
+ *
+ * Covers server-side sessions behind short-lived access tokens:
+ * - refresh tokens rotate on every use and re-read access claims
+ * - a rotated-out token presented again revokes the whole session, unless a
+ *   concurrent refresh explains it (grace window)
+ * - access tokens naming a revoked session are refused by authenticate
+ * - logout, the sessions page and trusted-device removal revoke sessions
+ *
+ * @module test/routes-auth-sessions
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { closeServerResources } = require('./test-helpers');
+const { hashRefreshToken } = require('../services/authSessions');
+
+jest.mock('pg', () => {
+  const mClient = {
+    query: jest.fn(),
+    release: jest.fn()
+  };
+  const mPool = {
+    connect: jest.fn(() => Promise.resolve(mClient)),
+    query: jest.fn(),
+    on: jest.fn()
+  };
+  return {
+    Pool: jest.fn(() => mPool),
+    __esModule: true,
+    __mClient: mClient,
+    __mPool: mPool
+  };
+});
+
+const { setupDefaultMocks, mockQueryImplementation } = require('./mock-helpers');
+let app;
+
+const TEST_SECRET = 'testsecret';
+const ORG_ID = 1;
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const SESSION_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_SESSION_ID = '33333333-3333-4333-8333-333333333333';
+const DEVICE_ID = '44444444-4444-4444-8444-444444444444';
+
+function generateToken(overrides = {}, options = {}) {
+  return jwt.sign({
+    user_id: USER_ID,
+    user_role: 'leader',
+    organizationId: ORG_ID,
+    roleIds: [2],
+    roleNames: ['leader'],
+    permissions: ['participants.view'],
+    sid: SESSION_ID,
+    ...overrides
+  }, TEST_SECRET, options);
+}
+
+function sessionRow(overrides = {}) {
+  return {
+    id: SESSION_ID,
+    user_id: USER_ID,
+    organization_id: ORG_ID,
+    refresh_token_hash: hashRefreshToken('current-token'),
+    previous_token_hash: hashRefreshToken('old-token'),
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    revoked_at: null,
+    within_grace: false,
+    ...overrides
+  };
+}
+
+/**
+ * Answer the session lookups authenticate runs before every handler.
+ *
+ * @param {boolean} active - Whether the token's session is live
+ * @returns {Function} Query handler returning undefined for anything else
+ */
+function sessionCheckHandler(active = true) {
+  return (query) => {
+    if (query.includes('SELECT 1 FROM user_sessions')) {
+      return { rows: active ? [{ '?column?': 1 }] : [] };
+    }
+    return undefined;
+  };
+}
+
+beforeAll(() => {
+  process.env.JWT_SECRET_KEY = TEST_SECRET;
+  process.env.ORGANIZATION_ID = ORG_ID.toString();
+  process.env.DB_USER = 'test';
+  process.env.DB_HOST = 'localhost';
+  process.env.DB_NAME = 'testdb';
+  process.env.DB_PASSWORD = 'test';
+  process.env.DB_PORT = '5432';
+
+  app = require('../api');
+});
+
+beforeEach(() => {
+  const { __mClient, __mPool } = require('pg');
+  setupDefaultMocks(__mClient, __mPool);
+  __mClient.query.mockClear();
+  __mClient.release.mockClear();
+  __mPool.connect.mockClear();
+  __mPool.query.mockClear();
+});
+
+afterAll((done) => {
+  closeServerResources(app, done);
+});
+
+describe('POST /api/v1/auth/refresh', () => {
+  test('rotates the refresh token and signs an access token for the session', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let rotationParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('FROM user_sessions s') && query.includes('FOR UPDATE')) {
+        return { rows: [sessionRow()] };
+      }
+      if (query.includes('SELECT 1 FROM user_organizations')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('UPDATE user_sessions') && query.includes('previous_token_hash = refresh_token_hash')) {
+        rotationParams = params;
+        return { rows: [sessionRow({ refresh_token_hash: params[1] })] };
+      }
+      if (query.includes('role_name')) {
+        return { rows: [{ role_id: 2, role_name: 'leader' }] };
+      }
+      if (query.includes('permission_key')) {
+        return { rows: [{ permission_key: 'attendance.manage' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: 'current-token' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refresh_token).toEqual(expect.any(String));
+    expect(res.body.refresh_token).not.toBe('current-token');
+    expect(rotationParams[1]).toBe(hashRefreshToken(res.body.refresh_token));
+    expect(res.body.user_permissions).toEqual(['attendance.manage']);
+
+    const decoded = jwt.verify(res.body.token, TEST_SECRET);
+    expect(decoded.sid).toBe(SESSION_ID);
+    expect(decoded.permissions).toEqual(['attendance.manage']);
+    expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+  });
+
+  test('revokes the session when a rotated-out token is replayed', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let revokeParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('FROM user_sessions s') && query.includes('FOR UPDATE')) {
+        return { rows: [sessionRow()] };
+      }
+      if (query.includes('UPDATE user_sessions') && query.includes('revoked_at = NOW()')) {
+        revokeParams = params;
+        return { rows: [{ id: SESSION_ID }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: 'old-token' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('session_revoked');
+    expect(revokeParams).toEqual([SESSION_ID, 'refresh_token_reuse']);
+    // The revocation is kept even though the request is refused
+    const statements = __mClient.query.mock.calls.map(([query]) => query);
+    expect(statements).toContain('COMMIT');
+    expect(statements).not.toContain('ROLLBACK');
+  });
+
+  test('answers 409 without revoking when a concurrent refresh rotated first', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let revoked = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM user_sessions s') && query.includes('FOR UPDATE')) {
+        return { rows: [sessionRow({ within_grace: true })] };
+      }
+      if (query.includes('UPDATE user_sessions')) {
+        revoked = true;
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: 'old-token' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('refresh_token_superseded');
+    expect(revoked).toBe(false);
+  });
+
+  test('refuses unknown and revoked refresh tokens', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('FROM user_sessions s') && query.includes('FOR UPDATE')) {
+        return params[0] === hashRefreshToken('current-token')
+          ? { rows: [sessionRow({ revoked_at: new Date() })] }
+          : { rows: [] };
+      }
+      return undefined;
+    });
+
+    const unknown = await request(app).post('/api/v1/auth/refresh').send({ refresh_token: 'nope' });
+    expect(unknown.status).toBe(401);
+    expect(unknown.body.message).toBe('invalid_refresh_token');
+
+    const revoked = await request(app).post('/api/v1/auth/refresh').send({ refresh_token: 'current-token' });
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.message).toBe('session_revoked');
+  });
+});
+
+describe('authenticate with session-bound tokens', () => {
+  test('refuses an access token whose session was revoked', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, sessionCheckHandler(false));
+
+    const res = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('session_revoked');
+  });
+
+  test('still accepts tokens issued before sessions existed', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let sessionChecked = false;
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        sessionChecked = true;
+      }
+      if (query.includes('FROM user_sessions s') || query.includes('FROM trusted_devices d')) {
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${generateToken({ sid: undefined })}`);
+
+    expect(res.status).toBe(200);
+    expect(sessionChecked).toBe(false);
+  });
+});
+
+describe('sessions page endpoints', () => {
+  test('lists live sessions with the current one flagged, and trusted devices', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const check = sessionCheckHandler(true);
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const checked = check(query);
+      if (checked) return checked;
+      if (query.includes('FROM user_sessions s')) {
+        return {
+          rows: [
+            { id: SESSION_ID, organization_id: ORG_ID, device_name: 'Chrome on Windows' },
+            { id: OTHER_SESSION_ID, organization_id: ORG_ID, device_name: 'Safari on iOS' }
+          ]
+        };
+      }
+      if (query.includes('FROM trusted_devices d')) {
+        return { rows: [{ id: DEVICE_ID, device_name: 'Safari on iOS' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sessions.map((session) => [session.id, session.current])).toEqual([
+      [SESSION_ID, true],
+      [OTHER_SESSION_ID, false]
+    ]);
+    expect(res.body.data.trusted_devices).toHaveLength(1);
+    const serialized = JSON.stringify(res.body);
+    expect(serialized).not.toContain('refresh_token_hash');
+  });
+
+  test('revokes only sessions owned by the caller, refusing malformed IDs', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const check = sessionCheckHandler(true);
+    let revokeParams = null;
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const checked = check(query);
+      if (checked) return checked;
+      if (query.includes('UPDATE user_sessions') && query.includes('AND user_id = $3')) {
+        revokeParams = params;
+        return { rows: params[0] === OTHER_SESSION_ID ? [{ id: OTHER_SESSION_ID }] : [] };
+      }
+      return undefined;
+    });
+
+    const ok = await request(app)
+      .delete(`/api/v1/auth/sessions/${OTHER_SESSION_ID}`)
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(ok.status).toBe(200);
+    expect(revokeParams).toEqual([OTHER_SESSION_ID, 'user_revoked', USER_ID]);
+
+    const missing = await request(app)
+      .delete('/api/v1/auth/sessions/55555555-5555-4555-8555-555555555555')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(missing.status).toBe(404);
+
+    revokeParams = null;
+    const malformed = await request(app)
+      .delete('/api/v1/auth/sessions/not-a-session')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(malformed.status).toBe(400);
+    expect(revokeParams).toBeNull();
+  });
+
+  test('signs out every other session but keeps the current one', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const check = sessionCheckHandler(true);
+    let revokeParams = null;
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const checked = check(query);
+      if (checked) return checked;
+      if (query.includes('UPDATE user_sessions') && query.includes('id <> $3::uuid')) {
+        revokeParams = params;
+        return { rows: [{ id: OTHER_SESSION_ID }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .delete('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(1);
+    expect(revokeParams).toEqual([USER_ID, 'user_revoked_all', SESSION_ID]);
+  });
+
+  test('withdrawing trust from a device signs out its sessions', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const check = sessionCheckHandler(true);
+    let sessionsRevokedFor = null;
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const checked = check(query);
+      if (checked) return checked;
+      if (query.includes('UPDATE trusted_devices')) {
+        return { rows: params[0] === DEVICE_ID && params[1] === USER_ID ? [{ id: DEVICE_ID }] : [] };
+      }
+      if (query.includes('UPDATE user_sessions') && query.includes('trusted_device_id = $1')) {
+        sessionsRevokedFor = params[0];
+        return { rows: [{ id: OTHER_SESSION_ID }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .delete(`/api/v1/auth/trusted-devices/${DEVICE_ID}`)
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked_sessions).toBe(1);
+    expect(sessionsRevokedFor).toBe(DEVICE_ID);
+
+    const other = await request(app)
+      .delete('/api/v1/auth/trusted-devices/66666666-6666-4666-8666-666666666666')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(other.status).toBe(404);
+
+    const malformed = await request(app)
+      .delete('/api/v1/auth/trusted-devices/42')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    expect(malformed.status).toBe(400);
+  });
+});
+
+describe('POST /api/v1/auth/logout', () => {
+  test('revokes the session named by the refresh token', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let revokeParams = null;
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('UPDATE user_sessions') && query.includes('refresh_token_hash = $1')) {
+        revokeParams = params;
+        return { rows: [{ id: SESSION_ID }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/auth/logout')
+      .send({ refresh_token: 'current-token' });
+
+    expect(res.status).toBe(200);
+    expect(revokeParams).toEqual([hashRefreshToken('current-token'), 'logout']);
+  });
+
+  test('revokes the session of an expired access token', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let revokeParams = null;
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('UPDATE user_sessions') && query.includes('AND user_id = $3')) {
+        revokeParams = params;
+        return { rows: [{ id: SESSION_ID }] };
+      }
+      return undefined;
+    });
+
+    const expired = generateToken({ iat: Math.floor(Date.now() / 1000) - 3600 }, { expiresIn: '15m' });
+    const res = await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${expired}`);
+
+    expect(res.status).toBe(200);
+    expect(revokeParams).toEqual([SESSION_ID, 'logout', USER_ID]);
+  });
+});
@@ -757,3 +757,250 @@ describe('Demo user protection on financial operations', () => {
     expect(res.body.isDemo).toBe(true);
   });
 });
+
+describe('Payment plan reminders and overdue tracking', () => {
+  test('GET /api/v1/finance/reports/summary flags overdue installments per fee', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      permissions: ['finance.view']
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('generate_series')) {
+        return Promise.resolve({
+          rows: [
+            { participant_fee_id: 7, participant_id: 50, payment_plan_id: 3, installment_number: 1, due_date: '2026-09-01', amount_due: '50.00', is_overdue: true, days_until_due: -48, first_name: 'John', last_name: 'Doe' },
+            { participant_fee_id: 7, participant_id: 50, payment_plan_id: 3, installment_number: 2, due_date: '2026-10-01', amount_due: '50.00', is_overdue: true, days_until_due: -18, first_name: 'John', last_name: 'Doe' },
+            { participant_fee_id: 7, participant_id: 50, payment_plan_id: 3, installment_number: 3, due_date: '2026-11-01', amount_due: '50.00', is_overdue: false, days_until_due: 13, first_name: 'John', last_name: 'Doe' }
+          ]
+        });
+      }
+      if (query.includes('COUNT(pf.id) AS fee_count')) {
+        return Promise.resolve({ rows: [{ total_billed: '150.00', total_paid: '0', fee_count: 1 }] });
+      }
+      if (query.includes('GROUP BY pf.participant_id') || query.includes('FROM fee_definitions fd') || query.includes('FROM payments pay')) {
+        return Promise.resolve({ rows: [] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/finance/reports/summary')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.overdue.total_overdue).toBe(100);
+    expect(res.body.data.overdue.fees).toEqual([
+      expect.objectContaining({ participant_fee_id: 7, installments_overdue: 2, oldest_due_date: '2026-09-01' })
+    ]);
+  });
+
+  test('GET /api/v1/finance/reminder-settings returns defaults until configured', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      permissions: ['finance.view']
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM organization_settings') && query.includes('setting_key = $2')) {
+        return Promise.resolve({ rows: [] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/finance/reminder-settings')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ enabled: false, offsets_days: [-3, 0, 7] });
+  });
+
+  test('PUT /api/v1/finance/reminder-settings rejects out-of-range offsets', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      permissions: ['finance.manage']
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes("role_name IN ('demoadmin', 'demoparent')")) {
+        return Promise.resolve({ rows: [] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .put('/api/v1/finance/reminder-settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ enabled: true, offsets_days: [-3, 90] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('invalid_reminder_offset');
+    const saved = __mPool.query.mock.calls.some(([sql]) => String(sql).includes('INSERT INTO organization_settings'));
+    expect(saved).toBe(false);
+  });
+
+  test('PUT /api/v1/finance/reminder-settings saves sorted, de-duplicated offsets', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      permissions: ['finance.manage']
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes("role_name IN ('demoadmin', 'demoparent')")) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (query.includes('INSERT INTO organization_settings')) {
+        return Promise.resolve({ rows: [] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .put('/api/v1/finance/reminder-settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ enabled: true, offsets_days: [7, '-3', 0, 7] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ enabled: true, offsets_days: [-3, 0, 7] });
+    const insert = __mPool.query.mock.calls.find(([sql]) => String(sql).includes('INSERT INTO organization_settings'));
+    expect(insert[1]).toEqual([ORG_ID, 'payment_reminders', JSON.stringify({ enabled: true, offsets_days: [-3, 0, 7] })]);
+  });
+});
+
+describe('Family statements and tax receipts', () => {
+  const issuedReceipt = {
+    id: 9,
+    organization_id: ORG_ID,
+    receipt_number: 3,
+    tax_year: 2025,
+    guardian_id: 12,
+    guardian_user_id: 'guardian-uuid',
+    recipient_name: 'Jane Doe',
+    recipient_email: 'jane@example.org',
+    participants: [{ id: 50, first_name: 'John', last_name: 'Doe' }],
+    fees_amount: '150.00',
+    donations_amount: '0.00',
+    total_amount: '150.00',
+    issued_at: new Date('2026-01-10T15:00:00Z')
+  };
+
+  test('GET /api/v1/finance/tax-receipts/preview rejects a year out of range', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      permissions: ['finance.view']
+    });
+
+    mockQueryImplementation(__mClient, __mPool, () => undefined);
+
+    const res = await request(app)
+      .get('/api/v1/finance/tax-receipts/preview?year=1999')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('invalid_tax_year');
+  });
+
+  test('POST /api/v1/finance/tax-receipts/issue numbers receipts after the last issued', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      permissions: ['finance.manage']
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes("role_name IN ('demoadmin', 'demoparent')")) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (query.includes('WITH primary_guardian')) {
+        return Promise.resolve({
+          rows: [{
+            participant_id: 50, first_name: 'John', last_name: 'Doe',
+            guardian_id: 12, guardian_first_name: 'Jane', guardian_last_name: 'Doe', guardian_email: 'jane@example.org',
+            fees_amount: '150.00', donations_amount: '0'
+          }]
+        });
+      }
+      if (query.includes('INSERT INTO receipt_sequences')) {
+        return Promise.resolve({ rows: [{ last_number: 2 }] });
+      }
+      if (query.includes('SELECT guardian_id FROM tax_receipts')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (query.includes('INSERT INTO tax_receipts')) {
+        return Promise.resolve({ rows: [{ ...issuedReceipt, receipt_number: params[1] }] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/finance/tax-receipts/issue')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ tax_year: 2025 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.issued).toEqual([expect.objectContaining({ receipt_number: 3, total_amount: 150 })]);
+    const sequenceUpdate = __mClient.query.mock.calls.find(([sql]) => String(sql).includes('UPDATE receipt_sequences'));
+    expect(sequenceUpdate[1]).toEqual([ORG_ID, 3]);
+  });
+
+  test('GET /api/v1/finance/tax-receipts/:id/pdf refuses a parent the receipt is not addressed to', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      user_id: 'other-parent-uuid',
+      user_role: 'parent',
+      roleNames: ['parent'],
+      permissions: []
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM tax_receipts tr')) {
+        return Promise.resolve({ rows: [issuedReceipt] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/finance/tax-receipts/9/pdf')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('GET /api/v1/finance/tax-receipts/:id/pdf sends the receipt to its guardian', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken({
+      user_id: 'guardian-uuid',
+      user_role: 'parent',
+      roleNames: ['parent'],
+      permissions: []
+    });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM tax_receipts tr')) {
+        return Promise.resolve({ rows: [issuedReceipt] });
+      }
+      if (query.includes('FROM organizations o')) {
+        return Promise.resolve({ rows: [{ name: 'Test Unit' }] });
+      }
+      if (query.includes('FROM organization_settings') && query.includes('setting_key = $2')) {
+        return Promise.resolve({ rows: [] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/finance/tax-receipts/9/pdf?lang=en')
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toContain('receipt-2025-3.pdf');
+    expect(res.body.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
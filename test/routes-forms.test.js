@@ -1073,3 +1073,42 @@ describe('Form Organization Isolation', () => {
     expect(lastQueriedOrgId).toBe(2);
   });
 });
+
+// ============================================
+// FILE FIELD ATTACHMENTS
+// ============================================
+
+describe('Form attachments', () => {
+  test('refuses an upload without a file', async () => {
+    const token = generateToken();
+
+    const res = await request(app)
+      .post('/api/v1/forms/attachments')
+      .set('Authorization', `Bearer ${token}`)
+      .field('participant_id', String(PARTICIPANT_ID))
+      .field('form_type', 'fiche_sante');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('file_required');
+  });
+
+  test('does not link to an attachment filed for another participant', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const token = generateToken();
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM participant_enrollments pe')) {
+        return Promise.resolve({ rows: [{ scout_year_id: 1 }] });
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/forms/attachments/url')
+      .query({ participant_id: PARTICIPANT_ID, key: `org_${ORG_ID}/forms/participant_999_1_abc.pdf` })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Attachment not found');
+  });
+});
@@ -0,0 +1,903 @@
+/**
+ * Program Progress Routes Test Suite
+ *
+ * Covers the PAB plan and top-award journey endpoints:
+ * - writes are scoped to the organization and to the parent plan or journey,
+ *   so a child row can never be attached to another youth
+ * - deleting a journey, service log or project only reaches the
+ *   organization's own rows, and a journey takes its logs, projects and
+ *   reviews with it
+ * - review outcomes move the journey they review
+ * - parents only read plans of the children linked to their account
+ * - evidence claims are scoped to linked children and decided once
+ * - catalog stage rules propose earned stages and drive the next-steps view
+ *
+ * @module test/routes-program-progress
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { closeServerResources } = require('./test-helpers');
+
+jest.mock('pg', () => {
+  const mClient = {
+    query: jest.fn(),
+    release: jest.fn()
+  };
+  const mPool = {
+    connect: jest.fn(() => Promise.resolve(mClient)),
+    query: jest.fn(),
+    on: jest.fn()
+  };
+  return {
+    Pool: jest.fn(() => mPool),
+    __esModule: true,
+    __mClient: mClient,
+    __mPool: mPool
+  };
+});
+
+const { setupDefaultMocks, mockQueryImplementation } = require('./mock-helpers');
+let app;
+
+const TEST_SECRET = 'testsecret';
+const ORG_ID = 1;
+
+function generateToken(overrides = {}) {
+  return jwt.sign({
+    user_id: 1,
+    user_role: 'district',
+    organizationId: ORG_ID,
+    roleIds: [1],
+    roleNames: ['admin'],
+    permissions: ['badges.manage', 'badges.approve', 'participants.view'],
+    ...overrides
+  }, TEST_SECRET);
+}
+
+/**
+ * Answer the authorization lookups every route runs before its handler.
+ *
+ * @param {Array<string>} permissions - Permission keys the user holds
+ * @param {string} dataScope - organization or linked
+ * @returns {Function} Query handler returning undefined for anything else
+ */
+function authorizationHandler(permissions, dataScope = 'organization') {
+  return (query) => {
+    if (query.includes('permission_key')) {
+      return { rows: permissions.map((permission_key) => ({ permission_key })) };
+    }
+    if (query.includes("'demoadmin'")) {
+      return { rows: [] };
+    }
+    if (query.includes('r.data_scope')) {
+      return { rows: [{ data_scope: dataScope }] };
+    }
+    if (query.includes('role_name')) {
+      return { rows: [{ role_name: 'admin', display_name: 'Admin' }] };
+    }
+    return undefined;
+  };
+}
+
+beforeAll(() => {
+  process.env.JWT_SECRET_KEY = TEST_SECRET;
+  process.env.ORGANIZATION_ID = ORG_ID.toString();
+  process.env.DB_USER = 'test';
+  process.env.DB_HOST = 'localhost';
+  process.env.DB_NAME = 'testdb';
+  process.env.DB_PASSWORD = 'test';
+  process.env.DB_PORT = '5432';
+
+  app = require('../api');
+});
+
+beforeEach(() => {
+  const { __mClient, __mPool } = require('pg');
+  setupDefaultMocks(__mClient, __mPool);
+  __mClient.query.mockClear();
+  __mClient.release.mockClear();
+  __mPool.connect.mockClear();
+  __mPool.query.mockClear();
+});
+
+afterAll((done) => {
+  closeServerResources(app, done);
+});
+
+describe('POST /api/v1/program-progress/pab-plans', () => {
+  test('creates a plan for a participant enrolled in the organization', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    let insertParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('INSERT INTO pab_plans')) {
+        insertParams = params;
+        return { rows: [{ id: 7, participant_id: 20, title: 'Learn to paddle', status: 'planned' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/pab-plans')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ participant_id: 20, title: '  Learn to paddle ', organization_id: 99 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 7, title: 'Learn to paddle' });
+    expect(insertParams[0]).toBe(ORG_ID);
+    expect(insertParams[1]).toBe(20);
+    expect(insertParams[3]).toBe('Learn to paddle');
+  });
+
+  test('returns 404 when the participant belongs to another organization', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    let inserted = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [] };
+      }
+      if (query.includes('INSERT INTO pab_plans')) {
+        inserted = true;
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/pab-plans')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ participant_id: 20, title: 'Learn to paddle' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('participant_not_found');
+    expect(inserted).toBe(false);
+  });
+
+  test('rejects an unknown plan status before touching the database', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['badges.manage']));
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/pab-plans')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ participant_id: 20, title: 'Plan', status: 'finished' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('invalid_status');
+  });
+
+  test('requires badges.manage', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['participants.view']));
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/pab-plans')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ participant_id: 20, title: 'Plan' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/v1/program-progress/pab-plans', () => {
+  test('limits a parent to the participants linked to their account', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['participants.view'], 'linked');
+    let planQuery = null;
+    let planParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM pab_plans pp')) {
+        planQuery = query;
+        planParams = params;
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/program-progress/pab-plans')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`);
+
+    expect(res.status).toBe(200);
+    expect(planQuery).toContain('user_participants');
+    expect(planParams).toEqual([ORG_ID, 1]);
+  });
+});
+
+describe('POST /api/v1/program-progress/top-award-journeys/:id/service-logs', () => {
+  test('attributes the hours to the journey participant, not the request body', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    let insertParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM participant_top_award_progress') && query.includes('WHERE id = $1')) {
+        return { rows: [{ id: 5, participant_id: 20, status: 'in_progress' }] };
+      }
+      if (query.includes('INSERT INTO top_award_service_logs')) {
+        insertParams = params;
+        return { rows: [{ id: 9, participant_id: params[2], hours: params[4], status: 'logged' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/top-award-journeys/5/service-logs')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ service_date: '2026-05-02', hours: 3.5, participant_id: 999 });
+
+    expect(res.status).toBe(201);
+    expect(insertParams).toEqual([ORG_ID, 5, 20, '2026-05-02', 3.5, null]);
+  });
+
+  test('rejects non-positive hours', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['badges.manage']));
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/top-award-journeys/5/service-logs')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ service_date: '2026-05-02', hours: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('invalid_hours');
+  });
+});
+
+describe('POST /api/v1/program-progress/top-award-journeys', () => {
+  test('refuses a second open journey on the same award', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('FROM top_awards')) {
+        return { rows: [{ id: 3 }] };
+      }
+      if (query.includes("status IN ('in_progress', 'submitted')")) {
+        return { rows: [{ id: 5 }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/top-award-journeys')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ participant_id: 20, top_award_id: 3 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('journey_already_open');
+  });
+});
+
+describe('POST /api/v1/program-progress/top-award-journeys/:id/reviews', () => {
+  test('an approved review approves the journey inside one transaction', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.approve']);
+    const statements = [];
+    let journeyUpdateParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        statements.push(query);
+        return { rows: [] };
+      }
+      if (query.includes('FROM participant_top_award_progress') && query.includes('WHERE id = $1')) {
+        return { rows: [{ id: 5, participant_id: 20, status: 'submitted' }] };
+      }
+      if (query.includes('INSERT INTO top_award_reviews')) {
+        return { rows: [{ id: 11, outcome: params[5], participant_id: params[2] }] };
+      }
+      if (query.includes('UPDATE participant_top_award_progress')) {
+        journeyUpdateParams = params;
+        return { rows: [{ id: 5, status: params[0] }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/top-award-journeys/5/reviews')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.approve'] })}`)
+      .send({ outcome: 'approved', notes: 'Ready for presentation' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.review).toMatchObject({ outcome: 'approved', participant_id: 20 });
+    expect(res.body.data.journey).toMatchObject({ status: 'approved' });
+    expect(journeyUpdateParams[0]).toBe('approved');
+    expect(statements).toEqual(['BEGIN', 'COMMIT']);
+  });
+
+  test('rolls back and returns 404 for a journey outside the organization', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.approve']);
+    const statements = [];
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        statements.push(query);
+        return { rows: [] };
+      }
+      if (query.includes('FROM participant_top_award_progress')) {
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/top-award-journeys/5/reviews')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.approve'] })}`)
+      .send({ outcome: 'approved' });
+
+    expect(res.status).toBe(404);
+    expect(statements).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+});
+
+describe('PUT /api/v1/program-progress/top-award-projects/:id', () => {
+  test('approving a project needs badges.approve on top of badges.manage', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['badges.manage']));
+
+    const res = await request(app)
+      .put('/api/v1/program-progress/top-award-projects/4')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.manage'] })}`)
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('approval_not_permitted');
+  });
+});
+
+describe('DELETE top-award journeys, service logs and projects', () => {
+  test('deletes a journey with its logs, projects and reviews inside one transaction', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    const statements = [];
+    const deletes = [];
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        statements.push(query);
+        return { rows: [] };
+      }
+      if (query.startsWith('DELETE FROM')) {
+        deletes.push({ table: query.split(' ')[2], params });
+        return { rows: query.includes('RETURNING id') ? [{ id: params[0] }] : [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .delete('/api/v1/program-progress/top-award-journeys/5')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.manage'] })}`);
+
+    expect(res.status).toBe(200);
+    expect(deletes.map((entry) => entry.table)).toEqual([
+      'top_award_service_logs',
+      'top_award_projects',
+      'top_award_reviews',
+      'participant_top_award_progress'
+    ]);
+    expect(deletes.every((entry) => entry.params[0] === 5 && entry.params[1] === ORG_ID)).toBe(true);
+    expect(statements).toEqual(['BEGIN', 'COMMIT']);
+  });
+
+  test('rolls back and returns 404 for a journey outside the organization', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    const statements = [];
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        statements.push(query);
+        return { rows: [] };
+      }
+      if (query.startsWith('DELETE FROM')) {
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .delete('/api/v1/program-progress/top-award-journeys/5')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.manage'] })}`);
+
+    expect(res.status).toBe(404);
+    expect(statements).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+
+  test.each([
+    ['top-award-service-logs', 'top_award_service_logs'],
+    ['top-award-projects', 'top_award_projects']
+  ])('deletes only the organization\'s own %s', async (path, table) => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    let deleteParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.startsWith(`DELETE FROM ${table}`)) {
+        deleteParams = params;
+        return { rows: params[0] === 7 ? [{ id: 7 }] : [] };
+      }
+      return undefined;
+    });
+    const token = generateToken({ permissions: ['badges.manage'] });
+
+    const deleted = await request(app).delete(`/api/v1/program-progress/${path}/7`).set('Authorization', `Bearer ${token}`);
+    expect(deleted.status).toBe(200);
+    expect(deleteParams).toEqual([7, ORG_ID]);
+
+    const elsewhere = await request(app).delete(`/api/v1/program-progress/${path}/8`).set('Authorization', `Bearer ${token}`);
+    expect(elsewhere.status).toBe(404);
+
+    deleteParams = null;
+    const malformed = await request(app).delete(`/api/v1/program-progress/${path}/abc`).set('Authorization', `Bearer ${token}`);
+    expect(malformed.status).toBe(400);
+    expect(deleteParams).toBeNull();
+  });
+
+  test('requires badges.manage', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['participants.view']));
+
+    const res = await request(app)
+      .delete('/api/v1/program-progress/top-award-projects/7')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`);
+
+    expect(res.status).toBe(403);
+    expect(__mPool.query.mock.calls.some(([query]) => String(query).startsWith('DELETE'))).toBe(false);
+  });
+});
+
+describe('POST /api/v1/program-progress/evidence', () => {
+  test('files a write-up and opens a pending claim for the leaders', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['participants.view']);
+    let evidenceParams = null;
+    let approvalParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (query.includes('FROM participant_oas_competency pc')) {
+        return { rows: [{ id: 31, participant_id: 20, status: 'in_progress', title: 'Light a stove' }] };
+      }
+      if (query.includes('INSERT INTO progress_evidence')) {
+        evidenceParams = params;
+        return { rows: [{ id: 3, evidence_type: params[4], evidence_url: null, notes: params[6] }] };
+      }
+      if (query.includes('FROM progress_approvals') && query.includes('FOR UPDATE')) {
+        return { rows: [] };
+      }
+      if (query.includes('INSERT INTO progress_approvals')) {
+        approvalParams = params;
+        return { rows: [{ id: 8, status: 'pending' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`)
+      .field('source_type', 'participant_oas_competency')
+      .field('source_id', '31')
+      .field('notes', 'Lit the stove safely at camp');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.evidence).toMatchObject({ id: 3, evidence_type: 'note', file_url: null });
+    expect(evidenceParams.slice(0, 7)).toEqual([ORG_ID, 20, 'participant_oas_competency', 31, 'note', null, 'Lit the stove safely at camp']);
+    expect(approvalParams).toEqual([ORG_ID, 20, 'participant_oas_competency', 31]);
+  });
+
+  test('refuses a parent filing evidence for a child not linked to them', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['participants.view'], 'linked');
+    let inserted = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM badge_progress bp')) {
+        return { rows: [{ id: 12, participant_id: 20, status: 'pending', title: 'Loup' }] };
+      }
+      if (query.includes('FROM user_participants')) {
+        return { rows: [] };
+      }
+      if (query.includes('INSERT INTO progress_evidence')) {
+        inserted = true;
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`)
+      .field('source_type', 'badge_progress')
+      .field('source_id', '12')
+      .field('notes', 'Did it');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('participant_not_linked');
+    expect(inserted).toBe(false);
+  });
+
+  test('requires a file for photo evidence', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['participants.view']));
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`)
+      .field('source_type', 'badge_progress')
+      .field('source_id', '12')
+      .field('evidence_type', 'photo');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('file_required');
+  });
+});
+
+describe('POST /api/v1/program-progress/evidence-approvals/:id/decision', () => {
+  test('approving a competency claim records it inside the decision transaction', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.approve']);
+    const statements = [];
+    let competencyInsert = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        statements.push(query);
+        return { rows: [] };
+      }
+      if (query.includes('FROM progress_approvals WHERE id = $1')) {
+        return { rows: [{ id: 8, organization_id: ORG_ID, participant_id: 20, source_type: 'oas_competency', source_id: 44, status: 'pending' }] };
+      }
+      if (query.includes('UPDATE progress_approvals')) {
+        return { rows: [{ id: 8, organization_id: ORG_ID, participant_id: 20, source_type: 'oas_competency', source_id: 44, status: params[0], notes: params[2] }] };
+      }
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [{ '?column?': 1 }], rowCount: 1 };
+      }
+      if (query.includes('information_schema.columns')) {
+        return { rows: [], rowCount: 0 };
+      }
+      if (query.includes('INSERT INTO participant_oas_competency')) {
+        competencyInsert = { query, params };
+        return { rows: [{ id: 90, oas_competency_id: 44, status: 'awarded' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence-approvals/8/decision')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.approve'] })}`)
+      .send({ decision: 'approved', notes: 'Well documented' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.approval).toMatchObject({ status: 'approved', notes: 'Well documented' });
+    expect(res.body.data.progression.programRecord).toMatchObject({ id: 90, status: 'awarded' });
+    expect(competencyInsert.params.slice(0, 4)).toEqual([ORG_ID, 20, 44, 'awarded']);
+    expect(statements).toEqual(['BEGIN', 'COMMIT']);
+  });
+
+  test('refuses to decide a claim twice', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.approve']);
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query.includes('FROM progress_approvals WHERE id = $1')) {
+        return { rows: [{ id: 8, source_type: 'badge_progress', source_id: 12, status: 'approved' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence-approvals/8/decision')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.approve'] })}`)
+      .send({ decision: 'rejected' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('already_decided');
+  });
+});
+
+/**
+ * Answer the queries of services/oasProgressionRules.js for one skill with
+ * two stages: stage 5 (competencies 44 and 45) and stage 6 (competency 46).
+ *
+ * @param {Object} state - `awarded` competency IDs, stage `awards`, `proposals`
+ * @returns {Function} Query handler returning undefined for anything else
+ */
+function stageRulesHandler({ awarded = [], awards = [], proposals = [] } = {}) {
+  return (query) => {
+    if (query.includes('FROM program_catalog_rules')) {
+      return { rows: [{ rules_json: { stageAwards: { requirePreviousStage: true } } }] };
+    }
+    if (query.includes('FROM oas_stages s')) {
+      return {
+        rows: [
+          { id: 5, oas_skill_id: 2, stage_order: 1, name: 'Stage 1', skill_code: 'camping', skill_name: 'Camping' },
+          { id: 6, oas_skill_id: 2, stage_order: 2, name: 'Stage 2', skill_code: 'camping', skill_name: 'Camping' }
+        ]
+      };
+    }
+    if (query.includes('FROM oas_competencies c')) {
+      return {
+        rows: [
+          { id: 44, oas_stage_id: 5, code: 'CMP-1-A', name: 'Pitch a tent', is_required: true },
+          { id: 45, oas_stage_id: 5, code: 'CMP-1-B', name: 'Light a stove', is_required: true },
+          { id: 46, oas_stage_id: 6, code: 'CMP-2-A', name: 'Plan a menu', is_required: true }
+        ].map((row) => ({ ...row, participant_status: awarded.includes(row.id) ? 'awarded' : null }))
+      };
+    }
+    if (query.includes('FROM participant_oas_stage_award')) {
+      return { rows: awards };
+    }
+    if (query.includes('DISTINCT ON (source_id)')) {
+      return { rows: proposals };
+    }
+    return undefined;
+  };
+}
+
+describe('OAS stage rules', () => {
+  test('awarding the last competency of a stage proposes the stage to the leaders', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.approve']);
+    const rules = stageRulesHandler({ awarded: [44, 45] });
+    const proposals = [];
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query) || rules(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (query.includes('FROM progress_approvals WHERE id = $1')) {
+        return { rows: [{ id: 8, organization_id: ORG_ID, participant_id: 20, source_type: 'participant_oas_competency', source_id: 31, status: 'pending' }] };
+      }
+      if (query.includes('UPDATE progress_approvals')) {
+        return { rows: [{ id: 8, organization_id: ORG_ID, participant_id: 20, source_type: 'participant_oas_competency', source_id: 31, status: params[0] }] };
+      }
+      if (query.includes('UPDATE participant_oas_competency')) {
+        return { rows: [{ id: 31, oas_competency_id: 45, status: 'awarded' }] };
+      }
+      if (query.includes('INSERT INTO progress_approvals')) {
+        proposals.push(params);
+        return { rows: [{ id: 12, source_type: params[2], source_id: params[3], status: 'pending' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence-approvals/8/decision')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.approve'] })}`)
+      .send({ decision: 'approved' });
+
+    expect(res.status).toBe(200);
+    expect(proposals).toEqual([[ORG_ID, 20, 'oas_stage', 5]]);
+    expect(res.body.data.progression.stageProposals).toHaveLength(1);
+  });
+
+  test('does not propose a stage a leader already rejected', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.manage']);
+    const rules = stageRulesHandler({ awarded: [44, 45], proposals: [{ id: 12, source_id: 5, status: 'rejected' }] });
+    let proposed = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query) || rules(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [{ '?column?': 1 }], rowCount: 1 };
+      }
+      if (query.includes('information_schema.columns')) {
+        return { rows: [], rowCount: 0 };
+      }
+      if (query.includes('INSERT INTO participant_oas_competency')) {
+        return { rows: [{ id: 90, oas_competency_id: 45, status: 'awarded' }] };
+      }
+      if (query.includes('INSERT INTO progress_approvals')) {
+        proposed = true;
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/award')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.manage'] })}`)
+      .send({ program_type: 'oas_competency', participant_id: 20, program_data: { oas_competency_id: 45, status: 'awarded' } });
+
+    expect(res.status).toBe(201);
+    expect(proposed).toBe(false);
+  });
+
+  test('approving a stage claim records the stage award', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['badges.approve']);
+    let stageInsert = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (query.includes('FROM progress_approvals WHERE id = $1')) {
+        return { rows: [{ id: 12, organization_id: ORG_ID, participant_id: 20, source_type: 'oas_stage', source_id: 5, status: 'pending' }] };
+      }
+      if (query.includes('UPDATE progress_approvals')) {
+        return { rows: [{ id: 12, organization_id: ORG_ID, participant_id: 20, source_type: 'oas_stage', source_id: 5, status: params[0], notes: params[2] }] };
+      }
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [{ '?column?': 1 }], rowCount: 1 };
+      }
+      if (query.includes('information_schema.columns')) {
+        return { rows: [], rowCount: 0 };
+      }
+      if (query.includes('INSERT INTO participant_oas_stage_award')) {
+        stageInsert = params;
+        return { rows: [{ id: 70, oas_stage_id: 5, status: 'awarded' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence-approvals/12/decision')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['badges.approve'] })}`)
+      .send({ decision: 'approved', notes: 'Congratulations' });
+
+    expect(res.status).toBe(200);
+    expect(stageInsert.slice(0, 5)).toEqual([ORG_ID, 20, 5, 'awarded', 'Congratulations']);
+  });
+
+  test('a catalog claim on a competency already in progress joins that entry', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['participants.view']);
+    let evidenceParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query);
+      if (auth) return auth;
+      if (query === 'BEGIN' || query === 'COMMIT' || query === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (query.includes('FROM oas_competencies c')) {
+        return { rows: [{ id: 46, participant_id: null, status: null, title: 'Plan a menu' }] };
+      }
+      if (query.includes('FROM participant_organizations')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('SELECT id, status FROM participant_oas_competency')) {
+        return { rows: [{ id: 33, status: 'in_progress' }] };
+      }
+      if (query.includes('INSERT INTO progress_evidence')) {
+        evidenceParams = params;
+        return { rows: [{ id: 4, evidence_type: params[4], evidence_url: null, notes: params[6] }] };
+      }
+      if (query.includes('FROM progress_approvals') && query.includes('FOR UPDATE')) {
+        return { rows: [] };
+      }
+      if (query.includes('INSERT INTO progress_approvals')) {
+        return { rows: [{ id: 9, status: 'pending' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/program-progress/evidence')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`)
+      .field('source_type', 'oas_competency')
+      .field('source_id', '46')
+      .field('participant_id', '20')
+      .field('notes', 'Planned the weekend menu');
+
+    expect(res.status).toBe(201);
+    expect(evidenceParams.slice(0, 4)).toEqual([ORG_ID, 20, 'participant_oas_competency', 33]);
+  });
+});
+
+describe('GET /api/v1/program-progress/next-steps', () => {
+  test('shows a parent the next stage and missing competencies of each linked child', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['participants.view'], 'linked');
+    const rules = stageRulesHandler({ awarded: [44, 45], awards: [{ oas_stage_id: 5, status: 'awarded' }] });
+    let participantParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      const auth = authorize(query) || rules(query);
+      if (auth) return auth;
+      if (query.includes('FROM participants p')) {
+        participantParams = params;
+        return { rows: [{ id: 20, first_name: 'Alex', last_name: 'Tremblay' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/program-progress/next-steps')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`);
+
+    expect(res.status).toBe(200);
+    expect(participantParams).toEqual([ORG_ID, 1]);
+    const [child] = res.body.data;
+    expect(child).toMatchObject({ participant_id: 20, participant_name: 'Alex Tremblay' });
+    expect(child.skills[0].stages.map((stage) => stage.status)).toEqual(['awarded', 'open']);
+    expect(child.skills[0].next_stage).toMatchObject({ id: 6, completed: 0, needed: 1 });
+    expect(child.skills[0].next_stage.remaining).toEqual([
+      { id: 46, code: 'CMP-2-A', name: 'Plan a menu', is_required: true, participant_status: null }
+    ]);
+  });
+
+  test('locks a stage until the previous one is done', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const authorize = authorizationHandler(['participants.view']);
+    const rules = stageRulesHandler({ awarded: [44, 46] });
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      const auth = authorize(query) || rules(query);
+      if (auth) return auth;
+      if (query.includes('FROM participants p')) {
+        return { rows: [{ id: 20, first_name: 'Alex', last_name: 'Tremblay' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .get('/api/v1/program-progress/next-steps?participant_id=20')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].skills[0].stages.map((stage) => stage.status)).toEqual(['open', 'locked']);
+  });
+
+  test('requires staff to name a participant', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, authorizationHandler(['participants.view']));
+
+    const res = await request(app)
+      .get('/api/v1/program-progress/next-steps')
+      .set('Authorization', `Bearer ${generateToken({ permissions: ['participants.view'] })}`);
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,445 @@
+/**
+ * Stripe Refunds, Disputes and Checkout Test Suite
+ *
+ * Covers money moving after the first payment:
+ * - webhook events apply once; redeliveries are acknowledged without effect
+ * - charge.refunded records dashboard refunds, skipping ones already known
+ * - refunds from the finance screen write a linked negative payment, and
+ *   never more than what is left once earlier refunds are counted under a lock
+ * - Checkout sessions charge the balance or one installment, for linked parents only
+ *
+ * @module test/routes-stripe-refunds
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { closeServerResources } = require('./test-helpers');
+
+jest.mock('stripe', () => {
+  const client = {
+    paymentIntents: { create: jest.fn(), retrieve: jest.fn() },
+    refunds: { create: jest.fn(), list: jest.fn() },
+    checkout: { sessions: { create: jest.fn() } },
+    webhooks: {
+      constructEvent: jest.fn((payload, signature) => {
+        if (signature !== 'valid_signature') {
+          throw new Error('No signatures found matching the expected signature for payload');
+        }
+        return JSON.parse(Buffer.isBuffer(payload) ? payload.toString('utf8') : JSON.stringify(payload));
+      })
+    }
+  };
+  const factory = () => client;
+  factory.__client = client;
+  return factory;
+});
+
+jest.mock('pg', () => {
+  const mClient = {
+    query: jest.fn(),
+    release: jest.fn()
+  };
+  const mPool = {
+    connect: jest.fn(() => Promise.resolve(mClient)),
+    query: jest.fn(),
+    on: jest.fn()
+  };
+  return {
+    Pool: jest.fn(() => mPool),
+    __esModule: true,
+    __mClient: mClient,
+    __mPool: mPool
+  };
+});
+
+const { setupDefaultMocks, mockQueryImplementation } = require('./mock-helpers');
+let app;
+
+const TEST_SECRET = 'testsecret';
+const ORG_ID = 1;
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const SESSION_ID = '33333333-3333-4333-8333-333333333333';
+
+function generateToken({ roleNames = ['finance'], permissions = ['finance.manage'] } = {}) {
+  return jwt.sign({
+    user_id: USER_ID,
+    user_role: roleNames[0],
+    organizationId: ORG_ID,
+    roleIds: [5],
+    roleNames,
+    permissions,
+    sid: SESSION_ID
+  }, TEST_SECRET);
+}
+
+/**
+ * Answer authentication and the permission lookup.
+ *
+ * @param {Array<string>} permissions - Keys the caller holds
+ * @param {Function} [handler] - Route-specific answers
+ * @returns {Function} Query handler
+ */
+function withPermissions(permissions, handler = () => undefined) {
+  return (query, params) => {
+    if (typeof query !== 'string') {
+      return undefined;
+    }
+    if (query.includes('FROM user_sessions')) {
+      return { rows: [{ '?column?': 1 }] };
+    }
+    if (query.includes('permission_key')) {
+      return { rows: permissions.map(permission_key => ({ permission_key })) };
+    }
+    return handler(query, params);
+  };
+}
+
+function queriesMatching(mock, text) {
+  return mock.query.mock.calls.filter(([query]) => typeof query === 'string' && query.includes(text));
+}
+
+function postEvent(event) {
+  return request(app)
+    .post('/api/v1/stripe/webhook')
+    .set('stripe-signature', 'valid_signature')
+    .set('Content-Type', 'application/json')
+    .send(JSON.stringify(event));
+}
+
+beforeAll(() => {
+  process.env.JWT_SECRET_KEY = TEST_SECRET;
+  process.env.ORGANIZATION_ID = ORG_ID.toString();
+  process.env.DB_USER = 'test';
+  process.env.DB_HOST = 'localhost';
+  process.env.DB_NAME = 'testdb';
+  process.env.DB_PASSWORD = 'test';
+  process.env.DB_PORT = '5432';
+  process.env.STRIPE_SECRET_KEY = 'sk_test_test123';
+  process.env.APP_URL = 'https://unit.example.org';
+
+  app = require('../api');
+});
+
+beforeEach(() => {
+  const { __mClient, __mPool } = require('pg');
+  setupDefaultMocks(__mClient, __mPool);
+  __mClient.query.mockClear();
+  __mClient.release.mockClear();
+  __mPool.connect.mockClear();
+  __mPool.query.mockClear();
+
+  const stripeClient = require('stripe').__client;
+  stripeClient.refunds.create.mockReset();
+  stripeClient.refunds.list.mockReset();
+  stripeClient.checkout.sessions.create.mockReset();
+});
+
+afterAll((done) => {
+  closeServerResources(app, done);
+});
+
+describe('POST /api/v1/stripe/webhook', () => {
+  const refundedCharge = {
+    id: 'evt_refund_1',
+    type: 'charge.refunded',
+    data: { object: { id: 'ch_1', payment_intent: 'pi_1', amount_refunded: 3000 } }
+  };
+
+  test('rejects payloads without a valid signature', async () => {
+    const res = await request(app)
+      .post('/api/v1/stripe/webhook')
+      .set('stripe-signature', 'forged')
+      .send(refundedCharge);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('acknowledges a redelivered event without applying it again', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (typeof query === 'string' && query.includes('INSERT INTO processed_transactions')) {
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await postEvent(refundedCharge);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(queriesMatching(__mClient, 'INSERT INTO payments')).toHaveLength(0);
+    expect(require('stripe').__client.refunds.list).not.toHaveBeenCalled();
+  });
+
+  test('charge.refunded records dashboard refunds and refreshes the fee', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const insertedRefundIds = [];
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (typeof query !== 'string') return undefined;
+      if (query.includes('INSERT INTO processed_transactions')) {
+        return { rows: [{ id: 1 }] };
+      }
+      if (query.includes('FROM payments') && query.includes('stripe_transaction_id = $2')) {
+        return { rows: [{ id: 10, participant_fee_id: 4, payment_plan_id: null, amount: '100.00' }] };
+      }
+      if (query.includes('INSERT INTO payments')) {
+        // re_1 came from the finance screen and is already recorded.
+        if (params[6] === 're_1') return { rows: [] };
+        insertedRefundIds.push(params[6]);
+        return { rows: [{ id: 11, amount: params[2] }] };
+      }
+      return undefined;
+    });
+    require('stripe').__client.refunds.list.mockResolvedValue({
+      data: [
+        { id: 're_1', amount: 1000, status: 'succeeded', charge: 'ch_1', created: 1760000000 },
+        { id: 're_2', amount: 2000, status: 'succeeded', charge: 'ch_1', created: 1760000100 },
+        { id: 're_3', amount: 500, status: 'failed', charge: 'ch_1', created: 1760000200 }
+      ]
+    });
+
+    const res = await postEvent(refundedCharge);
+
+    expect(res.status).toBe(200);
+    expect(insertedRefundIds).toEqual(['re_2']);
+    const [, refundParams] = queriesMatching(__mClient, 'INSERT INTO payments').find(([, params]) => params[6] === 're_2');
+    expect(refundParams[2]).toBe(-20);
+    expect(refundParams[8]).toBe(10);
+    expect(queriesMatching(__mClient, 'UPDATE participant_fees pf')).toHaveLength(1);
+    expect(__mClient.query.mock.calls.map(([query]) => query)).toContain('COMMIT');
+  });
+
+  test('charge.dispute.funds_withdrawn claws the disputed amount back', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (typeof query !== 'string') return undefined;
+      if (query.includes('INSERT INTO processed_transactions')) {
+        return { rows: [{ id: 2 }] };
+      }
+      if (query.includes('FROM payments') && query.includes('stripe_transaction_id = $2')) {
+        return { rows: [{ id: 10, participant_fee_id: 4, payment_plan_id: null, amount: '100.00' }] };
+      }
+      return undefined;
+    });
+
+    const res = await postEvent({
+      id: 'evt_dispute_1',
+      type: 'charge.dispute.funds_withdrawn',
+      data: {
+        object: {
+          id: 'dp_1', charge: 'ch_1', payment_intent: 'pi_1', amount: 10000,
+          reason: 'fraudulent', status: 'needs_response', evidence_details: { due_by: 1760500000 }
+        }
+      }
+    });
+
+    expect(res.status).toBe(200);
+    const [, disputeParams] = queriesMatching(__mClient, 'INSERT INTO payment_disputes')[0];
+    expect(disputeParams.slice(0, 6)).toEqual([10, 'dp_1', 'ch_1', 100, 'fraudulent', 'needs_response']);
+    const [, paymentParams] = queriesMatching(__mClient, 'INSERT INTO payments')[0];
+    expect(paymentParams.slice(2, 7)).toEqual([-100, 'chargeback', 'dp_1', 'funds_withdrawn', 10]);
+  });
+
+  test('rolls back and answers 500 so Stripe retries a failed event', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (typeof query !== 'string') return undefined;
+      if (query.includes('INSERT INTO processed_transactions')) {
+        return { rows: [{ id: 3 }] };
+      }
+      return undefined;
+    });
+
+    const res = await postEvent({
+      id: 'evt_bad_1',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_2', amount: 1000, metadata: {} } }
+    });
+
+    expect(res.status).toBe(500);
+    const statements = __mClient.query.mock.calls.map(([query]) => query);
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+  });
+});
+
+describe('POST /api/v1/finance/payments/:paymentId/refund', () => {
+  const paymentRow = (overrides = {}) => ({
+    id: 10,
+    participant_fee_id: 4,
+    payment_plan_id: null,
+    amount: '100.00',
+    payment_processor: 'manual',
+    stripe_payment_intent_id: null,
+    refund_of_payment_id: null,
+    ...overrides
+  });
+
+  /**
+   * Answer the locked payment read and the sum of its refunds.
+   *
+   * @param {Object} payment - Payment row
+   * @param {string} refunded - Amount already refunded
+   * @param {Function} [handler] - Route-specific answers
+   * @returns {Function} Query handler
+   */
+  const withPayment = (payment, refunded, handler = () => undefined) => (query, params) => {
+    if (query.includes('FOR UPDATE OF pay')) {
+      return { rows: [payment] };
+    }
+    if (query.includes('AS refunded')) {
+      return { rows: [{ refunded }] };
+    }
+    return handler(query, params);
+  };
+
+  test('manual payment gets a linked negative entry and an audit row', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['finance.manage'], withPayment(paymentRow(), '30.00', (query, params) => {
+      if (query.includes('INSERT INTO payments')) {
+        return { rows: [{ id: 12, participant_fee_id: 4, amount: String(params[2]), method: 'refund', refund_of_payment_id: 10 }] };
+      }
+      return undefined;
+    })));
+
+    const res = await request(app)
+      .post('/api/v1/finance/payments/10/refund')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ amount: 70, reference_number: 'CHQ-88' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 12, amount: '-70', refund_of_payment_id: 10 });
+    const [, params] = queriesMatching(__mClient, 'INSERT INTO payments')[0];
+    expect(params).toEqual([4, null, -70, 'CHQ-88', 10]);
+    expect(queriesMatching(__mClient, 'INSERT INTO audit_log')).toHaveLength(1);
+    expect(require('stripe').__client.refunds.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses more than what is left to refund', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['finance.manage'], withPayment(paymentRow(), '30.00')));
+
+    const res = await request(app)
+      .post('/api/v1/finance/payments/10/refund')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ amount: 70.01 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('amount_exceeds_refundable');
+    expect(queriesMatching(__mClient, 'INSERT INTO payments')).toHaveLength(0);
+    expect(__mClient.query.mock.calls.map(([query]) => query)).toContain('ROLLBACK');
+  });
+
+  test('sums earlier refunds only once the payment is locked', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['finance.manage'], withPayment(paymentRow(), '30.00')));
+
+    await request(app)
+      .post('/api/v1/finance/payments/10/refund')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ amount: 80 });
+
+    const statements = __mClient.query.mock.calls.map(([query]) => query);
+    const begin = statements.indexOf('BEGIN');
+    const lock = statements.findIndex((query) => typeof query === 'string' && query.includes('FOR UPDATE OF pay'));
+    const sum = statements.findIndex((query) => typeof query === 'string' && query.includes('AS refunded'));
+    expect(begin).toBeGreaterThanOrEqual(0);
+    expect(lock).toBeGreaterThan(begin);
+    expect(sum).toBeGreaterThan(lock);
+    expect(queriesMatching(__mPool, 'FROM payments pay')).toHaveLength(0);
+  });
+
+  test('card payment is refunded through Stripe in cents', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const payment = paymentRow({ payment_processor: 'stripe', stripe_payment_intent_id: 'pi_1' });
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['finance.manage'], withPayment(payment, '0', (query, params) => {
+      if (query.includes('INSERT INTO payments')) {
+        return { rows: [{ id: 13, amount: String(params[2]), stripe_refund_id: params[6], refund_of_payment_id: 10 }] };
+      }
+      return undefined;
+    })));
+    require('stripe').__client.refunds.create.mockResolvedValue({
+      id: 're_9', amount: 2550, status: 'succeeded', charge: 'ch_1', created: 1760000000
+    });
+
+    const res = await request(app)
+      .post('/api/v1/finance/payments/10/refund')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ amount: 25.5 });
+
+    expect(res.status).toBe(201);
+    expect(require('stripe').__client.refunds.create).toHaveBeenCalledWith(expect.objectContaining({
+      payment_intent: 'pi_1',
+      amount: 2550
+    }));
+    expect(res.body.data).toMatchObject({ stripe_refund_id: 're_9', amount: '-25.5' });
+  });
+
+  test('requires finance.manage', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions(['finance.view']));
+
+    const res = await request(app)
+      .post('/api/v1/finance/payments/10/refund')
+      .set('Authorization', `Bearer ${generateToken({ permissions: [] })}`)
+      .send({ amount: 10 });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/v1/stripe/checkout-session', () => {
+  const fee = { id: 4, participant_id: 7, total_amount: '300.00', total_paid: '250.00', first_name: 'Alex', last_name: 'Martin' };
+
+  test('an installment is capped at the remaining balance and carries the plan', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions([], (query) => {
+      if (query.includes('FROM participant_fees pf') && query.includes('user_participants')) {
+        return { rows: [fee] };
+      }
+      if (query.includes('FROM payment_plans')) {
+        return { rows: [{ id: 9, amount_per_payment: '100.00' }] };
+      }
+      return undefined;
+    }));
+    require('stripe').__client.checkout.sessions.create.mockResolvedValue({
+      id: 'cs_1', url: 'https://checkout.stripe.com/c/pay/cs_1'
+    });
+
+    const res = await request(app)
+      .post('/api/v1/stripe/checkout-session')
+      .set('Authorization', `Bearer ${generateToken({ roleNames: ['parent'], permissions: [] })}`)
+      .send({ participant_fee_id: 4, payment_plan_id: 9 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toEqual({
+      id: 'cs_1', url: 'https://checkout.stripe.com/c/pay/cs_1', amount: 50, payment_plan_id: 9
+    });
+    const [session] = require('stripe').__client.checkout.sessions.create.mock.calls[0];
+    expect(session.line_items[0].price_data.unit_amount).toBe(5000);
+    expect(session.payment_intent_data.metadata).toMatchObject({ participant_fee_id: '4', payment_plan_id: '9' });
+    expect(session.success_url).toBe('https://unit.example.org/parent-finance?checkout=success');
+
+    const [, feeParams] = queriesMatching(__mPool, 'FROM participant_fees pf')[0];
+    expect(feeParams).toEqual([4, ORG_ID, false, USER_ID]);
+  });
+
+  test('a fee the parent is not linked to is not found', async () => {
+    const { __mClient, __mPool } = require('pg');
+    mockQueryImplementation(__mClient, __mPool, withPermissions([], (query) => {
+      if (query.includes('FROM participant_fees pf') && query.includes('user_participants')) {
+        return { rows: [] };
+      }
+      return undefined;
+    }));
+
+    const res = await request(app)
+      .post('/api/v1/stripe/checkout-session')
+      .set('Authorization', `Bearer ${generateToken({ roleNames: ['parent'], permissions: [] })}`)
+      .send({ participant_fee_id: 4 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('fee_not_found');
+    expect(require('stripe').__client.checkout.sessions.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,645 @@
+/**
+ * Two-Factor Methods Test Suite
+ *
+ * Covers second factors beyond the emailed code:
+ * - TOTP codes follow RFC 6238 and are never accepted twice
+ * - login hands out a two_factor_token and skips the email when the user
+ *   prefers an authenticator
+ * - every factor, the emailed code included, is refused without that token
+ * - organizations can require 2FA for sensitive permissions even with 2FA off
+ *   or from a remembered device
+ * - authenticator secrets are stored encrypted
+ * - confirming the first authenticator issues recovery codes
+ * - removing a factor or replacing recovery codes needs the current password
+ *
+ * @module test/routes-two-factor
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { closeServerResources } = require('./test-helpers');
+const { generateTotpCode, verifyTotpCode, encryptSecret, decryptSecret } = require('../services/twoFactorMethods');
+
+jest.mock('pg', () => {
+  const mClient = {
+    query: jest.fn(),
+    release: jest.fn()
+  };
+  const mPool = {
+    connect: jest.fn(() => Promise.resolve(mClient)),
+    query: jest.fn(),
+    on: jest.fn()
+  };
+  return {
+    Pool: jest.fn(() => mPool),
+    __esModule: true,
+    __mClient: mClient,
+    __mPool: mPool
+  };
+});
+
+const { setupDefaultMocks, mockQueryImplementation } = require('./mock-helpers');
+let app;
+
+const TEST_SECRET = 'testsecret';
+const ORG_ID = 1;
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const SESSION_ID = '22222222-2222-4222-8222-222222222222';
+const EMAIL = 'leader@example.com';
+const PASSWORD = 'SecurePassword123!';
+const TOTP_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const TWO_FACTOR_TOKEN = 'pending-login-token';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+function generateToken() {
+  return jwt.sign({
+    user_id: USER_ID,
+    user_role: 'leader',
+    organizationId: ORG_ID,
+    roleIds: [2],
+    roleNames: ['leader'],
+    permissions: ['participants.view'],
+    sid: SESSION_ID
+  }, TEST_SECRET);
+}
+
+function challengeRow(overrides = {}) {
+  return {
+    id: '55555555-5555-4555-8555-555555555555',
+    user_id: USER_ID,
+    organization_id: ORG_ID,
+    purpose: 'login',
+    token_hash: sha256(TWO_FACTOR_TOKEN),
+    webauthn_challenge: null,
+    attempts: 0,
+    expires_at: new Date(Date.now() + 5 * 60 * 1000),
+    consumed_at: null,
+    ...overrides
+  };
+}
+
+/**
+ * Answer the queries every completed login runs after the second factor.
+ *
+ * @returns {Function} Query handler returning undefined for anything else
+ */
+function completedLoginHandler() {
+  return (query) => {
+    if (query.includes('FROM users u') && query.includes('JOIN user_organizations')) {
+      return { rows: [{ id: USER_ID, email: EMAIL, full_name: 'Test Leader' }] };
+    }
+    if (query.includes('INSERT INTO user_sessions')) {
+      return { rows: [{ id: SESSION_ID }] };
+    }
+    if (query.includes('role_name')) {
+      return { rows: [{ role_id: 2, role_name: 'leader' }] };
+    }
+    if (query.includes('permission_key')) {
+      return { rows: [{ permission_key: 'participants.view' }] };
+    }
+    return undefined;
+  };
+}
+
+beforeAll(() => {
+  process.env.JWT_SECRET_KEY = TEST_SECRET;
+  process.env.ORGANIZATION_ID = ORG_ID.toString();
+  process.env.DB_USER = 'test';
+  process.env.DB_HOST = 'localhost';
+  process.env.DB_NAME = 'testdb';
+  process.env.DB_PASSWORD = 'test';
+  process.env.DB_PORT = '5432';
+
+  app = require('../api');
+});
+
+beforeEach(() => {
+  const { __mClient, __mPool } = require('pg');
+  setupDefaultMocks(__mClient, __mPool);
+  __mClient.query.mockClear();
+  __mClient.release.mockClear();
+  __mPool.connect.mockClear();
+  __mPool.query.mockClear();
+});
+
+afterAll((done) => {
+  closeServerResources(app, done);
+});
+
+describe('TOTP codes', () => {
+  test('match the RFC 6238 SHA-1 test vector', () => {
+    // Secret "12345678901234567890", T = 59s -> 94287082 (last 6 digits)
+    expect(generateTotpCode(TOTP_SECRET, 1)).toBe('287082');
+  });
+
+  test('are accepted within one step of drift and never for a spent step', () => {
+    const now = 1_700_000_000_000;
+    const step = Math.floor(now / 1000 / 30);
+    const code = generateTotpCode(TOTP_SECRET, step - 1);
+
+    expect(verifyTotpCode(TOTP_SECRET, code, { now })).toBe(step - 1);
+    expect(verifyTotpCode(TOTP_SECRET, code, { now, lastUsedStep: step - 1 })).toBeNull();
+    expect(verifyTotpCode(TOTP_SECRET, generateTotpCode(TOTP_SECRET, step - 3), { now })).toBeNull();
+  });
+});
+
+describe('POST /public/login with enrolled factors', () => {
+  let hashedPassword;
+
+  beforeAll(async () => {
+    hashedPassword = await bcrypt.hash(PASSWORD, 10);
+  });
+
+  test('returns a login token and skips the email for authenticator users', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let challengeParams = null;
+    let emailedCode = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('two_factor_preferred_method AS preferred')) {
+        return { rows: [{ preferred: 'totp', has_totp: true, passkey_count: 0, recovery_codes: 10 }] };
+      }
+      if (query.includes('FROM users u')) {
+        return { rows: [{ id: USER_ID, email: EMAIL, password: hashedPassword, is_verified: true, full_name: 'Test Leader' }] };
+      }
+      if (query.includes('INSERT INTO two_factor_challenges')) {
+        challengeParams = params;
+        return { rows: [] };
+      }
+      if (query.includes('INSERT INTO two_factor_codes')) {
+        emailedCode = true;
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/public/login')
+      .send({ email: EMAIL, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.requires_2fa).toBe(true);
+    expect(res.body.message).toBe('2fa_required');
+    expect(res.body.preferred_method).toBe('totp');
+    expect(res.body.two_factor_methods).toEqual(['totp', 'recovery_code', 'email']);
+    expect(res.body.token).toBeUndefined();
+    expect(challengeParams[2]).toBe(sha256(res.body.two_factor_token));
+    expect(emailedCode).toBe(false);
+  });
+
+  test('requires 2FA for sensitive permissions when the organization turned it off', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let challengeCreated = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM users u') && query.includes('u.password')) {
+        return { rows: [{ id: USER_ID, email: EMAIL, password: hashedPassword, is_verified: true, full_name: 'Test Leader' }] };
+      }
+      if (query.includes('FROM organization_settings') && query.includes("'security'")) {
+        return {
+          rows: [{
+            setting_value: { two_factor_disabled: true, two_factor_required_permissions: ['medication.manage'] }
+          }]
+        };
+      }
+      if (query.includes('role_name')) {
+        return { rows: [{ role_id: 3, role_name: 'nurse' }] };
+      }
+      if (query.includes('permission_key')) {
+        return { rows: [{ permission_key: 'medication.manage' }] };
+      }
+      if (query.includes('INSERT INTO two_factor_challenges')) {
+        challengeCreated = true;
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/public/login')
+      .send({ email: EMAIL, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.requires_2fa).toBe(true);
+    expect(res.body.token).toBeUndefined();
+    expect(challengeCreated).toBe(true);
+  });
+
+  test('still skips 2FA when the organization turned it off and no listed permission is held', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM users u') && query.includes('u.password')) {
+        return { rows: [{ id: USER_ID, email: EMAIL, password: hashedPassword, is_verified: true, full_name: 'Test Leader' }] };
+      }
+      if (query.includes('FROM organization_settings') && query.includes("'security'")) {
+        return {
+          rows: [{
+            setting_value: { two_factor_disabled: true, two_factor_required_permissions: ['medication.manage'] }
+          }]
+        };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/login')
+      .send({ email: EMAIL, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.requires_2fa).toBeUndefined();
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  test('asks sensitive permission holders for 2FA on a remembered device', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let trustedDeviceChecked = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM users u') && query.includes('u.password')) {
+        return { rows: [{ id: USER_ID, email: EMAIL, password: hashedPassword, is_verified: true, full_name: 'Test Leader' }] };
+      }
+      if (query.includes('FROM organization_settings') && query.includes("'security'")) {
+        return { rows: [{ setting_value: { two_factor_required_permissions: ['medication.manage'] } }] };
+      }
+      if (query.includes('FROM trusted_devices')) {
+        trustedDeviceChecked = true;
+        return { rows: [{ id: 4, expires_at: new Date(Date.now() + 86400000) }] };
+      }
+      if (query.includes('role_name')) {
+        return { rows: [{ role_id: 3, role_name: 'nurse' }] };
+      }
+      if (query.includes('permission_key')) {
+        return { rows: [{ permission_key: 'medication.manage' }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/public/login')
+      .set('x-device-token', 'remembered-device')
+      .send({ email: EMAIL, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.requires_2fa).toBe(true);
+    expect(res.body.token).toBeUndefined();
+    expect(trustedDeviceChecked).toBe(false);
+  });
+});
+
+describe('POST /public/verify-2fa with other factors', () => {
+  test('completes login with an authenticator code and the login token', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let usedStep = null;
+    let consumed = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('FROM two_factor_challenges') && query.includes('FOR UPDATE')) {
+        return { rows: [challengeRow()] };
+      }
+      if (query.includes('FROM user_totp_factors') && query.includes('FOR UPDATE')) {
+        return { rows: [{ secret: encryptSecret(TOTP_SECRET), last_used_step: null }] };
+      }
+      if (query.includes('UPDATE user_totp_factors SET last_used_step')) {
+        usedStep = params[1];
+        return { rows: [] };
+      }
+      if (query.includes('UPDATE two_factor_challenges') && query.includes('attempts = attempts + 1')) {
+        consumed = params[1] === true;
+        return { rows: [] };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/verify-2fa')
+      .send({
+        email: EMAIL,
+        method: 'totp',
+        code: generateTotpCode(TOTP_SECRET, currentStep()),
+        two_factor_token: TWO_FACTOR_TOKEN
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refresh_token).toEqual(expect.any(String));
+    expect(usedStep).toBe(currentStep());
+    expect(consumed).toBe(true);
+  });
+
+  test('refuses an authenticator code without the login token', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let totpRead = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM user_totp_factors')) {
+        totpRead = true;
+        return { rows: [{ secret: encryptSecret(TOTP_SECRET), last_used_step: null }] };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/verify-2fa')
+      .send({ email: EMAIL, method: 'totp', code: generateTotpCode(TOTP_SECRET, currentStep()) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('two_factor_session_expired');
+    expect(totpRead).toBe(false);
+  });
+
+  test('refuses an emailed code without the login token', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let codeRead = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM two_factor_codes')) {
+        codeRead = true;
+        return { rows: [{ id: 1 }] };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/verify-2fa')
+      .send({ email: EMAIL, code: '123456' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('two_factor_session_expired');
+    expect(codeRead).toBe(false);
+  });
+
+  test('refuses a replayed authenticator code and counts the attempt', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let attemptCounted = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('FROM two_factor_challenges') && query.includes('FOR UPDATE')) {
+        return { rows: [challengeRow()] };
+      }
+      if (query.includes('FROM user_totp_factors') && query.includes('FOR UPDATE')) {
+        return { rows: [{ secret: encryptSecret(TOTP_SECRET), last_used_step: currentStep() + 1 }] };
+      }
+      if (query.includes('UPDATE two_factor_challenges') && query.includes('attempts = attempts + 1')) {
+        attemptCounted = params[1] === false;
+        return { rows: [] };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/verify-2fa')
+      .send({
+        email: EMAIL,
+        method: 'totp',
+        code: generateTotpCode(TOTP_SECRET, currentStep()),
+        two_factor_token: TWO_FACTOR_TOKEN
+      });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('invalid_or_expired_2fa_code');
+    expect(attemptCounted).toBe(true);
+    const statements = __mClient.query.mock.calls.map(([query]) => query);
+    expect(statements).toContain('COMMIT');
+  });
+
+  test('answers 429 once the login token ran out of attempts', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('FROM two_factor_challenges') && query.includes('FOR UPDATE')) {
+        return { rows: [challengeRow({ attempts: 5 })] };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/verify-2fa')
+      .send({ email: EMAIL, method: 'recovery_code', code: 'abcde-12345', two_factor_token: TWO_FACTOR_TOKEN });
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('too_many_attempts');
+  });
+
+  test('consumes a recovery code however it is typed', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let codeParams = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('FROM two_factor_challenges') && query.includes('FOR UPDATE')) {
+        return { rows: [challengeRow()] };
+      }
+      if (query.includes('UPDATE user_recovery_codes SET used_at')) {
+        codeParams = params;
+        return { rows: [{ id: 7 }] };
+      }
+      return completedLoginHandler()(query);
+    });
+
+    const res = await request(app)
+      .post('/public/verify-2fa')
+      .send({ email: EMAIL, method: 'recovery_code', code: ' ABCDE-12345 ', two_factor_token: TWO_FACTOR_TOKEN });
+
+    expect(res.status).toBe(200);
+    expect(codeParams).toEqual([USER_ID, sha256('abcde12345')]);
+  });
+});
+
+describe('POST /public/2fa/email-code', () => {
+  test('refuses an unknown or expired login token', async () => {
+    const res = await request(app)
+      .post('/public/2fa/email-code')
+      .send({ two_factor_token: 'nope' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('two_factor_session_expired');
+  });
+});
+
+describe('/api/v1/users/me/two-factor', () => {
+  let hashedPassword;
+
+  beforeAll(async () => {
+    hashedPassword = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  test('stores the authenticator secret encrypted', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let storedSecret = null;
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('FROM users u')) {
+        return { rows: [{ email: EMAIL, organization_name: 'Unit' }] };
+      }
+      if (query.includes('INSERT INTO user_totp_factors')) {
+        storedSecret = params[1];
+        return { rows: [{ user_id: USER_ID }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/users/me/two-factor/totp')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(storedSecret).not.toContain(res.body.data.secret);
+    expect(decryptSecret(storedSecret)).toBe(res.body.data.secret);
+  });
+
+  test('confirming the first authenticator issues recovery codes', async () => {
+    const { __mClient, __mPool } = require('pg');
+    const storedCodes = [];
+
+    mockQueryImplementation(__mClient, __mPool, (query, params) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('FROM user_totp_factors WHERE user_id = $1 FOR UPDATE')) {
+        return { rows: [{ secret: encryptSecret(TOTP_SECRET), confirmed_at: null }] };
+      }
+      if (query.includes('AS enrolled')) {
+        return { rows: [{ enrolled: false }] };
+      }
+      if (query.includes('INSERT INTO user_recovery_codes')) {
+        storedCodes.push(params[1]);
+        return { rows: [] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/users/me/two-factor/totp/confirm')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ code: generateTotpCode(TOTP_SECRET, currentStep()) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.recovery_codes).toHaveLength(10);
+    expect(storedCodes).toHaveLength(10);
+    expect(storedCodes[0]).toBe(sha256(res.body.data.recovery_codes[0].replace('-', '')));
+  });
+
+  test('rejects a wrong code without enabling the authenticator', async () => {
+    const { __mClient, __mPool } = require('pg');
+    let confirmed = false;
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('FROM user_totp_factors WHERE user_id = $1 FOR UPDATE')) {
+        return { rows: [{ secret: encryptSecret(TOTP_SECRET), confirmed_at: null }] };
+      }
+      if (query.includes('SET confirmed_at = NOW()')) {
+        confirmed = true;
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/users/me/two-factor/totp/confirm')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ code: ['000000', '111111'].find((code) => verifyTotpCode(TOTP_SECRET, code) === null) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('invalid_totp_code');
+    expect(confirmed).toBe(false);
+  });
+
+  test('refuses to prefer a factor that is not enrolled', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('two_factor_preferred_method AS preferred')) {
+        return { rows: [{ preferred: 'email', has_totp: false, passkey_count: 0, recovery_codes: 0 }] };
+      }
+      if (query.includes('SELECT password FROM users')) {
+        return { rows: [{ password: hashedPassword }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .patch('/api/v1/users/me/two-factor/preferred')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ method: 'totp', currentPassword: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('method_not_enrolled');
+  });
+
+  test('refuses a malformed passkey ID before it reaches the database', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .delete('/api/v1/users/me/two-factor/passkeys/not-a-uuid')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(400);
+    expect(__mClient.query.mock.calls.some(([query]) => String(query).includes('user_passkeys'))).toBe(false);
+  });
+
+  test('asks for the current password before removing the authenticator', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      if (query.includes('SELECT password FROM users')) {
+        return { rows: [{ password: hashedPassword }] };
+      }
+      return undefined;
+    });
+    const touchedTotp = () => __mClient.query.mock.calls.some(([query]) => String(query).includes('user_totp_factors'));
+
+    const missing = await request(app)
+      .delete('/api/v1/users/me/two-factor/totp')
+      .set('Authorization', `Bearer ${generateToken()}`);
+    const wrong = await request(app)
+      .delete('/api/v1/users/me/two-factor/totp')
+      .set('Authorization', `Bearer ${generateToken()}`)
+      .send({ currentPassword: 'not-my-password' });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.message).toBe('current_password_required');
+    expect(wrong.status).toBe(403);
+    expect(wrong.body.message).toBe('current_password_incorrect');
+    expect(touchedTotp()).toBe(false);
+  });
+
+  test('refuses new recovery codes without the current password', async () => {
+    const { __mClient, __mPool } = require('pg');
+
+    mockQueryImplementation(__mClient, __mPool, (query) => {
+      if (query.includes('SELECT 1 FROM user_sessions')) {
+        return { rows: [{ '?column?': 1 }] };
+      }
+      return undefined;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/users/me/two-factor/recovery-codes')
+      .set('Authorization', `Bearer ${generateToken()}`);
+
+    expect(res.status).toBe(400);
+    expect(__mClient.query.mock.calls.some(([query]) => String(query).includes('user_recovery_codes'))).toBe(false);
+  });
+});
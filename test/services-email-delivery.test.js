@@ -0,0 +1,218 @@
+/**
+ * Email delivery tracking suite
+ *
+ * What matters is what a delivery report changes:
+ *
+ * - Brevo events and SMTP delivery status notifications reduce to the same
+ *   outcomes; events that say nothing about delivery are ignored;
+ * - an announcement log line only moves towards the more telling outcome;
+ * - a hard bounce flags the guardians with that address, a transient failure
+ *   does not, and a later delivery clears the flag;
+ * - the webhooks refuse calls without the shared secret.
+ *
+ * Driven through a fake pool that records every query.
+ *
+ * @module test/services-email-delivery
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const {
+  normalizeBrevoEvent,
+  normalizeDsnReport,
+  normalizeMessageId,
+  recordDeliveryEvent,
+  isValidWebhookToken,
+  getEmailIssues
+} = require('../services/email-delivery');
+
+function makePool(rows = []) {
+  const query = jest.fn(async () => ({ rows, rowCount: 1 }));
+  return { query };
+}
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('normalizing reports', () => {
+  test('reduces Brevo events and ignores the ones that are not about delivery', () => {
+    const bounce = normalizeBrevoEvent({
+      event: 'hard_bounce',
+      email: 'Parent@Example.com',
+      'message-id': '<202610190900.123@smtp-relay.mailin.fr>',
+      reason: 'unknown user',
+      ts_event: 1792400000
+    });
+
+    expect(bounce).toMatchObject({
+      provider: 'brevo',
+      messageId: '202610190900.123@smtp-relay.mailin.fr',
+      email: 'parent@example.com',
+      event: 'bounced',
+      reason: 'unknown user'
+    });
+    expect(bounce.occurredAt).toEqual(new Date(1792400000 * 1000));
+    expect(normalizeBrevoEvent({ event: 'unique_opened', email: 'a@b.c' }).event).toBe('opened');
+    expect(normalizeBrevoEvent({ event: 'spam', email: 'a@b.c' }).event).toBe('complained');
+    expect(normalizeBrevoEvent({ event: 'soft_bounce', email: 'a@b.c' }).event).toBe('deferred');
+    expect(normalizeBrevoEvent({ event: 'request', email: 'a@b.c' })).toBeNull();
+    expect(normalizeBrevoEvent({ event: 'delivered' })).toBeNull();
+  });
+
+  test('reads DSN actions and status codes', () => {
+    const permanent = normalizeDsnReport({
+      original_message_id: '<abc@relay>',
+      final_recipient: 'rfc822; Parent@Example.com',
+      action: 'failed',
+      status: '5.1.1',
+      diagnostic_code: 'smtp; 550 5.1.1 User unknown'
+    });
+
+    expect(permanent).toMatchObject({
+      provider: 'smtp',
+      messageId: 'abc@relay',
+      email: 'parent@example.com',
+      event: 'bounced',
+      reason: '5.1.1 smtp; 550 5.1.1 User unknown'
+    });
+    expect(normalizeDsnReport({ final_recipient: 'a@b.c', action: 'failed', status: '4.2.2' }).event).toBe('deferred');
+    expect(normalizeDsnReport({ final_recipient: 'a@b.c', action: 'relayed' }).event).toBe('delivered');
+    expect(normalizeDsnReport({ recipient: 'a@b.c', feedback_type: 'abuse' }).event).toBe('complained');
+    expect(normalizeDsnReport({ recipient: 'a@b.c', event: 'opened' }).event).toBe('opened');
+    expect(normalizeDsnReport({ recipient: 'a@b.c', action: 'unknown' })).toBeNull();
+    expect(normalizeDsnReport({ action: 'failed' })).toBeNull();
+  });
+
+  test('compares message ids without their brackets', () => {
+    expect(normalizeMessageId(' <x@y> ')).toBe('x@y');
+    expect(normalizeMessageId('x@y')).toBe('x@y');
+    expect(normalizeMessageId(null)).toBeNull();
+  });
+});
+
+describe('recordDeliveryEvent', () => {
+  const base = {
+    provider: 'brevo',
+    messageId: 'm-1@relay',
+    email: 'parent@example.com',
+    reason: 'unknown user',
+    occurredAt: new Date('2026-10-19T12:00:00Z'),
+    payload: {}
+  };
+
+  test('a hard bounce updates the announcement log and flags the guardians', async () => {
+    const pool = makePool();
+
+    const outcome = await recordDeliveryEvent(pool, { ...base, event: 'bounced' });
+
+    expect(outcome).toEqual({ announcementLogs: 1, guardiansFlagged: 1, guardiansCleared: 0 });
+    const [insertSql, insertParams] = pool.query.mock.calls[0];
+    expect(insertSql).toContain('INSERT INTO email_delivery_events');
+    expect(insertParams.slice(0, 5)).toEqual(['brevo', 'm-1@relay', 'parent@example.com', 'bounced', 'unknown user']);
+
+    const [logSql, logParams] = pool.query.mock.calls[1];
+    expect(logSql).toContain('UPDATE announcement_logs');
+    // Only moves towards the more telling outcome
+    expect(logSql).toContain('array_position($5::text[], delivery_status::text), 0) < array_position($5::text[], $2::text)');
+    expect(logParams[4]).toEqual(['deferred', 'delivered', 'opened', 'bounced', 'complained']);
+
+    const [guardianSql, guardianParams] = pool.query.mock.calls[2];
+    expect(guardianSql).toContain('SET email_invalid_at = $2');
+    expect(guardianParams).toEqual(['parent@example.com', base.occurredAt, 'unknown user']);
+  });
+
+  test('a later delivery clears the flag, a transient failure leaves guardians alone', async () => {
+    const delivered = makePool();
+    const outcome = await recordDeliveryEvent(delivered, { ...base, event: 'delivered' });
+    expect(outcome.guardiansCleared).toBe(1);
+    expect(delivered.query.mock.calls[2][0]).toContain('SET email_invalid_at = NULL');
+    expect(delivered.query.mock.calls[2][0]).toContain('email_invalid_at < $2');
+
+    const deferred = makePool();
+    await recordDeliveryEvent(deferred, { ...base, messageId: null, event: 'deferred' });
+    expect(deferred.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getEmailIssues', () => {
+  test('keeps addresses whose last report is a bounce or a complaint', async () => {
+    const pool = makePool([
+      { email: 'a@example.com', event: 'bounced', reason: 'unknown user', occurred_at: '2026-10-19' },
+      { email: 'b@example.com', event: 'delivered', reason: null, occurred_at: '2026-10-19' },
+      { email: 'c@example.com', event: 'complained', reason: null, occurred_at: '2026-10-18' }
+    ]);
+
+    const issues = await getEmailIssues(pool, ['A@example.com', 'b@example.com', 'c@example.com', null]);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([['a@example.com', 'b@example.com', 'c@example.com']]);
+    expect(issues).toEqual({
+      'a@example.com': { status: 'bounced', reason: 'unknown user', at: '2026-10-19' },
+      'c@example.com': { status: 'complained', reason: null, at: '2026-10-18' }
+    });
+    expect(await getEmailIssues(pool, [])).toEqual({});
+  });
+});
+
+describe('email event webhooks', () => {
+  const originalSecret = process.env.EMAIL_WEBHOOK_SECRET;
+  afterEach(() => {
+    process.env.EMAIL_WEBHOOK_SECRET = originalSecret;
+  });
+
+  function buildApp(pool) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/email-events', require('../routes/email-events')(pool, logger));
+    return app;
+  }
+
+  test('checks the shared secret', async () => {
+    process.env.EMAIL_WEBHOOK_SECRET = 'hook-secret';
+    expect(isValidWebhookToken('hook-secret')).toBe(true);
+    expect(isValidWebhookToken('hook-secreT')).toBe(false);
+    expect(isValidWebhookToken(undefined)).toBe(false);
+    expect(isValidWebhookToken('x', '')).toBe(false);
+
+    const pool = makePool();
+    const refused = await request(buildApp(pool))
+      .post('/api/v1/email-events/brevo')
+      .send({ event: 'delivered', email: 'a@b.c' });
+    expect(refused.status).toBe(401);
+    expect(pool.query).not.toHaveBeenCalled();
+
+    delete process.env.EMAIL_WEBHOOK_SECRET;
+    const unconfigured = await request(buildApp(pool))
+      .post('/api/v1/email-events/brevo?token=anything')
+      .send({ event: 'delivered', email: 'a@b.c' });
+    expect(unconfigured.status).toBe(503);
+  });
+
+  test('records a batch of Brevo events and skips the rest', async () => {
+    process.env.EMAIL_WEBHOOK_SECRET = 'hook-secret';
+    const pool = makePool();
+
+    const res = await request(buildApp(pool))
+      .post('/api/v1/email-events/brevo?token=hook-secret')
+      .send([
+        { event: 'delivered', email: 'a@b.c', 'message-id': '<1@relay>' },
+        { event: 'request', email: 'a@b.c', 'message-id': '<1@relay>' }
+      ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ recorded: 1, ignored: 1 });
+  });
+
+  test('records a DSN posted with the header token', async () => {
+    process.env.EMAIL_WEBHOOK_SECRET = 'hook-secret';
+    const pool = makePool();
+
+    const res = await request(buildApp(pool))
+      .post('/api/v1/email-events/dsn')
+      .set('X-Webhook-Token', 'hook-secret')
+      .send({ final_recipient: 'rfc822; a@b.c', action: 'failed', status: '5.1.1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ recorded: 1, ignored: 0 });
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('UPDATE parents_guardians'))).toBe(true);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Email templates suite
+ *
+ * What matters is what a recipient gets and what a unit may change:
+ *
+ * - an email follows the recipient's language, carries the unit's logo and
+ *   colour, and escapes whatever the sender put in it;
+ * - a unit's wording replaces the default in that language only, and a
+ *   paragraph left empty by its placeholders disappears;
+ * - a unit cannot save wording with placeholders the email does not have,
+ *   nor drop the ones it cannot do without (its link, its code), nor see the
+ *   mails Wampums sends for itself;
+ * - previews use sample values and the unit's real branding.
+ *
+ * Driven through a fake pool that routes on SQL fragments.
+ *
+ * @module test/services-email-templates
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: 'admin-1', role: 'unitadmin' };
+    next();
+  },
+  requirePermission: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 3
+}));
+
+const {
+  renderTemplate,
+  loadEmailContext,
+  validateTemplateOverride,
+  getTemplateDefaults,
+  DEFAULT_PRIMARY_COLOR
+} = require('../services/email-templates');
+
+const BRANDED = {
+  organizationName: '5e Groupe',
+  logoUrl: 'https://unit.wampums.app/logo.png',
+  primaryColor: '#aa3300',
+  overrides: {}
+};
+
+/** Fake pool: organization settings, overrides and domains. */
+function makePool({ info = {}, branding = null, overrides = [] } = {}) {
+  const query = jest.fn(async (sql) => {
+    if (sql.includes('FROM organizations o')) {
+      return { rows: [{ name: 'Groupe', organization_info: info, branding }] };
+    }
+    if (sql.includes('FROM email_template_overrides')) {
+      return { rows: overrides };
+    }
+    if (sql.includes('FROM organization_domains')) {
+      return { rows: [{ domain: 'unit.wampums.app' }] };
+    }
+    return { rows: [] };
+  });
+  return { query };
+}
+
+beforeEach(() => {
+  delete process.env.PUBLIC_BASE_URL;
+  delete process.env.APP_URL;
+});
+
+describe('renderTemplate', () => {
+  test('lays out the default wording in the recipient language with the unit branding', () => {
+    const email = renderTemplate('carpool_driver_added', 'fr', {
+      name: 'Anne',
+      participant: 'Léa <b>',
+      activity: 'Camp',
+      date: '24 octobre 2026'
+    }, {
+      context: BRANDED,
+      lines: ['- Léa <b> (Aller)'],
+      action: { label: 'Voir', url: 'https://unit.wampums.app/carpool/40?a=1&b=2' }
+    });
+
+    expect(email.text).toContain('Bonjour Anne,');
+    expect(email.text).toContain('- Léa <b> (Aller)');
+    expect(email.text).toContain('5e Groupe');
+    expect(email.html).toContain('src="https://unit.wampums.app/logo.png"');
+    expect(email.html).toContain('border-left: 4px solid #aa3300');
+    expect(email.html).toContain('Léa &lt;b&gt; (Aller)');
+    expect(email.html).not.toContain('Léa <b>');
+    expect(email.html).toContain('href="https://unit.wampums.app/carpool/40?a=1&amp;b=2"');
+  });
+
+  test('a unit override replaces the default in its language only, dropping empty paragraphs', () => {
+    const context = {
+      ...BRANDED,
+      overrides: {
+        announcement: { fr: { subject: '[{organization}] {subject}', body: 'Bonjour!\n\n{message}\n\n{unknown}' } }
+      }
+    };
+
+    const french = renderTemplate('announcement', 'fr', { subject: 'Camp', message: '' }, { context });
+    expect(french.subject).toBe('[5e Groupe] Camp');
+    expect(french.text).toBe('Bonjour!\n\n{unknown}');
+
+    const english = renderTemplate('announcement', 'en', { subject: 'Camp', message: 'See you' }, { context });
+    expect(english.subject).toBe('Camp');
+    expect(english.text).toBe('See you');
+  });
+
+  test('falls back to the default layout without an organization', () => {
+    const email = renderTemplate('password_reset', 'en', {}, {
+      action: { label: 'Reset Password', url: 'https://wampums.app/reset-password?token=x' }
+    });
+
+    expect(email.text).toContain('Reset Password: https://wampums.app/reset-password?token=x');
+    expect(email.html).toContain(DEFAULT_PRIMARY_COLOR);
+    expect(email.html).toContain('Wampums');
+  });
+
+  test('refuses an unknown template', () => {
+    expect(() => renderTemplate('newsletter', 'en', {})).toThrow('Unknown email template');
+  });
+});
+
+describe('validateTemplateOverride', () => {
+  test('accepts wording that keeps the required placeholders', () => {
+    const { value, errors } = validateTemplateOverride('password_reset', {
+      subject: ' Reset for {organization} ',
+      body: 'Hello,\r\n\r\n{button}'
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ subject: 'Reset for {organization}', body: 'Hello,\n\n{button}' });
+  });
+
+  test('rejects unknown placeholders, a block in the subject and a missing link', () => {
+    const { errors } = validateTemplateOverride('password_reset', {
+      subject: 'Reset {button}',
+      body: 'Hello {name}'
+    });
+
+    expect(errors.map(({ field, msg }) => `${field}: ${msg}`)).toEqual([
+      'subject: Unknown placeholders: {button}',
+      'body: Unknown placeholders: {name}',
+      'body: Required placeholders missing: {button}'
+    ]);
+  });
+
+  test('every default passes its own validation', () => {
+    const { EMAIL_TEMPLATES } = require('../services/email-templates');
+    for (const key of Object.keys(EMAIL_TEMPLATES)) {
+      for (const language of ['en', 'fr']) {
+        expect([key, language, validateTemplateOverride(key, getTemplateDefaults(key, language)).errors]).toEqual([key, language, []]);
+      }
+    }
+  });
+});
+
+describe('loadEmailContext', () => {
+  test('reads the unit name, logo, colour and overrides', async () => {
+    const pool = makePool({
+      info: { name: '5e Groupe', logo: '/assets/logo.png' },
+      branding: { primary_color: '#AA3300' },
+      overrides: [{ template_key: 'announcement', language: 'fr', subject: 'S', body: 'B' }]
+    });
+
+    const context = await loadEmailContext(pool, 3);
+
+    expect(context).toEqual({
+      organizationName: '5e Groupe',
+      logoUrl: 'https://unit.wampums.app/assets/logo.png',
+      primaryColor: '#AA3300',
+      overrides: { announcement: { fr: { subject: 'S', body: 'B' } } }
+    });
+  });
+
+  test('an invalid colour falls back to the default', async () => {
+    const context = await loadEmailContext(makePool({ branding: { primary_color: 'red;' } }), 3);
+    expect(context.primaryColor).toBe(DEFAULT_PRIMARY_COLOR);
+    expect(context.organizationName).toBe('Groupe');
+  });
+});
+
+describe('email template routes', () => {
+  function buildApp(pool) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/email-templates', require('../routes/email-templates')(pool));
+    return app;
+  }
+
+  test('lists each template with its defaults and the unit override', async () => {
+    const pool = makePool({
+      overrides: [{ template_key: 'announcement', language: 'fr', subject: 'S', body: '{message}', updated_at: '2026-10-19' }]
+    });
+
+    const res = await request(buildApp(pool)).get('/api/v1/email-templates');
+
+    expect(res.status).toBe(200);
+    const announcement = res.body.data.templates.find(({ key }) => key === 'announcement');
+    expect(announcement.languages.fr.override).toEqual({ subject: 'S', body: '{message}', updated_at: '2026-10-19' });
+    expect(announcement.languages.en.override).toBeNull();
+    expect(res.body.data.templates.some(({ key }) => key === 'demo_request')).toBe(false);
+    expect(res.body.data.branding.primary_color).toBe(DEFAULT_PRIMARY_COLOR);
+  });
+
+  test('saves valid wording, refuses invalid wording and unknown templates', async () => {
+    const pool = makePool();
+    pool.query.mockImplementationOnce(async () => ({ rows: [{ template_key: 'password_reset', language: 'fr' }] }));
+    const app = buildApp(pool);
+
+    const saved = await request(app)
+      .put('/api/v1/email-templates/password_reset/fr')
+      .send({ subject: 'Mot de passe', body: 'Bonjour,\n\n{button}' });
+    expect(saved.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (organization_id, template_key, language)');
+    expect(params).toEqual([3, 'password_reset', 'fr', 'Mot de passe', 'Bonjour,\n\n{button}', 'admin-1']);
+
+    const invalid = await request(app)
+      .put('/api/v1/email-templates/password_reset/fr')
+      .send({ subject: 'Mot de passe', body: 'Bonjour' });
+    expect(invalid.status).toBe(400);
+
+    expect((await request(app).put('/api/v1/email-templates/newsletter/fr').send({})).status).toBe(404);
+    expect((await request(app).put('/api/v1/email-templates/password_reset/uk').send({})).status).toBe(404);
+    expect((await request(app).put('/api/v1/email-templates/demo_request/en').send({})).status).toBe(404);
+  });
+
+  test('previews unsaved wording with sample values', async () => {
+    const res = await request(buildApp(makePool({ branding: { primary_color: '#112233' } })))
+      .post('/api/v1/email-templates/carpool_reminder_driver/preview')
+      .send({ language: 'en', subject: 'Driving {activity}', body: '{details}\n\n{button}' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.subject).toBe('Driving Camp');
+    expect(res.body.data.html).toContain('#112233');
+    expect(res.body.data.text).toContain('- Léa Gagnon');
+  });
+
+  test('resetting a template without an override is not found', async () => {
+    const res = await request(buildApp(makePool())).delete('/api/v1/email-templates/announcement/fr');
+    expect(res.status).toBe(404);
+  });
+});
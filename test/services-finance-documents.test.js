@@ -0,0 +1,289 @@
+/**
+ * Family statements and year-end receipts — service suite
+ *
+ * What matters is who gets a receipt, with which number, and what it says:
+ *
+ * - children are grouped under their primary guardian, so a family gets one
+ *   receipt and children without a guardian contact are reported instead;
+ * - numbers continue the organization's sequence, and a family that already
+ *   has a receipt for the year is not issued a second one;
+ * - emailed receipts carry the PDF and are marked so they are not resent.
+ *
+ * Driven through a fake pool; PDFs are rendered for real.
+ *
+ * @module test/services-finance-documents
+ */
+
+const sentEmails = [];
+
+jest.mock('../utils/index', () => {
+  const actual = jest.requireActual('../utils/index');
+  return {
+    ...actual,
+    sendEmail: jest.fn(async (to, subject, message, html, fromName, attachments) => {
+      // eslint-disable-next-line no-undef
+      global.__financeDocumentsTestState.sentEmails.push({ to, subject, message, html, attachments });
+      return true;
+    }),
+    getUserEmailLanguage: jest.fn(async () => 'fr')
+  };
+});
+
+global.__financeDocumentsTestState = { sentEmails };
+
+const {
+  groupContributionsByFamily,
+  issueTaxReceipts,
+  emailTaxReceipts,
+  normalizeReceiptSettings,
+  buildReceiptEmail
+} = require('../services/financeDocuments');
+const { renderTaxReceiptPdf, renderFamilyStatementPdf, formatMoney } = require('../services/financePdf');
+
+const ORG_ID = 4;
+
+function contribution(overrides = {}) {
+  return {
+    participant_id: 30,
+    first_name: 'Léa',
+    last_name: 'Tremblay',
+    guardian_id: 7,
+    guardian_first_name: 'Marie',
+    guardian_last_name: 'Tremblay',
+    guardian_email: 'marie@example.org',
+    fees_amount: '120.00',
+    donations_amount: '0',
+    ...overrides
+  };
+}
+
+/**
+ * Fake pool for issuing: `contributions` feed the year query, `existing`
+ * holds guardians already receipted and `lastNumber` the stored sequence.
+ */
+function makeIssuePool({ contributions, existing = [], lastNumber = 0 }) {
+  const inserted = [];
+  const state = { lastNumber, inserted, committed: false };
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('INSERT INTO receipt_sequences')) {
+        return { rows: [{ last_number: state.lastNumber }] };
+      }
+      if (sql.includes('SELECT guardian_id FROM tax_receipts')) {
+        return { rows: existing.map((guardianId) => ({ guardian_id: guardianId })) };
+      }
+      if (sql.includes('INSERT INTO tax_receipts')) {
+        const row = { id: inserted.length + 1, receipt_number: params[1], guardian_id: params[3], total_amount: params[9] };
+        inserted.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('UPDATE receipt_sequences')) {
+        state.lastNumber = params[1];
+      }
+      if (sql === 'COMMIT') {
+        state.committed = true;
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  const pool = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('WITH primary_guardian')) {
+        return { rows: contributions };
+      }
+      return { rows: [] };
+    }),
+    connect: jest.fn(async () => client)
+  };
+  return { pool, client, state };
+}
+
+beforeEach(() => {
+  sentEmails.length = 0;
+});
+
+describe('groupContributionsByFamily', () => {
+  test('siblings under one primary guardian share a receipt', () => {
+    const { families, unassigned } = groupContributionsByFamily([
+      contribution(),
+      contribution({ participant_id: 31, first_name: 'Noah', fees_amount: '80.00', donations_amount: '25.50' }),
+      contribution({ participant_id: 40, guardian_id: 9, guardian_first_name: 'Paul', guardian_last_name: 'Roy', fees_amount: '60' })
+    ]);
+
+    expect(families).toHaveLength(2);
+    expect(families[0]).toMatchObject({
+      guardian_id: 7,
+      recipient_name: 'Marie Tremblay',
+      fees_amount: 200,
+      donations_amount: 25.5,
+      total_amount: 225.5
+    });
+    expect(families[0].participants.map((child) => child.first_name)).toEqual(['Léa', 'Noah']);
+    expect(unassigned).toEqual([]);
+  });
+
+  test('children without a guardian contact are reported, not receipted', () => {
+    const { families, unassigned } = groupContributionsByFamily([
+      contribution({ guardian_id: null })
+    ]);
+
+    expect(families).toEqual([]);
+    expect(unassigned).toEqual([{ id: 30, first_name: 'Léa', last_name: 'Tremblay' }]);
+  });
+});
+
+describe('issueTaxReceipts', () => {
+  test('numbers new receipts after the last one issued', async () => {
+    const { pool, state } = makeIssuePool({
+      contributions: [contribution(), contribution({ participant_id: 40, guardian_id: 9 })],
+      lastNumber: 12
+    });
+
+    const result = await issueTaxReceipts(pool, ORG_ID, 2025, { issuedBy: 'user-1' });
+
+    expect(result.issued.map((receipt) => receipt.receipt_number)).toEqual([13, 14]);
+    expect(state.lastNumber).toBe(14);
+    expect(state.committed).toBe(true);
+  });
+
+  test('families already receipted for the year are skipped', async () => {
+    const { pool, state } = makeIssuePool({
+      contributions: [contribution(), contribution({ participant_id: 40, guardian_id: 9 })],
+      existing: [7],
+      lastNumber: 3
+    });
+
+    const result = await issueTaxReceipts(pool, ORG_ID, 2025);
+
+    expect(result.issued).toHaveLength(1);
+    expect(result.issued[0]).toMatchObject({ guardian_id: 9, receipt_number: 4 });
+    expect(result.already_issued).toBe(1);
+    expect(state.lastNumber).toBe(4);
+  });
+
+  test('a failed insert rolls back and releases the client', async () => {
+    const { pool, client } = makeIssuePool({ contributions: [contribution()] });
+    const original = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO tax_receipts')) {
+        throw new Error('duplicate key');
+      }
+      return original(sql, params);
+    });
+
+    await expect(issueTaxReceipts(pool, ORG_ID, 2025)).rejects.toThrow('duplicate key');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('emailTaxReceipts', () => {
+  test('attaches the PDF and marks the receipt emailed', async () => {
+    const receipt = {
+      id: 5,
+      receipt_number: 13,
+      tax_year: 2025,
+      guardian_id: 7,
+      recipient_name: 'Marie Tremblay',
+      recipient_email: 'marie@example.org',
+      participants: [{ id: 30, first_name: 'Léa', last_name: 'Tremblay' }],
+      fees_amount: '120.00',
+      donations_amount: '0.00',
+      total_amount: '120.00',
+      issued_at: new Date('2026-01-15T15:00:00Z')
+    };
+    const queries = [];
+    const pool = {
+      query: jest.fn(async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('FROM tax_receipts')) return { rows: [receipt, { ...receipt, id: 6, recipient_email: null }] };
+        if (sql.includes('FROM organizations o')) return { rows: [{ name: '5e Groupe' }] };
+        return { rows: [] };
+      })
+    };
+
+    await expect(emailTaxReceipts(pool, ORG_ID, 2025)).resolves.toEqual({ sent: 1, failed: 0, skipped: 1 });
+
+    expect(sentEmails).toHaveLength(1);
+    expect(sentEmails[0].subject).toBe('Reçu 2025 de 5e Groupe');
+    expect(sentEmails[0].attachments[0].filename).toBe('receipt-2025-13.pdf');
+    expect(sentEmails[0].attachments[0].content.subarray(0, 4).toString()).toBe('%PDF');
+    expect(queries.some(({ sql, params }) => sql.includes('SET emailed_at') && params[0] === 5)).toBe(true);
+  });
+});
+
+describe('buildReceiptEmail', () => {
+  test('escapes names in the HTML body', () => {
+    const message = buildReceiptEmail({
+      language: 'en',
+      organizationName: 'Scouts <b>',
+      receipt: { tax_year: 2025, recipient_name: 'A & B' }
+    });
+
+    expect(message.html).toContain('A &amp; B');
+    expect(message.html).not.toContain('<b>');
+    expect(message.text).toContain('Scouts <b>');
+  });
+});
+
+describe('normalizeReceiptSettings', () => {
+  test('trims fields and fills missing ones', () => {
+    expect(normalizeReceiptSettings({ registration_number: ' 1234 RR0001 ' })).toEqual({
+      value: { registration_number: '1234 RR0001', address: '', signatory_name: '', signatory_title: '' }
+    });
+  });
+
+  test('rejects non-text and overlong values', () => {
+    expect(normalizeReceiptSettings({ address: 42 })).toEqual({ error: 'invalid_receipt_settings' });
+    expect(normalizeReceiptSettings({ registration_number: 'x'.repeat(51) })).toEqual({ error: 'invalid_receipt_settings' });
+  });
+});
+
+describe('PDF rendering', () => {
+  const issuer = { name: '5e Groupe', address: '1 rue Principale', registration_number: '1234', signatory_name: 'Ana', signatory_title: 'Trésorière' };
+
+  test('French amounts print with a no-break space Helvetica can encode', () => {
+    expect(formatMoney(1234.5, 'fr')).toBe('1\u00a0234,50\u00a0$');
+  });
+
+  test('renders a receipt and a family statement', async () => {
+    const receipt = await renderTaxReceiptPdf({
+      issuer,
+      language: 'fr',
+      receipt: {
+        receipt_number: 1,
+        tax_year: 2025,
+        issued_at: new Date(),
+        recipient_name: 'Marie Tremblay',
+        participants: [{ first_name: 'Léa', last_name: 'Tremblay' }],
+        fees_amount: 120,
+        donations_amount: 0,
+        total_amount: 120
+      }
+    });
+    const statement = await renderFamilyStatementPdf({
+      issuer,
+      language: 'en',
+      statement: {
+        participants: [{
+          id: 30,
+          first_name: 'Léa',
+          last_name: 'Tremblay',
+          fees: [{
+            year_start: '2025-09-01',
+            year_end: '2026-06-30',
+            total_amount: 200,
+            total_paid: 120,
+            outstanding: 80,
+            payments: [{ payment_date: '2025-09-15', amount: 120, method: 'cash' }]
+          }]
+        }],
+        totals: { total_billed: 200, total_paid: 120, total_outstanding: 80 }
+      }
+    });
+
+    expect(receipt.subarray(0, 4).toString()).toBe('%PDF');
+    expect(statement.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Google Chat bot suite
+ *
+ * - only tokens Chat signed for a saved project number get through;
+ * - commands are read from slash commands and mentions, in English or French;
+ * - a command answers for the space's organization, with the sender's
+ *   permissions, in their language;
+ * - Mark given and Approve act once, refuse demo accounts, and refresh the card.
+ *
+ * Driven through a fake pool that records every query.
+ *
+ * @module test/services-google-chat-bot
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const {
+  CHAT_ISSUER,
+  verifyChatRequest,
+  parseCommand,
+  escapeCardText,
+  handleChatEvent
+} = require('../services/google-chat-bot');
+
+const ORGANIZATION_ID = 7;
+const PROJECT_NUMBER = '123456789012';
+const USER_ID = '550e8400-e29b-41d4-a716-446655440000';
+const SPACE = 'spaces/LEADERS';
+const NOW = new Date('2026-10-19T18:30:00Z');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const certs = { 'chat-key': publicKey.export({ type: 'spki', format: 'pem' }) };
+
+/**
+ * @param {Object} [claims] - Claims overriding Chat's
+ * @returns {string} Authorization header
+ */
+function chatToken(claims = {}) {
+  const token = jwt.sign(
+    { iss: CHAT_ISSUER, aud: PROJECT_NUMBER, ...claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'chat-key', ...(claims.exp ? {} : { expiresIn: '5m' }) }
+  );
+  return `Bearer ${token}`;
+}
+
+/**
+ * @param {Object} [member] - Sender, null when not a member
+ * @param {Function} [answer] - Returns rows for other queries, or undefined for none
+ */
+function makePool(member = { id: USER_ID, full_name: 'Hélène Gagnon', permissions: [], is_demo: false }, answer = () => undefined) {
+  const client = {
+    query: jest.fn(async (sql, params = []) => {
+      const rows = answer(sql, params);
+      return { rows: rows || [], rowCount: rows ? rows.length : 0 };
+    }),
+    release: jest.fn()
+  };
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.includes('FROM google_chat_spaces s')) {
+      return { rows: params[0] === SPACE && params[1] === PROJECT_NUMBER ? [{ organization_id: ORGANIZATION_ID }] : [] };
+    }
+    if (sql.includes('AS is_demo')) {
+      return { rows: member ? [member] : [] };
+    }
+    if (sql.includes('SELECT language_preference FROM users')) {
+      return { rows: [{ language_preference: 'en' }] };
+    }
+    const rows = answer(sql, params);
+    return { rows: rows || [], rowCount: rows ? rows.length : 0 };
+  });
+  return { query, connect: jest.fn(async () => client), client };
+}
+
+/** @returns {Object[]} Widgets of every section of the answer's card */
+const widgetsOf = (reply) => reply.cardsV2[0].card.sections.flatMap((section) => section.widgets);
+
+const leader = (permissions, extra = {}) => ({ id: USER_ID, full_name: 'Hélène Gagnon', permissions, is_demo: false, ...extra });
+
+const message = (text) => ({
+  type: 'MESSAGE',
+  space: { name: SPACE },
+  user: { email: 'helene@example.org' },
+  message: { text, argumentText: text }
+});
+
+const click = (name, parameters) => ({
+  type: 'CARD_CLICKED',
+  space: { name: SPACE },
+  user: { email: 'helene@example.org' },
+  common: { invokedFunction: name, parameters }
+});
+
+describe('verifyChatRequest', () => {
+  const pool = () => ({ query: jest.fn().mockResolvedValue({ rows: [{ project_number: PROJECT_NUMBER }] }) });
+
+  test('accepts a token Chat signed for a saved project number', async () => {
+    expect(await verifyChatRequest(pool(), chatToken(), { certs })).toBe(PROJECT_NUMBER);
+  });
+
+  test('refuses other projects, other issuers, expired and missing tokens', async () => {
+    expect(await verifyChatRequest(pool(), chatToken({ aud: '999999999999' }), { certs })).toBeNull();
+    expect(await verifyChatRequest(pool(), chatToken({ iss: 'someone@example.org' }), { certs })).toBeNull();
+    expect(await verifyChatRequest(pool(), chatToken({ exp: Math.floor(Date.now() / 1000) - 3600 }), { certs })).toBeNull();
+
+    const unused = pool();
+    expect(await verifyChatRequest(unused, undefined, { certs })).toBeNull();
+    expect(unused.query).not.toHaveBeenCalled();
+  });
+
+  test('the events endpoint answers 401 without a valid token', async () => {
+    process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'google-chat-bot-secret';
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/google-chat', require('../routes/google-chat')(pool(), { info: jest.fn(), error: jest.fn() }));
+
+    const res = await request(app).post('/api/v1/google-chat/events').send(message('/next meeting'));
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('parseCommand', () => {
+  test('reads slash commands and mentions, in English or French', () => {
+    expect(parseCommand({
+      text: '/attendance today',
+      argumentText: ' today',
+      annotations: [{ type: 'SLASH_COMMAND', slashCommand: { commandName: '/attendance', commandId: '1' } }]
+    })).toEqual({ name: 'attendance', args: ['today'] });
+    expect(parseCommand({ argumentText: ' /medication due' })).toEqual({ name: 'medication', args: ['due'] });
+    expect(parseCommand({ argumentText: 'Prochaine réunion' })).toEqual({ name: 'next', args: ['réunion'] });
+    expect(parseCommand({ argumentText: 'Présences 2026-10-17' })).toEqual({ name: 'attendance', args: ['2026-10-17'] });
+    expect(parseCommand({ argumentText: 'hello there' }).name).toBe('help');
+    expect(parseCommand(undefined).name).toBe('help');
+  });
+
+  test('keeps names out of card markup', () => {
+    expect(escapeCardText('Léo <b>& co</b>')).toBe('Léo &lt;b&gt;&amp; co&lt;/b&gt;');
+  });
+});
+
+describe('commands', () => {
+  test('answers only in a space registered for the signing project', async () => {
+    const pool = makePool();
+    const reply = await handleChatEvent(pool, { ...message('/badges'), space: { name: 'spaces/OTHER' } }, { projectNumber: PROJECT_NUMBER, now: NOW });
+
+    // No organization, so no language to go by: the default, French
+    expect(reply.text).toMatch(/pas inscrit/);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('tells a sender who is not a member, and one without the permission', async () => {
+    expect((await handleChatEvent(makePool(null), message('/badges'), { projectNumber: PROJECT_NUMBER, now: NOW })).text)
+      .toMatch(/helene@example\.org/);
+    expect((await handleChatEvent(makePool(leader(['attendance.view'])), message('/badges'), { projectNumber: PROJECT_NUMBER, now: NOW })).text)
+      .toBe("Your roles don't allow this.");
+  });
+
+  test('/attendance counts each status and names who was not there', async () => {
+    const pool = makePool(leader(['attendance.view']), (sql) => (sql.includes('FROM attendance a') ? [
+      { status: 'present', first_name: 'Léo', last_name: 'Roy' },
+      { status: 'present', first_name: 'Maya', last_name: 'Côté' },
+      { status: 'absent', first_name: 'Noé', last_name: 'Lavoie' },
+      { status: 'excused', first_name: 'Zoé', last_name: 'Tremblay' }
+    ] : undefined));
+
+    const reply = await handleChatEvent(pool, message('/attendance 2026-10-17'), { projectNumber: PROJECT_NUMBER, now: NOW });
+
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('FROM attendance a'));
+    expect(params).toEqual([ORGANIZATION_ID, '2026-10-17']);
+    const widgets = widgetsOf(reply);
+    expect(widgets.slice(0, 4).map(({ decoratedText }) => [decoratedText.topLabel, decoratedText.text]))
+      .toEqual([['Present', '2'], ['Late', '0'], ['Absent', '1'], ['Excused', '1']]);
+    expect(widgets[4].textParagraph.text).toBe('Noé Lavoie (Absent)<br>Zoé Tremblay (Excused)');
+  });
+
+  test('/medication due offers Mark given only to those who may give doses', async () => {
+    const dose = {
+      id: 31, scheduled_for: '2026-10-19T18:00:00Z', activity_name: 'Camp', medication_name: 'Ventolin',
+      first_name: 'Léo', last_name: 'Roy'
+    };
+    const answer = (sql) => (sql.includes('FROM medication_distributions md') ? [dose] : undefined);
+
+    const viewer = await handleChatEvent(makePool(leader(['medication.view']), answer), message('/medication due'), { projectNumber: PROJECT_NUMBER, now: NOW });
+    expect(widgetsOf(viewer)[0].decoratedText.button).toBeUndefined();
+    expect(widgetsOf(viewer)[0].decoratedText.topLabel).toMatch(/Overdue$/);
+
+    const manager = await handleChatEvent(makePool(leader(['medication.view', 'medication.manage']), answer), message('/medication due'), { projectNumber: PROJECT_NUMBER, now: NOW });
+    expect(widgetsOf(manager)[0].decoratedText.button.onClick.action).toEqual({
+      function: 'give_medication',
+      parameters: [{ key: 'distributionId', value: '31' }]
+    });
+  });
+});
+
+describe('card buttons', () => {
+  test('Mark given records the dose once, audits it and refreshes the card', async () => {
+    let given = false;
+    const pool = makePool(leader(['medication.view', 'medication.manage']), (sql) => {
+      if (sql.includes('WHERE md.id = $1')) {
+        return [{ id: 31, status: given ? 'given' : 'scheduled', medication_name: 'Ventolin', first_name: 'Léo', last_name: 'Roy' }];
+      }
+      if (sql.includes("SET status = 'given'")) {
+        given = true;
+        return [{ id: 31, status: 'given' }];
+      }
+      return undefined;
+    });
+
+    const reply = await handleChatEvent(pool, click('give_medication', { distributionId: '31' }), { projectNumber: PROJECT_NUMBER, now: NOW });
+
+    expect(reply.actionResponse).toEqual({ type: 'UPDATE_MESSAGE' });
+    expect(widgetsOf(reply)[0].textParagraph.text).toBe('<b>Ventolin given to Léo Roy.</b>');
+    const [, updateParams] = pool.query.mock.calls.find(([sql]) => sql.includes("SET status = 'given'"));
+    expect(updateParams).toEqual([31, ORGANIZATION_ID, USER_ID]);
+    const [, auditParams] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(auditParams.slice(0, 5)).toEqual([ORGANIZATION_ID, USER_ID, 'update', 'medication_distribution', '31']);
+
+    const again = await handleChatEvent(pool, click('give_medication', { distributionId: '31' }), { projectNumber: PROJECT_NUMBER, now: NOW });
+    expect(widgetsOf(again)[0].textParagraph.text).toBe('<b>This dose was already given.</b>');
+    expect(pool.query.mock.calls.filter(([sql]) => sql.includes("SET status = 'given'"))).toHaveLength(1);
+  });
+
+  test('Approve awards the badge points once', async () => {
+    const pool = makePool(leader(['badges.view', 'badges.approve']), (sql, params) => {
+      if (sql.includes("AND status = 'pending'") && sql.includes('FOR UPDATE')) {
+        return params[0] === 12 ? [{ id: 12, participant_id: 40 }] : [];
+      }
+      if (sql.includes('FROM participant_groups')) return [{ group_id: 3 }];
+      if (sql.includes('WHERE bp.id = $1')) return [{ first_name: 'Léo', last_name: 'Roy', badge_name: 'Campeur' }];
+      return undefined;
+    });
+
+    const reply = await handleChatEvent(pool, click('approve_badge', { badgeId: '12' }), { projectNumber: PROJECT_NUMBER, now: NOW });
+
+    expect(widgetsOf(reply)[0].textParagraph.text).toMatch(/^<b>Campeur approved for Léo Roy \(\+\d+ points\)\.<\/b>$/);
+    const [, pointParams] = pool.client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO points'));
+    expect(pointParams.slice(0, 3)).toEqual([40, 3, ORGANIZATION_ID]);
+    expect(pool.client.query).toHaveBeenCalledWith('COMMIT');
+
+    const gone = await handleChatEvent(pool, click('approve_badge', { badgeId: '13' }), { projectNumber: PROJECT_NUMBER, now: NOW });
+    expect(widgetsOf(gone)[0].textParagraph.text).toBe('<b>This badge is no longer awaiting approval.</b>');
+  });
+
+  test('demo accounts and members without the permission cannot act', async () => {
+    const demo = makePool(leader(['medication.manage'], { is_demo: true }));
+    expect((await handleChatEvent(demo, click('give_medication', { distributionId: '31' }), { projectNumber: PROJECT_NUMBER, now: NOW })).text)
+      .toBe('Not available in demo mode.');
+
+    const viewer = makePool(leader(['badges.view']));
+    expect((await handleChatEvent(viewer, click('approve_badge', { badgeId: '12' }), { projectNumber: PROJECT_NUMBER, now: NOW })).text)
+      .toBe("Your roles don't allow this.");
+
+    for (const pool of [demo, viewer]) {
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('UPDATE'))).toBe(false);
+      expect(pool.connect).not.toHaveBeenCalled();
+    }
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Background job queue — service suite
+ *
+ * What matters is what happens to a job after each attempt:
+ *
+ * - a job that succeeds is completed, a recurring one goes back to pending
+ *   for its next run;
+ * - a failed attempt is retried later, each time waiting twice as long;
+ * - once its attempts are used up a job is dead, and a recurring one keeps
+ *   a dead copy for the record while its schedule carries on;
+ * - only known job types can be queued;
+ * - administrators see their organization's jobs, district administrators
+ *   system jobs too, and retry only dead or pending ones, never a second copy
+ *   of a job already queued.
+ *
+ * Driven through a fake pool that hands out the given jobs once, as the
+ * claiming UPDATE would.
+ *
+ * @module test/services-job-queue
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+let mockRoles = ['unitadmin'];
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: 'admin-1', role: 'unitadmin' };
+    next();
+  },
+  requirePermission: () => (req, _res, next) => {
+    req.userRoles = mockRoles;
+    next();
+  },
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 3
+}));
+
+const JobQueue = require('../services/job-queue');
+const { JOB_TYPES, backoffSeconds, enqueueJob } = JobQueue;
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function job(overrides = {}) {
+  return {
+    id: 7,
+    organization_id: 3,
+    type: JOB_TYPES.SCHEDULED_ANNOUNCEMENTS,
+    payload: { announcement_id: 12 },
+    status: 'running',
+    attempts: 1,
+    max_attempts: 5,
+    repeat_every_seconds: null,
+    run_at: '2026-10-19T18:00:00.000Z',
+    ...overrides
+  };
+}
+
+/** Fake pool: the first claim returns `jobs`, later claims nothing. */
+function makePool(jobs) {
+  const queries = [];
+  let pending = jobs;
+  const query = jest.fn(async (sql, params) => {
+    queries.push({ sql, params });
+    if (sql.includes("SET status = 'running'")) {
+      const claimed = pending;
+      pending = [];
+      return { rows: claimed };
+    }
+    return { rows: [] };
+  });
+  return { query, queries };
+}
+
+function updatesOf(pool) {
+  return pool.queries.filter(({ sql }) => !sql.includes("SET status = 'running'") && !sql.includes('locked_at < CURRENT_TIMESTAMP'));
+}
+
+describe('backoffSeconds', () => {
+  test('doubles after each failed attempt, up to six hours', () => {
+    expect([1, 2, 3, 4].map((attempts) => backoffSeconds(attempts))).toEqual([30, 60, 120, 240]);
+    expect(backoffSeconds(3, 10)).toBe(40);
+    expect(backoffSeconds(30)).toBe(6 * 60 * 60);
+  });
+});
+
+describe('enqueueJob', () => {
+  test('queues a known type with its organization, run time and key', async () => {
+    const pool = makePool([]);
+    const runAt = new Date('2026-10-20T12:00:00Z');
+
+    await enqueueJob(pool, JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, { announcement_id: 12 }, {
+      organizationId: 3,
+      runAt,
+      uniqueKey: 'announcement:12'
+    });
+
+    const [{ sql, params }] = pool.queries;
+    expect(sql).toContain('ON CONFLICT (unique_key)');
+    expect(params).toEqual([3, JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, '{"announcement_id":12}', runAt, 5, 0, 'announcement:12']);
+  });
+
+  test('refuses an unknown type', async () => {
+    const pool = makePool([]);
+    await expect(enqueueJob(pool, 'emails.unknown', {})).rejects.toThrow('Unknown job type');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('JobQueue.runDueJobs', () => {
+  test('a job that succeeds is completed with its payload handled', async () => {
+    const pool = makePool([job()]);
+    const handler = jest.fn(async () => {});
+    const queue = new JobQueue(pool, logger);
+    queue.register(JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, handler);
+
+    await expect(queue.runDueJobs()).resolves.toBe(1);
+
+    expect(handler).toHaveBeenCalledWith({ announcement_id: 12 }, expect.objectContaining({ id: 7 }));
+    const [update] = updatesOf(pool);
+    expect(update.sql).toContain("SET status = 'completed'");
+    expect(update.params).toEqual([7]);
+  });
+
+  test('only registered types are claimed', async () => {
+    const pool = makePool([]);
+    const queue = new JobQueue(pool, logger);
+    queue.register(JOB_TYPES.PAYMENT_REMINDERS, async () => {});
+
+    await queue.runDueJobs();
+
+    const claim = pool.queries.find(({ sql }) => sql.includes("SET status = 'running'"));
+    expect(claim.params[1]).toEqual([JOB_TYPES.PAYMENT_REMINDERS]);
+  });
+
+  test('a recurring job goes back to pending for its next run', async () => {
+    const pool = makePool([job({ type: JOB_TYPES.PAYMENT_REMINDERS, payload: {}, repeat_every_seconds: 3600 })]);
+    const queue = new JobQueue(pool, logger);
+    queue.register(JOB_TYPES.PAYMENT_REMINDERS, async () => {});
+
+    await queue.runDueJobs();
+
+    const [update] = updatesOf(pool);
+    expect(update.sql).toContain("SET status = 'pending', attempts = 0");
+    expect(update.sql).toContain('make_interval(secs => repeat_every_seconds)');
+  });
+
+  test('a failed attempt is retried after a backoff, keeping the error', async () => {
+    const pool = makePool([job({ attempts: 3 })]);
+    const queue = new JobQueue(pool, logger);
+    queue.register(JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, async () => {
+      throw new Error('SMTP unavailable');
+    }, { backoffSeconds: 60 });
+
+    await queue.runDueJobs();
+
+    const [update] = updatesOf(pool);
+    expect(update.sql).toContain("SET status = 'pending', last_error = $2");
+    expect(update.params[0]).toBe(7);
+    expect(update.params[1]).toContain('SMTP unavailable');
+    expect(update.params[2]).toBe(240);
+  });
+
+  test('a job out of attempts is dead', async () => {
+    const pool = makePool([job({ attempts: 5 })]);
+    const queue = new JobQueue(pool, logger);
+    queue.register(JOB_TYPES.SCHEDULED_ANNOUNCEMENTS, async () => {
+      throw new Error('Announcement not found');
+    });
+
+    await queue.runDueJobs();
+
+    const updates = updatesOf(pool);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].sql).toContain("SET status = 'dead'");
+    expect(updates[0].params[1]).toContain('Announcement not found');
+  });
+
+  test('a recurring job out of attempts leaves a dead copy and keeps its schedule', async () => {
+    const pool = makePool([job({ type: JOB_TYPES.CARPOOL_REMINDERS, organization_id: null, payload: {}, attempts: 3, max_attempts: 3, repeat_every_seconds: 3600 })]);
+    const queue = new JobQueue(pool, logger);
+    queue.register(JOB_TYPES.CARPOOL_REMINDERS, async () => {
+      throw new Error('boom');
+    });
+
+    await queue.runDueJobs();
+
+    const [copy, reschedule] = updatesOf(pool);
+    expect(copy.sql).toContain("VALUES ($1, $2, $3, 'dead'");
+    expect(copy.params.slice(0, 5)).toEqual([null, JOB_TYPES.CARPOOL_REMINDERS, '{}', 3, 3]);
+    expect(reschedule.sql).toContain("SET status = 'pending', attempts = 0");
+    expect(reschedule.params[0]).toBe(7);
+  });
+});
+
+describe('jobs routes', () => {
+  beforeEach(() => {
+    mockRoles = ['unitadmin'];
+  });
+
+  function buildApp(query) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/jobs', require('../routes/jobs')({ query }));
+    return app;
+  }
+
+  test('lists the organization jobs with the given status, system jobs for districts only', async () => {
+    const query = jest.fn(async (sql) => (sql.includes('COUNT(*)')
+      ? { rows: [{ total: '1' }] }
+      : { rows: [job({ status: 'dead', last_error: 'boom' })] }));
+
+    const res = await request(buildApp(query)).get('/api/v1/jobs?status=dead');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    const [sql, params] = query.mock.calls[1];
+    expect(sql).toContain('(j.organization_id = $1 OR ($2::boolean AND j.organization_id IS NULL))');
+    expect(params.slice(0, 3)).toEqual([3, false, 'dead']);
+
+    mockRoles = ['district'];
+    await request(buildApp(query)).get('/api/v1/jobs');
+    expect(query.mock.calls[3][1].slice(0, 2)).toEqual([3, true]);
+
+    expect((await request(buildApp(query)).get('/api/v1/jobs?status=lost')).status).toBe(400);
+  });
+
+  test('a dead job is queued again with fresh attempts; anything else is not found', async () => {
+    const query = jest.fn(async (sql, params) => ({
+      rows: params[0] === '7' ? [{ id: 7, status: 'pending', attempts: 0 }] : []
+    }));
+    const app = buildApp(query);
+
+    const retried = await request(app).post('/api/v1/jobs/7/retry');
+    expect(retried.status).toBe(200);
+    expect(query.mock.calls[0][0]).toContain("status IN ('dead', 'pending')");
+
+    expect(query.mock.calls[0][1]).toEqual(['7', 3, false]);
+
+    expect((await request(app).post('/api/v1/jobs/8/retry')).status).toBe(404);
+    expect((await request(app).post('/api/v1/jobs/abc/retry')).status).toBe(404);
+  });
+
+  test('retrying a dead job whose key is already queued is a conflict', async () => {
+    const query = jest.fn(async () => {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "idx_jobs_unique_key_active"'), { code: '23505' });
+    });
+
+    const res = await request(buildApp(query)).post('/api/v1/jobs/7/retry');
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('job_already_queued');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Payment plan reminders — service suite
+ *
+ * What matters is which guardians hear about which installment, and when:
+ *
+ * - a reminder goes out on the offset day, or within the catch-up window if
+ *   the server was down, but an organization turning reminders on does not
+ *   replay every reminder it would have had;
+ * - a reminder already claimed (restart, second server) is never resent;
+ * - the email carries a pay link straight to that fee and plan;
+ * - overdue installments fold into one line per fee for the finance report.
+ *
+ * Driven through a fake pool; the claim table is simulated so ON CONFLICT
+ * behaves like the unique key in migration 010.
+ *
+ * @module test/services-payment-reminders
+ */
+
+const sentEmails = [];
+
+jest.mock('../utils/index', () => {
+  const actual = jest.requireActual('../utils/index');
+  return {
+    ...actual,
+    sendEmail: jest.fn(async (to, subject, message, html) => {
+      // eslint-disable-next-line no-undef
+      global.__paymentReminderTestState.sentEmails.push({ to, subject, message, html });
+      return true;
+    }),
+    getUserEmailLanguage: jest.fn(async () => 'fr')
+  };
+});
+
+global.__paymentReminderTestState = { sentEmails };
+
+const PaymentReminderService = require('../services/payment-reminders');
+const { pickReminderOffset, buildReminderMessage } = PaymentReminderService;
+const { summarizeOverdue, normalizeReminderSettings } = require('../services/paymentPlans');
+
+const ORG_ID = 4;
+const logger = { info: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function installment(overrides = {}) {
+  return {
+    organization_id: ORG_ID,
+    participant_fee_id: 12,
+    participant_id: 30,
+    payment_plan_id: 5,
+    installment_number: 2,
+    due_date: '2026-10-22',
+    amount_due: '40.00',
+    is_overdue: false,
+    days_until_due: 3,
+    first_name: 'Léa',
+    last_name: 'Tremblay',
+    ...overrides
+  };
+}
+
+/** Fake pool answering the reminder job's queries; `claimed` holds sent keys. */
+function makePool({ installments, claimed = new Set() }) {
+  const queries = [];
+  const query = jest.fn(async (sql, params) => {
+    queries.push({ sql, params });
+    if (sql.includes("setting_value->>'enabled'")) {
+      return { rows: [{ organization_id: ORG_ID, setting_value: { enabled: true, offsets_days: [-3, 0, 7] } }] };
+    }
+    if (sql.includes('generate_series')) {
+      return { rows: installments };
+    }
+    if (sql.includes('INSERT INTO payment_plan_reminders')) {
+      const key = `${params[1]}:${params[2]}:${params[3]}`;
+      if (claimed.has(key)) return { rows: [] };
+      claimed.add(key);
+      return { rows: [{ id: claimed.size }] };
+    }
+    if (sql.includes('FROM user_participants')) {
+      return { rows: [{ id: 'guardian-1', email: 'parent@example.org' }] };
+    }
+    if (sql.includes('FROM organizations o')) {
+      return { rows: [{ name: '5e Groupe' }] };
+    }
+    return { rows: [] };
+  });
+  return { query, queries, claimed };
+}
+
+beforeEach(() => {
+  sentEmails.length = 0;
+  process.env.PUBLIC_BASE_URL = 'https://unit.wampums.app';
+});
+
+describe('pickReminderOffset', () => {
+  const offsets = [-3, 0, 7];
+
+  test('sends on the exact offset day', () => {
+    expect(pickReminderOffset(3, offsets)).toBe(-3);
+    expect(pickReminderOffset(0, offsets)).toBe(0);
+    expect(pickReminderOffset(-7, offsets)).toBe(7);
+  });
+
+  test('catches up a reminder missed within the last two days', () => {
+    expect(pickReminderOffset(1, offsets)).toBe(-3);
+    expect(pickReminderOffset(-9, offsets)).toBe(7);
+  });
+
+  test('sends nothing between offsets or long after the last one', () => {
+    expect(pickReminderOffset(10, offsets)).toBeNull();
+    expect(pickReminderOffset(-4, offsets)).toBeNull();
+    expect(pickReminderOffset(-40, offsets)).toBeNull();
+  });
+});
+
+describe('sendDueReminders', () => {
+  test('emails each guardian once with a direct pay link', async () => {
+    const pool = makePool({ installments: [installment()] });
+    const service = new PaymentReminderService(pool, logger);
+
+    await expect(service.sendDueReminders()).resolves.toBe(1);
+
+    expect(sentEmails).toHaveLength(1);
+    expect(sentEmails[0].to).toBe('parent@example.org');
+    expect(sentEmails[0].message).toContain('https://unit.wampums.app/parent-finance?pay_fee=12&plan=5');
+    expect(sentEmails[0].subject).toContain('Léa Tremblay');
+  });
+
+  test('a reminder already claimed is not sent again', async () => {
+    const pool = makePool({ installments: [installment()], claimed: new Set(['5:2:-3']) });
+    const service = new PaymentReminderService(pool, logger);
+
+    await expect(service.sendDueReminders()).resolves.toBe(0);
+    expect(sentEmails).toHaveLength(0);
+  });
+
+  test('installments outside every reminder window are left alone', async () => {
+    const pool = makePool({ installments: [installment({ days_until_due: 20 })] });
+    const service = new PaymentReminderService(pool, logger);
+
+    await expect(service.sendDueReminders()).resolves.toBe(0);
+    expect(pool.queries.some(({ sql }) => sql.includes('INSERT INTO payment_plan_reminders'))).toBe(false);
+  });
+});
+
+describe('buildReminderMessage', () => {
+  test('overdue installments use the overdue wording in the recipient language', () => {
+    const message = buildReminderMessage({
+      language: 'fr',
+      organizationName: '5e Groupe',
+      participantName: 'Léa Tremblay',
+      amount: 40,
+      dueDate: '2026-10-01',
+      isOverdue: true,
+      payLink: 'https://unit.wampums.app/parent-finance?pay_fee=12&plan=5'
+    });
+
+    expect(message.subject).toBe('Paiement en retard pour Léa Tremblay');
+    expect(message.text).toContain('2026-10-01');
+    expect(message.text).toContain('40,00');
+  });
+});
+
+describe('summarizeOverdue', () => {
+  test('folds overdue installments into one line per fee, oldest first', () => {
+    const summary = summarizeOverdue([
+      { ...installment({ is_overdue: true, due_date: '2026-09-22', installment_number: 1 }), amount_due: 40 },
+      { ...installment({ is_overdue: true, due_date: '2026-10-22', installment_number: 2 }), amount_due: 15.5 },
+      { ...installment({ participant_fee_id: 13, is_overdue: true, due_date: '2026-08-01' }), amount_due: 20 },
+      { ...installment({ participant_fee_id: 14, is_overdue: false }), amount_due: 99 }
+    ]);
+
+    expect(summary.total_overdue).toBe(75.5);
+    expect(summary.fee_count).toBe(2);
+    expect(summary.fees.map(fee => fee.participant_fee_id)).toEqual([13, 12]);
+    expect(summary.fees[1]).toMatchObject({ overdue_amount: 55.5, installments_overdue: 2, oldest_due_date: '2026-09-22' });
+  });
+});
+
+describe('normalizeReminderSettings', () => {
+  test('rejects offsets outside the allowed range', () => {
+    expect(normalizeReminderSettings({ enabled: true, offsets_days: [-45] })).toEqual({ error: 'invalid_reminder_offset' });
+    expect(normalizeReminderSettings({ enabled: true, offsets_days: [1.5] })).toEqual({ error: 'invalid_reminder_offset' });
+  });
+
+  test('requires at least one offset to turn reminders on', () => {
+    expect(normalizeReminderSettings({ enabled: true, offsets_days: [] })).toEqual({ error: 'reminder_offsets_required' });
+    expect(normalizeReminderSettings({ enabled: false, offsets_days: [] })).toEqual({ value: { enabled: false, offsets_days: [] } });
+  });
+
+  test('caps the number of reminders', () => {
+    expect(normalizeReminderSettings({ enabled: true, offsets_days: [-7, -3, -1, 0, 3, 7] }))
+      .toEqual({ error: 'too_many_reminder_offsets' });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * WhatsApp inbox suite
+ *
+ * - only direct messages from someone else are kept, matched to the member
+ *   with that WhatsApp number, and a redelivered message is kept once;
+ * - the text is read through disappearing/view-once wrappers, media are named;
+ * - a copy goes to the space marked to receive WhatsApp messages, if any;
+ * - a reply is sent through the connection and added to the conversation,
+ *   and only to a number that wrote to the organization.
+ *
+ * Driven through a fake pool that records every query.
+ *
+ * @module test/services-whatsapp-inbox
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const {
+  phoneFromJid,
+  normalizePhoneNumber,
+  readMessageContent,
+  recordInboundMessage,
+  forwardToGoogleChat
+} = require('../services/whatsapp-inbox');
+
+const TEST_SECRET = 'whatsapp-inbox-secret';
+const USER_ID = '550e8400-e29b-41d4-a716-446655440000';
+const ORGANIZATION_ID = 7;
+
+/**
+ * @param {Function} [answer] - Returns rows for a query, or undefined for none
+ */
+function makePool(answer = () => undefined) {
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.includes('SELECT organization_id FROM user_organizations')) {
+      return { rows: [{ organization_id: ORGANIZATION_ID }] };
+    }
+    if (sql.includes('SELECT DISTINCT p.permission_key')) {
+      return { rows: [{ permission_key: 'communications.send' }] };
+    }
+    const rows = answer(sql, params);
+    return { rows: rows || [], rowCount: rows ? rows.length : 0 };
+  });
+  return { query };
+}
+
+const incoming = {
+  key: { remoteJid: '15145551234@s.whatsapp.net', fromMe: false, id: 'WA-1' },
+  pushName: 'Hélène',
+  messageTimestamp: 1792400000,
+  message: { conversation: 'Is the camp still on Saturday?' }
+};
+
+describe('reading messages', () => {
+  test('takes the number from direct chats only', () => {
+    expect(phoneFromJid('15145551234@s.whatsapp.net')).toBe('+15145551234');
+    expect(phoneFromJid('15145551234:12@s.whatsapp.net')).toBe('+15145551234');
+    expect(phoneFromJid('120363025246125486@g.us')).toBeNull();
+    expect(phoneFromJid('status@broadcast')).toBeNull();
+    expect(phoneFromJid('86171209846790@lid')).toBeNull();
+    expect(normalizePhoneNumber('+1 (514) 555-1234')).toBe('+15145551234');
+    expect(normalizePhoneNumber('0123')).toBeNull();
+  });
+
+  test('unwraps the text and names media', () => {
+    expect(readMessageContent({ ephemeralMessage: { message: { extendedTextMessage: { text: 'Hi' } } } }))
+      .toEqual({ type: 'text', text: 'Hi' });
+    expect(readMessageContent({ viewOnceMessageV2: { message: { imageMessage: { caption: 'Form' } } } }))
+      .toEqual({ type: 'image', text: 'Form' });
+    expect(readMessageContent({ audioMessage: {} })).toEqual({ type: 'audio', text: null });
+    expect(readMessageContent({ reactionMessage: {} })).toEqual({ type: 'other', text: null });
+  });
+});
+
+describe('recordInboundMessage', () => {
+  test('keeps a direct message, matched to the member with that number', async () => {
+    const pool = makePool((sql, params) => {
+      if (sql.includes('u.whatsapp_phone_number = $2')) {
+        return [{ id: USER_ID, full_name: 'Hélène Gagnon' }];
+      }
+      if (sql.includes('INSERT INTO whatsapp_messages')) {
+        return [{ id: 1, phone_number: params[1], user_id: params[2], sender_name: params[3], message_type: params[4], body: params[5] }];
+      }
+      return undefined;
+    });
+
+    const stored = await recordInboundMessage(pool, ORGANIZATION_ID, incoming);
+
+    expect(stored).toMatchObject({ id: 1, phone_number: '+15145551234', user_id: USER_ID, user_name: 'Hélène Gagnon' });
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO whatsapp_messages'));
+    expect(params).toEqual([
+      ORGANIZATION_ID, '+15145551234', USER_ID, 'Hélène', 'text', 'Is the camp still on Saturday?', 'WA-1',
+      new Date(1792400000 * 1000)
+    ]);
+  });
+
+  test('ignores its own messages and groups, and keeps a redelivered message once', async () => {
+    const pool = makePool();
+
+    expect(await recordInboundMessage(pool, ORGANIZATION_ID, { ...incoming, key: { ...incoming.key, fromMe: true } })).toBeNull();
+    expect(await recordInboundMessage(pool, ORGANIZATION_ID, { ...incoming, key: { ...incoming.key, remoteJid: '1203630@g.us' } })).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+
+    // ON CONFLICT DO NOTHING returns no row for a message already kept
+    expect(await recordInboundMessage(pool, ORGANIZATION_ID, incoming)).toBeNull();
+  });
+});
+
+describe('forwardToGoogleChat', () => {
+  const message = { id: 1, phone_number: '+15145551234', user_name: 'Hélène Gagnon', message_type: 'text', body: 'Hello' };
+
+  test('posts to the space marked to receive WhatsApp messages', async () => {
+    const pool = makePool((sql) => (sql.includes('receives_whatsapp = TRUE') ? [{ space_id: 'spaces/LEADERS' }] : undefined));
+    const googleChat = { sendMessageToSpace: jest.fn().mockResolvedValue({}) };
+
+    expect(await forwardToGoogleChat(pool, googleChat, ORGANIZATION_ID, message)).toBe(true);
+    expect(googleChat.sendMessageToSpace).toHaveBeenCalledWith(
+      ORGANIZATION_ID, 'spaces/LEADERS', 'WhatsApp — Hélène Gagnon (+15145551234):\nHello'
+    );
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('SET forwarded_at'))).toBe(true);
+  });
+
+  test('does nothing without a space or a Google Chat service', async () => {
+    const googleChat = { sendMessageToSpace: jest.fn() };
+
+    expect(await forwardToGoogleChat(makePool(), googleChat, ORGANIZATION_ID, message)).toBe(false);
+    expect(await forwardToGoogleChat(makePool(), null, ORGANIZATION_ID, message)).toBe(false);
+    expect(googleChat.sendMessageToSpace).not.toHaveBeenCalled();
+  });
+});
+
+describe('replying', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const authorization = () => `Bearer ${jwt.sign({ user_id: USER_ID, user_role: 'animation', organizationId: ORGANIZATION_ID }, TEST_SECRET)}`;
+
+  function buildApp(pool, whatsappService) {
+    const app = express();
+    app.locals.pool = pool;
+    app.use(express.json());
+    app.use('/api/v1/whatsapp/inbox', require('../routes/whatsapp-inbox')(pool, logger, whatsappService));
+    return app;
+  }
+
+  beforeAll(() => {
+    process.env.JWT_SECRET_KEY = TEST_SECRET;
+  });
+
+  /** Answers a parent's earlier message from +15145551234, then `answer`. */
+  const withConversation = (answer = () => undefined) => (sql, params) => (
+    sql.includes("direction = 'inbound'") ? (params[1] === '+15145551234' ? [{ '?column?': 1 }] : []) : answer(sql, params)
+  );
+
+  test('sends through the connection and adds the reply to the conversation', async () => {
+    const pool = makePool(withConversation((sql, params) => (
+      sql.includes('INSERT INTO whatsapp_messages') ? [{ id: 2, direction: 'outbound', phone_number: params[1], body: params[2] }] : undefined
+    )));
+    const whatsappService = { sendMessage: jest.fn().mockResolvedValue({ success: true, messageId: 'WA-2' }) };
+
+    const res = await request(buildApp(pool, whatsappService))
+      .post('/api/v1/whatsapp/inbox/15145551234/reply')
+      .set('Authorization', authorization())
+      .send({ message: '  Yes, see you Saturday!  ' });
+
+    expect(res.status).toBe(201);
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith(ORGANIZATION_ID, '+15145551234', 'Yes, see you Saturday!');
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO whatsapp_messages'));
+    expect(params).toEqual([ORGANIZATION_ID, '+15145551234', 'Yes, see you Saturday!', 'WA-2', USER_ID]);
+  });
+
+  test('keeps nothing when WhatsApp refuses or is unavailable', async () => {
+    const pool = makePool(withConversation());
+    const refused = { sendMessage: jest.fn().mockResolvedValue({ success: false, error: 'WhatsApp is not connected.' }) };
+
+    const failed = await request(buildApp(pool, refused))
+      .post('/api/v1/whatsapp/inbox/15145551234/reply')
+      .set('Authorization', authorization())
+      .send({ message: 'Hello' });
+    expect(failed.status).toBe(502);
+    expect(failed.body.message).toBe('WhatsApp is not connected.');
+
+    const unavailable = await request(buildApp(pool, null))
+      .post('/api/v1/whatsapp/inbox/15145551234/reply')
+      .set('Authorization', authorization())
+      .send({ message: 'Hello' });
+    expect(unavailable.status).toBe(503);
+
+    const badNumber = await request(buildApp(pool, refused))
+      .post('/api/v1/whatsapp/inbox/abc/reply')
+      .set('Authorization', authorization())
+      .send({ message: 'Hello' });
+    expect(badNumber.status).toBe(400);
+
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO whatsapp_messages'))).toBe(false);
+  });
+
+  test('refuses a number that never wrote to the organization', async () => {
+    const pool = makePool(withConversation());
+    const whatsappService = { sendMessage: jest.fn() };
+
+    const res = await request(buildApp(pool, whatsappService))
+      .post('/api/v1/whatsapp/inbox/15145559999/reply')
+      .set('Authorization', authorization())
+      .send({ message: 'Hello' });
+
+    expect(res.status).toBe(404);
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes("direction = 'inbound'"));
+    expect(params).toEqual([ORGANIZATION_ID, '+15145559999']);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * WhatsApp outbox suite
+ *
+ * - messages leave one at a time, 2-5 seconds apart, and stop at the daily
+ *   limit of the connected number until the oldest of the day is 24 hours old;
+ * - a number that answered STOP gets nothing, even when STOP came after the
+ *   message was queued, and START lifts it;
+ * - an announcement gets one log per recipient, moved along as the message is
+ *   sent, delivered and read;
+ * - guardians' local cell phone numbers are read as North American numbers.
+ *
+ * Driven through a fake pool that records every query.
+ *
+ * @module test/services-whatsapp-outbox
+ */
+
+const {
+  DAILY_LIMIT,
+  IDLE_POLL_MS,
+  RETRY_AFTER_MS,
+  sendDelay,
+  toWhatsAppNumber,
+  readConsentKeyword,
+  applyConsentReply,
+  queueAnnouncement,
+  sendNextMessage,
+  recordReceipt
+} = require('../services/whatsapp-outbox');
+
+const ORGANIZATION_ID = 7;
+const USER_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/**
+ * @param {Function} [answer] - Returns rows for a query, or undefined for none
+ */
+function makePool(answer = () => undefined) {
+  const query = jest.fn(async (sql, params = []) => {
+    const rows = answer(sql, params);
+    return { rows: rows || [], rowCount: rows ? rows.length : 0 };
+  });
+  return { query };
+}
+
+const queuedMessage = {
+  id: 11,
+  organization_id: ORGANIZATION_ID,
+  phone_number: '+15145551234',
+  body: '*Camp*\n\nDeparture at 9',
+  announcement_log_id: 41
+};
+
+describe('reading numbers and replies', () => {
+  test('pauses 2 to 5 seconds between messages', () => {
+    expect(sendDelay(() => 0)).toBe(2000);
+    expect(sendDelay(() => 0.999999)).toBe(5000);
+  });
+
+  test('reads local cell phones as North American numbers', () => {
+    expect(toWhatsAppNumber('514 555-1234')).toBe('+15145551234');
+    expect(toWhatsAppNumber('1-514-555-1234')).toBe('+15145551234');
+    expect(toWhatsAppNumber('+33 6 12 34 56 78')).toBe('+33612345678');
+    expect(toWhatsAppNumber('555-1234')).toBeNull();
+    expect(toWhatsAppNumber(null)).toBeNull();
+  });
+
+  test('recognises STOP and START in French and English, and nothing else', () => {
+    expect(readConsentKeyword(' Stop ')).toBe('opt_out');
+    expect(readConsentKeyword('ARRÊT.')).toBe('opt_out');
+    expect(readConsentKeyword('start')).toBe('opt_in');
+    expect(readConsentKeyword('Please stop by the hall')).toBeNull();
+    expect(readConsentKeyword(null)).toBeNull();
+  });
+
+  test('STOP records the number and drops what waits for it; START lifts it', async () => {
+    const pool = makePool();
+
+    expect(await applyConsentReply(pool, ORGANIZATION_ID, '+15145551234', 'STOP')).toBe('opt_out');
+    expect(pool.query.mock.calls[0][0]).toContain('INSERT INTO whatsapp_opt_outs');
+    expect(pool.query.mock.calls[1][0]).toContain("SET status = 'skipped'");
+
+    expect(await applyConsentReply(pool, ORGANIZATION_ID, '+15145551234', 'Start')).toBe('opt_in');
+    expect(pool.query.mock.calls[2][0]).toContain('DELETE FROM whatsapp_opt_outs');
+
+    expect(await applyConsentReply(pool, ORGANIZATION_ID, '+15145551234', 'Thanks!')).toBeNull();
+    expect(pool.query).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('queueAnnouncement', () => {
+  test('queues each number once and logs the ones that answered STOP as skipped', async () => {
+    const pool = makePool((sql) => (
+      sql.includes('FROM whatsapp_opt_outs') ? [{ phone_number: '+15145559999' }] : undefined
+    ));
+    const announcement = { id: 5, organization_id: ORGANIZATION_ID };
+
+    const outcome = await queueAnnouncement(pool, announcement, [
+      { phone: '+15145551234', user_id: USER_ID },
+      { phone: '+1 514 555 1234', user_id: null },
+      { phone: '+15145559999', user_id: null }
+    ], 'Hello');
+
+    expect(outcome).toEqual({ queued: 1, skipped: 1 });
+    const [, skippedParams] = pool.query.mock.calls.find(([sql]) => sql.includes("'skipped'"));
+    expect(skippedParams).toEqual([5, ['+15145559999'], [null], 'Opted out of WhatsApp messages']);
+    const [queueSql, queueParams] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO whatsapp_outbox'));
+    expect(queueSql).toContain("'queued'");
+    expect(queueParams).toEqual([5, ['+15145551234'], [USER_ID], ORGANIZATION_ID, 'Hello']);
+  });
+});
+
+describe('sendNextMessage', () => {
+  const random = () => 0.5;
+
+  /**
+   * @param {Object} [usage] - Messages sent by the number in the last 24 hours
+   * @param {Object|null} [message] - Next queued message
+   * @param {string[]} [optedOut] - Numbers that answered STOP
+   */
+  function outboxPool({ usage = { sent: 0, oldest: null }, message = queuedMessage, optedOut = [] } = {}) {
+    return makePool((sql) => {
+      if (sql.includes('COUNT(*)::int AS sent')) return [usage];
+      if (sql.includes("SET status = 'sending'")) return message ? [message] : [];
+      if (sql.includes('FROM whatsapp_opt_outs')) return optedOut.map((phone) => ({ phone_number: phone }));
+      return undefined;
+    });
+  }
+
+  test('sends the oldest queued message, then waits 2-5 seconds', async () => {
+    const pool = outboxPool();
+    const whatsapp = { sendMessage: jest.fn().mockResolvedValue({ success: true, messageId: 'WA-9' }) };
+
+    const next = await sendNextMessage(pool, whatsapp, ORGANIZATION_ID, { senderPhoneNumber: '+15140000000', random });
+
+    expect(next).toEqual({ status: 'sent', waitMs: 3500 });
+    expect(whatsapp.sendMessage).toHaveBeenCalledWith(ORGANIZATION_ID, '+15145551234', '*Camp*\n\nDeparture at 9');
+    const [, outboxParams] = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE whatsapp_outbox\n'));
+    expect(outboxParams).toEqual([11, 'sent', null, 'WA-9', '+15140000000']);
+    const [, logParams] = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE announcement_logs'));
+    expect(logParams).toEqual([41, 'sent', null, 'WA-9']);
+  });
+
+  test('stops at the daily limit until the oldest message of the day is 24 hours old', async () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const pool = outboxPool({ usage: { sent: DAILY_LIMIT, oldest: '2026-10-18T18:00:00Z' } });
+    const whatsapp = { sendMessage: jest.fn() };
+
+    const next = await sendNextMessage(pool, whatsapp, ORGANIZATION_ID, { now });
+
+    expect(next).toEqual({ status: 'limited', waitMs: 6 * 60 * 60 * 1000 });
+    expect(whatsapp.sendMessage).not.toHaveBeenCalled();
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes("SET status = 'sending'"))).toBe(false);
+  });
+
+  test('skips a number that answered STOP after the message was queued', async () => {
+    const pool = outboxPool({ optedOut: ['+15145551234'] });
+    const whatsapp = { sendMessage: jest.fn() };
+
+    expect(await sendNextMessage(pool, whatsapp, ORGANIZATION_ID)).toEqual({ status: 'skipped', waitMs: 0 });
+    expect(whatsapp.sendMessage).not.toHaveBeenCalled();
+    const [, logParams] = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE announcement_logs'));
+    expect(logParams).toEqual([41, 'skipped', 'Opted out of WhatsApp messages', null]);
+  });
+
+  test('puts the message back when the connection may recover, fails it otherwise', async () => {
+    const retry = outboxPool();
+    const disconnected = { sendMessage: jest.fn().mockResolvedValue({ success: false, error: 'not connected', retryable: true }) };
+    expect(await sendNextMessage(retry, disconnected, ORGANIZATION_ID)).toEqual({ status: 'retry', waitMs: RETRY_AFTER_MS });
+    expect(retry.query.mock.calls.some(([sql]) => sql.includes("SET status = 'queued'"))).toBe(true);
+
+    const fail = outboxPool();
+    const refused = { sendMessage: jest.fn().mockResolvedValue({ success: false, error: 'Invalid phone number format.' }) };
+    expect((await sendNextMessage(fail, refused, ORGANIZATION_ID, { random })).status).toBe('failed');
+    const [, logParams] = fail.query.mock.calls.find(([sql]) => sql.includes('UPDATE announcement_logs'));
+    expect(logParams).toEqual([41, 'failed', 'Invalid phone number format.', null]);
+  });
+
+  test('checks again later when nothing is queued', async () => {
+    const pool = outboxPool({ message: null });
+    expect(await sendNextMessage(pool, { sendMessage: jest.fn() }, ORGANIZATION_ID)).toEqual({ status: 'idle', waitMs: IDLE_POLL_MS });
+  });
+});
+
+describe('recordReceipt', () => {
+  test('keeps delivery and read receipts, ignores the rest', async () => {
+    const pool = makePool((sql) => (sql.includes('WITH receipt') ? [{ id: 11 }] : undefined));
+
+    expect(await recordReceipt(pool, ORGANIZATION_ID, 'WA-9', 3)).toBe(true);
+    expect(pool.query.mock.calls[0][1]).toEqual([ORGANIZATION_ID, 'WA-9', 'delivered']);
+    expect(await recordReceipt(pool, ORGANIZATION_ID, 'WA-9', 4)).toBe(true);
+    expect(pool.query.mock.calls[1][1]).toEqual([ORGANIZATION_ID, 'WA-9', 'read']);
+
+    // Server acknowledgement only: not a receipt from the recipient
+    expect(await recordReceipt(pool, ORGANIZATION_ID, 'WA-9', 2)).toBe(false);
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+});
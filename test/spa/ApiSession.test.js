@@ -0,0 +1,86 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Requests outside makeApiRequest keep the session alive too.
+ *
+ * Uploads, file downloads and the sync engine need the raw Response, so they
+ * go through fetchWithSession(). An access token the server refuses there must
+ * get the same single refresh-and-retry, or those screens sign the user out
+ * while every other screen quietly carries on.
+ */
+
+jest.mock('../../spa/utils/DebugUtils.js', () => ({
+  debugLog: jest.fn(),
+  debugError: jest.fn(),
+  debugWarn: jest.fn(),
+  debugInfo: jest.fn()
+}));
+
+jest.mock('../../spa/config.js', () => ({
+  CONFIG: {
+    API_BASE_URL: 'https://unit.wampums.app',
+    ENDPOINTS: { REFRESH_TOKEN: '/api/v1/auth/refresh' }
+  }
+}));
+
+jest.mock('../../spa/jwt-helper.js', () => ({
+  decodeJWT: () => null,
+  getOrganizationIdFromJWT: () => null,
+  getUserInfoFromJWT: () => ({})
+}));
+
+import { fetchWithSession } from '../../spa/api/api-session.js';
+
+const FILE_URL = 'https://unit.wampums.app/api/v1/finance/receipts/3/pdf';
+
+function respond(status, body = {}) {
+  return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem('currentOrganizationId', '12');
+  localStorage.setItem('jwtToken', 'old-access');
+  localStorage.setItem('refreshToken', 'refresh-1');
+});
+
+test('sends the session headers alongside the caller\'s own', async () => {
+  global.fetch = jest.fn(() => respond(200));
+
+  await fetchWithSession(FILE_URL, { headers: { Accept: 'application/pdf' } });
+
+  const [, init] = global.fetch.mock.calls[0];
+  expect(init.headers).toMatchObject({
+    Accept: 'application/pdf',
+    Authorization: 'Bearer old-access',
+    'x-organization-id': '12'
+  });
+});
+
+test('a refused access token is refreshed once and the request retried with the new one', async () => {
+  global.fetch = jest.fn((url) => {
+    if (String(url).endsWith('/api/v1/auth/refresh')) {
+      return respond(200, { token: 'new-access', refresh_token: 'refresh-2' });
+    }
+    return respond(global.fetch.mock.calls.length === 1 ? 401 : 200);
+  });
+
+  const response = await fetchWithSession(FILE_URL);
+
+  expect(response.status).toBe(200);
+  const fileCalls = global.fetch.mock.calls.filter(([url]) => url === FILE_URL);
+  expect(fileCalls.map(([, init]) => init.headers.Authorization)).toEqual(['Bearer old-access', 'Bearer new-access']);
+  expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+});
+
+test('without a refresh token the 401 reaches the caller', async () => {
+  localStorage.removeItem('refreshToken');
+  global.fetch = jest.fn(() => respond(401));
+
+  const response = await fetchWithSession(FILE_URL);
+
+  expect(response.status).toBe(401);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,178 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Conditional, computed and structured fields in a rendered form
+ *
+ * A form format can hide a field until another answer calls for it
+ * (`showIf`), make it required only in some cases (`requiredIf`), work out a
+ * read-only value (`computed`), and ask for a typed signature, a file or a
+ * list of rows (medications). The rendered form has to follow the answers as
+ * they are typed, and hand back the structured answers as objects.
+ *
+ * @module test/spa/FormConditionalFields
+ */
+
+jest.mock('../../spa/app.js', () => ({
+  translate: (key, params) => (params ? `${key} ${Object.values(params).join(' ')}` : key)
+}));
+
+jest.mock('../../spa/utils/DebugUtils.js', () => ({
+  debugLog: jest.fn(),
+  debugError: jest.fn(),
+  debugWarn: jest.fn(),
+  debugInfo: jest.fn()
+}));
+
+import { JSONFormRenderer } from '../../spa/JSONFormRenderer.js';
+
+const CAMP_FORM = {
+  fields: [
+    {
+      name: 'takes_medication',
+      type: 'radio',
+      label: 'takes_medication_label',
+      options: [
+        { label: 'yes_label', value: 'yes' },
+        { label: 'no_label', value: 'no' }
+      ]
+    },
+    {
+      name: 'medications',
+      type: 'repeat',
+      label: 'medications_label',
+      showIf: { field: 'takes_medication', op: 'equals', value: 'yes' },
+      fields: [
+        { name: 'name', type: 'text', label: 'medication_name_label', required: true },
+        { name: 'doses', type: 'number', label: 'doses_label' }
+      ]
+    },
+    {
+      name: 'daily_doses',
+      type: 'computed',
+      label: 'daily_doses_label',
+      compute: { operation: 'sum', fields: ['medications.doses'] }
+    },
+    {
+      name: 'swim_level',
+      type: 'text',
+      label: 'swim_level_label',
+      requiredIf: { op: 'age_lt', value: 12 }
+    },
+    { name: 'guardian_signature', type: 'signature', label: 'guardian_signature_label', required: true },
+    { name: 'vaccination_card', type: 'file', label: 'vaccination_card_label' }
+  ]
+};
+
+/**
+ * Render the camp form, make it live and hand back the form element.
+ *
+ * @param {Object} formData - Saved answers
+ * @param {Object} [context] - Renderer context
+ * @returns {{form: HTMLFormElement, renderer: JSONFormRenderer}}
+ */
+function renderLive(formData, context = { birthDate: '2016-05-01' }) {
+  const renderer = new JSONFormRenderer(CAMP_FORM, formData, 'camp', false, null, context);
+  const form = document.createElement('form');
+  form.innerHTML = renderer.render();
+  document.body.appendChild(form);
+  renderer.attachConditionalLogic(form);
+  return { form, renderer };
+}
+
+function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('Conditional and structured fields', () => {
+  it('hides the medication rows until the form says medication is taken', () => {
+    const { form } = renderLive({});
+    const group = form.querySelector('[data-field="medications"]');
+
+    expect(group.hidden).toBe(true);
+    expect(form.querySelector('input[type="hidden"][name="medications"]').disabled).toBe(true);
+
+    const yes = form.querySelector('input[name="takes_medication"][value="yes"]');
+    yes.checked = true;
+    yes.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(group.hidden).toBe(false);
+    expect(form.querySelector('input[type="hidden"][name="medications"]').disabled).toBe(false);
+  });
+
+  it('adds rows, totals them in the computed field and submits them as a list', () => {
+    const { form, renderer } = renderLive({ takes_medication: 'yes', medications: [{ name: 'Ventolin', doses: '2' }] });
+
+    form.querySelector('[data-repeat-add]').click();
+    const rows = form.querySelectorAll('.repeat-row');
+    expect(rows).toHaveLength(2);
+    type(rows[1].querySelector('[data-repeat-field="name"]'), 'Advil');
+    type(rows[1].querySelector('[data-repeat-field="doses"]'), '3');
+
+    expect(form.querySelector('[name="daily_doses"]').value).toBe('5');
+    const data = renderer.getFormData(form);
+    expect(data.medications).toEqual([{ name: 'Ventolin', doses: '2' }, { name: 'Advil', doses: '3' }]);
+
+    rows[0].querySelector('[data-repeat-remove]').click();
+    expect(renderer.getFormData(form).medications).toEqual([{ name: 'Advil', doses: '3' }]);
+  });
+
+  it('keeps saved signatures and rows when the form is saved untouched', () => {
+    const saved = {
+      takes_medication: 'yes',
+      medications: [{ name: 'Ventolin "blue"', doses: '2' }],
+      guardian_signature: { signed_by: "Marie O'Neil", signed_at: '2026-10-19T14:00:00.000Z' }
+    };
+    const { form, renderer } = renderLive(saved);
+
+    const data = renderer.getFormData(form);
+    expect(data.medications).toEqual(saved.medications);
+    expect(data.guardian_signature).toEqual(saved.guardian_signature);
+    expect(data.daily_doses).toBe('2');
+  });
+
+  it("requires the swim level only for a participant under 12", () => {
+    expect(renderLive({}).form.querySelector('[name="swim_level"]').required).toBe(true);
+    document.body.innerHTML = '';
+    expect(renderLive({}, { birthDate: '2010-05-01' }).form.querySelector('[name="swim_level"]').required).toBe(false);
+  });
+
+  it('stamps the typed signature and submits it with the name and time', () => {
+    const { form, renderer } = renderLive({});
+
+    type(form.querySelector('[data-signature-for="guardian_signature"]'), 'Marie Tremblay');
+
+    const signature = renderer.getFormData(form).guardian_signature;
+    expect(signature.signed_by).toBe('Marie Tremblay');
+    expect(Number.isNaN(Date.parse(signature.signed_at))).toBe(false);
+    expect(form.querySelector('.signature-date').textContent).toContain('form_signature_signed_on');
+  });
+
+  it('uploads a picked file through the context and keeps only its metadata', async () => {
+    const stored = { key: 'org_1/forms/participant_5_1_abc.pdf', name: 'card.pdf', type: 'application/pdf', size: 10 };
+    const uploadFile = jest.fn().mockResolvedValue(stored);
+    const { form, renderer } = renderLive({}, { uploadFile });
+    const picker = form.querySelector('[data-file-for="vaccination_card"]');
+    const file = new File(['%PDF'], 'card.pdf', { type: 'application/pdf' });
+    Object.defineProperty(picker, 'files', { value: [file] });
+
+    await renderer.uploadFileField(picker);
+
+    expect(uploadFile).toHaveBeenCalledWith(file);
+    expect(renderer.getFormData(form).vaccination_card).toEqual(stored);
+  });
+
+  it('locks the file picker when there is nowhere to upload to', () => {
+    const renderer = new JSONFormRenderer(CAMP_FORM, {}, 'camp');
+    const form = document.createElement('form');
+    form.innerHTML = renderer.render();
+
+    expect(form.querySelector('[data-file-for="vaccination_card"]').disabled).toBe(true);
+  });
+});
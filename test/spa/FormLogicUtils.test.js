@@ -0,0 +1,188 @@
+/**
+ * Form logic: conditions, computed fields and missing answers
+ *
+ * - `showIf` / `requiredIf` conditions combine rules with AND (`all`) and OR
+ *   (`any`), compare with equality, inequality, contains, numbers, emptiness
+ *   and the participant's age, and read a checkbox or a French "oui" as yes;
+ * - computed fields work out ages, totals, counts, joined text and day spans
+ *   without evaluating any formula;
+ * - a hidden field is never missing, a repeating group is missing when one of
+ *   its rows lacks a required answer, and signatures, files and rows come back
+ *   from their hidden inputs as objects.
+ *
+ * The app keeps its own copy in mobile/src/utils/FormLogicUtils.js; every case
+ * except the web's hidden-input parsing runs against both, so the two cannot
+ * drift apart.
+ *
+ * @module test/spa/FormLogicUtils
+ */
+
+import * as spaLogic from '../../spa/utils/FormLogicUtils.js';
+import * as mobileLogic from '../../mobile/src/utils/FormLogicUtils.js';
+
+const TODAY = new Date(2026, 9, 19);
+
+const FORM_FIELDS = [
+  { name: 'intro', type: 'infoText', infoText: 'intro_text' },
+  { name: 'consent_signature', type: 'signature', required: true },
+  { name: 'vaccination_card', type: 'file', showIf: { field: 'vaccinated', value: 'yes' }, required: true },
+  { name: 'medications', type: 'repeat', fields: [
+    { name: 'name', type: 'text', required: true },
+    { name: 'dose', type: 'text' }
+  ] },
+  { name: 'age', type: 'computed', compute: { operation: 'age' } }
+];
+
+describe.each([
+  ['spa', spaLogic],
+  ['mobile', mobileLogic]
+])('%s FormLogicUtils', (_copy, {
+  ageOn,
+  applyComputedValues,
+  computeValue,
+  evaluateCondition,
+  findMissingFields,
+  formatFieldValue,
+  isFieldRequired,
+  isFieldVisible
+}) => {
+  describe('evaluateCondition', () => {
+    test('reads the legacy dependsOn shape as equality, tolerant of yes/oui/true', () => {
+      expect(evaluateCondition({ field: 'has_allergies', value: 'yes' }, { has_allergies: 'oui' })).toBe(true);
+      expect(evaluateCondition({ field: 'has_allergies', value: 'yes' }, { has_allergies: true })).toBe(true);
+      expect(evaluateCondition({ field: 'has_allergies', value: 'yes' }, { has_allergies: 'no' })).toBe(false);
+      expect(evaluateCondition({ field: 'has_allergies', value: 'yes' }, {})).toBe(false);
+    });
+
+    test('combines rules with all and any, nested', () => {
+      const condition = {
+        all: [
+          { field: 'takes_medication', op: 'equals', value: 'yes' },
+          { any: [
+            { field: 'medication_route', op: 'equals', value: 'injection' },
+            { field: 'doses_per_day', op: 'gt', value: 2 }
+          ] }
+        ]
+      };
+
+      expect(evaluateCondition(condition, { takes_medication: 'yes', medication_route: 'injection' })).toBe(true);
+      expect(evaluateCondition(condition, { takes_medication: 'yes', doses_per_day: '3' })).toBe(true);
+      expect(evaluateCondition(condition, { takes_medication: 'yes', doses_per_day: '2' })).toBe(false);
+      expect(evaluateCondition(condition, { takes_medication: 'no', medication_route: 'injection' })).toBe(false);
+    });
+
+    test('compares with not-equal, contains, numbers and emptiness', () => {
+      const data = { allergies: 'Peanuts, eggs', weight: '32,5', notes: '  ' };
+
+      expect(evaluateCondition({ field: 'allergies', op: 'contains', value: 'peanut' }, data)).toBe(true);
+      expect(evaluateCondition({ field: 'allergies', op: 'not_contains', value: 'milk' }, data)).toBe(true);
+      expect(evaluateCondition({ field: 'allergies', op: 'not_equals', value: 'none' }, data)).toBe(true);
+      expect(evaluateCondition({ field: 'weight', op: 'gte', value: 32.5 }, data)).toBe(true);
+      expect(evaluateCondition({ field: 'weight', op: 'lt', value: 30 }, data)).toBe(false);
+      expect(evaluateCondition({ field: 'missing', op: 'gt', value: 1 }, data)).toBe(false);
+      expect(evaluateCondition({ field: 'notes', op: 'empty' }, data)).toBe(true);
+      expect(evaluateCondition({ field: 'allergies', op: 'not_empty' }, data)).toBe(true);
+    });
+
+    test("compares the participant's age, from a field or from the context", () => {
+      const context = { birthDate: '2012-10-20', today: TODAY };
+
+      expect(ageOn('2012-10-20', TODAY)).toBe(13);
+      expect(evaluateCondition({ op: 'age_lt', value: 14 }, {}, context)).toBe(true);
+      expect(evaluateCondition({ op: 'age_gte', value: 14 }, {}, context)).toBe(false);
+      expect(evaluateCondition({ field: 'date_naissance', op: 'age_gte', value: 14 }, { date_naissance: '2012-10-19' }, context)).toBe(true);
+      expect(evaluateCondition({ op: 'age_gte', value: 14 }, {}, { today: TODAY })).toBe(false);
+    });
+  });
+
+  describe('visibility and requirement', () => {
+    const epiPen = {
+      name: 'epipen_location',
+      type: 'text',
+      showIf: { field: 'allergies', op: 'contains', value: 'peanut' },
+      requiredIf: { op: 'age_lt', value: 12 }
+    };
+
+    test('shows a field only when showIf holds, and requires it only when requiredIf does', () => {
+      expect(isFieldVisible(epiPen, { allergies: 'none' })).toBe(false);
+      expect(isFieldVisible(epiPen, { allergies: 'peanuts' })).toBe(true);
+      expect(isFieldRequired(epiPen, { allergies: 'peanuts' }, { birthDate: '2016-01-01', today: TODAY })).toBe(true);
+      expect(isFieldRequired(epiPen, { allergies: 'peanuts' }, { birthDate: '2010-01-01', today: TODAY })).toBe(false);
+      expect(isFieldRequired(epiPen, { allergies: 'none' }, { birthDate: '2016-01-01', today: TODAY })).toBe(false);
+    });
+
+    test('keeps a legacy dependsOn field visible but not required until it is met', () => {
+      const allergy = { name: 'allergie', required: true, dependsOn: { field: 'has_allergies', value: 'yes' } };
+
+      expect(isFieldVisible(allergy, { has_allergies: 'no' })).toBe(true);
+      expect(isFieldRequired(allergy, { has_allergies: 'no' })).toBe(false);
+      expect(isFieldRequired(allergy, { has_allergies: '1' })).toBe(true);
+    });
+  });
+
+  describe('computed fields', () => {
+    test('works out age, sum, count, concat and days between', () => {
+      const data = {
+        date_naissance: '2015-03-02',
+        first_name: 'Léa',
+        last_name: 'Tremblay',
+        medications: [{ name: 'Ventolin', doses: '2' }, { name: 'Advil', doses: '1' }],
+        arrival: '2026-07-01',
+        departure: '2026-07-08'
+      };
+      const context = { today: TODAY };
+
+      expect(computeValue({ compute: { operation: 'age', fields: ['date_naissance'] } }, data, context)).toBe(11);
+      expect(computeValue({ compute: { operation: 'age' } }, {}, { birthDate: '2015-03-02', today: TODAY })).toBe(11);
+      expect(computeValue({ compute: { operation: 'sum', fields: ['medications.doses'] } }, data)).toBe(3);
+      expect(computeValue({ compute: { operation: 'count', fields: ['medications'] } }, data)).toBe(2);
+      expect(computeValue({ compute: { operation: 'concat', fields: ['first_name', 'last_name'] } }, data)).toBe('Léa Tremblay');
+      expect(computeValue({ compute: { operation: 'days_between', fields: ['arrival', 'departure'] } }, data)).toBe(7);
+      expect(computeValue({ compute: { operation: 'sum', fields: ['nothing'] } }, data)).toBe('');
+      expect(computeValue({ compute: { operation: 'eval', fields: ['first_name'] } }, data)).toBe('');
+    });
+
+    test('fills computed fields in form order so one can read another', () => {
+      const fields = [
+        { name: 'nights', type: 'computed', compute: { operation: 'days_between', fields: ['arrival', 'departure'] } },
+        { name: 'total', type: 'computed', compute: { operation: 'sum', fields: ['nights', 'extra_nights'] } }
+      ];
+
+      expect(applyComputedValues(fields, { arrival: '2026-07-01', departure: '2026-07-03', extra_nights: '1' }))
+        .toEqual(expect.objectContaining({ nights: 2, total: 3 }));
+    });
+  });
+
+  describe('missing answers and display values', () => {
+    test('skips hidden fields and checks each repeat row', () => {
+      expect(findMissingFields(FORM_FIELDS, { vaccinated: 'no', medications: [] })).toEqual(['consent_signature']);
+      expect(findMissingFields(FORM_FIELDS, {
+        vaccinated: 'yes',
+        consent_signature: { signed_by: 'Marie Tremblay', signed_at: '2026-10-19T14:00:00Z' },
+        medications: [{ name: 'Ventolin' }, { dose: '2 puffs' }]
+      })).toEqual(['vaccination_card', 'medications']);
+    });
+
+    test('shows signatures and repeat rows as text', () => {
+      expect(formatFieldValue(FORM_FIELDS[3], [{ name: 'Ventolin', dose: '2 puffs' }])).toBe('Ventolin - 2 puffs');
+      expect(formatFieldValue(FORM_FIELDS[1], { signed_by: 'Marie Tremblay', signed_at: '2026-10-19T14:00:00Z' }))
+        .toBe('Marie Tremblay (2026-10-19)');
+    });
+  });
+});
+
+describe('structured values on the web', () => {
+  test('parses what signature, file and repeat fields submit', () => {
+    const parsed = spaLogic.readStructuredValues(FORM_FIELDS, {
+      consent_signature: '{"signed_by":"Marie Tremblay","signed_at":"2026-10-19T14:00:00Z"}',
+      vaccination_card: '',
+      medications: '[{"name":"Ventolin","dose":"2 puffs"}]',
+      first_name: '{"not":"parsed"}'
+    });
+
+    expect(parsed.consent_signature.signed_by).toBe('Marie Tremblay');
+    expect(parsed.vaccination_card).toBe('');
+    expect(parsed.medications).toEqual([{ name: 'Ventolin', dose: '2 puffs' }]);
+    expect(parsed.first_name).toBe('{"not":"parsed"}');
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Delta sync suite
+ *
+ * Offline clients pull what changed since their cursor instead of whole
+ * collections. What matters:
+ *
+ * - several changes to one record in a page arrive once, as its current row;
+ * - deletions, and participants leaving the year's roster, arrive as
+ *   tombstones;
+ * - the cursor only moves past transactions that have finished;
+ * - a write based on an outdated row_version is refused with the current row,
+ *   including when another write lands between the check and the update.
+ *
+ * @module test/sync-changes
+ */
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'sync-changes-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, _res, next) => {
+    req.user = { id: '00000000-0000-0000-0000-000000000001' };
+    next();
+  },
+  requirePermission: () => (req, _res, next) => {
+    req.userPermissions = ['participants.view', 'attendance.view', 'groups.view'];
+    next();
+  },
+  authorize: () => (_req, _res, next) => next(),
+  blockDemoRoles: (_req, _res, next) => next(),
+  getOrganizationId: async () => 1,
+  withScoutYear: () => (req, _res, next) => {
+    req.scoutYear = { id: 7, label: '2025-2026', start_date: '2025-09-01', end_date: '2026-08-31', status: 'active' };
+    req.rosterStatuses = ['active'];
+    next();
+  }
+}));
+
+const {
+  parseCursor,
+  readableEntityTypes,
+  listChanges,
+  expectedRowVersion,
+  isStaleRowVersion
+} = require('../services/syncChanges');
+const syncRoute = require('../routes/sync');
+const groupsRoute = require('../routes/groups');
+const attendanceRoute = require('../routes/attendance');
+const participantsRoute = require('../routes/participants');
+
+const SCOUT_YEAR = { id: 7 };
+
+/** Fake pool: the snapshot horizon, the feed page and current rows by table. */
+function makePool({ horizon = '900', feed = [], rows = {} }) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('pg_snapshot_xmin')) {
+        return { rows: [{ horizon }] };
+      }
+      if (sql.includes('FROM sync_changes')) {
+        return { rows: feed };
+      }
+      const table = Object.keys(rows).find((name) => sql.includes(`FROM ${name}`));
+      return { rows: table ? rows[table] : [] };
+    })
+  };
+}
+
+function feedRow(id, entityType, entityId, operation, rowVersion = 1) {
+  return {
+    id: String(id),
+    xid: '800',
+    entity_type: entityType,
+    entity_id: String(entityId),
+    operation,
+    row_version: String(rowVersion),
+    changed_at: '2026-01-10T12:00:00.000Z'
+  };
+}
+
+describe('cursors and permissions', () => {
+  test('parses only well-formed cursors', () => {
+    expect(parseCursor('812-45')).toEqual({ xid: '812', id: '45' });
+    expect(parseCursor('812')).toBeNull();
+    expect(parseCursor("1-1' OR 1=1")).toBeNull();
+  });
+
+  test('only includes entity types the user can read', () => {
+    expect(readableEntityTypes(['attendance.view', 'medication.view']))
+      .toEqual(['attendance', 'medication_requirements', 'medication_distributions']);
+    expect(readableEntityTypes(['attendance.view', 'medication.view'], ['attendance'])).toEqual(['attendance']);
+  });
+});
+
+describe('listChanges', () => {
+  const options = {
+    organizationId: 1,
+    scoutYear: SCOUT_YEAR,
+    rosterStatuses: ['active'],
+    since: { xid: '700', id: '0' },
+    entityTypes: ['participants', 'attendance']
+  };
+
+  test('collapses changes, reports tombstones and moves the cursor to the horizon', async () => {
+    const pool = makePool({
+      feed: [
+        feedRow(1, 'attendance', 10, 'insert'),
+        feedRow(2, 'attendance', 10, 'update', 2),
+        feedRow(3, 'attendance', 11, 'update', 4),
+        feedRow(4, 'attendance', 12, 'delete', 3),
+        feedRow(5, 'participants', 20, 'update', 2),
+        feedRow(6, 'participants', 21, 'update', 5)
+      ],
+      rows: {
+        attendance: [
+          { id: 10, status: 'late', row_version: '2' },
+          { id: 11, status: 'present', row_version: '4' }
+        ],
+        participants: [{ id: 20, first_name: 'Léa', row_version: '2' }]
+      }
+    });
+
+    const result = await listChanges(pool, options);
+
+    expect(result.cursor).toBe('900-0');
+    expect(result.has_more).toBe(false);
+    expect(result.changes.attendance.created).toEqual([{ id: 10, status: 'late', row_version: '2' }]);
+    expect(result.changes.attendance.updated).toEqual([{ id: 11, status: 'present', row_version: '4' }]);
+    expect(result.changes.attendance.deleted).toEqual([
+      { id: 12, row_version: 3, deleted_at: '2026-01-10T12:00:00.000Z' }
+    ]);
+    // Participant 21 is no longer on this year's roster.
+    expect(result.changes.participants.updated).toEqual([{ id: 20, first_name: 'Léa', row_version: '2' }]);
+    expect(result.changes.participants.deleted.map((tombstone) => tombstone.id)).toEqual([21]);
+  });
+
+  test('only reads feed rows from finished transactions', async () => {
+    const pool = makePool({});
+
+    await listChanges(pool, options);
+
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('FROM sync_changes'));
+    expect(params).toEqual([1, 7, ['participants', 'attendance'], '700', '0', '900', 501]);
+  });
+
+  test('continues from the last row of a full page', async () => {
+    const pool = makePool({
+      feed: [feedRow(1, 'attendance', 10, 'insert'), feedRow(2, 'attendance', 11, 'insert'), feedRow(3, 'attendance', 12, 'insert')],
+      rows: { attendance: [{ id: 10 }, { id: 11 }] }
+    });
+
+    const result = await listChanges(pool, { ...options, limit: 2 });
+
+    expect(result.has_more).toBe(true);
+    expect(result.cursor).toBe('800-2');
+    expect(result.changes.attendance.created).toHaveLength(2);
+  });
+});
+
+describe('row versions', () => {
+  test('reads If-Match before the body', () => {
+    expect(expectedRowVersion({ headers: { 'if-match': 'W/"3"' }, body: { row_version: 9 } })).toBe(3);
+    expect(expectedRowVersion({ headers: {}, body: { row_version: '4' } })).toBe(4);
+    expect(expectedRowVersion({ headers: {}, body: {} })).toBeNull();
+  });
+
+  test('writes without a version keep last-write-wins', () => {
+    expect(isStaleRowVersion({ headers: {}, body: {} }, { row_version: '5' })).toBe(false);
+    expect(isStaleRowVersion({ headers: {}, body: { row_version: 5 } }, { row_version: '5' })).toBe(false);
+    expect(isStaleRowVersion({ headers: {}, body: { row_version: 4 } }, { row_version: '5' })).toBe(true);
+  });
+});
+
+describe('GET /api/v1/sync/changes', () => {
+  function appFor(pool) {
+    const app = express();
+    app.use('/api/v1/sync', syncRoute(pool));
+    return app;
+  }
+
+  test('hands out a starting cursor without since', async () => {
+    const res = await request(appFor(makePool({ horizon: '1234' }))).get('/api/v1/sync/changes');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ cursor: '1234-0', has_more: false, reset: true, changes: {} });
+  });
+
+  test('skips entity types the user cannot read', async () => {
+    const res = await request(appFor(makePool({}))).get('/api/v1/sync/changes?since=700-0');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.data.changes)).toEqual(['participants', 'groups', 'attendance']);
+  });
+
+  test('rejects a malformed cursor or an unknown entity type', async () => {
+    const app = appFor(makePool({}));
+
+    expect((await request(app).get('/api/v1/sync/changes?since=yesterday')).body.message).toBe('invalid_sync_cursor');
+    expect((await request(app).get('/api/v1/sync/changes?since=1-0&entity_types=users')).body.message).toBe('invalid_entity_type');
+  });
+});
+
+describe('PUT /api/v1/groups/:id with a row version', () => {
+  const current = { id: 3, organization_id: 1, name: 'Rouges', row_version: '6' };
+  // Route modules share one router, so the pool is built once per suite.
+  const pool = { query: jest.fn() };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/groups', groupsRoute(pool));
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql) => (sql.startsWith('SELECT') ? { rows: [current] } : { rows: [{ ...current, name: 'Bleus', row_version: '7' }] }));
+  });
+
+  test('refuses an outdated write with the current row', async () => {
+    const res = await request(app).put('/api/v1/groups/3').set('If-Match', '"5"').send({ name: 'Bleus' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('row_version_conflict');
+    expect(res.body.data).toEqual(current);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('applies a write based on the current version', async () => {
+    const res = await request(app).put('/api/v1/groups/3').send({ name: 'Bleus', row_version: 6 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.row_version).toBe('7');
+    const update = pool.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE'));
+    expect(update[0]).toContain('row_version = $4');
+    expect(update[1][3]).toBe(6);
+  });
+
+  test('refuses a write that another one overtook after the check', async () => {
+    const moved = { ...current, name: 'Verts', row_version: '7' };
+    pool.query
+      .mockResolvedValueOnce({ rows: [current] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [moved] });
+
+    const res = await request(app).put('/api/v1/groups/3').send({ name: 'Bleus', row_version: 6 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual(moved);
+  });
+});
+
+describe('row versions on attendance and participant writes', () => {
+  const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+  const client = { query: jest.fn(), release: jest.fn() };
+  const pool = { query: jest.fn(async () => ({ rows: [] })), connect: jest.fn(async () => client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/attendance', attendanceRoute(pool, logger));
+  app.use('/api/v1/participants', participantsRoute(pool, logger));
+
+  /**
+   * Answer the locked read with `row` and everything else with no rows.
+   *
+   * @param {RegExp} lockedRead - Matches the SELECT ... FOR UPDATE
+   * @param {Object} row - Current row
+   */
+  function lockedRow(lockedRead, row) {
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql) => (lockedRead.test(sql) ? { rows: [row] } : { rows: [] }));
+  }
+
+  function statements() {
+    return client.query.mock.calls.map(([sql]) => sql);
+  }
+
+  test('marking attendance on an outdated row is refused under the row lock', async () => {
+    const row = { id: 12, participant_id: 4, date: '2026-10-18', status: 'present', row_version: '3' };
+    lockedRow(/FROM attendance[\s\S]*FOR UPDATE/, row);
+
+    const res = await request(app).post('/api/v1/attendance')
+      .send({ participant_id: 4, date: '2026-10-18', status: 'absent', row_version: 2 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual(row);
+    expect(statements()).toContain('ROLLBACK');
+    expect(statements().some((sql) => sql.includes('INSERT INTO attendance'))).toBe(false);
+  });
+
+  test('recording times on an outdated row is refused', async () => {
+    lockedRow(/FROM attendance[\s\S]*FOR UPDATE/, { id: 12, participant_id: 4, date: '2026-10-18', status: 'present', row_version: '3' });
+
+    const res = await request(app).put('/api/v1/attendance/times').set('If-Match', '"2"')
+      .send({ participant_id: 4, date: '2026-10-18', arrived_at: '2026-10-18T13:00:00Z' });
+
+    expect(res.status).toBe(409);
+    expect(statements().some((sql) => sql.includes('UPDATE attendance'))).toBe(false);
+  });
+
+  test('updating a participant from an outdated row is refused', async () => {
+    const row = { id: 4, first_name: 'Alex', last_name: 'Martin', row_version: '8' };
+    lockedRow(/FROM participants p[\s\S]*FOR UPDATE OF p/, row);
+
+    const res = await request(app).put('/api/v1/participants/4').send({ last_name: 'Roy', row_version: 7 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toEqual(row);
+    expect(statements().some((sql) => sql.includes('UPDATE participants'))).toBe(false);
+  });
+});
@@ -7,7 +7,7 @@
 
 /**
  * Clean up all resources created by requiring api.js
- * This includes HTTP server, Socket.IO, and announcement listeners
+ * This includes the HTTP server and Socket.IO
  * 
  * @param {Object} app - The app object returned by require('../api')
  * @returns {Promise<void>}
@@ -33,11 +33,6 @@ async function cleanupTestResources(app) {
     }));
   }
 
-  // Close announcement listener
-  if (typeof global.__announcementListenerShutdown === 'function') {
-    promises.push(global.__announcementListenerShutdown());
-  }
-
   await Promise.all(promises);
 }
 
@@ -1,11 +1,12 @@
-// Email notification utilities for carpool module
+// Email, push and WhatsApp notification utilities for carpool module
 const {
   sendEmail,
   getUserEmailLanguage,
   getTranslationsByCode,
   sanitizeInput
 } = require('./index');
-const { escapeHtml } = require('./api-helpers');
+const { renderTemplate, loadEmailContext } = require('../services/email-templates');
+const { queueMessage } = require('../services/whatsapp-outbox');
 
 const fallbackTranslations = getTranslationsByCode('en');
 
@@ -25,50 +26,354 @@ function formatEmailDate(dateValue, locale) {
 }
 
 /**
- * Send email notifications to affected guardians when a ride is cancelled
+ * Build a carpool notification in the recipient's language.
+ *
+ * `kind` selects the `carpool_<kind>` email template; `{placeholders}` in it
+ * are filled from `vars`. `lines` are shown under the intro (passenger lists,
+ * meeting details), and `action` is an optional link button. The push
+ * notification carries the subject and the translated intro.
+ *
+ * @param {string} kind - ride_cancelled, assigned, moved, driver_added, driver_removed, reminder_family, reminder_driver
+ * @param {string} language - Recipient's language code
+ * @param {Object} vars - Placeholder values (name, activity, date, participant, driver, ...)
+ * @param {Object} [options]
+ * @param {string[]} [options.lines] - Extra lines, already translated
+ * @param {{label: string, url: string}} [options.action] - Link button
+ * @param {Object} [options.context] - Unit branding and wording, from loadEmailContext()
+ * @returns {{subject: string, text: string, html: string, pushTitle: string, pushBody: string}}
+ */
+function buildCarpoolMessage(kind, language, vars, { lines = [], action = null, context } = {}) {
+  const t = getTranslationsByCode(language);
+  const fill = (template) => template.replace(/\{(\w+)\}/g, (match, key) => (vars[key] ?? match));
+
+  const { subject, text, html } = renderTemplate(`carpool_${kind}`, language, vars, {
+    ...(context ? { context } : {}),
+    lines,
+    action
+  });
+  const intro = fill(t[`carpool_${kind}_intro`] || fallbackTranslations[`carpool_${kind}_intro`] || '');
+
+  return { subject, text, html, pushTitle: subject, pushBody: intro };
+}
+
+/**
+ * Trip direction in the recipient's language.
+ * @param {string} direction - both, to_activity or from_activity
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function directionLabel(direction, language) {
+  const t = getTranslationsByCode(language);
+  return t[direction] || fallbackTranslations[direction] || direction;
+}
+
+/**
+ * Meeting details of an activity for the given legs, in the recipient's
+ * language, as message lines.
+ * @param {Object} activity - Activity row (meeting_location_going, meeting_time_going, ...)
+ * @param {string} language - Language code
+ * @param {string[]} [legs] - to_activity and/or from_activity
+ * @returns {string[]}
+ */
+function meetingLines(activity, language, legs = ['to_activity', 'from_activity']) {
+  const t = getTranslationsByCode(language);
+  const pick = (key, literal) => t[key] || fallbackTranslations[key] || literal;
+  const time = (value) => (value ? String(value).slice(0, 5) : '');
+  const lines = [];
+
+  const details = [
+    ['to_activity', 'activity_update_email_going_heading', 'Going', 'going'],
+    ['from_activity', 'activity_update_email_return_heading', 'Returning', 'return']
+  ];
+  for (const [leg, headingKey, headingLiteral, suffix] of details) {
+    if (!legs.includes(leg) || !activity[`meeting_location_${suffix}`]) continue;
+    lines.push(
+      `${pick(headingKey, headingLiteral)}:`,
+      `- ${pick('activity_update_email_meeting_location', 'Meeting Location')}: ${activity[`meeting_location_${suffix}`]}`,
+      `- ${pick('activity_update_email_meeting_time', 'Meeting Time')}: ${time(activity[`meeting_time_${suffix}`])}`,
+      `- ${pick('activity_update_email_departure_time', 'Departure Time')}: ${time(activity[`departure_time_${suffix}`])}`,
+      ''
+    );
+  }
+  return lines.slice(0, -1);
+}
+
+/**
+ * Deliver notifications by email, and by push and WhatsApp where the
+ * recipient can receive them. Push needs web-push and VAPID keys; WhatsApp
+ * needs the user's WhatsApp number and the unit's WhatsApp connection, and is
+ * queued in the WhatsApp outbox rather than sent on the spot.
+ * A channel that is not available is skipped.
+ *
  * @param {Object} pool - Database connection pool
- * @param {Array} affectedParticipants - Array of affected participants with guardian info
+ * @param {number} organizationId - Organization ID
+ * @param {Array<{user_id: string, email: string, whatsapp_phone_number: ?string, message: Object}>} deliveries
+ * @param {Object} options
+ * @param {string} options.organizationName - Sender name
+ * @param {string} options.tag - Push notification tag
+ * @param {string} options.url - Page opened from the push notification
+ * @returns {Promise<Map<string, {email: boolean, pushes: number, whatsapp: boolean}>>} Outcome per user
+ *   (`whatsapp`: the message was queued)
  */
-async function sendRideCancellationNotifications(pool, affectedParticipants) {
-  const emailPromises = affectedParticipants.map(async (participant) => {
-    const subject = `Carpool Ride Cancelled - ${participant.activity_name}`;
-    const message = `
-Hello ${participant.guardian_name},
-
-The carpool ride for ${participant.participant_name} has been cancelled for the activity "${participant.activity_name}" on ${new Date(participant.activity_date).toLocaleDateString()}.
-
-Please make alternative transportation arrangements for your child.
-
-You can view and arrange new carpool options in the Wampums parent portal.
-
-Best regards,
-Wampums Team
-    `.trim();
-
-    const html = `
-<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-  <h2 style="color: #d9534f;">Carpool Ride Cancelled</h2>
-  <p>Hello ${participant.guardian_name},</p>
-  <p>The carpool ride for <strong>${participant.participant_name}</strong> has been cancelled for the activity:</p>
-  <div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid #d9534f; margin: 20px 0;">
-    <h3 style="margin-top: 0;">${participant.activity_name}</h3>
-    <p style="margin-bottom: 0;"><strong>Date:</strong> ${new Date(participant.activity_date).toLocaleDateString()}</p>
-  </div>
-  <p><strong>Please make alternative transportation arrangements for your child.</strong></p>
-  <p>You can view and arrange new carpool options in the Wampums parent portal.</p>
-  <hr style="border: none; border-top: 1px solid #dee2e6; margin: 30px 0;">
-  <p style="color: #6c757d; font-size: 14px;">Best regards,<br>Wampums Team</p>
-</div>
-    `.trim();
+async function deliverNotifications(pool, organizationId, deliveries, { organizationName, tag, url }) {
+  const outcomes = new Map();
+  if (deliveries.length === 0) {
+    return outcomes;
+  }
 
-    try {
-      await sendEmail(participant.guardian_email, subject, message, html);
-    } catch (err) {
-      console.error(`Failed to send cancellation email to ${participant.guardian_email}:`, err);
+  const { getWhatsAppService } = require('../services/manager');
+  const whatsappService = getWhatsAppService();
+  const whatsappConnected = whatsappService ? await whatsappService.isConnected(organizationId) : false;
+
+  await Promise.allSettled(deliveries.map(async ({ user_id: userId, email, whatsapp_phone_number: phone, message }) => {
+    const outcome = { email: false, pushes: 0, whatsapp: false };
+    outcomes.set(userId, outcome);
+    if (email) {
+      try {
+        outcome.email = Boolean(await sendEmail(email, message.subject, message.text, message.html, organizationName));
+      } catch (err) {
+        console.error(`Failed to send carpool email to ${email}:`, err);
+      }
+    }
+    if (phone && whatsappConnected) {
+      try {
+        outcome.whatsapp = await queueMessage(pool, organizationId, {
+          phoneNumber: phone,
+          userId,
+          body: `*${message.subject}*\n\n${message.text}`
+        });
+      } catch (err) {
+        console.error(`Failed to queue carpool WhatsApp message for ${userId}:`, err);
+      }
     }
+  }));
+  if (whatsappConnected) {
+    whatsappService.kickOutbox(organizationId);
+  }
+
+  let webpush;
+  try {
+    webpush = require('web-push');
+  } catch {
+    return outcomes;
+  }
+  const vapidPublicKey = process.env.VAPID_PUBLIC_KEY;
+  const vapidPrivateKey = process.env.VAPID_PRIVATE_KEY || process.env.VAPID_PRIVATE;
+  if (!vapidPublicKey || !vapidPrivateKey) {
+    return outcomes;
+  }
+  webpush.setVapidDetails('mailto:info@wampums.app', vapidPublicKey, vapidPrivateKey);
+
+  const messages = new Map(deliveries.map((delivery) => [delivery.user_id, delivery.message]));
+  const subscriptions = await pool.query(
+    `SELECT endpoint, p256dh, auth, user_id FROM subscribers
+     WHERE organization_id = $1 AND user_id = ANY($2::uuid[])`,
+    [organizationId, [...messages.keys()]]
+  );
+
+  await Promise.allSettled(subscriptions.rows.map(async (sub) => {
+    const message = messages.get(sub.user_id);
+    await webpush.sendNotification(
+      { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+      JSON.stringify({
+        title: message.pushTitle,
+        body: message.pushBody,
+        tag,
+        data: { type: 'carpool', url }
+      })
+    );
+    outcomes.get(sub.user_id).pushes += 1;
+  }));
+
+  return outcomes;
+}
+
+/**
+ * Recipients' languages, looked up once per email address.
+ * @param {Object} pool - Database connection pool
+ * @param {number} organizationId - Organization ID
+ * @returns {Function} async (email) => language code
+ */
+function languageLookup(pool, organizationId) {
+  const cache = new Map();
+  return (email) => {
+    if (!cache.has(email)) {
+      cache.set(email, getUserEmailLanguage(pool, email || '', organizationId));
+    }
+    return cache.get(email);
+  };
+}
+
+/**
+ * Notify affected guardians when a ride is cancelled.
+ *
+ * Each guardian gets one message naming all of their children who were on
+ * the ride.
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {number} organizationId - Organization ID
+ * @param {Array} affectedParticipants - Affected participants with guardian info, one row per guardian and child
+ *   (guardian_user_id, guardian_email, guardian_name, guardian_whatsapp, participant_name, activity_id, activity_name, activity_date)
+ */
+async function sendRideCancellationNotifications(pool, organizationId, affectedParticipants) {
+  const context = await loadEmailContext(pool, organizationId);
+  const { organizationName } = context;
+  const languageOf = languageLookup(pool, organizationId);
+
+  // Guardian -> their rows, one per child
+  const byGuardian = new Map();
+  for (const row of affectedParticipants) {
+    if (!byGuardian.has(row.guardian_user_id)) {
+      byGuardian.set(row.guardian_user_id, []);
+    }
+    byGuardian.get(row.guardian_user_id).push(row);
+  }
+
+  const deliveries = await Promise.all([...byGuardian.values()].map(async (rows) => {
+    const [guardian] = rows;
+    const language = await languageOf(guardian.guardian_email);
+    const children = [...new Set(rows.map((row) => row.participant_name))];
+    return {
+      user_id: guardian.guardian_user_id,
+      email: guardian.guardian_email,
+      whatsapp_phone_number: guardian.guardian_whatsapp,
+      message: buildCarpoolMessage('ride_cancelled', language, {
+        name: sanitizeInput(guardian.guardian_name) || getTranslationsByCode(language).activity_update_email_generic_name || '',
+        participant: children.join(', '),
+        activity: guardian.activity_name,
+        date: formatEmailDate(guardian.activity_date, language),
+        organization: organizationName
+      }, { context })
+    };
+  }));
+
+  const activityId = affectedParticipants[0]?.activity_id;
+  await deliverNotifications(pool, organizationId, deliveries, {
+    organizationName,
+    tag: `carpool-cancelled-${activityId}`,
+    url: `/carpool/${activityId}`
   });
+}
 
-  await Promise.allSettled(emailPromises);
+/**
+ * Notify guardians and drivers of new or moved carpool assignments.
+ *
+ * Each guardian gets one message per ride listing their children on it, and
+ * each driver one message listing their new passengers. On a move, the
+ * previous driver is told the child left their ride. The user who made the
+ * change is not notified.
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {number} organizationId - Organization ID
+ * @param {number[]} assignmentIds - New or moved assignments
+ * @param {Object} [options]
+ * @param {string|null} [options.actorUserId] - User who made the change
+ * @param {Object|null} [options.movedFrom] - Previous offer on a move: { user_id, driver_name, email, whatsapp_phone_number }
+ * @returns {Promise<number>} Notifications delivered on at least one channel
+ */
+async function sendAssignmentNotifications(pool, organizationId, assignmentIds, { actorUserId = null, movedFrom = null } = {}) {
+  if (assignmentIds.length === 0) {
+    return 0;
+  }
+
+  const assignmentResult = await pool.query(
+    `SELECT ca.id, ca.participant_id, ca.trip_direction,
+            p.first_name || ' ' || p.last_name AS participant_name,
+            co.id AS offer_id, co.user_id AS driver_user_id, co.vehicle_make, co.vehicle_color,
+            du.full_name AS driver_name, du.email AS driver_email, du.whatsapp_phone_number AS driver_whatsapp,
+            a.id AS activity_id, a.name AS activity_name, a.activity_start_date
+       FROM carpool_assignments ca
+       JOIN participants p ON p.id = ca.participant_id
+       JOIN carpool_offers co ON co.id = ca.carpool_offer_id
+       JOIN users du ON du.id = co.user_id
+       JOIN activities a ON a.id = co.activity_id
+      WHERE ca.id = ANY($1::int[]) AND ca.organization_id = $2
+      ORDER BY p.first_name, p.last_name`,
+    [assignmentIds, organizationId]
+  );
+  const assignments = assignmentResult.rows;
+  if (assignments.length === 0) {
+    return 0;
+  }
+
+  const guardianResult = await pool.query(
+    `SELECT up.participant_id, u.id, u.email, u.full_name, u.whatsapp_phone_number
+       FROM user_participants up
+       JOIN users u ON u.id = up.user_id
+       JOIN user_organizations uo ON uo.user_id = u.id AND uo.organization_id = $2 AND uo.status = 'active'
+      WHERE up.participant_id = ANY($1::int[])`,
+    [[...new Set(assignments.map((row) => row.participant_id))], organizationId]
+  );
+
+  const context = await loadEmailContext(pool, organizationId);
+  const { organizationName } = context;
+  const languageOf = languageLookup(pool, organizationId);
+  const activity = assignments[0];
+  const kind = movedFrom ? 'moved' : 'assigned';
+
+  // Recipient (user + ride) -> message inputs
+  const pending = new Map();
+  const add = (key, recipient, messageKind, row) => {
+    if (!recipient.id || recipient.id === actorUserId) return;
+    if (!pending.has(key)) {
+      pending.set(key, { recipient, kind: messageKind, rows: [] });
+    }
+    pending.get(key).rows.push(row);
+  };
+
+  for (const row of assignments) {
+    for (const guardian of guardianResult.rows.filter((g) => g.participant_id === row.participant_id)) {
+      add(`${guardian.id}:${kind}:${row.offer_id}`, guardian, kind, row);
+    }
+    const driver = { id: row.driver_user_id, email: row.driver_email, full_name: row.driver_name, whatsapp_phone_number: row.driver_whatsapp };
+    add(`${driver.id}:driver_added:${row.offer_id}`, driver, 'driver_added', row);
+    if (movedFrom) {
+      const previous = { id: movedFrom.user_id, email: movedFrom.email, full_name: movedFrom.driver_name, whatsapp_phone_number: movedFrom.whatsapp_phone_number };
+      add(`${previous.id}:driver_removed`, previous, 'driver_removed', row);
+    }
+  }
+
+  const deliveries = [];
+  for (const { recipient, kind: messageKind, rows } of pending.values()) {
+    const language = await languageOf(recipient.email);
+    const [first] = rows;
+    deliveries.push({
+      user_id: recipient.id,
+      email: recipient.email,
+      whatsapp_phone_number: recipient.whatsapp_phone_number,
+      message: buildCarpoolMessage(messageKind, language, {
+        name: sanitizeInput(recipient.full_name) || getTranslationsByCode(language).activity_update_email_generic_name || '',
+        participant: rows.map((row) => row.participant_name).join(', '),
+        driver: first.driver_name,
+        previous_driver: movedFrom?.driver_name || '',
+        vehicle: `${first.vehicle_color} ${first.vehicle_make}`,
+        direction: directionLabel(first.trip_direction, language),
+        activity: activity.activity_name,
+        date: formatEmailDate(activity.activity_start_date, language),
+        organization: organizationName
+      }, {
+        lines: rows.length > 1 || messageKind === 'driver_added'
+          ? rows.map((row) => `- ${row.participant_name} (${directionLabel(row.trip_direction, language)})`)
+          : [],
+        context
+      })
+    });
+  }
+
+  // A recipient gets one message per delivery; outcomes are keyed by user
+  let delivered = 0;
+  for (const delivery of deliveries) {
+    const outcomes = await deliverNotifications(pool, organizationId, [delivery], {
+      organizationName,
+      tag: `carpool-${activity.activity_id}`,
+      url: `/carpool/${activity.activity_id}`
+    });
+    const outcome = outcomes.get(delivery.user_id);
+    if (outcome && (outcome.email || outcome.pushes > 0 || outcome.whatsapp)) {
+      delivered += 1;
+    }
+  }
+  return delivered;
 }
 
 /**
@@ -123,113 +428,29 @@ async function sendActivityUpdateNotifications(pool, activityId, organizationId)
   }
 
   const activity = result.rows[0]; // Activity details are the same for all rows
+  const context = await loadEmailContext(pool, organizationId);
 
   const emailPromises = result.rows.map(async (user) => {
-    const preferredLanguage = await getUserEmailLanguage(pool, user.email, organizationId);
-    const translations = getTranslationsByCode(preferredLanguage);
-    const localeDate = formatEmailDate(activity.activity_date, preferredLanguage);
-    const safeGuardianName = sanitizeInput(user.guardian_name)
-      || translations.activity_update_email_generic_name
-      || fallbackTranslations.activity_update_email_generic_name
-      || '';
-    const safeActivityName = sanitizeInput(activity.activity_name);
-    const safeDate = sanitizeInput(localeDate);
-
-    const subjectTemplate = translations.activity_update_email_subject
-      || fallbackTranslations.activity_update_email_subject
-      || 'Activity Updated - {activity}';
-    const greetingTemplate = translations.activity_update_email_greeting
-      || fallbackTranslations.activity_update_email_greeting
-      || 'Hello {name},';
-    const introTemplate = translations.activity_update_email_intro
-      || fallbackTranslations.activity_update_email_intro
-      || 'The details for "{activity}" on {date} have been updated.';
-    const goingHeading = translations.activity_update_email_going_heading
-      || fallbackTranslations.activity_update_email_going_heading
-      || 'Going:';
-    const returnHeading = translations.activity_update_email_return_heading
-      || fallbackTranslations.activity_update_email_return_heading
-      || 'Returning:';
-    const meetingLocationLabel = translations.activity_update_email_meeting_location
-      || fallbackTranslations.activity_update_email_meeting_location
-      || 'Meeting Location';
-    const meetingTimeLabel = translations.activity_update_email_meeting_time
-      || fallbackTranslations.activity_update_email_meeting_time
-      || 'Meeting Time';
-    const departureTimeLabel = translations.activity_update_email_departure_time
-      || fallbackTranslations.activity_update_email_departure_time
-      || 'Departure Time';
-    const reviewPrompt = translations.activity_update_email_footer
-      || fallbackTranslations.activity_update_email_footer
-      || 'Please review the updated information in the Wampums portal.';
-    const signature = translations.activity_update_email_signature
-      || fallbackTranslations.activity_update_email_signature
-      || 'Best regards,\nWampums Team';
-
-    const subject = subjectTemplate.replace('{activity}', safeActivityName);
-    const greeting = greetingTemplate.replace('{name}', safeGuardianName);
-    const intro = introTemplate
-      .replace('{activity}', safeActivityName)
-      .replace('{date}', safeDate);
-
-    const message = `
-${greeting}
-
-${intro}
-
-${goingHeading}
-- ${meetingLocationLabel}: ${sanitizeInput(activity.meeting_location_going)}
-- ${meetingTimeLabel}: ${sanitizeInput(activity.meeting_time_going)}
-- ${departureTimeLabel}: ${sanitizeInput(activity.departure_time_going)}
-
-${activity.meeting_location_return ? `
-${returnHeading}
-- ${meetingLocationLabel}: ${sanitizeInput(activity.meeting_location_return)}
-- ${meetingTimeLabel}: ${sanitizeInput(activity.meeting_time_return)}
-- ${departureTimeLabel}: ${sanitizeInput(activity.departure_time_return)}
-` : ''}
-
-${reviewPrompt}
-
-${signature}
-    `.trim();
-
-    const safeActivityNameHtml = escapeHtml(activity.activity_name);
-    const safeDateHtml = escapeHtml(safeDate);
-
-    const html = `
-<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-  <h2 style="color: #0275d8;">${escapeHtml(translations.activity_update_email_heading || fallbackTranslations.activity_update_email_heading || 'Activity Updated')}</h2>
-  <p>${escapeHtml(greeting)}</p>
-  <p>${escapeHtml(intro)}</p>
-  <div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid #0275d8; margin: 20px 0;">
-    <h3 style="margin-top: 0;">${safeActivityNameHtml}</h3>
-    <p><strong>${escapeHtml(translations.activity_update_email_date_label || fallbackTranslations.activity_update_email_date_label || 'Date')}:</strong> ${safeDateHtml}</p>
-
-    <h4 style="margin-bottom: 10px;">${escapeHtml(goingHeading)}</h4>
-    <ul style="margin-top: 0;">
-      <li><strong>${escapeHtml(meetingLocationLabel)}:</strong> ${escapeHtml(activity.meeting_location_going || '')}</li>
-      <li><strong>${escapeHtml(meetingTimeLabel)}:</strong> ${escapeHtml(activity.meeting_time_going || '')}</li>
-      <li><strong>${escapeHtml(departureTimeLabel)}:</strong> ${escapeHtml(activity.departure_time_going || '')}</li>
-    </ul>
-
-    ${activity.meeting_location_return ? `
-    <h4 style="margin-bottom: 10px;">${escapeHtml(returnHeading)}</h4>
-    <ul style="margin-top: 0;">
-      <li><strong>${escapeHtml(meetingLocationLabel)}:</strong> ${escapeHtml(activity.meeting_location_return || '')}</li>
-      <li><strong>${escapeHtml(meetingTimeLabel)}:</strong> ${escapeHtml(activity.meeting_time_return || '')}</li>
-      <li><strong>${escapeHtml(departureTimeLabel)}:</strong> ${escapeHtml(activity.departure_time_return || '')}</li>
-    </ul>
-    ` : ''}
-  </div>
-  <p>${escapeHtml(reviewPrompt)}</p>
-  <hr style="border: none; border-top: 1px solid #dee2e6; margin: 30px 0;">
-  <p style="color: #6c757d; font-size: 14px;">${escapeHtml(signature).replace(/\n/g, '<br>')}</p>
-</div>
-    `.trim();
+    const language = await getUserEmailLanguage(pool, user.email, organizationId);
+    const t = getTranslationsByCode(language);
+    const pick = (key, literal) => t[key] || fallbackTranslations[key] || literal;
+    const date = formatEmailDate(activity.activity_date, language);
+
+    const { subject, text, html } = renderTemplate('activity_updated', language, {
+      name: sanitizeInput(user.guardian_name) || pick('activity_update_email_generic_name', ''),
+      activity: sanitizeInput(activity.activity_name),
+      date
+    }, {
+      context,
+      lines: [
+        `${pick('activity_update_email_date_label', 'Date')}: ${date}`,
+        '',
+        ...meetingLines(activity, language)
+      ]
+    });
 
     try {
-      await sendEmail(user.email, subject, message, html);
+      await sendEmail(user.email, subject, text, html, context.organizationName);
     } catch (err) {
       console.error(`Failed to send update email to ${user.email}:`, err);
     }
@@ -278,39 +499,21 @@ async function sendActivityCancellationNotifications(pool, activityId, organizat
   }
 
   const activity = result.rows[0]; // Activity details are the same for all rows
+  const context = await loadEmailContext(pool, organizationId);
 
   const emailPromises = result.rows.map(async (user) => {
-    const subject = `Activity Cancelled - ${activity.activity_name}`;
-    const message = `
-Hello ${user.guardian_name},
-
-The activity "${activity.activity_name}" scheduled for ${new Date(activity.activity_date).toLocaleDateString()} has been cancelled.
-
-All related carpool arrangements have been cancelled as well.
-
-We apologize for any inconvenience.
-
-Best regards,
-Wampums Team
-    `.trim();
-
-    const html = `
-<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-  <h2 style="color: #d9534f;">Activity Cancelled</h2>
-  <p>Hello ${user.guardian_name},</p>
-  <div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid #d9534f; margin: 20px 0;">
-    <h3 style="margin-top: 0;">${activity.activity_name}</h3>
-    <p style="margin-bottom: 0;"><strong>Date:</strong> ${new Date(activity.activity_date).toLocaleDateString()}</p>
-  </div>
-  <p>This activity has been cancelled. All related carpool arrangements have been cancelled as well.</p>
-  <p>We apologize for any inconvenience.</p>
-  <hr style="border: none; border-top: 1px solid #dee2e6; margin: 30px 0;">
-  <p style="color: #6c757d; font-size: 14px;">Best regards,<br>Wampums Team</p>
-</div>
-    `.trim();
+    const language = await getUserEmailLanguage(pool, user.email, organizationId);
+    const { subject, text, html } = renderTemplate('activity_cancelled', language, {
+      name: sanitizeInput(user.guardian_name)
+        || getTranslationsByCode(language).activity_update_email_generic_name
+        || fallbackTranslations.activity_update_email_generic_name
+        || '',
+      activity: sanitizeInput(activity.activity_name),
+      date: formatEmailDate(activity.activity_date, language)
+    }, { context });
 
     try {
-      await sendEmail(user.email, subject, message, html);
+      await sendEmail(user.email, subject, text, html, context.organizationName);
     } catch (err) {
       console.error(`Failed to send cancellation email to ${user.email}:`, err);
     }
@@ -320,7 +523,13 @@ Wampums Team
 }
 
 module.exports = {
+  formatEmailDate,
+  buildCarpoolMessage,
+  directionLabel,
+  meetingLines,
+  deliverNotifications,
   sendRideCancellationNotifications,
+  sendAssignmentNotifications,
   sendActivityUpdateNotifications,
   sendActivityCancellationNotifications
 };
@@ -249,14 +249,17 @@ async function getUserEmailLanguage(pool, userEmail, organizationId) {
 }
 
 /**
- * Send email using Brevo
+ * Send email using Brevo, keeping the provider's message id so later
+ * delivery reports (services/email-delivery) can be matched to the send.
  * @param {string} to - Recipient email
  * @param {string} subject - Email subject
  * @param {string} message - Email message (plain text)
  * @param {string} html - Optional HTML content
- * @returns {Promise<boolean>} Success status
+ * @param {string} [fromNameOverride] - Sender name shown instead of the default
+ * @param {Array<{filename: string, content: Buffer, contentType?: string}>} [attachments] - Files to attach
+ * @returns {Promise<{sent: boolean, messageId: string|null}>}
  */
-async function sendEmail(to, subject, message, html = null, fromNameOverride = null) {
+async function deliverEmail(to, subject, message, html = null, fromNameOverride = null, attachments = []) {
   try {
     const activeSenderName = fromNameOverride || senderName;
     // Prefer Brevo transactional API when available
@@ -274,13 +277,16 @@ async function sendEmail(to, subject, message, html = null, fromNameOverride = n
         subject,
         textContent: message,
         ...(html ? { htmlContent: html } : {}),
+        ...(attachments.length
+          ? { attachment: attachments.map((file) => ({ name: file.filename, content: file.content.toString("base64") })) }
+          : {}),
       };
       const result = await brevoTransactionalApi.sendTransacEmail(apiPayload);
       logger.info("Email sent successfully via Brevo API", {
         messageId: result?.messageId,
         to,
       });
-      return true;
+      return { sent: true, messageId: result?.messageId || null };
     }
 
     if (brevoSmtpKey) {
@@ -307,18 +313,19 @@ async function sendEmail(to, subject, message, html = null, fromNameOverride = n
         subject,
         text: message,
         ...(html ? { html } : {}),
+        ...(attachments.length ? { attachments } : {}),
       });
       logger.info("Email sent successfully via SMTP", {
         messageId: smtpResult?.messageId,
         to,
       });
-      return true;
+      return { sent: true, messageId: smtpResult?.messageId || null };
     }
 
     logger.error(
       "Brevo API key not found and no SMTP key provided (BREVO_SMTP_KEY)",
     );
-    return false;
+    return { sent: false, messageId: null };
   } catch (error) {
     logger.error("Error sending email:", error.message || error);
     if (error.response?.body) {
@@ -327,22 +334,25 @@ async function sendEmail(to, subject, message, html = null, fromNameOverride = n
         JSON.stringify(error.response.body),
       );
     }
-    return false;
+    return { sent: false, messageId: null };
   }
 }
 
 /**
- * Send password reset email
+ * Send email using Brevo
  * @param {string} to - Recipient email
  * @param {string} subject - Email subject
- * @param {string} message - Email message
+ * @param {string} message - Email message (plain text)
+ * @param {string} html - Optional HTML content
+ * @param {string} [fromNameOverride] - Sender name shown instead of the default
+ * @param {Array<{filename: string, content: Buffer, contentType?: string}>} [attachments] - Files to attach
  * @returns {Promise<boolean>} Success status
  */
-async function sendResetEmail(to, subject, message) {
-  return sendEmail(to, subject, message);
+async function sendEmail(to, subject, message, html = null, fromNameOverride = null, attachments = []) {
+  const { sent } = await deliverEmail(to, subject, message, html, fromNameOverride, attachments);
+  return sent;
 }
 
-
 /**
  * Send WhatsApp message using Baileys (if available)
  * @param {string} to - Recipient phone number in E.164 format (e.g., +1234567890)
@@ -383,23 +393,22 @@ async function sendWhatsApp(to, message, organizationId = null, whatsappService
 
 /**
  * Send admin verification email for new animator registration
+ * (`leader_registration` template), in each admin's language
  * @param {object} pool - Database pool
  * @param {number} organizationId - Organization ID
  * @param {string} animatorName - Animator name
  * @param {string} animatorEmail - Animator email
- * @param {object} translations - Translation object
  */
 async function sendAdminVerificationEmail(
   pool,
   organizationId,
   animatorName,
   animatorEmail,
-  translations = {},
 ) {
-  try {
-    const overrideTranslations = translations && Object.keys(translations).length > 0 ? translations : null;
-    const englishTranslations = getTranslationsByCode("en");
+  // Required here: the templates service itself requires this module
+  const { loadEmailContext, renderTemplate } = require("../services/email-templates");
 
+  try {
     // Fetch admin emails for the organization
     const adminResult = await pool.query(
       `SELECT DISTINCT u.email
@@ -419,38 +428,17 @@ async function sendAdminVerificationEmail(
       return;
     }
 
-    // Fetch organization name
-    const orgResult = await pool.query(
-      `SELECT setting_value->>'name' as org_name
-       FROM organization_settings
-       WHERE organization_id = $1 AND setting_key = 'organization_info'`,
-      [organizationId],
-    );
-
-    const orgName = orgResult.rows[0]?.org_name || "Wampums.app";
+    const context = await loadEmailContext(pool, organizationId);
 
     // Send email to all admins
     for (const adminEmail of adminEmails) {
       const adminLanguage = await getUserEmailLanguage(pool, adminEmail, organizationId);
-      const adminTranslations = getTranslationsByCode(adminLanguage);
-      const subject = (
-        adminTranslations.new_animator_registration_subject ||
-        overrideTranslations?.new_animator_registration_subject ||
-        englishTranslations.new_animator_registration_subject ||
-        "New Animator Registration for {orgName}"
-      ).replace("{orgName}", orgName);
-
-      const message = (
-        adminTranslations.new_animator_registration_body ||
-        overrideTranslations?.new_animator_registration_body ||
-        englishTranslations.new_animator_registration_body ||
-        "A new animator has registered for {orgName}:\n\nName: {animatorName}\nEmail: {animatorEmail}\n\nPlease review and approve their account."
-      )
-        .replace("{orgName}", orgName)
-        .replace("{animatorName}", animatorName)
-        .replace("{animatorEmail}", animatorEmail);
-
-      const result = await sendEmail(adminEmail, subject, message);
+      const { subject, text, html } = renderTemplate("leader_registration", adminLanguage, {
+        name: animatorName,
+        email: animatorEmail,
+      }, { context });
+
+      const result = await sendEmail(adminEmail, subject, text, html, context.organizationName);
       if (!result) {
         logger.error(
           `Failed to send admin verification email to: ${adminEmail}`,
@@ -655,7 +643,7 @@ module.exports = {
   userHasAccessToParticipant,
   getUserEmailLanguage,
   sendEmail,
-  sendResetEmail,
+  deliverEmail,
   sendWhatsApp,
   sendAdminVerificationEmail,
   determineOrganizationId,
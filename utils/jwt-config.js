@@ -28,10 +28,11 @@ function requireJWTSecret() {
  * Verify a JWT using the shared secret resolution strategy.
  *
  * @param {string} token - JWT token to verify
+ * @param {Object} options - jsonwebtoken verify options
  * @returns {Object} Decoded JWT payload
  */
-function verifyJWTToken(token) {
-  return jwt.verify(token, requireJWTSecret());
+function verifyJWTToken(token, options = {}) {
+  return jwt.verify(token, requireJWTSecret(), options);
 }
 
 /**
@@ -1,5 +1,5 @@
-const { escapeHtml } = require("./api-helpers");
 const { sanitizeInput, getTranslationsByCode } = require("./index");
+const { renderTemplate } = require("../services/email-templates");
 
 const LANGUAGE_LOCALES = {
   en: "en-CA",
@@ -66,6 +66,7 @@ function getLocaleForLanguage(languageCode = "en") {
  * @param {string} params.signLink - Link to sign permission slip.
  * @param {string} params.languageCode - Language code for localization.
  * @param {boolean} params.isReminder - Whether this is a reminder email.
+ * @param {object} [params.context] - Unit branding and wording, from loadEmailContext().
  * @returns {{subject: string, textBody: string, htmlBody: string}}
  */
 function buildPermissionSlipEmailContent({
@@ -78,6 +79,7 @@ function buildPermissionSlipEmailContent({
   signLink,
   languageCode = "en",
   isReminder = false,
+  context,
 }) {
   const translations = getTranslationsByCode(languageCode);
   const fallbackTranslations = getTranslationsByCode("en");
@@ -119,89 +121,6 @@ function buildPermissionSlipEmailContent({
     )
     : "";
 
-  const subjectKeyWithParticipant = isReminder
-    ? "permission_slip_reminder_subject_with_participant"
-    : "permission_slip_email_subject_with_participant";
-  const subjectKey = isReminder
-    ? "permission_slip_reminder_subject"
-    : "permission_slip_email_subject";
-  const defaultSubject = isReminder
-    ? "Reminder: Parent permission required - {activityTitle} - {participantName}"
-    : "Parent permission required - {activityTitle} - {participantName}";
-  const subjectTemplate =
-    translations?.[subjectKeyWithParticipant] ||
-    translations?.[subjectKey] ||
-    fallbackTranslations?.[subjectKeyWithParticipant] ||
-    fallbackTranslations?.[subjectKey] ||
-    defaultSubject;
-
-  const subject = formatTranslation(subjectTemplate, {
-    activityTitle: sanitizedActivityTitle,
-    participantName,
-  });
-
-  const textTemplate = isReminder
-    ? getTranslationValue(
-      translations,
-      fallbackTranslations,
-      "permission_slip_reminder_body",
-      "Hello,\n\nThis is a reminder about the parent permission for the activity: {activityTitle}\n\nActivity date: {activityDate}\n\nWe have not yet received your signature. Please sign the permission slip by clicking the link below:\n{signLink}\n\n{deadlineText}\n\nThank you!",
-    )
-    : getTranslationValue(
-      translations,
-      fallbackTranslations,
-      "permission_slip_email_body",
-      "Hello,\n\nWe are organizing the following activity: {activityTitle}\n\nActivity date: {activityDate}\n\n{activityDescription}\n\nPlease sign the permission slip by clicking the link below:\n{signLink}\n\n{deadlineText}\n\nThank you!",
-    );
-
-  const textBody = formatTranslation(textTemplate, {
-    activityTitle: sanitizedActivityTitle,
-    activityDate: formattedActivityDate,
-    activityDescription: sanitizedActivityDescription,
-    signLink,
-    deadlineText,
-  });
-
-  const heading = getTranslationValue(
-    translations,
-    fallbackTranslations,
-    isReminder
-      ? "permission_slip_reminder_heading"
-      : "permission_slip_email_heading",
-    isReminder
-      ? "Reminder: Parent permission required"
-      : "Parent permission required",
-  );
-  const greeting = getTranslationValue(
-    translations,
-    fallbackTranslations,
-    "permission_slip_email_greeting",
-    "Hello,",
-  );
-  const introTemplate = getTranslationValue(
-    translations,
-    fallbackTranslations,
-    isReminder
-      ? "permission_slip_reminder_intro"
-      : "permission_slip_email_intro",
-    isReminder
-      ? "This is a reminder about the parent permission for the activity: {activityTitle}"
-      : "We are organizing the following activity: {activityTitle}",
-  );
-  const dateLabel = getTranslationValue(
-    translations,
-    fallbackTranslations,
-    "permission_slip_email_date_label",
-    "Activity date:",
-  );
-  const reminderMissingText = isReminder
-    ? getTranslationValue(
-      translations,
-      fallbackTranslations,
-      "permission_slip_reminder_missing_signature",
-      "We have not yet received your signature.",
-    )
-    : "";
   const buttonLabel = getTranslationValue(
     translations,
     fallbackTranslations,
@@ -210,42 +129,27 @@ function buildPermissionSlipEmailContent({
       : "permission_slip_email_sign_button",
     isReminder ? "Sign the permission slip now" : "Sign the permission slip",
   );
-  const thanksText = getTranslationValue(
-    translations,
-    fallbackTranslations,
-    "permission_slip_email_thanks",
-    "Thank you!",
-  );
 
-  const safeActivityTitle = escapeHtml(sanitizedActivityTitle);
-  const safeActivityDescription = escapeHtml(sanitizedActivityDescription).replace(
-    /\n/g,
-    "<br>",
+  const { subject, text, html } = renderTemplate(
+    isReminder ? "permission_slip_reminder" : "permission_slip",
+    languageCode,
+    {
+      activityTitle: sanitizedActivityTitle,
+      activityDate: formattedActivityDate,
+      activityDescription: sanitizedActivityDescription,
+      participantName,
+      deadlineText,
+    },
+    {
+      ...(context ? { context } : {}),
+      action: { label: buttonLabel, url: signLink },
+    },
   );
-  const safeSignLink = escapeHtml(signLink);
-  const safeIntro = formatTranslation(introTemplate, {
-    activityTitle: safeActivityTitle,
-  });
-  const safeDeadlineText = deadlineText ? escapeHtml(deadlineText) : "";
-
-  const htmlBody = `
-    <h2>${escapeHtml(heading)}</h2>
-    <p>${escapeHtml(greeting)}</p>
-    <p>${safeIntro}</p>
-    <p><strong>${escapeHtml(dateLabel)}</strong> ${escapeHtml(formattedActivityDate)}</p>
-    ${!isReminder && safeActivityDescription
-    ? `<div>${safeActivityDescription}</div>`
-    : ""}
-    ${isReminder ? `<p>${escapeHtml(reminderMissingText)}</p>` : ""}
-    <p><a href="${safeSignLink}" style="display: inline-block; padding: 12px 24px; background-color: ${isReminder ? "#cc6600" : "#0066cc"}; color: white; text-decoration: none; border-radius: 4px;">${escapeHtml(buttonLabel)}</a></p>
-    ${safeDeadlineText ? `<p><em>${safeDeadlineText}</em></p>` : ""}
-    <p>${escapeHtml(thanksText)}</p>
-  `;
 
   return {
     subject,
-    textBody,
-    htmlBody,
+    textBody: text,
+    htmlBody: html,
   };
 }
 
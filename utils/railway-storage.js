@@ -1,5 +1,6 @@
 /**
- * Railway S3-compatible storage utilities for equipment inventory photos.
+ * Railway S3-compatible storage utilities for equipment inventory photos and
+ * progress evidence files.
  *
  * Railway buckets are private, so database rows keep a stable object key while
  * API responses expose short-lived signed URLs for direct browser downloads.
@@ -57,6 +58,10 @@ const GENERIC_MIME_TYPES = [
   "application/octet-stream",
   "binary/octet-stream",
 ];
+// Progress evidence also accepts documents. Only PDF: it is the one format a
+// parent's phone and a leader's laptop can both open without an office suite.
+const EVIDENCE_DOCUMENT_MIME_TYPES = ["application/pdf"];
+const EVIDENCE_DOCUMENT_EXTENSIONS = ["pdf"];
 
 let s3Client = null;
 let s3ClientFingerprint = null;
@@ -230,6 +235,34 @@ function isAllowedImageType(file) {
   );
 }
 
+/**
+ * Determine whether an uploaded file is a PDF document.
+ * @param {Object} file - Multer file object
+ * @returns {boolean}
+ */
+function isEvidenceDocument(file) {
+  if (!file) return false;
+
+  const mimeType = (file.mimetype || "").toLowerCase().split(";")[0];
+  if (EVIDENCE_DOCUMENT_MIME_TYPES.includes(mimeType)) return true;
+
+  const extension = (file.originalname || "").split(".").pop()?.toLowerCase();
+  return (
+    EVIDENCE_DOCUMENT_EXTENSIONS.includes(extension) &&
+    GENERIC_MIME_TYPES.includes(mimeType)
+  );
+}
+
+/**
+ * Determine whether an uploaded file can back a progress claim: a photo or a
+ * PDF document.
+ * @param {Object} file - Multer file object
+ * @returns {boolean}
+ */
+function isAllowedEvidenceType(file) {
+  return isAllowedImageType(file) || isEvidenceDocument(file);
+}
+
 /**
  * Convert an uploaded image buffer to a resized WebP buffer.
  * @param {Buffer} fileBuffer - Raw file buffer from multer
@@ -290,6 +323,36 @@ function generateFilePath(
   return `org_${organizationId}/equipment_${equipmentId || "new"}_${timestamp}.${extension}`;
 }
 
+/**
+ * Generate a unique object key for a progress evidence file. Evidence lives
+ * under its own folder in the tenant prefix so it can never be mistaken for
+ * an equipment photo.
+ * @param {number} organizationId
+ * @param {number} participantId
+ * @param {string} extension - Stored file extension, without the dot
+ * @returns {string}
+ */
+function generateEvidenceFilePath(organizationId, participantId, extension) {
+  const normalizedExtension = (extension || "").replace(/^\./, "").toLowerCase();
+  const suffix = Math.random().toString(36).slice(2, 8);
+  return `org_${organizationId}/evidence/participant_${participantId}_${Date.now()}_${suffix}.${normalizedExtension}`;
+}
+
+/**
+ * Generate a unique object key for a file attached to a form answer. Form
+ * attachments get their own folder in the tenant prefix, and the key names
+ * the participant so a signed link is only handed out for that participant.
+ * @param {number} organizationId
+ * @param {number} participantId
+ * @param {string} extension - Stored file extension, without the dot
+ * @returns {string}
+ */
+function generateFormAttachmentPath(organizationId, participantId, extension) {
+  const normalizedExtension = (extension || "").replace(/^\./, "").toLowerCase();
+  const suffix = Math.random().toString(36).slice(2, 8);
+  return `org_${organizationId}/forms/participant_${participantId}_${Date.now()}_${suffix}.${normalizedExtension}`;
+}
+
 /**
  * Upload a file to the Railway bucket.
  * @param {Buffer} fileBuffer
@@ -480,6 +543,16 @@ async function getSignedPhotoUrl(photoReference, organizationId) {
 
   if (!isStorageConfigured()) return photoReference || null;
 
+  return (await signObjectKey(filePath)) || photoReference || null;
+}
+
+/**
+ * Sign a GET for one object key, honouring the configured TTL.
+ * Callers are responsible for checking the key belongs to the tenant.
+ * @param {string} filePath
+ * @returns {Promise<string|null>} Signed URL, or null when signing fails
+ */
+async function signObjectKey(filePath) {
   const rawTtl = Number.parseInt(
     process.env.RAILWAY_S3_SIGNED_URL_TTL_SECONDS,
     10,
@@ -497,8 +570,47 @@ async function getSignedPhotoUrl(photoReference, organizationId) {
     );
   } catch (err) {
     console.error("Railway storage URL signing error:", err.message);
-    return photoReference || null;
+    return null;
+  }
+}
+
+/**
+ * Generate a temporary browser-readable URL for a stored evidence file.
+ * Only keys under the organization's own evidence folder are signed.
+ * @param {string} evidenceReference - Stored object key
+ * @param {number|string} organizationId - Organization that owns the evidence
+ * @returns {Promise<string|null>}
+ */
+async function getSignedEvidenceUrl(evidenceReference, organizationId) {
+  const filePath = extractPathFromUrl(evidenceReference);
+  if (!filePath) return null;
+
+  const expectedPrefix = `org_${Number(organizationId)}/evidence/`;
+  if (!filePath.startsWith(expectedPrefix) || !isStorageConfigured()) {
+    return null;
+  }
+
+  return signObjectKey(filePath);
+}
+
+/**
+ * Generate a temporary browser-readable URL for a form attachment. Only keys
+ * under the organization's form folder, filed for that participant, are signed.
+ * @param {string} attachmentReference - Stored object key
+ * @param {number|string} organizationId - Organization that owns the form
+ * @param {number|string} participantId - Participant the form is about
+ * @returns {Promise<string|null>}
+ */
+async function getSignedFormAttachmentUrl(attachmentReference, organizationId, participantId) {
+  const filePath = extractPathFromUrl(attachmentReference);
+  if (!filePath) return null;
+
+  const expectedPrefix = `org_${Number(organizationId)}/forms/participant_${Number(participantId)}_`;
+  if (!filePath.startsWith(expectedPrefix) || !isStorageConfigured()) {
+    return null;
   }
+
+  return signObjectKey(filePath);
 }
 
 /**
@@ -518,6 +630,7 @@ function isStorageConfigured(config = getStorageConfig()) {
 
 module.exports = {
   ALLOWED_MIME_TYPES,
+  EVIDENCE_DOCUMENT_MIME_TYPES,
   MAX_FILE_SIZE,
   OUTPUT_MIME_TYPE,
   PHOTO_MAX_HEIGHT,
@@ -527,12 +640,18 @@ module.exports = {
   convertImageToWebP,
   deleteFile,
   extractPathFromUrl,
+  generateEvidenceFilePath,
   generateFilePath,
+  generateFormAttachmentPath,
   getPhotoOrganizationId,
+  getSignedEvidenceUrl,
+  getSignedFormAttachmentUrl,
   getSignedPhotoUrl,
   getStorageConfig,
   getStorageImageOrigins,
+  isAllowedEvidenceType,
   isAllowedImageType,
+  isEvidenceDocument,
   isPhotoReferenceOwnedByOrganization,
   isStorageConfigured,
   uploadFile,
@@ -0,0 +1,373 @@
+/**
+ * File exports for the report endpoints: CSV, XLSX and printable PDF.
+ *
+ * A report describes its export once, as a title and a list of columns, and
+ * every format is written from that description. Columns are typed so a
+ * spreadsheet gets real numbers, dates and booleans rather than text, while
+ * CSV and PDF print them in the reader's language.
+ *
+ * Headings use the organization's vocabulary where a column names one of its
+ * terms (a "Den" column header, a "Honored cubs" title), exactly as the
+ * report screens do, so a printout matches what leaders see in the app.
+ *
+ * @module utils/report-export
+ */
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { getTranslationsByCode } = require('./index');
+const { resolveUnitVocabulary } = require('./unitCustomization');
+const { error } = require('../middleware/response');
+const { hasAnyPermission } = require('../middleware/auth');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+/** PDF tables wider than this many columns are printed in landscape. */
+const PORTRAIT_MAX_COLUMNS = 6;
+
+/**
+ * Read `?format=` on a report request. JSON stays the default; a file format
+ * sets `req.exportFormat` and needs `reports.export` on top of the route's own
+ * permission. Anything else is refused before the report runs.
+ */
+function readExportFormat(req, res, next) {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (format === 'json') {
+    req.exportFormat = null;
+    return next();
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return error(res, 'invalid_export_format', 400);
+  }
+  if (!hasAnyPermission(req, 'reports.export')) {
+    return error(res, 'report_export_forbidden', 403);
+  }
+  req.exportFormat = format;
+  return next();
+}
+
+/** Language of an exported file: ?lang=, then the browser's. */
+function exportLanguage(req) {
+  const requested = String(req.query.lang || '').slice(0, 2).toLowerCase();
+  if (/^[a-z]{2}$/.test(requested)) {
+    return requested;
+  }
+  return req.acceptsLanguages('fr', 'en') || 'fr';
+}
+
+/**
+ * Everything an export needs besides its rows: language, vocabulary and the
+ * names printed in the PDF header.
+ *
+ * @param {Object} db - Database pool or client
+ * @param {number} organizationId - Organization
+ * @param {Object} options
+ * @param {string} options.language - Document language
+ * @param {Object} [options.scoutYear] - `req.scoutYear`, for the PDF header
+ * @returns {Promise<Object>} `{language, vocabulary, organizationName, periodLabel}`
+ */
+async function loadExportContext(db, organizationId, { language, scoutYear = null }) {
+  const result = await db.query(
+    `SELECT COALESCE(info.setting_value->>'name', o.name) AS name,
+            o.program_section,
+            vocabulary.setting_value AS unit_vocabulary
+       FROM organizations o
+       LEFT JOIN organization_settings info
+         ON info.organization_id = o.id AND info.setting_key = 'organization_info'
+       LEFT JOIN organization_settings vocabulary
+         ON vocabulary.organization_id = o.id AND vocabulary.setting_key = 'unit_vocabulary'
+      WHERE o.id = $1`,
+    [organizationId]
+  );
+  const organization = result.rows[0] || {};
+
+  return {
+    language,
+    vocabulary: resolveUnitVocabulary(organization, language),
+    organizationName: organization.name || 'Wampums',
+    periodLabel: scoutYear?.label || ''
+  };
+}
+
+function labelsFor(context) {
+  const t = getTranslationsByCode(context.language);
+  const fallback = getTranslationsByCode('en');
+  return (key, literal = key) => t[key] || fallback[key] || literal;
+}
+
+/** A column heading: the vocabulary term when it names one, else its label. */
+function headingFor(column, label, vocabulary) {
+  return (column.term && vocabulary[column.term]) || label(column.label);
+}
+
+function toDateString(value) {
+  if (value instanceof Date) {
+    // pg returns DATE columns as local midnight.
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+}
+
+/** Coerce a raw value to its column type; null when there is nothing to show. */
+function typedValue(type, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'boolean':
+      return value === true;
+    case 'date':
+      return toDateString(value);
+    case 'list': {
+      const items = (Array.isArray(value) ? value : [value]).filter((item) => item !== null && item !== '');
+      return items.length ? items.map(String) : null;
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Resolve a report definition against its rows: headings in the document
+ * language and one typed value per cell.
+ *
+ * @param {Object} definition - `{title, term?, filename, columns}`
+ * @param {Array<Object>} rows - Report rows, as the JSON endpoint returns them
+ * @param {Object} context - From loadExportContext
+ * @returns {{title: string, columns: Array<Object>, rows: Array<Array<*>>}}
+ */
+function buildReportTable(definition, rows, context) {
+  const label = labelsFor(context);
+  const columns = definition.columns.map((column) => ({
+    ...column,
+    type: column.type || 'text',
+    heading: headingFor(column, label, context.vocabulary)
+  }));
+
+  return {
+    title: (definition.term && context.vocabulary[definition.term]) || label(definition.title),
+    columns,
+    rows: rows.map((row) => columns.map((column) => {
+      const raw = column.value ? column.value(row, label) : row[column.key];
+      return typedValue(column.type, raw);
+    }))
+  };
+}
+
+/** Render a typed value as text, for CSV and PDF. */
+function displayValue(type, value, label) {
+  if (value === null) {
+    return '';
+  }
+  switch (type) {
+    case 'boolean':
+      return value ? label('yes', 'Yes') : label('no', 'No');
+    case 'list':
+      return value.join('; ');
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Quote a CSV field. Text a parent typed can start like a formula
+ * ("=", "+", "-", "@"); spreadsheets would evaluate it, so it is prefixed
+ * with an apostrophe. Numbers are left alone.
+ */
+function escapeCsv(text, type = 'text') {
+  const safe = type !== 'number' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * CSV with a BOM, so Excel opens accented names correctly.
+ *
+ * @param {Object} table - From buildReportTable
+ * @param {Object} context - From loadExportContext
+ * @returns {Buffer}
+ */
+function writeReportCsv(table, context) {
+  const label = labelsFor(context);
+  const lines = [
+    table.columns.map((column) => escapeCsv(column.heading)).join(','),
+    ...table.rows.map((values) => values
+      .map((value, index) => {
+        const { type } = table.columns[index];
+        return escapeCsv(displayValue(type, value, label), type);
+      })
+      .join(','))
+  ];
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * One worksheet with a frozen, filterable header row and typed cells.
+ *
+ * @param {Object} table - From buildReportTable
+ * @param {Object} context - From loadExportContext
+ * @returns {Promise<Buffer>}
+ */
+async function writeReportXlsx(table, context) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = context.organizationName;
+  workbook.created = new Date();
+
+  // Sheet names are capped at 31 characters and refuse a few symbols.
+  const sheet = workbook.addWorksheet(table.title.replace(/[\\/*?:[\]]/g, ' ').slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = table.columns.map((column) => ({
+    header: column.heading,
+    width: Math.min(Math.max(column.heading.length + 2, (column.width || 1) * 14), 60),
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: table.columns.length } };
+
+  for (const values of table.rows) {
+    sheet.addRow(values.map((value, index) => {
+      const { type } = table.columns[index];
+      if (value === null) return null;
+      if (type === 'date') return new Date(`${value}T00:00:00Z`);
+      if (type === 'list') return value.join('; ');
+      return value;
+    }));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * A printable table: title, organization and period, then the rows, with the
+ * header repeated on every page.
+ *
+ * @param {Object} table - From buildReportTable
+ * @param {Object} context - From loadExportContext
+ * @param {Date} [generatedAt] - Printed generation date
+ * @returns {Promise<Buffer>}
+ */
+function writeReportPdf(table, context, generatedAt = new Date()) {
+  const label = labelsFor(context);
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    layout: table.columns.length > PORTRAIT_MAX_COLUMNS ? 'landscape' : 'portrait',
+    margin: 36,
+    info: { Title: table.title, Author: context.organizationName }
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const totalWeight = table.columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  let x = left;
+  const cells = table.columns.map((column) => {
+    const cellWidth = (width * (column.width || 1)) / totalWeight;
+    const cell = { x, width: cellWidth - 4, align: column.type === 'number' ? 'right' : 'left' };
+    x += cellWidth;
+    return cell;
+  });
+
+  const rowHeight = (texts, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    return Math.max(...texts.map((text, index) => doc.heightOfString(text, { width: cells[index].width }))) + 4;
+  };
+  const drawRow = (texts, y, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    texts.forEach((text, index) => {
+      doc.text(text, cells[index].x, y, { width: cells[index].width, align: cells[index].align });
+    });
+  };
+  const headings = table.columns.map((column) => column.heading);
+  const drawHeader = () => {
+    const y = doc.y;
+    drawRow(headings, y, { bold: true });
+    const lineY = y + rowHeight(headings, { bold: true });
+    doc.moveTo(left, lineY).lineTo(left + width, lineY).stroke();
+    doc.y = lineY + 3;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(14).text(table.title, left, doc.y);
+  const generated = new Intl.DateTimeFormat(`${context.language}-CA`, { dateStyle: 'long' }).format(generatedAt);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text([context.organizationName, context.periodLabel, generated].filter(Boolean).join(' · '))
+    .fillColor('black')
+    .moveDown();
+
+  drawHeader();
+  if (table.rows.length === 0) {
+    doc.font('Helvetica').fontSize(9).text(label('no_data_available', 'No data available'), left, doc.y);
+  }
+
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  for (const values of table.rows) {
+    const texts = values.map((value, index) => displayValue(table.columns[index].type, value, label));
+    const height = rowHeight(texts);
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    drawRow(texts, y);
+    doc.y = y + height;
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Answer a report request with a file in the requested format.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} params
+ * @param {string} params.format - csv, xlsx or pdf
+ * @param {Object} params.definition - Report export definition
+ * @param {Array<Object>} params.rows - Report rows
+ * @param {Object} params.context - From loadExportContext
+ */
+async function sendReportExport(res, { format, definition, rows, context }) {
+  const table = buildReportTable(definition, rows, context);
+  let body;
+  if (format === 'xlsx') {
+    body = await writeReportXlsx(table, context);
+  } else if (format === 'pdf') {
+    body = await writeReportPdf(table, context);
+  } else {
+    body = writeReportCsv(table, context);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${definition.filename}_${date}.${format}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.send(body);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  readExportFormat,
+  exportLanguage,
+  loadExportContext,
+  buildReportTable,
+  writeReportCsv,
+  writeReportXlsx,
+  writeReportPdf,
+  sendReportExport
+};
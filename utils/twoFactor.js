@@ -6,6 +6,7 @@
 const crypto = require('crypto');
 const winston = require('winston');
 const { sendEmail, getUserEmailLanguage, getTranslationsByCode } = require('./index');
+const { renderEmail } = require('../services/email-templates');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -264,7 +265,7 @@ async function verifyTrustedDevice(pool, userId, organizationId, deviceToken) {
  * @param {string} email - Recipient email
  * @param {string} code - Verification code
  * @param {string} userName - User's full name
- * @param {number|null} organizationId - Organization ID for language fallback
+ * @param {number|null} organizationId - Organization ID for language fallback and branding
  * @param {object|null} pool - Database pool to resolve user preferences
  * @returns {Promise<boolean>} Success status
  */
@@ -275,97 +276,15 @@ async function send2FAEmail(email, code, userName = '', organizationId = null, p
     : 'en';
   const translations = getTranslationsByCode(preferredLanguage);
   const fallbackTranslations = getTranslationsByCode('en');
-
-  const subject = translations.two_factor_email_subject || fallbackTranslations.two_factor_email_subject || 'Your Wampums verification code';
-  const greetingTemplate = translations.two_factor_email_greeting || fallbackTranslations.two_factor_email_greeting || 'Hello {name},';
-  const intro = translations.two_factor_email_intro || fallbackTranslations.two_factor_email_intro || 'Please use the following code to complete your login:';
-  const expires = translations.two_factor_email_expiry || fallbackTranslations.two_factor_email_expiry || 'This code will expire in 10 minutes.';
-  const ignore = translations.two_factor_email_ignore || fallbackTranslations.two_factor_email_ignore || "If you didn't request this code, please ignore this email and ensure your account is secure.";
-  const footer = translations.two_factor_email_footer || fallbackTranslations.two_factor_email_footer || 'This is an automated message from Wampums. Please do not reply to this email.';
-  const greeting = greetingTemplate.replace('{name}', safeUserName || translations.two_factor_email_generic_name || fallbackTranslations.two_factor_email_generic_name || '');
-
-  const textMessage = `
-${greeting}
-
-${intro}
-
-${translations.two_factor_email_code_label || fallbackTranslations.two_factor_email_code_label || 'Verification code'}: ${code}
-
-${expires}
-
-${ignore}
-
-${footer}
-  `.trim();
-
-  const htmlMessage = `
-<!DOCTYPE html>
-<html lang="${preferredLanguage}">
-<head>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-      line-height: 1.6;
-      color: #333;
-      max-width: 600px;
-      margin: 0 auto;
-      padding: 20px;
-    }
-    .header {
-      text-align: center;
-      padding: 20px 0;
-    }
-    .code-container {
-      background: #f5f5f5;
-      border: 2px dashed #007bff;
-      border-radius: 8px;
-      padding: 30px;
-      text-align: center;
-      margin: 30px 0;
-    }
-    .code {
-      font-size: 32px;
-      font-weight: bold;
-      letter-spacing: 8px;
-      color: #007bff;
-      font-family: 'Courier New', monospace;
-    }
-    .footer {
-      margin-top: 30px;
-      padding-top: 20px;
-      border-top: 1px solid #eee;
-      font-size: 12px;
-      color: #666;
-      text-align: center;
-    }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h2>${translations.two_factor_email_heading || fallbackTranslations.two_factor_email_heading || 'Wampums Verification Code'}</h2>
-  </div>
-
-  <p>${greeting}</p>
-
-  <p>${intro}</p>
-
-  <div class="code-container">
-    <div class="code">${code}</div>
-  </div>
-
-  <p><strong>${expires}</strong></p>
-
-  <p>${ignore}</p>
-
-  <div class="footer">
-    <p>${footer}</p>
-  </div>
-</body>
-</html>
-  `.trim();
+  const pick = (key, literal) => translations[key] || fallbackTranslations[key] || literal;
 
   try {
-    const success = await sendEmail(email, subject, textMessage, htmlMessage);
+    const { subject, text, html, organizationName } = await renderEmail(pool, organizationId, 'two_factor_code', preferredLanguage, {
+      name: safeUserName || pick('two_factor_email_generic_name', '')
+    }, {
+      lines: [`${pick('two_factor_email_code_label', 'Verification code')}: ${code}`]
+    });
+    const success = await sendEmail(email, subject, text, html, organizationName);
     if (success) {
       logger.info('2FA email sent successfully', { email });
     } else {
@@ -397,14 +316,22 @@ async function cleanupExpired2FAData(pool) {
       RETURNING id`
     );
 
+    const challengesResult = await pool.query(
+      `DELETE FROM two_factor_challenges
+      WHERE expires_at < NOW()
+      RETURNING id`
+    );
+
     logger.info('2FA cleanup completed', {
       codesDeleted: codesResult.rowCount,
       devicesDeleted: devicesResult.rowCount,
+      challengesDeleted: challengesResult.rowCount,
     });
 
     return {
       codesDeleted: codesResult.rowCount,
       devicesDeleted: devicesResult.rowCount,
+      challengesDeleted: challengesResult.rowCount,
     };
   } catch (error) {
     logger.error('Error cleaning up 2FA data:', error);
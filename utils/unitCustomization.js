@@ -141,6 +141,38 @@ function validateDashboardConfiguration(input) {
   };
 }
 
+/**
+ * Resolve an organization's vocabulary for one locale: its saved terms over
+ * the preset they started from. Mirrors getUnitVocabulary() in
+ * spa/utils/UnitVocabularyUtils.js, so server-generated documents use the
+ * same words as the screens; organizations that never saved vocabulary keep
+ * the Cubs terms unless their program section names another preset.
+ *
+ * @param {{unit_vocabulary?: object, program_section?: string}} organizationSettings
+ * @param {string} locale - Document language
+ * @returns {object} Vocabulary terms, empty for locales without presets.
+ */
+function resolveUnitVocabulary(organizationSettings = {}, locale = 'en') {
+  if (!SUPPORTED_VOCABULARY_LOCALES.has(locale)) {
+    return {};
+  }
+
+  const configuredProfile = organizationSettings?.unit_vocabulary?.profile;
+  const programSection = organizationSettings?.program_section;
+  let profile = 'cubs';
+  if (configuredProfile === CUSTOM_PROFILE || customizationConfig.profiles[configuredProfile]) {
+    profile = configuredProfile;
+  } else if (programSection && customizationConfig.profiles[programSection]) {
+    profile = programSection;
+  }
+
+  const baseProfile = profile === CUSTOM_PROFILE ? 'generic' : profile;
+  const defaults = customizationConfig.profiles[baseProfile]?.locales?.[locale]
+    || customizationConfig.profiles.generic.locales[locale];
+  const overrides = organizationSettings?.unit_vocabulary?.locales?.[locale] || {};
+  return { ...defaults, ...overrides };
+}
+
 /** Resolve the program section associated with a built-in profile. */
 function getProgramSectionForProfile(profile) {
   return customizationConfig.profiles[profile]?.programSection || null;
@@ -150,5 +182,6 @@ module.exports = {
   customizationConfig,
   validateUnitVocabulary,
   validateDashboardConfiguration,
-  getProgramSectionForProfile
+  getProgramSectionForProfile,
+  resolveUnitVocabulary
 };